@@ -264,4 +264,16 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Job periodici (scadenze documenti, ...)
+  if (process.env.SCHEDULER_ENABLED === 'true') {
+    try {
+      const scheduler = require('./src/services/scheduler');
+      scheduler.registerDefaultJobs();
+      scheduler.start();
+      console.log('Scheduler dei job periodici avviato');
+    } catch (err) {
+      console.error('Error starting scheduler:', err);
+    }
+  }
 });
\ No newline at end of file
@@ -19,8 +19,15 @@ import ClientForm from './components/clients/ClientForm';
 import AssistantChat from './components/assistant/AssistantChat';
 import ProceduresList from './components/procedures/ProceduresList';
 import ProcedureForm from './components/procedures/ProcedureForm';
+import ProcedureTemplateEditor from './components/procedures/ProcedureTemplateEditor';
 import DocumentsList from './components/documents/DocumentsList';
 import DocumentGenerator from './components/documents/DocumentGenerator';
+import TemplatesList from './components/templates/TemplatesList';
+import TemplateRevisions from './components/templates/TemplateRevisions';
+import TemplateEditor from './components/templates/TemplateEditor';
+import CustomerPortal from './components/portal/CustomerPortal';
+import QuestionBankEditor from './components/onboarding/QuestionBankEditor';
+import CalendarPage from './components/calendar/CalendarPage';
 
 // Crea il tema dell'applicazione
 const theme = createTheme({
@@ -36,7 +43,8 @@ const theme = createTheme({
 });
 
 // Componente per route protette
-const ProtectedRoute = ({ children }) => {
+// I clienti (ruolo customer) accedono solo al portale
+const ProtectedRoute = ({ children, customerArea = false }) => {
   const { currentUser, loading } = useAuth();
 
   if (loading) {
@@ -47,6 +55,16 @@ const ProtectedRoute = ({ children }) => {
     return <Navigate to="/login" />;
   }
 
+  const isCustomer = currentUser.role === 'customer';
+
+  if (isCustomer && !customerArea) {
+    return <Navigate to="/portal" />;
+  }
+
+  if (!isCustomer && customerArea) {
+    return <Navigate to="/" />;
+  }
+
   return children;
 };
 
@@ -57,6 +75,16 @@ function App() {
       <Routes>
         <Route path="/login" element={<Login />} />
         
+        {/* Portale Clienti */}
+        <Route
+          path="/portal"
+          element={
+            <ProtectedRoute customerArea>
+              <CustomerPortal />
+            </ProtectedRoute>
+          }
+        />
+        
         <Route 
           path="/" 
           element={
@@ -85,13 +113,21 @@ function App() {
             <Route index element={<ProceduresList />} />
             <Route path="new" element={<ProcedureForm />} />
             <Route path=":id/edit" element={<ProcedureForm />} />
+            <Route path=":id/template" element={<ProcedureTemplateEditor />} />
           </Route>
           
           {/* Rotte Documenti */}
           <Route path="documents">
             <Route index element={<DocumentsList />} />
             <Route path="generate" element={<DocumentGenerator />} />
+            <Route path="templates" element={<TemplatesList />} />
+            <Route path="templates/:id/edit" element={<TemplateEditor />} />
+            <Route path="templates/:id/revisions" element={<TemplateRevisions />} />
           </Route>
+          
+          {/* Configurazione questionario di onboarding (amministratori) */}
+          <Route path="settings/onboarding-questions" element={<QuestionBankEditor />} />
+          <Route path="calendar" element={<CalendarPage />} />
         </Route>
         
         {/* Rotta per gestire URL non trovati */}
@@ -23,9 +23,11 @@ import {
   Assignment as TaskIcon,
   SmartToy as AssistantIcon,
   Notifications as NotificationIcon,
+  EventBusy as ExpiryIcon,
   Add as AddIcon
 } from '@mui/icons-material';
 import { clientService, procedureService, documentService } from '../services/api';
+import TeamWorkloadPanel from './procedures/TeamWorkloadPanel';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({
@@ -36,6 +38,7 @@ const Dashboard = () => {
   const [recentClients, setRecentClients] = useState([]);
   const [recentDocuments, setRecentDocuments] = useState([]);
   const [upcomingTasks, setUpcomingTasks] = useState([]);
+  const [expiringDocuments, setExpiringDocuments] = useState([]);
   const { currentUser } = useAuth();
   const navigate = useNavigate();
 
@@ -80,6 +83,19 @@ const Dashboard = () => {
     // fetchData();
   }, []);
 
+  useEffect(() => {
+    // Documenti dei clienti scaduti o in scadenza (controllo periodico delle scadenze)
+    const fetchExpiringDocuments = async () => {
+      try {
+        const response = await documentService.getExpiringDocuments();
+        setExpiringDocuments(response.data.data.documents);
+      } catch (error) {
+        console.error('Errore nel caricamento dei documenti in scadenza:', error);
+      }
+    };
+    fetchExpiringDocuments();
+  }, []);
+
   return (
     <Box>
       <Typography variant="h4" gutterBottom>
@@ -246,6 +262,49 @@ const Dashboard = () => {
           </Paper>
         </Grid>
 
+        {/* Documenti in scadenza */}
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="h6" gutterBottom>
+              Documenti in scadenza
+            </Typography>
+            {expiringDocuments.length === 0 ? (
+              <Typography color="text.secondary">
+                Nessun documento in scadenza
+              </Typography>
+            ) : (
+              <List>
+                {expiringDocuments.slice(0, 5).map((doc) => (
+                  <React.Fragment key={`${doc.source}-${doc.documentId}`}>
+                    <ListItem button onClick={() => navigate(`/clients/${doc.clientId}`)}>
+                      <ListItemIcon>
+                        <ExpiryIcon color={doc.expired ? 'error' : 'warning'} />
+                      </ListItemIcon>
+                      <ListItemText 
+                        primary={`${doc.name} - ${doc.clientName}`} 
+                        secondary={`Scadenza: ${new Date(doc.expiryDate).toLocaleDateString('it-IT')}${doc.renewalRequestedAt ? ' - Rinnovo richiesto' : ''}`}
+                      />
+                      <Chip 
+                        label={doc.expired ? 'scaduto' : 'in scadenza'} 
+                        color={doc.expired ? 'error' : 'warning'} 
+                        size="small"
+                      />
+                    </ListItem>
+                    <Divider />
+                  </React.Fragment>
+                ))}
+              </List>
+            )}
+          </Paper>
+        </Grid>
+
+        {/* Carico di lavoro del team */}
+        {currentUser?.role !== 'customer' && (
+          <Grid item xs={12}>
+            <TeamWorkloadPanel />
+          </Grid>
+        )}
+
         {/* Assistente AI */}
         <Grid item xs={12} md={6}>
           <Paper sx={{ p: 2 }}>
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  TextField,
+  FormControlLabel,
+  Checkbox,
+  IconButton,
+  Tooltip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { ContentCopy as CopyIcon, Delete as DeleteIcon, Event as EventIcon } from '@mui/icons-material';
+import { calendarService } from '../../services/api';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString('it-IT') : 'Mai');
+
+/**
+ * Feed iCalendar delle scadenze: senza clientId gestisce i feed dei task
+ * dell'utente, con clientId quelli del cliente. L'indirizzo del feed
+ * contiene un token: chi lo conosce può leggere il calendario finché il
+ * feed non viene revocato
+ */
+const CalendarFeedsPanel = ({ clientId }) => {
+  const [feeds, setFeeds] = useState([]);
+  const [form, setForm] = useState({ name: '', includeFiscalDeadlines: true, includeCompleted: false });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchFeeds();
+  }, [clientId]);
+
+  const fetchFeeds = async () => {
+    try {
+      const response = await calendarService.getFeeds();
+      setFeeds(response.data.data.feeds.filter((feed) => (
+        clientId ? feed.scope === 'client' && feed.clientId && feed.clientId._id === clientId : feed.scope === 'user'
+      )));
+    } catch (err) {
+      console.error('Errore nel caricamento dei feed del calendario:', err);
+      setError('Impossibile caricare i feed del calendario.');
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      console.error('Errore nella gestione dei feed del calendario:', err);
+      setError(err.response?.data?.message || 'Operazione non riuscita.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = () => runAction(async () => {
+    await calendarService.createFeed({
+      ...form,
+      name: form.name || undefined,
+      scope: clientId ? 'client' : 'user',
+      clientId
+    });
+    setForm({ ...form, name: '' });
+    await fetchFeeds();
+  }, 'Feed creato: copia l\'indirizzo nella tua app di calendario.');
+
+  const handleRevoke = (feed) => {
+    if (!window.confirm(`Revocare il feed "${feed.name}"? I calendari abbonati smetteranno di aggiornarsi.`)) return;
+
+    runAction(async () => {
+      await calendarService.revokeFeed(feed._id);
+      await fetchFeeds();
+    }, 'Feed revocato.');
+  };
+
+  const handleCopy = (url) => runAction(async () => {
+    await navigator.clipboard.writeText(url);
+  }, 'Indirizzo copiato.');
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {clientId
+          ? 'Scadenze dei task e adempimenti fiscali del cliente.'
+          : 'Scadenze dei task assegnati a te e adempimenti fiscali dei clienti che segui.'}
+        {' '}Aggiungi l'indirizzo del feed alla tua app di calendario (Google Calendar, Outlook, Calendario di Apple):
+        il calendario si aggiorna automaticamente. Non condividere l'indirizzo: revoca il feed se è stato diffuso.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          size="small"
+          label="Nome del feed"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={form.includeFiscalDeadlines}
+              onChange={(e) => setForm({ ...form, includeFiscalDeadlines: e.target.checked })}
+            />
+          }
+          label="Scadenze fiscali"
+        />
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={form.includeCompleted}
+              onChange={(e) => setForm({ ...form, includeCompleted: e.target.checked })}
+            />
+          }
+          label="Task completati"
+        />
+        <Button variant="contained" startIcon={<EventIcon />} onClick={handleCreate} disabled={saving}>
+          Crea feed
+        </Button>
+      </Box>
+
+      {feeds.length === 0 ? (
+        <Typography variant="body2">Nessun feed attivo.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Nome</TableCell>
+              <TableCell>Indirizzo</TableCell>
+              <TableCell>Ultimo aggiornamento</TableCell>
+              <TableCell align="right">Azioni</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {feeds.map((feed) => (
+              <TableRow key={feed._id}>
+                <TableCell>{feed.name}</TableCell>
+                <TableCell sx={{ maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  <a href={feed.webcalUrl}>{feed.url}</a>
+                </TableCell>
+                <TableCell>{formatDate(feed.lastAccessedAt)}</TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Copia indirizzo">
+                    <IconButton size="small" onClick={() => handleCopy(feed.url)}>
+                      <CopyIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Revoca">
+                    <IconButton size="small" onClick={() => handleRevoke(feed)} disabled={saving}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default CalendarFeedsPanel;
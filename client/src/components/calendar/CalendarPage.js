@@ -0,0 +1,14 @@
+import React from 'react';
+import { Box, Typography, Paper } from '@mui/material';
+import CalendarFeedsPanel from './CalendarFeedsPanel';
+
+const CalendarPage = () => (
+  <Box>
+    <Typography variant="h4" sx={{ mb: 3 }}>Calendario</Typography>
+    <Paper sx={{ p: 2 }}>
+      <CalendarFeedsPanel />
+    </Paper>
+  </Box>
+);
+
+export default CalendarPage;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Alert,
+  Button,
+  Grid,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { clientService, privacyService } from '../../services/api';
+
+const CONSENT_LABELS = {
+  privacy: 'Informativa privacy',
+  marketing: 'Marketing',
+  thirdParty: 'Comunicazione a terzi'
+};
+
+const CHANNEL_LABELS = {
+  portale: 'Portale cliente',
+  email: 'Email',
+  pec: 'PEC',
+  cartaceo: 'Modulo cartaceo',
+  telefono: 'Telefono',
+  di_persona: 'Di persona',
+  altro: 'Altro'
+};
+
+const ClientConsentPanel = ({ clientId }) => {
+  const [dataConsent, setDataConsent] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [currentPolicy, setCurrentPolicy] = useState(null);
+  const [form, setForm] = useState({ consentType: 'privacy', action: 'granted', channel: 'cartaceo', notes: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchConsents();
+  }, [clientId]);
+
+  const fetchConsents = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [consentsResponse, policyResponse] = await Promise.all([
+        clientService.getClientConsents(clientId),
+        privacyService.getCurrentPolicy().catch(() => null)
+      ]);
+      setDataConsent(consentsResponse.data.data.dataConsent || {});
+      setEvents(consentsResponse.data.data.events);
+      setCurrentPolicy(policyResponse ? policyResponse.data.data.policy : null);
+    } catch (err) {
+      console.error('Errore nel caricamento dei consensi:', err);
+      setError('Impossibile caricare i consensi del cliente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await clientService.recordClientConsent(clientId, form);
+      setForm({ ...form, notes: '' });
+      await fetchConsents();
+    } catch (err) {
+      console.error('Errore nella registrazione del consenso:', err);
+      setError(err.response?.data?.message || 'Impossibile registrare il consenso.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) return <Typography>Caricamento consensi...</Typography>;
+
+  const isOutdated = currentPolicy && dataConsent && dataConsent.consentVersion !== currentPolicy.version;
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {isOutdated && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {dataConsent.consentVersion
+            ? `Il consenso si riferisce alla versione ${dataConsent.consentVersion} dell'informativa; quella in vigore è la ${currentPolicy.version}.`
+            : `Il cliente non ha ancora preso visione dell'informativa in vigore (versione ${currentPolicy.version}).`}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 3 }}>
+        <Chip
+          label={`Informativa: ${dataConsent?.consentVersion || 'non accettata'}`}
+          color={isOutdated ? 'warning' : 'success'}
+        />
+        <Chip label={`Marketing: ${dataConsent?.marketing ? 'Sì' : 'No'}`} />
+        <Chip label={`Terzi: ${dataConsent?.thirdParty ? 'Sì' : 'No'}`} />
+      </Box>
+
+      <Typography variant="subtitle1" gutterBottom>Registra consenso</Typography>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={3}>
+          <TextField select fullWidth size="small" label="Consenso" name="consentType" value={form.consentType} onChange={handleChange}>
+            {Object.entries(CONSENT_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={2}>
+          <TextField select fullWidth size="small" label="Azione" name="action" value={form.action} onChange={handleChange}>
+            <MenuItem value="granted">Concesso</MenuItem>
+            <MenuItem value="withdrawn">Revocato</MenuItem>
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={3}>
+          <TextField select fullWidth size="small" label="Canale" name="channel" value={form.channel} onChange={handleChange}>
+            {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField fullWidth size="small" label="Note" name="notes" value={form.notes} onChange={handleChange} />
+        </Grid>
+        <Grid item xs={12}>
+          <Button variant="contained" onClick={handleSubmit} disabled={saving}>
+            {saving ? 'Salvataggio...' : 'Registra'}
+          </Button>
+        </Grid>
+      </Grid>
+
+      <Typography variant="subtitle1" gutterBottom>Storico consensi</Typography>
+      {events.length === 0 ? (
+        <Typography variant="body1">Nessun consenso registrato per questo cliente.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Data</TableCell>
+              <TableCell>Consenso</TableCell>
+              <TableCell>Azione</TableCell>
+              <TableCell>Versione</TableCell>
+              <TableCell>Canale</TableCell>
+              <TableCell>IP</TableCell>
+              <TableCell>Registrato da</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {events.map((event) => (
+              <TableRow key={event._id}>
+                <TableCell>{new Date(event.occurredAt).toLocaleString('it-IT')}</TableCell>
+                <TableCell>{CONSENT_LABELS[event.consentType] || event.consentType}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={event.action === 'granted' ? 'Concesso' : 'Revocato'}
+                    color={event.action === 'granted' ? 'success' : 'default'}
+                  />
+                </TableCell>
+                <TableCell>{event.policyVersion}</TableCell>
+                <TableCell>{CHANNEL_LABELS[event.channel] || event.channel}</TableCell>
+                <TableCell>{event.ipAddress || '—'}</TableCell>
+                <TableCell>
+                  {event.recordedBy ? `${event.recordedBy.firstName} ${event.recordedBy.lastName}` : '—'}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default ClientConsentPanel;
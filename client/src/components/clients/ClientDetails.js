@@ -13,6 +13,10 @@ import {
 } from '@mui/material';
 import { ArrowBack as ArrowBackIcon } from '@mui/icons-material';
 import { clientService } from '../../services/api';
+import ClientHistoryTimeline from './ClientHistoryTimeline';
+import ClientConsentPanel from './ClientConsentPanel';
+import ClientOnboardingSession from './ClientOnboardingSession';
+import CalendarFeedsPanel from '../calendar/CalendarFeedsPanel';
 
 const ClientDetails = () => {
   const { id } = useParams();
@@ -114,6 +118,10 @@ const ClientDetails = () => {
             <Tab label="Documenti" />
             <Tab label="Procedure" />
             <Tab label="Note" />
+            <Tab label="Storico modifiche" />
+            <Tab label="Consensi privacy" />
+            <Tab label="Onboarding" />
+            <Tab label="Calendario" />
           </Tabs>
         </Box>
         
@@ -140,6 +148,22 @@ const ClientDetails = () => {
             </Typography>
           </Box>
         )}
+        
+        {tabValue === 3 && (
+          <ClientHistoryTimeline clientId={id} />
+        )}
+        
+        {tabValue === 4 && (
+          <ClientConsentPanel clientId={id} />
+        )}
+        
+        {tabValue === 5 && (
+          <ClientOnboardingSession clientId={id} />
+        )}
+        
+        {tabValue === 6 && (
+          <CalendarFeedsPanel clientId={id} />
+        )}
       </Paper>
     </Box>
   );
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  List,
+  ListItem,
+  Chip,
+  Divider,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import { clientService } from '../../services/api';
+
+const REASON_LABELS = {
+  vatNumber: 'Stessa partita IVA',
+  fiscalCode: 'Stesso codice fiscale',
+  legalRepresentative: 'Stesso rappresentante legale',
+  personalFiscalCode: 'CF personale = rappresentante legale',
+  name: 'Nome simile',
+  emailDomain: 'Stesso dominio email'
+};
+
+const ClientDuplicatesDialog = ({ open, onClose, onMerged }) => {
+  const [duplicates, setDuplicates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      fetchDuplicates();
+    }
+  }, [open]);
+
+  const fetchDuplicates = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await clientService.findDuplicates();
+      setDuplicates(response.data.data.duplicates);
+    } catch (err) {
+      console.error('Errore nella ricerca dei duplicati:', err);
+      setError('Impossibile cercare i clienti duplicati. Riprova.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMerge = async (survivor, duplicate) => {
+    const confirmed = window.confirm(
+      `Unire "${duplicate.name}" in "${survivor.name}"? Documenti, procedure e conversazioni verranno spostati e "${duplicate.name}" sarà disattivato.`
+    );
+    if (!confirmed) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await clientService.mergeClients(survivor._id, duplicate._id);
+      const { moved } = response.data.data;
+      setMessage(`"${duplicate.name}" unito in "${survivor.name}": ${moved.documents.length} documenti, ${moved.clientProcedures.length} procedure, ${moved.documentRecords.length} documenti archiviati e ${moved.conversations.length} conversazioni spostati.`);
+      if (onMerged) onMerged();
+      await fetchDuplicates();
+    } catch (err) {
+      console.error('Errore nell\'unione dei clienti:', err);
+      setError(err.response?.data?.error || 'Si è verificato un errore durante l\'unione. Riprova.');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Clienti potenzialmente duplicati</DialogTitle>
+      <DialogContent dividers>
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        {!loading && duplicates.length === 0 && (
+          <Typography variant="body1">
+            Nessun possibile duplicato trovato.
+          </Typography>
+        )}
+
+        <List>
+          {duplicates.map((pair) => {
+            const [first, second] = pair.clients;
+            return (
+              <React.Fragment key={`${first._id}-${second._id}`}>
+                <ListItem sx={{ display: 'block' }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                    <Typography variant="subtitle1">
+                      {first.name} ({first.fiscalCode}) — {second.name} ({second.fiscalCode})
+                    </Typography>
+                    <Chip label={`${Math.round(pair.score * 100)}%`} color={pair.score >= 0.9 ? 'error' : 'warning'} size="small" />
+                  </Box>
+                  <Box sx={{ mb: 1 }}>
+                    {pair.reasons.map((reason) => (
+                      <Chip
+                        key={reason.type}
+                        label={REASON_LABELS[reason.type] || reason.type}
+                        variant="outlined"
+                        size="small"
+                        sx={{ mr: 1, mb: 1 }}
+                      />
+                    ))}
+                  </Box>
+                  <Button size="small" onClick={() => handleMerge(first, second)} disabled={loading} sx={{ mr: 1 }}>
+                    Mantieni {first.name}
+                  </Button>
+                  <Button size="small" onClick={() => handleMerge(second, first)} disabled={loading}>
+                    Mantieni {second.name}
+                  </Button>
+                </ListItem>
+                <Divider />
+              </React.Fragment>
+            );
+          })}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Chiudi</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ClientDuplicatesDialog;
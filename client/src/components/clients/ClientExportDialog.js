@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  FormControl,
+  FormLabel,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  Alert,
+  LinearProgress
+} from '@mui/material';
+import { clientService } from '../../services/api';
+
+const FORMAT_LABELS = {
+  csv: 'CSV',
+  xlsx: 'Excel (XLSX)',
+  json: 'JSON'
+};
+
+const ClientExportDialog = ({ open, onClose, filters }) => {
+  const [columns, setColumns] = useState([]);
+  const [selectedColumns, setSelectedColumns] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open && columns.length === 0) {
+      fetchColumns();
+    }
+  }, [open]);
+
+  const fetchColumns = async () => {
+    try {
+      const response = await clientService.getExportColumns();
+      setColumns(response.data.data.columns);
+      setSelectedColumns(response.data.data.defaultColumns);
+    } catch (err) {
+      console.error('Errore nel caricamento delle colonne:', err);
+      setError('Impossibile caricare le colonne esportabili.');
+    }
+  };
+
+  const handleToggleColumn = (key) => {
+    setSelectedColumns(selectedColumns.includes(key)
+      ? selectedColumns.filter(column => column !== key)
+      : [...selectedColumns, key]);
+  };
+
+  const handleExport = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      // Le colonne vengono inviate nell'ordine in cui compaiono nell'elenco
+      const orderedColumns = columns
+        .map(column => column.key)
+        .filter(key => selectedColumns.includes(key));
+
+      const response = await clientService.exportClients({
+        ...filters,
+        format,
+        columns: orderedColumns.join(',')
+      });
+
+      // Scarica il file generato dal server
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `clienti_${new Date().toISOString().substring(0, 10)}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+
+      onClose();
+    } catch (err) {
+      console.error('Errore nell\'esportazione dei clienti:', err);
+      setError('Si è verificato un errore durante l\'esportazione. Riprova.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Esporta clienti</DialogTitle>
+      <DialogContent dividers>
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Verranno esportati i clienti che corrispondono ai filtri attualmente applicati all'elenco.
+        </Typography>
+
+        <FormControl sx={{ mb: 3 }}>
+          <FormLabel>Formato</FormLabel>
+          <RadioGroup row value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.keys(FORMAT_LABELS).map(key => (
+              <FormControlLabel key={key} value={key} control={<Radio />} label={FORMAT_LABELS[key]} />
+            ))}
+          </RadioGroup>
+        </FormControl>
+
+        <FormControl component="fieldset" fullWidth>
+          <FormLabel>Colonne</FormLabel>
+          <Box sx={{ display: 'flex', gap: 1, my: 1 }}>
+            <Button size="small" onClick={() => setSelectedColumns(columns.map(column => column.key))}>
+              Seleziona tutte
+            </Button>
+            <Button size="small" onClick={() => setSelectedColumns([])}>
+              Deseleziona tutte
+            </Button>
+          </Box>
+          <FormGroup sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr', md: '1fr 1fr 1fr' } }}>
+            {columns.map(column => (
+              <FormControlLabel
+                key={column.key}
+                control={
+                  <Checkbox
+                    checked={selectedColumns.includes(column.key)}
+                    onChange={() => handleToggleColumn(column.key)}
+                    size="small"
+                  />
+                }
+                label={column.label}
+              />
+            ))}
+          </FormGroup>
+        </FormControl>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Annulla</Button>
+        <Button
+          variant="contained"
+          color="primary"
+          onClick={handleExport}
+          disabled={loading || selectedColumns.length === 0}
+        >
+          Esporta
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ClientExportDialog;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Alert,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { History as HistoryIcon } from '@mui/icons-material';
+import { clientService } from '../../services/api';
+
+const FIELD_LABELS = {
+  name: 'Nome',
+  fiscalCode: 'Codice Fiscale',
+  vatNumber: 'Partita IVA',
+  companyType: 'Tipo Società',
+  accountingRegime: 'Regime Contabile',
+  businessSector: 'Settore',
+  'contactInfo.email': 'Email',
+  'contactInfo.phone': 'Telefono',
+  'contactInfo.address.street': 'Indirizzo',
+  'contactInfo.address.city': 'Città',
+  'contactInfo.address.province': 'Provincia',
+  'contactInfo.address.postalCode': 'CAP',
+  'legalRepresentative.firstName': 'Nome Rappresentante',
+  'legalRepresentative.lastName': 'Cognome Rappresentante',
+  'legalRepresentative.fiscalCode': 'CF Rappresentante',
+  'onboarding.status': 'Stato Onboarding',
+  services: 'Servizi',
+  tags: 'Tag',
+  notes: 'Note',
+  isActive: 'Attivo'
+};
+
+const SOURCE_LABELS = {
+  api: 'Gestionale',
+  import: 'Importazione',
+  merge: 'Unione duplicati',
+  onboarding: 'Onboarding',
+  portal: 'Portale cliente',
+  system: 'Sistema'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatValue).join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 'Sì' : 'No';
+  return String(value);
+};
+
+const ClientHistoryTimeline = ({ clientId }) => {
+  const [history, setHistory] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchHistory(1);
+  }, [clientId]);
+
+  const fetchHistory = async (pageToLoad) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await clientService.getClientHistory(clientId, { page: pageToLoad });
+      const entries = response.data.data.history;
+      setHistory(pageToLoad === 1 ? entries : [...history, ...entries]);
+      setPage(pageToLoad);
+      setTotalPages(response.data.pagination.totalPages);
+    } catch (err) {
+      console.error('Errore nel caricamento dello storico:', err);
+      setError('Impossibile caricare lo storico delle modifiche.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (error) return <Alert severity="error">{error}</Alert>;
+  if (!loading && history.length === 0) {
+    return <Typography variant="body1">Nessuna modifica registrata per questo cliente.</Typography>;
+  }
+
+  return (
+    <Box>
+      {history.map((entry) => (
+        <Box key={entry._id} sx={{ display: 'flex', mb: 2 }}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', mr: 2 }}>
+            <HistoryIcon color="primary" fontSize="small" />
+            <Box sx={{ flexGrow: 1, width: 2, bgcolor: 'divider', mt: 1 }} />
+          </Box>
+          <Paper variant="outlined" sx={{ p: 2, flexGrow: 1 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle2">
+                {new Date(entry.changedAt).toLocaleString('it-IT')}
+                {' — '}
+                {entry.changedBy
+                  ? `${entry.changedBy.firstName} ${entry.changedBy.lastName}`
+                  : 'Utente non disponibile'}
+              </Typography>
+              <Chip label={SOURCE_LABELS[entry.source] || entry.source} size="small" />
+            </Box>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Campo</TableCell>
+                  <TableCell>Valore precedente</TableCell>
+                  <TableCell>Nuovo valore</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entry.changes.map((change) => (
+                  <TableRow key={change.field}>
+                    <TableCell>{FIELD_LABELS[change.field] || change.field}</TableCell>
+                    <TableCell sx={{ color: 'text.secondary' }}>{formatValue(change.oldValue)}</TableCell>
+                    <TableCell>{formatValue(change.newValue)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        </Box>
+      ))}
+
+      {loading && <Typography>Caricamento storico...</Typography>}
+
+      {!loading && page < totalPages && (
+        <Button onClick={() => fetchHistory(page + 1)}>
+          Carica modifiche precedenti
+        </Button>
+      )}
+    </Box>
+  );
+};
+
+export default ClientHistoryTimeline;
@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Alert,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import { clientService } from '../../services/api';
+
+const ACTION_LABELS = {
+  create: { label: 'Da creare', color: 'success' },
+  invalid: { label: 'Non valida', color: 'error' },
+  skip: { label: 'Duplicata nel file', color: 'default' },
+  duplicate: { label: 'Già presente', color: 'warning' }
+};
+
+const ClientImportDialog = ({ open, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFile(null);
+    setReport(null);
+    setDecisions({});
+    setResult(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const selectedFile = e.target.files[0];
+    if (!selectedFile) return;
+
+    reset();
+    setFile(selectedFile);
+    setLoading(true);
+
+    try {
+      // Prima analisi senza salvare (dry-run)
+      const response = await clientService.importClients(selectedFile, { dryRun: true });
+      const importReport = response.data.data.report;
+
+      // Per default i duplicati vengono saltati
+      const defaultDecisions = {};
+      importReport.rows
+        .filter(row => row.action === 'duplicate')
+        .forEach(row => { defaultDecisions[row.rowNumber] = 'skip'; });
+
+      setReport(importReport);
+      setDecisions(defaultDecisions);
+    } catch (err) {
+      console.error('Errore nell\'analisi del file:', err);
+      setError(err.response?.data?.error || 'Impossibile analizzare il file. Verifica il formato e riprova.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDecisionChange = (rowNumber, value) => {
+    if (!value) return;
+    setDecisions({ ...decisions, [rowNumber]: value });
+  };
+
+  const handleConfirm = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await clientService.importClients(file, { dryRun: false, decisions });
+      setResult(response.data.data.result);
+      if (onImported) onImported();
+    } catch (err) {
+      console.error('Errore nell\'importazione dei clienti:', err);
+      setError(err.response?.data?.error || 'Si è verificato un errore durante l\'importazione. Riprova.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Importa clienti da CSV/XLSX</DialogTitle>
+      <DialogContent dividers>
+        {!result && (
+          <Box sx={{ mb: 2 }}>
+            <Button variant="outlined" component="label" startIcon={<UploadFileIcon />}>
+              {file ? file.name : 'Seleziona file'}
+              <input type="file" hidden accept=".csv,.xlsx" onChange={handleFileChange} />
+            </Button>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              La prima riga deve contenere le intestazioni (es. Nome, Codice Fiscale, Partita IVA, Email, Indirizzo, Città, Provincia, CAP).
+            </Typography>
+          </Box>
+        )}
+
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {report && !result && (
+          <>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              {report.totalRows} righe analizzate: {report.summary.valid} da creare, {report.summary.invalid} non valide, {report.summary.duplicates} già presenti, {report.summary.duplicatesInFile} duplicate nel file.
+              {report.unmappedColumns.length > 0 && ` Colonne ignorate: ${report.unmappedColumns.join(', ')}.`}
+            </Alert>
+
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Riga</TableCell>
+                    <TableCell>Nome</TableCell>
+                    <TableCell>Codice Fiscale</TableCell>
+                    <TableCell>Esito</TableCell>
+                    <TableCell>Dettagli</TableCell>
+                    <TableCell>Azione</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {report.rows.map((row) => (
+                    <TableRow key={row.rowNumber}>
+                      <TableCell>{row.rowNumber}</TableCell>
+                      <TableCell>{row.data.name || '-'}</TableCell>
+                      <TableCell>{row.data.fiscalCode || '-'}</TableCell>
+                      <TableCell>
+                        <Chip
+                          label={ACTION_LABELS[row.action].label}
+                          color={ACTION_LABELS[row.action].color}
+                          size="small"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {row.errors.map((err) => (
+                          <Typography key={err.field + err.message} variant="body2" color="error">
+                            {err.message}
+                          </Typography>
+                        ))}
+                        {row.warnings.map((warning) => (
+                          <Typography key={warning.field + warning.message} variant="body2" color="text.secondary">
+                            {warning.message}
+                          </Typography>
+                        ))}
+                        {row.duplicates.inDatabase && (
+                          <Typography variant="body2">
+                            Corrisponde a "{row.duplicates.inDatabase.name}"
+                          </Typography>
+                        )}
+                        {row.duplicates.inFile && (
+                          <Typography variant="body2">
+                            Uguale alla riga {row.duplicates.inFile.rowNumber}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {row.action === 'duplicate' && (
+                          <ToggleButtonGroup
+                            size="small"
+                            exclusive
+                            value={decisions[row.rowNumber]}
+                            onChange={(e, value) => handleDecisionChange(row.rowNumber, value)}
+                          >
+                            <ToggleButton value="merge">Unisci</ToggleButton>
+                            <ToggleButton value="skip">Salta</ToggleButton>
+                          </ToggleButtonGroup>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+
+        {result && (
+          <Alert severity={result.summary.failed > 0 ? 'warning' : 'success'}>
+            Importazione completata: {result.summary.created} clienti creati, {result.summary.merged} uniti, {result.summary.skipped} saltati, {result.summary.failed} con errori.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>
+          {result ? 'Chiudi' : 'Annulla'}
+        </Button>
+        {report && !result && (
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={handleConfirm}
+            disabled={loading || (report.summary.valid + report.summary.duplicates) === 0}
+          >
+            Conferma importazione
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ClientImportDialog;
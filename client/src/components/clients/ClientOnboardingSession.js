@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Grid,
+  Alert,
+  Stepper,
+  Step,
+  StepButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Chip,
+  Divider
+} from '@mui/material';
+import { clientService } from '../../services/api';
+import PortalQuestionField, { isQuestionVisible } from '../portal/PortalQuestionField';
+
+const PHASE_LABELS = {
+  initial: 'Tipo di cliente',
+  personal_info: 'Dati anagrafici',
+  business_info: 'Dati aziendali',
+  fiscal_data: 'Dati fiscali',
+  documents: 'Documenti',
+  services: 'Servizi',
+  review: 'Riepilogo',
+  completed: 'Completato'
+};
+
+const PHASES = ['initial', 'personal_info', 'business_info', 'fiscal_data', 'documents', 'services', 'review'];
+
+const formatAnswer = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Sì' : 'No';
+  if (typeof value === 'object') return Object.values(value).filter(Boolean).join(', ');
+  return String(value);
+};
+
+const ClientOnboardingSession = ({ clientId }) => {
+  const [session, setSession] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSession();
+  }, [clientId]);
+
+  const applyState = (state) => {
+    setSession(state);
+    setAnswers(state.answers || {});
+  };
+
+  const fetchSession = async () => {
+    setError(null);
+
+    try {
+      const [sessionResponse, historyResponse] = await Promise.all([
+        clientService.getOnboardingSession(clientId),
+        clientService.getOnboardingAnswers(clientId)
+      ]);
+      applyState(sessionResponse.data.data);
+      setHistory(historyResponse.data.data.history);
+    } catch (err) {
+      console.error('Errore nel caricamento della sessione di onboarding:', err);
+      setError('Impossibile caricare la sessione di onboarding.');
+    }
+  };
+
+  const handleSave = async (submit) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await clientService.saveOnboardingAnswers(clientId, {
+        answers,
+        phase: session.currentPhase,
+        submit
+      });
+      setMessage(submit ? 'Fase confermata.' : 'Bozza salvata.');
+      await fetchSession();
+    } catch (err) {
+      console.error('Errore nel salvataggio delle risposte:', err);
+      setError(err.response?.data?.message || 'Impossibile salvare le risposte.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChangePhase = async (phase) => {
+    setError(null);
+
+    try {
+      const response = await clientService.changeOnboardingPhase(clientId, phase);
+      applyState(response.data.data);
+    } catch (err) {
+      console.error('Errore nel cambio di fase:', err);
+      setError(err.response?.data?.message || 'Impossibile tornare alla fase selezionata.');
+    }
+  };
+
+  if (!session) {
+    return error ? <Alert severity="error">{error}</Alert> : <Typography>Caricamento sessione...</Typography>;
+  }
+
+  const questions = session.questions.filter((q) => q.type !== 'file' && isQuestionVisible(q, answers));
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Stepper nonLinear activeStep={PHASES.indexOf(session.currentPhase)} sx={{ mb: 3 }}>
+        {PHASES.map((phase) => (
+          <Step key={phase} completed={session.completedPhases.includes(phase)}>
+            <StepButton
+              onClick={() => handleChangePhase(phase)}
+              disabled={!session.availablePhases.includes(phase)}
+            >
+              {PHASE_LABELS[phase]}
+            </StepButton>
+          </Step>
+        ))}
+      </Stepper>
+
+      {session.status === 'completed' && session.currentPhase === 'completed' ? (
+        <Alert severity="success">Questionario di onboarding completato.</Alert>
+      ) : (
+        <>
+          <Typography variant="h6" gutterBottom>{PHASE_LABELS[session.currentPhase]}</Typography>
+          {session.lastActivityAt && (
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 2 }}>
+              Ultima modifica: {new Date(session.lastActivityAt).toLocaleString('it-IT')}
+            </Typography>
+          )}
+          <Grid container spacing={2}>
+            {questions.map((question) => (
+              <Grid item xs={12} key={question.id}>
+                <PortalQuestionField
+                  question={question}
+                  value={answers[question.id]}
+                  onChange={(value) => setAnswers({ ...answers, [question.id]: value })}
+                />
+              </Grid>
+            ))}
+          </Grid>
+          <Box sx={{ display: 'flex', gap: 1, mt: 3 }}>
+            <Button variant="outlined" onClick={() => handleSave(false)} disabled={saving}>
+              Salva bozza
+            </Button>
+            <Button variant="contained" onClick={() => handleSave(true)} disabled={saving}>
+              Conferma fase
+            </Button>
+          </Box>
+        </>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="subtitle1" gutterBottom>Storico risposte</Typography>
+      {history.length === 0 ? (
+        <Typography variant="body2">Nessuna risposta registrata.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Data</TableCell>
+              <TableCell>Fase</TableCell>
+              <TableCell>Domanda</TableCell>
+              <TableCell>Risposta</TableCell>
+              <TableCell>Autore</TableCell>
+              <TableCell>Stato</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {history.map((entry) => (
+              <TableRow key={entry._id}>
+                <TableCell>{new Date(entry.answeredAt).toLocaleString('it-IT')}</TableCell>
+                <TableCell>{PHASE_LABELS[entry.phase] || entry.phase}</TableCell>
+                <TableCell>{entry.questionId}</TableCell>
+                <TableCell>{formatAnswer(entry.value)}</TableCell>
+                <TableCell>
+                  {entry.answeredBy
+                    ? `${entry.answeredBy.firstName} ${entry.answeredBy.lastName}`
+                    : (entry.source === 'portal' ? 'Cliente (portale)' : '—')}
+                </TableCell>
+                <TableCell>
+                  <Chip size="small" label={entry.submitted ? 'Confermata' : 'Bozza'} color={entry.submitted ? 'success' : 'default'} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default ClientOnboardingSession;
@@ -24,9 +24,15 @@ import {
   Edit as EditIcon,
   Delete as DeleteIcon,
   Visibility as ViewIcon,
-  Search as SearchIcon
+  Search as SearchIcon,
+  UploadFile as UploadFileIcon,
+  Download as DownloadIcon,
+  MergeType as MergeIcon
 } from '@mui/icons-material';
 import { clientService } from '../../services/api';
+import ClientImportDialog from './ClientImportDialog';
+import ClientExportDialog from './ClientExportDialog';
+import ClientDuplicatesDialog from './ClientDuplicatesDialog';
 
 const ClientsList = () => {
   const [clients, setClients] = useState([]);
@@ -35,6 +41,9 @@ const ClientsList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [importOpen, setImportOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [duplicatesOpen, setDuplicatesOpen] = useState(false);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -155,16 +164,63 @@ const ClientsList = () => {
         <Typography variant="h5" component="h1">
           Clienti
         </Typography>
-        <Button
-          variant="contained"
-          color="primary"
-          startIcon={<AddIcon />}
-          onClick={() => navigate('/clients/new')}
-        >
-          Nuovo Cliente
-        </Button>
+        <Box>
+          <Button
+            variant="outlined"
+            color="primary"
+            startIcon={<UploadFileIcon />}
+            onClick={() => setImportOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Importa
+          </Button>
+          <Button
+            variant="outlined"
+            color="primary"
+            startIcon={<DownloadIcon />}
+            onClick={() => setExportOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Esporta
+          </Button>
+          <Button
+            variant="outlined"
+            color="primary"
+            startIcon={<MergeIcon />}
+            onClick={() => setDuplicatesOpen(true)}
+            sx={{ mr: 1 }}
+          >
+            Duplicati
+          </Button>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={() => navigate('/clients/new')}
+          >
+            Nuovo Cliente
+          </Button>
+        </Box>
       </Box>
 
+      <ClientImportDialog
+        open={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={fetchClients}
+      />
+
+      <ClientExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        filters={searchTerm ? { search: searchTerm } : {}}
+      />
+
+      <ClientDuplicatesDialog
+        open={duplicatesOpen}
+        onClose={() => setDuplicatesOpen(false)}
+        onMerged={fetchClients}
+      />
+
       <Paper sx={{ mb: 3, p: 2 }}>
         <TextField
           fullWidth
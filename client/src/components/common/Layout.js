@@ -17,8 +17,7 @@ import {
   Avatar,
   Menu,
   MenuItem,
-  CssBaseline,
-  Badge
+  CssBaseline
 } from '@mui/material';
 import {
   Menu as MenuIcon,
@@ -29,10 +28,12 @@ import {
   AssignmentOutlined as ProceduresIcon,
   SmartToy as AssistantIcon,
   AccountCircle as AccountIcon,
-  Notifications as NotificationsIcon,
+  QuizOutlined as QuestionnaireIcon,
   Logout as LogoutIcon,
+  EventOutlined as CalendarIcon,
   Settings as SettingsIcon
 } from '@mui/icons-material';
+import NotificationsMenu from './NotificationsMenu';
 
 const drawerWidth = 240;
 
@@ -114,7 +115,9 @@ const Layout = () => {
     { text: 'Assistente AI', icon: <AssistantIcon />, path: '/assistant' },
     { text: 'Procedure', icon: <ProceduresIcon />, path: '/procedures' },
     { text: 'Documenti', icon: <DocumentsIcon />, path: '/documents' },
-  ];
+    { text: 'Calendario', icon: <CalendarIcon />, path: '/calendar' },
+    { text: 'Questionario', icon: <QuestionnaireIcon />, path: '/settings/onboarding-questions', adminOnly: true },
+  ].filter((item) => !item.adminOnly || currentUser?.role === 'admin');
 
   return (
     <Box sx={{ display: 'flex' }}>
@@ -134,11 +137,7 @@ const Layout = () => {
             Assistente Biliato
           </Typography>
           
-          <IconButton color="inherit">
-            <Badge badgeContent={4} color="error">
-              <NotificationsIcon />
-            </Badge>
-          </IconButton>
+          <NotificationsMenu />
           
           <div>
             <IconButton
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  IconButton,
+  Badge,
+  Menu,
+  MenuItem,
+  ListItemText,
+  Typography,
+  Divider,
+  Button,
+  Box
+} from '@mui/material';
+import { Notifications as NotificationsIcon } from '@mui/icons-material';
+import { notificationService } from '../../services/api';
+
+// Intervallo di aggiornamento delle notifiche (1 minuto)
+const POLL_INTERVAL = 60 * 1000;
+
+const NotificationsMenu = () => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await notificationService.getNotifications({ limit: 10 });
+      setNotifications(response.data.data.notifications);
+      setUnreadCount(response.data.data.unreadCount);
+    } catch (err) {
+      console.error('Errore nel caricamento delle notifiche:', err);
+    }
+  };
+
+  const handleOpen = (event) => {
+    setAnchorEl(event.currentTarget);
+  };
+
+  const handleClose = () => {
+    setAnchorEl(null);
+  };
+
+  const handleSelect = async (notification) => {
+    handleClose();
+
+    if (!notification.readAt) {
+      try {
+        await notificationService.markAsRead([notification._id]);
+        fetchNotifications();
+      } catch (err) {
+        console.error('Errore nell\'aggiornamento della notifica:', err);
+      }
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markAsRead();
+      fetchNotifications();
+    } catch (err) {
+      console.error('Errore nell\'aggiornamento delle notifiche:', err);
+    }
+  };
+
+  return (
+    <>
+      <IconButton color="inherit" onClick={handleOpen}>
+        <Badge badgeContent={unreadCount} color="error">
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={handleClose}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+        PaperProps={{ sx: { width: 360, maxHeight: 480 } }}
+      >
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+          <Typography variant="subtitle1">Notifiche</Typography>
+          {unreadCount > 0 && (
+            <Button size="small" onClick={handleMarkAllRead}>Segna tutte come lette</Button>
+          )}
+        </Box>
+        <Divider />
+        {notifications.length === 0 && (
+          <MenuItem disabled>
+            <ListItemText primary="Nessuna notifica" />
+          </MenuItem>
+        )}
+        {notifications.map((notification) => (
+          <MenuItem
+            key={notification._id}
+            onClick={() => handleSelect(notification)}
+            sx={{ whiteSpace: 'normal', bgcolor: notification.readAt ? 'inherit' : 'action.hover' }}
+          >
+            <ListItemText
+              primary={notification.title}
+              secondary={`${notification.message || ''} — ${new Date(notification.createdAt).toLocaleString('it-IT')}`}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationsMenu;
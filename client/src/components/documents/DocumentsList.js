@@ -29,9 +29,11 @@ import {
   PictureAsPdf as PdfIcon,
   TextSnippet as DocxIcon,
   InsertDriveFile as FileIcon,
-  Search as SearchIcon
+  Search as SearchIcon,
+  Email as EmailIcon
 } from '@mui/icons-material';
 import { documentService } from '../../services/api';
+import SendDocumentDialog from './SendDocumentDialog';
 
 const DocumentsList = () => {
   const [documents, setDocuments] = useState([]);
@@ -40,6 +42,7 @@ const DocumentsList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [sendingDocument, setSendingDocument] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -132,14 +135,23 @@ const DocumentsList = () => {
         <Typography variant="h5" component="h1">
           Documenti
         </Typography>
-        <Button
-          variant="contained"
-          color="primary"
-          startIcon={<AddIcon />}
-          onClick={() => navigate('/documents/generate')}
-        >
-          Genera Nuovo Documento
-        </Button>
+        <Stack direction="row" spacing={1}>
+          <Button
+            variant="outlined"
+            startIcon={<DescriptionIcon />}
+            onClick={() => navigate('/documents/templates')}
+          >
+            Template
+          </Button>
+          <Button
+            variant="contained"
+            color="primary"
+            startIcon={<AddIcon />}
+            onClick={() => navigate('/documents/generate')}
+          >
+            Genera Nuovo Documento
+          </Button>
+        </Stack>
       </Box>
 
       <Paper sx={{ mb: 3, p: 2 }}>
@@ -228,6 +240,14 @@ const DocumentsList = () => {
                       >
                         <DownloadIcon />
                       </IconButton>
+                      <IconButton 
+                        size="small" 
+                        color="primary" 
+                        title="Invia via email"
+                        onClick={() => setSendingDocument(doc)}
+                      >
+                        <EmailIcon />
+                      </IconButton>
                       <IconButton 
                         size="small" 
                         color="error" 
@@ -255,6 +275,12 @@ const DocumentsList = () => {
           labelDisplayedRows={({ from, to, count }) => `${from}-${to} di ${count}`}
         />
       </TableContainer>
+
+      <SendDocumentDialog
+        open={Boolean(sendingDocument)}
+        document={sendingDocument}
+        onClose={() => setSendingDocument(null)}
+      />
     </Box>
   );
 };
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+  Typography,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import { Send as SendIcon, Replay as RetryIcon } from '@mui/icons-material';
+import { documentService } from '../../services/api';
+
+const STATUS_LABELS = {
+  queued: { label: 'In coda', color: 'warning' },
+  sending: { label: 'In invio', color: 'info' },
+  sent: { label: 'Inviato', color: 'success' },
+  delivered: { label: 'Consegnato', color: 'success' },
+  bounced: { label: 'Respinto', color: 'error' },
+  failed: { label: 'Non riuscito', color: 'error' }
+};
+
+const splitEmails = (value) => value.split(/[,;\s]+/).map(email => email.trim()).filter(Boolean);
+
+/**
+ * Invio di un documento via email o PEC e storico degli invii. Se il server
+ * di posta non è raggiungibile l'invio resta in coda e viene ritentato; per
+ * la PEC l'invio risulta consegnato all'arrivo della ricevuta di consegna
+ */
+const SendDocumentDialog = ({ open, document, onClose }) => {
+  const [channel, setChannel] = useState('email');
+  const [form, setForm] = useState({ email: '', cc: '', subject: '', message: '' });
+  const [deliveries, setDeliveries] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (open && document) {
+      setForm({ email: document.clientEmail || '', cc: '', subject: '', message: '' });
+      setError(null);
+      setMessage(null);
+      fetchDeliveries();
+    }
+  }, [open, document]);
+
+  const fetchDeliveries = async () => {
+    try {
+      const response = await documentService.getDeliveries(document.id);
+      setDeliveries(response.data.data.deliveries);
+    } catch (err) {
+      console.error('Errore nel caricamento degli invii:', err);
+      setDeliveries([]);
+    }
+  };
+
+  const runAction = async (action) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const result = await action();
+      await fetchDeliveries();
+      return result;
+    } catch (err) {
+      console.error('Errore nell\'invio del documento:', err);
+      setError(err.response?.data?.error || err.response?.data?.message || 'Invio non riuscito.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSend = () => runAction(async () => {
+    const data = {
+      email: splitEmails(form.email),
+      cc: splitEmails(form.cc),
+      subject: form.subject || undefined,
+      message: form.message || undefined
+    };
+    const response = channel === 'pec'
+      ? await documentService.sendByPec(document.id, data)
+      : await documentService.sendByEmail(document.id, data);
+    const delivery = channel === 'pec' ? response.data.data.delivery : response.data.delivery;
+
+    if (delivery.status === 'queued') {
+      setMessage('Server di posta non raggiungibile: l\'invio verrà ritentato automaticamente.');
+    } else {
+      setMessage(channel === 'pec' ? 'PEC inviata: lo stato si aggiornerà all\'arrivo delle ricevute.' : 'Documento inviato.');
+    }
+  });
+
+  const handleRetry = (delivery) => runAction(async () => {
+    await documentService.retryDelivery(delivery._id);
+    setMessage('Nuovo tentativo eseguito.');
+  });
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Invia documento: {document?.name}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={channel}
+          onChange={(e, value) => value && setChannel(value)}
+          sx={{ mb: 1 }}
+        >
+          <ToggleButton value="email">Email</ToggleButton>
+          <ToggleButton value="pec">PEC</ToggleButton>
+        </ToggleButtonGroup>
+
+        <TextField
+          fullWidth
+          margin="dense"
+          label={channel === 'pec' ? 'Indirizzi PEC dei destinatari' : 'Destinatari'}
+          helperText="Più indirizzi separati da virgola"
+          value={form.email}
+          onChange={(e) => setForm({ ...form, email: e.target.value })}
+        />
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Copia conoscenza"
+          value={form.cc}
+          onChange={(e) => setForm({ ...form, cc: e.target.value })}
+        />
+        <TextField
+          fullWidth
+          margin="dense"
+          label="Oggetto"
+          placeholder="Documento {{documentName}} - {{clientName}}"
+          value={form.subject}
+          onChange={(e) => setForm({ ...form, subject: e.target.value })}
+        />
+        <TextField
+          fullWidth
+          multiline
+          minRows={3}
+          margin="dense"
+          label="Messaggio"
+          value={form.message}
+          onChange={(e) => setForm({ ...form, message: e.target.value })}
+        />
+
+        <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>Invii precedenti</Typography>
+        {deliveries.length === 0 ? (
+          <Typography variant="body2">Nessun invio.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Data</TableCell>
+                <TableCell>Canale</TableCell>
+                <TableCell>Destinatari</TableCell>
+                <TableCell>Stato</TableCell>
+                <TableCell>Tentativi</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {deliveries.map((delivery) => {
+                const status = STATUS_LABELS[delivery.status] || { label: delivery.status, color: 'default' };
+                return (
+                  <TableRow key={delivery._id}>
+                    <TableCell>{new Date(delivery.createdAt).toLocaleString('it-IT')}</TableCell>
+                    <TableCell>{delivery.channel === 'pec' ? 'PEC' : 'Email'}</TableCell>
+                    <TableCell>{delivery.to.join(', ')}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={status.label} color={status.color} title={delivery.error || ''} />
+                    </TableCell>
+                    <TableCell>{delivery.attempts}</TableCell>
+                    <TableCell align="right">
+                      {['failed', 'bounced'].includes(delivery.status) && (
+                        <Button size="small" startIcon={<RetryIcon />} onClick={() => handleRetry(delivery)} disabled={saving}>
+                          Ritenta
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Chiudi</Button>
+        <Button
+          variant="contained"
+          startIcon={<SendIcon />}
+          onClick={handleSend}
+          disabled={saving || splitEmails(form.email).length === 0}
+        >
+          Invia
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SendDocumentDialog;
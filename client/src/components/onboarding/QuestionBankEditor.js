@@ -0,0 +1,400 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  Grid,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Tabs,
+  Tab,
+  Divider
+} from '@mui/material';
+import { Edit as EditIcon, Delete as DeleteIcon, Add as AddIcon } from '@mui/icons-material';
+import { questionBankService } from '../../services/api';
+import PortalQuestionField, { isQuestionVisible } from '../portal/PortalQuestionField';
+import QuestionEditDialog, { PHASE_LABELS, CLIENT_TYPE_LABELS, TAX_REGIMES } from './QuestionEditDialog';
+
+const STATUS_LABELS = {
+  draft: { label: 'Bozza', color: 'warning' },
+  published: { label: 'In uso', color: 'success' },
+  archived: { label: 'Archiviata', color: 'default' }
+};
+
+const QuestionBankEditor = () => {
+  const [versions, setVersions] = useState([]);
+  const [bank, setBank] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [view, setView] = useState('questions');
+  const [previewContext, setPreviewContext] = useState({ clientType: 'individual', taxRegime: 'Forfettario' });
+  const [previewAnswers, setPreviewAnswers] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchVersions();
+  }, []);
+
+  const fetchVersions = async (versionToOpen) => {
+    setError(null);
+
+    try {
+      const response = await questionBankService.getVersions();
+      const list = response.data.data.versions;
+      setVersions(list);
+
+      const target = versionToOpen ||
+        (list.find((v) => v.status === 'draft') || list.find((v) => v.status === 'published') || {}).version;
+      if (target) {
+        await openVersion(target);
+      } else {
+        // Nessuna versione salvata: la versione in uso crea quella predefinita
+        await questionBankService.getActiveVersion();
+        const seeded = await questionBankService.getVersions();
+        setVersions(seeded.data.data.versions);
+        if (seeded.data.data.versions.length > 0) {
+          await openVersion(seeded.data.data.versions[0].version);
+        }
+      }
+    } catch (err) {
+      console.error('Errore nel caricamento delle versioni del questionario:', err);
+      setError(err.response?.data?.message || 'Impossibile caricare il questionario.');
+    }
+  };
+
+  const openVersion = async (version) => {
+    const response = await questionBankService.getVersion(version);
+    const loaded = response.data.data.bank;
+    setBank(loaded);
+    setQuestions(loaded.questions);
+    setDirty(false);
+    setPreview(null);
+  };
+
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      console.error('Errore nella gestione del questionario:', err);
+      setError(err.response?.data?.message || 'Operazione non riuscita.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateDraft = () => runAction(async () => {
+    const response = await questionBankService.createDraft({ basedOnVersion: bank ? bank.version : undefined });
+    await fetchVersions(response.data.data.bank.version);
+  }, 'Bozza creata: modifica le domande e pubblicala quando è pronta.');
+
+  const handleSaveDraft = () => runAction(async () => {
+    await questionBankService.updateDraft(bank.version, { questions });
+    await fetchVersions(bank.version);
+  }, 'Bozza salvata.');
+
+  const handlePublish = () => {
+    if (!window.confirm(`Pubblicare la versione ${bank.version}? Diventerà il questionario usato per tutti i nuovi clienti.`)) return;
+
+    runAction(async () => {
+      if (dirty) {
+        await questionBankService.updateDraft(bank.version, { questions });
+      }
+      await questionBankService.publishDraft(bank.version);
+      await fetchVersions(bank.version);
+    }, 'Questionario pubblicato.');
+  };
+
+  const handleDeleteDraft = () => {
+    if (!window.confirm('Eliminare la bozza? Le modifiche non pubblicate andranno perse.')) return;
+
+    runAction(async () => {
+      await questionBankService.deleteDraft(bank.version);
+      setBank(null);
+      await fetchVersions();
+    }, 'Bozza eliminata.');
+  };
+
+  const handlePreview = () => runAction(async () => {
+    if (dirty) {
+      await questionBankService.updateDraft(bank.version, { questions });
+      setDirty(false);
+    }
+    const response = await questionBankService.previewVersion(bank.version, { ...previewContext, answers: previewAnswers });
+    setPreview(response.data.data);
+  });
+
+  const handleSaveQuestion = (question) => {
+    const updated = editing
+      ? questions.map((q) => (q === editing ? question : q))
+      : [...questions, question];
+    setQuestions(updated);
+    setDirty(true);
+    setDialogOpen(false);
+    setEditing(null);
+  };
+
+  const handleRemoveQuestion = (question) => {
+    setQuestions(questions.filter((q) => q !== question));
+    setDirty(true);
+  };
+
+  const isDraft = bank && bank.status === 'draft';
+  const hasDraft = versions.some((v) => v.status === 'draft');
+
+  const renderQuestions = () => Object.keys(PHASE_LABELS).map((phase) => {
+    const phaseQuestions = questions
+      .filter((q) => q.phase === phase)
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+
+    if (phaseQuestions.length === 0) return null;
+
+    return (
+      <Box key={phase} sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>{PHASE_LABELS[phase]}</Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>ID</TableCell>
+              <TableCell>Domanda</TableCell>
+              <TableCell>Tipo</TableCell>
+              <TableCell>Applicabilità</TableCell>
+              <TableCell>Condizioni</TableCell>
+              {isDraft && <TableCell align="right">Azioni</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {phaseQuestions.map((question, index) => (
+              <TableRow key={`${question.questionId}-${index}`}>
+                <TableCell>{question.questionId}</TableCell>
+                <TableCell>
+                  {question.text}
+                  {question.required && ' *'}
+                </TableCell>
+                <TableCell>{question.type}</TableCell>
+                <TableCell>
+                  {(question.clientTypes || []).map((type) => (
+                    <Chip key={type} label={CLIENT_TYPE_LABELS[type] || type} size="small" sx={{ mr: 0.5, mb: 0.5 }} />
+                  ))}
+                  {(question.taxRegimes || []).map((regime) => (
+                    <Chip key={regime} label={regime} size="small" variant="outlined" sx={{ mr: 0.5, mb: 0.5 }} />
+                  ))}
+                  {(question.clientTypes || []).length === 0 && (question.taxRegimes || []).length === 0 && 'Tutti'}
+                </TableCell>
+                <TableCell>
+                  {(question.visibleWhen || []).map((rule) => `${rule.questionId} ${rule.operator} ${JSON.stringify(rule.value ?? '')}`).join('; ') || '—'}
+                </TableCell>
+                {isDraft && (
+                  <TableCell align="right">
+                    <IconButton size="small" onClick={() => { setEditing(question); setDialogOpen(true); }}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" onClick={() => handleRemoveQuestion(question)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </TableCell>
+                )}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Box>
+    );
+  });
+
+  const renderPreview = () => (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            select
+            fullWidth
+            label="Tipo cliente"
+            value={previewContext.clientType}
+            onChange={(e) => setPreviewContext({ ...previewContext, clientType: e.target.value })}
+          >
+            {Object.entries(CLIENT_TYPE_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            select
+            fullWidth
+            label="Regime fiscale"
+            value={previewContext.taxRegime}
+            onChange={(e) => setPreviewContext({ ...previewContext, taxRegime: e.target.value })}
+          >
+            {TAX_REGIMES.map((regime) => (
+              <MenuItem key={regime} value={regime}>{regime}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <Button variant="contained" onClick={handlePreview} disabled={saving} sx={{ mr: 1 }}>
+            Aggiorna anteprima
+          </Button>
+          <Button onClick={() => { setPreviewAnswers({}); setPreview(null); }}>
+            Azzera risposte
+          </Button>
+        </Grid>
+      </Grid>
+
+      {preview && preview.definitionErrors.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>{preview.definitionErrors.join('; ')}</Alert>
+      )}
+
+      {preview && preview.phases.map((phase) => (
+        <Paper key={phase.phase} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Typography variant="h6" gutterBottom>{PHASE_LABELS[phase.phase]}</Typography>
+          <Grid container spacing={2}>
+            {phase.questions
+              .filter((question) => question.type !== 'file' && isQuestionVisible(question, previewAnswers))
+              .map((question) => (
+                <Grid item xs={12} key={question.id}>
+                  <PortalQuestionField
+                    question={question}
+                    value={previewAnswers[question.id]}
+                    onChange={(value) => setPreviewAnswers({ ...previewAnswers, [question.id]: value })}
+                    error={(phase.errors.find((e) => e.questionId === question.id) || {}).message}
+                  />
+                </Grid>
+              ))}
+            {phase.questions.filter((question) => question.type === 'file').map((question) => (
+              <Grid item xs={12} key={question.id}>
+                <Typography variant="body2">Documento richiesto: {question.text}</Typography>
+              </Grid>
+            ))}
+          </Grid>
+          {phase.hidden.length > 0 && (
+            <>
+              <Divider sx={{ my: 2 }} />
+              <Typography variant="caption" color="text.secondary" display="block">Domande non mostrate:</Typography>
+              {phase.hidden.map((item) => (
+                <Typography key={item.questionId} variant="caption" color="text.secondary" display="block">
+                  {item.text} — {item.reason}
+                </Typography>
+              ))}
+            </>
+          )}
+        </Paper>
+      ))}
+
+      {!preview && (
+        <Typography variant="body2" color="text.secondary">
+          Scegli tipo cliente e regime fiscale, poi aggiorna l'anteprima. Le risposte inserite servono
+          a verificare condizioni di visibilità e regole di validazione.
+        </Typography>
+      )}
+    </Box>
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Questionario di onboarding</Typography>
+        <Button variant="contained" onClick={handleCreateDraft} disabled={saving || hasDraft}>
+          Nuova bozza
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={3}>
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>Versioni</Typography>
+            {versions.map((version) => (
+              <Box
+                key={version.version}
+                onClick={() => openVersion(version.version)}
+                sx={{
+                  p: 1,
+                  mb: 1,
+                  cursor: 'pointer',
+                  borderRadius: 1,
+                  bgcolor: bank && bank.version === version.version ? 'action.selected' : 'transparent'
+                }}
+              >
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="body2">Versione {version.version}</Typography>
+                  <Chip size="small" label={STATUS_LABELS[version.status].label} color={STATUS_LABELS[version.status].color} />
+                </Box>
+                {version.notes && (
+                  <Typography variant="caption" color="text.secondary">{version.notes}</Typography>
+                )}
+              </Box>
+            ))}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={9}>
+          {bank && (
+            <Paper sx={{ p: 2 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Tabs value={view} onChange={(e, value) => setView(value)}>
+                  <Tab value="questions" label={`Domande (${questions.length})`} />
+                  <Tab value="preview" label="Anteprima" />
+                </Tabs>
+                {isDraft && (
+                  <Box>
+                    <Button startIcon={<AddIcon />} onClick={() => { setEditing(null); setDialogOpen(true); }} sx={{ mr: 1 }}>
+                      Domanda
+                    </Button>
+                    <Button onClick={handleSaveDraft} disabled={saving || !dirty} sx={{ mr: 1 }}>
+                      Salva bozza
+                    </Button>
+                    <Button color="error" onClick={handleDeleteDraft} disabled={saving} sx={{ mr: 1 }}>
+                      Elimina
+                    </Button>
+                    <Button variant="contained" onClick={handlePublish} disabled={saving}>
+                      Pubblica
+                    </Button>
+                  </Box>
+                )}
+              </Box>
+
+              {!isDraft && (
+                <Alert severity="info" sx={{ mb: 2 }}>
+                  Le versioni pubblicate non sono modificabili: crea una nuova bozza per cambiare le domande.
+                </Alert>
+              )}
+
+              {view === 'questions' ? renderQuestions() : renderPreview()}
+            </Paper>
+          )}
+        </Grid>
+      </Grid>
+
+      <QuestionEditDialog
+        open={dialogOpen}
+        question={editing}
+        questionIds={[...new Set(questions.map((q) => q.questionId))]}
+        onClose={() => { setDialogOpen(false); setEditing(null); }}
+        onSave={handleSaveQuestion}
+      />
+    </Box>
+  );
+};
+
+export default QuestionBankEditor;
@@ -0,0 +1,411 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Grid,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  Typography,
+  IconButton,
+  Box
+} from '@mui/material';
+import { Delete as DeleteIcon, Add as AddIcon } from '@mui/icons-material';
+
+export const PHASE_LABELS = {
+  initial: 'Tipo di cliente',
+  personal_info: 'Dati anagrafici',
+  business_info: 'Dati aziendali',
+  fiscal_data: 'Dati fiscali',
+  documents: 'Documenti',
+  services: 'Servizi',
+  review: 'Riepilogo'
+};
+
+export const CLIENT_TYPE_LABELS = {
+  individual: 'Persona fisica',
+  sole_proprietor: 'Ditta individuale',
+  partnership: 'Società di persone',
+  corporation: 'Società di capitali',
+  non_profit: 'Associazione/No-profit'
+};
+
+export const TAX_REGIMES = ['Forfettario', 'Semplificato', 'Ordinario'];
+
+const QUESTION_TYPES = {
+  text: 'Testo',
+  textarea: 'Testo lungo',
+  email: 'Email',
+  tel: 'Telefono',
+  number: 'Numero',
+  date: 'Data',
+  boolean: 'Sì/No',
+  select: 'Scelta singola',
+  multiselect: 'Scelta multipla',
+  address: 'Indirizzo',
+  file: 'Documento'
+};
+
+const OPERATOR_LABELS = {
+  equals: 'è uguale a',
+  notEquals: 'è diversa da',
+  in: 'è una tra (separate da virgola)',
+  notIn: 'non è una tra (separate da virgola)',
+  answered: 'ha una risposta',
+  notAnswered: 'non ha risposta'
+};
+
+const FORMAT_LABELS = {
+  '': 'Nessuno',
+  fiscal_code: 'Codice fiscale',
+  vat_number: 'Partita IVA',
+  email: 'Email',
+  phone: 'Telefono',
+  postal_code: 'CAP'
+};
+
+// Campi dell'anagrafica in cui può essere salvata la risposta
+const CLIENT_FIELD_LABELS = {
+  '': 'Nessuno (risposta solo nel questionario)',
+  name: 'Nome/Ragione sociale',
+  fiscalCode: 'Codice fiscale',
+  vatNumber: 'Partita IVA',
+  'contactInfo.email': 'Email',
+  'contactInfo.phone': 'Telefono',
+  'contactInfo.alternativePhone': 'Telefono alternativo',
+  'contactInfo.address.street': 'Indirizzo - via',
+  'contactInfo.address.city': 'Indirizzo - città',
+  'contactInfo.address.province': 'Indirizzo - provincia',
+  'contactInfo.address.postalCode': 'Indirizzo - CAP',
+  'contactInfo.address.country': 'Indirizzo - paese',
+  'legalRepresentative.firstName': 'Rappresentante legale - nome',
+  'legalRepresentative.lastName': 'Rappresentante legale - cognome',
+  'legalRepresentative.fiscalCode': 'Rappresentante legale - codice fiscale',
+  'legalRepresentative.email': 'Rappresentante legale - email',
+  'legalRepresentative.phone': 'Rappresentante legale - telefono',
+  'legalRepresentative.role': 'Rappresentante legale - ruolo',
+  businessSector: 'Settore di attività',
+  foundingDate: 'Data di costituzione',
+  annualRevenue: 'Fatturato annuo',
+  employees: 'Numero dipendenti',
+  accountingRegime: 'Regime contabile',
+  'fiscalYearEnd.month': 'Chiusura esercizio - mese',
+  'fiscalYearEnd.day': 'Chiusura esercizio - giorno',
+  financialStatementsApprovalDays: 'Termine approvazione bilancio (giorni)',
+  services: 'Servizi',
+  tags: 'Tag',
+  notes: 'Note (aggiunte con il testo della domanda)'
+};
+
+const EMPTY_QUESTION = {
+  questionId: '',
+  phase: 'personal_info',
+  text: '',
+  description: '',
+  type: 'text',
+  options: [],
+  required: false,
+  order: 0,
+  clientField: '',
+  clientTypes: [],
+  taxRegimes: [],
+  visibleWhen: [],
+  validation: {}
+};
+
+// Le opzioni si modificano come righe "valore|etichetta"
+const optionsToText = (options = []) => options.map((o) => (o.value === o.label ? o.value : `${o.value}|${o.label}`)).join('\n');
+
+const textToOptions = (text) => text
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean)
+  .map((line) => {
+    const [value, label] = line.split('|');
+    return { value: value.trim(), label: (label || value).trim() };
+  });
+
+const ruleValueToText = (value) => (Array.isArray(value) ? value.join(', ') : (value === undefined || value === null ? '' : String(value)));
+
+const textToRuleValue = (text, operator) => {
+  if (['in', 'notIn'].includes(operator)) {
+    return text.split(',').map((v) => v.trim()).filter(Boolean);
+  }
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+};
+
+const toNumberOrUndefined = (value) => (value === '' || value === undefined ? undefined : Number(value));
+
+const QuestionEditDialog = ({ open, question, questionIds, onClose, onSave }) => {
+  const [form, setForm] = useState(EMPTY_QUESTION);
+  const [optionsText, setOptionsText] = useState('');
+
+  useEffect(() => {
+    const initial = { ...EMPTY_QUESTION, ...(question || {}) };
+    setForm({ ...initial, validation: initial.validation || {}, visibleWhen: initial.visibleWhen || [] });
+    setOptionsText(optionsToText(initial.options));
+  }, [question, open]);
+
+  const setField = (field, value) => setForm({ ...form, [field]: value });
+  const setValidation = (field, value) => setForm({ ...form, validation: { ...form.validation, [field]: value } });
+
+  const updateRule = (index, changes) => {
+    const visibleWhen = form.visibleWhen.map((rule, i) => (i === index ? { ...rule, ...changes } : rule));
+    setField('visibleWhen', visibleWhen);
+  };
+
+  const canMapToClient = !['address', 'file'].includes(form.type);
+
+  const handleSave = () => {
+    const validation = Object.fromEntries(
+      Object.entries(form.validation).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+    );
+
+    onSave({
+      ...form,
+      questionId: form.questionId.trim(),
+      order: Number(form.order) || 0,
+      clientField: canMapToClient ? form.clientField || undefined : undefined,
+      options: ['select', 'multiselect'].includes(form.type) ? textToOptions(optionsText) : [],
+      validation
+    });
+  };
+
+  const isChoice = ['select', 'multiselect'].includes(form.type);
+  const isText = ['text', 'textarea'].includes(form.type);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{question ? 'Modifica domanda' : 'Nuova domanda'}</DialogTitle>
+      <DialogContent>
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              label="Identificativo"
+              value={form.questionId}
+              onChange={(e) => setField('questionId', e.target.value)}
+              helperText="Usato per salvare la risposta (es. pension_fund)"
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField select fullWidth label="Fase" value={form.phase} onChange={(e) => setField('phase', e.target.value)}>
+              {Object.entries(PHASE_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField select fullWidth label="Tipo" value={form.type} onChange={(e) => setField('type', e.target.value)}>
+              {Object.entries(QUESTION_TYPES).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12}>
+            <TextField fullWidth label="Testo della domanda" value={form.text} onChange={(e) => setField('text', e.target.value)} />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField fullWidth label="Descrizione" value={form.description || ''} onChange={(e) => setField('description', e.target.value)} />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField fullWidth type="number" label="Ordine" value={form.order} onChange={(e) => setField('order', e.target.value)} />
+          </Grid>
+          <Grid item xs={12} sm={8}>
+            <FormControlLabel
+              control={<Switch checked={form.required} onChange={(e) => setField('required', e.target.checked)} />}
+              label="Risposta obbligatoria"
+            />
+          </Grid>
+          {canMapToClient && (
+            <Grid item xs={12}>
+              <TextField
+                select
+                fullWidth
+                label="Salva la risposta in anagrafica"
+                value={form.clientField || ''}
+                onChange={(e) => setField('clientField', e.target.value)}
+                helperText="Le domande predefinite sono già collegate all'anagrafica"
+              >
+                {Object.entries(CLIENT_FIELD_LABELS).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>{label}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          )}
+
+          {isChoice && (
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={3}
+                label="Opzioni"
+                value={optionsText}
+                onChange={(e) => setOptionsText(e.target.value)}
+                helperText="Una per riga, nel formato valore|etichetta"
+              />
+            </Grid>
+          )}
+
+          <Grid item xs={12}>
+            <Typography variant="subtitle2">Applicabilità</Typography>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Tipi cliente (vuoto = tutti)"
+              SelectProps={{ multiple: true }}
+              value={form.clientTypes}
+              onChange={(e) => setField('clientTypes', e.target.value)}
+            >
+              {Object.entries(CLIENT_TYPE_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Regimi fiscali (vuoto = tutti)"
+              SelectProps={{ multiple: true }}
+              value={form.taxRegimes}
+              onChange={(e) => setField('taxRegimes', e.target.value)}
+            >
+              {TAX_REGIMES.map((regime) => (
+                <MenuItem key={regime} value={regime}>{regime}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Typography variant="subtitle2">Mostra la domanda solo se</Typography>
+          </Grid>
+          {form.visibleWhen.map((rule, index) => (
+            <Grid item xs={12} key={index}>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                <TextField
+                  select
+                  size="small"
+                  label="Domanda"
+                  sx={{ minWidth: 200 }}
+                  value={rule.questionId}
+                  onChange={(e) => updateRule(index, { questionId: e.target.value })}
+                >
+                  {questionIds.filter((id) => id !== form.questionId).map((id) => (
+                    <MenuItem key={id} value={id}>{id}</MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Condizione"
+                  sx={{ minWidth: 220 }}
+                  value={rule.operator || 'equals'}
+                  onChange={(e) => updateRule(index, { operator: e.target.value })}
+                >
+                  {Object.entries(OPERATOR_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+                {!['answered', 'notAnswered'].includes(rule.operator) && (
+                  <TextField
+                    size="small"
+                    label="Valore"
+                    value={ruleValueToText(rule.value)}
+                    onChange={(e) => updateRule(index, { value: textToRuleValue(e.target.value, rule.operator) })}
+                  />
+                )}
+                <IconButton onClick={() => setField('visibleWhen', form.visibleWhen.filter((r, i) => i !== index))}>
+                  <DeleteIcon />
+                </IconButton>
+              </Box>
+            </Grid>
+          ))}
+          <Grid item xs={12}>
+            <Button
+              size="small"
+              startIcon={<AddIcon />}
+              onClick={() => setField('visibleWhen', [...form.visibleWhen, { questionId: '', operator: 'equals', value: '' }])}
+            >
+              Aggiungi condizione
+            </Button>
+          </Grid>
+
+          <Grid item xs={12}>
+            <Typography variant="subtitle2">Validazione</Typography>
+          </Grid>
+          {isText && (
+            <>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Formato"
+                  value={form.validation.format || ''}
+                  onChange={(e) => setValidation('format', e.target.value)}
+                >
+                  {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={6} sm={2}>
+                <TextField fullWidth type="number" label="Min caratteri" value={form.validation.minLength ?? ''} onChange={(e) => setValidation('minLength', toNumberOrUndefined(e.target.value))} />
+              </Grid>
+              <Grid item xs={6} sm={2}>
+                <TextField fullWidth type="number" label="Max caratteri" value={form.validation.maxLength ?? ''} onChange={(e) => setValidation('maxLength', toNumberOrUndefined(e.target.value))} />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField fullWidth label="Espressione regolare" value={form.validation.pattern || ''} onChange={(e) => setValidation('pattern', e.target.value)} />
+              </Grid>
+            </>
+          )}
+          {form.type === 'number' && (
+            <>
+              <Grid item xs={6} sm={3}>
+                <TextField fullWidth type="number" label="Minimo" value={form.validation.min ?? ''} onChange={(e) => setValidation('min', toNumberOrUndefined(e.target.value))} />
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <TextField fullWidth type="number" label="Massimo" value={form.validation.max ?? ''} onChange={(e) => setValidation('max', toNumberOrUndefined(e.target.value))} />
+              </Grid>
+            </>
+          )}
+          {form.type === 'multiselect' && (
+            <>
+              <Grid item xs={6} sm={3}>
+                <TextField fullWidth type="number" label="Min selezioni" value={form.validation.minSelections ?? ''} onChange={(e) => setValidation('minSelections', toNumberOrUndefined(e.target.value))} />
+              </Grid>
+              <Grid item xs={6} sm={3}>
+                <TextField fullWidth type="number" label="Max selezioni" value={form.validation.maxSelections ?? ''} onChange={(e) => setValidation('maxSelections', toNumberOrUndefined(e.target.value))} />
+              </Grid>
+            </>
+          )}
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="Messaggio di errore personalizzato"
+              value={form.validation.message || ''}
+              onChange={(e) => setValidation('message', e.target.value)}
+            />
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Annulla</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!form.questionId.trim() || !form.text.trim()}>
+          Conferma
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QuestionEditDialog;
@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  AppBar,
+  Toolbar,
+  Typography,
+  Button,
+  Paper,
+  Grid,
+  Alert,
+  LinearProgress,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  ListItemIcon,
+  Divider
+} from '@mui/material';
+import {
+  UploadFile as UploadIcon,
+  CheckCircle as CheckIcon,
+  HourglassEmpty as PendingIcon,
+  ErrorOutline as RejectedIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import { portalService } from '../../services/api';
+import PortalQuestionField, { isQuestionVisible } from './PortalQuestionField';
+
+// Attesa dopo l'ultima modifica prima di salvare la bozza (ms)
+const DRAFT_SAVE_DELAY = 1500;
+
+const STATUS_CHIPS = {
+  in_attesa: { label: 'Da caricare', color: 'default', icon: <UploadIcon /> },
+  caricato: { label: 'In verifica', color: 'info', icon: <PendingIcon color="info" /> },
+  verificato: { label: 'Verificato', color: 'success', icon: <CheckIcon color="success" /> },
+  rifiutato: { label: 'Da ricaricare', color: 'error', icon: <RejectedIcon color="error" /> }
+};
+
+const CustomerPortal = () => {
+  const { currentUser, logout } = useAuth();
+  const navigate = useNavigate();
+  const [overview, setOverview] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploadingItem, setUploadingItem] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const [dirty, setDirty] = useState(false);
+
+  useEffect(() => {
+    fetchOverview();
+  }, []);
+
+  // Salvataggio automatico in bozza: le risposte non vanno perse chiudendo il browser
+  useEffect(() => {
+    if (!dirty || !overview) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        await portalService.saveDraft(overview.client._id, answers);
+        setDirty(false);
+      } catch (err) {
+        console.error('Errore nel salvataggio della bozza:', err);
+      }
+    }, DRAFT_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [answers, dirty]);
+
+  const fetchOverview = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await portalService.getMyPortal();
+      setOverview(response.data.data);
+      setAnswers(response.data.data.onboarding.answers || {});
+      setDirty(false);
+      setFieldErrors({});
+    } catch (err) {
+      console.error('Errore nel caricamento del portale:', err);
+      setError('Impossibile caricare i dati del portale. Riprova più tardi.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  const handleAnswerChange = (questionId, value) => {
+    setAnswers({ ...answers, [questionId]: value });
+    setDirty(true);
+    setFieldErrors({ ...fieldErrors, [questionId]: null });
+  };
+
+  const handleSubmitPhase = async () => {
+    const questions = overview.onboarding.questions.filter((q) => q.type !== 'file' && isQuestionVisible(q, answers));
+    const errors = {};
+
+    questions.forEach((question) => {
+      const value = answers[question.id];
+      if (question.required && (value === undefined || value === '' || (Array.isArray(value) && value.length === 0))) {
+        errors[question.id] = 'Campo obbligatorio';
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await portalService.submitAnswers(overview.client._id, answers, overview.onboarding.currentPhase);
+      setDirty(false);
+      setMessage(response.data.data.isComplete
+        ? 'Grazie! Hai completato tutte le informazioni richieste.'
+        : 'Risposte salvate. Prosegui con la fase successiva.');
+      await fetchOverview();
+    } catch (err) {
+      console.error('Errore nel salvataggio delle risposte:', err);
+      setError(err.response?.data?.message || 'Impossibile salvare le risposte.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpload = async (item, file) => {
+    if (!file) return;
+
+    setUploadingItem(item._id);
+    setError(null);
+
+    try {
+      await portalService.uploadChecklistDocument(overview.client._id, item._id, file);
+      setMessage(`Documento "${item.name}" caricato. Lo studio lo verificherà a breve.`);
+      await fetchOverview();
+    } catch (err) {
+      console.error('Errore nel caricamento del documento:', err);
+      setError(err.response?.data?.message || 'Impossibile caricare il documento.');
+    } finally {
+      setUploadingItem(null);
+    }
+  };
+
+  const renderQuestions = () => {
+    const { onboarding } = overview;
+    const questions = onboarding.questions.filter((q) => q.type !== 'file' && isQuestionVisible(q, answers));
+
+    if (onboarding.completed) {
+      return <Alert severity="success">Hai completato l'onboarding. Lo studio ti contatterà per i prossimi passi.</Alert>;
+    }
+
+    return (
+      <>
+        <Typography variant="h6" gutterBottom>
+          {onboarding.currentPhaseLabel}
+        </Typography>
+        {onboarding.currentPhase === 'documents' && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Carica i documenti richiesti dall'elenco qui sotto, poi prosegui.
+          </Typography>
+        )}
+        {onboarding.currentPhase === 'review' && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Controlla che i dati inseriti siano corretti e conferma l'invio allo studio.
+          </Typography>
+        )}
+        <Grid container spacing={2}>
+          {questions.map((question) => (
+            <Grid item xs={12} key={question.id}>
+              <PortalQuestionField
+                question={question}
+                value={answers[question.id]}
+                onChange={(value) => handleAnswerChange(question.id, value)}
+                error={fieldErrors[question.id]}
+              />
+            </Grid>
+          ))}
+        </Grid>
+        <Box sx={{ mt: 3 }}>
+          <Button variant="contained" onClick={handleSubmitPhase} disabled={saving}>
+            {saving ? 'Salvataggio...' : (onboarding.currentPhase === 'review' ? 'Conferma e invia' : 'Salva e prosegui')}
+          </Button>
+        </Box>
+      </>
+    );
+  };
+
+  return (
+    <Box>
+      <AppBar position="static">
+        <Toolbar>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            Studio Biliato - Area Clienti
+          </Typography>
+          <Typography variant="body2" sx={{ mr: 2 }}>{currentUser?.name}</Typography>
+          <Button color="inherit" onClick={handleLogout}>Esci</Button>
+        </Toolbar>
+      </AppBar>
+
+      <Box sx={{ maxWidth: 1000, mx: 'auto', p: 3 }}>
+        {loading && <LinearProgress />}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+        {overview && (
+          <>
+            <Paper sx={{ p: 3, mb: 3 }}>
+              <Typography variant="h5" gutterBottom>{overview.client.name}</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Completamento onboarding: {overview.onboarding.completionPercentage}%
+              </Typography>
+              <LinearProgress variant="determinate" value={overview.onboarding.completionPercentage} />
+            </Paper>
+
+            <Grid container spacing={3}>
+              <Grid item xs={12} md={7}>
+                <Paper sx={{ p: 3 }}>
+                  {renderQuestions()}
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12} md={5}>
+                <Paper sx={{ p: 3, mb: 3 }}>
+                  <Typography variant="h6" gutterBottom>Cosa ci serve ancora</Typography>
+                  {overview.outstanding.documents.length === 0 && overview.outstanding.information.length === 0 ? (
+                    <Typography variant="body2">Non mancano documenti o informazioni.</Typography>
+                  ) : (
+                    <List dense>
+                      {overview.outstanding.information.map((entry) => (
+                        <ListItem key={entry.phase}>
+                          <ListItemText primary={entry.phaseLabel} secondary={entry.fields.join(', ')} />
+                        </ListItem>
+                      ))}
+                      {overview.outstanding.documents.map((doc) => (
+                        <ListItem key={doc.checklistItemId}>
+                          <ListItemText
+                            primary={`${doc.name}${doc.required ? '' : ' (facoltativo)'}`}
+                            secondary={doc.notes}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                  )}
+                  {overview.outstanding.inReview.length > 0 && (
+                    <Typography variant="body2" color="text.secondary">
+                      {overview.outstanding.inReview.length} documenti in verifica da parte dello studio.
+                    </Typography>
+                  )}
+                </Paper>
+
+                <Paper sx={{ p: 3 }}>
+                  <Typography variant="h6" gutterBottom>Documenti</Typography>
+                  <List>
+                    {overview.checklist.map((item, index) => {
+                      const chip = STATUS_CHIPS[item.status] || STATUS_CHIPS.in_attesa;
+                      const canUpload = item.status !== 'verificato';
+
+                      return (
+                        <React.Fragment key={item._id}>
+                          {index > 0 && <Divider component="li" />}
+                          <ListItem
+                            secondaryAction={canUpload && (
+                              <Button
+                                component="label"
+                                size="small"
+                                disabled={uploadingItem === item._id}
+                              >
+                                {uploadingItem === item._id ? 'Caricamento...' : 'Carica'}
+                                <input
+                                  type="file"
+                                  hidden
+                                  accept=".pdf,.jpg,.jpeg,.png,.tif,.tiff,.docx,.xlsx,.xml,.p7m"
+                                  onChange={(e) => handleUpload(item, e.target.files[0])}
+                                />
+                              </Button>
+                            )}
+                          >
+                            <ListItemIcon>{chip.icon}</ListItemIcon>
+                            <ListItemText
+                              primary={item.name}
+                              secondary={<Chip size="small" label={chip.label} color={chip.color} component="span" />}
+                            />
+                          </ListItem>
+                        </React.Fragment>
+                      );
+                    })}
+                  </List>
+                </Paper>
+              </Grid>
+            </Grid>
+          </>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default CustomerPortal;
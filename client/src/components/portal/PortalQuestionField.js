@@ -0,0 +1,169 @@
+import React from 'react';
+import {
+  TextField,
+  MenuItem,
+  FormControl,
+  FormControlLabel,
+  FormLabel,
+  RadioGroup,
+  Radio,
+  Checkbox,
+  FormGroup,
+  FormHelperText,
+  Grid
+} from '@mui/material';
+
+// Campi dell'indirizzo strutturato
+const ADDRESS_FIELDS = [
+  { name: 'street', label: 'Via e numero civico', sm: 12 },
+  { name: 'city', label: 'Città', sm: 6 },
+  { name: 'province', label: 'Provincia', sm: 3 },
+  { name: 'postalCode', label: 'CAP', sm: 3 }
+];
+
+const isAnswered = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Valuta le regole di visibilità di una domanda sulle risposte in corso di
+ * compilazione (stessa logica di questionBankService.evaluateRule)
+ */
+export const isQuestionVisible = (question, answers = {}) => (question.visibleWhen || []).every((rule) => {
+  const answer = answers[rule.questionId];
+  const answered = isAnswered(answer);
+  const given = (Array.isArray(answer) ? answer : [answer]).map(String);
+  const expected = (Array.isArray(rule.value) ? rule.value : [rule.value]).map(String);
+  const matches = answered && given.some((value) => expected.includes(value));
+
+  switch (rule.operator) {
+    case 'answered':
+      return answered;
+    case 'notAnswered':
+      return !answered;
+    case 'notEquals':
+    case 'notIn':
+      return !matches;
+    default:
+      return matches;
+  }
+});
+
+/**
+ * Campo di input per una domanda del questionario di onboarding,
+ * reso in base al tipo di domanda (text, select, boolean, address, ...)
+ */
+const PortalQuestionField = ({ question, value, onChange, error }) => {
+  const label = question.required ? `${question.text} *` : question.text;
+
+  switch (question.type) {
+    case 'select':
+      return (
+        <TextField
+          select
+          fullWidth
+          label={label}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          error={Boolean(error)}
+          helperText={error || question.description}
+        >
+          {question.options.map((option) => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      );
+
+    case 'multiselect': {
+      const selected = Array.isArray(value) ? value : [];
+      const toggle = (optionValue) => {
+        onChange(selected.includes(optionValue)
+          ? selected.filter((v) => v !== optionValue)
+          : [...selected, optionValue]);
+      };
+
+      return (
+        <FormControl error={Boolean(error)} component="fieldset">
+          <FormLabel component="legend">{label}</FormLabel>
+          <FormGroup>
+            {question.options.map((option) => (
+              <FormControlLabel
+                key={option.value}
+                control={<Checkbox checked={selected.includes(option.value)} onChange={() => toggle(option.value)} />}
+                label={option.label}
+              />
+            ))}
+          </FormGroup>
+          {error && <FormHelperText>{error}</FormHelperText>}
+        </FormControl>
+      );
+    }
+
+    case 'boolean':
+      return (
+        <FormControl error={Boolean(error)} component="fieldset">
+          <FormLabel component="legend">{label}</FormLabel>
+          <RadioGroup
+            row
+            value={value === undefined || value === null ? '' : String(value)}
+            onChange={(e) => onChange(e.target.value === 'true')}
+          >
+            <FormControlLabel value="true" control={<Radio />} label="Sì" />
+            <FormControlLabel value="false" control={<Radio />} label="No" />
+          </RadioGroup>
+          {error && <FormHelperText>{error}</FormHelperText>}
+        </FormControl>
+      );
+
+    case 'address': {
+      const address = value || {};
+      return (
+        <FormControl error={Boolean(error)} component="fieldset" fullWidth>
+          <FormLabel component="legend" sx={{ mb: 1 }}>{label}</FormLabel>
+          <Grid container spacing={2}>
+            {ADDRESS_FIELDS.map((field) => (
+              <Grid item xs={12} sm={field.sm} key={field.name}>
+                <TextField
+                  fullWidth
+                  label={field.label}
+                  value={address[field.name] || ''}
+                  onChange={(e) => onChange({ ...address, [field.name]: e.target.value })}
+                />
+              </Grid>
+            ))}
+          </Grid>
+          {error && <FormHelperText>{error}</FormHelperText>}
+        </FormControl>
+      );
+    }
+
+    case 'textarea':
+      return (
+        <TextField
+          fullWidth
+          multiline
+          rows={4}
+          label={label}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          error={Boolean(error)}
+          helperText={error || question.description}
+        />
+      );
+
+    default:
+      return (
+        <TextField
+          fullWidth
+          type={['email', 'tel', 'date', 'number'].includes(question.type) ? question.type : 'text'}
+          label={label}
+          value={value === undefined || value === null ? '' : value}
+          onChange={(e) => onChange(e.target.value)}
+          error={Boolean(error)}
+          helperText={error || question.description}
+          InputLabelProps={question.type === 'date' ? { shrink: true } : undefined}
+        />
+      );
+  }
+};
+
+export default PortalQuestionField;
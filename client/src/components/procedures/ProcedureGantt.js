@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Tooltip,
+  Chip,
+  Alert,
+  CircularProgress,
+  IconButton
+} from '@mui/material';
+import { EventOutlined as CalendarIcon } from '@mui/icons-material';
+import { procedureService, calendarService } from '../../services/api';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Colori delle barre per stato del task
+const BAR_COLORS = {
+  completed: '#81c784',
+  critical: '#e57373',
+  blocked: '#bdbdbd',
+  default: '#64b5f6'
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit' });
+
+const getBarColor = (task) => {
+  if (task.status === 'completed') return BAR_COLORS.completed;
+  if (task.onCriticalPath) return BAR_COLORS.critical;
+  if (task.blocked) return BAR_COLORS.blocked;
+  return BAR_COLORS.default;
+};
+
+/**
+ * Diagramma di Gantt dei task di una procedura del cliente: barre dalle
+ * date più vicine di inizio e fine, percorso critico evidenziato, task
+ * bloccati dai prerequisiti e scadenze
+ */
+const ProcedureGantt = ({ clientProcedureId }) => {
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const response = await procedureService.getTaskSchedule(clientProcedureId);
+        setSchedule(response.data.schedule);
+      } catch (err) {
+        console.error('Errore nel caricamento della pianificazione:', err);
+        setError('Impossibile caricare la pianificazione dei task');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSchedule();
+  }, [clientProcedureId]);
+
+  // Scarica il task come evento .ics da aggiungere al calendario
+  const handleDownloadTask = async (task) => {
+    try {
+      const response = await calendarService.downloadTask(clientProcedureId, task.taskId);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/calendar' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${task.name}.ics`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Errore nel download del task:', err);
+      setError('Impossibile scaricare il task per il calendario');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  if (!schedule || schedule.tasks.length === 0) {
+    return <Alert severity="info">Nessun task da pianificare</Alert>;
+  }
+
+  // Intervallo del diagramma: dal primo inizio all'ultima fine o scadenza
+  const dates = schedule.tasks.flatMap(task => [task.earliestStart, task.earliestFinish, task.dueDate].filter(Boolean));
+  const rangeStart = Math.min(...dates.map(date => new Date(date).getTime()));
+  const rangeEnd = Math.max(...dates.map(date => new Date(date).getTime())) + DAY;
+  const span = rangeEnd - rangeStart;
+  const toPercent = (date) => ((new Date(date).getTime() - rangeStart) / span) * 100;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        {schedule.earliestCompletion && (
+          <Chip size="small" label={`Completamento più vicino: ${formatDate(schedule.earliestCompletion)}`} />
+        )}
+        {schedule.delayDays > 0 && (
+          <Chip size="small" color="error" label={`${schedule.delayDays} giorni oltre la fine prevista`} />
+        )}
+        {schedule.blockedTasks > 0 && (
+          <Chip size="small" color="warning" label={`${schedule.blockedTasks} task bloccati`} />
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', ml: '35%' }}>
+        <Typography variant="caption" color="text.secondary">{formatDate(rangeStart)}</Typography>
+        <Typography variant="caption" color="text.secondary">{formatDate(rangeEnd - DAY)}</Typography>
+      </Box>
+
+      {schedule.tasks.map(task => (
+        <Box key={task.taskId} sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
+          <Typography variant="body2" noWrap sx={{ width: '35%', pr: 1 }} title={task.name}>
+            {task.name}
+          </Typography>
+          <Box sx={{ position: 'relative', flexGrow: 1, height: 18, backgroundColor: '#f5f5f5' }}>
+            <Tooltip
+              title={
+                `${formatDate(task.earliestStart)} - ${formatDate(task.earliestFinish)}` +
+                (task.slackDays ? `, margine ${task.slackDays} gg` : '') +
+                (task.blockedBy.length > 0 ? ` | Bloccato da: ${task.blockedBy.map(b => b.name).join(', ')}` : '')
+              }
+            >
+              <Box
+                sx={{
+                  position: 'absolute',
+                  top: 2,
+                  bottom: 2,
+                  left: `${toPercent(task.earliestStart)}%`,
+                  width: `${Math.max(toPercent(new Date(task.earliestFinish).getTime() + DAY) - toPercent(task.earliestStart), 1)}%`,
+                  backgroundColor: getBarColor(task),
+                  borderRadius: 1
+                }}
+              />
+            </Tooltip>
+            {task.dueDate && (
+              <Tooltip title={`Scadenza ${formatDate(task.dueDate)}`}>
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    top: 0,
+                    bottom: 0,
+                    width: 2,
+                    left: `${toPercent(task.dueDate)}%`,
+                    backgroundColor: task.late ? 'error.main' : 'text.secondary'
+                  }}
+                />
+              </Tooltip>
+            )}
+          </Box>
+          <Tooltip title="Aggiungi al calendario (.ics)">
+            <IconButton size="small" onClick={() => handleDownloadTask(task)} sx={{ ml: 0.5 }}>
+              <CalendarIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      ))}
+
+      <Typography variant="caption" color="text.secondary">
+        In rosso il percorso critico, in grigio i task bloccati da prerequisiti non completati; le linee verticali indicano le scadenze.
+      </Typography>
+    </Box>
+  );
+};
+
+export default ProcedureGantt;
@@ -0,0 +1,463 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  Grid,
+  TextField,
+  MenuItem,
+  IconButton,
+  Divider,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { Delete as DeleteIcon, Add as AddIcon } from '@mui/icons-material';
+import { procedureService } from '../../services/api';
+
+const ROLES = ['accountant', 'operator', 'manager', 'admin', 'any'];
+
+const CLIENT_TYPES = ['any', 'individual', 'partnership', 'corporation', 'llc'];
+
+const EMPTY_TASK = {
+  name: '',
+  description: '',
+  dueOffset: 0,
+  assignedRole: 'accountant',
+  estimatedHours: '',
+  requiredDocuments: [],
+  steps: [],
+  dependsOn: []
+};
+
+// Liste modificate come testo, una voce per riga
+const toLines = (values) => (values || []).join('\n');
+const fromLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ') || '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString('it-IT');
+  }
+  return String(value);
+};
+
+/**
+ * Editor del template di una procedura: task, scadenze, ruoli, documenti
+ * richiesti e passaggi. Ogni salvataggio crea una nuova versione; le
+ * procedure dei clienti in corso restano sulla propria versione finché
+ * non vengono migrate, dopo l'anteprima delle differenze
+ */
+const ProcedureTemplateEditor = () => {
+  const { id } = useParams();
+  const [procedure, setProcedure] = useState(null);
+  const [template, setTemplate] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [dirty, setDirty] = useState(false);
+  const [migration, setMigration] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchTemplate();
+  }, [id]);
+
+  const fetchTemplate = async () => {
+    setError(null);
+
+    try {
+      const [procedureResponse, versionsResponse] = await Promise.all([
+        procedureService.getProcedure(id),
+        procedureService.getVersions(id)
+      ]);
+      const loaded = procedureResponse.data.procedure;
+      setProcedure(loaded);
+      setTemplate({
+        name: loaded.name,
+        description: loaded.description,
+        clientType: loaded.clientType,
+        tasks: loaded.tasks.map(({ _id, ...task }) => task)
+      });
+      setVersions(versionsResponse.data.versions);
+      setDirty(false);
+    } catch (err) {
+      console.error('Errore nel caricamento del template:', err);
+      setError(err.response?.data?.message || 'Impossibile caricare il template della procedura.');
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    setError(null);
+    setErrors([]);
+    setMessage(null);
+
+    try {
+      await action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      console.error('Errore nella gestione del template:', err);
+      setError(err.response?.data?.message || 'Operazione non riuscita.');
+      setErrors(err.response?.data?.errors || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateTemplate = (changes) => {
+    setTemplate({ ...template, ...changes });
+    setDirty(true);
+  };
+
+  const updateTask = (index, changes) => {
+    const previousName = template.tasks[index].name;
+    let tasks = template.tasks.map((task, i) => (i === index ? { ...task, ...changes } : task));
+
+    // Rinominando un task si aggiornano le dipendenze degli altri
+    if (changes.name !== undefined && previousName) {
+      tasks = tasks.map((task) => ({
+        ...task,
+        dependsOn: (task.dependsOn || []).map((name) => (name === previousName ? changes.name : name))
+      }));
+    }
+
+    updateTemplate({ tasks });
+  };
+
+  const removeTask = (index) => {
+    const removed = template.tasks[index].name;
+    updateTemplate({
+      tasks: template.tasks
+        .filter((task, i) => i !== index)
+        .map((task) => ({ ...task, dependsOn: (task.dependsOn || []).filter((name) => name !== removed) }))
+    });
+  };
+
+  const handleSave = () => runAction(async () => {
+    const response = await procedureService.updateTemplate(id, { ...template, notes });
+    setNotes('');
+    setMigration(null);
+    await fetchTemplate();
+    setMessage(response.data.message);
+  });
+
+  const handlePreviewMigration = () => runAction(async () => {
+    const response = await procedureService.previewMigration(id, { toVersion: procedure.version });
+    setMigration(response.data);
+  });
+
+  const handleMigrate = () => {
+    if (!window.confirm(`Portare ${migration.count} procedure in corso alla versione ${migration.toVersion}? I task completati non verranno modificati.`)) return;
+
+    runAction(async () => {
+      const response = await procedureService.migrateInstances(id, { toVersion: migration.toVersion });
+      setMigration(null);
+      await fetchTemplate();
+      setMessage(response.data.message);
+    });
+  };
+
+  const renderTask = (task, index) => (
+    <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={5}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Nome"
+            value={task.name}
+            onChange={(e) => updateTask(index, { name: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={6} sm={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Giorni dall'inizio"
+            value={task.dueOffset ?? ''}
+            disabled={Boolean(task.fiscalDeadline)}
+            helperText={task.fiscalDeadline ? `Scadenza fiscale: ${task.fiscalDeadline}` : undefined}
+            onChange={(e) => updateTask(index, { dueOffset: e.target.value === '' ? undefined : Number(e.target.value) })}
+          />
+        </Grid>
+        <Grid item xs={6} sm={2}>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Ruolo"
+            value={task.assignedRole || 'accountant'}
+            onChange={(e) => updateTask(index, { assignedRole: e.target.value })}
+          >
+            {ROLES.map((role) => (
+              <MenuItem key={role} value={role}>{role}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Ore stimate"
+            value={task.estimatedHours ?? ''}
+            onChange={(e) => updateTask(index, { estimatedHours: e.target.value === '' ? undefined : Number(e.target.value) })}
+          />
+        </Grid>
+        <Grid item xs={6} sm={1} sx={{ textAlign: 'right' }}>
+          <IconButton onClick={() => removeTask(index)}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Grid>
+        <Grid item xs={12}>
+          <TextField
+            fullWidth
+            size="small"
+            label="Descrizione"
+            value={task.description || ''}
+            onChange={(e) => updateTask(index, { description: e.target.value })}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            label="Documenti richiesti (uno per riga)"
+            value={toLines(task.requiredDocuments)}
+            onChange={(e) => updateTask(index, { requiredDocuments: fromLines(e.target.value) })}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            size="small"
+            label="Passaggi (uno per riga)"
+            value={toLines(task.steps)}
+            onChange={(e) => updateTask(index, { steps: fromLines(e.target.value) })}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Dipende da"
+            SelectProps={{ multiple: true }}
+            value={task.dependsOn || []}
+            onChange={(e) => updateTask(index, { dependsOn: e.target.value })}
+          >
+            {template.tasks
+              .filter((other, i) => i !== index && other.name)
+              .map((other) => (
+                <MenuItem key={other.name} value={other.name}>{other.name}</MenuItem>
+              ))}
+          </TextField>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+
+  const renderMigration = () => (
+    <Paper sx={{ p: 2, mt: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6">
+          Migrazione alla versione {migration.toVersion} ({migration.count} procedure in corso)
+        </Typography>
+        <Box>
+          <Button onClick={() => setMigration(null)} sx={{ mr: 1 }}>Chiudi</Button>
+          <Button variant="contained" onClick={handleMigrate} disabled={saving || migration.count === 0}>
+            Migra le procedure
+          </Button>
+        </Box>
+      </Box>
+
+      {migration.count === 0 && (
+        <Alert severity="info">Tutte le procedure in corso sono già alla versione {migration.toVersion}.</Alert>
+      )}
+
+      {migration.instances.map((item) => (
+        <Box key={item.clientProcedureId} sx={{ mb: 3 }}>
+          <Typography variant="subtitle1">
+            {item.clientName || item.clientProcedureId}
+            {item.period ? ` — ${item.period}` : ''}
+            <Chip size="small" label={`v${item.fromVersion} → v${migration.toVersion}`} sx={{ ml: 1 }} />
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Task</TableCell>
+                <TableCell>Modifica</TableCell>
+                <TableCell>Dettagli</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {item.plan.add.map((task) => (
+                <TableRow key={`add-${task.name}`}>
+                  <TableCell>{task.name}</TableCell>
+                  <TableCell><Chip size="small" color="success" label="Aggiunto" /></TableCell>
+                  <TableCell>Scadenza {formatValue(task.dueDate)}</TableCell>
+                </TableRow>
+              ))}
+              {item.plan.remove.map((task) => (
+                <TableRow key={`remove-${task.taskId}`}>
+                  <TableCell>{task.name}</TableCell>
+                  <TableCell><Chip size="small" color="error" label="Rimosso" /></TableCell>
+                  <TableCell>{task.warning || `Stato: ${task.status}`}</TableCell>
+                </TableRow>
+              ))}
+              {item.plan.update.map((task) => (
+                <TableRow key={`update-${task.taskId}`}>
+                  <TableCell>{task.name}</TableCell>
+                  <TableCell><Chip size="small" color="warning" label="Modificato" /></TableCell>
+                  <TableCell>
+                    {Object.entries(task.changes).map(([field, change]) => (
+                      <Typography key={field} variant="body2">
+                        {field}: {formatValue(change.from)} → {formatValue(change.to)}
+                      </Typography>
+                    ))}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {item.plan.add.length + item.plan.remove.length + item.plan.update.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={3}>Nessuna modifica ai task</TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          {item.plan.keep.some((task) => task.reason === 'completed') && (
+            <Typography variant="caption" color="text.secondary">
+              Task completati non modificati: {item.plan.keep.filter((task) => task.reason === 'completed').map((task) => task.name).join(', ')}
+            </Typography>
+          )}
+        </Box>
+      ))}
+    </Paper>
+  );
+
+  if (!template) {
+    return error ? <Alert severity="error">{error}</Alert> : null;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">
+          Template: {procedure.name}
+          <Chip label={`Versione ${procedure.version || 1}`} sx={{ ml: 2 }} />
+        </Typography>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {errors.length > 0 && <Alert severity="warning" sx={{ mb: 2 }}>{errors.join('; ')}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={9}>
+          <Paper sx={{ p: 2 }}>
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              <Grid item xs={12} sm={8}>
+                <TextField
+                  fullWidth
+                  label="Nome"
+                  value={template.name}
+                  onChange={(e) => updateTemplate({ name: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Tipo cliente"
+                  value={template.clientType}
+                  onChange={(e) => updateTemplate({ clientType: e.target.value })}
+                >
+                  {CLIENT_TYPES.map((type) => (
+                    <MenuItem key={type} value={type}>{type}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  label="Descrizione"
+                  value={template.description || ''}
+                  onChange={(e) => updateTemplate({ description: e.target.value })}
+                />
+              </Grid>
+            </Grid>
+
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">Task ({template.tasks.length})</Typography>
+              <Button startIcon={<AddIcon />} onClick={() => updateTemplate({ tasks: [...template.tasks, { ...EMPTY_TASK }] })}>
+                Task
+              </Button>
+            </Box>
+
+            {template.tasks.map(renderTask)}
+
+            <Divider sx={{ my: 2 }} />
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Nota della versione"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+              <Button variant="contained" onClick={handleSave} disabled={saving || !dirty}>
+                Salva nuova versione
+              </Button>
+            </Box>
+          </Paper>
+
+          {migration && renderMigration()}
+        </Grid>
+
+        <Grid item xs={12} md={3}>
+          <Paper sx={{ p: 2 }}>
+            <Typography variant="subtitle1" gutterBottom>Versioni</Typography>
+            {versions.map((version) => (
+              <Box key={version.version} sx={{ p: 1, mb: 1, borderRadius: 1, bgcolor: version.current ? 'action.selected' : 'transparent' }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="body2">Versione {version.version}</Typography>
+                  {version.activeInstances > 0 && (
+                    <Chip size="small" label={`${version.activeInstances} in corso`} />
+                  )}
+                </Box>
+                <Typography variant="caption" color="text.secondary" display="block">
+                  {new Date(version.createdAt).toLocaleDateString('it-IT')}
+                  {version.createdBy ? ` — ${version.createdBy.firstName} ${version.createdBy.lastName}` : ''}
+                </Typography>
+                {version.notes && (
+                  <Typography variant="caption" color="text.secondary" display="block">{version.notes}</Typography>
+                )}
+              </Box>
+            ))}
+            <Button fullWidth onClick={handlePreviewMigration} disabled={saving || dirty} sx={{ mt: 1 }}>
+              Migra procedure in corso
+            </Button>
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default ProcedureTemplateEditor;
@@ -30,15 +30,18 @@ import {
   Search as SearchIcon,
   CheckCircle as CheckCircleIcon,
   Schedule as ScheduleIcon,
-  Warning as WarningIcon
+  Warning as WarningIcon,
+  Timeline as TimelineIcon
 } from '@mui/icons-material';
 import { procedureService } from '../../services/api';
+import ProcedureGantt from './ProcedureGantt';
 
 const ProceduresList = () => {
   const [procedures, setProcedures] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [ganttProcedureId, setGanttProcedureId] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -185,6 +188,10 @@ const ProceduresList = () => {
     }
   };
 
+  const toggleGantt = (id) => {
+    setGanttProcedureId(ganttProcedureId === id ? null : id);
+  };
+
   const getCompletedSteps = (procedure) => {
     return procedure.steps.filter(step => step.completed).length;
   };
@@ -285,6 +292,13 @@ const ProceduresList = () => {
                       ))}
                     </List>
                   </Box>
+
+                  {ganttProcedureId === procedure.id && (
+                    <Box sx={{ mt: 2 }}>
+                      <Divider sx={{ mb: 2 }} />
+                      <ProcedureGantt clientProcedureId={procedure.id} />
+                    </Box>
+                  )}
                 </CardContent>
                 <CardActions>
                   <Button 
@@ -293,6 +307,13 @@ const ProceduresList = () => {
                   >
                     Modifica
                   </Button>
+                  <Button 
+                    size="small" 
+                    startIcon={<TimelineIcon />}
+                    onClick={() => toggleGantt(procedure.id)}
+                  >
+                    {ganttProcedureId === procedure.id ? 'Nascondi Gantt' : 'Gantt'}
+                  </Button>
                   <Button 
                     size="small" 
                     color="error"
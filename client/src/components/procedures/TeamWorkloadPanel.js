@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  Chip,
+  CircularProgress
+} from '@mui/material';
+import { procedureService } from '../../services/api';
+
+// Colori della mappa settimanale per livello di carico
+const LEVEL_COLORS = {
+  low: '#e8f5e9',
+  medium: '#fff9c4',
+  high: '#ffe0b2',
+  overloaded: '#ffcdd2'
+};
+
+const LEVEL_LABELS = {
+  low: 'Basso',
+  medium: 'Medio',
+  high: 'Alto',
+  overloaded: 'Sovraccarico'
+};
+
+/**
+ * Pannello del carico di lavoro del team: task aperti, in ritardo e in
+ * scadenza per utente e mappa settimanale delle ore stimate
+ */
+const TeamWorkloadPanel = ({ weeks = 6 }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchWorkload = async () => {
+      try {
+        const response = await procedureService.getTeamWorkload({ weeks });
+        setReport(response.data.report);
+      } catch (err) {
+        console.error('Errore nel caricamento del carico di lavoro:', err);
+        setError('Impossibile caricare il carico di lavoro del team');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchWorkload();
+  }, [weeks]);
+
+  const renderWeekCell = (week, index) => (
+    <Tooltip
+      key={index}
+      title={`${week.tasks} task, ${week.hours} ore su ${week.capacity} (${LEVEL_LABELS[week.level]})`}
+    >
+      <TableCell align="center" sx={{ backgroundColor: LEVEL_COLORS[week.level] }}>
+        {week.hours > 0 ? week.hours : '-'}
+      </TableCell>
+    </Tooltip>
+  );
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" gutterBottom>
+        Carico di lavoro del team
+      </Typography>
+
+      {loading && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+
+      {!loading && error && (
+        <Typography color="error">{error}</Typography>
+      )}
+
+      {!loading && report && (
+        <Box sx={{ overflowX: 'auto' }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Utente</TableCell>
+                <TableCell align="right">Aperti</TableCell>
+                <TableCell align="right">In ritardo</TableCell>
+                <TableCell align="right">In scadenza</TableCell>
+                <TableCell align="right">Ore stimate</TableCell>
+                {report.weeks.map(week => (
+                  <TableCell key={week.label} align="center">
+                    Sett. {week.label}
+                  </TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.users.map(row => (
+                <TableRow key={row.user._id}>
+                  <TableCell>
+                    {row.user.name}
+                    {row.overloadedWeeks > 0 && (
+                      <Chip label="sovraccarico" color="error" size="small" sx={{ ml: 1 }} />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{row.openTasks}</TableCell>
+                  <TableCell align="right">
+                    <Typography component="span" color={row.overdueTasks > 0 ? 'error' : 'inherit'}>
+                      {row.overdueTasks}
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">{row.upcomingTasks}</TableCell>
+                  <TableCell align="right">{row.estimatedHours}</TableCell>
+                  {row.weekly.map(renderWeekCell)}
+                </TableRow>
+              ))}
+              {report.unassigned.openTasks > 0 && (
+                <TableRow>
+                  <TableCell>
+                    <em>Non assegnati</em>
+                  </TableCell>
+                  <TableCell align="right">{report.unassigned.openTasks}</TableCell>
+                  <TableCell align="right">{report.unassigned.overdueTasks}</TableCell>
+                  <TableCell align="right">{report.unassigned.upcomingTasks}</TableCell>
+                  <TableCell align="right">{report.unassigned.estimatedHours}</TableCell>
+                  {report.unassigned.weekly.map(week => (
+                    <TableCell key={week.weekStart} align="center">
+                      {week.hours > 0 ? week.hours : '-'}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+          <Typography variant="caption" color="text.secondary">
+            Ore stimate per settimana di scadenza su una capacità di {report.capacityHours} ore; i task in ritardo sono conteggiati nella settimana corrente.
+          </Typography>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default TeamWorkloadPanel;
@@ -0,0 +1,453 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  Grid,
+  TextField,
+  Autocomplete,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  IconButton,
+  Tooltip,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  CircularProgress
+} from '@mui/material';
+import {
+  ArrowBack as BackIcon,
+  Save as SaveIcon,
+  FormatBold as BoldIcon,
+  FormatItalic as ItalicIcon,
+  FormatUnderlined as UnderlineIcon,
+  FormatListBulleted as BulletIcon,
+  FormatListNumbered as NumberedIcon,
+  Title as HeadingIcon
+} from '@mui/icons-material';
+import { templateService, clientService } from '../../services/api';
+import { splitDocument, toVisual, fromVisual, canEditVisually } from './templateMarkup';
+
+const PALETTE_GROUPS = [
+  { key: 'blocks', title: 'Sezioni ed elenchi' },
+  { key: 'clauses', title: 'Clausole' },
+  { key: 'client', title: 'Cliente' },
+  { key: 'template', title: 'Variabili del template' },
+  { key: 'system', title: 'Documento' },
+  { key: 'helpers', title: 'Formattazione' }
+];
+
+const ENGINES = [
+  { value: 'safe', label: 'Linguaggio sicuro' },
+  { value: 'ejs', label: 'EJS' }
+];
+
+const FORMAT_COMMANDS = [
+  { command: 'bold', icon: <BoldIcon fontSize="small" />, title: 'Grassetto' },
+  { command: 'italic', icon: <ItalicIcon fontSize="small" />, title: 'Corsivo' },
+  { command: 'underline', icon: <UnderlineIcon fontSize="small" />, title: 'Sottolineato' },
+  { command: 'insertUnorderedList', icon: <BulletIcon fontSize="small" />, title: 'Elenco puntato' },
+  { command: 'insertOrderedList', icon: <NumberedIcon fontSize="small" />, title: 'Elenco numerato' },
+  { command: 'formatBlock', value: 'h2', icon: <HeadingIcon fontSize="small" />, title: 'Titolo' }
+];
+
+const PREVIEW_DELAY = 600;
+
+const errorMessage = (err) => err.response?.data?.message || err.message;
+
+/**
+ * Editor dei template dei documenti: vista visuale (i segnaposto sono
+ * etichette) o sorgente HTML, tavolozza delle variabili, anteprima dal
+ * vivo con i dati di un cliente reale e controllo dei segnaposto
+ * sconosciuti. Il salvataggio crea una nuova revisione del template.
+ * Il linguaggio sicuro ({{ }}, {% if %}, {% for %}, {% include %}) non
+ * esegue codice ed è l'unico ammesso per le clausole
+ */
+const TemplateEditor = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const editorRef = useRef(null);
+  const sourceRef = useRef(null);
+  const previewTimer = useRef(null);
+
+  const [template, setTemplate] = useState(null);
+  const [palette, setPalette] = useState(null);
+  const [content, setContent] = useState('');
+  const [description, setDescription] = useState('');
+  const [variables, setVariables] = useState([]);
+  const [engine, setEngine] = useState('ejs');
+  const [notes, setNotes] = useState('');
+  const [mode, setMode] = useState('visual');
+  const [visualAllowed, setVisualAllowed] = useState(true);
+  const [clients, setClients] = useState([]);
+  const [client, setClient] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Ultimo contenuto, letto dalla vista visuale senza ricaricarla a ogni modifica
+  const contentRef = useRef(content);
+  contentRef.current = content;
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        const [editorRes, clientsRes] = await Promise.all([
+          templateService.getEditor(id),
+          clientService.getClients({ limit: 100 })
+        ]);
+        const data = editorRes.data.data;
+        const allowed = canEditVisually(splitDocument(data.template.content).body);
+
+        setTemplate(data.template);
+        setPalette(data.palette);
+        setValidation(data.validation);
+        setContent(data.template.content);
+        setDescription(data.template.description || '');
+        setVariables(data.template.variables || []);
+        setEngine(data.template.engine || 'ejs');
+        setVisualAllowed(allowed);
+        setMode(allowed ? 'visual' : 'source');
+        setClients(clientsRes.data.data.clients);
+        setError(null);
+      } catch (err) {
+        setError(errorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [id]);
+
+  // Il corpo nella vista visuale viene caricato solo quando si cambia vista,
+  // così il cursore non si sposta durante la digitazione
+  useEffect(() => {
+    if (mode === 'visual' && editorRef.current && template) {
+      editorRef.current.innerHTML = toVisual(splitDocument(contentRef.current).body);
+    }
+  }, [mode, template]);
+
+  const readVisual = useCallback(() => {
+    const { head, tail } = splitDocument(content);
+    return `${head}${fromVisual(editorRef.current)}${tail}`;
+  }, [content]);
+
+  // Anteprima (con un cliente) o solo controllo dei segnaposto, dopo una pausa nella digitazione
+  useEffect(() => {
+    if (!template) return undefined;
+
+    clearTimeout(previewTimer.current);
+    previewTimer.current = setTimeout(async () => {
+      try {
+        const draft = { content, variables, engine };
+        if (client) {
+          const response = await templateService.preview(id, client._id, draft);
+          setPreview(response.data.data);
+          setValidation(response.data.data.validation);
+        } else {
+          const response = await templateService.validate(id, draft);
+          setValidation(response.data.data.validation);
+        }
+      } catch (err) {
+        setError(errorMessage(err));
+      }
+    }, PREVIEW_DELAY);
+
+    return () => clearTimeout(previewTimer.current);
+  }, [id, template, client, content, variables, engine]);
+
+  const handleModeChange = (event, value) => {
+    if (!value || value === mode) return;
+    if (mode === 'visual') {
+      setContent(readVisual());
+    }
+    setMode(value);
+  };
+
+  // La tavolozza propone i segnaposto nel linguaggio scelto
+  const handleEngineChange = async (value) => {
+    setEngine(value);
+    try {
+      const response = await templateService.getEditor(id, value);
+      setPalette(response.data.data.palette);
+    } catch (err) {
+      setError(errorMessage(err));
+    }
+  };
+
+  const handleFormat = (command, value) => {
+    editorRef.current.focus();
+    document.execCommand(command, false, value);
+    setContent(readVisual());
+  };
+
+  const insertSnippet = (snippet) => {
+    if (mode === 'visual') {
+      editorRef.current.focus();
+      document.execCommand('insertHTML', false, `${toVisual(snippet)}&nbsp;`);
+      setContent(readVisual());
+      return;
+    }
+
+    const textarea = sourceRef.current;
+    const start = textarea ? textarea.selectionStart : content.length;
+    const end = textarea ? textarea.selectionEnd : content.length;
+    setContent(`${content.slice(0, start)}${snippet}${content.slice(end)}`);
+  };
+
+  const handleSave = async () => {
+    const current = mode === 'visual' ? readVisual() : content;
+    setContent(current);
+
+    try {
+      setSaving(true);
+      const response = await templateService.saveRevision(id, { content: current, description, variables, engine, notes });
+      const { template: saved, revision } = response.data.data;
+
+      setTemplate(saved);
+      setNotes('');
+      setMessage(revision
+        ? `Salvata la revisione ${revision.revision}`
+        : 'Nessuna modifica da salvare');
+      setError(null);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!template) {
+    return <Alert severity="error">{error || 'Template non trovato'}</Alert>;
+  }
+
+  const hasProblems = validation && !validation.valid;
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+          <Button startIcon={<BackIcon />} onClick={() => navigate('/documents/templates')} sx={{ mr: 2 }}>
+            Template
+          </Button>
+          <Typography variant="h5" component="h1">
+            {template.name}
+          </Typography>
+          <Chip size="small" label={`v${template.version}`} sx={{ ml: 1 }} />
+        </Box>
+        <Button onClick={() => navigate(`/documents/templates/${id}/revisions`)}>
+          Revisioni
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={3}>
+          <Paper sx={{ maxHeight: '75vh', overflowY: 'auto' }}>
+            {palette && PALETTE_GROUPS.filter((group) => palette[group.key] && palette[group.key].length > 0).map((group) => (
+              <List key={group.key} dense subheader={<ListSubheader>{group.title}</ListSubheader>}>
+                {palette[group.key].map((item) => (
+                  <ListItemButton key={item.name} onClick={() => insertSnippet(item.snippet)}>
+                    <ListItemText primary={item.label} secondary={item.name !== item.label ? item.name : null} />
+                  </ListItemButton>
+                ))}
+              </List>
+            ))}
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={5}>
+          <Paper sx={{ p: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <ToggleButtonGroup size="small" exclusive value={mode} onChange={handleModeChange}>
+                <ToggleButton value="visual" disabled={!visualAllowed}>Visuale</ToggleButton>
+                <ToggleButton value="source">Sorgente</ToggleButton>
+              </ToggleButtonGroup>
+              {mode === 'visual' && (
+                <Box>
+                  {FORMAT_COMMANDS.map((format) => (
+                    <Tooltip key={format.title} title={format.title}>
+                      <IconButton size="small" onMouseDown={(e) => e.preventDefault()} onClick={() => handleFormat(format.command, format.value)}>
+                        {format.icon}
+                      </IconButton>
+                    </Tooltip>
+                  ))}
+                </Box>
+              )}
+            </Box>
+
+            {!visualAllowed && (
+              <Alert severity="info" sx={{ mb: 1 }}>
+                Il template contiene codice in posizioni che la vista visuale non può conservare: modificalo nella vista sorgente
+              </Alert>
+            )}
+
+            {mode === 'visual' ? (
+              <Box
+                ref={editorRef}
+                contentEditable
+                suppressContentEditableWarning
+                onInput={() => setContent(readVisual())}
+                sx={{
+                  minHeight: 400,
+                  maxHeight: '60vh',
+                  overflowY: 'auto',
+                  border: 1,
+                  borderColor: 'divider',
+                  borderRadius: 1,
+                  p: 2,
+                  '& .tpl-tag': {
+                    display: 'inline-block',
+                    px: 0.5,
+                    borderRadius: 1,
+                    fontFamily: 'monospace',
+                    fontSize: 12,
+                    bgcolor: 'grey.200'
+                  },
+                  '& .tpl-output': { bgcolor: 'primary.light', color: 'primary.contrastText' }
+                }}
+              />
+            ) : (
+              <TextField
+                inputRef={sourceRef}
+                multiline
+                fullWidth
+                minRows={20}
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                InputProps={{ sx: { fontFamily: 'monospace', fontSize: 12 } }}
+              />
+            )}
+
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Linguaggio"
+              value={engine}
+              onChange={(e) => handleEngineChange(e.target.value)}
+              disabled={template.category === 'clause'}
+              helperText={engine === 'ejs' ? 'EJS esegue codice JavaScript: per i nuovi template preferire il linguaggio sicuro' : null}
+              sx={{ mt: 2 }}
+            >
+              {ENGINES.map((item) => (
+                <MenuItem key={item.value} value={item.value}>{item.label}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              fullWidth
+              size="small"
+              label="Descrizione"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              sx={{ mt: 2 }}
+            />
+            <Autocomplete
+              multiple
+              freeSolo
+              options={[]}
+              value={variables}
+              onChange={(e, value) => setVariables(value)}
+              renderTags={(value, getTagProps) => value.map((option, index) => (
+                <Chip size="small" label={option} {...getTagProps({ index })} />
+              ))}
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  size="small"
+                  label="Variabili del template"
+                  helperText="Dati forniti oltre a quelli del cliente (es. policy.version)"
+                />
+              )}
+              sx={{ mt: 2 }}
+            />
+            <TextField
+              fullWidth
+              size="small"
+              label="Nota della modifica"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              sx={{ mt: 2 }}
+            />
+            <Button
+              variant="contained"
+              startIcon={<SaveIcon />}
+              onClick={handleSave}
+              disabled={saving || hasProblems}
+              sx={{ mt: 2 }}
+            >
+              Salva come nuova revisione
+            </Button>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={4}>
+          <Paper sx={{ p: 2 }}>
+            <Autocomplete
+              options={clients}
+              value={client}
+              onChange={(e, value) => setClient(value)}
+              getOptionLabel={(option) => option.name}
+              isOptionEqualToValue={(option, value) => option._id === value._id}
+              renderInput={(params) => <TextField {...params} size="small" label="Cliente per l'anteprima" />}
+              sx={{ mb: 2 }}
+            />
+
+            {validation && validation.errors.map((item) => (
+              <Alert key={item} severity="error" sx={{ mb: 1 }}>{item}</Alert>
+            ))}
+            {validation && validation.unknown.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                Segnaposto sconosciuti:
+                {validation.unknown.map((item) => (
+                  <div key={item.path}>
+                    <code>{item.path}</code> (riga {item.line})
+                    {item.suggestion && <> – forse <code>{item.suggestion}</code>?</>}
+                  </div>
+                ))}
+              </Alert>
+            )}
+            {preview && preview.error && (
+              <Alert severity="error" sx={{ mb: 1 }}>Errore nel rendering: {preview.error}</Alert>
+            )}
+
+            {!client ? (
+              <Typography color="text.secondary">Seleziona un cliente per vedere l'anteprima</Typography>
+            ) : preview && preview.html ? (
+              <Box
+                component="iframe"
+                title="Anteprima del template"
+                sandbox=""
+                srcDoc={preview.html}
+                sx={{ width: '100%', height: '65vh', border: 1, borderColor: 'divider' }}
+              />
+            ) : null}
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default TemplateEditor;
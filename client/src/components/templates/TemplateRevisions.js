@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Chip,
+  Alert,
+  Grid,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  CircularProgress
+} from '@mui/material';
+import { ArrowBack as BackIcon, Restore as RestoreIcon } from '@mui/icons-material';
+import { templateService } from '../../services/api';
+
+const LINE_STYLES = {
+  added: { bgcolor: '#e6ffec', prefix: '+' },
+  removed: { bgcolor: '#ffebe9', prefix: '-' },
+  equal: { bgcolor: 'transparent', prefix: ' ' }
+};
+
+const authorName = (user) => (user ? `${user.firstName} ${user.lastName}` : '—');
+
+const formatField = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Storico delle revisioni di un template: autore, nota e documenti generati
+ * per ciascuna revisione, confronto tra due revisioni e ripristino di una
+ * revisione precedente (che crea una nuova revisione)
+ */
+const TemplateRevisions = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [revisions, setRevisions] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await templateService.getRevisions(id);
+      const list = response.data.data.revisions;
+      setRevisions(list);
+      // Di default: revisione corrente confrontata con la precedente
+      if (list.length > 0) {
+        setTo(list[0].revision);
+        setFrom(list.length > 1 ? list[1].revision : list[0].revision);
+      }
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+
+    templateService.getRevision(id, to, from)
+      .then((response) => setDiff(response.data.data.diff))
+      .catch((err) => setError(err.response?.data?.message || err.message));
+  }, [id, from, to]);
+
+  const handleRollback = async (revision) => {
+    const notes = window.prompt(`Nota per il ripristino della revisione ${revision}`, `Ripristino della revisione ${revision}`);
+    if (notes === null) return;
+
+    try {
+      const response = await templateService.rollback(id, revision, notes);
+      setMessage(`Revisione ${revision} ripristinata come revisione ${response.data.data.revision.revision}`);
+      await fetchRevisions();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 3 }}>
+        <Button startIcon={<BackIcon />} onClick={() => navigate('/documents/templates')} sx={{ mr: 2 }}>
+          Template
+        </Button>
+        <Typography variant="h5" component="h1">
+          Revisioni del template
+        </Typography>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+      {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+      <Paper sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Revisione</TableCell>
+              <TableCell>Autore</TableCell>
+              <TableCell>Data</TableCell>
+              <TableCell>Nota</TableCell>
+              <TableCell>Documenti</TableCell>
+              <TableCell align="right">Azioni</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {revisions.map((revision) => (
+              <TableRow key={revision._id}>
+                <TableCell>
+                  v{revision.revision}
+                  {revision.current && <Chip size="small" color="primary" label="corrente" sx={{ ml: 1 }} />}
+                  {revision.restoredFrom && (
+                    <Chip size="small" variant="outlined" label={`da v${revision.restoredFrom}`} sx={{ ml: 1 }} />
+                  )}
+                </TableCell>
+                <TableCell>{authorName(revision.createdBy)}</TableCell>
+                <TableCell>{new Date(revision.createdAt).toLocaleString('it-IT')}</TableCell>
+                <TableCell>{revision.notes || '—'}</TableCell>
+                <TableCell>{revision.documents}</TableCell>
+                <TableCell align="right">
+                  {!revision.current && (
+                    <Button size="small" startIcon={<RestoreIcon />} onClick={() => handleRollback(revision.revision)}>
+                      Ripristina
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      <Paper sx={{ p: 2 }}>
+        <Typography variant="h6" gutterBottom>Confronto</Typography>
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={6} md={3}>
+            <TextField select fullWidth size="small" label="Da" value={from} onChange={(e) => setFrom(e.target.value)}>
+              {revisions.map((revision) => (
+                <MenuItem key={revision._id} value={revision.revision}>v{revision.revision}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField select fullWidth size="small" label="A" value={to} onChange={(e) => setTo(e.target.value)}>
+              {revisions.map((revision) => (
+                <MenuItem key={revision._id} value={revision.revision}>v{revision.revision}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        </Grid>
+
+        {!diff ? (
+          <Typography color="text.secondary">Seleziona due revisioni diverse da confrontare</Typography>
+        ) : !diff.hasChanges ? (
+          <Typography color="text.secondary">Le revisioni sono identiche</Typography>
+        ) : (
+          <>
+            {Object.entries(diff.fields).map(([field, change]) => (
+              <Typography key={field} variant="body2" sx={{ mb: 1 }}>
+                <strong>{field}</strong>: {formatField(change.from)} → {formatField(change.to)}
+              </Typography>
+            ))}
+
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              Contenuto: +{diff.content.added} / -{diff.content.removed} righe
+            </Typography>
+
+            {diff.content.hunks.map((hunk) => (
+              <Box
+                key={`${hunk.oldStart}-${hunk.newStart}`}
+                component="pre"
+                sx={{ fontFamily: 'monospace', fontSize: 12, border: 1, borderColor: 'divider', m: 0, mb: 1, overflowX: 'auto' }}
+              >
+                <Box sx={{ bgcolor: 'grey.100', px: 1, color: 'text.secondary' }}>
+                  @@ -{hunk.oldStart} +{hunk.newStart} @@
+                </Box>
+                {hunk.lines.map((line, index) => (
+                  <Box key={index} sx={{ bgcolor: LINE_STYLES[line.type].bgcolor, px: 1 }}>
+                    {LINE_STYLES[line.type].prefix} {line.text}
+                  </Box>
+                ))}
+              </Box>
+            ))}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default TemplateRevisions;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { History as HistoryIcon, Edit as EditIcon } from '@mui/icons-material';
+import { templateService } from '../../services/api';
+
+/**
+ * Elenco dei template dei documenti con la revisione corrente
+ */
+const TemplatesList = () => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        setLoading(true);
+        const response = await templateService.getTemplates();
+        setTemplates(response.data.templates || []);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.error || err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTemplates();
+  }, []);
+
+  return (
+    <Box>
+      <Typography variant="h5" component="h1" sx={{ mb: 3 }}>
+        Template dei documenti
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <TableContainer component={Paper}>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Nome</TableCell>
+                <TableCell>Categoria</TableCell>
+                <TableCell>Formato</TableCell>
+                <TableCell>Revisione</TableCell>
+                <TableCell>Ultima modifica</TableCell>
+                <TableCell align="right">Azioni</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {templates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">Nessun template trovato</TableCell>
+                </TableRow>
+              ) : (
+                templates.map((template) => (
+                  <TableRow key={template._id} hover>
+                    <TableCell>{template.name}</TableCell>
+                    <TableCell>{template.category}</TableCell>
+                    <TableCell>{template.format}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={`v${template.version || 1}`} />
+                    </TableCell>
+                    <TableCell>
+                      {template.updatedAt ? new Date(template.updatedAt).toLocaleString('it-IT') : '—'}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        startIcon={<EditIcon />}
+                        onClick={() => navigate(`/documents/templates/${template._id}/edit`)}
+                      >
+                        Modifica
+                      </Button>
+                      <Button
+                        size="small"
+                        startIcon={<HistoryIcon />}
+                        onClick={() => navigate(`/documents/templates/${template._id}/revisions`)}
+                      >
+                        Revisioni
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+};
+
+export default TemplatesList;
@@ -0,0 +1,127 @@
+// Conversione del contenuto dei template tra sorgente (HTML con tag EJS o
+// del linguaggio sicuro) e vista visuale: i tag diventano etichette non
+// modificabili e solo il <body> è modificabile, intestazione e stili
+// restano invariati. Il contenuto viene analizzato in un documento inerte
+// (DOMParser) e privato di script e gestori di eventi prima di essere
+// inserito nell'editor.
+
+const TAG_PATTERN = /<%[\s\S]*?%>|\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}/g;
+const MARKER_PATTERN = /__TPL_TAG_(\d+)__/g;
+
+// Elementi e attributi che eseguono codice nel browser di chi apre l'editor
+const UNSAFE_ELEMENTS = 'script, iframe, frame, frameset, object, embed, applet, base, meta, link';
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Etichetta mostrata al posto di un tag: <%= name %> e {{ name }} -> name, {% if x %} -> if x
+const tagLabel = (tag) => tag
+  .replace(/^(<%[=\-_#]?|\{\{|\{%|\{#)\s*/, '')
+  .replace(/\s*([-_]?%>|\}\}|%\}|#\})$/, '');
+
+// Analizza l'HTML senza eseguire script né caricare risorse
+const parseHtml = (html) => new DOMParser().parseFromString(html, 'text/html').body;
+
+// Rimuove gli elementi e gli attributi pericolosi, restituendo quanti ne ha rimossi
+const removeUnsafe = (root) => {
+  let removed = 0;
+
+  root.querySelectorAll(UNSAFE_ELEMENTS).forEach((element) => {
+    element.remove();
+    removed += 1;
+  });
+
+  root.querySelectorAll('*').forEach((element) => {
+    Array.from(element.attributes).forEach((attribute) => {
+      const name = attribute.name.toLowerCase();
+      // I browser ignorano spazi e caratteri di controllo nello schema dell'URL
+      const value = attribute.value.replace(/[\u0000-\u0020]/g, '');
+      if (name.startsWith('on') || (URL_ATTRIBUTES.includes(name) && /^(javascript|vbscript):/i.test(value))) {
+        element.removeAttribute(attribute.name);
+        removed += 1;
+      }
+    });
+  });
+
+  return removed;
+};
+
+// I tag EJS o del linguaggio sicuro diventano etichette
+const markTags = (body) => body.replace(TAG_PATTERN, (tag) => {
+  const output = /^(<%[=-]|\{\{)/.test(tag);
+  return `<span class="tpl-tag${output ? ' tpl-output' : ''}" contenteditable="false" data-tag="${encodeURIComponent(tag)}">${escapeHtml(tagLabel(tag))}</span>`;
+});
+
+/**
+ * Separa il corpo del documento da intestazione e chiusura
+ * @param {string} source - Contenuto del template
+ * @returns {Object} - { head, body, tail }
+ */
+export const splitDocument = (source = '') => {
+  const open = source.match(/<body[^>]*>/i);
+  const close = source.search(/<\/body>/i);
+
+  if (!open || close < 0) {
+    return { head: '', body: source, tail: '' };
+  }
+
+  const start = open.index + open[0].length;
+  return {
+    head: source.slice(0, start),
+    body: source.slice(start, close),
+    tail: source.slice(close)
+  };
+};
+
+/**
+ * HTML della vista visuale: i tag EJS diventano etichette, script e
+ * gestori di eventi vengono rimossi
+ * @param {string} body - Corpo del template
+ * @returns {string}
+ */
+export const toVisual = (body) => {
+  const element = parseHtml(markTags(body));
+  removeUnsafe(element);
+  return element.innerHTML;
+};
+
+/**
+ * Corpo del template dalla vista visuale
+ * @param {HTMLElement} element - Elemento modificabile
+ * @returns {string}
+ */
+export const fromVisual = (element) => {
+  const clone = element.cloneNode(true);
+  const tags = [];
+
+  clone.querySelectorAll('span.tpl-tag').forEach((span) => {
+    tags.push(decodeURIComponent(span.getAttribute('data-tag')));
+    span.replaceWith(clone.ownerDocument.createTextNode(`__TPL_TAG_${tags.length - 1}__`));
+  });
+
+  return clone.innerHTML.replace(MARKER_PATTERN, (marker, index) => tags[Number(index)]);
+};
+
+/**
+ * Verifica che il corpo possa essere modificato nella vista visuale: i tag
+ * negli attributi o in posizioni non ammesse dall'HTML (es. tra le righe
+ * di una tabella) verrebbero spostati dal browser, e script o gestori di
+ * eventi andrebbero persi (si modificano solo nel sorgente)
+ * @param {string} body - Corpo del template
+ * @returns {boolean}
+ */
+export const canEditVisually = (body) => {
+  if (/<[a-zA-Z][^>]*(<%|\{\{|\{%)/.test(body)) return false;
+
+  const element = parseHtml(markTags(body));
+  if (removeUnsafe(element) > 0) return false;
+
+  const before = body.match(TAG_PATTERN) || [];
+  const after = fromVisual(element).match(TAG_PATTERN) || [];
+
+  return before.length === after.length && before.every((tag, index) => tag === after[index]);
+};
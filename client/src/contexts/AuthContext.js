@@ -57,6 +57,17 @@ export const AuthProvider = ({ children }) => {
         // Imposta l'header di autorizzazione per le future richieste
         axios.defaults.headers.common['Authorization'] = `Bearer ${mockToken}`;
         
+        setCurrentUser(mockUser);
+        return true;
+      } else if (email === 'cliente@example.com' && password === 'password') {
+        // Utente del portale clienti collegato a un'anagrafica
+        const mockUser = { id: 2, name: 'Mario Rossi', email: 'cliente@example.com', role: 'customer', clientId: '1' };
+        const mockToken = 'mock-jwt-token-customer';
+        
+        localStorage.setItem('authToken', mockToken);
+        localStorage.setItem('user', JSON.stringify(mockUser));
+        axios.defaults.headers.common['Authorization'] = `Bearer ${mockToken}`;
+        
         setCurrentUser(mockUser);
         return true;
       } else {
@@ -31,11 +31,54 @@ api.interceptors.response.use(
 
 // Servizi Clienti
 export const clientService = {
-  getClients: () => api.get('/clients'),
+  getClients: (params) => api.get('/clients', { params }),
   getClient: (id) => api.get(`/clients/${id}`),
   createClient: (clientData) => api.post('/clients', clientData),
   updateClient: (id, clientData) => api.put(`/clients/${id}`, clientData),
-  deleteClient: (id) => api.delete(`/clients/${id}`)
+  deleteClient: (id) => api.delete(`/clients/${id}`),
+  importClients: (file, { dryRun = true, decisions = {} } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', dryRun);
+    formData.append('decisions', JSON.stringify(decisions));
+    return api.post('/clients/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getExportColumns: () => api.get('/clients/export/columns'),
+  exportClients: (params) => api.get('/clients/export', { params, responseType: 'blob' }),
+  findDuplicates: (params) => api.get('/clients/duplicates', { params }),
+  mergeClients: (id, duplicateId) => api.post(`/clients/${id}/merge`, { duplicateId }),
+  getClientHistory: (id, params) => api.get(`/clients/${id}/history`, { params }),
+  exportPersonalData: (id) => api.get(`/clients/${id}/gdpr/export`, { responseType: 'blob' }),
+  erasePersonalData: (id, { reason, dryRun = false }) => api.post(`/clients/${id}/gdpr/erase`, { reason, dryRun }),
+  getClientConsents: (id, params) => api.get(`/clients/${id}/consents`, { params }),
+  recordClientConsent: (id, consentData) => api.post(`/clients/${id}/consents`, consentData),
+  getOnboardingSession: (id) => api.get(`/clients/${id}/onboarding/session`),
+  saveOnboardingAnswers: (id, { answers, phase, submit = false }) => api.put(`/clients/${id}/onboarding/session/answers`, { answers, phase, submit }),
+  changeOnboardingPhase: (id, phase) => api.put(`/clients/${id}/onboarding/session/phase`, { phase }),
+  getOnboardingAnswers: (id, params) => api.get(`/clients/${id}/onboarding/answers`, { params })
+};
+
+// Servizi Privacy
+export const privacyService = {
+  getPolicies: () => api.get('/privacy/policies'),
+  getCurrentPolicy: () => api.get('/privacy/policies/current'),
+  createPolicy: (policyData) => api.post('/privacy/policies', policyData),
+  getOutdatedConsents: (params) => api.get('/privacy/consents/outdated', { params }),
+  generateReconsentLetters: (clientIds, format = 'pdf') => api.post('/privacy/consents/reconsent-letters', { clientIds, format })
+};
+
+// Servizi Questionario di onboarding
+export const questionBankService = {
+  getVersions: () => api.get('/onboarding/questions/versions'),
+  getActiveVersion: () => api.get('/onboarding/questions/active'),
+  getVersion: (version) => api.get(`/onboarding/questions/versions/${version}`),
+  createDraft: (data = {}) => api.post('/onboarding/questions/versions', data),
+  updateDraft: (version, data) => api.put(`/onboarding/questions/versions/${version}`, data),
+  deleteDraft: (version) => api.delete(`/onboarding/questions/versions/${version}`),
+  publishDraft: (version) => api.post(`/onboarding/questions/versions/${version}/publish`),
+  previewVersion: (version, context) => api.post(`/onboarding/questions/versions/${version}/preview`, context)
 };
 
 // Servizi Assistente AI
@@ -50,7 +93,24 @@ export const procedureService = {
   getProcedure: (id) => api.get(`/procedures/${id}`),
   createProcedure: (procedureData) => api.post('/procedures', procedureData),
   updateProcedure: (id, procedureData) => api.put(`/procedures/${id}`, procedureData),
-  deleteProcedure: (id) => api.delete(`/procedures/${id}`)
+  deleteProcedure: (id) => api.delete(`/procedures/${id}`),
+  getFiscalCalendar: (params) => api.get('/fiscal-calendar', { params }),
+  getClientFiscalCalendar: (clientId, params) => api.get(`/clients/${clientId}/fiscal-calendar`, { params }),
+  updateRecurrence: (id, recurrence) => api.put(`/procedures/${id}/recurrence`, recurrence),
+  runRecurringProcedures: (options) => api.post('/procedures/recurrence/run', options),
+  runTaskReminders: (options) => api.post('/procedures/reminders/run', options),
+  getTaskReminderDeliveries: (clientProcedureId) => api.get(`/client-procedures/${clientProcedureId}/reminders`),
+  instantiateProcedure: (clientId, data) => api.post(`/clients/${clientId}/client-procedures`, data),
+  autoAssignTasks: (clientProcedureId, options) => api.post(`/client-procedures/${clientProcedureId}/assign`, options),
+  getTaskSchedule: (clientProcedureId) => api.get(`/client-procedures/${clientProcedureId}/schedule`),
+  addTask: (procedureId, task) => api.post(`/procedures/${procedureId}/tasks`, task),
+  reassignUserTasks: (userId, data) => api.post(`/users/${userId}/reassign-tasks`, data),
+  getTeamWorkload: (params) => api.get('/procedures/dashboard/workload', { params }),
+  updateTemplate: (id, template) => api.put(`/procedures/${id}/template`, template),
+  getVersions: (id) => api.get(`/procedures/${id}/versions`),
+  getVersion: (id, version, params) => api.get(`/procedures/${id}/versions/${version}`, { params }),
+  previewMigration: (id, options) => api.post(`/procedures/${id}/migration/preview`, options),
+  migrateInstances: (id, options) => api.post(`/procedures/${id}/migration`, options)
 };
 
 // Servizi Documenti
@@ -59,7 +119,77 @@ export const documentService = {
   generateDocument: (templateId, data) => api.post('/documents/generate', { templateId, data }),
   getDocuments: () => api.get('/documents'),
   getDocument: (id) => api.get(`/documents/${id}`),
-  deleteDocument: (id) => api.delete(`/documents/${id}`)
+  deleteDocument: (id) => api.delete(`/documents/${id}`),
+  getExpiringDocuments: (days) => api.get('/documents/expiring', { params: { days } }),
+  runExpiryCheck: (options) => api.post('/documents/expiry-check', options),
+  sendByEmail: (id, data) => api.post(`/documents/${id}/email`, data),
+  sendByPec: (id, data) => api.post(`/documents/${id}/pec`, data),
+  downloadReceipt: (id, receiptId) => api.get(`/documents/${id}/receipts/${receiptId}`, { responseType: 'blob' }),
+  getDeliveries: (id) => api.get(`/documents/${id}/deliveries`),
+  retryDelivery: (deliveryId) => api.post(`/documents/deliveries/${deliveryId}/retry`)
+};
+
+// Servizi Template dei documenti e revisioni
+export const templateService = {
+  getTemplates: () => api.get('/documents/templates'),
+  getTemplate: (id) => api.get(`/documents/templates/${id}`),
+  updateTemplate: (id, data) => api.put(`/documents/templates/${id}`, data),
+  getRevisions: (id) => api.get(`/documents/templates/${id}/revisions`),
+  getRevision: (id, revision, compareTo) => api.get(`/documents/templates/${id}/revisions/${revision}`, { params: { compareTo } }),
+  rollback: (id, revision, notes) => api.post(`/documents/templates/${id}/revisions/${revision}/rollback`, { notes }),
+  getEditor: (id, engine) => api.get(`/documents/templates/${id}/editor`, { params: { engine } }),
+  validate: (id, draft) => api.post(`/documents/templates/${id}/validate`, draft),
+  preview: (id, clientId, draft) => api.post(`/documents/templates/${id}/preview`, { clientId, ...draft }),
+  saveRevision: (id, data) => api.post(`/documents/templates/${id}/revisions`, data),
+  getDocumentRevision: (documentId) => api.get(`/documents/${documentId}/template-revision`)
+};
+
+// Servizi Portale Clienti
+export const portalService = {
+  getMyPortal: () => api.get('/portal/me'),
+  getOverview: (clientId) => api.get(`/portal/clients/${clientId}`),
+  saveDraft: (clientId, answers) => api.put(`/portal/clients/${clientId}/answers/draft`, { answers }),
+  submitAnswers: (clientId, answers, phase) => api.post(`/portal/clients/${clientId}/answers`, { answers, phase }),
+  uploadChecklistDocument: (clientId, itemId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/portal/clients/${clientId}/checklist/${itemId}/document`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  }
+};
+
+// Servizi Notifiche
+export const notificationService = {
+  getNotifications: (params) => api.get('/notifications', { params }),
+  markAsRead: (ids) => api.patch('/notifications/read', { ids })
+};
+
+// Servizi Registrazione Ore
+export const timeEntryService = {
+  getEntries: (params) => api.get('/time-entries', { params }),
+  createEntry: (data) => api.post('/time-entries', data),
+  updateEntry: (id, data) => api.patch(`/time-entries/${id}`, data),
+  deleteEntry: (id, reason) => api.delete(`/time-entries/${id}`, { data: { reason } }),
+  getRunningTimer: () => api.get('/time-entries/timer'),
+  startTimer: (clientProcedureId, taskId, description) =>
+    api.post('/time-entries/timer/start', { clientProcedureId, taskId, description }),
+  stopTimer: () => api.post('/time-entries/timer/stop'),
+  getTotals: (params) => api.get('/time-entries/totals', { params }),
+  getBillingRollup: (clientId, params) => api.get(`/time-entries/billing/${clientId}`, { params }),
+  exportBilling: (clientId, params) => api.get(`/time-entries/billing/${clientId}/export`, { params, responseType: 'blob' }),
+  generateEstimate: (clientId, data) => api.post(`/time-entries/billing/${clientId}/estimate`, data),
+  lockEntries: (data) => api.post('/time-entries/lock', data),
+  unlockEntries: (invoiceNumber, reason) => api.post('/time-entries/unlock', { invoiceNumber, reason })
+};
+
+// Servizi Calendario
+export const calendarService = {
+  getFeeds: () => api.get('/calendar/feeds'),
+  createFeed: (data) => api.post('/calendar/feeds', data),
+  revokeFeed: (id) => api.delete(`/calendar/feeds/${id}`),
+  downloadTask: (clientProcedureId, taskId) =>
+    api.get(`/calendar/tasks/${clientProcedureId}/${taskId}.ics`, { responseType: 'blob' })
 };
 
 export default api;
\ No newline at end of file
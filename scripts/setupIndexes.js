@@ -169,11 +169,33 @@ const setupIndexes = async () => {
     });
     
     // ActivityLog - elimina log più vecchi di 90 giorni
+    // (i log registrati prima del campo timestamp usano la data di creazione)
+    await ActivityLog.updateMany(
+      { timestamp: { $exists: false } },
+      [{ $set: { timestamp: '$createdAt' } }]
+    );
+    // I log di audit (unioni di clienti, richieste GDPR) non devono mai scadere
+    await ActivityLog.updateMany(
+      { retention: { $exists: false }, activityType: { $in: ActivityLog.PERMANENT_ACTIVITY_TYPES } },
+      { $set: { retention: 'permanent' } }
+    );
+    await ActivityLog.updateMany(
+      { retention: { $exists: false } },
+      { $set: { retention: 'standard' } }
+    );
+    // La versione precedente dell'indice TTL non aveva il filtro: va ricreata
+    const activityLogIndexes = await ActivityLog.collection.indexes();
+    const previousTtlIndex = activityLogIndexes.find(index => index.name === 'idx_activitylog_ttl');
+    if (previousTtlIndex && !previousTtlIndex.partialFilterExpression) {
+      await ActivityLog.collection.dropIndex('idx_activitylog_ttl');
+      log('Rimosso indice TTL ActivityLog senza filtro sui log di audit');
+    }
     await createIndex(ActivityLog, { timestamp: 1 }, {
       name: 'idx_activitylog_ttl',
       expireAfterSeconds: 90 * 24 * 60 * 60, // 90 giorni in secondi
+      partialFilterExpression: { retention: 'standard' },
       background: true,
-      comment: 'Indice TTL per pulizia automatica log attività vecchi'
+      comment: 'Indice TTL per pulizia automatica log attività vecchi (esclusi i log di audit)'
     });
     
     // ============ ALTRI INDICI IMPORTANTI ============
@@ -402,5 +424,7 @@ setupIndexes().catch(error => {
  * 2. ActivityLog: {timestamp: 1} con expireAfterSeconds: 7776000 (90 giorni)
  *    - Funzionalità: Pulizia log vecchi
  *    - Impatto: Previene crescita incontrollata della collezione
- *    - Note: Durata personalizzabile modificando expireAfterSeconds
+ *    - Note: Durata personalizzabile modificando expireAfterSeconds; il filtro
+ *      parziale { retention: 'standard' } esclude i log di audit (unioni di
+ *      clienti, esportazioni e cancellazioni GDPR), conservati senza scadenza
  */
\ No newline at end of file
@@ -13,6 +13,9 @@ const ClientProcedure = require('../src/models/ClientProcedure');
 const aiService = require('../src/services/aiService');
 const { logger } = require('../src/utils/logger');
 
+// Caricato al primo utilizzo: questionBankService dipende a sua volta da questo modulo
+const getQuestionBankService = () => require('../src/services/questionBankService');
+
 // Definizione delle fasi di onboarding
 const ONBOARDING_PHASES = {
   INITIAL: 'initial',
@@ -60,7 +63,11 @@ const TAX_REGIMES = {
   ORDINARIO: 'Ordinario'
 };
 
-// Definizione delle domande per ogni fase e tipo cliente
+// Definizione delle domande per ogni fase e tipo cliente.
+// È il questionario predefinito: alla prima esecuzione viene copiato come
+// versione 1 nella collezione QuestionBank (vedi questionBankService),
+// dove gli amministratori possono modificarlo senza rilasci applicativi.
+// Le domande mostrate ai clienti provengono sempre dalla versione pubblicata.
 const questionsBank = {
   // Fase iniziale - comune a tutti i clienti
   [ONBOARDING_PHASES.INITIAL]: [
@@ -519,7 +526,7 @@ const startOnboarding = async (clientType, initialData = {}) => {
     await client.save();
     
     // Ottieni le prime domande basate sul tipo cliente
-    const questions = getQuestionsForPhase(ONBOARDING_PHASES.PERSONAL_INFO, clientType);
+    const questions = await getQuestionsForPhase(ONBOARDING_PHASES.PERSONAL_INFO, clientType);
     
     return {
       success: true,
@@ -571,7 +578,7 @@ const getNextQuestions = async (clientId) => {
     const taxRegime = client.accountingRegime;
     
     // Ottieni le domande per la fase corrente
-    const questions = getQuestionsForPhase(currentPhase, clientType, taxRegime);
+    const questions = await getQuestionsForPhase(currentPhase, clientType, taxRegime);
     
     // Determina la percentuale di completamento
     const completionPercentage = calculateCompletionPercentage(client, currentPhase);
@@ -599,9 +606,11 @@ const getNextQuestions = async (clientId) => {
  * Elabora le risposte e aggiorna il profilo cliente
  * @param {string} clientId - ID del cliente
  * @param {Object} answers - Risposte fornite
+ * @param {Object} options - Opzioni: phase (fase a cui si riferiscono le risposte,
+ *                           per tornare a una fase precedente; default la fase corrente)
  * @returns {Promise<Object>} - Risultato dell'elaborazione
  */
-const processAnswers = async (clientId, answers) => {
+const processAnswers = async (clientId, answers, options = {}) => {
   try {
     // Trova il cliente nel database
     const client = await Client.findById(clientId);
@@ -609,8 +618,12 @@ const processAnswers = async (clientId, answers) => {
       throw new Error(`Cliente con ID ${clientId} non trovato`);
     }
     
-    // Determina la fase corrente
-    const currentPhase = determineCurrentPhase(client);
+    if (options.phase && !Object.values(ONBOARDING_PHASES).includes(options.phase)) {
+      throw new Error(`Fase onboarding non valida: ${options.phase}`);
+    }
+    
+    // Determina la fase a cui si riferiscono le risposte
+    const currentPhase = options.phase || determineCurrentPhase(client);
     
     // Aggiorna lo stato dell'onboarding
     if (client.onboarding.status === 'nuovo') {
@@ -649,6 +662,9 @@ const processAnswers = async (clientId, answers) => {
         logger.warn(`Fase onboarding non gestita: ${currentPhase}`);
     }
     
+    // Salva le risposte alle domande collegate a un campo dell'anagrafica
+    applyMappedAnswers(client, answers, await getMappedQuestions());
+    
     // Calcola la percentuale di completamento
     const newPhase = getNextPhase(currentPhase);
     const completionPercentage = calculateCompletionPercentage(client, newPhase);
@@ -911,57 +927,109 @@ const getNextPhase = (currentPhase) => {
 };
 
 /**
- * Ottiene le domande per una specifica fase
+ * Ottiene le domande per una specifica fase dalla versione pubblicata
+ * del questionario (questionBankService)
  * @param {string} phase - Fase di onboarding
  * @param {string} clientType - Tipo di cliente
  * @param {string} taxRegime - Regime fiscale (opzionale)
- * @returns {Array} - Domande per la fase
+ * @param {Object} answers - Risposte già date, per le regole di visibilità (opzionale)
+ * @returns {Promise<Array>} - Domande per la fase
  */
-const getQuestionsForPhase = (phase, clientType, taxRegime = null) => {
-  if (!phase || !questionsBank[phase]) {
+const getQuestionsForPhase = async (phase, clientType, taxRegime = null, answers = {}) => {
+  if (!phase || phase === ONBOARDING_PHASES.COMPLETED) {
     return [];
   }
   
-  // Se la fase ha domande dirette (non suddivise per tipo)
-  if (Array.isArray(questionsBank[phase])) {
-    return questionsBank[phase];
+  return getQuestionBankService().getQuestionsForPhase(phase, { clientType, taxRegime, answers });
+};
+
+/**
+ * Recupera le domande della versione pubblicata collegate a un campo
+ * dell'anagrafica (clientField)
+ * @returns {Promise<Array>} - Domande con clientField
+ */
+const getMappedQuestions = async () => {
+  const bank = await getQuestionBankService().getActiveBank();
+  return (bank.questions || []).filter(question => question.clientField);
+};
+
+/**
+ * Converte una risposta nel tipo di dato del campo collegato
+ * @param {Object} question - Domanda con clientField
+ * @param {*} value - Risposta
+ * @returns {*} - Valore da salvare
+ */
+const castAnswer = (question, value) => {
+  // Servizi e tag sono elenchi: si accettano anche valori separati da virgola
+  if (['services', 'tags'].includes(question.clientField)) {
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
   }
   
-  // Raccogli domande comuni per la fase
-  let questions = [...(questionsBank[phase].common || [])];
-  
-  // Aggiungi domande specifiche per il tipo cliente
-  if (clientType && questionsBank[phase][clientType]) {
-    questions = [...questions, ...questionsBank[phase][clientType]];
+  switch (question.type) {
+    case 'number':
+      return Number(value);
+    case 'date':
+      return new Date(value);
+    case 'boolean':
+      return value === true || value === 'true';
+    case 'multiselect':
+      return Array.isArray(value) ? value.join(', ') : value;
+    default:
+      return value;
   }
-  
-  // Per alcune fasi, aggiungi domande commerciali a tutti i tipi tranne persona fisica
-  if (phase === ONBOARDING_PHASES.BUSINESS_INFO && 
-      clientType !== CLIENT_TYPES.INDIVIDUAL && 
-      questionsBank[phase].commercial) {
-    questions = [...questions, ...questionsBank[phase].commercial];
-    questions = [...questions, ...questionsBank[phase].legal_representative];
+};
+
+/**
+ * Imposta un campo, anche annidato, su un documento Mongoose o un oggetto semplice
+ * @param {Object} target - Cliente o dati cliente
+ * @param {string} path - Percorso del campo (es. "contactInfo.phone")
+ * @param {*} value - Valore
+ */
+const setClientField = (target, path, value) => {
+  if (typeof target.set === 'function') {
+    target.set(path, value);
+    return;
   }
   
-  // Per fase fiscale, aggiungi domande specifiche per il regime
-  if (phase === ONBOARDING_PHASES.FISCAL_DATA && 
-      taxRegime && questionsBank[phase][taxRegime]) {
-    questions = [...questions, ...questionsBank[phase][taxRegime]];
-  }
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (!obj[key] || typeof obj[key] !== 'object') obj[key] = {};
+    return obj[key];
+  }, target);
   
-  // Per fase documenti, aggiusta in base al tipo cliente
-  if (phase === ONBOARDING_PHASES.DOCUMENTS) {
-    if (clientType === CLIENT_TYPES.INDIVIDUAL) {
-      questions = [...questions, ...questionsBank[phase][CLIENT_TYPES.INDIVIDUAL]];
-    } else if (clientType === CLIENT_TYPES.SOLE_PROPRIETOR) {
-      questions = [...questions, ...questionsBank[phase][CLIENT_TYPES.SOLE_PROPRIETOR]];
-    } else {
-      // Per tutti i tipi di società, aggiungi i documenti corporate
-      questions = [...questions, ...(questionsBank[phase].corporate || [])];
+  parent[last] = value;
+};
+
+/**
+ * Salva nel cliente le risposte alle domande collegate a un campo
+ * dell'anagrafica. Le risposte destinate alle note vengono aggiunte
+ * con il testo della domanda.
+ * @param {Object} target - Cliente o dati cliente
+ * @param {Object} answers - Risposte per ID domanda
+ * @param {Array} questions - Domande con clientField
+ */
+const applyMappedAnswers = (target, answers, questions) => {
+  questions.forEach(question => {
+    const value = answers[question.questionId];
+    
+    if (value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0)) {
+      return;
     }
-  }
-  
-  return questions;
+    
+    const cast = castAnswer(question, value);
+    
+    if (question.clientField === 'notes') {
+      const line = `${question.text}: ${cast === true ? 'Sì' : cast === false ? 'No' : cast}`;
+      target.notes = target.notes ? `${target.notes}\n${line}` : line;
+      return;
+    }
+    
+    setClientField(target, question.clientField, cast);
+  });
 };
 
 /**
@@ -1222,6 +1290,42 @@ const updateServices = (client, answers) => {
   client.lastContactDate = new Date();
 };
 
+/**
+ * Ricostruisce i dati anagrafici del cliente a partire dalle risposte al
+ * questionario, applicando le stesse regole usate fase per fase, comprese
+ * le domande del questionario pubblicato collegate a un campo dell'anagrafica
+ * @param {Object} answers - Risposte per ID domanda (ultima risposta data)
+ * @param {string} companyType - Tipo azienda già noto, se le risposte non lo indicano
+ * @returns {Promise<Object>} - Dati cliente nella struttura del modello Client
+ */
+const mapAnswersToClientData = async (answers, companyType = null) => {
+  const data = {
+    companyType: answers.client_type
+      ? mapClientTypeToCompanyType(answers.client_type, {
+        partnershipType: answers.partnership_type,
+        corporationType: answers.corporation_type,
+        nonProfitType: answers.non_profit_type
+      })
+      : companyType,
+    contactInfo: { address: {} },
+    notes: ''
+  };
+  
+  updatePersonalInfo(data, answers);
+  updateBusinessInfo(data, answers);
+  updateFiscalData(data, answers);
+  updateServices(data, answers);
+  applyMappedAnswers(data, answers, await getMappedQuestions());
+  
+  // Campi di servizio impostati dalle funzioni di aggiornamento
+  delete data.lastContactDate;
+  if (!data.notes) delete data.notes;
+  if (!data.companyType) delete data.companyType;
+  if (Object.keys(data.contactInfo.address).length === 0) delete data.contactInfo.address;
+  
+  return data;
+};
+
 /**
  * Mappa tipi documento ai valori dell'enum nel modello
  * @param {string} documentKey - Chiave del documento
@@ -1495,7 +1599,12 @@ module.exports = {
   processAnswers,
   checkCompleteness,
   suggestProcedure,
+  mapAnswersToClientData,
+  getQuestionsForPhase,
+  getNextPhase,
+  mapCompanyTypeToClientType,
   // Esporta anche funzioni di utilità per test
+  questionsBank,
   ONBOARDING_PHASES,
   CLIENT_TYPES,
   TAX_REGIMES
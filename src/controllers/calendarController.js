@@ -0,0 +1,146 @@
+/**
+ * Controller per i feed iCalendar delle scadenze e dei task
+ */
+
+const CalendarFeed = require('../models/CalendarFeed');
+const calendarFeedService = require('../services/calendarFeedService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Indirizzi di un feed: https per il download, webcal per l'abbonamento
+ * @param {Object} req - Richiesta
+ * @param {Object} feed - Feed
+ * @returns {Object} - Feed con url e webcalUrl
+ */
+const withUrls = (req, feed) => {
+  const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${feed.token}.ics`;
+
+  return {
+    ...feed.toObject(),
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+};
+
+/**
+ * Invia un calendario come file .ics
+ * @param {Object} res - Risposta
+ * @param {string} ics - Contenuto del calendario
+ * @param {string} filename - Nome del file
+ * @param {string} disposition - inline (feed) o attachment (download)
+ */
+const sendCalendar = (res, ics, filename, disposition = 'inline') => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `${disposition}; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(ics);
+};
+
+/**
+ * Feed pubblicato all'indirizzo con token (senza autenticazione)
+ * GET /api/v1/calendar/feeds/:token.ics
+ */
+exports.getFeed = catchAsync(async (req, res, next) => {
+  const result = await calendarFeedService.renderFeed(req.params.token);
+
+  if (!result) {
+    return next(new AppError('Feed del calendario non trovato o revocato', 404));
+  }
+
+  sendCalendar(res, result.ics, 'scadenze.ics');
+});
+
+/**
+ * Feed attivi creati dall'utente autenticato
+ * GET /api/v1/calendar/feeds
+ */
+exports.listFeeds = catchAsync(async (req, res, next) => {
+  const feeds = await calendarFeedService.listFeeds(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: feeds.length,
+    data: {
+      feeds: feeds.map(feed => withUrls(req, feed))
+    }
+  });
+});
+
+/**
+ * Crea un feed dell'utente o di un cliente. Solo gli amministratori
+ * possono creare feed per conto di altri utenti
+ * POST /api/v1/calendar/feeds
+ * Body: { scope: 'user'|'client', userId, clientId, name, includeFiscalDeadlines, includeCompleted }
+ */
+exports.createFeed = catchAsync(async (req, res, next) => {
+  const { scope = 'user', userId, clientId } = req.body;
+
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non sei autorizzato a creare feed del calendario', 403));
+  }
+
+  if (!['user', 'client'].includes(scope)) {
+    return next(new AppError('Il tipo di feed deve essere uno tra: user, client', 400));
+  }
+
+  if (scope === 'client' && !clientId) {
+    return next(new AppError('Il cliente del feed è obbligatorio', 400));
+  }
+
+  if (scope === 'user' && userId && String(userId) !== String(req.user._id) && req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono creare feed per altri utenti', 403));
+  }
+
+  const feed = await calendarFeedService.createFeed(req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      feed: withUrls(req, feed)
+    }
+  });
+});
+
+/**
+ * Revoca un feed: l'indirizzo smette di funzionare
+ * DELETE /api/v1/calendar/feeds/:id
+ */
+exports.revokeFeed = catchAsync(async (req, res, next) => {
+  const feed = await CalendarFeed.findById(req.params.id);
+
+  if (!feed || !feed.isActive()) {
+    return next(new AppError('Feed del calendario non trovato', 404));
+  }
+
+  if (req.user.role !== 'admin' && String(feed.owner) !== String(req.user._id)) {
+    return next(new AppError('Non sei autorizzato a revocare questo feed', 403));
+  }
+
+  await calendarFeedService.revokeFeed(feed, req.user);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * File .ics di un singolo task
+ * GET /api/v1/calendar/tasks/:clientProcedureId/:taskId.ics
+ */
+exports.getTaskCalendar = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non sei autorizzato ad accedere ai task dello studio', 403));
+  }
+
+  const result = await calendarFeedService.renderTask(req.params.clientProcedureId, req.params.taskId);
+
+  if (!result) {
+    return next(new AppError('Task non trovato', 404));
+  }
+
+  sendCalendar(res, result.ics, `${result.task.taskId}.ics`, 'attachment');
+});
@@ -9,6 +9,10 @@ const mongoose = require('mongoose');
 const Client = require('../models/Client');
 const Document = require('../models/Document');
 const validationService = require('../services/validationService');
+const clientImportService = require('../services/clientImportService');
+const clientExportService = require('../services/clientExportService');
+const clientDuplicateService = require('../services/clientDuplicateService');
+const clientHistoryService = require('../services/clientHistoryService');
 const aiAssistant = require('../services/aiAssistant');
 const { catchAsync } = require('../utils/errorHandlers');
 const AppError = require('../utils/appError');
@@ -17,6 +21,18 @@ const path = require('path');
 const { promisify } = require('util');
 const unlinkAsync = promisify(fs.unlink);
 
+// Helper per la ricerca testuale su più campi
+const buildTextSearch = (text) => [
+  { name: { $regex: text, $options: 'i' } },
+  { fiscalCode: { $regex: text, $options: 'i' } },
+  { vatNumber: { $regex: text, $options: 'i' } },
+  { 'contactInfo.email': { $regex: text, $options: 'i' } },
+  { 'contactInfo.phone': { $regex: text, $options: 'i' } },
+  { 'contactInfo.address.city': { $regex: text, $options: 'i' } },
+  { 'legalRepresentative.firstName': { $regex: text, $options: 'i' } },
+  { 'legalRepresentative.lastName': { $regex: text, $options: 'i' } }
+];
+
 // Helper per costruire le query con filtri
 const buildQuery = (queryParams) => {
   const query = {};
@@ -63,6 +79,16 @@ const buildQuery = (queryParams) => {
     query.accountingRegime = queryParams.accountingRegime;
   }
   
+  // Filtri per tag (lista separata da virgole, basta che uno corrisponda)
+  if (queryParams.tags) {
+    query.tags = { $in: queryParams.tags.split(',').map(tag => tag.trim()) };
+  }
+  
+  // Ricerca testuale su più campi (stessi campi della ricerca globale)
+  if (queryParams.search) {
+    query.$or = buildTextSearch(queryParams.search);
+  }
+  
   // Filtro per data di creazione (range)
   if (queryParams.createdFrom || queryParams.createdTo) {
     query.createdAt = {};
@@ -240,6 +266,13 @@ exports.updateClient = catchAsync(async (req, res, next) => {
     await updatedClient.save();
   }
   
+  // Registra nello storico i campi modificati
+  await clientHistoryService.recordChanges(client, updatedClient, {
+    user: req.user,
+    source: 'api',
+    req
+  });
+  
   res.status(200).json({
     status: 'success',
     data: {
@@ -405,6 +438,12 @@ exports.updateOnboardingStatus = catchAsync(async (req, res, next) => {
     }
   );
   
+  await clientHistoryService.recordChanges(client, updatedClient, {
+    user: req.user,
+    source: 'api',
+    req
+  });
+  
   res.status(200).json({
     status: 'success',
     data: {
@@ -627,16 +666,7 @@ exports.searchClients = catchAsync(async (req, res, next) => {
   
   // Crea la query di ricerca su più campi
   let searchQuery = {
-    $or: [
-      { name: { $regex: query, $options: 'i' } },
-      { fiscalCode: { $regex: query, $options: 'i' } },
-      { vatNumber: { $regex: query, $options: 'i' } },
-      { 'contactInfo.email': { $regex: query, $options: 'i' } },
-      { 'contactInfo.phone': { $regex: query, $options: 'i' } },
-      { 'contactInfo.address.city': { $regex: query, $options: 'i' } },
-      { 'legalRepresentative.firstName': { $regex: query, $options: 'i' } },
-      { 'legalRepresentative.lastName': { $regex: query, $options: 'i' } }
-    ]
+    $or: buildTextSearch(query)
   };
   
   // Aggiungi filtro per operatore assegnato (se non admin)
@@ -736,4 +766,242 @@ exports.getClientQuestions = catchAsync(async (req, res, next) => {
       questions
     }
   });
-});
\ No newline at end of file
+});
+/**
+ * Importa clienti da un file CSV o XLSX
+ * POST /api/v1/clients/import
+ * Richiede multipart/form-data con il file. Per default esegue solo l'analisi
+ * (dryRun) e restituisce il report riga per riga; con dryRun=false salva i
+ * clienti applicando le decisioni sui duplicati ({ "<riga>": "merge"|"skip" })
+ */
+exports.importClients = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Nessun file caricato', 400));
+  }
+  
+  const dryRun = req.body.dryRun === undefined || String(req.body.dryRun) !== 'false';
+  
+  // I campi multipart arrivano come stringhe JSON
+  let decisions = {};
+  let mapping = {};
+  try {
+    decisions = req.body.decisions ? JSON.parse(req.body.decisions) : {};
+    mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+  } catch (error) {
+    return next(new AppError('Formato di decisioni o mappatura colonne non valido', 400));
+  }
+  
+  let report;
+  try {
+    report = await clientImportService.buildImportReport(req.file, { mapping });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  
+  if (dryRun) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        dryRun: true,
+        report
+      }
+    });
+  }
+  
+  const result = await clientImportService.commitImport(report, decisions, req.user);
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      dryRun: false,
+      result
+    }
+  });
+});
+
+/**
+ * Restituisce le colonne disponibili per l'esportazione dei clienti
+ * GET /api/v1/clients/export/columns
+ */
+exports.getExportColumns = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      columns: clientExportService.EXPORT_COLUMNS,
+      defaultColumns: clientExportService.DEFAULT_COLUMNS,
+      formats: Object.keys(clientExportService.EXPORT_FORMATS)
+    }
+  });
+});
+
+/**
+ * Esporta i clienti filtrati in CSV, XLSX o JSON
+ * GET /api/v1/clients/export?format=csv&columns=name,contactInfo.email
+ * Accetta gli stessi filtri e lo stesso ordinamento di getAllClients
+ */
+exports.exportClients = catchAsync(async (req, res, next) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  const formatInfo = clientExportService.EXPORT_FORMATS[format];
+  
+  if (!formatInfo) {
+    return next(new AppError('Formato di esportazione non valido (csv, xlsx o json)', 400));
+  }
+  
+  let columns;
+  try {
+    columns = clientExportService.resolveColumns(req.query.columns);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+  
+  // Stessi filtri dell'elenco clienti
+  const query = buildQuery(req.query);
+  
+  if (req.user.role === 'operator') {
+    query.assignedTo = req.user._id;
+  }
+  
+  const sortBy = req.query.sortBy || 'name';
+  const sortDirection = req.query.sortDirection === 'desc' ? -1 : 1;
+  
+  // Cursore per non caricare in memoria tutti i clienti
+  const cursor = Client.find(query)
+    .sort({ [sortBy]: sortDirection })
+    .select('-__v')
+    .lean()
+    .cursor();
+  
+  const fileName = `clienti_${new Date().toISOString().substring(0, 10)}.${formatInfo.extension}`;
+  
+  res.status(200);
+  res.setHeader('Content-Type', formatInfo.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  
+  await clientExportService.exportClients(cursor, res, { format, columns });
+  
+  res.end();
+});
+
+/**
+ * Cerca i clienti potenzialmente duplicati
+ * GET /api/v1/clients/duplicates?clientId=...&threshold=0.5
+ */
+exports.findDuplicates = catchAsync(async (req, res, next) => {
+  const options = {};
+  
+  if (req.query.clientId) {
+    options.clientId = req.query.clientId;
+  }
+  
+  if (req.query.threshold) {
+    const threshold = parseFloat(req.query.threshold);
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return next(new AppError('La soglia deve essere un numero tra 0 e 1', 400));
+    }
+    options.threshold = threshold;
+  }
+  
+  // Gli operatori cercano i duplicati solo tra i propri clienti
+  if (req.user.role === 'operator') {
+    options.filter = { assignedTo: req.user._id };
+  }
+  
+  const duplicates = await clientDuplicateService.findDuplicates(options);
+  
+  res.status(200).json({
+    status: 'success',
+    results: duplicates.length,
+    data: {
+      duplicates
+    }
+  });
+});
+
+/**
+ * Unisce un cliente duplicato nel cliente indicato
+ * POST /api/v1/clients/:id/merge
+ * Body: { duplicateId }
+ */
+exports.mergeClients = catchAsync(async (req, res, next) => {
+  const { duplicateId } = req.body;
+  
+  if (!duplicateId) {
+    return next(new AppError('ID del cliente duplicato mancante', 400));
+  }
+  
+  if (duplicateId === req.params.id) {
+    return next(new AppError('Non è possibile unire un cliente con se stesso', 400));
+  }
+  
+  const [survivor, duplicate] = await Promise.all([
+    Client.findById(req.params.id),
+    Client.findById(duplicateId)
+  ]);
+  
+  if (!survivor || !duplicate) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+  
+  // Un'unione interrotta verso lo stesso cliente può essere ripetuta
+  if (duplicate.mergedAt || (duplicate.mergedInto && duplicate.mergedInto.toString() !== survivor._id.toString())) {
+    return next(new AppError('Il cliente duplicato è già stato unito a un altro cliente', 400));
+  }
+  
+  // Verifica accesso per operatori (entrambi i clienti devono essere assegnati)
+  if (req.user.role === 'operator' && [survivor, duplicate].some(client =>
+      client.onboarding && client.onboarding.assignedTo &&
+      client.onboarding.assignedTo.toString() !== req.user._id.toString())) {
+    return next(new AppError('Non hai i permessi per unire questi clienti', 403));
+  }
+  
+  const result = await clientDuplicateService.mergeClients(survivor._id, duplicate._id, req.user);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      client: result.client,
+      moved: result.moved
+    }
+  });
+});
+
+/**
+ * Ottiene lo storico delle modifiche di un cliente
+ * GET /api/v1/clients/:id/history?field=vatNumber
+ */
+exports.getClientHistory = catchAsync(async (req, res, next) => {
+  const client = await Client.findById(req.params.id);
+  
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+  
+  // Verifica accesso per operatori (solo clienti assegnati)
+  if (req.user.role === 'operator' && 
+      client.assignedTo && client.assignedTo.toString() !== req.user._id.toString()) {
+    return next(new AppError('Non hai i permessi per accedere a questo cliente', 403));
+  }
+  
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  
+  const { history, total } = await clientHistoryService.getClientHistory(client._id, {
+    field: req.query.field,
+    page,
+    limit
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    results: history.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: {
+      history
+    }
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Controller per la gestione dei consensi privacy
+ * 
+ * Gestisce il registro delle versioni dell'informativa, gli eventi di
+ * consenso dei clienti e le campagne di richiesta di un nuovo consenso
+ * quando l'informativa viene aggiornata.
+ */
+
+const Client = require('../models/Client');
+const consentService = require('../services/consentService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Verifica che l'utente possa accedere ai consensi del cliente
+ * @param {Object} user - Utente autenticato
+ * @param {Object} client - Cliente
+ * @returns {boolean}
+ */
+const canAccessClient = (user, client) => {
+  const assignedTo = client.onboarding && client.onboarding.assignedTo;
+  
+  // Operatori: solo clienti assegnati
+  if (user.role === 'operator' && 
+      assignedTo && assignedTo.toString() !== user._id.toString()) {
+    return false;
+  }
+  
+  // Clienti del portale: solo i propri consensi
+  if (user.role === 'customer' && 
+      (!user.clientId || user.clientId.toString() !== client._id.toString())) {
+    return false;
+  }
+  
+  return true;
+};
+
+/**
+ * Elenca le versioni dell'informativa privacy
+ * GET /api/v1/privacy/policies
+ */
+exports.getPolicies = catchAsync(async (req, res, next) => {
+  const policies = await consentService.listPolicies();
+  
+  res.status(200).json({
+    status: 'success',
+    results: policies.length,
+    data: {
+      policies
+    }
+  });
+});
+
+/**
+ * Restituisce la versione dell'informativa in vigore
+ * GET /api/v1/privacy/policies/current
+ */
+exports.getCurrentPolicy = catchAsync(async (req, res, next) => {
+  const policy = await consentService.getCurrentPolicy();
+  
+  if (!policy) {
+    return next(new AppError('Nessuna informativa privacy in vigore', 404));
+  }
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      policy
+    }
+  });
+});
+
+/**
+ * Registra una nuova versione dell'informativa privacy
+ * POST /api/v1/privacy/policies
+ * Body: { version, title, text, changeSummary, effectiveDate, consentTypes }
+ */
+exports.createPolicy = catchAsync(async (req, res, next) => {
+  // Solo gli admin possono pubblicare una nuova informativa
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono pubblicare una nuova informativa', 403));
+  }
+  
+  const { version, title, text } = req.body;
+  
+  if (!version || !title || !text) {
+    return next(new AppError('Versione, titolo e testo dell\'informativa sono obbligatori', 400));
+  }
+  
+  const policy = await consentService.createPolicyVersion(req.body, req.user);
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      policy
+    }
+  });
+});
+
+/**
+ * Elenca i clienti con consenso su una versione superata dell'informativa
+ * GET /api/v1/privacy/consents/outdated
+ */
+exports.getOutdatedConsents = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+  
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  
+  const { policy, clients, total } = await consentService.findClientsWithOutdatedConsent({
+    // Gli operatori vedono solo i propri clienti
+    assignedTo: req.user.role === 'operator' ? req.user._id : req.query.assignedTo,
+    page,
+    limit
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    results: clients.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    },
+    data: {
+      currentVersion: policy.version,
+      clients
+    }
+  });
+});
+
+/**
+ * Genera le lettere di richiesta di un nuovo consenso
+ * POST /api/v1/privacy/consents/reconsent-letters
+ * Body: { clientIds, format }
+ */
+exports.generateReconsentLetters = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+  
+  const { clientIds, format } = req.body;
+  
+  if (!Array.isArray(clientIds) || clientIds.length === 0) {
+    return next(new AppError('Indicare almeno un cliente', 400));
+  }
+  
+  if (format && !['html', 'pdf', 'docx'].includes(format)) {
+    return next(new AppError('Formato non supportato. Usare html, pdf o docx', 400));
+  }
+  
+  // Gli operatori possono generare lettere solo per i propri clienti
+  if (req.user.role === 'operator') {
+    const notAssigned = await Client.countDocuments({
+      _id: { $in: clientIds },
+      'onboarding.assignedTo': { $exists: true, $ne: req.user._id }
+    });
+    
+    if (notAssigned > 0) {
+      return next(new AppError('Non hai i permessi per accedere ad alcuni dei clienti indicati', 403));
+    }
+  }
+  
+  const result = await consentService.generateReconsentLetters(clientIds, {
+    format,
+    user: req.user
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Restituisce gli eventi di consenso di un cliente
+ * GET /api/v1/clients/:id/consents
+ */
+exports.getClientConsents = catchAsync(async (req, res, next) => {
+  const client = await Client.findById(req.params.id);
+  
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+  
+  if (!canAccessClient(req.user, client)) {
+    return next(new AppError('Non hai i permessi per accedere a questo cliente', 403));
+  }
+  
+  const events = await consentService.getClientConsentHistory(client._id, {
+    consentType: req.query.consentType
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    results: events.length,
+    data: {
+      dataConsent: client.dataConsent,
+      events
+    }
+  });
+});
+
+/**
+ * Registra la concessione o la revoca di un consenso
+ * POST /api/v1/clients/:id/consents
+ * Body: { consentType, action, channel, evidenceDocumentId, policyVersion, occurredAt, notes }
+ */
+exports.recordClientConsent = catchAsync(async (req, res, next) => {
+  const client = await Client.findById(req.params.id);
+  
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+  
+  if (!canAccessClient(req.user, client)) {
+    return next(new AppError('Non hai i permessi per accedere a questo cliente', 403));
+  }
+  
+  const { consentType, action } = req.body;
+  
+  if (!consentType || !action) {
+    return next(new AppError('Tipo di consenso e azione sono obbligatori', 400));
+  }
+  
+  const isCustomer = req.user.role === 'customer';
+  
+  const result = await consentService.recordConsent(client._id, {
+    ...req.body,
+    // Dal portale il canale e l'IP sono quelli della richiesta
+    channel: isCustomer ? 'portale' : req.body.channel,
+    ipAddress: isCustomer ? req.ip : req.body.ipAddress
+  }, {
+    user: req.user,
+    source: isCustomer ? 'portal' : 'api',
+    req
+  });
+  
+  res.status(201).json({
+    status: 'success',
+    data: result
+  });
+});
@@ -7,6 +7,7 @@
 const documentGenerator = require('../services/documentGenerator');
 const documentService = require('../services/documentService');
 const templateService = require('../services/templateService');
+const templateRevisionService = require('../services/templateRevisionService');
 const aiDocumentEnhancer = require('../services/aiDocumentEnhancer');
 const Client = require('../models/Client');
 const Template = require('../models/Template');
@@ -23,7 +24,7 @@ exports.getDocumentTemplates = async (req, res) => {
   try {
     // Get templates from the database
     const templates = await Template.find({ isActive: true })
-      .select('name displayName description type category supportedFormats tags')
+      .select('name displayName description type category format supportedFormats tags version updatedAt')
       .sort({ category: 1, displayName: 1 });
       
     res.status(200).json({ success: true, templates });
@@ -40,7 +41,7 @@ exports.getDocumentTemplates = async (req, res) => {
  */
 exports.syncTemplates = async (req, res) => {
   try {
-    const result = await templateService.syncTemplates();
+    const result = await templateService.syncTemplates(req.user);
     res.status(200).json({ success: true, result });
   } catch (error) {
     console.error('Error syncing templates:', error);
@@ -84,11 +85,16 @@ exports.generateDocument = async (req, res) => {
       });
     }
     
+    // Pin the current template and clause revisions: the document records exactly what it was rendered from
+    const revision = await templateRevisionService.resolveRevision(template);
+    const clauses = await documentGenerator.resolveClauses(templateName, revision.revision);
+    
     // Generate document
     const documentPath = await documentGenerator.generateDocument(
       templateName, 
       client.toObject(), 
-      format
+      format,
+      { revision: revision.revision, clauses }
     );
     
     // Register document in the database
@@ -97,7 +103,9 @@ exports.generateDocument = async (req, res) => {
       client._id,
       template._id,
       format,
-      metadata
+      { ...metadata, createdBy: req.user ? req.user._id : undefined },
+      revision,
+      clauses
     );
     
     res.status(200).json({ 
@@ -191,11 +199,15 @@ exports.generateOnboardingPackage = async (req, res) => {
           continue;
         }
         
+        const revision = await templateRevisionService.resolveRevision(template);
+        const clauses = await documentGenerator.resolveClauses(template.name, revision.revision);
+        
         // Generate document
         const documentPath = await documentGenerator.generateDocument(
           template.name, 
           client.toObject(), 
-          format
+          format,
+          { revision: revision.revision, clauses }
         );
         
         // Register document
@@ -204,7 +216,9 @@ exports.generateOnboardingPackage = async (req, res) => {
           client._id,
           template._id,
           format,
-          { category: 'onboarding' }
+          { category: 'onboarding' },
+          revision,
+          clauses
         );
         
         generatedDocuments.push(document);
@@ -612,25 +626,33 @@ exports.convertDocument = async (req, res) => {
 exports.sendDocumentByEmail = async (req, res) => {
   try {
     const { id } = req.params;
-    const { email, subject, message } = req.body;
+    const { email, cc, subject, body, message } = req.body;
     
-    if (!id || !email) {
+    if (!id || !email || (Array.isArray(email) && email.length === 0)) {
       return res.status(400).json({ 
         success: false, 
         error: 'Document ID and recipient email are required' 
       });
     }
     
-    const result = await documentService.sendDocumentByEmail(id, email, {
+    // The delivery is queued: if the SMTP server is unavailable it is retried by the scheduler
+    const delivery = await documentService.sendDocumentByEmail(id, email, {
+      cc,
       subject,
+      body,
       message,
-      sender: 'system'
+      user: req.user
     });
     
-    res.status(200).json({ 
-      success: true, 
-      message: result.message,
-      sentInfo: result.sentInfo
+    // 202: queued for a new attempt; 502: rejected by the SMTP server
+    const statusCode = { sent: 200, queued: 202 }[delivery.status] || 502;
+    
+    res.status(statusCode).json({ 
+      success: statusCode !== 502, 
+      message: delivery.status === 'sent'
+        ? `Document sent to ${delivery.to.join(', ')}`
+        : `Document delivery ${delivery.status}: ${delivery.error}`,
+      delivery
     });
   } catch (error) {
     console.error('Error sending document by email:', error);
@@ -784,7 +806,7 @@ exports.createTemplate = async (req, res) => {
       });
     }
     
-    const template = await templateService.createTemplate(templateData);
+    const template = await templateService.createTemplate(templateData, req.user);
     
     res.status(201).json({ 
       success: true, 
@@ -799,13 +821,14 @@ exports.createTemplate = async (req, res) => {
 
 /**
  * Update a template
+ * Body: template fields and { notes } (change note of the new revision)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.updateTemplate = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { notes, ...updateData } = req.body;
     
     if (!id) {
       return res.status(400).json({ 
@@ -814,12 +837,17 @@ exports.updateTemplate = async (req, res) => {
       });
     }
     
-    const template = await templateService.updateTemplate(id, updateData);
+    // Every change is stored as a new immutable revision with its author and note
+    const result = await templateService.updateTemplate(id, updateData, req.user, { notes });
     
     res.status(200).json({ 
       success: true, 
-      message: 'Template updated successfully',
-      template
+      message: result.revision
+        ? `Template updated: revision ${result.revision.revision} created`
+        : 'No changes to the template',
+      template: result.template,
+      revision: result.revision,
+      diff: result.diff
     });
   } catch (error) {
     console.error('Error updating template:', error);
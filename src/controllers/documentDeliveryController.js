@@ -0,0 +1,208 @@
+/**
+ * Controller per gli invii dei documenti via email e PEC
+ *
+ * Invio via PEC, stato degli invii, nuovi tentativi manuali, ricevute PEC
+ * e ricezione delle notifiche di mancato recapito dal server di posta.
+ */
+
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const DocumentDelivery = require('../models/DocumentDelivery');
+const documentDeliveryService = require('../services/documentDeliveryService');
+const fileStorageService = require('../services/fileStorageService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Invia un documento via PEC. L'esito definitivo arriva con la ricevuta di
+ * avvenuta consegna
+ * POST /api/v1/documents/:id/pec
+ * Body: { email, cc, subject, body, message }
+ */
+exports.sendDocumentByPec = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const recipients = [].concat(req.body.email || []).filter(Boolean);
+  if (recipients.length === 0) {
+    return next(new AppError('L\'indirizzo PEC del destinatario è obbligatorio', 400));
+  }
+
+  const document = await Document.findById(req.params.id);
+  if (!document) {
+    return next(new AppError('Documento non trovato', 404));
+  }
+
+  const delivery = await documentDeliveryService.sendDocumentByPec(document._id, recipients, {
+    cc: req.body.cc,
+    subject: req.body.subject,
+    body: req.body.body,
+    message: req.body.message,
+    user: req.user
+  });
+
+  res.status(delivery.status === 'queued' ? 202 : 201).json({
+    status: 'success',
+    data: {
+      delivery
+    }
+  });
+});
+
+/**
+ * Scarica una ricevuta PEC conservata sul documento (file .eml)
+ * GET /api/v1/documents/:id/receipts/:receiptId
+ */
+exports.downloadPecReceipt = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const document = await Document.findById(req.params.id).select('delivery.receipts');
+  const receipt = document && document.delivery.receipts.id(req.params.receiptId);
+
+  if (!receipt) {
+    return next(new AppError('Ricevuta non trovata', 404));
+  }
+
+  const content = await fileStorageService.getFile(receipt.path);
+
+  res.set({
+    'Content-Type': 'message/rfc822',
+    'Content-Disposition': `attachment; filename="${receipt.filename}"`
+  });
+  res.status(200).send(content);
+});
+
+/**
+ * Storico degli invii di un documento
+ * GET /api/v1/documents/:id/deliveries
+ */
+exports.getDocumentDeliveries = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const deliveries = await documentDeliveryService.getDeliveries(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: deliveries.length,
+    data: {
+      deliveries
+    }
+  });
+});
+
+/**
+ * Ritenta un invio non riuscito
+ * POST /api/v1/documents/deliveries/:deliveryId/retry
+ */
+exports.retryDelivery = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const existing = await DocumentDelivery.findById(req.params.deliveryId);
+
+  if (!existing) {
+    return next(new AppError('Invio non trovato', 404));
+  }
+
+  if (!['failed', 'bounced'].includes(existing.status)) {
+    return next(new AppError('Si possono ritentare solo gli invii non riusciti', 400));
+  }
+
+  const delivery = await documentDeliveryService.retryDelivery(existing._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      delivery
+    }
+  });
+});
+
+/**
+ * Elabora subito la coda degli invii
+ * POST /api/v1/documents/deliveries/run
+ */
+exports.runDeliveryQueue = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono elaborare la coda degli invii', 403));
+  }
+
+  const report = await documentDeliveryService.processQueue();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report
+    }
+  });
+});
+
+/**
+ * Legge subito le nuove ricevute dalla casella PEC
+ * POST /api/v1/documents/deliveries/pec-receipts/run
+ */
+exports.runPecReceiptCheck = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono leggere le ricevute PEC', 403));
+  }
+
+  const report = await documentDeliveryService.ingestPecReceipts();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report
+    }
+  });
+});
+
+/**
+ * Notifica di mancato recapito inoltrata dal server di posta. Accetta il
+ * messaggio DSN grezzo (Content-Type text/plain o message/delivery-status)
+ * oppure JSON { deliveryId, messageId, recipient, reason, permanent }.
+ * La richiesta deve riportare DOCUMENT_BOUNCE_WEBHOOK_SECRET nell'intestazione
+ * X-Webhook-Secret; senza chiave configurata il webhook resta disattivato
+ * POST /api/v1/documents/deliveries/bounce
+ */
+exports.receiveBounce = catchAsync(async (req, res, next) => {
+  const secret = process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET;
+
+  if (!secret) {
+    return next(new AppError('Webhook dei mancati recapiti non configurato', 503));
+  }
+
+  const provided = Buffer.from(String(req.get('x-webhook-secret') || ''));
+  const expected = Buffer.from(secret);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return next(new AppError('Non autorizzato', 401));
+  }
+
+  const bounce = typeof req.body === 'string'
+    ? documentDeliveryService.parseBounceMessage(req.body)
+    : req.body;
+
+  if (!bounce || (!bounce.deliveryId && !bounce.messageId)) {
+    return next(new AppError('Notifica di mancato recapito non riconosciuta', 400));
+  }
+
+  const delivery = await documentDeliveryService.handleBounce(bounce);
+
+  if (!delivery) {
+    return next(new AppError('Invio non trovato', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      deliveryId: delivery._id,
+      deliveryStatus: delivery.status
+    }
+  });
+});
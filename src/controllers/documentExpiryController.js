@@ -0,0 +1,59 @@
+/**
+ * Controller per le scadenze dei documenti dei clienti
+ *
+ * Il controllo viene eseguito periodicamente dallo scheduler; gli endpoint
+ * permettono di consultare le scadenze e di lanciare il controllo a mano.
+ */
+
+const documentExpiryService = require('../services/documentExpiryService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Elenca i documenti scaduti o in scadenza
+ * GET /api/v1/documents/expiring
+ * Query: { days }
+ */
+exports.getExpiringDocuments = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const documents = await documentExpiryService.getUpcomingExpirations({
+    days: parseInt(req.query.days, 10) || undefined,
+    // Gli operatori vedono solo i clienti assegnati
+    assignedTo: req.user.role === 'operator' ? req.user._id : undefined
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: documents.length,
+    data: {
+      documents
+    }
+  });
+});
+
+/**
+ * Esegue subito il controllo delle scadenze
+ * POST /api/v1/documents/expiry-check
+ * Body: { clientId, noticeDays, dryRun }
+ */
+exports.runExpiryCheck = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono eseguire il controllo delle scadenze', 403));
+  }
+
+  const report = await documentExpiryService.runExpiryCheck({
+    clientId: req.body.clientId,
+    noticeDays: parseInt(req.body.noticeDays, 10) || undefined,
+    dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report
+    }
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Controller per le richieste degli interessati (GDPR)
+ * 
+ * Gestisce il diritto di accesso (art. 15) con l'esportazione completa
+ * dei dati del cliente e il diritto alla cancellazione (art. 17).
+ */
+
+const Client = require('../models/Client');
+const gdprService = require('../services/gdprService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Esporta in un archivio ZIP tutti i dati detenuti su un cliente
+ * GET /api/v1/clients/:id/gdpr/export
+ */
+exports.exportClientData = catchAsync(async (req, res, next) => {
+  const client = await Client.findById(req.params.id);
+  
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+  
+  // Verifica accesso per operatori (solo clienti assegnati)
+  if (req.user.role === 'operator' && 
+      client.assignedTo && client.assignedTo.toString() !== req.user._id.toString()) {
+    return next(new AppError('Non hai i permessi per accedere a questo cliente', 403));
+  }
+  
+  // I clienti del portale possono scaricare solo i propri dati
+  if (req.user.role === 'customer' && 
+      (!req.user.clientId || req.user.clientId.toString() !== client._id.toString())) {
+    return next(new AppError('Non hai i permessi per accedere a questo cliente', 403));
+  }
+  
+  const { buffer, fileName } = await gdprService.buildAccessExport(client._id, req.user);
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+});
+
+/**
+ * Cancella o anonimizza i dati di un cliente, conservando quanto soggetto
+ * a obblighi di legge. Con dryRun=true restituisce solo l'anteprima.
+ * POST /api/v1/clients/:id/gdpr/erase
+ * Body: { reason, dryRun }
+ */
+exports.eraseClientData = catchAsync(async (req, res, next) => {
+  // Solo gli admin possono eseguire la cancellazione
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono cancellare i dati di un cliente', 403));
+  }
+  
+  const { reason, dryRun } = req.body;
+  
+  if (!dryRun && !reason) {
+    return next(new AppError('Indicare il riferimento o il motivo della richiesta di cancellazione', 400));
+  }
+  
+  const client = await Client.findById(req.params.id);
+  
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+  
+  if (client.gdprErasure && client.gdprErasure.erasedAt) {
+    return next(new AppError('I dati di questo cliente sono già stati cancellati', 400));
+  }
+  
+  const report = await gdprService.eraseClientData(client._id, req.user, {
+    reason,
+    dryRun: dryRun === true || dryRun === 'true'
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report
+    }
+  });
+});
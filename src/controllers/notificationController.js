@@ -0,0 +1,43 @@
+/**
+ * Controller per le notifiche in-app degli utenti dello studio
+ */
+
+const notificationService = require('../services/notificationService');
+const { catchAsync } = require('../utils/errorHandlers');
+
+/**
+ * Restituisce le notifiche dell'utente autenticato
+ * GET /api/v1/notifications
+ */
+exports.getNotifications = catchAsync(async (req, res, next) => {
+  const { notifications, unreadCount } = await notificationService.getUserNotifications(req.user._id, {
+    unreadOnly: req.query.unread === 'true',
+    limit: parseInt(req.query.limit, 10) || 50
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: {
+      notifications,
+      unreadCount
+    }
+  });
+});
+
+/**
+ * Segna come lette le notifiche indicate, o tutte se non specificate
+ * PATCH /api/v1/notifications/read
+ * Body: { ids }
+ */
+exports.markAsRead = catchAsync(async (req, res, next) => {
+  const ids = Array.isArray(req.body.ids) && req.body.ids.length > 0 ? req.body.ids : null;
+  const updated = await notificationService.markAsRead(req.user._id, ids);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      updated
+    }
+  });
+});
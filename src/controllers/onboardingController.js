@@ -0,0 +1,135 @@
+/**
+ * Controller per le sessioni di onboarding guidato
+ * 
+ * Permette agli operatori di compilare il questionario di onboarding in più
+ * sessioni: le risposte vengono salvate in bozza, si può tornare alle fasi
+ * precedenti e consultare lo storico completo delle risposte.
+ */
+
+const Client = require('../models/Client');
+const onboardingSessionService = require('../services/onboardingSessionService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Recupera il cliente verificando i permessi dell'operatore
+ * @param {Object} req - Richiesta Express
+ * @param {Function} next - Funzione next di Express
+ * @returns {Promise<Object|null>} - Cliente, o null se l'errore è già stato inoltrato
+ */
+const loadClient = async (req, next) => {
+  const client = await Client.findById(req.params.id);
+  
+  if (!client) {
+    next(new AppError('Cliente non trovato', 404));
+    return null;
+  }
+  
+  // Verifica accesso per operatori (solo clienti assegnati)
+  if (req.user.role === 'operator' && 
+      client.assignedTo && client.assignedTo.toString() !== req.user._id.toString()) {
+    next(new AppError('Non hai i permessi per accedere a questo cliente', 403));
+    return null;
+  }
+  
+  return client;
+};
+
+/**
+ * Restituisce lo stato per riprendere il questionario di onboarding
+ * GET /api/v1/clients/:id/onboarding/session
+ */
+exports.getSession = catchAsync(async (req, res, next) => {
+  const client = await loadClient(req, next);
+  if (!client) return;
+  
+  const state = await onboardingSessionService.getResumeState(client._id, req.user);
+  
+  res.status(200).json({
+    status: 'success',
+    data: state
+  });
+});
+
+/**
+ * Salva le risposte della fase corrente, in bozza o confermandole
+ * PUT /api/v1/clients/:id/onboarding/session/answers
+ * Body: { answers, phase, submit }
+ */
+exports.saveAnswers = catchAsync(async (req, res, next) => {
+  const { answers, phase, submit } = req.body;
+  
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return next(new AppError('Risposte mancanti o non valide', 400));
+  }
+  
+  const client = await loadClient(req, next);
+  if (!client) return;
+  
+  const context = { user: req.user, source: 'operator', phase, req };
+  
+  if (submit === true || submit === 'true') {
+    const result = await onboardingSessionService.submitPhase(client._id, answers, context);
+    
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  }
+  
+  const { saved } = await onboardingSessionService.saveAnswers(client._id, answers, context);
+  const state = await onboardingSessionService.getResumeState(client._id, req.user);
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      saved,
+      ...state
+    }
+  });
+});
+
+/**
+ * Torna a una fase già raggiunta del questionario
+ * PUT /api/v1/clients/:id/onboarding/session/phase
+ * Body: { phase }
+ */
+exports.changePhase = catchAsync(async (req, res, next) => {
+  if (!req.body.phase) {
+    return next(new AppError('Indicare la fase di destinazione', 400));
+  }
+  
+  const client = await loadClient(req, next);
+  if (!client) return;
+  
+  const state = await onboardingSessionService.goToPhase(client._id, req.body.phase, req.user);
+  
+  res.status(200).json({
+    status: 'success',
+    data: state
+  });
+});
+
+/**
+ * Restituisce lo storico completo delle risposte e i dati cliente che ne derivano
+ * GET /api/v1/clients/:id/onboarding/answers
+ */
+exports.getAnswerHistory = catchAsync(async (req, res, next) => {
+  const client = await loadClient(req, next);
+  if (!client) return;
+  
+  const { history, currentAnswers, clientData } = await onboardingSessionService.getAnswerHistory(client._id, {
+    phase: req.query.phase,
+    questionId: req.query.questionId
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    results: history.length,
+    data: {
+      history,
+      currentAnswers,
+      clientData
+    }
+  });
+});
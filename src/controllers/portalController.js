@@ -0,0 +1,114 @@
+/**
+ * Controller del portale clienti
+ * 
+ * Espone al cliente (ruolo customer) l'onboarding guidato: domande fase per
+ * fase, caricamento dei documenti della checklist ed elenco di quanto lo
+ * studio attende ancora. L'accesso al cliente è verificato dalla rotta
+ * con verifyClientAccess.
+ */
+
+const portalService = require('../services/portalService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Restituisce il cliente collegato all'utente del portale
+ * GET /api/v1/portal/me
+ */
+exports.getMyClient = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'customer' || !req.user.clientId) {
+    return next(new AppError('Nessun cliente collegato a questo utente', 404));
+  }
+  
+  const overview = await portalService.getPortalOverview(req.user.clientId);
+  
+  res.status(200).json({
+    status: 'success',
+    data: overview
+  });
+});
+
+/**
+ * Restituisce lo stato dell'onboarding con domande e documenti mancanti
+ * GET /api/v1/portal/clients/:clientId
+ */
+exports.getOverview = catchAsync(async (req, res, next) => {
+  const overview = await portalService.getPortalOverview(req.params.clientId);
+  
+  res.status(200).json({
+    status: 'success',
+    data: overview
+  });
+});
+
+/**
+ * Salva in bozza le risposte del cliente per la fase corrente
+ * PUT /api/v1/portal/clients/:clientId/answers/draft
+ * Body: { answers }
+ */
+exports.saveDraft = catchAsync(async (req, res, next) => {
+  const { answers } = req.body;
+  
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return next(new AppError('Risposte mancanti o non valide', 400));
+  }
+  
+  const result = await portalService.saveDraft(req.params.clientId, answers, {
+    user: req.user
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Conferma le risposte del cliente per la fase corrente
+ * POST /api/v1/portal/clients/:clientId/answers
+ * Body: { answers, phase }
+ */
+exports.submitAnswers = catchAsync(async (req, res, next) => {
+  const { answers, phase } = req.body;
+  
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return next(new AppError('Risposte mancanti o non valide', 400));
+  }
+  
+  const result = await portalService.submitAnswers(req.params.clientId, answers, {
+    user: req.user,
+    phase,
+    req
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Carica il documento per una voce della checklist di onboarding
+ * POST /api/v1/portal/clients/:clientId/checklist/:itemId/document
+ * Multipart: file
+ */
+exports.uploadChecklistDocument = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Nessun file caricato', 400));
+  }
+  
+  const { document, checklistItem } = await portalService.uploadChecklistDocument(
+    req.params.clientId,
+    req.params.itemId,
+    req.file,
+    req.user
+  );
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      document,
+      checklistItem
+    }
+  });
+});
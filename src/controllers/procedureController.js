@@ -4,7 +4,17 @@
 
 const Client = require('../models/Client');
 const Procedure = require('../models/Procedure');
+const ClientProcedure = require('../models/ClientProcedure');
 const procedureGenerator = require('../services/procedureGenerator');
+const fiscalCalendarService = require('../services/fiscalCalendarService');
+const recurringProcedureService = require('../services/recurringProcedureService');
+const taskReminderService = require('../services/taskReminderService');
+const taskAssignmentService = require('../services/taskAssignmentService');
+const workloadReportService = require('../services/workloadReportService');
+const taskDependencyService = require('../services/taskDependencyService');
+const procedureTemplateService = require('../services/procedureTemplateService');
+const { getPeriod } = require('../utils/recurrence');
+const { validateDependencies } = require('../utils/taskGraph');
 
 /**
  * Genera una nuova procedura operativa per un cliente
@@ -258,19 +268,41 @@ exports.updateTaskStatus = async (req, res) => {
 };
 
 /**
- * Aggiunge una nuova attività a una procedura esistente
+ * Aggiunge una nuova attività a una procedura esistente creando una nuova
+ * versione del template (vedi updateProcedureTemplate).
+ * Le dipendenze (dependsOn) sono i nomi dei task della procedura che devono
+ * essere completati prima; vengono rifiutate se creano un ciclo
  * @param {Object} req - HTTP request object
  * @param {Object} res - HTTP response object
  */
 exports.addTask = async (req, res) => {
   try {
-    const { procedureId } = req.params;
-    const { title, description, priority, deadline, tags } = req.body;
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono modificare i template delle procedure'
+      });
+    }
     
-    if (!title) {
+    const { procedureId } = req.params;
+    const {
+      description,
+      dueOffset,
+      fiscalDeadline,
+      assignedRole,
+      estimatedHours,
+      requiredDocuments,
+      reminderDays,
+      steps,
+      dependsOn
+    } = req.body;
+    // "title" accettato per compatibilità con i client precedenti
+    const name = req.body.name || req.body.title;
+    
+    if (!name) {
       return res.status(400).json({
         success: false,
-        message: 'Il titolo dell\'attività è obbligatorio'
+        message: 'Il nome dell\'attività è obbligatorio'
       });
     }
     
@@ -283,78 +315,58 @@ exports.addTask = async (req, res) => {
       });
     }
     
+    if (procedure.tasks.some(task => task.name === name)) {
+      return res.status(400).json({
+        success: false,
+        message: `Esiste già un'attività "${name}" nella procedura`
+      });
+    }
+    
     // Crea il nuovo task
     const newTask = {
-      id: `task-${Date.now()}-${procedure.tasks.length + 1}`,
-      title,
+      name,
       description: description || '',
-      priority: priority || 'medium',
-      status: 'pending',
-      progress: 0,
-      deadline: deadline || {
-        type: 'monthly',
-        dayOfMonth: 30,
-        description: 'Entro fine mese'
-      },
-      assignedTo: null,
-      tags: tags || [],
-      statusHistory: [{
-        status: 'pending',
-        timestamp: new Date(),
-        note: 'Attività creata',
-        updatedBy: req.user?.name || 'system'
-      }]
+      dueOffset: dueOffset !== undefined ? dueOffset : (fiscalDeadline ? undefined : 0),
+      fiscalDeadline,
+      assignedRole: assignedRole || 'accountant',
+      estimatedHours,
+      requiredDocuments,
+      reminderDays,
+      steps,
+      dependsOn: Array.isArray(dependsOn) ? dependsOn : []
     };
     
-    // Calcola la data di scadenza se necessario
-    if (deadline && deadline.type) {
-      const today = new Date();
-      const currentMonth = today.getMonth();
-      const currentYear = today.getFullYear();
-      
-      switch(deadline.type) {
-        case 'monthly':
-          const dayOfMonth = deadline.dayOfMonth || 30;
-          let targetMonth = currentMonth;
-          if (today.getDate() > dayOfMonth) {
-            targetMonth = (currentMonth + 1) % 12;
-          }
-          newTask.dueDate = new Date(
-            targetMonth === 11 && currentMonth === 0 ? currentYear - 1 : currentYear,
-            targetMonth,
-            dayOfMonth
-          );
-          break;
-          
-        case 'quarterly':
-          const currentQuarter = Math.floor(currentMonth / 3);
-          const nextQuarter = (currentQuarter + 1) % 4;
-          const nextQuarterMonth = nextQuarter * 3 + 1;
-          
-          newTask.dueDate = new Date(
-            nextQuarter === 0 && currentQuarter === 3 ? currentYear + 1 : currentYear,
-            nextQuarterMonth,
-            15
-          );
-          break;
-          
-        case 'annual':
-          newTask.dueDate = new Date(currentYear, 11, 31);
-          break;
-      }
+    // Verifica le dipendenze (task inesistenti o cicli) prima del salvataggio
+    const dependencyErrors = validateDependencies([...procedure.tasks, newTask], 'name');
+    if (dependencyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dipendenze dell\'attività non valide',
+        errors: dependencyErrors
+      });
     }
     
-    // Aggiungi il task alla procedura
-    procedure.tasks.push(newTask);
+    const snapshot = procedureTemplateService.toSnapshot(procedure);
+    const tasks = [...snapshot.tasks, newTask];
+    const errors = procedureTemplateService.validateTemplate({ ...snapshot, tasks });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attività non valida',
+        errors
+      });
+    }
     
-    // Salva la procedura aggiornata
-    await procedure.save();
+    // Il task entra nel template con una nuova versione
+    const result = await procedureTemplateService.updateTemplate(procedureId, { tasks }, req.user, {
+      notes: req.body.notes || `Aggiunta l'attività "${name}"`
+    });
     
     res.status(201).json({
       success: true,
       message: 'Attività aggiunta con successo',
-      task: newTask,
-      summary: procedure.summary
+      task: result.procedure.tasks.find(task => task.name === name),
+      version: result.version
     });
     
   } catch (error) {
@@ -643,6 +655,38 @@ exports.generateDashboardReport = async (req, res) => {
   }
 };
 
+/**
+ * Ottiene il carico di lavoro del team: task aperti, in ritardo e in
+ * scadenza per utente, ore stimate e mappa settimanale del carico.
+ * Gli operatori vedono solo il proprio carico
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getTeamWorkload = async (req, res) => {
+  try {
+    const { from, weeks, userId } = req.query;
+    
+    const report = await workloadReportService.getTeamWorkload({
+      from: from ? new Date(from) : undefined,
+      weeks,
+      userId: req.user?.role === 'operator' ? req.user._id : userId
+    });
+    
+    res.status(200).json({
+      success: true,
+      report
+    });
+    
+  } catch (error) {
+    console.error('Errore nel calcolo del carico di lavoro del team:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nel calcolo del carico di lavoro del team',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Ottiene le attività in ritardo di tutte le procedure
  * @param {Object} req - HTTP request object
@@ -768,4 +812,676 @@ exports.deleteProcedure = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Ottiene lo scadenzario fiscale in un intervallo di date
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getFiscalCalendar = async (req, res) => {
+  try {
+    const { from, to, types, vatPeriodicity } = req.query;
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    
+    // Chiusura dell'esercizio nel formato GG/MM (es. 30/06)
+    let fiscalYearEnd;
+    if (req.query.fiscalYearEnd) {
+      const [day, month] = req.query.fiscalYearEnd.split('/').map(value => parseInt(value, 10));
+      if (!day || !month || month > 12 || day > new Date(2024, month, 0).getDate()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Chiusura dell\'esercizio non valida (formato GG/MM)'
+        });
+      }
+      fiscalYearEnd = { day, month };
+    }
+    
+    const requestedTypes = types ? types.split(',') : undefined;
+    const unknownType = (requestedTypes || []).find(type => 
+      type !== 'vat_periodic' && !fiscalCalendarService.DEADLINE_TYPES[type]
+    );
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Tipo di scadenza non riconosciuto: ${unknownType}`
+      });
+    }
+    
+    const deadlines = fiscalCalendarService.getDeadlines({
+      from: from ? new Date(from) : new Date(year, 0, 1),
+      to: to ? new Date(to) : new Date(year, 11, 31),
+      types: requestedTypes,
+      fiscalYearEnd,
+      approvalDays: parseInt(req.query.approvalDays, 10) === 180 ? 180 : undefined,
+      vatPeriodicity
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: deadlines.length,
+      deadlines
+    });
+    
+  } catch (error) {
+    console.error('Errore nel calcolo dello scadenzario fiscale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nel calcolo dello scadenzario fiscale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Ottiene le scadenze fiscali di un cliente in base al suo profilo
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getClientFiscalCalendar = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { from, to } = req.query;
+    
+    const client = await Client.findById(clientId);
+    if (!client) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Cliente non trovato' 
+      });
+    }
+    
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : new Date(fromDate.getFullYear() + 1, fromDate.getMonth(), fromDate.getDate());
+    
+    const deadlines = fiscalCalendarService.getClientDeadlines(client, {
+      from: fromDate,
+      to: toDate
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: deadlines.length,
+      fiscalProfile: fiscalCalendarService.getClientFiscalProfile(client),
+      deadlines
+    });
+    
+  } catch (error) {
+    console.error('Errore nel calcolo dello scadenzario del cliente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nel calcolo dello scadenzario del cliente',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Imposta la ricorrenza di una procedura (mensile, trimestrale, annuale o RRULE)
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.updateProcedureRecurrence = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono modificare la ricorrenza delle procedure'
+      });
+    }
+    
+    const { procedureId } = req.params;
+    const { frequency, interval, rrule, anchorDate } = req.body;
+    
+    const procedure = await Procedure.findById(procedureId);
+    if (!procedure) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Procedura non trovata' 
+      });
+    }
+    
+    procedure.recurrence = {
+      frequency: frequency || 'none',
+      interval: parseInt(interval, 10) || 1,
+      rrule: frequency === 'custom' ? rrule : undefined,
+      anchorDate: anchorDate ? new Date(anchorDate) : undefined
+    };
+    
+    try {
+      await procedure.validate();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ricorrenza non valida',
+        error: validationError.message
+      });
+    }
+    
+    await procedure.save();
+    
+    // Anteprima del periodo corrente
+    const currentPeriod = procedure.isRecurring() ? getPeriod(procedure.recurrence, new Date()) : null;
+    
+    res.status(200).json({
+      success: true,
+      message: 'Ricorrenza della procedura aggiornata',
+      recurrence: procedure.recurrence,
+      currentPeriod
+    });
+    
+  } catch (error) {
+    console.error('Errore nell\'aggiornamento della ricorrenza:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nell\'aggiornamento della ricorrenza',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Crea subito le istanze dei nuovi periodi delle procedure ricorrenti
+ * (normalmente eseguito dallo scheduler)
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.runRecurringProcedures = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono generare le procedure ricorrenti'
+      });
+    }
+    
+    const report = await recurringProcedureService.runRecurringProcedures({
+      procedureId: req.body.procedureId,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${report.created.length} procedure create per i nuovi periodi`,
+      report
+    });
+    
+  } catch (error) {
+    console.error('Errore nella generazione delle procedure ricorrenti:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nella generazione delle procedure ricorrenti',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Invia subito i promemoria maturati dei task
+ * (normalmente eseguito dallo scheduler)
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.runTaskReminders = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono inviare i promemoria'
+      });
+    }
+    
+    const { channels } = req.body;
+    
+    const report = await taskReminderService.runTaskReminders({
+      channels: channels ? [].concat(channels) : undefined,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${report.sent.length} promemoria inviati`,
+      report
+    });
+    
+  } catch (error) {
+    console.error('Errore nell\'invio dei promemoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nell\'invio dei promemoria',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Ottiene lo storico degli invii dei promemoria di una procedura del cliente
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getTaskReminderDeliveries = async (req, res) => {
+  try {
+    const deliveries = await taskReminderService.getDeliveries(req.params.clientProcedureId);
+    
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      deliveries
+    });
+    
+  } catch (error) {
+    console.error('Errore nel recupero degli invii dei promemoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nel recupero degli invii dei promemoria',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pianificazione dei task di una procedura del cliente: task bloccati dai
+ * prerequisiti, date più vicine di inizio e fine, percorso critico e data
+ * di completamento più vicina
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getTaskSchedule = async (req, res) => {
+  try {
+    const instance = await ClientProcedure.findById(req.params.clientProcedureId)
+      .populate('procedureId', 'name')
+      .populate('clientId', 'name');
+    
+    if (!instance) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Procedura del cliente non trovata' 
+      });
+    }
+    
+    const schedule = taskDependencyService.computeSchedule(instance);
+    
+    res.status(200).json({
+      success: true,
+      clientProcedure: {
+        _id: instance._id,
+        procedureName: instance.procedureId ? instance.procedureId.name : undefined,
+        clientName: instance.clientId ? instance.clientId.name : undefined,
+        status: instance.status,
+        period: instance.period
+      },
+      schedule
+    });
+    
+  } catch (error) {
+    console.error('Errore nella pianificazione dei task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nella pianificazione dei task',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Assegna una procedura (template) a un cliente creandone l'istanza.
+ * I task vengono assegnati automaticamente in base al ruolo e al carico
+ * di lavoro, salvo autoAssign=false
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.instantiateProcedure = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { procedureId, startDate, autoAssign } = req.body;
+    
+    const [client, procedure] = await Promise.all([
+      Client.findById(clientId),
+      procedureId ? Procedure.findById(procedureId) : null
+    ]);
+    
+    if (!client) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Cliente non trovato' 
+      });
+    }
+    
+    if (!procedure || !procedure.isActive) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Procedura non trovata o non attiva' 
+      });
+    }
+    
+    const instance = new ClientProcedure({
+      clientId: client._id,
+      procedureId: procedure._id,
+      startDate: startDate ? new Date(startDate) : new Date()
+    });
+    
+    // Le procedure ricorrenti partono dal periodo che contiene la data di inizio
+    if (procedure.isRecurring()) {
+      const period = getPeriod(procedure.recurrence, instance.startDate);
+      if (period) {
+        instance.startDate = period.start;
+        instance.period = { start: period.start, end: period.end, label: period.label };
+      }
+    }
+    
+    await instance.initializeTasksFromProcedure(procedure, fiscalCalendarService.getClientFiscalProfile(client));
+    
+    const assignments = autoAssign === false || autoAssign === 'false'
+      ? []
+      : await taskAssignmentService.assignTasks(instance, { procedure, client });
+    
+    await instance.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Procedura assegnata al cliente',
+      clientProcedure: instance,
+      assignments
+    });
+    
+  } catch (error) {
+    console.error('Errore nell\'assegnazione della procedura al cliente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nell\'assegnazione della procedura al cliente',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Assegna automaticamente i task di una procedura del cliente
+ * (con overwrite=true riassegna anche quelli già assegnati)
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.autoAssignTasks = async (req, res) => {
+  try {
+    const instance = await ClientProcedure.findById(req.params.clientProcedureId).populate('procedureId');
+    
+    if (!instance) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Procedura del cliente non trovata' 
+      });
+    }
+    
+    const client = await Client.findById(instance.clientId);
+    const assignments = await taskAssignmentService.assignTasks(instance, {
+      procedure: instance.procedureId,
+      client,
+      overwrite: req.body.overwrite === true || req.body.overwrite === 'true'
+    });
+    
+    await instance.save();
+    
+    res.status(200).json({
+      success: true,
+      message: `${assignments.length} task assegnati`,
+      assignments
+    });
+    
+  } catch (error) {
+    console.error('Errore nell\'assegnazione automatica dei task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nell\'assegnazione automatica dei task',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Riassegna i task aperti di un utente (es. per ferie): a un collega
+ * indicato o, in mancanza, ridistribuendoli in base al carico di lavoro
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.reassignUserTasks = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono riassegnare i task'
+      });
+    }
+    
+    const { userId } = req.params;
+    const { toUserId, clientId, from, to, reason } = req.body;
+    
+    if (toUserId && String(toUserId) === String(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'L\'utente di destinazione deve essere diverso da quello di origine'
+      });
+    }
+    
+    const report = await taskAssignmentService.reassignTasks(userId, {
+      toUserId,
+      clientId,
+      from,
+      to,
+      reason,
+      user: req.user
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${report.reassigned.length} task riassegnati`,
+      report
+    });
+    
+  } catch (error) {
+    console.error('Errore nella riassegnazione dei task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nella riassegnazione dei task',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Modifica il template di una procedura (task, scadenze, ruoli, documenti
+ * richiesti, passaggi) creando una nuova versione non modificabile.
+ * Le procedure dei clienti restano sulla versione da cui sono state create
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.updateProcedureTemplate = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono modificare i template delle procedure'
+      });
+    }
+    
+    const { procedureId } = req.params;
+    const { notes, ...data } = req.body;
+    
+    const procedure = await Procedure.findById(procedureId);
+    if (!procedure) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Procedura non trovata' 
+      });
+    }
+    
+    const candidate = procedureTemplateService.toSnapshot(procedure);
+    procedureTemplateService.TEMPLATE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        candidate[field] = data[field];
+      }
+    });
+    
+    const errors = procedureTemplateService.validateTemplate(candidate);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template della procedura non valido',
+        errors
+      });
+    }
+    
+    const result = await procedureTemplateService.updateTemplate(procedureId, data, req.user, { notes });
+    
+    res.status(200).json({
+      success: true,
+      message: result.version
+        ? `Creata la versione ${result.version.version} del template`
+        : 'Nessuna modifica al template',
+      procedure: result.procedure,
+      version: result.version,
+      diff: result.diff
+    });
+    
+  } catch (error) {
+    console.error('Errore nella modifica del template della procedura:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nella modifica del template della procedura',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Ottiene le versioni del template di una procedura con il numero di
+ * procedure dei clienti in corso su ciascuna
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getProcedureVersions = async (req, res) => {
+  try {
+    const versions = await procedureTemplateService.listVersions(req.params.procedureId);
+    
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+    
+  } catch (error) {
+    console.error('Errore nel recupero delle versioni della procedura:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nel recupero delle versioni della procedura',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Ottiene una versione del template di una procedura; con ?compareTo
+ * restituisce anche le differenze rispetto a un'altra versione
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.getProcedureVersion = async (req, res) => {
+  try {
+    const { procedureId, version } = req.params;
+    
+    const found = await procedureTemplateService.getVersion(procedureId, version);
+    
+    let diff;
+    if (req.query.compareTo) {
+      const other = await procedureTemplateService.getVersion(procedureId, req.query.compareTo);
+      diff = procedureTemplateService.diffSnapshots(other.snapshot, found.snapshot);
+    }
+    
+    res.status(200).json({
+      success: true,
+      version: found,
+      diff
+    });
+    
+  } catch (error) {
+    console.error('Errore nel recupero della versione della procedura:', error);
+    res.status(404).json({
+      success: false,
+      message: 'Versione della procedura non trovata',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Anteprima del passaggio delle procedure dei clienti in corso a una
+ * versione del template: differenze e task aggiunti, rimossi e modificati
+ * per ogni istanza
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.previewProcedureMigration = async (req, res) => {
+  try {
+    const { toVersion, clientProcedureIds } = req.body;
+    
+    const preview = await procedureTemplateService.previewMigration(req.params.procedureId, {
+      toVersion,
+      clientProcedureIds
+    });
+    
+    res.status(200).json({
+      success: true,
+      procedureId: preview.procedureId,
+      procedureName: preview.procedureName,
+      toVersion: preview.toVersion,
+      count: preview.instances.length,
+      // L'istanza completa serve solo alla migrazione
+      instances: preview.instances.map(({ instance, ...item }) => item)
+    });
+    
+  } catch (error) {
+    console.error('Errore nell\'anteprima della migrazione:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nell\'anteprima della migrazione',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Porta le procedure dei clienti in corso a una versione del template.
+ * I task completati non vengono modificati
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ */
+exports.migrateProcedureInstances = async (req, res) => {
+  try {
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Solo gli amministratori possono migrare le procedure in corso'
+      });
+    }
+    
+    const { toVersion, clientProcedureIds } = req.body;
+    
+    const report = await procedureTemplateService.migrateInstances(req.params.procedureId, {
+      toVersion,
+      clientProcedureIds,
+      user: req.user
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${report.migrated.length} procedure portate alla versione ${report.toVersion}`,
+      report
+    });
+    
+  } catch (error) {
+    console.error('Errore nella migrazione delle procedure in corso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Errore nella migrazione delle procedure in corso',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,183 @@
+/**
+ * Controller per la gestione del questionario di onboarding
+ *
+ * Permette agli amministratori di modificare le domande del questionario
+ * senza rilasci: si crea una bozza dalla versione in uso, la si modifica,
+ * la si prova in anteprima su un cliente simulato e la si pubblica.
+ */
+
+const questionBankService = require('../services/questionBankService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Verifica che l'utente sia un amministratore
+ * @param {Object} req - Richiesta Express
+ * @param {Function} next - Funzione next di Express
+ * @returns {boolean} - false se l'errore è già stato inoltrato
+ */
+const requireAdmin = (req, next) => {
+  if (req.user.role !== 'admin') {
+    next(new AppError('Solo gli amministratori possono gestire il questionario di onboarding', 403));
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Elenca le versioni del questionario
+ * GET /api/v1/onboarding/questions/versions
+ */
+exports.getVersions = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  const versions = await questionBankService.listVersions();
+
+  res.status(200).json({
+    status: 'success',
+    results: versions.length,
+    data: {
+      versions
+    }
+  });
+});
+
+/**
+ * Restituisce la versione del questionario in uso
+ * GET /api/v1/onboarding/questions/active
+ */
+exports.getActiveVersion = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const bank = await questionBankService.getActiveBank();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bank
+    }
+  });
+});
+
+/**
+ * Restituisce una versione del questionario con tutte le domande
+ * GET /api/v1/onboarding/questions/versions/:version
+ */
+exports.getVersion = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  const bank = await questionBankService.getVersion(req.params.version);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bank
+    }
+  });
+});
+
+/**
+ * Crea una nuova bozza del questionario
+ * POST /api/v1/onboarding/questions/versions
+ * Body: { basedOnVersion, notes }
+ */
+exports.createDraft = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  const bank = await questionBankService.createDraft(req.user, {
+    basedOnVersion: req.body.basedOnVersion,
+    notes: req.body.notes
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      bank
+    }
+  });
+});
+
+/**
+ * Aggiorna le domande di una bozza
+ * PUT /api/v1/onboarding/questions/versions/:version
+ * Body: { questions, notes }
+ */
+exports.updateDraft = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  const { questions, notes } = req.body;
+
+  if (questions !== undefined && !Array.isArray(questions)) {
+    return next(new AppError('Le domande devono essere un elenco', 400));
+  }
+
+  const bank = await questionBankService.updateDraft(req.params.version, { questions, notes });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bank
+    }
+  });
+});
+
+/**
+ * Elimina una bozza non pubblicata
+ * DELETE /api/v1/onboarding/questions/versions/:version
+ */
+exports.deleteDraft = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  await questionBankService.deleteDraft(req.params.version);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Pubblica una bozza come questionario in uso
+ * POST /api/v1/onboarding/questions/versions/:version/publish
+ */
+exports.publishDraft = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  const bank = await questionBankService.publishDraft(req.params.version, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bank
+    }
+  });
+});
+
+/**
+ * Anteprima di una versione per un cliente simulato
+ * POST /api/v1/onboarding/questions/versions/:version/preview
+ * Body: { clientType, taxRegime, answers }
+ */
+exports.previewVersion = catchAsync(async (req, res, next) => {
+  if (!requireAdmin(req, next)) return;
+
+  const { clientType, taxRegime, answers } = req.body;
+
+  if (answers !== undefined && (typeof answers !== 'object' || Array.isArray(answers))) {
+    return next(new AppError('Risposte di prova non valide', 400));
+  }
+
+  const preview = await questionBankService.previewVersion(req.params.version, {
+    clientType,
+    taxRegime,
+    answers
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: preview
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Controller per l'editor dei template dei documenti
+ *
+ * Tavolozza delle variabili, controllo dei segnaposto, anteprima con i dati
+ * di un cliente e salvataggio come nuova revisione.
+ */
+
+const Template = require('../models/Template');
+const templateEditorService = require('../services/templateEditorService');
+const templateService = require('../services/templateService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Descrive i segnaposto sconosciuti per i messaggi di errore
+ * @param {Array} unknown - Segnaposto sconosciuti
+ * @returns {string}
+ */
+const describeUnknown = (unknown) => unknown
+  .map(item => `${item.path} (riga ${item.line})${item.suggestion ? ` - forse ${item.suggestion}` : ''}`)
+  .join(', ');
+
+// EJS esegue codice sul server: solo gli amministratori possono provarne o salvarne le modifiche
+const EJS_FORBIDDEN = 'Solo gli amministratori possono modificare i template EJS: usare il linguaggio sicuro';
+
+/**
+ * Template con la tavolozza delle variabili e l'esito del controllo
+ * GET /api/v1/documents/templates/:id/editor
+ * Query: { engine } linguaggio della tavolozza, se diverso da quello salvato
+ */
+exports.getTemplateEditor = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const template = await Template.findById(req.params.id);
+  if (!template) {
+    return next(new AppError('Template non trovato', 404));
+  }
+
+  // Clausole che i template nel linguaggio sicuro possono includere
+  const clauses = await Template.find({ category: 'clause', isActive: true, _id: { $ne: template._id } })
+    .select('name description')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template,
+      palette: templateEditorService.getVariablePalette({
+        engine: req.query.engine || template.engine,
+        variables: template.variables
+      }, clauses),
+      validation: templateEditorService.validateContent(template.content, template.variables, template.engine)
+    }
+  });
+});
+
+/**
+ * Controlla i segnaposto del contenuto non ancora salvato
+ * POST /api/v1/documents/templates/:id/validate
+ * Body: { content, variables, engine }
+ */
+exports.validateTemplate = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const template = await Template.findById(req.params.id);
+  if (!template) {
+    return next(new AppError('Template non trovato', 404));
+  }
+
+  const { content = template.content, variables = template.variables, engine = template.engine } = req.body;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      validation: templateEditorService.validateContent(content, variables, engine)
+    }
+  });
+});
+
+/**
+ * Anteprima del template con i dati di un cliente, sempre nel linguaggio
+ * del template salvato
+ * POST /api/v1/documents/templates/:id/preview
+ * Body: { clientId, content, variables }
+ */
+exports.previewTemplate = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const { clientId, content, variables } = req.body;
+  if (!clientId) {
+    return next(new AppError('Seleziona un cliente per l\'anteprima', 400));
+  }
+
+  const template = await Template.findById(req.params.id);
+  if (!template) {
+    return next(new AppError('Template non trovato', 404));
+  }
+
+  if (template.engine !== 'safe' && content !== undefined && req.user.role !== 'admin') {
+    return next(new AppError(EJS_FORBIDDEN, 403));
+  }
+
+  const preview = await templateEditorService.previewTemplate(req.params.id, clientId, { content, variables });
+
+  res.status(200).json({
+    status: 'success',
+    data: preview
+  });
+});
+
+/**
+ * Salva le modifiche dell'editor come nuova revisione del template; il
+ * salvataggio è rifiutato se il contenuto usa segnaposto sconosciuti
+ * POST /api/v1/documents/templates/:id/revisions
+ * Body: { content, description, variables, engine, notes }
+ */
+exports.saveTemplateRevision = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const template = await Template.findById(req.params.id);
+  if (!template) {
+    return next(new AppError('Template non trovato', 404));
+  }
+
+  const { content, description, variables, engine, notes } = req.body;
+
+  if ((engine || template.engine) !== 'safe' && (content !== undefined || engine) && req.user.role !== 'admin') {
+    return next(new AppError(EJS_FORBIDDEN, 403));
+  }
+
+  const validation = templateEditorService.validateContent(
+    content !== undefined ? content : template.content,
+    variables || template.variables,
+    engine || template.engine
+  );
+
+  if (validation.errors.length > 0) {
+    return next(new AppError(validation.errors.join('; '), 400));
+  }
+  if (validation.unknown.length > 0) {
+    return next(new AppError(`Segnaposto sconosciuti: ${describeUnknown(validation.unknown)}`, 400));
+  }
+
+  const result = await templateService.updateTemplate(req.params.id, { content, description, variables, engine }, req.user, { notes });
+
+  res.status(result.revision ? 201 : 200).json({
+    status: 'success',
+    data: {
+      template: result.template,
+      revision: result.revision,
+      diff: result.diff
+    }
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Controller per le revisioni dei template dei documenti
+ *
+ * Storico delle revisioni, confronto tra revisioni, ripristino e revisione
+ * da cui è stato generato un documento.
+ */
+
+const Document = require('../models/Document');
+const TemplateRevision = require('../models/TemplateRevision');
+const templateRevisionService = require('../services/templateRevisionService');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+/**
+ * Revisioni di un template (dalla più recente)
+ * GET /api/v1/documents/templates/:id/revisions
+ */
+exports.getTemplateRevisions = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const revisions = await templateRevisionService.listRevisions(req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: {
+      revisions
+    }
+  });
+});
+
+/**
+ * Una revisione di un template; con compareTo restituisce anche le
+ * differenze rispetto a un'altra revisione
+ * GET /api/v1/documents/templates/:id/revisions/:revision
+ * Query: { compareTo, context }
+ */
+exports.getTemplateRevision = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const revision = await TemplateRevision.findRevision(req.params.id, Number(req.params.revision))
+    .populate('createdBy', 'firstName lastName');
+
+  if (!revision) {
+    return next(new AppError('Revisione del template non trovata', 404));
+  }
+
+  let diff;
+  if (req.query.compareTo) {
+    const other = await TemplateRevision.findRevision(req.params.id, Number(req.query.compareTo));
+    if (!other) {
+      return next(new AppError(`Revisione ${req.query.compareTo} del template non trovata`, 404));
+    }
+
+    const context = parseInt(req.query.context, 10);
+    diff = templateRevisionService.diffSnapshots(other.snapshot, revision.snapshot, {
+      context: Number.isNaN(context) ? undefined : context
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revision,
+      verified: templateRevisionService.verifyRevision(revision),
+      diff
+    }
+  });
+});
+
+/**
+ * Ripristina una revisione: il contenuto torna quello della revisione
+ * indicata con una nuova revisione, lo storico non viene modificato
+ * POST /api/v1/documents/templates/:id/revisions/:revision/rollback
+ * Body: { notes }
+ */
+exports.rollbackTemplate = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const target = await TemplateRevision.findRevision(req.params.id, Number(req.params.revision));
+  if (!target) {
+    return next(new AppError('Revisione del template non trovata', 404));
+  }
+
+  const result = await templateRevisionService.rollback(req.params.id, target.revision, req.user, {
+    notes: req.body.notes
+  });
+
+  if (!result.revision) {
+    return next(new AppError(`Il template corrisponde già alla revisione ${target.revision}`, 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      template: result.template,
+      revision: result.revision,
+      diff: result.diff
+    }
+  });
+});
+
+/**
+ * Revisione del template da cui è stato generato un documento, con le
+ * revisioni delle clausole incluse
+ * GET /api/v1/documents/:id/template-revision
+ */
+exports.getDocumentTemplateRevision = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError('Non hai i permessi per eseguire questa operazione', 403));
+  }
+
+  const document = await Document.findById(req.params.id).select('template templateVersion templateRevision clauseRevisions');
+
+  if (!document) {
+    return next(new AppError('Documento non trovato', 404));
+  }
+
+  if (!document.templateRevision) {
+    return next(new AppError('Il documento non è stato generato da una revisione di un template', 404));
+  }
+
+  const revision = await TemplateRevision.findById(document.templateRevision)
+    .populate('createdBy', 'firstName lastName');
+
+  if (!revision) {
+    return next(new AppError('Revisione del template non trovata', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revision,
+      clauses: document.clauseRevisions,
+      verified: templateRevisionService.verifyRevision(revision)
+    }
+  });
+});
@@ -0,0 +1,488 @@
+/**
+ * Controller per la registrazione del tempo sui task delle procedure
+ * e per la fatturazione a ore dei clienti
+ */
+
+const Client = require('../models/Client');
+const TimeEntry = require('../models/TimeEntry');
+const timeTrackingService = require('../services/timeTrackingService');
+const documentGenerator = require('../services/documentGenerator');
+const { catchAsync } = require('../utils/errorHandlers');
+const AppError = require('../utils/appError');
+
+// Le ore registrate e le tariffe sono riservate allo studio
+const CUSTOMER_FORBIDDEN = 'Non hai i permessi per eseguire questa operazione';
+
+/**
+ * Verifica che l'utente possa consultare la fatturazione del cliente:
+ * amministratori o operatore assegnato al cliente
+ * @param {Object} req - Richiesta
+ * @param {Object} client - Cliente
+ * @returns {AppError|null} - Errore da restituire, null se consentito
+ */
+const checkBillingAccess = (req, client) => {
+  if (req.user.role === 'admin') {
+    return null;
+  }
+
+  const assignedTo = client.onboarding && client.onboarding.assignedTo;
+  if (req.user.role === 'operator' && assignedTo && String(assignedTo) === String(req.user._id)) {
+    return null;
+  }
+
+  return new AppError('Non sei autorizzato a consultare la fatturazione di questo cliente', 403);
+};
+
+/**
+ * Filtri delle registrazioni dalla query string; gli operatori vedono
+ * solo le proprie registrazioni
+ * @param {Object} req - Richiesta
+ * @returns {Object} - Filtri per timeTrackingService.buildEntryQuery
+ */
+const getFilters = (req) => {
+  const { clientId, clientProcedureId, taskId, userId, from, to, billable, invoiced } = req.query;
+  const filters = { clientId, clientProcedureId, taskId, userId, from, to, billable, invoiced };
+
+  if (req.user.role === 'operator') {
+    filters.userId = req.user._id;
+  }
+
+  return filters;
+};
+
+/**
+ * Verifica che la registrazione esista e sia modificabile dall'utente
+ * @param {Object} req - Richiesta
+ * @returns {Promise<AppError|null>} - Errore da restituire, null se consentito
+ */
+const checkEntryAccess = async (req) => {
+  const entry = await TimeEntry.findById(req.params.id);
+
+  if (!entry || entry.deletedAt) {
+    return new AppError('Registrazione non trovata', 404);
+  }
+
+  if (req.user.role !== 'admin' && String(entry.user) !== String(req.user._id)) {
+    return new AppError('Non sei autorizzato a modificare questa registrazione', 403);
+  }
+
+  if (entry.isLocked()) {
+    return new AppError(`La registrazione è già stata fatturata (fattura ${entry.invoice.invoiceNumber})`, 409);
+  }
+
+  return null;
+};
+
+/**
+ * Elenco delle registrazioni
+ * GET /api/v1/time-entries?clientId=...&from=...&to=...
+ */
+exports.getEntries = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const entries = await timeTrackingService.getEntries(getFilters(req), {
+    limit: parseInt(req.query.limit, 10) || 200
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries
+    }
+  });
+});
+
+/**
+ * Timer in corso dell'utente autenticato
+ * GET /api/v1/time-entries/timer
+ */
+exports.getRunningTimer = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const entry = await timeTrackingService.getRunningTimer(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
+
+/**
+ * Avvia un timer su un task (arresta quello eventualmente in corso)
+ * POST /api/v1/time-entries/timer/start
+ * Body: { clientProcedureId, taskId, description }
+ */
+exports.startTimer = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const { clientProcedureId, taskId, description } = req.body;
+
+  if (!clientProcedureId || !taskId) {
+    return next(new AppError('Procedura del cliente e task sono obbligatori', 400));
+  }
+
+  let result;
+  try {
+    result = await timeTrackingService.startTimer(clientProcedureId, taskId, req.user._id, { description });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Arresta il timer in corso dell'utente autenticato
+ * POST /api/v1/time-entries/timer/stop
+ */
+exports.stopTimer = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const running = await timeTrackingService.getRunningTimer(req.user._id);
+
+  if (!running) {
+    return next(new AppError('Nessun timer attivo', 404));
+  }
+
+  const entry = await timeTrackingService.stopTimer(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
+
+/**
+ * Registra manualmente il tempo su un task
+ * POST /api/v1/time-entries
+ * Body: { clientProcedureId, taskId, startedAt, endedAt | durationMinutes, description, billable, hourlyRate }
+ */
+exports.createEntry = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const { clientProcedureId, taskId, ...data } = req.body;
+
+  if (!clientProcedureId || !taskId) {
+    return next(new AppError('Procedura del cliente e task sono obbligatori', 400));
+  }
+
+  if (data.hourlyRate !== undefined && req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono indicare la tariffa oraria', 403));
+  }
+
+  let entry;
+  try {
+    entry = await timeTrackingService.addManualEntry(clientProcedureId, taskId, req.user._id, data);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
+
+/**
+ * Modifica una registrazione (con storico delle modifiche)
+ * PATCH /api/v1/time-entries/:id
+ * Body: { startedAt, endedAt, durationMinutes, description, billable, hourlyRate, reason }
+ */
+exports.updateEntry = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const accessError = await checkEntryAccess(req);
+  if (accessError) {
+    return next(accessError);
+  }
+
+  if (req.body.hourlyRate !== undefined && req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono modificare la tariffa oraria', 403));
+  }
+
+  const updates = {};
+  timeTrackingService.EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  });
+
+  let entry;
+  try {
+    entry = await timeTrackingService.updateEntry(req.params.id, updates, req.user._id, {
+      isAdmin: req.user.role === 'admin',
+      reason: req.body.reason
+    });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
+
+/**
+ * Elimina una registrazione
+ * DELETE /api/v1/time-entries/:id
+ * Body: { reason }
+ */
+exports.deleteEntry = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const accessError = await checkEntryAccess(req);
+  if (accessError) {
+    return next(accessError);
+  }
+
+  await timeTrackingService.deleteEntry(req.params.id, req.user._id, {
+    isAdmin: req.user.role === 'admin',
+    reason: req.body && req.body.reason
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+/**
+ * Totali delle ore per utente, cliente e task
+ * GET /api/v1/time-entries/totals?from=...&to=...
+ */
+exports.getTotals = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const totals = await timeTrackingService.getTotals(getFilters(req));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      totals
+    }
+  });
+});
+
+/**
+ * Riepilogo di fatturazione delle ore di un cliente (amministratori o operatore assegnato)
+ * GET /api/v1/time-entries/billing/:clientId?from=...&to=...&includeInvoiced=true
+ */
+exports.getBillingRollup = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const client = await Client.findById(req.params.clientId);
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+
+  const billingError = checkBillingAccess(req, client);
+  if (billingError) {
+    return next(billingError);
+  }
+
+  const rollup = await timeTrackingService.getBillingRollup(client._id, {
+    from: req.query.from,
+    to: req.query.to,
+    includeInvoiced: req.query.includeInvoiced === 'true'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rollup
+    }
+  });
+});
+
+/**
+ * Esporta le ore di un cliente per la fatturazione (amministratori o operatore assegnato)
+ * GET /api/v1/time-entries/billing/:clientId/export?format=csv|xlsx|json&from=...&to=...
+ */
+exports.exportBilling = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const format = (req.query.format || 'csv').toLowerCase();
+  const formatInfo = timeTrackingService.EXPORT_FORMATS[format];
+
+  if (!formatInfo) {
+    return next(new AppError('Formato di esportazione non valido (csv, xlsx o json)', 400));
+  }
+
+  const client = await Client.findById(req.params.clientId);
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+
+  const billingError = checkBillingAccess(req, client);
+  if (billingError) {
+    return next(billingError);
+  }
+
+  const query = timeTrackingService.buildEntryQuery({
+    clientId: client._id,
+    from: req.query.from,
+    to: req.query.to,
+    billable: req.query.billable,
+    invoiced: req.query.invoiced
+  });
+  query.running = false;
+
+  const cursor = TimeEntry.find(query)
+    .populate('user', 'firstName lastName')
+    .populate('clientId', 'name billing')
+    .populate({
+      path: 'clientProcedureId',
+      select: 'procedureId',
+      populate: { path: 'procedureId', select: 'name' }
+    })
+    .sort({ startedAt: 1 })
+    .cursor();
+
+  const fileName = `ore_${client._id}_${new Date().toISOString().substring(0, 10)}.${formatInfo.extension}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', formatInfo.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  await timeTrackingService.exportBilling(cursor, res, { format });
+
+  res.end();
+});
+
+/**
+ * Genera il preventivo dalle ore registrate e non ancora fatturate
+ * (amministratori o operatore assegnato)
+ * POST /api/v1/time-entries/billing/:clientId/estimate
+ * Body: { from, to, format, estimateNumber, notes }
+ */
+exports.generateEstimate = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'customer') {
+    return next(new AppError(CUSTOMER_FORBIDDEN, 403));
+  }
+
+  const { from, to, format = 'pdf', estimateNumber, notes } = req.body;
+
+  const client = await Client.findById(req.params.clientId);
+  if (!client) {
+    return next(new AppError('Cliente non trovato', 404));
+  }
+
+  const billingError = checkBillingAccess(req, client);
+  if (billingError) {
+    return next(billingError);
+  }
+
+  const rollup = await timeTrackingService.getBillingRollup(client._id, { from, to });
+  if (rollup.lines.length === 0) {
+    return next(new AppError('Nessuna ora fatturabile nel periodo indicato', 400));
+  }
+
+  const documentPath = await documentGenerator.generateCostEstimate(client.toObject(), {
+    services: timeTrackingService.toCostEstimateServices(rollup),
+    estimateNumber,
+    notes
+  }, format);
+
+  client.documents.push({
+    name: `cost-estimate.${format}`,
+    path: documentPath,
+    type: 'Finanziario',
+    uploadDate: new Date()
+  });
+  await client.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      documentPath,
+      rollup
+    }
+  });
+});
+
+/**
+ * Blocca le registrazioni fatturate (solo amministratori)
+ * POST /api/v1/time-entries/lock
+ * Body: { invoiceNumber, clientId, entryIds, from, to }
+ */
+exports.lockEntries = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono registrare la fatturazione delle ore', 403));
+  }
+
+  const { invoiceNumber, clientId, entryIds, from, to } = req.body;
+
+  let result;
+  try {
+    result = await timeTrackingService.lockEntries({ clientId, entryIds, from, to }, invoiceNumber, req.user._id);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
+
+/**
+ * Sblocca le registrazioni di una fattura annullata (solo amministratori)
+ * POST /api/v1/time-entries/unlock
+ * Body: { invoiceNumber, reason }
+ */
+exports.unlockEntries = catchAsync(async (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return next(new AppError('Solo gli amministratori possono sbloccare le ore fatturate', 403));
+  }
+
+  const { invoiceNumber, reason } = req.body;
+
+  if (!reason) {
+    return next(new AppError('Il motivo dello sblocco è obbligatorio', 400));
+  }
+
+  let result;
+  try {
+    result = await timeTrackingService.unlockEntries(invoiceNumber, req.user._id, { reason });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: result
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Middleware per il caricamento di file tramite multipart/form-data
+ */
+const multer = require('multer');
+const path = require('path');
+
+// Dimensione massima dei file di importazione (10 MB)
+const MAX_IMPORT_SIZE = 10 * 1024 * 1024;
+
+const IMPORT_EXTENSIONS = ['.csv', '.txt', '.xlsx'];
+
+// Dimensione massima dei documenti caricati dai clienti (20 MB)
+const MAX_DOCUMENT_SIZE = 20 * 1024 * 1024;
+
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'image/tiff',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/pkcs7-mime',
+  'application/xml',
+  'text/xml'
+];
+
+/**
+ * Filtra i file di importazione accettando solo CSV e XLSX
+ * @param {Object} req - Oggetto richiesta Express
+ * @param {Object} file - File in caricamento
+ * @param {Function} cb - Callback di multer
+ */
+const importFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (!IMPORT_EXTENSIONS.includes(extension)) {
+    const error = new Error('Formato file non supportato. Usare CSV o XLSX');
+    error.statusCode = 400;
+    return cb(error);
+  }
+
+  cb(null, true);
+};
+
+// I file di importazione vengono tenuti in memoria: sono analizzati e poi scartati
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE },
+  fileFilter: importFileFilter
+});
+
+/**
+ * Filtra i documenti accettando PDF, immagini, documenti Office, XML e file firmati
+ * @param {Object} req - Oggetto richiesta Express
+ * @param {Object} file - File in caricamento
+ * @param {Function} cb - Callback di multer
+ */
+const documentFileFilter = (req, file, cb) => {
+  if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+    const error = new Error('Tipo di file non supportato. Usare PDF, immagini, documenti Office, XML o P7M');
+    error.statusCode = 400;
+    return cb(error);
+  }
+
+  cb(null, true);
+};
+
+// I documenti restano in memoria solo il tempo di trasferirli allo storage
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE },
+  fileFilter: documentFileFilter
+});
+
+module.exports = {
+  importUpload,
+  documentUpload
+};
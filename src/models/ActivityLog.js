@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Attività che costituiscono prova di adempimento (unioni di clienti, richieste
+// GDPR): sono escluse dall'indice TTL e conservate senza scadenza
+const PERMANENT_ACTIVITY_TYPES = ['client_merge', 'gdpr_access_export', 'gdpr_erasure'];
+
+/**
+ * Schema per il registro delle attività
+ * Traccia le operazioni rilevanti eseguite dagli utenti (interazioni con
+ * l'assistente, unioni di clienti, ecc.) a fini di audit
+ */
+const ActivityLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    index: true
+  },
+  activityType: {
+    type: String,
+    required: [true, 'Il tipo di attività è obbligatorio'],
+    trim: true,
+    index: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Data dell'attività, usata dall'indice TTL e dalle statistiche di scripts/setupIndexes.js
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Solo i log "standard" rientrano nell'indice TTL (partialFilterExpression)
+  retention: {
+    type: String,
+    enum: ['standard', 'permanent'],
+    default: 'standard'
+  }
+}, {
+  timestamps: true
+});
+
+ActivityLogSchema.index({ client: 1, createdAt: -1 });
+
+// Le attività di audit non scadono mai, indipendentemente da chi crea il log
+ActivityLogSchema.pre('validate', function(next) {
+  if (PERMANENT_ACTIVITY_TYPES.includes(this.activityType)) {
+    this.retention = 'permanent';
+  }
+  next();
+});
+
+// Metodo statico per ottenere le attività di un cliente
+ActivityLogSchema.statics.findByClient = function(clientId, activityType = null) {
+  const query = { client: clientId };
+
+  if (activityType) {
+    query.activityType = activityType;
+  }
+
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('ActivityLog', ActivityLogSchema);
+module.exports.PERMANENT_ACTIVITY_TYPES = PERMANENT_ACTIVITY_TYPES;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Schema per i feed iCalendar delle scadenze
+ * Un feed è pubblicato a un indirizzo che contiene un token casuale, così
+ * le app di calendario possono abbonarsi senza autenticazione; revocando il
+ * feed l'indirizzo smette di funzionare
+ */
+const CalendarFeedSchema = new mongoose.Schema({
+  // Utente che ha creato il feed e può revocarlo
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Il proprietario del feed è obbligatorio'],
+    index: true
+  },
+  // user: task assegnati a un utente; client: task e scadenze di un cliente
+  scope: {
+    type: String,
+    enum: {
+      values: ['user', 'client'],
+      message: 'Il tipo di feed deve essere uno tra: user, client'
+    },
+    required: [true, 'Il tipo di feed è obbligatorio']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [
+      function() { return this.scope === 'user'; },
+      'L\'utente del feed è obbligatorio'
+    ]
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [
+      function() { return this.scope === 'client'; },
+      'Il cliente del feed è obbligatorio'
+    ]
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Include le scadenze fiscali dei clienti oltre ai task
+  includeFiscalDeadlines: {
+    type: Boolean,
+    default: true
+  },
+  includeCompleted: {
+    type: Boolean,
+    default: false
+  },
+  lastAccessedAt: Date,
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Token generato alla creazione del feed
+CalendarFeedSchema.pre('validate', function(next) {
+  if (!this.token) {
+    this.token = crypto.randomBytes(24).toString('hex');
+  }
+  next();
+});
+
+// Metodo per verificare se il feed è ancora attivo
+CalendarFeedSchema.methods.isActive = function() {
+  return !this.revokedAt;
+};
+
+// Metodo statico per trovare un feed attivo dal token
+CalendarFeedSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({ token, revokedAt: null });
+};
+
+module.exports = mongoose.model('CalendarFeed', CalendarFeedSchema);
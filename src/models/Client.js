@@ -175,6 +175,39 @@ const ClientSchema = new mongoose.Schema({
     default: 'Non specificato',
     index: true
   },
+  // Chiusura dell'esercizio sociale (giorno e mese), per le società con
+  // esercizio non coincidente con l'anno solare (es. 30/06)
+  fiscalYearEnd: {
+    month: {
+      type: Number,
+      min: [1, 'Mese di chiusura dell\'esercizio non valido'],
+      max: [12, 'Mese di chiusura dell\'esercizio non valido'],
+      default: 12
+    },
+    day: {
+      type: Number,
+      min: [1, 'Giorno di chiusura dell\'esercizio non valido'],
+      default: 31,
+      validate: {
+        validator: function(v) {
+          const month = this.fiscalYearEnd && this.fiscalYearEnd.month;
+          // Si usa un anno bisestile per ammettere il 29/02
+          return !month || v <= new Date(2024, month, 0).getDate();
+        },
+        message: 'Giorno di chiusura dell\'esercizio non valido per il mese indicato'
+      }
+    }
+  },
+  // Termine per l'approvazione del bilancio: 120 giorni, o 180 se previsto
+  // dallo statuto (art. 2364 c.c.)
+  financialStatementsApprovalDays: {
+    type: Number,
+    enum: {
+      values: [120, 180],
+      message: 'Il termine di approvazione del bilancio deve essere di 120 o 180 giorni'
+    },
+    default: 120
+  },
   // Gestione onboarding
   onboarding: {
     status: {
@@ -236,6 +269,17 @@ const ClientSchema = new mongoose.Schema({
       'Altro'
     ]
   }],
+  // Fatturazione del tempo registrato sui task delle procedure
+  billing: {
+    hourly: {
+      type: Boolean,
+      default: false
+    },
+    hourlyRate: {
+      type: Number,
+      min: [0, 'La tariffa oraria non può essere negativa']
+    }
+  },
   notes: {
     type: String,
     trim: true
@@ -262,6 +306,22 @@ const ClientSchema = new mongoose.Schema({
     lastUpdated: Date,
     ipAddress: String
   },
+  // Esito della richiesta di cancellazione (art. 17 GDPR)
+  gdprErasure: {
+    erasedAt: Date,
+    erasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestReason: String,
+    // Dati conservati nonostante la richiesta e relativa motivazione
+    retainedData: [{
+      dataType: String,
+      reference: String,
+      reason: String,
+      retainUntil: Date
+    }]
+  },
   // Documenti caricati
   documents: [{
     name: String,
@@ -280,7 +340,11 @@ const ClientSchema = new mongoose.Schema({
       enum: ['in_attesa', 'verificato', 'scaduto'],
       default: 'in_attesa'
     },
-    expiryDate: Date
+    expiryDate: Date,
+    // Gestiti dal controllo periodico delle scadenze (documentExpiryService)
+    expiredAt: Date,
+    renewalRequestedAt: Date,
+    renewalLetterPath: String
   }],
   // Flag per indicare client attivo/inattivo
   isActive: {
@@ -288,6 +352,12 @@ const ClientSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  // Se il cliente è stato unito a un altro come duplicato
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  mergedAt: Date,
   // Campi temporali automatici
   createdAt: {
     type: Date,
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per lo storico delle modifiche ai clienti
+ * Ogni voce raccoglie i campi modificati in una singola operazione,
+ * con valore precedente, nuovo valore, autore e origine della richiesta
+ */
+const ClientHistorySchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'L\'ID cliente è obbligatorio'],
+    index: true
+  },
+  changes: [{
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Origine della modifica (API, importazione, unione duplicati, portale cliente, sistema)
+  source: {
+    type: String,
+    enum: ['api', 'import', 'merge', 'onboarding', 'portal', 'system'],
+    default: 'api'
+  },
+  requestInfo: {
+    method: String,
+    path: String,
+    ip: String,
+    userAgent: String
+  }
+}, {
+  timestamps: false
+});
+
+ClientHistorySchema.index({ clientId: 1, changedAt: -1 });
+ClientHistorySchema.index({ clientId: 1, 'changes.field': 1 });
+
+// Metodo statico per ottenere lo storico di un cliente, eventualmente per un solo campo
+ClientHistorySchema.statics.findByClient = function(clientId, field = null) {
+  const query = { clientId };
+
+  if (field) {
+    query['changes.field'] = field;
+  }
+
+  return this.find(query).sort({ changedAt: -1 });
+};
+
+module.exports = mongoose.model('ClientHistory', ClientHistorySchema);
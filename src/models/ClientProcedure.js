@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const fiscalCalendarService = require('../services/fiscalCalendarService');
 
 /**
  * Schema per gestire le procedure operative assegnate ai clienti
@@ -17,6 +18,11 @@ const ClientProcedureSchema = new mongoose.Schema({
     required: [true, 'L\'ID procedura è obbligatorio'],
     index: true
   },
+  // Versione del template da cui sono stati creati i task (vedi ProcedureVersion)
+  procedureVersion: {
+    type: Number,
+    min: 1
+  },
   startDate: {
     type: Date,
     required: [true, 'La data di inizio è obbligatoria'],
@@ -65,6 +71,19 @@ const ClientProcedureSchema = new mongoose.Schema({
       type: Date,
       required: [true, 'La data di scadenza è obbligatoria']
     },
+    // Adempimento e periodo di riferimento dallo scadenzario fiscale
+    fiscalDeadline: String,
+    fiscalPeriod: String,
+    // Ore stimate (dal template, modificabili sul singolo task)
+    estimatedHours: {
+      type: Number,
+      min: [0, 'Le ore stimate devono essere positive']
+    },
+    // taskId dei task che devono essere completati prima di questo
+    dependsOn: {
+      type: [String],
+      default: []
+    },
     completedDate: Date,
     notes: {
       type: String,
@@ -79,6 +98,21 @@ const ClientProcedureSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Periodo di competenza per le procedure ricorrenti (es. "Marzo 2026")
+  period: {
+    start: Date,
+    end: Date,
+    label: String
+  },
+  // Catena delle istanze di una procedura ricorrente
+  previousInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientProcedure'
+  },
+  nextInstanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientProcedure'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -98,6 +132,7 @@ ClientProcedureSchema.index({ clientId: 1, status: 1 });
 ClientProcedureSchema.index({ procedureId: 1 });
 ClientProcedureSchema.index({ 'tasks.assignedTo': 1, 'tasks.status': 1 });
 ClientProcedureSchema.index({ 'tasks.dueDate': 1, 'tasks.status': 1 });
+ClientProcedureSchema.index({ procedureId: 1, clientId: 1, 'period.start': 1 });
 
 // Virtuale per calcolare la percentuale di completamento
 ClientProcedureSchema.virtual('completionPercentage').get(function() {
@@ -133,9 +168,14 @@ ClientProcedureSchema.pre('save', function(next) {
   // Se la startDate è cambiata, ricalcola la expectedEndDate
   if (this.isModified('startDate') && this.procedureId) {
     // Se esiste informazione sulla procedura e sui suoi task
-    if (this._procedureData && this._procedureData.tasks && this._procedureData.tasks.length > 0) {
+    // (i task dello scadenzario fiscale non dipendono dalla data di inizio)
+    const offsetTasks = this._procedureData && this._procedureData.tasks
+      ? this._procedureData.tasks.filter(task => !task.fiscalDeadline)
+      : [];
+    
+    if (offsetTasks.length > 0) {
       // Trova il task con il dueOffset più lungo
-      const maxDueOffset = Math.max(...this._procedureData.tasks.map(task => task.dueOffset || 0));
+      const maxDueOffset = Math.max(...offsetTasks.map(task => task.dueOffset || 0));
       
       // Imposta la data di fine prevista aggiungendo il massimo offset alla data di inizio
       const endDate = new Date(this.startDate);
@@ -207,38 +247,69 @@ ClientProcedureSchema.statics.findUpcoming = function(days = 7) {
   }).sort({ 'tasks.dueDate': 1 });
 };
 
-// Metodo per inizializzare i task dalla procedura di riferimento
-ClientProcedureSchema.methods.initializeTasksFromProcedure = async function(procedure) {
+// Metodo per inizializzare i task dalla procedura di riferimento.
+// I task legati a un adempimento fiscale prendono la prima scadenza utile
+// dallo scadenzario; options è il profilo fiscale del cliente
+// (fiscalCalendarService.getClientFiscalProfile: chiusura dell'esercizio,
+// termine di approvazione del bilancio, periodicità IVA).
+// Per le istanze ricorrenti la scadenza è quella del periodo di competenza
+ClientProcedureSchema.methods.initializeTasksFromProcedure = async function(procedure, options = {}) {
   if (!procedure) return false;
   
   // Memorizza i dati della procedura per il calcolo della expectedEndDate
   this._procedureData = procedure;
   
-  // Imposta la data di fine prevista
+  if (procedure.version) {
+    this.procedureVersion = procedure.version;
+  }
+  
   if (procedure.tasks && procedure.tasks.length > 0) {
-    // Trova il task con il dueOffset più lungo
-    const maxDueOffset = Math.max(...procedure.tasks.map(task => task.dueOffset || 0));
-    
-    // Imposta la data di fine prevista
-    const endDate = new Date(this.startDate);
-    endDate.setDate(endDate.getDate() + maxDueOffset);
-    this.expectedEndDate = endDate;
-    
     // Inizializza i task
     this.tasks = procedure.tasks.map((task, index) => {
-      // Calcola la data di scadenza in base al dueOffset
-      const dueDate = new Date(this.startDate);
-      dueDate.setDate(dueDate.getDate() + (task.dueOffset || 0));
+      let dueDate;
+      let fiscalPeriod;
+      
+      if (task.fiscalDeadline) {
+        const deadline = fiscalCalendarService.getNextDeadline(task.fiscalDeadline, {
+          from: this.period && this.period.end ? this.period.end : this.startDate,
+          fiscalYearEnd: options.fiscalYearEnd,
+          approvalDays: options.approvalDays,
+          vatPeriodicity: options.vatPeriodicity
+        });
+        dueDate = deadline.dueDate;
+        fiscalPeriod = deadline.periodLabel;
+      } else {
+        // Calcola la data di scadenza in base al dueOffset
+        dueDate = new Date(this.startDate);
+        dueDate.setDate(dueDate.getDate() + (task.dueOffset || 0));
+      }
       
       return {
         taskId: `task-${index + 1}`,
         name: task.name,
         status: 'pending',
         dueDate,
+        fiscalDeadline: task.fiscalDeadline ? fiscalCalendarService.resolveDeadlineType(task.fiscalDeadline, options) : undefined,
+        fiscalPeriod,
+        estimatedHours: task.estimatedHours,
         notes: task.description || '',
         attachments: []
       };
     });
+    
+    // Le dipendenze del template (per nome) diventano riferimenti ai taskId
+    const taskIds = new Map(this.tasks.map(task => [task.name, task.taskId]));
+    procedure.tasks.forEach((task, index) => {
+      this.tasks[index].dependsOn = (task.dependsOn || [])
+        .map(name => taskIds.get(name))
+        .filter(Boolean);
+    });
+    
+    // Imposta la data di fine prevista sull'ultima scadenza
+    const lastDueDate = new Date(Math.max(...this.tasks.map(task => new Date(task.dueDate).getTime())));
+    if (lastDueDate > this.startDate) {
+      this.expectedEndDate = lastDueDate;
+    }
   }
   
   return true;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per gli eventi di consenso privacy
+ * Ogni concessione o revoca di un consenso viene registrata come evento
+ * immutabile, con versione dell'informativa, canale, IP e documento di prova.
+ * Lo stato corrente resta riepilogato in Client.dataConsent.
+ */
+const ConsentEventSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'L\'ID cliente è obbligatorio'],
+    index: true
+  },
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PrivacyPolicy',
+    required: [true, 'L\'informativa di riferimento è obbligatoria']
+  },
+  policyVersion: {
+    type: String,
+    required: true
+  },
+  consentType: {
+    type: String,
+    enum: {
+      values: ['privacy', 'marketing', 'thirdParty'],
+      message: 'Tipo di consenso non valido'
+    },
+    required: [true, 'Il tipo di consenso è obbligatorio']
+  },
+  action: {
+    type: String,
+    enum: {
+      values: ['granted', 'withdrawn'],
+      message: 'L\'azione deve essere granted o withdrawn'
+    },
+    required: [true, 'L\'azione è obbligatoria']
+  },
+  channel: {
+    type: String,
+    enum: {
+      values: ['portale', 'email', 'pec', 'cartaceo', 'telefono', 'di_persona', 'altro'],
+      message: 'Canale di raccolta non valido'
+    },
+    required: [true, 'Il canale di raccolta è obbligatorio']
+  },
+  ipAddress: String,
+  // Documento che prova il consenso (modulo firmato, ricevuta PEC, ecc.)
+  evidenceDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+ConsentEventSchema.index({ clientId: 1, occurredAt: -1 });
+
+// Metodo statico per ottenere gli eventi di un cliente, eventualmente per un solo tipo di consenso
+ConsentEventSchema.statics.findByClient = function(clientId, consentType = null) {
+  const query = { clientId };
+
+  if (consentType) {
+    query.consentType = consentType;
+  }
+
+  return this.find(query).sort({ occurredAt: -1 });
+};
+
+module.exports = mongoose.model('ConsentEvent', ConsentEventSchema);
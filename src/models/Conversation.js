@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le conversazioni con l'assistente AI
+ * Ogni conversazione appartiene a un utente e può riferirsi a un cliente
+ */
+const ConversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'ID utente è obbligatorio'],
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    index: true
+  },
+  messages: [{
+    role: {
+      type: String,
+      enum: ['user', 'assistant', 'system'],
+      required: true
+    },
+    content: {
+      type: String,
+      required: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Contesto della conversazione (cliente, data di inizio, argomento)
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ userId: 1, clientId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
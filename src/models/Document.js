@@ -64,6 +64,8 @@ const DocumentSchema = new mongoose.Schema({
     docType: String,
     issueDate: Date,
     expiryDate: Date,
+    // Data dell'ultima richiesta di rinnovo inviata al cliente
+    renewalRequestedAt: Date,
     extractedData: mongoose.Schema.Types.Mixed, // Dati estratti specifici per il tipo di documento
     confidence: {
       type: Number,
@@ -77,6 +79,33 @@ const DocumentSchema = new mongoose.Schema({
     }
   },
   
+  // Template e revisione da cui il documento è stato generato: la revisione
+  // non è modificabile, così il documento può essere ricostruito
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    index: true
+  },
+  templateVersion: Number,
+  templateRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TemplateRevision'
+  },
+  // Revisioni delle clausole incluse (template nel linguaggio sicuro)
+  clauseRevisions: [{
+    _id: false,
+    name: String,
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template'
+    },
+    revision: Number,
+    revisionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TemplateRevision'
+    }
+  }],
+  
   // Stato del documento
   status: {
     type: String,
@@ -155,7 +184,26 @@ const DocumentSchema = new mongoose.Schema({
       default: 'pending'
     },
     readDate: Date,
-    trackingId: String
+    // ID dell'ultimo invio (DocumentDelivery) ed errore dell'ultimo tentativo
+    trackingId: String,
+    error: String,
+    // Ricevute PEC (accettazione, consegna, errori) conservate come prova dell'invio
+    receipts: [{
+      type: {
+        type: String,
+        required: true
+      },
+      recipient: String,
+      identifier: String,
+      date: Date,
+      path: String,
+      filename: String,
+      size: Number,
+      deliveryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DocumentDelivery'
+      }
+    }]
   },
   
   // Informazioni amministrative
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per gli invii dei documenti ai clienti
+ * Ogni invio è registrato prima di contattare il server SMTP e resta in
+ * coda finché non viene accettato: un'interruzione temporanea del server
+ * non fa perdere il messaggio, che viene ritentato dallo scheduler
+ */
+const DocumentDeliverySchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Il documento è obbligatorio'],
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  channel: {
+    type: String,
+    enum: {
+      values: ['email', 'pec'],
+      message: 'Il canale di invio non è valido'
+    },
+    default: 'email'
+  },
+  to: {
+    type: [String],
+    validate: {
+      validator: (value) => value.length > 0,
+      message: 'Il destinatario è obbligatorio'
+    }
+  },
+  cc: {
+    type: [String],
+    default: []
+  },
+  subject: {
+    type: String,
+    required: [true, 'L\'oggetto è obbligatorio'],
+    trim: true
+  },
+  text: String,
+  html: String,
+  // queued: in attesa di invio o di un nuovo tentativo
+  // sent: accettato dal server SMTP; delivered: consegnato (ricevuta PEC)
+  // bounced: rifiutato dal destinatario
+  status: {
+    type: String,
+    enum: {
+      values: ['queued', 'sending', 'sent', 'delivered', 'bounced', 'failed'],
+      message: 'Stato dell\'invio non valido'
+    },
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: Date,
+  sentAt: Date,
+  // PEC: destinatari per cui è arrivata la ricevuta di avvenuta consegna
+  deliveredTo: {
+    type: [String],
+    default: []
+  },
+  deliveredAt: Date,
+  messageId: {
+    type: String,
+    index: true
+  },
+  error: String,
+  // Esito di ogni tentativo, delle notifiche di mancato recapito e delle ricevute PEC
+  history: [{
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    status: String,
+    error: String,
+    responseCode: Number
+  }],
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Invii da ritentare
+DocumentDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Metodo per registrare l'esito di un tentativo
+DocumentDeliverySchema.methods.recordAttempt = function(status, error = null) {
+  this.status = status;
+  this.error = error ? error.message : undefined;
+  this.history.push({
+    at: new Date(),
+    status,
+    error: error ? error.message : undefined,
+    responseCode: error ? error.responseCode : undefined
+  });
+};
+
+module.exports = mongoose.model('DocumentDelivery', DocumentDeliverySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le notifiche in-app
+ * Avvisa gli utenti dello studio di eventi che richiedono attenzione
+ * (risposte e documenti inviati dai clienti dal portale, scadenze, ecc.)
+ */
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Il destinatario è obbligatorio'],
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  type: {
+    type: String,
+    required: [true, 'Il tipo di notifica è obbligatorio'],
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Il titolo della notifica è obbligatorio'],
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Percorso dell'interfaccia a cui rimanda la notifica
+  link: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+// Metodo statico per ottenere le notifiche di un utente, eventualmente solo non lette
+NotificationSchema.statics.findByRecipient = function(userId, unreadOnly = false) {
+  const query = { recipient: userId };
+
+  if (unreadOnly) {
+    query.readAt = { $exists: false };
+  }
+
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le sessioni di onboarding
+ * Conserva le risposte al questionario di onboarding man mano che vengono
+ * date (anche come bozza), con autore e data, e la fase in cui l'utente si
+ * trova, così da poter riprendere il questionario in una sessione successiva
+ * o tornare a una fase precedente
+ */
+const OnboardingSessionSchema = new mongoose.Schema({
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'L\'ID cliente è obbligatorio'],
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  currentPhase: {
+    type: String,
+    required: true
+  },
+  // Fasi confermate, in ordine di completamento
+  completedPhases: [String],
+  // Registro di tutte le risposte: le modifiche aggiungono una voce, non sovrascrivono
+  answers: [{
+    phase: {
+      type: String,
+      required: true
+    },
+    questionId: {
+      type: String,
+      required: true
+    },
+    value: mongoose.Schema.Types.Mixed,
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Origine della risposta (gestionale dello studio o portale cliente)
+    source: {
+      type: String,
+      enum: ['operator', 'portal'],
+      default: 'operator'
+    },
+    // true se la risposta è stata confermata con l'invio della fase
+    submitted: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Metodo per ottenere l'ultima risposta data a ciascuna domanda, eventualmente per una sola fase
+OnboardingSessionSchema.methods.getLatestAnswers = function(phase = null) {
+  const latest = {};
+
+  this.answers
+    .filter(answer => !phase || answer.phase === phase)
+    .forEach(answer => {
+      const previous = latest[answer.questionId];
+      if (!previous || new Date(answer.answeredAt) >= new Date(previous.answeredAt)) {
+        latest[answer.questionId] = answer;
+      }
+    });
+
+  return Object.keys(latest).reduce((result, questionId) => {
+    result[questionId] = latest[questionId].value;
+    return result;
+  }, {});
+};
+
+module.exports = mongoose.model('OnboardingSession', OnboardingSessionSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per il registro delle informative privacy
+ * Ogni versione conserva il testo dell'informativa e la data da cui è in vigore:
+ * i consensi dei clienti fanno riferimento alla versione accettata
+ */
+const PrivacyPolicySchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: [true, 'La versione dell\'informativa è obbligatoria'],
+    unique: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Il titolo dell\'informativa è obbligatorio'],
+    trim: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Il testo dell\'informativa è obbligatorio']
+  },
+  // Sintesi delle modifiche rispetto alla versione precedente, riportata nelle lettere di riconsenso
+  changeSummary: {
+    type: String,
+    trim: true
+  },
+  effectiveDate: {
+    type: Date,
+    required: [true, 'La data di entrata in vigore è obbligatoria'],
+    index: true
+  },
+  // Consensi richiesti da questa versione dell'informativa
+  consentTypes: {
+    type: [{
+      type: String,
+      enum: ['privacy', 'marketing', 'thirdParty']
+    }],
+    default: ['privacy', 'marketing', 'thirdParty']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Metodo statico per ottenere la versione in vigore a una certa data
+PrivacyPolicySchema.statics.findCurrent = function(date = new Date()) {
+  return this.findOne({ effectiveDate: { $lte: date } }).sort({ effectiveDate: -1 });
+};
+
+module.exports = mongoose.model('PrivacyPolicy', PrivacyPolicySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { DEADLINE_TYPES } = require('../services/fiscalCalendarService');
+const { isValidRRule, requiresAnchor, getDefaultAnchor } = require('../utils/recurrence');
+const { validateDependencies } = require('../utils/taskGraph');
 
 /**
  * Schema per la gestione delle procedure operative standard
@@ -37,9 +40,21 @@ const ProcedureSchema = new mongoose.Schema({
     },
     dueOffset: {
       type: Number,
-      required: [true, 'I giorni di scadenza dal inizio procedura sono obbligatori'],
+      required: [
+        function() { return !this.fiscalDeadline; },
+        'I giorni di scadenza dal inizio procedura sono obbligatori'
+      ],
       min: [0, 'Il numero di giorni deve essere positivo']
     },
+    // Adempimento dello scadenzario fiscale da cui prendere la scadenza
+    // (es. vat_periodic, lipe, income_tax_companies); se presente prevale su dueOffset
+    fiscalDeadline: {
+      type: String,
+      enum: {
+        values: [...Object.keys(DEADLINE_TYPES), 'vat_periodic'],
+        message: 'Adempimento fiscale non riconosciuto'
+      }
+    },
     assignedRole: {
       type: String,
       required: [true, 'Il ruolo assegnato è obbligatorio'],
@@ -49,6 +64,11 @@ const ProcedureSchema = new mongoose.Schema({
       },
       default: 'accountant'
     },
+    // Ore di lavoro stimate per svolgere il task
+    estimatedHours: {
+      type: Number,
+      min: [0, 'Le ore stimate devono essere positive']
+    },
     requiredDocuments: {
       type: [String],
       default: []
@@ -66,12 +86,58 @@ const ProcedureSchema = new mongoose.Schema({
     steps: {
       type: [String],
       default: []
+    },
+    // Nomi dei task che devono essere completati prima di questo
+    dependsOn: {
+      type: [String],
+      default: []
     }
   }],
+  // Ricorrenza: a ogni periodo viene creata una nuova istanza per i clienti
+  // che hanno già la procedura (vedi recurringProcedureService)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: {
+        values: ['none', 'monthly', 'quarterly', 'yearly', 'custom'],
+        message: 'La frequenza deve essere una tra: none, monthly, quarterly, yearly, custom'
+      },
+      default: 'none'
+    },
+    interval: {
+      type: Number,
+      min: [1, 'L\'intervallo deve essere almeno 1'],
+      default: 1
+    },
+    // Regola RRULE (RFC 5545) per la frequenza personalizzata
+    rrule: {
+      type: String,
+      trim: true,
+      required: [
+        function() { return this.recurrence && this.recurrence.frequency === 'custom'; },
+        'La regola RRULE è obbligatoria per la frequenza personalizzata'
+      ],
+      validate: {
+        validator: function(v) {
+          return !v || isValidRRule(v);
+        },
+        message: 'Regola RRULE non valida o non supportata'
+      }
+    },
+    // Data da cui decorrono i periodi; salvata automaticamente quando la
+    // ricorrenza la richiede (intervallo > 1 o regola personalizzata)
+    anchorDate: Date
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Versione corrente del template (vedi ProcedureVersion)
+  version: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -87,9 +153,29 @@ const ProcedureSchema = new mongoose.Schema({
 // Indice per ricerche per tipo cliente
 ProcedureSchema.index({ clientType: 1, isActive: 1 });
 
+// Indice per le procedure ricorrenti
+ProcedureSchema.index({ 'recurrence.frequency': 1, isActive: 1 });
+
 // Indice per ricerche per nome
 ProcedureSchema.index({ name: 1 });
 
+// Le dipendenze tra i task devono riferirsi a task esistenti e non formare cicli
+ProcedureSchema.pre('validate', function(next) {
+  const errors = validateDependencies(this.tasks || [], 'name');
+  if (errors.length > 0) {
+    this.invalidate('tasks', errors.join('; '));
+  }
+  next();
+});
+
+// Le ricorrenze con intervallo o regola personalizzata partono da una data fissa
+ProcedureSchema.pre('validate', function(next) {
+  if (requiresAnchor(this.recurrence) && !this.recurrence.anchorDate) {
+    this.recurrence.anchorDate = getDefaultAnchor(this.recurrence);
+  }
+  next();
+});
+
 // Middleware pre-save per aggiornare la data di aggiornamento
 ProcedureSchema.pre('save', function(next) {
   this.updatedAt = new Date();
@@ -106,6 +192,19 @@ ProcedureSchema.statics.findActiveByClientType = function(clientType) {
   });
 };
 
+// Metodo per ottenere le procedure ricorrenti attive
+ProcedureSchema.statics.findRecurring = function() {
+  return this.find({
+    isActive: true,
+    'recurrence.frequency': { $nin: ['none', null] }
+  });
+};
+
+// Metodo per verificare se la procedura è ricorrente
+ProcedureSchema.methods.isRecurring = function() {
+  return !!(this.recurrence && this.recurrence.frequency && this.recurrence.frequency !== 'none');
+};
+
 // Metodo per disattivare una procedura
 ProcedureSchema.methods.deactivate = function() {
   this.isActive = false;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le versioni dei template delle procedure
+ * Ogni modifica al template crea una nuova versione con la copia completa
+ * del template; le versioni non sono modificabili, così le procedure dei
+ * clienti possono fare riferimento alla versione da cui sono state create
+ */
+const ProcedureVersionSchema = new mongoose.Schema({
+  procedureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Procedure',
+    required: [true, 'La procedura è obbligatoria'],
+    index: true
+  },
+  version: {
+    type: Number,
+    required: [true, 'Il numero di versione è obbligatorio'],
+    min: 1
+  },
+  // Copia del template: name, description, clientType, tasks
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'La copia del template è obbligatoria']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ProcedureVersionSchema.index({ procedureId: 1, version: 1 }, { unique: true });
+
+// Le versioni salvate non sono modificabili
+ProcedureVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Le versioni del template non sono modificabili'));
+  }
+  next();
+});
+
+ProcedureVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Le versioni del template non sono modificabili'));
+});
+
+// Metodo statico per ottenere una versione di una procedura
+ProcedureVersionSchema.statics.findVersion = function(procedureId, version) {
+  return this.findOne({ procedureId, version });
+};
+
+module.exports = mongoose.model('ProcedureVersion', ProcedureVersionSchema);
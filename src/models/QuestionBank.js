@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le regole di visibilità condizionata di una domanda
+ * (es. mostra la domanda solo se la risposta a "tax_regime" è "Forfettario")
+ */
+const VisibilityRuleSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: [true, 'La domanda di riferimento della regola è obbligatoria'],
+    trim: true
+  },
+  operator: {
+    type: String,
+    enum: ['equals', 'notEquals', 'in', 'notIn', 'answered', 'notAnswered'],
+    default: 'equals'
+  },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Schema per una domanda del questionario di onboarding
+ */
+const QuestionSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: [true, 'L\'identificativo della domanda è obbligatorio'],
+    trim: true
+  },
+  phase: {
+    type: String,
+    required: [true, 'La fase della domanda è obbligatoria'],
+    enum: ['initial', 'personal_info', 'business_info', 'fiscal_data', 'documents', 'services', 'review']
+  },
+  text: {
+    type: String,
+    required: [true, 'Il testo della domanda è obbligatorio'],
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    required: true,
+    enum: ['text', 'textarea', 'email', 'tel', 'number', 'date', 'boolean', 'select', 'multiselect', 'address', 'file']
+  },
+  options: [{
+    value: { type: String, required: true },
+    label: { type: String, required: true },
+    _id: false
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Campo dell'anagrafica cliente in cui salvare la risposta (es. "businessSector"),
+  // per le domande aggiunte al questionario predefinito
+  clientField: {
+    type: String,
+    trim: true
+  },
+  // Tipi cliente e regimi fiscali a cui si applica la domanda (vuoto = tutti)
+  clientTypes: [{
+    type: String,
+    enum: ['individual', 'sole_proprietor', 'partnership', 'corporation', 'non_profit']
+  }],
+  taxRegimes: [String],
+  // Tutte le regole devono essere soddisfatte perché la domanda sia mostrata
+  visibleWhen: [VisibilityRuleSchema],
+  validation: {
+    format: {
+      type: String,
+      enum: ['fiscal_code', 'vat_number', 'email', 'phone', 'postal_code']
+    },
+    pattern: String,
+    minLength: Number,
+    maxLength: Number,
+    min: Number,
+    max: Number,
+    minSelections: Number,
+    maxSelections: Number,
+    message: String
+  }
+}, { _id: false });
+
+/**
+ * Schema per le versioni del questionario di onboarding
+ * Le versioni pubblicate non sono più modificabili: per cambiare il
+ * questionario si crea una nuova bozza, la si prova in anteprima e la si pubblica
+ */
+const QuestionBankSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft',
+    index: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  questions: [QuestionSchema],
+  basedOnVersion: Number,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Metodo statico per ottenere la versione in uso
+QuestionBankSchema.statics.findPublished = function() {
+  return this.findOne({ status: 'published' }).sort({ version: -1 });
+};
+
+// Metodo statico per ottenere il numero della versione più recente
+QuestionBankSchema.statics.findLatestVersionNumber = async function() {
+  const latest = await this.findOne().sort({ version: -1 }).select('version');
+  return latest ? latest.version : 0;
+};
+
+module.exports = mongoose.model('QuestionBank', QuestionBankSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per il registro degli invii dei promemoria dei task
+ * Ogni promemoria (task, scadenza, giorni di anticipo) viene registrato per
+ * canale, così da non inviarlo due volte anche dopo un riavvio del server
+ */
+const ReminderDeliverySchema = new mongoose.Schema({
+  // Chiave del promemoria: istanza, task, scadenza e giorni di anticipo
+  reminderKey: {
+    type: String,
+    required: [true, 'La chiave del promemoria è obbligatoria']
+  },
+  channel: {
+    type: String,
+    required: [true, 'Il canale di invio è obbligatorio'],
+    trim: true
+  },
+  clientProcedureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientProcedure',
+    required: [true, 'La procedura del cliente è obbligatoria'],
+    index: true
+  },
+  taskId: {
+    type: String,
+    required: [true, 'L\'ID del task è obbligatorio']
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Il destinatario è obbligatorio']
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'La data di scadenza è obbligatoria']
+  },
+  daysBefore: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['sending', 'sent', 'failed'],
+      message: 'Lo stato deve essere uno tra: sending, sent, failed'
+    },
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: Date,
+  error: String,
+  // Riferimento restituito dal canale (messageId, notificationId, ...)
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Un solo invio per promemoria e canale
+ReminderDeliverySchema.index({ reminderKey: 1, channel: 1 }, { unique: true });
+
+ReminderDeliverySchema.index({ recipient: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReminderDelivery', ReminderDeliverySchema);
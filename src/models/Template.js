@@ -28,7 +28,7 @@ const TemplateSchema = new mongoose.Schema({
     type: String,
     required: [true, 'La categoria del template è obbligatoria'],
     enum: {
-      values: ['welcome', 'contract', 'report', 'invoice', 'tax', 'legal', 'communication', 'other'],
+      values: ['welcome', 'contract', 'report', 'invoice', 'tax', 'legal', 'communication', 'clause', 'other'],
       message: 'Categoria non valida'
     },
     default: 'other',
@@ -47,6 +47,17 @@ const TemplateSchema = new mongoose.Schema({
     index: true
   },
   
+  // Linguaggio del contenuto: EJS o linguaggio sicuro (utils/templateLanguage).
+  // Le clausole (categoria clause) usano sempre il linguaggio sicuro
+  engine: {
+    type: String,
+    enum: {
+      values: ['ejs', 'safe'],
+      message: 'Linguaggio del template non valido'
+    },
+    default: 'ejs'
+  },
+  
   // Contenuto del template
   content: {
     type: String,
@@ -72,7 +83,7 @@ const TemplateSchema = new mongoose.Schema({
     }
   },
   
-  // Versioning
+  // Versioning: numero della revisione corrente (TemplateRevision)
   version: {
     type: Number,
     required: true,
@@ -147,14 +158,23 @@ TemplateSchema.virtual('displayName').get(function() {
 
 // Middleware pre-save per estrarre automaticamente le variabili dal contenuto
 TemplateSchema.pre('save', function(next) {
-  // Estrae variabili dal template
+  // Le clausole sono incluse dai template nel linguaggio sicuro
+  if (this.category === 'clause') {
+    this.engine = 'safe';
+  }
+  
+  // Estrae variabili dal template, mantenendo quelle dichiarate dall'editor
+  // (nel linguaggio sicuro {{ }} può contenere anche i campi del cliente)
   if (this.isModified('content')) {
-    const variablePattern = /{{([\w\.\-\_]+)}}/g;
-    const matches = this.content.match(variablePattern) || [];
-    
-    this.variables = [...new Set(matches.map(match => 
-      match.replace(/{{|}}/g, '').trim()
-    ))];
+    if (this.engine !== 'safe') {
+      const variablePattern = /{{([\w\.\-\_]+)}}/g;
+      const matches = this.content.match(variablePattern) || [];
+      
+      this.variables = [...new Set([
+        ...(this.variables || []),
+        ...matches.map(match => match.replace(/{{|}}/g, '').trim())
+      ])];
+    }
     
     // Se è una modifica a un template esistente, incrementa versione
     if (!this.isNew && !this.isModified('version')) {
@@ -235,6 +255,15 @@ TemplateSchema.methods.createNewVersion = async function(updates = {}, userId) {
   return newTemplate.save();
 };
 
+/**
+ * Nome del file del template nella cartella templates
+ * 
+ * @returns {String} - Nome del file
+ */
+TemplateSchema.methods.getFilename = function() {
+  return `${this.name}.html`;
+};
+
 /**
  * Metodo statico per trovare l'ultima versione attiva di un template
  * 
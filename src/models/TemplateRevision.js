@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le revisioni dei template dei documenti
+ * Ogni modifica al template crea una nuova revisione con la copia completa
+ * del contenuto, l'autore e la nota della modifica. Le revisioni non sono
+ * modificabili: i documenti generati fanno riferimento alla revisione da
+ * cui sono stati prodotti, così possono essere ricostruiti anche dopo anni
+ */
+const TemplateRevisionSchema = new mongoose.Schema({
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    required: [true, 'Il template è obbligatorio'],
+    index: true
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Il numero di revisione è obbligatorio'],
+    min: 1
+  },
+  // Copia del template: name, description, category, format, engine, content, variables, helpText, metadata
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'La copia del template è obbligatoria']
+  },
+  // Impronta SHA-256 del contenuto, per verificare che non sia stato alterato
+  contentHash: {
+    type: String,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Revisione ripristinata (rollback)
+  restoredFrom: Number,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+TemplateRevisionSchema.index({ templateId: 1, revision: 1 }, { unique: true });
+
+// Le revisioni salvate non sono modificabili
+TemplateRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Le revisioni del template non sono modificabili'));
+  }
+  next();
+});
+
+TemplateRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Le revisioni del template non sono modificabili'));
+});
+
+// Metodo statico per ottenere una revisione di un template
+TemplateRevisionSchema.statics.findRevision = function(templateId, revision) {
+  return this.findOne({ templateId, revision });
+};
+
+module.exports = mongoose.model('TemplateRevision', TemplateRevisionSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le registrazioni del tempo dedicato ai task delle procedure
+ * Le registrazioni nascono da un timer (avvio/arresto) o da un inserimento
+ * manuale; ogni modifica viene tracciata nello storico e, una volta
+ * fatturate, le registrazioni vengono bloccate
+ */
+const TimeEntrySchema = new mongoose.Schema({
+  clientProcedureId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClientProcedure',
+    required: [true, 'La procedura del cliente è obbligatoria'],
+    index: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: [true, 'Il cliente è obbligatorio'],
+    index: true
+  },
+  taskId: {
+    type: String,
+    required: [true, 'L\'ID del task è obbligatorio']
+  },
+  // Nome del task al momento della registrazione
+  taskName: {
+    type: String,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'L\'utente è obbligatorio']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'La data di inizio è obbligatoria']
+  },
+  endedAt: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        return !v || !this.startedAt || v >= this.startedAt;
+      },
+      message: 'La data di fine non può precedere la data di inizio'
+    }
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'La durata non può essere negativa'],
+    default: 0
+  },
+  // Timer in corso (al massimo uno per utente)
+  running: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: {
+      values: ['timer', 'manual'],
+      message: 'L\'origine deve essere timer o manual'
+    },
+    default: 'manual'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  billable: {
+    type: Boolean,
+    default: true
+  },
+  // Tariffa oraria specifica della registrazione (altrimenti quella del cliente)
+  hourlyRate: {
+    type: Number,
+    min: [0, 'La tariffa oraria non può essere negativa']
+  },
+  // Blocco dopo la fatturazione
+  invoice: {
+    invoiceNumber: String,
+    lockedAt: Date,
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Storico delle operazioni sulla registrazione
+  history: [{
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    action: {
+      type: String,
+      enum: ['created', 'stopped', 'updated', 'deleted', 'locked', 'unlocked'],
+      required: true
+    },
+    // Campi modificati: { campo: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    note: String
+  }],
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Un solo timer attivo per utente
+TimeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+TimeEntrySchema.index({ clientId: 1, startedAt: -1 });
+TimeEntrySchema.index({ user: 1, startedAt: -1 });
+TimeEntrySchema.index({ 'invoice.invoiceNumber': 1 });
+
+// Ore registrate
+TimeEntrySchema.virtual('hours').get(function() {
+  return Math.round(((this.durationMinutes || 0) / 60) * 100) / 100;
+});
+
+/**
+ * Verifica se la registrazione è stata bloccata dalla fatturazione
+ * @returns {boolean}
+ */
+TimeEntrySchema.methods.isLocked = function() {
+  return Boolean(this.invoice && this.invoice.lockedAt);
+};
+
+module.exports = mongoose.model('TimeEntry', TimeEntrySchema);
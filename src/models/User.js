@@ -65,6 +65,20 @@ const UserSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Cliente collegato (solo per utenti con ruolo 'customer')
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  // Storico degli accessi (ultimi accessi, il più recente in fondo)
+  loginHistory: [{
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    ipAddress: String,
+    userAgent: String
+  }],
   resetPasswordToken: String,
   resetPasswordExpire: Date
 }, {
@@ -83,6 +97,7 @@ UserSchema.index({ username: 1 });
 UserSchema.index({ email: 1 });
 UserSchema.index({ role: 1 });
 UserSchema.index({ status: 1 });
+UserSchema.index({ clientId: 1 });
 
 // Middleware pre-save per hashare la password
 UserSchema.pre('save', async function(next) {
@@ -138,9 +153,22 @@ UserSchema.statics.findByCredentials = async function(usernameOrEmail) {
   }).select('+passwordHash'); // Include il campo passwordHash nella query
 };
 
-// Metodo per aggiornare l'ultimo accesso
-UserSchema.methods.updateLastLogin = async function() {
+// Numero massimo di accessi conservati nello storico
+const MAX_LOGIN_HISTORY = 50;
+
+// Metodo per aggiornare l'ultimo accesso e lo storico degli accessi
+UserSchema.methods.updateLastLogin = async function(loginInfo = {}) {
   this.lastLogin = Date.now();
+  this.loginHistory.push({
+    date: this.lastLogin,
+    ipAddress: loginInfo.ipAddress,
+    userAgent: loginInfo.userAgent
+  });
+  
+  if (this.loginHistory.length > MAX_LOGIN_HISTORY) {
+    this.loginHistory = this.loginHistory.slice(-MAX_LOGIN_HISTORY);
+  }
+  
   return this.save({ validateBeforeSave: false });
 };
 
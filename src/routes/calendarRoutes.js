@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { protect } = require('../../middleware/auth');
+
+// Feed per le app di calendario: l'accesso è garantito dal token nell'indirizzo
+router.get('/feeds/:token.ics', calendarController.getFeed);
+
+// Le altre rotte richiedono autenticazione
+router.use(protect);
+
+// Feed dell'utente
+router.get('/feeds', calendarController.listFeeds);
+router.post('/feeds', calendarController.createFeed);
+router.delete('/feeds/:id', calendarController.revokeFeed);
+
+// Download del singolo task
+router.get('/tasks/:clientProcedureId/:taskId.ics', calendarController.getTaskCalendar);
+
+module.exports = router;
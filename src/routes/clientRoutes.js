@@ -1,6 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const clientController = require('../controllers/clientController');
+const gdprController = require('../controllers/gdprController');
+const consentController = require('../controllers/consentController');
+const onboardingController = require('../controllers/onboardingController');
+const { importUpload } = require('../middleware/upload');
+
+// Rotte statiche: devono precedere '/:id' per non essere interpretate come id
+// Client import/export routes
+router.post('/import', importUpload.single('file'), clientController.importClients);
+router.get('/export', clientController.exportClients);
+router.get('/export/columns', clientController.getExportColumns);
+
+// Client duplicate routes
+router.get('/duplicates', clientController.findDuplicates);
 
 // Client CRUD routes
 router.get('/', clientController.getAllClients);
@@ -14,4 +27,24 @@ router.get('/:id/validate', clientController.validateClientData);
 router.get('/:id/questions', clientController.getClientQuestions);
 router.put('/:id/onboarding-status', clientController.updateOnboardingStatus);
 
+// Onboarding session routes (bozze, ripresa e storico delle risposte)
+router.get('/:id/onboarding/session', onboardingController.getSession);
+router.put('/:id/onboarding/session/answers', onboardingController.saveAnswers);
+router.put('/:id/onboarding/session/phase', onboardingController.changePhase);
+router.get('/:id/onboarding/answers', onboardingController.getAnswerHistory);
+
+// Client history routes
+router.get('/:id/history', clientController.getClientHistory);
+
+// Client merge routes
+router.post('/:id/merge', clientController.mergeClients);
+
+// GDPR routes (diritto di accesso e di cancellazione)
+router.get('/:id/gdpr/export', gdprController.exportClientData);
+router.post('/:id/gdpr/erase', gdprController.eraseClientData);
+
+// Privacy consent routes
+router.get('/:id/consents', consentController.getClientConsents);
+router.post('/:id/consents', consentController.recordClientConsent);
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,10 @@
 const express = require('express');
 const router = express.Router();
 const documentController = require('../controllers/documentController');
+const documentExpiryController = require('../controllers/documentExpiryController');
+const documentDeliveryController = require('../controllers/documentDeliveryController');
+const templateRevisionController = require('../controllers/templateRevisionController');
+const templateEditorController = require('../controllers/templateEditorController');
 
 // Template management
 router.get('/templates', documentController.getDocumentTemplates);
@@ -15,6 +19,13 @@ router.get('/templates/:id', documentController.getTemplateById);
 router.post('/templates', documentController.createTemplate);
 router.put('/templates/:id', documentController.updateTemplate);
 router.delete('/templates/:id', documentController.deleteTemplate);
+router.get('/templates/:id/revisions', templateRevisionController.getTemplateRevisions);
+router.get('/templates/:id/revisions/:revision', templateRevisionController.getTemplateRevision);
+router.post('/templates/:id/revisions/:revision/rollback', templateRevisionController.rollbackTemplate);
+router.get('/templates/:id/editor', templateEditorController.getTemplateEditor);
+router.post('/templates/:id/validate', templateEditorController.validateTemplate);
+router.post('/templates/:id/preview', templateEditorController.previewTemplate);
+router.post('/templates/:id/revisions', templateEditorController.saveTemplateRevision);
 
 // Document generation
 router.post('/generate', documentController.generateDocument);
@@ -25,12 +36,25 @@ router.post('/generate-estimate', documentController.generateCostEstimate);
 // Document management
 router.get('/', documentController.getAllDocuments);
 router.get('/search', documentController.searchDocuments);
+router.get('/expiring', documentExpiryController.getExpiringDocuments);
+router.post('/expiry-check', documentExpiryController.runExpiryCheck);
+
+// Document delivery (email/PEC queue, bounces and PEC receipts)
+router.post('/deliveries/bounce', express.text({ type: ['text/plain', 'message/*'] }), documentDeliveryController.receiveBounce);
+router.post('/deliveries/run', documentDeliveryController.runDeliveryQueue);
+router.post('/deliveries/pec-receipts/run', documentDeliveryController.runPecReceiptCheck);
+router.post('/deliveries/:deliveryId/retry', documentDeliveryController.retryDelivery);
+
 router.get('/client/:clientId', documentController.getClientDocuments);
 router.get('/:id', documentController.getDocumentById);
 router.put('/:id', documentController.updateDocument);
 router.delete('/:id', documentController.deleteDocument);
 router.post('/:id/convert', documentController.convertDocument);
 router.post('/:id/email', documentController.sendDocumentByEmail);
+router.post('/:id/pec', documentDeliveryController.sendDocumentByPec);
+router.get('/:id/deliveries', documentDeliveryController.getDocumentDeliveries);
+router.get('/:id/receipts/:receiptId', documentDeliveryController.downloadPecReceipt);
+router.get('/:id/template-revision', templateRevisionController.getDocumentTemplateRevision);
 router.post('/:id/share', documentController.generatePublicLink);
 
 // AI Enhancement
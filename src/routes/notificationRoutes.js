@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+
+router.get('/', notificationController.getNotifications);
+router.patch('/read', notificationController.markAsRead);
+
+module.exports = router;
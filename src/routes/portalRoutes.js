@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const portalController = require('../controllers/portalController');
+const { protect, verifyClientAccess } = require('../../middleware/auth');
+const { documentUpload } = require('../middleware/upload');
+
+// Tutte le rotte del portale richiedono autenticazione
+router.use(protect);
+
+router.get('/me', portalController.getMyClient);
+
+// Onboarding del cliente: l'accesso è limitato al cliente stesso e agli operatori assegnati
+router.get('/clients/:clientId', verifyClientAccess('clientId'), portalController.getOverview);
+router.put('/clients/:clientId/answers/draft', verifyClientAccess('clientId'), portalController.saveDraft);
+router.post('/clients/:clientId/answers', verifyClientAccess('clientId'), portalController.submitAnswers);
+router.post(
+  '/clients/:clientId/checklist/:itemId/document',
+  verifyClientAccess('clientId'),
+  documentUpload.single('file'),
+  portalController.uploadChecklistDocument
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const consentController = require('../controllers/consentController');
+
+// Registro delle versioni dell'informativa privacy
+router.get('/policies', consentController.getPolicies);
+router.get('/policies/current', consentController.getCurrentPolicy);
+router.post('/policies', consentController.createPolicy);
+
+// Campagne di riconsenso
+router.get('/consents/outdated', consentController.getOutdatedConsents);
+router.post('/consents/reconsent-letters', consentController.generateReconsentLetters);
+
+module.exports = router;
@@ -23,6 +23,20 @@ router.patch('/procedures/:procedureId/status', procedureController.updateProced
 // Elimina una procedura
 router.delete('/procedures/:procedureId', procedureController.deleteProcedure);
 
+// ===== Procedure dei clienti =====
+
+// Assegna una procedura (template) a un cliente
+router.post('/clients/:clientId/client-procedures', procedureController.instantiateProcedure);
+
+// Assegna automaticamente i task in base a ruolo e carico di lavoro
+router.post('/client-procedures/:clientProcedureId/assign', procedureController.autoAssignTasks);
+
+// Pianificazione dei task: task bloccati e percorso critico
+router.get('/client-procedures/:clientProcedureId/schedule', procedureController.getTaskSchedule);
+
+// Riassegna i task aperti di un utente (es. ferie)
+router.post('/users/:userId/reassign-tasks', procedureController.reassignUserTasks);
+
 // ===== Gestione attività (task) =====
 
 // Aggiunge una nuova attività a una procedura
@@ -36,7 +50,51 @@ router.patch('/procedures/:procedureId/tasks/:taskId', procedureController.updat
 // Ottiene il report per la dashboard
 router.get('/procedures/dashboard/report', procedureController.generateDashboardReport);
 
+// Ottiene il carico di lavoro del team
+router.get('/procedures/dashboard/workload', procedureController.getTeamWorkload);
+
 // Ottiene le attività in ritardo
 router.get('/procedures/tasks/overdue', procedureController.getOverdueTasks);
 
+// ===== Template e versioni =====
+
+// Modifica il template di una procedura creando una nuova versione
+router.put('/procedures/:procedureId/template', procedureController.updateProcedureTemplate);
+
+// Ottiene le versioni del template
+router.get('/procedures/:procedureId/versions', procedureController.getProcedureVersions);
+
+// Ottiene una versione del template
+router.get('/procedures/:procedureId/versions/:version', procedureController.getProcedureVersion);
+
+// Anteprima della migrazione delle procedure in corso a una versione
+router.post('/procedures/:procedureId/migration/preview', procedureController.previewProcedureMigration);
+
+// Migra le procedure in corso a una versione
+router.post('/procedures/:procedureId/migration', procedureController.migrateProcedureInstances);
+
+// ===== Procedure ricorrenti =====
+
+// Imposta la ricorrenza di una procedura
+router.put('/procedures/:procedureId/recurrence', procedureController.updateProcedureRecurrence);
+
+// Crea le istanze dei nuovi periodi
+router.post('/procedures/recurrence/run', procedureController.runRecurringProcedures);
+
+// ===== Promemoria dei task =====
+
+// Invia i promemoria maturati
+router.post('/procedures/reminders/run', procedureController.runTaskReminders);
+
+// Storico degli invii dei promemoria di una procedura del cliente
+router.get('/client-procedures/:clientProcedureId/reminders', procedureController.getTaskReminderDeliveries);
+
+// ===== Scadenzario fiscale =====
+
+// Ottiene le scadenze fiscali dell'anno o dell'intervallo indicato
+router.get('/fiscal-calendar', procedureController.getFiscalCalendar);
+
+// Ottiene le scadenze fiscali applicabili a un cliente
+router.get('/clients/:clientId/fiscal-calendar', procedureController.getClientFiscalCalendar);
+
 module.exports = router;
\ No newline at end of file
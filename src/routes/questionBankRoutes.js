@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const questionBankController = require('../controllers/questionBankController');
+
+// Questionario di onboarding in uso
+router.get('/active', questionBankController.getActiveVersion);
+
+// Versioni del questionario (solo amministratori)
+router.get('/versions', questionBankController.getVersions);
+router.post('/versions', questionBankController.createDraft);
+router.get('/versions/:version', questionBankController.getVersion);
+router.put('/versions/:version', questionBankController.updateDraft);
+router.delete('/versions/:version', questionBankController.deleteDraft);
+router.post('/versions/:version/publish', questionBankController.publishDraft);
+router.post('/versions/:version/preview', questionBankController.previewVersion);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const timeTrackingController = require('../controllers/timeTrackingController');
+
+// Timer
+router.get('/timer', timeTrackingController.getRunningTimer);
+router.post('/timer/start', timeTrackingController.startTimer);
+router.post('/timer/stop', timeTrackingController.stopTimer);
+
+// Totali e fatturazione
+router.get('/totals', timeTrackingController.getTotals);
+router.get('/billing/:clientId', timeTrackingController.getBillingRollup);
+router.get('/billing/:clientId/export', timeTrackingController.exportBilling);
+router.post('/billing/:clientId/estimate', timeTrackingController.generateEstimate);
+router.post('/lock', timeTrackingController.lockEntries);
+router.post('/unlock', timeTrackingController.unlockEntries);
+
+// Registrazioni
+router.get('/', timeTrackingController.getEntries);
+router.post('/', timeTrackingController.createEntry);
+router.patch('/:id', timeTrackingController.updateEntry);
+router.delete('/:id', timeTrackingController.deleteEntry);
+
+module.exports = router;
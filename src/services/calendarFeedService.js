@@ -0,0 +1,359 @@
+/**
+ * Calendar Feed Service
+ *
+ * Feed iCalendar (.ics) delle scadenze per le app di calendario:
+ * - feed dell'utente: task aperti assegnati all'utente e scadenze fiscali
+ *   dei clienti per cui ha task aperti
+ * - feed del cliente: task delle procedure del cliente e sue scadenze fiscali
+ * Il feed è pubblicato a un indirizzo con token revocabile (CalendarFeed).
+ * Le scadenze fiscali già coperte da un task (stesso adempimento e periodo)
+ * non vengono ripetute.
+ */
+
+const CalendarFeed = require('../models/CalendarFeed');
+const ClientProcedure = require('../models/ClientProcedure');
+const Client = require('../models/Client');
+const User = require('../models/User');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const { buildCalendar } = require('../utils/ical');
+
+// Intervallo di date incluso nei feed, rispetto a oggi
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 365;
+
+// Dominio degli UID degli eventi
+const UID_DOMAIN = 'assistente-biliato';
+
+// Promemoria delle app di calendario per i task aperti (giorni prima)
+const TASK_ALARM_DAYS = [1];
+
+const STATUS_LABELS = {
+  pending: 'Da iniziare',
+  in_progress: 'In corso',
+  completed: 'Completato'
+};
+
+/**
+ * Intervallo di date del feed
+ * @param {Date} now - Data di riferimento
+ * @returns {Object} - { from, to }
+ */
+const getFeedRange = (now) => ({
+  from: new Date(now.getFullYear(), now.getMonth(), now.getDate() - FEED_PAST_DAYS),
+  to: new Date(now.getFullYear(), now.getMonth(), now.getDate() + FEED_FUTURE_DAYS)
+});
+
+/**
+ * Nome visualizzato di un utente popolato
+ * @param {Object} user - Utente
+ * @returns {string|undefined}
+ */
+const getUserName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : undefined);
+
+/**
+ * Evento del calendario per un task di una procedura del cliente
+ * @param {Object} instance - Istanza (ClientProcedure) con clientId e procedureId popolati
+ * @param {Object} task - Task
+ * @returns {Object} - Evento per buildCalendar
+ */
+exports.buildTaskEvent = (instance, task) => {
+  const clientName = instance.clientId && instance.clientId.name;
+  const procedureName = instance.procedureId && instance.procedureId.name;
+  const completed = task.status === 'completed';
+
+  const description = [
+    procedureName && `Procedura: ${procedureName}`,
+    clientName && `Cliente: ${clientName}`,
+    task.fiscalPeriod && `Periodo: ${task.fiscalPeriod}`,
+    `Stato: ${STATUS_LABELS[task.status] || task.status}`,
+    getUserName(task.assignedTo) && `Assegnato a: ${getUserName(task.assignedTo)}`,
+    task.notes
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `task-${instance._id}-${task.taskId}@${UID_DOMAIN}`,
+    date: task.dueDate,
+    summary: `${completed ? '[Completato] ' : ''}${task.name}${clientName ? ` - ${clientName}` : ''}`,
+    description,
+    categories: ['Task'],
+    alarmDays: completed ? [] : TASK_ALARM_DAYS
+  };
+};
+
+/**
+ * Evento del calendario per una scadenza fiscale di un cliente
+ * @param {Object} client - Cliente
+ * @param {Object} deadline - Scadenza (fiscalCalendarService.getDeadlines)
+ * @returns {Object} - Evento per buildCalendar
+ */
+exports.buildDeadlineEvent = (client, deadline) => {
+  const day = `${deadline.dueDate.getFullYear()}${String(deadline.dueDate.getMonth() + 1).padStart(2, '0')}${String(deadline.dueDate.getDate()).padStart(2, '0')}`;
+
+  return {
+    uid: `deadline-${client._id}-${deadline.type}-${day}@${UID_DOMAIN}`,
+    date: deadline.dueDate,
+    summary: `${deadline.label}${deadline.periodLabel ? ` (${deadline.periodLabel})` : ''} - ${client.name}`,
+    description: [
+      deadline.description,
+      deadline.shifted ? 'Scadenza spostata al primo giorno lavorativo utile' : null
+    ].filter(Boolean).join('\n'),
+    categories: ['Scadenza fiscale']
+  };
+};
+
+/**
+ * Eventi dei task e delle scadenze fiscali di un insieme di istanze
+ * @param {Array<Object>} instances - Istanze con clientId e procedureId popolati
+ * @param {Object} options - { from, to, includeCompleted, includeFiscalDeadlines, taskFilter, clients }
+ * @returns {Array<Object>} - Eventi ordinati per data
+ */
+exports.collectEvents = (instances, options = {}) => {
+  const events = [];
+  // Adempimenti già coperti da un task, per cliente
+  const covered = new Set();
+
+  instances.forEach(instance => {
+    const clientKey = instance.clientId ? String(instance.clientId._id || instance.clientId) : '';
+
+    instance.tasks.forEach(task => {
+      if (task.fiscalDeadline) {
+        covered.add(`${clientKey}|${task.fiscalDeadline}|${task.fiscalPeriod || ''}`);
+      }
+
+      if (!task.dueDate || task.dueDate < options.from || task.dueDate > options.to) return;
+      if (task.status === 'completed' && !options.includeCompleted) return;
+      if (options.taskFilter && !options.taskFilter(task)) return;
+
+      events.push(this.buildTaskEvent(instance, task));
+    });
+  });
+
+  if (options.includeFiscalDeadlines) {
+    (options.clients || []).forEach(client => {
+      fiscalCalendarService.getClientDeadlines(client, { from: options.from, to: options.to })
+        .filter(deadline => !covered.has(`${client._id}|${deadline.type}|${deadline.periodLabel || ''}`))
+        .forEach(deadline => events.push(this.buildDeadlineEvent(client, deadline)));
+    });
+  }
+
+  return events.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Eventi di un feed
+ * @param {Object} feed - Feed (CalendarFeed)
+ * @param {Object} options - { now }
+ * @returns {Promise<Array<Object>>}
+ */
+exports.getFeedEvents = async (feed, options = {}) => {
+  const range = getFeedRange(options.now || new Date());
+  const query = { status: { $in: ['active', 'on_hold'] } };
+  let taskFilter;
+  let clients = [];
+
+  if (feed.scope === 'client') {
+    query.clientId = feed.clientId;
+    // Le procedure completate restano visibili nel feed del cliente
+    if (feed.includeCompleted) {
+      query.status.$in.push('completed');
+    }
+  } else {
+    query['tasks.assignedTo'] = feed.user;
+    taskFilter = (task) => task.assignedTo && String(task.assignedTo._id || task.assignedTo) === String(feed.user);
+  }
+
+  const instances = await ClientProcedure.find(query)
+    .populate('clientId')
+    .populate('procedureId', 'name')
+    .populate('tasks.assignedTo', 'firstName lastName');
+
+  if (feed.includeFiscalDeadlines) {
+    if (feed.scope === 'client') {
+      const client = await Client.findById(feed.clientId);
+      clients = client ? [client] : [];
+    } else {
+      // Clienti per cui l'utente ha task aperti
+      const byId = new Map();
+      instances.forEach(instance => {
+        const hasOpenTasks = instance.tasks.some(task => task.status !== 'completed' && taskFilter(task));
+        if (instance.clientId && instance.clientId._id && hasOpenTasks) {
+          byId.set(String(instance.clientId._id), instance.clientId);
+        }
+      });
+      clients = Array.from(byId.values());
+    }
+  }
+
+  return this.collectEvents(instances, {
+    ...range,
+    includeCompleted: feed.includeCompleted,
+    includeFiscalDeadlines: feed.includeFiscalDeadlines,
+    taskFilter,
+    clients
+  });
+};
+
+/**
+ * Nome predefinito di un feed
+ * @param {Object} feed - Feed
+ * @param {Object} subject - Utente o cliente del feed
+ * @returns {string}
+ */
+const getDefaultFeedName = (feed, subject) => {
+  if (feed.scope === 'client') {
+    return `Scadenze ${subject ? subject.name : 'cliente'}`;
+  }
+  return `Scadenze ${getUserName(subject) || 'utente'}`;
+};
+
+/**
+ * Crea un feed
+ * @param {Object} owner - Utente che crea il feed
+ * @param {Object} data - { scope, userId, clientId, name, includeFiscalDeadlines, includeCompleted }
+ * @returns {Promise<Object>} - Feed creato
+ */
+exports.createFeed = async (owner, data = {}) => {
+  try {
+    const scope = data.scope || 'user';
+    let subject = null;
+
+    if (scope === 'client') {
+      subject = await Client.findById(data.clientId);
+      if (!subject) {
+        throw new Error('Cliente non trovato');
+      }
+    } else if (data.userId && String(data.userId) !== String(owner._id)) {
+      subject = await User.findById(data.userId);
+      if (!subject) {
+        throw new Error('Utente non trovato');
+      }
+    } else {
+      subject = owner;
+    }
+
+    const feed = new CalendarFeed({
+      owner: owner._id,
+      scope,
+      user: scope === 'user' ? subject._id : undefined,
+      clientId: scope === 'client' ? subject._id : undefined,
+      name: data.name,
+      includeFiscalDeadlines: data.includeFiscalDeadlines,
+      includeCompleted: data.includeCompleted
+    });
+
+    if (!feed.name) {
+      feed.name = getDefaultFeedName(feed, subject);
+    }
+
+    return await feed.save();
+  } catch (error) {
+    console.error('Errore nella creazione del feed del calendario:', error);
+    throw new Error(`Impossibile creare il feed del calendario: ${error.message}`);
+  }
+};
+
+/**
+ * Feed attivi creati da un utente
+ * @param {string} ownerId - ID dell'utente
+ * @returns {Promise<Array>}
+ */
+exports.listFeeds = async (ownerId) => {
+  return CalendarFeed.find({ owner: ownerId, revokedAt: null })
+    .populate('clientId', 'name')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Revoca un feed: l'indirizzo smette di funzionare
+ * @param {Object} feed - Feed
+ * @param {Object} user - Utente che revoca
+ * @returns {Promise<Object>}
+ */
+exports.revokeFeed = async (feed, user) => {
+  feed.revokedAt = new Date();
+  feed.revokedBy = user ? user._id : undefined;
+  return feed.save();
+};
+
+/**
+ * Verifica che il proprietario e il soggetto di un feed siano ancora attivi:
+ * i feed di utenti disattivati o di clienti disattivati o cancellati
+ * (art. 17 GDPR) non vengono più serviti
+ * @param {Object} feed - Feed
+ * @returns {Promise<boolean>}
+ */
+const isFeedServable = async (feed) => {
+  const owner = await User.findById(feed.owner);
+  if (!owner || owner.status !== 'active') {
+    return false;
+  }
+
+  if (feed.scope === 'client') {
+    const client = await Client.findById(feed.clientId);
+    return Boolean(client && client.isActive !== false && !(client.gdprErasure && client.gdprErasure.erasedAt));
+  }
+
+  const user = String(feed.user) === String(owner._id) ? owner : await User.findById(feed.user);
+  return Boolean(user && user.status === 'active');
+};
+
+/**
+ * Genera il contenuto .ics di un feed dal token e ne registra l'accesso
+ * @param {string} token - Token del feed
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} - { feed, ics }, null se il feed non esiste, è revocato
+ *                                   o riguarda un utente o un cliente non più attivo
+ */
+exports.renderFeed = async (token, options = {}) => {
+  try {
+    const feed = await CalendarFeed.findActiveByToken(token);
+    if (!feed || !(await isFeedServable(feed))) {
+      return null;
+    }
+
+    const events = await this.getFeedEvents(feed, options);
+    const ics = buildCalendar({
+      name: feed.name,
+      description: 'Scadenze e task dello studio',
+      events,
+      now: options.now
+    });
+
+    // L'accesso non deve bloccare la risposta
+    CalendarFeed.updateOne(
+      { _id: feed._id },
+      { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } }
+    ).catch(error => console.error('Errore nella registrazione dell\'accesso al feed:', error));
+
+    return { feed, ics };
+  } catch (error) {
+    console.error('Errore nella generazione del feed del calendario:', error);
+    throw new Error(`Impossibile generare il feed del calendario: ${error.message}`);
+  }
+};
+
+/**
+ * Genera il file .ics di un singolo task
+ * @param {string} clientProcedureId - ID dell'istanza
+ * @param {string} taskId - ID del task
+ * @returns {Promise<Object|null>} - { task, ics }, null se il task non esiste
+ */
+exports.renderTask = async (clientProcedureId, taskId) => {
+  const instance = await ClientProcedure.findById(clientProcedureId)
+    .populate('clientId', 'name')
+    .populate('procedureId', 'name')
+    .populate('tasks.assignedTo', 'firstName lastName');
+
+  const task = instance && instance.tasks.find(t => t.taskId === taskId);
+  if (!task) {
+    return null;
+  }
+
+  return {
+    task,
+    ics: buildCalendar({ events: [this.buildTaskEvent(instance, task)] })
+  };
+};
+
+exports.FEED_PAST_DAYS = FEED_PAST_DAYS;
+exports.FEED_FUTURE_DAYS = FEED_FUTURE_DAYS;
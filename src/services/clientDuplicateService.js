@@ -0,0 +1,380 @@
+/**
+ * Client Duplicate Service
+ *
+ * Individua i clienti potenzialmente duplicati (nome simile, stesso dominio
+ * email, stesso rappresentante legale, stessa partita IVA) e unisce un
+ * duplicato nel cliente che viene mantenuto, spostando documenti, checklist,
+ * servizi, tag, procedure e conversazioni e registrando cosa è stato spostato.
+ */
+
+const Client = require('../models/Client');
+const ClientProcedure = require('../models/ClientProcedure');
+const Document = require('../models/Document');
+const Conversation = require('../models/Conversation');
+const ActivityLog = require('../models/ActivityLog');
+const clientHistoryService = require('./clientHistoryService');
+
+// Peso di ciascun indizio nel punteggio di somiglianza (0-1)
+const MATCH_WEIGHTS = {
+  vatNumber: 1,
+  fiscalCode: 1,
+  legalRepresentative: 0.6,
+  personalFiscalCode: 0.6,
+  name: 0.7,
+  emailDomain: 0.3
+};
+
+// Punteggio minimo perché una coppia venga proposta come duplicato
+const DEFAULT_THRESHOLD = 0.5;
+
+// Somiglianza minima tra i nomi per essere considerata un indizio
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Domini email generici: condividerli non indica alcun legame tra clienti
+const GENERIC_EMAIL_DOMAINS = [
+  'gmail.com', 'libero.it', 'hotmail.com', 'hotmail.it', 'outlook.com', 'outlook.it',
+  'yahoo.com', 'yahoo.it', 'virgilio.it', 'tiscali.it', 'alice.it', 'tin.it',
+  'icloud.com', 'live.com', 'live.it', 'fastwebnet.it', 'email.it', 'pec.it', 'legalmail.it'
+];
+
+// Forme giuridiche ignorate nel confronto dei nomi
+const LEGAL_FORM_WORDS = [
+  'srl', 'srls', 'snc', 'sas', 'spa', 'sapa', 'ss', 'scarl', 'scrl', 'coop', 'cooperativa',
+  'ditta', 'individuale', 'societa', 'semplice', 'di', 'e', 'c', '&'
+];
+
+// Ordine di avanzamento degli elementi della checklist di onboarding
+const CHECKLIST_STATUS_RANK = {
+  rifiutato: 0,
+  in_attesa: 1,
+  caricato: 2,
+  verificato: 3
+};
+
+/**
+ * Normalizza la ragione sociale per il confronto (minuscolo, senza accenti,
+ * punteggiatura e forma giuridica)
+ * @param {string} name - Nome del cliente
+ * @returns {string} - Nome normalizzato
+ */
+const normalizeName = (name) => {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // "S.r.l." -> "srl" prima di eliminare la punteggiatura
+    .replace(/\b([a-z])\.(?=[a-z]\.?)/g, '$1')
+    .replace(/[^a-z0-9& ]+/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !LEGAL_FORM_WORDS.includes(word))
+    .join(' ');
+};
+
+/**
+ * Calcola la distanza di Levenshtein tra due stringhe
+ * @param {string} a - Prima stringa
+ * @param {string} b - Seconda stringa
+ * @returns {number} - Numero minimo di modifiche
+ */
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const temp = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = temp;
+    }
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Calcola la somiglianza tra due nomi (0-1), indipendente dall'ordine delle parole
+ * @param {string} nameA - Primo nome
+ * @param {string} nameB - Secondo nome
+ * @returns {number} - Somiglianza
+ */
+exports.nameSimilarity = (nameA, nameB) => {
+  const a = normalizeName(nameA);
+  const b = normalizeName(nameB);
+
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  // "Rossi Mario" e "Mario Rossi" devono risultare uguali
+  const sortWords = (text) => text.split(' ').sort().join(' ');
+  const sortedA = sortWords(a);
+  const sortedB = sortWords(b);
+
+  const distance = levenshtein(sortedA, sortedB);
+  return 1 - distance / Math.max(sortedA.length, sortedB.length);
+};
+
+/**
+ * Estrae il dominio di un indirizzo email, escludendo i provider generici
+ * @param {string} email - Indirizzo email
+ * @returns {string|null} - Dominio aziendale o null
+ */
+const getCompanyDomain = (email) => {
+  const domain = String(email || '').toLowerCase().split('@')[1];
+  return domain && !GENERIC_EMAIL_DOMAINS.includes(domain) ? domain : null;
+};
+
+/**
+ * Confronta due clienti e restituisce gli indizi di duplicazione
+ * @param {Object} a - Primo cliente
+ * @param {Object} b - Secondo cliente
+ * @returns {Object} - { score, reasons }
+ */
+exports.compareClients = (a, b) => {
+  const reasons = [];
+
+  if (a.vatNumber && a.vatNumber === b.vatNumber) {
+    reasons.push({ type: 'vatNumber', value: a.vatNumber, weight: MATCH_WEIGHTS.vatNumber });
+  }
+
+  if (a.fiscalCode && a.fiscalCode === b.fiscalCode) {
+    reasons.push({ type: 'fiscalCode', value: a.fiscalCode, weight: MATCH_WEIGHTS.fiscalCode });
+  }
+
+  const repA = a.legalRepresentative && a.legalRepresentative.fiscalCode;
+  const repB = b.legalRepresentative && b.legalRepresentative.fiscalCode;
+  if (repA && repA === repB) {
+    reasons.push({ type: 'legalRepresentative', value: repA, weight: MATCH_WEIGHTS.legalRepresentative });
+  }
+
+  // Cliente registrato una volta come persona e una volta come impresa:
+  // il codice fiscale personale coincide con quello del rappresentante legale
+  if ((repB && a.fiscalCode === repB && a.fiscalCode !== b.fiscalCode) ||
+      (repA && b.fiscalCode === repA && a.fiscalCode !== b.fiscalCode)) {
+    reasons.push({
+      type: 'personalFiscalCode',
+      value: a.fiscalCode === repB ? repB : repA,
+      weight: MATCH_WEIGHTS.personalFiscalCode
+    });
+  }
+
+  const similarity = this.nameSimilarity(a.name, b.name);
+  if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+    reasons.push({
+      type: 'name',
+      value: Math.round(similarity * 100) / 100,
+      weight: MATCH_WEIGHTS.name * similarity
+    });
+  }
+
+  const domainA = getCompanyDomain(a.contactInfo && a.contactInfo.email);
+  if (domainA && domainA === getCompanyDomain(b.contactInfo && b.contactInfo.email)) {
+    reasons.push({ type: 'emailDomain', value: domainA, weight: MATCH_WEIGHTS.emailDomain });
+  }
+
+  const score = Math.min(1, reasons.reduce((sum, reason) => sum + reason.weight, 0));
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+/**
+ * Individua le coppie di clienti potenzialmente duplicati in un elenco
+ * @param {Array<Object>} clients - Clienti da confrontare
+ * @param {Object} options - Opzioni: threshold, clientId (solo coppie che lo includono)
+ * @returns {Array<Object>} - Coppie ordinate per punteggio decrescente
+ */
+exports.findDuplicatePairs = (clients, options = {}) => {
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+  const pairs = [];
+
+  for (let i = 0; i < clients.length; i++) {
+    for (let j = i + 1; j < clients.length; j++) {
+      const a = clients[i];
+      const b = clients[j];
+
+      if (options.clientId &&
+          a._id.toString() !== options.clientId.toString() &&
+          b._id.toString() !== options.clientId.toString()) {
+        continue;
+      }
+
+      const { score, reasons } = this.compareClients(a, b);
+
+      if (score >= threshold) {
+        pairs.push({
+          clients: [
+            { _id: a._id, name: a.name, fiscalCode: a.fiscalCode, vatNumber: a.vatNumber },
+            { _id: b._id, name: b.name, fiscalCode: b.fiscalCode, vatNumber: b.vatNumber }
+          ],
+          score,
+          reasons: reasons.map(({ type, value }) => ({ type, value }))
+        });
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+/**
+ * Cerca i duplicati tra i clienti attivi
+ * @param {Object} options - Opzioni: threshold, clientId, filter (query aggiuntiva)
+ * @returns {Promise<Array<Object>>} - Coppie di possibili duplicati
+ */
+exports.findDuplicates = async (options = {}) => {
+  try {
+    const clients = await Client.find({ isActive: true, ...(options.filter || {}) })
+      .select('name fiscalCode vatNumber contactInfo.email legalRepresentative.fiscalCode')
+      .lean();
+
+    return this.findDuplicatePairs(clients, options);
+  } catch (error) {
+    console.error('Errore nella ricerca dei clienti duplicati:', error);
+    throw new Error(`Impossibile cercare i clienti duplicati: ${error.message}`);
+  }
+};
+
+/**
+ * Unisce un cliente duplicato in quello da mantenere.
+ * Il duplicato non viene eliminato ma disattivato e collegato al cliente
+ * mantenuto (mergedInto), così che il suo storico resti consultabile.
+ *
+ * Le scritture non sono in un'unica transazione: il duplicato viene collegato
+ * al cliente mantenuto prima di spostare i dati e marcato come unito (mergedAt)
+ * solo alla fine, così un'unione interrotta può essere ripetuta con la stessa
+ * coppia di clienti senza duplicare né perdere dati.
+ *
+ * @param {string} survivorId - ID del cliente da mantenere
+ * @param {string} duplicateId - ID del cliente duplicato
+ * @param {Object} user - Utente che esegue l'unione
+ * @returns {Promise<Object>} - { client, moved }
+ */
+exports.mergeClients = async (survivorId, duplicateId, user = null) => {
+  if (survivorId.toString() === duplicateId.toString()) {
+    throw new Error('Non è possibile unire un cliente con se stesso');
+  }
+
+  const [survivor, duplicate] = await Promise.all([
+    Client.findById(survivorId),
+    Client.findById(duplicateId)
+  ]);
+
+  if (!survivor || !duplicate) {
+    throw new Error('Cliente da unire non trovato');
+  }
+
+  if (duplicate.mergedAt) {
+    throw new Error('Il cliente duplicato è già stato unito a un altro cliente');
+  }
+
+  // Unione interrotta: si può riprendere solo verso lo stesso cliente
+  const resumed = Boolean(duplicate.mergedInto);
+  if (resumed && duplicate.mergedInto.toString() !== survivor._id.toString()) {
+    throw new Error('Il cliente duplicato ha un\'unione in corso con un altro cliente');
+  }
+
+  try {
+    const moved = {};
+    const survivorBefore = survivor.toObject();
+    const duplicateBefore = duplicate.toObject();
+
+    if (!resumed) {
+      duplicate.mergedInto = survivor._id;
+      await duplicate.save();
+    }
+
+    // Documenti caricati (esclusi quelli già presenti con lo stesso percorso)
+    const existingPaths = survivor.documents.map(doc => doc.path);
+    const newDocuments = duplicate.documents.filter(doc => !existingPaths.includes(doc.path));
+    newDocuments.forEach(doc => survivor.documents.push(doc.toObject()));
+    moved.documents = newDocuments.map(doc => doc.name);
+
+    // Checklist di onboarding: a parità di nome prevale lo stato più avanzato
+    moved.checklistItems = [];
+    ((duplicate.onboarding && duplicate.onboarding.checklist) || []).forEach(item => {
+      const current = survivor.onboarding.checklist.find(existing => existing.name === item.name);
+
+      if (!current) {
+        survivor.onboarding.checklist.push(item.toObject());
+        moved.checklistItems.push(item.name);
+      } else if (CHECKLIST_STATUS_RANK[item.status] > CHECKLIST_STATUS_RANK[current.status]) {
+        current.set({
+          documentId: item.documentId,
+          status: item.status,
+          uploadedAt: item.uploadedAt,
+          verifiedAt: item.verifiedAt,
+          notes: item.notes
+        });
+        moved.checklistItems.push(item.name);
+      }
+    });
+
+    // Servizi e tag senza duplicati
+    moved.services = duplicate.services.filter(service => !survivor.services.includes(service));
+    survivor.services.push(...moved.services);
+
+    moved.tags = duplicate.tags.filter(tag => !survivor.tags.includes(tag));
+    survivor.tags.push(...moved.tags);
+
+    const mergedNotes = duplicate.notes ? `[Da ${duplicate.name}] ${duplicate.notes}` : null;
+    if (mergedNotes && !(survivor.notes || '').includes(mergedNotes)) {
+      survivor.notes = [survivor.notes, mergedNotes]
+        .filter(Boolean)
+        .join('\n');
+    }
+
+    await survivor.save();
+    await clientHistoryService.recordChanges(survivorBefore, survivor, { user, source: 'merge' });
+
+    // Record collegati in altre collezioni
+    const reassign = async (Model, update = {}) => {
+      const records = await Model.find({ clientId: duplicate._id }).select('_id');
+      const ids = records.map(record => record._id);
+
+      if (ids.length > 0) {
+        await Model.updateMany({ _id: { $in: ids } }, { clientId: survivor._id, ...update });
+      }
+
+      return ids;
+    };
+
+    moved.clientProcedures = await reassign(ClientProcedure);
+    moved.documentRecords = await reassign(Document);
+    moved.conversations = await reassign(Conversation, { 'context.clientId': survivor._id });
+
+    // Il duplicato resta per lo storico ma non compare più tra i clienti attivi
+    duplicate.isActive = false;
+    duplicate.mergedAt = new Date();
+    await duplicate.save();
+    await clientHistoryService.recordChanges(duplicateBefore, duplicate, { user, source: 'merge' });
+
+    await ActivityLog.create({
+      user: user ? user._id : undefined,
+      client: survivor._id,
+      activityType: 'client_merge',
+      details: {
+        survivorId: survivor._id,
+        mergedClientId: duplicate._id,
+        mergedClientName: duplicate.name,
+        mergedFiscalCode: duplicate.fiscalCode,
+        moved,
+        // In una ripresa gli elementi spostati dal tentativo interrotto non sono elencati
+        resumed,
+        timestamp: new Date()
+      }
+    });
+
+    return { client: survivor, moved };
+  } catch (error) {
+    console.error('Errore nell\'unione dei clienti:', error);
+    throw new Error(`Impossibile unire i clienti: ${error.message}`);
+  }
+};
+
+exports.MATCH_WEIGHTS = MATCH_WEIGHTS;
+exports.normalizeName = normalizeName;
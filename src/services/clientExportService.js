@@ -0,0 +1,233 @@
+/**
+ * Client Export Service
+ *
+ * Esporta l'elenco dei clienti in formato CSV, XLSX o JSON.
+ * I campi annidati del modello Client vengono appiattiti in colonne
+ * (es. "contactInfo.address.city" -> "Città") e i dati vengono scritti
+ * in streaming sullo stream di destinazione, senza caricare in memoria
+ * l'intero risultato.
+ */
+
+const ExcelJS = require('exceljs');
+
+// Colonne esportabili: percorso del campo nel modello Client ed etichetta
+const EXPORT_COLUMNS = [
+  { key: 'name', label: 'Nome' },
+  { key: 'fiscalCode', label: 'Codice Fiscale' },
+  { key: 'vatNumber', label: 'Partita IVA' },
+  { key: 'companyType', label: 'Tipo Società' },
+  { key: 'accountingRegime', label: 'Regime Contabile' },
+  { key: 'businessSector', label: 'Settore' },
+  { key: 'foundingDate', label: 'Data Costituzione' },
+  { key: 'annualRevenue', label: 'Fatturato Annuo' },
+  { key: 'employees', label: 'Dipendenti' },
+  { key: 'contactInfo.email', label: 'Email' },
+  { key: 'contactInfo.phone', label: 'Telefono' },
+  { key: 'contactInfo.alternativePhone', label: 'Telefono Alternativo' },
+  { key: 'contactInfo.address.street', label: 'Indirizzo' },
+  { key: 'contactInfo.address.city', label: 'Città' },
+  { key: 'contactInfo.address.province', label: 'Provincia' },
+  { key: 'contactInfo.address.postalCode', label: 'CAP' },
+  { key: 'contactInfo.address.country', label: 'Nazione' },
+  { key: 'legalRepresentative.firstName', label: 'Nome Rappresentante' },
+  { key: 'legalRepresentative.lastName', label: 'Cognome Rappresentante' },
+  { key: 'legalRepresentative.fiscalCode', label: 'Codice Fiscale Rappresentante' },
+  { key: 'legalRepresentative.role', label: 'Ruolo Rappresentante' },
+  { key: 'legalRepresentative.email', label: 'Email Rappresentante' },
+  { key: 'legalRepresentative.phone', label: 'Telefono Rappresentante' },
+  { key: 'onboarding.status', label: 'Stato Onboarding' },
+  { key: 'onboarding.startDate', label: 'Inizio Onboarding' },
+  { key: 'onboarding.completedDate', label: 'Fine Onboarding' },
+  { key: 'onboarding.completionPercentage', label: 'Completamento Onboarding (%)' },
+  { key: 'services', label: 'Servizi' },
+  { key: 'tags', label: 'Tag' },
+  { key: 'notes', label: 'Note' },
+  { key: 'isActive', label: 'Attivo' },
+  { key: 'createdAt', label: 'Data Registrazione' },
+  { key: 'lastContactDate', label: 'Ultimo Contatto' }
+];
+
+// Colonne esportate se non ne viene richiesta una selezione
+const DEFAULT_COLUMNS = [
+  'name',
+  'fiscalCode',
+  'vatNumber',
+  'companyType',
+  'accountingRegime',
+  'contactInfo.email',
+  'contactInfo.phone',
+  'contactInfo.address.city',
+  'contactInfo.address.province',
+  'onboarding.status',
+  'createdAt'
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+/**
+ * Legge un valore annidato tramite percorso puntato
+ * @param {Object} obj - Oggetto sorgente
+ * @param {string} fieldPath - Percorso del campo
+ * @returns {*} - Valore trovato o undefined
+ */
+const getNested = (obj, fieldPath) => {
+  return fieldPath.split('.').reduce((current, key) =>
+    current !== undefined && current !== null ? current[key] : undefined, obj);
+};
+
+/**
+ * Risolve le colonne richieste verificando che siano esportabili
+ * @param {Array<string>|string} requested - Percorsi richiesti (array o lista separata da virgole)
+ * @returns {Array<Object>} - Colonne da esportare
+ */
+exports.resolveColumns = (requested) => {
+  const keys = typeof requested === 'string'
+    ? requested.split(',').map(key => key.trim()).filter(Boolean)
+    : requested;
+
+  if (!keys || keys.length === 0) {
+    return EXPORT_COLUMNS.filter(column => DEFAULT_COLUMNS.includes(column.key));
+  }
+
+  const unknown = keys.filter(key => !EXPORT_COLUMNS.some(column => column.key === key));
+  if (unknown.length > 0) {
+    throw new Error(`Colonne non esportabili: ${unknown.join(', ')}`);
+  }
+
+  return keys.map(key => EXPORT_COLUMNS.find(column => column.key === key));
+};
+
+/**
+ * Converte un valore in una rappresentazione adatta a un foglio di calcolo
+ * @param {*} value - Valore originale
+ * @returns {string|number} - Valore formattato
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  if (Array.isArray(value)) return value.map(formatValue).join('; ');
+  if (typeof value === 'boolean') return value ? 'Sì' : 'No';
+  if (typeof value === 'number') return value;
+  return String(value);
+};
+
+/**
+ * Appiattisce un cliente nelle colonne richieste
+ * @param {Object} client - Cliente (documento o oggetto lean)
+ * @param {Array<Object>} columns - Colonne da esportare
+ * @returns {Object} - Oggetto etichetta -> valore formattato
+ */
+exports.flattenClient = (client, columns) => {
+  const source = typeof client.toObject === 'function' ? client.toObject() : client;
+  const row = {};
+
+  columns.forEach(column => {
+    row[column.label] = formatValue(getNested(source, column.key));
+  });
+
+  return row;
+};
+
+/**
+ * Impedisce che un testo venga interpretato come formula dal foglio di calcolo
+ * (es. un nome cliente "=HYPERLINK(...)"), anteponendo un apostrofo
+ * @param {string|number} value - Valore formattato
+ * @returns {string|number} - Valore sicuro da inserire in una cella
+ */
+const escapeFormula = (value) => {
+  if (typeof value !== 'string') return value;
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+};
+
+/**
+ * Serializza una riga CSV con separatore punto e virgola (standard di Excel in italiano)
+ * @param {Array} values - Valori della riga
+ * @returns {string} - Riga CSV terminata da a capo
+ */
+const toCsvLine = (values) => {
+  return values.map(value => {
+    const text = String(escapeFormula(value));
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(';') + '\r\n';
+};
+
+/**
+ * Scrive su uno stream, attendendo lo svuotamento del buffer se necessario
+ * @param {Object} output - Stream di destinazione
+ * @param {string} chunk - Dati da scrivere
+ */
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await new Promise(resolve => output.once('drain', resolve));
+  }
+};
+
+/**
+ * Esporta i clienti sullo stream di destinazione nel formato richiesto
+ *
+ * @param {AsyncIterable<Object>} clients - Cursore o elenco di clienti
+ * @param {Object} output - Stream scrivibile (es. la risposta HTTP)
+ * @param {Object} options - Opzioni: format ('csv'|'xlsx'|'json'), columns
+ * @returns {Promise<number>} - Numero di clienti esportati
+ */
+exports.exportClients = async (clients, output, options = {}) => {
+  const format = options.format || 'csv';
+  const columns = options.columns || this.resolveColumns();
+  const labels = columns.map(column => column.label);
+  let count = 0;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Formato di esportazione non supportato: ${format}`);
+  }
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+      const worksheet = workbook.addWorksheet('Clienti');
+      worksheet.columns = labels.map(label => ({ header: label, key: label, width: 20 }));
+      worksheet.getRow(1).font = { bold: true };
+
+      for await (const client of clients) {
+        const row = this.flattenClient(client, columns);
+        labels.forEach(label => { row[label] = escapeFormula(row[label]); });
+        worksheet.addRow(row).commit();
+        count++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return count;
+    }
+
+    if (format === 'json') {
+      await write(output, '[');
+      for await (const client of clients) {
+        await write(output, (count > 0 ? ',\n' : '\n') + JSON.stringify(this.flattenClient(client, columns)));
+        count++;
+      }
+      await write(output, '\n]\n');
+      return count;
+    }
+
+    // CSV con BOM per la corretta lettura delle lettere accentate in Excel
+    await write(output, '\uFEFF' + toCsvLine(labels));
+    for await (const client of clients) {
+      const row = this.flattenClient(client, columns);
+      await write(output, toCsvLine(labels.map(label => row[label])));
+      count++;
+    }
+    return count;
+  } catch (error) {
+    console.error('Errore nell\'esportazione dei clienti:', error);
+    throw new Error(`Impossibile esportare i clienti: ${error.message}`);
+  }
+};
+
+exports.EXPORT_COLUMNS = EXPORT_COLUMNS;
+exports.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+exports.EXPORT_FORMATS = EXPORT_FORMATS;
+exports.escapeFormula = escapeFormula;
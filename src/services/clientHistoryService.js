@@ -0,0 +1,183 @@
+/**
+ * Client History Service
+ *
+ * Registra lo storico delle modifiche ai clienti campo per campo
+ * (valore precedente, nuovo valore, autore, data e origine della richiesta).
+ * Serve a ricostruire chi ha modificato dati rilevanti ai fini fiscali,
+ * come partita IVA, regime contabile o rappresentante legale, e quando.
+ */
+
+const mongoose = require('mongoose');
+const ClientHistory = require('../models/ClientHistory');
+
+// Campi gestiti automaticamente che non vengono storicizzati
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt', 'lastContactDate'];
+
+// Valore registrato al posto dei dati cancellati (art. 17 GDPR)
+const REDACTED_VALUE = '[dato cancellato]';
+
+/**
+ * Converte un valore in una forma confrontabile e salvabile nello storico
+ * @param {*} value - Valore originale
+ * @returns {*} - Valore normalizzato
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value)
+      .filter(key => key !== '_id')
+      .forEach(key => { result[key] = normalizeValue(value[key]); });
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Verifica se un valore è un oggetto semplice da scomporre nei suoi campi
+ * @param {*} value - Valore da verificare
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof mongoose.Types.ObjectId);
+};
+
+/**
+ * Scompone un oggetto nei suoi campi foglia con percorso puntato.
+ * Gli array vengono trattati come un unico valore.
+ *
+ * @param {Object} obj - Oggetto da scomporre
+ * @param {string} prefix - Prefisso del percorso
+ * @param {Object} result - Accumulatore
+ * @returns {Object} - Mappa percorso -> valore
+ */
+const flatten = (obj, prefix = '', result = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+
+    if (IGNORED_FIELDS.includes(key) && !prefix) return;
+
+    if (isPlainObject(obj[key])) {
+      flatten(obj[key], fieldPath, result);
+    } else {
+      result[fieldPath] = obj[key];
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Converte un documento Mongoose in oggetto semplice
+ * @param {Object} doc - Documento o oggetto
+ * @returns {Object}
+ */
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false })
+    : doc;
+};
+
+/**
+ * Calcola le differenze campo per campo tra due versioni di un cliente
+ * @param {Object} before - Cliente prima della modifica
+ * @param {Object} after - Cliente dopo la modifica
+ * @returns {Array<Object>} - Modifiche { field, oldValue, newValue }
+ */
+exports.diffClient = (before, after) => {
+  const oldFields = flatten(toPlain(before));
+  const newFields = flatten(toPlain(after));
+  const fields = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])].sort();
+
+  return fields
+    .map(field => ({
+      field,
+      oldValue: normalizeValue(oldFields[field]),
+      newValue: normalizeValue(newFields[field])
+    }))
+    .filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue));
+};
+
+/**
+ * Registra nello storico le modifiche tra due versioni di un cliente
+ *
+ * @param {Object} before - Cliente prima della modifica
+ * @param {Object} after - Cliente dopo la modifica
+ * @param {Object} context - Contesto: user, source, req (richiesta Express),
+ *                           redact (non registra i valori precedenti, per la cancellazione GDPR)
+ * @returns {Promise<Object|null>} - Voce di storico creata, null se nessuna modifica
+ */
+exports.recordChanges = async (before, after, context = {}) => {
+  try {
+    const { user, source, req, redact } = context;
+    const changes = this.diffClient(before, after)
+      .map(change => (redact ? { ...change, oldValue: REDACTED_VALUE } : change));
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    return await ClientHistory.create({
+      clientId: after._id || before._id,
+      changes,
+      changedBy: user ? user._id : undefined,
+      changedAt: new Date(),
+      source: source || 'api',
+      requestInfo: req ? {
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get ? req.get('User-Agent') : undefined
+      } : undefined
+    });
+  } catch (error) {
+    // Lo storico non deve bloccare l'aggiornamento del cliente
+    console.error('Errore nella registrazione dello storico cliente:', error);
+    return null;
+  }
+};
+
+/**
+ * Recupera lo storico delle modifiche di un cliente
+ * @param {string} clientId - ID del cliente
+ * @param {Object} options - Opzioni: field, page, limit
+ * @returns {Promise<Object>} - { history, total }
+ */
+exports.getClientHistory = async (clientId, options = {}) => {
+  try {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+
+    const [history, total] = await Promise.all([
+      ClientHistory.findByClient(clientId, options.field)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('changedBy', 'firstName lastName email role'),
+      ClientHistory.countDocuments(options.field
+        ? { clientId, 'changes.field': options.field }
+        : { clientId })
+    ]);
+
+    // Con il filtro per campo si restituiscono solo le modifiche di quel campo
+    if (options.field) {
+      history.forEach(entry => {
+        entry.changes = entry.changes.filter(change => change.field === options.field);
+      });
+    }
+
+    return { history, total };
+  } catch (error) {
+    console.error('Errore nel recupero dello storico cliente:', error);
+    throw new Error(`Impossibile recuperare lo storico del cliente: ${error.message}`);
+  }
+};
+
+exports.REDACTED_VALUE = REDACTED_VALUE;
@@ -0,0 +1,642 @@
+/**
+ * Client Import Service
+ *
+ * Gestisce l'importazione massiva di clienti da file CSV o XLSX.
+ * Mappa le colonne del file sui campi del modello Client, valida i dati
+ * fiscali di ogni riga e individua i duplicati prima di salvare, in modo
+ * da produrre un report di anteprima (dry-run) riga per riga.
+ */
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Client = require('../models/Client');
+const clientHistoryService = require('./clientHistoryService');
+const {
+  validateCodiceFiscale,
+  validatePartitaIVA,
+  validateEmail,
+  validateCAP
+} = require('../utils/validators');
+
+// Intestazioni riconosciute (normalizzate) e relativo campo del modello Client
+const COLUMN_MAPPING = {
+  'nome': 'name',
+  'name': 'name',
+  'ragione sociale': 'name',
+  'denominazione': 'name',
+  'codice fiscale': 'fiscalCode',
+  'cf': 'fiscalCode',
+  'fiscalcode': 'fiscalCode',
+  'partita iva': 'vatNumber',
+  'p iva': 'vatNumber',
+  'piva': 'vatNumber',
+  'vatnumber': 'vatNumber',
+  'tipo societa': 'companyType',
+  'forma giuridica': 'companyType',
+  'companytype': 'companyType',
+  'regime contabile': 'accountingRegime',
+  'regime': 'accountingRegime',
+  'accountingregime': 'accountingRegime',
+  'settore': 'businessSector',
+  'businesssector': 'businessSector',
+  'email': 'contactInfo.email',
+  'e mail': 'contactInfo.email',
+  'telefono': 'contactInfo.phone',
+  'phone': 'contactInfo.phone',
+  'telefono alternativo': 'contactInfo.alternativePhone',
+  'indirizzo': 'contactInfo.address.street',
+  'via': 'contactInfo.address.street',
+  'street': 'contactInfo.address.street',
+  'citta': 'contactInfo.address.city',
+  'comune': 'contactInfo.address.city',
+  'city': 'contactInfo.address.city',
+  'provincia': 'contactInfo.address.province',
+  'prov': 'contactInfo.address.province',
+  'province': 'contactInfo.address.province',
+  'cap': 'contactInfo.address.postalCode',
+  'postalcode': 'contactInfo.address.postalCode',
+  'nazione': 'contactInfo.address.country',
+  'paese': 'contactInfo.address.country',
+  'country': 'contactInfo.address.country',
+  'rappresentante nome': 'legalRepresentative.firstName',
+  'nome rappresentante': 'legalRepresentative.firstName',
+  'rappresentante cognome': 'legalRepresentative.lastName',
+  'cognome rappresentante': 'legalRepresentative.lastName',
+  'rappresentante codice fiscale': 'legalRepresentative.fiscalCode',
+  'codice fiscale rappresentante': 'legalRepresentative.fiscalCode',
+  'rappresentante ruolo': 'legalRepresentative.role',
+  'rappresentante email': 'legalRepresentative.email',
+  'rappresentante telefono': 'legalRepresentative.phone',
+  'note': 'notes',
+  'notes': 'notes',
+  'tag': 'tags',
+  'tags': 'tags',
+  'servizi': 'services',
+  'services': 'services'
+};
+
+// Campi del modello Client che un file di importazione può valorizzare: stato,
+// assegnazioni, unioni e dati GDPR restano esclusi anche se indicati per percorso
+const IMPORTABLE_FIELDS = Array.from(new Set(Object.values(COLUMN_MAPPING)));
+
+// Campi obbligatori per lo schema Client
+const REQUIRED_FIELDS = [
+  { path: 'name', label: 'Nome' },
+  { path: 'fiscalCode', label: 'Codice Fiscale' },
+  { path: 'contactInfo.email', label: 'Email' },
+  { path: 'contactInfo.address.street', label: 'Indirizzo' },
+  { path: 'contactInfo.address.city', label: 'Città' },
+  { path: 'contactInfo.address.province', label: 'Provincia' },
+  { path: 'contactInfo.address.postalCode', label: 'CAP' },
+  { path: 'legalRepresentative.firstName', label: 'Nome rappresentante legale' },
+  { path: 'legalRepresentative.lastName', label: 'Cognome rappresentante legale' },
+  { path: 'legalRepresentative.fiscalCode', label: 'Codice fiscale rappresentante legale' }
+];
+
+// Campi che, se valorizzati, sono vincolati da un indice univoco
+const UNIQUE_FIELDS = [
+  { path: 'fiscalCode', label: 'Codice Fiscale' },
+  { path: 'vatNumber', label: 'Partita IVA' },
+  { path: 'contactInfo.email', label: 'Email' }
+];
+
+// Campi multivalore: nel file sono separati da virgola o punto e virgola
+const ARRAY_FIELDS = ['tags', 'services'];
+
+/**
+ * Normalizza un'intestazione di colonna per il confronto con la mappatura
+ * @param {string} header - Intestazione originale
+ * @returns {string} - Intestazione normalizzata
+ */
+const normalizeHeader = (header) => {
+  return String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[._\-/]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Legge un valore annidato tramite percorso puntato (es. "contactInfo.email")
+ * @param {Object} obj - Oggetto sorgente
+ * @param {string} fieldPath - Percorso del campo
+ * @returns {*} - Valore trovato o undefined
+ */
+const getNested = (obj, fieldPath) => {
+  return fieldPath.split('.').reduce((current, key) =>
+    current !== undefined && current !== null ? current[key] : undefined, obj);
+};
+
+/**
+ * Imposta un valore annidato tramite percorso puntato, creando gli oggetti intermedi
+ * @param {Object} obj - Oggetto di destinazione
+ * @param {string} fieldPath - Percorso del campo
+ * @param {*} value - Valore da impostare
+ */
+const setNested = (obj, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let current = obj;
+
+  keys.slice(0, -1).forEach(key => {
+    if (!current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+
+  current[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Esegue il parsing di un contenuto CSV.
+ * Supporta campi tra virgolette, virgolette raddoppiate e separatore
+ * rilevato automaticamente (";" è lo standard di Excel in italiano).
+ *
+ * @param {string|Buffer} content - Contenuto del file CSV
+ * @returns {Array<Object>} - Righe come oggetti intestazione -> valore
+ */
+exports.parseCsv = (content) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  // Rimuove il BOM UTF-8 eventualmente aggiunto da Excel
+  const source = text.replace(/^\uFEFF/, '');
+
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Scarta le righe completamente vuote
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [headers, ...rows] = nonEmpty;
+
+  return rows.map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header.trim()] = (values[index] || '').trim();
+    });
+    return row;
+  });
+};
+
+/**
+ * Esegue il parsing del primo foglio di un file XLSX
+ * @param {Buffer} buffer - Contenuto del file XLSX
+ * @returns {Promise<Array<Object>>} - Righe come oggetti intestazione -> valore
+ */
+exports.parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  const rows = [];
+
+  worksheet.eachRow({ includeEmpty: false }, (excelRow, rowNumber) => {
+    if (rowNumber === 1) {
+      excelRow.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+        headers[colNumber] = String(cell.text || '').trim();
+      });
+      return;
+    }
+
+    const row = {};
+    headers.forEach((header, colNumber) => {
+      if (!header) return;
+      const cell = excelRow.getCell(colNumber);
+      // Le date vengono convertite in ISO, il resto nel testo visualizzato
+      row[header] = cell.value instanceof Date
+        ? cell.value.toISOString().substring(0, 10)
+        : String(cell.text || '').trim();
+    });
+    rows.push(row);
+  });
+
+  return rows;
+};
+
+/**
+ * Esegue il parsing di un file caricato scegliendo il formato da estensione o MIME type
+ * @param {Object} file - File caricato (multer): originalname, mimetype, buffer
+ * @returns {Promise<Array<Object>>} - Righe del file
+ */
+exports.parseImportFile = async (file) => {
+  if (!file || !file.buffer) {
+    throw new Error('File di importazione mancante');
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.xlsx' ||
+      file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return this.parseXlsx(file.buffer);
+  }
+
+  if (extension === '.csv' || extension === '.txt' ||
+      ['text/csv', 'text/plain', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+    return this.parseCsv(file.buffer);
+  }
+
+  throw new Error(`Formato file non supportato: ${extension || file.mimetype}. Usare CSV o XLSX`);
+};
+
+/**
+ * Converte una riga del file nella struttura annidata del modello Client.
+ * Le colonne possono usare un'intestazione nota (es. "Partita IVA") oppure
+ * direttamente il percorso del campo (es. "contactInfo.address.city"); sono
+ * accettati solo i campi importabili (IMPORTABLE_FIELDS).
+ *
+ * @param {Object} row - Riga del file (intestazione -> valore)
+ * @param {Object} customMapping - Mappatura aggiuntiva intestazione -> campo
+ * @returns {Object} - { data, unmappedColumns }
+ */
+exports.mapRowToClient = (row, customMapping = {}) => {
+  const data = {};
+  const unmappedColumns = [];
+
+  const mapping = { ...COLUMN_MAPPING };
+  Object.keys(customMapping).forEach(header => {
+    mapping[normalizeHeader(header)] = customMapping[header];
+  });
+
+  Object.keys(row).forEach(header => {
+    const value = row[header];
+    if (value === undefined || value === null || String(value).trim() === '') return;
+
+    const fieldPath = mapping[normalizeHeader(header)] || header;
+
+    if (!IMPORTABLE_FIELDS.includes(fieldPath)) {
+      unmappedColumns.push(header);
+      return;
+    }
+
+    let normalizedValue = String(value).trim();
+
+    if (ARRAY_FIELDS.includes(fieldPath)) {
+      setNested(data, fieldPath, normalizedValue.split(/[;,]/).map(v => v.trim()).filter(Boolean));
+      return;
+    }
+
+    if (['fiscalCode', 'legalRepresentative.fiscalCode'].includes(fieldPath)) {
+      normalizedValue = normalizedValue.replace(/\s/g, '').toUpperCase();
+    } else if (fieldPath === 'vatNumber') {
+      normalizedValue = normalizedValue.replace(/^IT/i, '').replace(/\D/g, '');
+    } else if (fieldPath === 'contactInfo.address.province') {
+      normalizedValue = normalizedValue.toUpperCase();
+    } else if (fieldPath.endsWith('email')) {
+      normalizedValue = normalizedValue.toLowerCase();
+    }
+
+    setNested(data, fieldPath, normalizedValue);
+  });
+
+  return { data, unmappedColumns };
+};
+
+/**
+ * Valida i dati di un cliente da importare
+ * @param {Object} data - Dati del cliente mappati
+ * @returns {Object} - { errors, warnings }
+ */
+exports.validateRow = (data) => {
+  const errors = [];
+  const warnings = [];
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (!getNested(data, field.path)) {
+      errors.push({ field: field.path, message: `${field.label} mancante` });
+    }
+  });
+
+  // Il codice fiscale di una società coincide con la partita IVA (11 cifre)
+  if (data.fiscalCode &&
+      !validateCodiceFiscale(data.fiscalCode) &&
+      !validatePartitaIVA(data.fiscalCode)) {
+    errors.push({ field: 'fiscalCode', message: 'Codice fiscale non valido' });
+  }
+
+  if (data.vatNumber && !validatePartitaIVA(data.vatNumber)) {
+    errors.push({ field: 'vatNumber', message: 'Partita IVA non valida' });
+  }
+
+  const legalRepFiscalCode = getNested(data, 'legalRepresentative.fiscalCode');
+  if (legalRepFiscalCode && !validateCodiceFiscale(legalRepFiscalCode)) {
+    errors.push({ field: 'legalRepresentative.fiscalCode', message: 'Codice fiscale rappresentante legale non valido' });
+  }
+
+  const email = getNested(data, 'contactInfo.email');
+  if (email && !validateEmail(email)) {
+    errors.push({ field: 'contactInfo.email', message: 'Email non valida' });
+  }
+
+  const postalCode = getNested(data, 'contactInfo.address.postalCode');
+  if (postalCode && !validateCAP(postalCode)) {
+    errors.push({ field: 'contactInfo.address.postalCode', message: 'Il CAP deve essere di 5 cifre' });
+  }
+
+  const province = getNested(data, 'contactInfo.address.province');
+  if (province && province.length !== 2) {
+    errors.push({ field: 'contactInfo.address.province', message: 'La sigla provincia deve essere di 2 caratteri' });
+  }
+
+  const enumFields = [
+    { path: 'companyType', label: 'Tipo società' },
+    { path: 'accountingRegime', label: 'Regime contabile' }
+  ];
+  enumFields.forEach(field => {
+    const value = getNested(data, field.path);
+    const allowed = Client.schema.path(field.path).enumValues;
+    if (value && !allowed.includes(value)) {
+      errors.push({ field: field.path, message: `${field.label} non valido (valori ammessi: ${allowed.join(', ')})` });
+    }
+  });
+
+  const allowedServices = Client.schema.path('services').caster.enumValues;
+  (data.services || []).forEach(service => {
+    if (!allowedServices.includes(service)) {
+      errors.push({ field: 'services', message: `Servizio non riconosciuto: ${service}` });
+    }
+  });
+
+  if (!data.vatNumber && data.companyType && data.companyType !== 'Altro') {
+    warnings.push({ field: 'vatNumber', message: 'Partita IVA non indicata per un\'attività d\'impresa' });
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Individua i duplicati di una riga, sia all'interno del file sia nel database
+ * @param {Array<Object>} rows - Righe già mappate ({ rowNumber, data })
+ * @returns {Promise<Array<Object>>} - Righe arricchite con le informazioni sui duplicati
+ */
+exports.detectDuplicates = async (rows) => {
+  // Valori univoci presenti nel file, per una sola query sul database
+  const lookup = { fiscalCode: new Set(), vatNumber: new Set(), 'contactInfo.email': new Set() };
+  rows.forEach(row => {
+    UNIQUE_FIELDS.forEach(field => {
+      const value = getNested(row.data, field.path);
+      if (value) lookup[field.path].add(value);
+    });
+  });
+
+  const conditions = UNIQUE_FIELDS
+    .filter(field => lookup[field.path].size > 0)
+    .map(field => ({ [field.path]: { $in: [...lookup[field.path]] } }));
+
+  const existingClients = conditions.length > 0
+    ? await Client.find({ $or: conditions }).select('name fiscalCode vatNumber contactInfo.email')
+    : [];
+
+  const seenInFile = {};
+
+  return rows.map(row => {
+    const duplicates = { inDatabase: null, inFile: null };
+
+    // Confronto con i clienti già presenti
+    for (const existing of existingClients) {
+      const matchedOn = UNIQUE_FIELDS
+        .filter(field => {
+          const value = getNested(row.data, field.path);
+          return value && value === getNested(existing, field.path);
+        })
+        .map(field => field.path);
+
+      if (matchedOn.length > 0) {
+        duplicates.inDatabase = {
+          clientId: existing._id,
+          name: existing.name,
+          matchedOn
+        };
+        break;
+      }
+    }
+
+    // Confronto con le righe precedenti dello stesso file
+    UNIQUE_FIELDS.forEach(field => {
+      const value = getNested(row.data, field.path);
+      if (!value) return;
+
+      const key = `${field.path}:${value}`;
+      if (seenInFile[key] && !duplicates.inFile) {
+        duplicates.inFile = { rowNumber: seenInFile[key], matchedOn: [field.path] };
+      } else if (!seenInFile[key]) {
+        seenInFile[key] = row.rowNumber;
+      }
+    });
+
+    return { ...row, duplicates };
+  });
+};
+
+/**
+ * Analizza un file di importazione e produce il report riga per riga
+ * senza modificare il database (dry-run)
+ *
+ * @param {Object} file - File caricato (multer)
+ * @param {Object} options - Opzioni: mapping personalizzato delle colonne
+ * @returns {Promise<Object>} - Report di importazione
+ */
+exports.buildImportReport = async (file, options = {}) => {
+  try {
+    const rawRows = await this.parseImportFile(file);
+
+    if (rawRows.length === 0) {
+      throw new Error('Il file non contiene righe da importare');
+    }
+
+    // La riga 1 del file è l'intestazione: la prima riga dati è la numero 2
+    const mappedRows = rawRows.map((raw, index) => {
+      const { data, unmappedColumns } = this.mapRowToClient(raw, options.mapping);
+      const { errors, warnings } = this.validateRow(data);
+
+      return { rowNumber: index + 2, data, errors, warnings, unmappedColumns };
+    });
+
+    const rows = (await this.detectDuplicates(mappedRows)).map(row => {
+      let action = 'create';
+
+      if (row.errors.length > 0) {
+        action = 'invalid';
+      } else if (row.duplicates.inFile) {
+        action = 'skip';
+      } else if (row.duplicates.inDatabase) {
+        // In attesa di una scelta dell'operatore: unire o saltare
+        action = 'duplicate';
+      }
+
+      return { ...row, action };
+    });
+
+    const unmappedColumns = [...new Set(mappedRows.flatMap(row => row.unmappedColumns))];
+
+    return {
+      fileName: file.originalname,
+      totalRows: rows.length,
+      summary: {
+        valid: rows.filter(row => row.action === 'create').length,
+        invalid: rows.filter(row => row.action === 'invalid').length,
+        duplicates: rows.filter(row => row.action === 'duplicate').length,
+        duplicatesInFile: rows.filter(row => row.duplicates.inFile).length
+      },
+      unmappedColumns,
+      rows
+    };
+  } catch (error) {
+    console.error('Errore nell\'analisi del file di importazione:', error);
+    throw new Error(`Impossibile analizzare il file di importazione: ${error.message}`);
+  }
+};
+
+/**
+ * Unisce i dati importati in un cliente esistente.
+ * I campi valorizzati nel file sovrascrivono quelli esistenti,
+ * tag e servizi vengono aggiunti senza duplicati.
+ *
+ * @param {Object} client - Documento Client esistente
+ * @param {Object} data - Dati importati
+ */
+const mergeIntoClient = (client, data) => {
+  const assignLeaves = (source, prefix = '') => {
+    Object.keys(source).forEach(key => {
+      const fieldPath = prefix ? `${prefix}.${key}` : key;
+      const value = source[key];
+
+      if (ARRAY_FIELDS.includes(fieldPath)) {
+        const current = client.get(fieldPath) || [];
+        client.set(fieldPath, [...new Set([...current, ...value])]);
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        assignLeaves(value, fieldPath);
+      } else {
+        client.set(fieldPath, value);
+      }
+    });
+  };
+
+  assignLeaves(data);
+};
+
+/**
+ * Esegue l'importazione dei clienti applicando le decisioni dell'operatore
+ * sulle righe duplicate ('merge' oppure 'skip')
+ *
+ * @param {Object} report - Report generato da buildImportReport
+ * @param {Object} decisions - Mappa numero riga -> 'merge' | 'skip'
+ * @param {Object} user - Utente che esegue l'importazione
+ * @returns {Promise<Object>} - Esito dell'importazione per riga
+ */
+exports.commitImport = async (report, decisions = {}, user = null) => {
+  const results = [];
+
+  for (const row of report.rows) {
+    const result = { rowNumber: row.rowNumber, action: row.action };
+
+    try {
+      if (row.action === 'invalid' || row.action === 'skip') {
+        result.status = 'skipped';
+      } else if (row.action === 'duplicate') {
+        if (decisions[row.rowNumber] === 'merge') {
+          const client = await Client.findById(row.duplicates.inDatabase.clientId);
+
+          if (!client) {
+            throw new Error('Il cliente da unire non esiste più');
+          }
+
+          const before = client.toObject();
+          mergeIntoClient(client, row.data);
+          await client.save();
+          await clientHistoryService.recordChanges(before, client, { user, source: 'import' });
+
+          result.action = 'merge';
+          result.status = 'merged';
+          result.clientId = client._id;
+        } else {
+          result.action = 'skip';
+          result.status = 'skipped';
+        }
+      } else {
+        const clientData = {
+          ...row.data,
+          onboarding: {
+            status: 'nuovo',
+            startDate: new Date()
+          }
+        };
+
+        // Gli operatori diventano assegnatari dei clienti che importano
+        if (user && user.role === 'operator') {
+          clientData.onboarding.assignedTo = user._id;
+        }
+
+        const client = await Client.create(clientData);
+
+        result.status = 'created';
+        result.clientId = client._id;
+      }
+    } catch (error) {
+      // Es. indice univoco violato da un inserimento concorrente
+      result.status = 'failed';
+      result.error = error.code === 11000
+        ? 'Cliente già presente (chiave duplicata)'
+        : error.message;
+    }
+
+    results.push(result);
+  }
+
+  return {
+    fileName: report.fileName,
+    totalRows: report.totalRows,
+    summary: {
+      created: results.filter(r => r.status === 'created').length,
+      merged: results.filter(r => r.status === 'merged').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length
+    },
+    results
+  };
+};
+
+exports.COLUMN_MAPPING = COLUMN_MAPPING;
+exports.IMPORTABLE_FIELDS = IMPORTABLE_FIELDS;
@@ -0,0 +1,306 @@
+/**
+ * Consent Service
+ *
+ * Gestisce i consensi privacy versionati:
+ * - registro delle versioni dell'informativa (PrivacyPolicy);
+ * - eventi di concessione/revoca per cliente (ConsentEvent), con canale,
+ *   IP e documento di prova, riepilogati in Client.dataConsent;
+ * - individuazione dei clienti con consenso su una versione superata
+ *   e generazione delle lettere di richiesta di un nuovo consenso.
+ */
+
+const moment = require('moment');
+const Client = require('../models/Client');
+const PrivacyPolicy = require('../models/PrivacyPolicy');
+const ConsentEvent = require('../models/ConsentEvent');
+const ActivityLog = require('../models/ActivityLog');
+const documentGenerator = require('./documentGenerator');
+const clientHistoryService = require('./clientHistoryService');
+
+// Template usato per le lettere di riconsenso
+const RECONSENT_TEMPLATE = 'privacy-reconsent';
+
+// Filtro dei clienti a cui si possono chiedere consensi (attivi e non anonimizzati)
+const CONTACTABLE_CLIENTS = {
+  isActive: true,
+  'gdprErasure.erasedAt': { $exists: false }
+};
+
+/**
+ * Crea una nuova versione dell'informativa privacy
+ * @param {Object} data - Dati: version, title, text, changeSummary, effectiveDate, consentTypes
+ * @param {Object} user - Utente che registra la versione
+ * @returns {Promise<Object>} - Versione creata
+ */
+exports.createPolicyVersion = async (data, user = null) => {
+  try {
+    const existing = await PrivacyPolicy.findOne({ version: data.version });
+
+    if (existing) {
+      throw new Error(`La versione ${data.version} dell'informativa esiste già`);
+    }
+
+    return await PrivacyPolicy.create({
+      version: data.version,
+      title: data.title,
+      text: data.text,
+      changeSummary: data.changeSummary,
+      effectiveDate: data.effectiveDate || new Date(),
+      consentTypes: data.consentTypes,
+      createdBy: user ? user._id : undefined
+    });
+  } catch (error) {
+    console.error('Errore nella creazione dell\'informativa privacy:', error);
+    throw new Error(`Impossibile creare la versione dell'informativa: ${error.message}`);
+  }
+};
+
+/**
+ * Restituisce tutte le versioni dell'informativa, dalla più recente
+ * @returns {Promise<Array>}
+ */
+exports.listPolicies = async () => {
+  return PrivacyPolicy.find().sort({ effectiveDate: -1 });
+};
+
+/**
+ * Restituisce la versione dell'informativa in vigore
+ * @param {Date} date - Data di riferimento
+ * @returns {Promise<Object|null>}
+ */
+exports.getCurrentPolicy = async (date = new Date()) => {
+  return PrivacyPolicy.findCurrent(date);
+};
+
+/**
+ * Registra la concessione o la revoca di un consenso e aggiorna
+ * il riepilogo in Client.dataConsent
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} data - Dati: consentType, action, channel, ipAddress,
+ *                        evidenceDocumentId, policyVersion, occurredAt, notes
+ * @param {Object} context - Contesto: user, source, req
+ * @returns {Promise<Object>} - { event, dataConsent }
+ */
+exports.recordConsent = async (clientId, data, context = {}) => {
+  try {
+    const client = await Client.findById(clientId);
+
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    // Senza versione esplicita il consenso si riferisce all'informativa in vigore
+    const policy = data.policyVersion
+      ? await PrivacyPolicy.findOne({ version: data.policyVersion })
+      : await this.getCurrentPolicy();
+
+    if (!policy) {
+      throw new Error(data.policyVersion
+        ? `Versione dell'informativa ${data.policyVersion} non trovata`
+        : 'Nessuna informativa privacy in vigore');
+    }
+
+    if (policy.consentTypes && !policy.consentTypes.includes(data.consentType)) {
+      throw new Error(`Il consenso ${data.consentType} non è previsto dalla versione ${policy.version}`);
+    }
+
+    const { user } = context;
+    const occurredAt = data.occurredAt ? new Date(data.occurredAt) : new Date();
+
+    const event = await ConsentEvent.create({
+      clientId: client._id,
+      policyId: policy._id,
+      policyVersion: policy.version,
+      consentType: data.consentType,
+      action: data.action,
+      channel: data.channel,
+      ipAddress: data.ipAddress,
+      evidenceDocumentId: data.evidenceDocumentId,
+      occurredAt,
+      recordedBy: user ? user._id : undefined,
+      notes: data.notes
+    });
+
+    const before = client.toObject();
+    const granted = data.action === 'granted';
+    const dataConsent = client.dataConsent || {};
+
+    if (data.consentType === 'privacy') {
+      // La presa visione dell'informativa determina la versione di riferimento
+      dataConsent.consentVersion = granted ? policy.version : undefined;
+      dataConsent.consentDate = granted ? occurredAt : undefined;
+    } else {
+      dataConsent[data.consentType] = granted;
+    }
+    dataConsent.lastUpdated = occurredAt;
+    if (data.ipAddress) {
+      dataConsent.ipAddress = data.ipAddress;
+    }
+
+    client.dataConsent = dataConsent;
+    await client.save();
+
+    await clientHistoryService.recordChanges(before, client, {
+      user,
+      source: context.source || (data.channel === 'portale' ? 'portal' : 'api'),
+      req: context.req
+    });
+
+    return { event, dataConsent: client.dataConsent };
+  } catch (error) {
+    console.error('Errore nella registrazione del consenso:', error);
+    throw new Error(`Impossibile registrare il consenso: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera gli eventi di consenso di un cliente
+ * @param {string} clientId - ID del cliente
+ * @param {Object} options - Opzioni: consentType
+ * @returns {Promise<Array>}
+ */
+exports.getClientConsentHistory = async (clientId, options = {}) => {
+  try {
+    return await ConsentEvent.findByClient(clientId, options.consentType)
+      .populate('recordedBy', 'firstName lastName email role')
+      .populate('evidenceDocumentId', 'originalName filename mimeType');
+  } catch (error) {
+    console.error('Errore nel recupero dei consensi:', error);
+    throw new Error(`Impossibile recuperare i consensi del cliente: ${error.message}`);
+  }
+};
+
+/**
+ * Elenca i clienti il cui consenso privacy non si riferisce alla versione
+ * dell'informativa in vigore (o che non hanno mai prestato il consenso)
+ *
+ * @param {Object} options - Opzioni: assignedTo, page, limit
+ * @returns {Promise<Object>} - { policy, clients, total }
+ */
+exports.findClientsWithOutdatedConsent = async (options = {}) => {
+  try {
+    const policy = await this.getCurrentPolicy();
+
+    if (!policy) {
+      throw new Error('Nessuna informativa privacy in vigore');
+    }
+
+    const page = options.page || 1;
+    const limit = options.limit || 50;
+
+    // $ne include anche i clienti senza consentVersion
+    const query = {
+      ...CONTACTABLE_CLIENTS,
+      'dataConsent.consentVersion': { $ne: policy.version }
+    };
+
+    if (options.assignedTo) {
+      query['onboarding.assignedTo'] = options.assignedTo;
+    }
+
+    const [clients, total] = await Promise.all([
+      Client.find(query)
+        .select('name fiscalCode contactInfo.email dataConsent onboarding.assignedTo')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Client.countDocuments(query)
+    ]);
+
+    return { policy, clients, total };
+  } catch (error) {
+    console.error('Errore nella ricerca dei consensi da aggiornare:', error);
+    throw new Error(`Impossibile individuare i consensi da aggiornare: ${error.message}`);
+  }
+};
+
+/**
+ * Genera le lettere di richiesta di un nuovo consenso per la versione
+ * in vigore dell'informativa. Un errore su un cliente non blocca gli altri.
+ *
+ * @param {Array<string>} clientIds - ID dei clienti destinatari
+ * @param {Object} options - Opzioni: format, user
+ * @returns {Promise<Object>} - { policyVersion, results, summary }
+ */
+exports.generateReconsentLetters = async (clientIds, options = {}) => {
+  try {
+    const policy = await this.getCurrentPolicy();
+
+    if (!policy) {
+      throw new Error('Nessuna informativa privacy in vigore');
+    }
+
+    const format = options.format || 'pdf';
+    const clients = await Client.find({ _id: { $in: clientIds }, ...CONTACTABLE_CLIENTS });
+    const results = [];
+
+    for (const client of clients) {
+      const current = client.dataConsent || {};
+
+      // Il consenso è già aggiornato: nessuna lettera da inviare
+      if (current.consentVersion === policy.version) {
+        results.push({ clientId: client._id, name: client.name, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        const filePath = await documentGenerator.generateDocument(RECONSENT_TEMPLATE, {
+          ...client.toObject(),
+          address: client.contactInfo && client.contactInfo.address,
+          policy: {
+            version: policy.version,
+            title: policy.title,
+            text: policy.text,
+            changeSummary: policy.changeSummary,
+            effectiveDate: moment(policy.effectiveDate).format('DD/MM/YYYY'),
+            consentTypes: policy.consentTypes
+          },
+          previousConsent: {
+            version: current.consentVersion || null,
+            date: current.consentDate ? moment(current.consentDate).format('DD/MM/YYYY') : null,
+            marketing: Boolean(current.marketing),
+            thirdParty: Boolean(current.thirdParty)
+          }
+        }, format, {
+          metadata: {
+            documentType: RECONSENT_TEMPLATE,
+            category: 'privacy'
+          }
+        });
+
+        results.push({ clientId: client._id, name: client.name, status: 'generated', filePath });
+      } catch (error) {
+        results.push({ clientId: client._id, name: client.name, status: 'failed', error: error.message });
+      }
+    }
+
+    // ID richiesti ma non trovati (inesistenti, disattivati o anonimizzati)
+    const foundIds = clients.map(client => client._id.toString());
+    clientIds
+      .filter(id => !foundIds.includes(id.toString()))
+      .forEach(id => results.push({ clientId: id, status: 'failed', error: 'Cliente non trovato o non attivo' }));
+
+    const summary = {
+      generated: results.filter(r => r.status === 'generated').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length
+    };
+
+    await ActivityLog.create({
+      user: options.user ? options.user._id : undefined,
+      activityType: 'privacy_reconsent_letters',
+      details: {
+        policyVersion: policy.version,
+        format,
+        clientIds: results.filter(r => r.status === 'generated').map(r => r.clientId),
+        summary
+      }
+    });
+
+    return { policyVersion: policy.version, results, summary };
+  } catch (error) {
+    console.error('Errore nella generazione delle lettere di riconsenso:', error);
+    throw new Error(`Impossibile generare le lettere di riconsenso: ${error.message}`);
+  }
+};
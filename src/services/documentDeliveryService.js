@@ -0,0 +1,603 @@
+/**
+ * Document Delivery Service
+ *
+ * Invio dei documenti ai clienti via email o PEC tramite i server SMTP
+ * dello studio (mailer). Ogni invio è registrato in coda (DocumentDelivery) prima
+ * di contattare il server:
+ * - errori temporanei (server non raggiungibile, risposte 4xx): nuovo
+ *   tentativo con attesa crescente, eseguito dallo scheduler
+ * - errori definitivi (destinatario rifiutato, risposte 5xx) e notifiche
+ *   di mancato recapito: l'invio è segnato come respinto
+ * Per la PEC l'esito arriva con le ricevute del gestore (pecService): la
+ * ricevuta di avvenuta consegna porta l'invio a "delivered" e ogni ricevuta
+ * viene conservata sul documento come prova legale.
+ * Lo stato è riportato su Document.delivery.deliveryStatus; se l'invio
+ * fallisce definitivamente l'utente che l'ha richiesto viene avvisato.
+ */
+
+const fs = require('fs').promises;
+const Document = require('../models/Document');
+const DocumentDelivery = require('../models/DocumentDelivery');
+const Client = require('../models/Client');
+const mailer = require('./mailer');
+const fileStorageService = require('./fileStorageService');
+const notificationService = require('./notificationService');
+const pecService = require('./pecService');
+
+// Attesa prima dei nuovi tentativi, in minuti (l'ultima si ripete)
+const RETRY_DELAYS_MINUTES = [5, 15, 60, 240, 720];
+
+const MAX_ATTEMPTS = parseInt(process.env.DOCUMENT_DELIVERY_MAX_ATTEMPTS, 10) || 6;
+
+// Invii rimasti in corso (es. riavvio del server durante l'invio) da rimettere in coda
+const STALE_SENDING_MINUTES = 30;
+
+// Intestazione per ricondurre le notifiche di mancato recapito all'invio
+const DELIVERY_HEADER = 'X-Document-Delivery';
+
+// Modello predefinito dell'email; i segnaposto {{nome}} sono sostituiti da buildMessage
+const EMAIL_TEMPLATE = {
+  subject: 'Documento {{documentName}} - {{clientName}}',
+  text: [
+    'Gentile {{clientName}},',
+    '',
+    'in allegato trova il documento "{{documentName}}".',
+    '{{message}}',
+    '',
+    'Cordiali saluti,',
+    '{{senderName}}'
+  ].join('\n')
+};
+
+// Ricevute PEC che chiudono l'invio con un errore
+const PEC_FAILURE_RECEIPTS = ['non-accettazione', 'errore-consegna', 'rilevazione-virus'];
+
+// Codici nodemailer di errori di connessione (temporanei)
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNREFUSED', 'ECONNRESET'];
+
+/**
+ * Converte i caratteri speciali HTML
+ * @param {string} text - Testo
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Sostituisce i segnaposto {{nome}}; quelli senza valore restano vuoti
+ * @param {string} template - Modello
+ * @param {Object} variables - Valori
+ * @returns {string}
+ */
+exports.renderTemplate = (template, variables = {}) => String(template || '')
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+  ));
+
+/**
+ * Oggetto e testo dell'email di invio di un documento
+ * @param {Object} document - Documento
+ * @param {Object} client - Cliente
+ * @param {Object} options - { subject, body, message, senderName }
+ * @returns {Object} - { subject, text, html }
+ */
+exports.buildMessage = (document, client, options = {}) => {
+  const variables = {
+    clientName: client ? client.name : '',
+    documentName: (document.metadata && document.metadata.title) || document.originalName,
+    message: options.message || '',
+    senderName: options.senderName || 'Studio Biliato'
+  };
+
+  const subject = this.renderTemplate(options.subject || EMAIL_TEMPLATE.subject, variables).trim();
+  // Le righe rimaste vuote per un segnaposto senza valore non vengono ripetute
+  const text = this.renderTemplate(options.body || EMAIL_TEMPLATE.text, variables)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    subject,
+    text,
+    html: text.split('\n').map(line => (line ? `<p>${escapeHtml(line)}</p>` : '')).join('\n')
+  };
+};
+
+/**
+ * Allegato del documento nel formato in cui è archiviato: file locale o
+ * oggetto dello storage S3
+ * @param {Object} document - Documento
+ * @returns {Promise<Object>} - Allegato nodemailer
+ */
+exports.getAttachment = async (document) => {
+  const attachment = {
+    filename: document.originalName || document.filename,
+    contentType: document.mimeType
+  };
+
+  try {
+    await fs.access(document.path);
+    return { ...attachment, path: document.path };
+  } catch (error) {
+    const content = await fileStorageService.getFile(document.path);
+    return { ...attachment, content };
+  }
+};
+
+/**
+ * Verifica se un errore SMTP è definitivo (inutile ritentare)
+ * @param {Error} error - Errore dell'invio
+ * @returns {boolean}
+ */
+exports.isPermanentFailure = (error) => {
+  if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+    return false;
+  }
+
+  // Le credenziali errate si correggono nella configurazione: si ritenta
+  if (error.code === 'EAUTH') {
+    return false;
+  }
+
+  return Boolean(error.responseCode && error.responseCode >= 500 && error.responseCode < 600);
+};
+
+/**
+ * Attesa prima del prossimo tentativo
+ * @param {number} attempts - Tentativi già eseguiti
+ * @returns {number} - Millisecondi
+ */
+const getRetryDelay = (attempts) => {
+  const minutes = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Aggiorna lo stato di invio sul documento
+ * @param {string} documentId - ID del documento
+ * @param {Object} fields - Campi di Document.delivery (undefined li rimuove)
+ * @returns {Promise}
+ */
+const updateDocumentDelivery = (documentId, fields) => {
+  const update = { $set: {} };
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value === undefined) {
+      update.$unset = { ...update.$unset, [`delivery.${field}`]: '' };
+    } else {
+      update.$set[`delivery.${field}`] = value;
+    }
+  });
+  return Document.updateOne({ _id: documentId }, update);
+};
+
+/**
+ * Avvisa chi ha richiesto l'invio (o gli operatori del cliente) che il
+ * documento non è stato recapitato
+ * @param {Object} delivery - Invio
+ * @returns {Promise}
+ */
+const notifyFailure = async (delivery) => {
+  const data = {
+    type: 'document_delivery_failed',
+    title: 'Documento non recapitato',
+    message: `L'invio a ${delivery.to.join(', ')} non è riuscito: ${delivery.error || 'errore sconosciuto'}`,
+    link: `/documents?delivery=${delivery._id}`,
+    metadata: { deliveryId: delivery._id, documentId: delivery.documentId }
+  };
+
+  try {
+    if (delivery.sentBy) {
+      await notificationService.notify([delivery.sentBy], { ...data, client: delivery.clientId });
+    } else if (delivery.clientId) {
+      const client = await Client.findById(delivery.clientId);
+      if (client) {
+        await notificationService.notifyClientOperators(client, data);
+      }
+    }
+  } catch (error) {
+    console.error('Errore nella notifica del mancato recapito:', error);
+  }
+};
+
+/**
+ * Esegue un tentativo di invio
+ * @param {Object} delivery - Invio (DocumentDelivery)
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - Invio aggiornato
+ */
+exports.processDelivery = async (delivery, options = {}) => {
+  const now = options.now || new Date();
+
+  delivery.status = 'sending';
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now;
+  await delivery.save();
+
+  try {
+    const document = await Document.findById(delivery.documentId);
+    if (!document) {
+      throw Object.assign(new Error('Documento non trovato'), { permanent: true });
+    }
+
+    const result = await mailer.sendMail({
+      to: delivery.to,
+      cc: delivery.cc.length > 0 ? delivery.cc : undefined,
+      subject: delivery.subject,
+      text: delivery.text,
+      html: delivery.html,
+      attachments: [await this.getAttachment(document)],
+      headers: { [DELIVERY_HEADER]: String(delivery._id) }
+    }, delivery.channel === 'pec' ? 'pec' : 'default');
+
+    if (result.accepted.length === 0 && result.rejected.length > 0) {
+      throw Object.assign(new Error(`Destinatari rifiutati: ${result.rejected.join(', ')}`), { responseCode: 550 });
+    }
+
+    delivery.messageId = result.messageId;
+    delivery.sentAt = now;
+    delivery.recordAttempt('sent', result.rejected.length > 0
+      ? new Error(`Destinatari rifiutati: ${result.rejected.join(', ')}`)
+      : null);
+    await delivery.save();
+
+    await updateDocumentDelivery(delivery.documentId, {
+      isSent: true,
+      sentDate: now,
+      deliveryStatus: 'sent',
+      error: undefined
+    });
+  } catch (error) {
+    const permanent = error.permanent || this.isPermanentFailure(error);
+
+    if (!permanent && delivery.attempts < delivery.maxAttempts) {
+      delivery.recordAttempt('queued', error);
+      delivery.nextAttemptAt = new Date(now.getTime() + getRetryDelay(delivery.attempts));
+      await delivery.save();
+      await updateDocumentDelivery(delivery.documentId, { deliveryStatus: 'pending', error: error.message });
+    } else {
+      delivery.recordAttempt(permanent ? 'bounced' : 'failed', error);
+      delivery.nextAttemptAt = undefined;
+      await delivery.save();
+      await updateDocumentDelivery(delivery.documentId, { deliveryStatus: 'failed', error: error.message });
+      await notifyFailure(delivery);
+    }
+  }
+
+  return delivery;
+};
+
+/**
+ * Mette in coda l'invio di un documento via email e tenta subito l'invio
+ * @param {string} documentId - ID del documento
+ * @param {string|Array} recipients - Destinatari
+ * @param {Object} options - { channel: 'email'|'pec', cc, subject, body, message, user }
+ * @returns {Promise<Object>} - Invio (DocumentDelivery)
+ */
+exports.sendDocumentByEmail = async (documentId, recipients, options = {}) => {
+  try {
+    const document = await Document.findById(documentId);
+    if (!document) {
+      throw new Error('Documento non trovato');
+    }
+
+    const to = [].concat(recipients || []).map(email => String(email).trim()).filter(Boolean);
+    if (to.length === 0) {
+      throw new Error('Il destinatario è obbligatorio');
+    }
+
+    const client = await Client.findById(document.clientId).select('name email');
+    const user = options.user;
+
+    const message = this.buildMessage(document, client, {
+      subject: options.subject,
+      body: options.body,
+      message: options.message,
+      senderName: user && user.firstName ? `${user.firstName} ${user.lastName}` : undefined
+    });
+
+    const channel = options.channel || 'email';
+
+    const delivery = await DocumentDelivery.create({
+      documentId: document._id,
+      clientId: document.clientId,
+      channel,
+      to,
+      cc: [].concat(options.cc || []).filter(Boolean),
+      ...message,
+      maxAttempts: MAX_ATTEMPTS,
+      sentBy: user ? user._id : undefined
+    });
+
+    await updateDocumentDelivery(document._id, {
+      isSent: false,
+      sentTo: to.join(', '),
+      sentMethod: channel,
+      deliveryStatus: 'pending',
+      trackingId: String(delivery._id)
+    });
+
+    return await this.processDelivery(delivery);
+  } catch (error) {
+    console.error('Errore nell\'invio del documento via email:', error);
+    throw new Error(`Impossibile inviare il documento: ${error.message}`);
+  }
+};
+
+/**
+ * Mette in coda l'invio di un documento via PEC
+ * @param {string} documentId - ID del documento
+ * @param {string|Array} recipients - Indirizzi PEC dei destinatari
+ * @param {Object} options - { cc, subject, body, message, user }
+ * @returns {Promise<Object>} - Invio (DocumentDelivery)
+ */
+exports.sendDocumentByPec = async (documentId, recipients, options = {}) => {
+  return this.sendDocumentByEmail(documentId, recipients, { ...options, channel: 'pec' });
+};
+
+/**
+ * Ritenta gli invii in coda giunti all'orario del nuovo tentativo
+ * (eseguito dallo scheduler)
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Object>} - { processed, sent, queued, failed }
+ */
+exports.processQueue = async (options = {}) => {
+  const now = options.now || new Date();
+  const report = { processed: 0, sent: 0, queued: 0, failed: 0 };
+
+  try {
+    // Invii interrotti a metà: tornano in coda
+    await DocumentDelivery.updateMany(
+      { status: 'sending', lastAttemptAt: { $lt: new Date(now.getTime() - STALE_SENDING_MINUTES * 60 * 1000) } },
+      { $set: { status: 'queued', nextAttemptAt: now } }
+    );
+
+    const deliveries = await DocumentDelivery.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(options.limit || 50);
+
+    for (const delivery of deliveries) {
+      await this.processDelivery(delivery, { now });
+      report.processed++;
+
+      if (delivery.status === 'sent') report.sent++;
+      else if (delivery.status === 'queued') report.queued++;
+      else report.failed++;
+    }
+
+    return report;
+  } catch (error) {
+    console.error('Errore nell\'elaborazione della coda degli invii:', error);
+    throw new Error(`Impossibile elaborare la coda degli invii: ${error.message}`);
+  }
+};
+
+/**
+ * Rimette in coda un invio non riuscito e lo ritenta subito
+ * @param {string} deliveryId - ID dell'invio
+ * @returns {Promise<Object>} - Invio aggiornato
+ */
+exports.retryDelivery = async (deliveryId) => {
+  const delivery = await DocumentDelivery.findById(deliveryId);
+  if (!delivery) {
+    throw new Error('Invio non trovato');
+  }
+
+  if (!['failed', 'bounced'].includes(delivery.status)) {
+    throw new Error('Si possono ritentare solo gli invii non riusciti');
+  }
+
+  delivery.attempts = 0;
+  delivery.recordAttempt('queued');
+  await updateDocumentDelivery(delivery.documentId, { deliveryStatus: 'pending' });
+
+  return this.processDelivery(delivery);
+};
+
+/**
+ * Legge una notifica di mancato recapito (DSN, RFC 3464)
+ * @param {string} raw - Messaggio ricevuto
+ * @returns {Object|null} - { deliveryId, messageId, recipient, status, reason, permanent }
+ */
+exports.parseBounceMessage = (raw) => {
+  const text = String(raw || '');
+  const field = (name) => {
+    const match = new RegExp(`^${name}:\\s*(.+)$`, 'im').exec(text);
+    return match ? match[1].trim() : undefined;
+  };
+
+  const deliveryId = field(DELIVERY_HEADER);
+  const messageId = field('Original-Message-ID') || field('Message-ID');
+  if (!deliveryId && !messageId) {
+    return null;
+  }
+
+  const status = field('Status');
+  const action = (field('Action') || '').toLowerCase();
+  const recipient = (field('Final-Recipient') || field('Original-Recipient') || '').replace(/^rfc822;\s*/i, '') || undefined;
+
+  return {
+    deliveryId,
+    messageId,
+    recipient,
+    status,
+    reason: field('Diagnostic-Code') || status || 'Mancato recapito',
+    // "delayed" segnala solo un ritardo
+    permanent: action === 'failed' || Boolean(status && status.startsWith('5'))
+  };
+};
+
+/**
+ * Registra una notifica di mancato recapito
+ * @param {Object} bounce - { deliveryId, messageId, recipient, reason, permanent }
+ * @returns {Promise<Object|null>} - Invio aggiornato, null se non trovato
+ */
+exports.handleBounce = async (bounce) => {
+  try {
+    const delivery = bounce.deliveryId
+      ? await DocumentDelivery.findById(bounce.deliveryId)
+      : await DocumentDelivery.findOne({ messageId: bounce.messageId });
+
+    if (!delivery) {
+      return null;
+    }
+
+    const reason = `${bounce.recipient ? `${bounce.recipient}: ` : ''}${bounce.reason || 'Mancato recapito'}`;
+
+    if (bounce.permanent === false) {
+      // Solo un ritardo: resta lo stato attuale
+      delivery.history.push({ at: new Date(), status: 'delayed', error: reason });
+      await delivery.save();
+      return delivery;
+    }
+
+    delivery.recordAttempt('bounced', new Error(reason));
+    await delivery.save();
+    await updateDocumentDelivery(delivery.documentId, { deliveryStatus: 'failed', error: reason });
+    await notifyFailure(delivery);
+
+    return delivery;
+  } catch (error) {
+    console.error('Errore nella registrazione del mancato recapito:', error);
+    throw new Error(`Impossibile registrare il mancato recapito: ${error.message}`);
+  }
+};
+
+/**
+ * Conserva la ricevuta PEC sullo storage e la collega al documento
+ * @param {Object} delivery - Invio
+ * @param {Object} daticert - Dati della ricevuta
+ * @param {Buffer|string} source - Messaggio della ricevuta (RFC 822)
+ * @returns {Promise<Object>} - Ricevuta collegata
+ */
+const attachPecReceipt = async (delivery, daticert, source) => {
+  const name = `ricevuta-${daticert.type}${daticert.deliveredTo ? `-${daticert.deliveredTo.replace(/[^\w.@-]+/g, '_')}` : ''}.eml`;
+  const file = await fileStorageService.uploadFile({
+    clientId: String(delivery.clientId),
+    originalFilename: name,
+    fileContent: Buffer.isBuffer(source) ? source : Buffer.from(String(source)),
+    mimeType: 'message/rfc822',
+    category: 'pec-receipts',
+    metadata: { documentId: String(delivery.documentId), deliveryId: String(delivery._id), receiptType: daticert.type }
+  });
+
+  const receipt = {
+    type: daticert.type,
+    recipient: daticert.deliveredTo,
+    identifier: daticert.identifier,
+    date: daticert.date,
+    path: file.key,
+    filename: name,
+    size: file.size,
+    deliveryId: delivery._id
+  };
+
+  await Document.updateOne({ _id: delivery.documentId }, { $push: { 'delivery.receipts': receipt } });
+
+  return receipt;
+};
+
+/**
+ * Registra una ricevuta PEC (accettazione, consegna o errore)
+ * @param {Object} receipt - { daticert, source, receivedAt }
+ * @returns {Promise<Object|null>} - Invio aggiornato, null se la ricevuta non riguarda un invio dei documenti
+ */
+exports.handlePecReceipt = async ({ daticert, source, receivedAt }) => {
+  try {
+    if (!daticert.messageId || daticert.type === 'posta-certificata') {
+      return null;
+    }
+
+    const delivery = await DocumentDelivery.findOne({ channel: 'pec', messageId: daticert.messageId });
+    if (!delivery) {
+      return null;
+    }
+
+    // La stessa ricevuta può essere riletta se la casella non è stata aggiornata
+    // (l'identificativo è quello del messaggio: è comune a tutte le sue ricevute)
+    if (await Document.exists({
+      _id: delivery.documentId,
+      'delivery.receipts': {
+        $elemMatch: { type: daticert.type, identifier: daticert.identifier, recipient: daticert.deliveredTo }
+      }
+    })) {
+      return delivery;
+    }
+
+    await attachPecReceipt(delivery, daticert, source);
+
+    const at = daticert.date || receivedAt || new Date();
+    const reason = daticert.extendedError || (daticert.error !== 'nessuno' ? daticert.error : undefined);
+
+    if (PEC_FAILURE_RECEIPTS.includes(daticert.type)) {
+      const failure = `${daticert.deliveredTo ? `${daticert.deliveredTo}: ` : ''}${reason || daticert.type}`;
+      delivery.recordAttempt('bounced', new Error(failure));
+      await delivery.save();
+      await updateDocumentDelivery(delivery.documentId, { deliveryStatus: 'failed', error: failure });
+      await notifyFailure(delivery);
+      return delivery;
+    }
+
+    delivery.history.push({ at, status: daticert.type, error: reason });
+
+    if (daticert.type === 'avvenuta-consegna' && daticert.deliveredTo) {
+      const address = daticert.deliveredTo.toLowerCase();
+      if (!delivery.deliveredTo.includes(address)) {
+        delivery.deliveredTo.push(address);
+      }
+
+      // Consegnato quando è arrivata la ricevuta di ogni destinatario
+      const recipients = [...delivery.to, ...delivery.cc].map(email => email.toLowerCase());
+      if (delivery.status !== 'bounced' && recipients.every(email => delivery.deliveredTo.includes(email))) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = at;
+        await updateDocumentDelivery(delivery.documentId, { isSent: true, deliveryStatus: 'delivered', error: undefined });
+      }
+    }
+
+    await delivery.save();
+    return delivery;
+  } catch (error) {
+    console.error('Errore nella registrazione della ricevuta PEC:', error);
+    throw new Error(`Impossibile registrare la ricevuta PEC: ${error.message}`);
+  }
+};
+
+/**
+ * Legge le nuove ricevute dalla casella PEC (eseguito dallo scheduler)
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { checked, handled, errors }
+ */
+exports.ingestPecReceipts = async (options = {}) => {
+  if (!pecService.isImapConfigured()) {
+    return { checked: 0, handled: 0, errors: 0 };
+  }
+
+  try {
+    return await pecService.fetchReceipts(
+      async (receipt) => Boolean(await this.handlePecReceipt(receipt)),
+      { limit: options.limit }
+    );
+  } catch (error) {
+    console.error('Errore nella lettura delle ricevute PEC:', error);
+    throw new Error(`Impossibile leggere le ricevute PEC: ${error.message}`);
+  }
+};
+
+/**
+ * Storico degli invii di un documento
+ * @param {string} documentId - ID del documento
+ * @returns {Promise<Array>}
+ */
+exports.getDeliveries = async (documentId) => {
+  return DocumentDelivery.find({ documentId })
+    .select('-html')
+    .populate('sentBy', 'firstName lastName')
+    .sort({ createdAt: -1 });
+};
+
+exports.EMAIL_TEMPLATE = EMAIL_TEMPLATE;
+exports.RETRY_DELAYS_MINUTES = RETRY_DELAYS_MINUTES;
+exports.DELIVERY_HEADER = DELIVERY_HEADER;
+exports.PEC_FAILURE_RECEIPTS = PEC_FAILURE_RECEIPTS;
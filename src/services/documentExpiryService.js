@@ -0,0 +1,468 @@
+/**
+ * Document Expiry Service
+ *
+ * Controlla periodicamente le scadenze dei documenti dei clienti
+ * (documenti d'identità, DURC, visure camerali, permessi di soggiorno, ...):
+ * - i documenti scaduti passano allo stato "scaduto" e la voce
+ *   corrispondente della checklist di onboarding torna "in_attesa";
+ * - N giorni prima della scadenza viene generata una lettera di richiesta
+ *   di rinnovo per il cliente, con notifica agli operatori e agli utenti
+ *   del portale del cliente.
+ * Vengono considerati sia i documenti in anagrafica (Client.documents)
+ * sia quelli archiviati nella collezione Document.
+ */
+
+const moment = require('moment');
+const Client = require('../models/Client');
+const Document = require('../models/Document');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const documentGenerator = require('./documentGenerator');
+const notificationService = require('./notificationService');
+const clientHistoryService = require('./clientHistoryService');
+
+const RENEWAL_TEMPLATE = 'document-renewal';
+
+// Giorni di preavviso predefiniti per la richiesta di rinnovo
+const DEFAULT_NOTICE_DAYS = parseInt(process.env.DOCUMENT_RENEWAL_NOTICE_DAYS, 10) || 30;
+
+// Giorni concessi al cliente per inviare il documento rinnovato
+const RENEWAL_RESPONSE_DAYS = 15;
+
+/**
+ * Tipologie di documenti soggetti a scadenza. I documenti senza data di
+ * scadenza esplicita ma con una validità convenzionale (DURC, visura)
+ * scadono dopo validityDays dal caricamento.
+ */
+const EXPIRING_DOCUMENT_KINDS = [
+  { kind: 'identity', label: 'Documento d\'identità', keywords: ['identità', 'identita', 'passaporto', 'patente'] },
+  { kind: 'residence_permit', label: 'Permesso di soggiorno', keywords: ['permesso di soggiorno'] },
+  { kind: 'durc', label: 'DURC', keywords: ['durc', 'regolarità contributiva'], validityDays: 120 },
+  // Le visure si richiedono "non più vecchie di 3 mesi" (vedi questionario di onboarding)
+  { kind: 'chamber_registration', label: 'Visura camerale', keywords: ['visura'], validityDays: 90 },
+  { kind: 'antimafia', label: 'Certificazione antimafia', keywords: ['antimafia'], validityDays: 180 }
+];
+
+/**
+ * Normalizza un testo per il confronto tra nomi di documenti
+ * @param {string} text - Testo
+ * @returns {string}
+ */
+const normalize = (text) => String(text || '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+
+/**
+ * Determina la tipologia di un documento dal nome o dal tipo
+ * @param {string} name - Nome o tipo del documento
+ * @returns {Object|null} - Tipologia da EXPIRING_DOCUMENT_KINDS
+ */
+exports.classifyDocument = (name) => {
+  const text = normalize(name);
+  return EXPIRING_DOCUMENT_KINDS.find(kind => kind.keywords.some(keyword => text.includes(keyword))) || null;
+};
+
+/**
+ * Calcola la data di scadenza effettiva di un documento
+ * @param {Object} params - { expiryDate, uploadDate, name }
+ * @returns {Date|null}
+ */
+exports.getEffectiveExpiryDate = ({ expiryDate, uploadDate, name }) => {
+  if (expiryDate) {
+    return new Date(expiryDate);
+  }
+
+  const kind = this.classifyDocument(name);
+  if (kind && kind.validityDays && uploadDate) {
+    return moment(uploadDate).add(kind.validityDays, 'days').toDate();
+  }
+
+  return null;
+};
+
+/**
+ * Trova la voce della checklist di onboarding relativa a un documento:
+ * prima per ID del documento, poi per nome, infine per tipologia
+ *
+ * @param {Object} client - Cliente
+ * @param {Object} params - { documentId, name }
+ * @returns {Object|null} - Voce della checklist
+ */
+exports.findChecklistItem = (client, { documentId, name }) => {
+  const checklist = (client.onboarding && client.onboarding.checklist) || [];
+
+  if (documentId) {
+    const byId = checklist.find(item => item.documentId && item.documentId.toString() === documentId.toString());
+    if (byId) return byId;
+  }
+
+  const documentName = normalize(name);
+  const byName = checklist.find(item => {
+    const itemName = normalize(item.name);
+    return documentName && (itemName === documentName || itemName.includes(documentName) || documentName.includes(itemName));
+  });
+  if (byName) return byName;
+
+  const kind = this.classifyDocument(name);
+  return kind
+    ? checklist.find(item => (this.classifyDocument(item.name) || {}).kind === kind.kind) || null
+    : null;
+};
+
+/**
+ * Riporta in attesa la voce della checklist di un documento scaduto. La voce
+ * collegata a un altro documento (es. il rinnovo già caricato e verificato)
+ * resta invariata.
+ * @param {Object} client - Cliente
+ * @param {Object} params - { documentId, name, expiryDate }
+ * @returns {Object|null} - Voce riaperta, null se assente, già in attesa o di un altro documento
+ */
+const reopenChecklistItem = (client, { documentId, name, expiryDate }) => {
+  const item = exports.findChecklistItem(client, { documentId, name });
+
+  if (!item || item.status === 'in_attesa') {
+    return null;
+  }
+
+  if (item.documentId && (!documentId || item.documentId.toString() !== documentId.toString())) {
+    return null;
+  }
+
+  item.status = 'in_attesa';
+  item.verifiedAt = undefined;
+  item.notes = `Documento scaduto il ${moment(expiryDate).format('DD/MM/YYYY')}: richiedere la versione aggiornata`;
+
+  return item;
+};
+
+/**
+ * Raccoglie i documenti di un cliente con una data di scadenza,
+ * dall'anagrafica e dalla collezione Document
+ *
+ * @param {Object} client - Cliente
+ * @param {Array} archivedDocuments - Documenti della collezione Document del cliente
+ * @returns {Array<Object>} - Voci { source, ref, documentId, name, matchName, expiryDate, alreadyExpired, renewalRequestedAt }
+ */
+const collectDocuments = (client, archivedDocuments = []) => {
+  const entries = (client.documents || []).map(doc => {
+    // Il tipo "Identità" aiuta a riconoscere file con nomi generici (es. scansione.pdf)
+    const matchName = doc.type === 'Identità' ? `${doc.name || ''} identità` : doc.name;
+
+    return {
+      source: 'client',
+      ref: doc,
+      documentId: doc._id,
+      name: doc.name || doc.type,
+      matchName,
+      expiryDate: exports.getEffectiveExpiryDate({ expiryDate: doc.expiryDate, uploadDate: doc.uploadDate, name: matchName }),
+      alreadyExpired: doc.status === 'scaduto',
+      renewalRequestedAt: doc.renewalRequestedAt
+    };
+  });
+
+  archivedDocuments
+    .filter(doc => !['archived', 'rejected'].includes(doc.status))
+    .forEach(doc => {
+      const metadata = doc.metadata || {};
+      const name = metadata.docType || doc.originalName;
+      const matchName = doc.category === 'identity' ? `${name} identità` : name;
+
+      entries.push({
+        source: 'archive',
+        ref: doc,
+        documentId: doc._id,
+        name,
+        matchName,
+        expiryDate: exports.getEffectiveExpiryDate({ expiryDate: metadata.expiryDate, uploadDate: doc.createdAt, name: matchName }),
+        alreadyExpired: doc.status === 'expired',
+        renewalRequestedAt: metadata.renewalRequestedAt
+      });
+    });
+
+  return entries.filter(entry => entry.expiryDate);
+};
+
+/**
+ * Controlla le scadenze dei documenti di un cliente e applica le modifiche
+ * (senza salvare): documenti scaduti, checklist e documenti da rinnovare
+ *
+ * @param {Object} client - Cliente
+ * @param {Array} archivedDocuments - Documenti della collezione Document del cliente
+ * @param {Object} options - { now, noticeDays }
+ * @returns {Object} - { expired, toRenew }
+ */
+exports.checkClientDocuments = (client, archivedDocuments = [], options = {}) => {
+  const now = options.now || new Date();
+  const noticeDays = options.noticeDays || DEFAULT_NOTICE_DAYS;
+  const horizon = moment(now).add(noticeDays, 'days').toDate();
+
+  const expired = [];
+  const toRenew = [];
+
+  collectDocuments(client, archivedDocuments).forEach(entry => {
+    const isExpired = entry.expiryDate <= now;
+
+    if (isExpired && !entry.alreadyExpired) {
+      if (entry.source === 'client') {
+        entry.ref.status = 'scaduto';
+        entry.ref.expiredAt = now;
+      } else {
+        entry.ref.status = 'expired';
+      }
+
+      entry.checklistItem = reopenChecklistItem(client, {
+        documentId: entry.documentId,
+        name: entry.matchName,
+        expiryDate: entry.expiryDate
+      });
+      expired.push(entry);
+    }
+
+    // Una sola richiesta di rinnovo per documento
+    if (entry.expiryDate <= horizon && !entry.renewalRequestedAt) {
+      toRenew.push({ ...entry, expired: isExpired });
+    }
+  });
+
+  return { expired, toRenew };
+};
+
+/**
+ * Genera la lettera di richiesta di rinnovo per i documenti indicati e
+ * segna i documenti come già richiesti
+ *
+ * @param {Object} client - Cliente
+ * @param {Array} documents - Documenti da rinnovare (da checkClientDocuments)
+ * @param {Object} options - { now, format }
+ * @returns {Promise<string>} - Percorso della lettera generata
+ */
+exports.generateRenewalRequest = async (client, documents, options = {}) => {
+  const now = options.now || new Date();
+
+  const letterPath = await documentGenerator.generateDocument(RENEWAL_TEMPLATE, {
+    ...client.toObject(),
+    address: client.contactInfo && client.contactInfo.address,
+    renewal: {
+      requestedBy: moment(now).add(RENEWAL_RESPONSE_DAYS, 'days').format('DD/MM/YYYY'),
+      documents: documents.map(doc => ({
+        name: doc.name,
+        expiryDate: moment(doc.expiryDate).format('DD/MM/YYYY'),
+        expired: doc.expired,
+        daysToExpiry: Math.max(moment(doc.expiryDate).diff(moment(now), 'days'), 0)
+      }))
+    }
+  }, options.format || 'pdf', {
+    metadata: {
+      documentType: RENEWAL_TEMPLATE,
+      category: 'communication'
+    }
+  });
+
+  documents.forEach(doc => {
+    if (doc.source === 'client') {
+      doc.ref.renewalRequestedAt = now;
+      doc.ref.renewalLetterPath = letterPath;
+    } else {
+      doc.ref.metadata.renewalRequestedAt = now;
+    }
+  });
+
+  return letterPath;
+};
+
+/**
+ * Esegue il controllo delle scadenze su tutti i clienti attivi
+ *
+ * @param {Object} options - { now, noticeDays, format, dryRun, clientId }
+ * @returns {Promise<Object>} - Report del controllo
+ */
+exports.runExpiryCheck = async (options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const noticeDays = options.noticeDays || DEFAULT_NOTICE_DAYS;
+
+    const query = {
+      isActive: true,
+      'gdprErasure.erasedAt': { $exists: false }
+    };
+    if (options.clientId) {
+      query._id = options.clientId;
+    }
+
+    const clients = await Client.find(query);
+    const report = {
+      runAt: now,
+      noticeDays,
+      dryRun: Boolean(options.dryRun),
+      clientsScanned: clients.length,
+      expired: [],
+      renewalRequests: [],
+      errors: []
+    };
+
+    for (const client of clients) {
+      try {
+        const archivedDocuments = await Document.find({ clientId: client._id });
+        const before = client.toObject();
+        const { expired, toRenew } = this.checkClientDocuments(client, archivedDocuments, { now, noticeDays });
+
+        if (expired.length === 0 && toRenew.length === 0) {
+          continue;
+        }
+
+        expired.forEach(doc => report.expired.push({
+          clientId: client._id,
+          clientName: client.name,
+          document: doc.name,
+          expiryDate: doc.expiryDate,
+          checklistItem: doc.checklistItem ? doc.checklistItem.name : null
+        }));
+
+        if (options.dryRun) {
+          toRenew.forEach(doc => report.renewalRequests.push({
+            clientId: client._id,
+            clientName: client.name,
+            document: doc.name,
+            expiryDate: doc.expiryDate
+          }));
+          continue;
+        }
+
+        let letterPath = null;
+        if (toRenew.length > 0) {
+          letterPath = await this.generateRenewalRequest(client, toRenew, { now, format: options.format });
+          toRenew.forEach(doc => report.renewalRequests.push({
+            clientId: client._id,
+            clientName: client.name,
+            document: doc.name,
+            expiryDate: doc.expiryDate,
+            letterPath
+          }));
+        }
+
+        // I documenti con dati incompleti non devono bloccare il controllo
+        await client.save({ validateBeforeSave: false });
+        await clientHistoryService.recordChanges(before, client, { source: 'system' });
+        for (const doc of [...expired, ...toRenew].filter(d => d.source === 'archive')) {
+          await doc.ref.save();
+        }
+
+        await this.notifyExpiryEvents(client, { expired, toRenew, letterPath });
+      } catch (error) {
+        console.error(`Errore nel controllo scadenze del cliente ${client._id}:`, error);
+        report.errors.push({ clientId: client._id, clientName: client.name, error: error.message });
+      }
+    }
+
+    if (!options.dryRun) {
+      await ActivityLog.create({
+        activityType: 'document_expiry_check',
+        details: {
+          runAt: now,
+          clientsScanned: report.clientsScanned,
+          expired: report.expired.length,
+          renewalRequests: report.renewalRequests.length,
+          errors: report.errors.length
+        }
+      });
+    }
+
+    return report;
+  } catch (error) {
+    console.error('Errore nel controllo delle scadenze dei documenti:', error);
+    throw new Error(`Impossibile controllare le scadenze dei documenti: ${error.message}`);
+  }
+};
+
+/**
+ * Notifica agli operatori i documenti scaduti e le richieste di rinnovo,
+ * e agli utenti del portale del cliente i documenti da aggiornare
+ *
+ * @param {Object} client - Cliente
+ * @param {Object} events - { expired, toRenew, letterPath }
+ * @returns {Promise<void>}
+ */
+exports.notifyExpiryEvents = async (client, { expired = [], toRenew = [], letterPath = null }) => {
+  if (expired.length > 0) {
+    await notificationService.notifyClientOperators(client, {
+      type: 'document_expired',
+      title: `Documenti scaduti: ${client.name}`,
+      message: `Scaduti: ${expired.map(doc => doc.name).join(', ')}`,
+      metadata: { documents: expired.map(doc => ({ name: doc.name, expiryDate: doc.expiryDate })) }
+    });
+  }
+
+  if (toRenew.length === 0) {
+    return;
+  }
+
+  await notificationService.notifyClientOperators(client, {
+    type: 'document_renewal',
+    title: `Richiesta rinnovo documenti: ${client.name}`,
+    message: `Generata la lettera di richiesta per: ${toRenew.map(doc => doc.name).join(', ')}`,
+    metadata: { letterPath }
+  });
+
+  try {
+    const portalUsers = await User.find({ clientId: client._id, role: 'customer', status: 'active' }).select('_id');
+
+    await notificationService.notify(portalUsers.map(user => user._id), {
+      client: client._id,
+      type: 'document_renewal',
+      title: 'Documenti da aggiornare',
+      message: `Ti chiediamo di caricare la versione aggiornata di: ${toRenew.map(doc => doc.name).join(', ')}`,
+      link: '/portal'
+    });
+  } catch (error) {
+    // La notifica al portale non deve bloccare il controllo
+    console.error('Errore nella notifica del rinnovo al portale:', error);
+  }
+};
+
+/**
+ * Elenca i documenti scaduti o in scadenza entro il numero di giorni indicato
+ *
+ * @param {Object} options - { days, assignedTo, now }
+ * @returns {Promise<Array<Object>>} - Documenti ordinati per scadenza
+ */
+exports.getUpcomingExpirations = async (options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const horizon = moment(now).add(options.days || DEFAULT_NOTICE_DAYS, 'days').toDate();
+
+    const query = {
+      isActive: true,
+      'gdprErasure.erasedAt': { $exists: false }
+    };
+    if (options.assignedTo) {
+      query['onboarding.assignedTo'] = options.assignedTo;
+    }
+
+    const clients = await Client.find(query).select('name fiscalCode onboarding.assignedTo documents onboarding.checklist');
+    const archived = await Document.find({ clientId: { $in: clients.map(client => client._id) } })
+      .select('clientId originalName category status metadata createdAt');
+
+    const results = [];
+    clients.forEach(client => {
+      const clientArchive = archived.filter(doc => doc.clientId && doc.clientId.toString() === client._id.toString());
+
+      collectDocuments(client, clientArchive)
+        .filter(entry => entry.expiryDate <= horizon)
+        .forEach(entry => results.push({
+          clientId: client._id,
+          clientName: client.name,
+          documentId: entry.documentId,
+          source: entry.source,
+          name: entry.name,
+          expiryDate: entry.expiryDate,
+          expired: entry.expiryDate <= now,
+          renewalRequestedAt: entry.renewalRequestedAt || null
+        }));
+    });
+
+    return results.sort((a, b) => a.expiryDate - b.expiryDate);
+  } catch (error) {
+    console.error('Errore nel recupero dei documenti in scadenza:', error);
+    throw new Error(`Impossibile recuperare i documenti in scadenza: ${error.message}`);
+  }
+};
+
+exports.EXPIRING_DOCUMENT_KINDS = EXPIRING_DOCUMENT_KINDS;
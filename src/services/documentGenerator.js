@@ -13,28 +13,37 @@ const Template = require('../models/Template');
 const DocumentModel = require('../models/Document');
 const crypto = require('crypto');
 const exportServices = require('./exports');
+const templateRevisionService = require('./templateRevisionService');
+const templateLanguage = require('../utils/templateLanguage');
 
 /**
  * Carica un template per la generazione di documenti
  * @param {string} templateName - Nome del template da caricare
+ * @param {number} revisionNumber - Revisione da usare (default: la corrente)
  * @returns {Promise<Object>} - Template caricato
  */
-async function loadTemplate(templateName) {
+async function loadTemplate(templateName, revisionNumber = null) {
   try {
     // Prima cerca nel database
     const dbTemplate = await Template.findOne({ name: templateName });
     
     if (dbTemplate) {
+      // Il contenuto è quello della revisione, non modificabile
+      const revision = await templateRevisionService.resolveRevision(dbTemplate, revisionNumber);
+      
       return {
+        _id: dbTemplate._id,
         name: dbTemplate.name,
         displayName: dbTemplate.displayName,
-        content: dbTemplate.content,
+        content: revision.snapshot.content,
+        engine: revision.snapshot.engine || 'ejs',
         css: dbTemplate.css,
         type: dbTemplate.type,
         category: dbTemplate.category,
         supportedFormats: dbTemplate.supportedFormats,
         requiredFields: dbTemplate.requiredFields,
-        version: dbTemplate.version,
+        version: revision.revision,
+        revisionId: revision._id,
         source: 'database'
       };
     }
@@ -57,6 +66,7 @@ async function loadTemplate(templateName) {
         .map(word => word.charAt(0).toUpperCase() + word.slice(1))
         .join(' '),
       content: templateContent,
+      engine: 'ejs',
       css: css,
       type: 'letter', // Valore predefinito
       category: 'other', // Valore predefinito
@@ -157,18 +167,147 @@ function enhanceClientData(clientData, template) {
   return enhancedDataWithDefaults;
 }
 
+/**
+ * Carica le clausole incluse da un template nel linguaggio sicuro, comprese
+ * quelle incluse dalle clausole stesse. Le clausole indicate in pinned usano
+ * la revisione registrata sul documento (anche se nel frattempo disattivate),
+ * le altre la revisione corrente delle clausole attive.
+ * @param {string} content - Contenuto del template
+ * @param {Object} pinned - Revisioni da usare { nome: numero di revisione }
+ * @param {Object} clauses - Clausole già caricate
+ * @returns {Promise<Object>} - { nome: { name, template, revision, revisionId, content } }
+ */
+async function loadClauses(content, pinned = {}, clauses = {}) {
+  const { includes } = templateLanguage.collectReferences(content);
+  const missing = includes.filter(name => clauses[name] === undefined);
+  
+  if (missing.length === 0) {
+    return clauses;
+  }
+  
+  const templates = await Template.find({ name: { $in: missing }, category: 'clause' });
+  const loaded = [];
+  
+  for (const clause of templates) {
+    const pinnedRevision = pinned[clause.name];
+    if (!pinnedRevision && !clause.isActive) continue;
+    
+    const revision = await templateRevisionService.resolveRevision(clause, pinnedRevision || null);
+    clauses[clause.name] = {
+      name: clause.name,
+      template: clause._id,
+      revision: revision.revision,
+      revisionId: revision._id,
+      content: revision.snapshot.content
+    };
+    loaded.push(clauses[clause.name]);
+  }
+  
+  // Le clausole non trovate sono segnalate dal rendering
+  for (const clause of loaded) {
+    await loadClauses(clause.content, pinned, clauses);
+  }
+  
+  return clauses;
+}
+
+/**
+ * Converte le revisioni delle clausole registrate su un documento
+ * nella mappa { nome: numero di revisione }
+ * @param {Array} clauseRevisions - Revisioni delle clausole ({ name, revision })
+ * @returns {Object}
+ */
+function toPinnedClauses(clauseRevisions = []) {
+  return clauseRevisions.reduce((pinned, clause) => {
+    pinned[clause.name] = clause.revision;
+    return pinned;
+  }, {});
+}
+
+/**
+ * Esegue il rendering del contenuto di un template: EJS oppure linguaggio
+ * sicuro (senza codice JavaScript) con le clausole incluse
+ * @param {Object} template - Template ({ content, engine })
+ * @param {Object} data - Dati già estesi con enhanceClientData
+ * @param {Object} options - Opzioni di rendering EJS; { clauses } revisioni
+ *   delle clausole da usare per il linguaggio sicuro
+ * @returns {Promise<string>} - HTML generato
+ */
+async function renderContent(template, data, options = {}) {
+  const { clauses, ...ejsOptions } = options;
+  
+  if (template.engine === 'safe') {
+    const loaded = await loadClauses(template.content, toPinnedClauses(clauses));
+    const partials = {};
+    Object.keys(loaded).forEach(name => { partials[name] = loaded[name].content; });
+    
+    return templateLanguage.render(template.content, data, { partials });
+  }
+  
+  return ejs.render(template.content, data, {
+    ...ejsOptions,
+    rmWhitespace: false,
+    compileDebug: process.env.NODE_ENV !== 'production'
+  });
+}
+
+/**
+ * Revisioni delle clausole incluse da una revisione del template, da
+ * registrare sul documento generato per poterlo riprodurre in seguito
+ * @param {string} templateName - Nome del template
+ * @param {number} revisionNumber - Revisione del template (default: la corrente)
+ * @returns {Promise<Array>} - [{ name, template, revision, revisionId }]
+ */
+exports.resolveClauses = async (templateName, revisionNumber = null) => {
+  try {
+    const template = await loadTemplate(templateName, revisionNumber);
+    if (template.engine !== 'safe') {
+      return [];
+    }
+    
+    const clauses = await loadClauses(template.content);
+    return Object.values(clauses).map(({ name, template: templateId, revision, revisionId }) => ({
+      name,
+      template: templateId,
+      revision,
+      revisionId
+    }));
+  } catch (error) {
+    console.error('Errore nel caricamento delle clausole del template:', error);
+    throw new Error(`Impossibile caricare le clausole del template ${templateName}: ${error.message}`);
+  }
+};
+
+/**
+ * Genera l'HTML di un template con i dati di un cliente senza salvare
+ * alcun file (anteprima dell'editor dei template)
+ * @param {Object} template - Template ({ name, displayName, version, engine, content, defaultData })
+ * @param {Object} clientData - Dati del cliente
+ * @param {Object} options - { clauses } revisioni delle clausole da usare (default: le correnti)
+ * @returns {Promise<string>} - HTML generato
+ */
+exports.renderTemplate = async (template, clientData, options = {}) => renderContent(
+  template,
+  enhanceClientData(clientData, template),
+  { clauses: options.clauses }
+);
+
 /**
  * Genera un documento basato su template e dati del cliente
  * @param {string} templateName - Nome del template da utilizzare
  * @param {Object} clientData - Dati del cliente per popolare il template
  * @param {string} format - Formato di output ('html', 'pdf', 'docx')
- * @param {Object} options - Opzioni aggiuntive per la generazione
+ * @param {Object} generationOptions - Opzioni aggiuntive per la generazione ({ revision } per
+ *   generare da una revisione precedente del template, { clauses } con le revisioni delle
+ *   clausole registrate sul documento, vedi resolveClauses)
  * @returns {Promise<string>} - Percorso al documento generato
  */
-exports.generateDocument = async (templateName, clientData, format = 'html', options = {}) => {
+exports.generateDocument = async (templateName, clientData, format = 'html', generationOptions = {}) => {
   try {
+    const { revision, clauses, ...options } = generationOptions;
+    
     // Carica il template
-    const template = await loadTemplate(templateName);
+    const template = await loadTemplate(templateName, revision);
     
     // Valida i dati del cliente
     if (template.requiredFields && template.requiredFields.length > 0) {
@@ -181,15 +320,8 @@ exports.generateDocument = async (templateName, clientData, format = 'html', opt
     // Prepara i dati con variabili helper e valori predefiniti
     const enhancedData = enhanceClientData(clientData, template);
     
-    // Imposta opzioni specifiche per il rendering
-    const renderOptions = {
-      ...options,
-      rmWhitespace: false,
-      compileDebug: process.env.NODE_ENV !== 'production'
-    };
-    
-    // Esegui il rendering del template con EJS per ottenere l'HTML
-    const renderedHtml = ejs.render(template.content, enhancedData, renderOptions);
+    // Esegui il rendering del template per ottenere l'HTML
+    const renderedHtml = await renderContent(template, enhancedData, { ...options, clauses });
     
     // Crea le cartelle di output
     const clientDir = clientData.fiscalCode || 'temp';
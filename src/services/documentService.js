@@ -10,6 +10,15 @@ const Document = require('../models/Document');
 const Client = require('../models/Client');
 const documentGenerator = require('./documentGenerator');
 const templateService = require('./templateService');
+const documentDeliveryService = require('./documentDeliveryService');
+const templateRevisionService = require('./templateRevisionService');
+
+// MIME type dei formati generati
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  html: 'text/html'
+};
 
 /**
  * Crea un nuovo documento
@@ -30,44 +39,49 @@ exports.createDocument = async (documentData) => {
 };
 
 /**
- * Registra un documento generato nel database
+ * Registra un documento generato nel database, legato alla revisione del
+ * template usata per generarlo
  * @param {string} filePath - Percorso del file generato
  * @param {string} clientId - ID del cliente
  * @param {string} templateId - ID del template
  * @param {string} format - Formato del documento
  * @param {Object} metadata - Metadati aggiuntivi
+ * @param {Object} revision - Revisione del template usata (default: la corrente)
+ * @param {Array} clauses - Revisioni delle clausole incluse (documentGenerator.resolveClauses)
  * @returns {Promise<Object>} - Documento registrato
  */
-exports.registerGeneratedDocument = async (filePath, clientId, templateId, format, metadata = {}) => {
+exports.registerGeneratedDocument = async (filePath, clientId, templateId, format, metadata = {}, revision = null, clauses = []) => {
   try {
     // Ottieni informazioni sul file
     const stats = await fs.stat(filePath);
     const filename = path.basename(filePath);
     
-    // Ottieni informazioni sul template
+    // Ottieni informazioni sul template e sulla revisione
     const template = await templateService.getTemplateById(templateId);
+    const templateRevision = revision || await templateRevisionService.resolveRevision(template);
     
     // Crea il documento
     const document = new Document({
-      name: metadata.name || template.displayName,
+      clientId,
       filename,
-      path: filePath,
-      client: clientId,
-      template: templateId,
-      templateVersion: template.version,
-      format,
-      category: template.category,
-      documentType: template.type,
+      originalName: metadata.name ? `${metadata.name}.${format}` : filename,
+      mimeType: MIME_TYPES[format] || 'application/octet-stream',
       size: stats.size,
-      metadata,
-      tags: [...(template.tags || []), ...(metadata.tags || [])]
+      path: filePath,
+      category: mapCategoryToDocumentCategory(template.category),
+      tags: [...(template.tags || []), ...(metadata.tags || [])],
+      metadata: {
+        docType: template.category,
+        expiryDate: metadata.validUntil ? new Date(metadata.validUntil) : undefined
+      },
+      template: template._id,
+      templateVersion: templateRevision.revision,
+      templateRevision: templateRevision._id,
+      clauseRevisions: clauses,
+      status: 'processed',
+      createdBy: metadata.createdBy
     });
     
-    // Se ci sono date di validità, aggiungile
-    if (metadata.validUntil) {
-      document.validUntil = new Date(metadata.validUntil);
-    }
-    
     // Salva il documento
     await document.save();
     
@@ -75,7 +89,7 @@ exports.registerGeneratedDocument = async (filePath, clientId, templateId, forma
     await Client.findByIdAndUpdate(clientId, {
       $push: {
         documents: {
-          name: document.name,
+          name: metadata.name || template.displayName,
           path: filePath,
           type: mapCategoryToClientDocType(template.category),
           uploadDate: new Date()
@@ -329,11 +343,12 @@ exports.convertDocument = async (documentId, targetFormat) => {
     // Ottieni il template
     const templateName = document.template.name;
     
-    // Genera il documento nel nuovo formato
+    // Genera il documento nel nuovo formato dalle stesse revisioni del template e delle clausole
     const outputPath = await documentGenerator.generateDocument(
       templateName,
       clientData,
-      targetFormat
+      targetFormat,
+      { revision: document.templateVersion, clauses: document.clauseRevisions }
     );
     
     // Crea un nuovo record per il documento convertito
@@ -344,6 +359,8 @@ exports.convertDocument = async (documentId, targetFormat) => {
       client: document.client._id,
       template: document.template._id,
       templateVersion: document.templateVersion,
+      templateRevision: document.templateRevision,
+      clauseRevisions: document.clauseRevisions,
       format: targetFormat,
       category: document.category,
       documentType: document.documentType,
@@ -362,49 +379,37 @@ exports.convertDocument = async (documentId, targetFormat) => {
 };
 
 /**
- * Invia un documento via email
+ * Invia un documento via email tramite la coda degli invii
+ * (documentDeliveryService): se il server SMTP non è raggiungibile l'invio
+ * viene ritentato automaticamente
  * @param {string} documentId - ID del documento
- * @param {string} recipientEmail - Email del destinatario
- * @param {Object} emailOptions - Opzioni per l'email
- * @returns {Promise<Object>} - Risultato dell'invio
+ * @param {string|Array} recipientEmail - Email del destinatario
+ * @param {Object} emailOptions - { cc, subject, body, message, user }
+ * @returns {Promise<Object>} - Invio (DocumentDelivery)
  */
 exports.sendDocumentByEmail = async (documentId, recipientEmail, emailOptions = {}) => {
-  try {
-    const document = await Document.findById(documentId)
-      .populate('client', 'name email')
-      .populate('template', 'displayName');
-    
-    if (!document) {
-      throw new Error('Documento non trovato');
-    }
-    
-    // Questa è solo una simulazione - in una implementazione reale,
-    // qui ci sarebbe l'integrazione con un servizio di invio email
-    console.log(`[EMAIL SIMULATA] Invio documento ${document.name} a ${recipientEmail}`);
-    
-    // Aggiorna lo stato del documento
-    document.status = 'sent';
-    document.sentInfo = {
-      sentAt: new Date(),
-      sentBy: emailOptions.sender || 'sistema',
-      sentTo: recipientEmail,
-      sentMethod: 'email',
-      deliveryStatus: 'sent'
-    };
-    
-    await document.save();
-    
-    return {
-      success: true,
-      message: `Documento inviato con successo a ${recipientEmail}`,
-      sentInfo: document.sentInfo
-    };
-  } catch (error) {
-    console.error('Errore nell\'invio del documento:', error);
-    throw new Error(`Impossibile inviare il documento: ${error.message}`);
-  }
+  return documentDeliveryService.sendDocumentByEmail(documentId, recipientEmail, emailOptions);
 };
 
+/**
+ * Mappa le categorie di template alle categorie dei documenti
+ * @param {string} category - Categoria del template
+ * @returns {string} - Categoria del documento
+ */
+function mapCategoryToDocumentCategory(category) {
+  const mapping = {
+    'welcome': 'communication',
+    'contract': 'contract',
+    'report': 'accounting',
+    'invoice': 'accounting',
+    'tax': 'fiscal',
+    'legal': 'legal',
+    'communication': 'communication'
+  };
+  
+  return mapping[category] || 'other';
+}
+
 /**
  * Mappa le categorie di template ai tipi di documento del cliente
  * @param {string} category - Categoria del template
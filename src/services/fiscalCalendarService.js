@@ -0,0 +1,587 @@
+/**
+ * Fiscal Calendar Service
+ *
+ * Scadenzario fiscale italiano: calcola le date degli adempimenti
+ * (versamenti F24, liquidazioni IVA mensili e trimestrali, LIPE,
+ * dichiarazione IVA, Redditi PF/SP/SC, IRAP, 770, CU, acconti d'imposta,
+ * approvazione e deposito del bilancio) e le sposta al primo giorno
+ * lavorativo successivo quando cadono di sabato, domenica o in un giorno
+ * festivo (art. 7, c. 1, lett. h, D.L. 70/2011). I versamenti in scadenza
+ * tra il 1° e il 20 agosto slittano al 20 agosto (art. 3-quater D.L. 16/2012).
+ *
+ * Le scadenze legate all'esercizio sociale (Redditi SC, IRAP, acconti delle
+ * società, bilancio) si calcolano dalla data di chiusura dell'esercizio
+ * (Client.fiscalYearEnd, per default il 31 dicembre) e dal termine di
+ * approvazione del bilancio (120 o 180 giorni).
+ */
+
+const MONTH_NAMES = [
+  'Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno',
+  'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre'
+];
+
+// Chiusura dell'esercizio di default (mese 1-12)
+const DEFAULT_FISCAL_YEAR_END = { month: 12, day: 31 };
+
+// Giorni dalla chiusura dell'esercizio per l'approvazione del bilancio (art. 2364 c.c.)
+const DEFAULT_APPROVAL_DAYS = 120;
+
+// Giorni dall'approvazione per il deposito del bilancio (art. 2435 c.c.)
+const FILING_DAYS = 30;
+
+// Ultimo esercizio con la dichiarazione dei redditi entro l'undicesimo mese:
+// dagli esercizi chiusi nel 2023 il termine è il decimo mese (D.Lgs. 1/2024)
+const LAST_YEAR_WITH_ELEVENTH_MONTH_RETURN = 2022;
+
+// Soglie di volume d'affari per la liquidazione IVA trimestrale (art. 7 D.P.R. 542/1999)
+const QUARTERLY_VAT_THRESHOLDS = {
+  services: 500000,
+  other: 800000
+};
+
+// Tipi di cliente, sia con i valori dell'anagrafica sia con quelli del generatore di procedure
+const CAPITAL_COMPANY_TYPES = ['SRL', 'SPA', 'SAPA', 'Cooperativa', 'Corporation', 'LLC'];
+const PARTNERSHIP_TYPES = ['SNC', 'SAS', 'Partnership'];
+
+/**
+ * Data alla mezzanotte locale
+ * @param {number} year - Anno
+ * @param {number} month - Mese (0-11, sono ammessi valori fuori intervallo)
+ * @param {number} day - Giorno
+ * @returns {Date}
+ */
+const makeDate = (year, month, day) => new Date(year, month, day);
+
+/**
+ * Azzera l'orario di una data
+ * @param {Date} date - Data
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return makeDate(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Ultimo giorno del mese
+ * @param {number} year - Anno
+ * @param {number} month - Mese (0-11, sono ammessi valori fuori intervallo)
+ * @returns {Date}
+ */
+const endOfMonth = (year, month) => makeDate(year, month + 1, 0);
+
+/**
+ * Aggiunge giorni a una data
+ * @param {Date} date - Data
+ * @param {number} days - Giorni da aggiungere
+ * @returns {Date}
+ */
+const addDays = (date, days) => makeDate(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Data di chiusura dell'esercizio che termina nell'anno indicato
+ * @param {number} year - Anno di chiusura
+ * @param {Object} fiscalYearEnd - { month (1-12), day }
+ * @returns {Date}
+ */
+const getFiscalYearEndDate = (year, fiscalYearEnd = DEFAULT_FISCAL_YEAR_END) => {
+  const { month, day } = fiscalYearEnd || DEFAULT_FISCAL_YEAR_END;
+  // Il giorno non può superare la fine del mese (es. 29 febbraio)
+  return makeDate(year, month - 1, Math.min(day, endOfMonth(year, month - 1).getDate()));
+};
+
+/**
+ * Ultimo giorno dell'n-esimo mese successivo alla chiusura dell'esercizio
+ * @param {number} year - Anno di chiusura dell'esercizio
+ * @param {Object} fiscalYearEnd - Chiusura dell'esercizio
+ * @param {number} months - Mesi dopo la chiusura
+ * @returns {Date}
+ */
+const monthsAfterFiscalYearEnd = (year, fiscalYearEnd, months) => {
+  const end = getFiscalYearEndDate(year, fiscalYearEnd);
+  return endOfMonth(end.getFullYear(), end.getMonth() + months);
+};
+
+/**
+ * Giorno 30 del mese (o l'ultimo, se il mese è più corto)
+ * @param {number} year - Anno
+ * @param {number} month - Mese (0-11, sono ammessi valori fuori intervallo)
+ * @returns {Date}
+ */
+const day30OfMonth = (year, month) => {
+  const last = endOfMonth(year, month);
+  return makeDate(last.getFullYear(), last.getMonth(), Math.min(30, last.getDate()));
+};
+
+/**
+ * Mesi dalla chiusura dell'esercizio per l'invio di Redditi SC e IRAP
+ * @param {number} year - Anno di chiusura dell'esercizio
+ * @returns {number}
+ */
+const returnMonthsAfterFiscalYearEnd = (year) => (year <= LAST_YEAR_WITH_ELEVENTH_MONTH_RETURN ? 11 : 10);
+
+const monthlyPeriods = (year) => MONTH_NAMES.map((name, month) => ({
+  period: { year, month: month + 1 },
+  periodLabel: `${name} ${year}`
+}));
+
+const quarterPeriod = (year, quarter) => ({
+  period: { year, quarter },
+  periodLabel: `${quarter}° trimestre ${year}`
+});
+
+const yearPeriod = (year, label = 'Anno') => ({
+  period: { year },
+  periodLabel: `${label} ${year}`
+});
+
+/**
+ * Adempimenti del calendario fiscale. Ogni tipo restituisce, per un anno
+ * d'imposta, i periodi di riferimento con la data di scadenza nominale.
+ * payment indica i versamenti (soggetti alla proroga di Ferragosto).
+ */
+const DEADLINE_TYPES = {
+  f24: {
+    label: 'Versamento F24 ritenute e contributi',
+    description: 'Ritenute su redditi di lavoro dipendente e autonomo e contributi del mese precedente',
+    frequency: 'monthly',
+    payment: true,
+    occurrences: (year) => monthlyPeriods(year).map((item, month) => ({
+      ...item,
+      date: makeDate(year, month + 1, 16)
+    }))
+  },
+  vat_monthly: {
+    label: 'Liquidazione e versamento IVA mensile',
+    description: 'Liquidazione periodica IVA del mese precedente',
+    frequency: 'monthly',
+    payment: true,
+    occurrences: (year) => monthlyPeriods(year).map((item, month) => ({
+      ...item,
+      date: makeDate(year, month + 1, 16)
+    }))
+  },
+  vat_quarterly: {
+    label: 'Liquidazione e versamento IVA trimestrale',
+    description: 'Liquidazione periodica IVA del trimestre; il quarto trimestre si versa con il saldo annuale',
+    frequency: 'quarterly',
+    payment: true,
+    occurrences: (year) => [1, 2, 3].map(quarter => ({
+      ...quarterPeriod(year, quarter),
+      date: makeDate(year, quarter * 3 + 1, 16)
+    }))
+  },
+  vat_annual_balance: {
+    label: 'Versamento saldo IVA annuale',
+    description: 'Saldo dell\'IVA risultante dalla dichiarazione annuale',
+    frequency: 'annual',
+    payment: true,
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year + 1, 2, 16) }]
+  },
+  vat_advance: {
+    label: 'Acconto IVA',
+    description: 'Acconto IVA per l\'ultimo mese o trimestre dell\'anno',
+    frequency: 'annual',
+    payment: true,
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year, 11, 27) }]
+  },
+  lipe: {
+    label: 'Comunicazione liquidazioni periodiche IVA (LIPE)',
+    description: 'Invio telematico dei dati delle liquidazioni periodiche del trimestre',
+    frequency: 'quarterly',
+    occurrences: (year) => [
+      { ...quarterPeriod(year, 1), date: makeDate(year, 4, 31) },
+      { ...quarterPeriod(year, 2), date: makeDate(year, 8, 30) },
+      { ...quarterPeriod(year, 3), date: makeDate(year, 10, 30) },
+      { ...quarterPeriod(year, 4), date: endOfMonth(year + 1, 1) }
+    ]
+  },
+  vat_return: {
+    label: 'Dichiarazione IVA annuale',
+    description: 'Invio telematico della dichiarazione IVA',
+    frequency: 'annual',
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year + 1, 3, 30) }]
+  },
+  cu: {
+    label: 'Certificazione Unica (CU)',
+    description: 'Invio all\'Agenzia delle Entrate e consegna ai percipienti',
+    frequency: 'annual',
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year + 1, 2, 16) }]
+  },
+  withholding_return: {
+    label: 'Dichiarazione dei sostituti d\'imposta (770)',
+    description: 'Invio telematico del modello 770',
+    frequency: 'annual',
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year + 1, 9, 31) }]
+  },
+  income_tax_individuals: {
+    label: 'Dichiarazione Redditi PF',
+    description: 'Invio telematico del modello Redditi Persone Fisiche',
+    frequency: 'annual',
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year + 1, 9, 31) }]
+  },
+  income_tax_partnerships: {
+    label: 'Dichiarazione Redditi SP',
+    description: 'Invio telematico del modello Redditi Società di Persone',
+    frequency: 'annual',
+    occurrences: (year) => [{ ...yearPeriod(year), date: makeDate(year + 1, 9, 31) }]
+  },
+  income_tax_companies: {
+    label: 'Dichiarazione Redditi SC',
+    description: 'Invio telematico entro l\'ultimo giorno del decimo mese successivo alla chiusura dell\'esercizio',
+    frequency: 'annual',
+    fiscalYearBased: true,
+    occurrences: (year, { fiscalYearEnd }) => [{
+      ...yearPeriod(year, 'Esercizio'),
+      date: monthsAfterFiscalYearEnd(year, fiscalYearEnd, returnMonthsAfterFiscalYearEnd(year))
+    }]
+  },
+  irap: {
+    label: 'Dichiarazione IRAP',
+    description: 'Invio telematico entro l\'ultimo giorno del decimo mese successivo alla chiusura dell\'esercizio',
+    frequency: 'annual',
+    fiscalYearBased: true,
+    occurrences: (year, { fiscalYearEnd }) => [{
+      ...yearPeriod(year, 'Esercizio'),
+      date: monthsAfterFiscalYearEnd(year, fiscalYearEnd, returnMonthsAfterFiscalYearEnd(year))
+    }]
+  },
+  tax_advance_first: {
+    label: 'Saldo imposte e primo acconto',
+    description: 'Versamento del saldo dell\'anno precedente e del primo acconto IRPEF/IRES e IRAP',
+    frequency: 'annual',
+    payment: true,
+    fiscalYearBased: true,
+    // Periodo di riferimento: l'esercizio per cui si versa il saldo. Entro il 30
+    // del sesto mese dalla chiusura o, con approvazione del bilancio oltre i
+    // 120 giorni, del mese successivo all'approvazione (art. 17 D.P.R. 435/2001)
+    occurrences: (year, { fiscalYearEnd, approvalDays }) => {
+      const end = getFiscalYearEndDate(year, fiscalYearEnd);
+      let date = day30OfMonth(end.getFullYear(), end.getMonth() + 6);
+
+      if (approvalDays > DEFAULT_APPROVAL_DAYS) {
+        const approval = addDays(end, approvalDays);
+        date = day30OfMonth(approval.getFullYear(), approval.getMonth() + 1);
+      }
+
+      return [{ ...yearPeriod(year, 'Esercizio'), date }];
+    }
+  },
+  tax_advance_second: {
+    label: 'Secondo acconto imposte',
+    description: 'Versamento del secondo acconto IRPEF/IRES e IRAP',
+    frequency: 'annual',
+    payment: true,
+    fiscalYearBased: true,
+    // Periodo di riferimento: l'esercizio per cui si versa l'acconto
+    occurrences: (year, { fiscalYearEnd }) => [{
+      ...yearPeriod(year, 'Esercizio'),
+      date: monthsAfterFiscalYearEnd(year - 1, fiscalYearEnd, 11)
+    }]
+  },
+  financial_statements_approval: {
+    label: 'Approvazione del bilancio',
+    description: 'Approvazione da parte dell\'assemblea entro 120 giorni (o 180, se previsto dallo statuto) dalla chiusura dell\'esercizio',
+    frequency: 'annual',
+    fiscalYearBased: true,
+    occurrences: (year, { fiscalYearEnd, approvalDays }) => [{
+      ...yearPeriod(year, 'Esercizio'),
+      date: addDays(getFiscalYearEndDate(year, fiscalYearEnd), approvalDays)
+    }]
+  },
+  financial_statements_filing: {
+    label: 'Deposito del bilancio al Registro Imprese',
+    description: 'Deposito entro 30 giorni dall\'approvazione del bilancio',
+    frequency: 'annual',
+    fiscalYearBased: true,
+    occurrences: (year, { fiscalYearEnd, approvalDays }) => [{
+      ...yearPeriod(year, 'Esercizio'),
+      date: addDays(getFiscalYearEndDate(year, fiscalYearEnd), approvalDays + FILING_DAYS)
+    }]
+  }
+};
+
+/**
+ * Calcola la domenica di Pasqua (algoritmo di Meeus/Jones/Butcher)
+ * @param {number} year - Anno
+ * @returns {Date}
+ */
+exports.getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return makeDate(year, month - 1, day);
+};
+
+/**
+ * Elenca le festività nazionali di un anno
+ * @param {number} year - Anno
+ * @returns {Array<Object>} - { date, name }
+ */
+exports.getHolidays = (year) => {
+  const holidays = [
+    { date: makeDate(year, 0, 1), name: 'Capodanno' },
+    { date: makeDate(year, 0, 6), name: 'Epifania' },
+    { date: addDays(this.getEasterSunday(year), 1), name: 'Lunedì dell\'Angelo' },
+    { date: makeDate(year, 3, 25), name: 'Festa della Liberazione' },
+    { date: makeDate(year, 4, 1), name: 'Festa del Lavoro' },
+    { date: makeDate(year, 5, 2), name: 'Festa della Repubblica' },
+    { date: makeDate(year, 7, 15), name: 'Ferragosto' },
+    { date: makeDate(year, 10, 1), name: 'Ognissanti' },
+    { date: makeDate(year, 11, 8), name: 'Immacolata Concezione' },
+    { date: makeDate(year, 11, 25), name: 'Natale' },
+    { date: makeDate(year, 11, 26), name: 'Santo Stefano' }
+  ];
+
+  // San Francesco d'Assisi, festività nazionale dal 2026 (L. 151/2025)
+  if (year >= 2026) {
+    holidays.push({ date: makeDate(year, 9, 4), name: 'San Francesco d\'Assisi' });
+  }
+
+  return holidays.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Verifica se una data è un giorno festivo nazionale
+ * @param {Date} date - Data
+ * @returns {boolean}
+ */
+exports.isHoliday = (date) => {
+  const day = startOfDay(date);
+  return this.getHolidays(day.getFullYear()).some(holiday => holiday.date.getTime() === day.getTime());
+};
+
+/**
+ * Verifica se una data è un giorno lavorativo (né sabato, né domenica, né festivo)
+ * @param {Date} date - Data
+ * @returns {boolean}
+ */
+exports.isBusinessDay = (date) => {
+  const weekDay = new Date(date).getDay();
+  return weekDay !== 0 && weekDay !== 6 && !this.isHoliday(date);
+};
+
+/**
+ * Sposta una scadenza al primo giorno lavorativo utile
+ * @param {Date} date - Scadenza nominale
+ * @param {Object} options - { payment } per applicare la proroga di Ferragosto ai versamenti
+ * @returns {Date}
+ */
+exports.shiftToBusinessDay = (date, options = {}) => {
+  let shifted = startOfDay(date);
+
+  if (options.payment && shifted.getMonth() === 7 && shifted.getDate() <= 20) {
+    shifted = makeDate(shifted.getFullYear(), 7, 20);
+  }
+
+  while (!this.isBusinessDay(shifted)) {
+    shifted = addDays(shifted, 1);
+  }
+
+  return shifted;
+};
+
+/**
+ * Calcola le scadenze di un adempimento per un anno d'imposta
+ * @param {string} type - Tipo di adempimento (chiave di DEADLINE_TYPES)
+ * @param {number} year - Anno d'imposta (o di chiusura dell'esercizio)
+ * @param {Object} options - { fiscalYearEnd, approvalDays }
+ * @returns {Array<Object>} - Scadenze { type, label, description, frequency, period, periodLabel, nominalDate, dueDate, shifted }
+ */
+exports.getDeadlineOccurrences = (type, year, options = {}) => {
+  const definition = DEADLINE_TYPES[type];
+
+  if (!definition) {
+    throw new Error(`Tipo di scadenza non riconosciuto: ${type}`);
+  }
+
+  const fiscalYearEnd = options.fiscalYearEnd || DEFAULT_FISCAL_YEAR_END;
+  const approvalDays = options.approvalDays || DEFAULT_APPROVAL_DAYS;
+
+  return definition.occurrences(year, { fiscalYearEnd, approvalDays }).map(({ period, periodLabel, date }) => {
+    const dueDate = this.shiftToBusinessDay(date, { payment: definition.payment });
+
+    return {
+      type,
+      label: definition.label,
+      description: definition.description,
+      frequency: definition.frequency,
+      period,
+      periodLabel,
+      nominalDate: date,
+      dueDate,
+      shifted: dueDate.getTime() !== date.getTime()
+    };
+  });
+};
+
+/**
+ * Risolve i tipi generici: vat_periodic diventa vat_monthly o vat_quarterly
+ * @param {string} type - Tipo di adempimento
+ * @param {Object} options - { vatPeriodicity }
+ * @returns {string}
+ */
+exports.resolveDeadlineType = (type, options = {}) => {
+  if (type === 'vat_periodic') {
+    return options.vatPeriodicity === 'quarterly' ? 'vat_quarterly' : 'vat_monthly';
+  }
+
+  return type;
+};
+
+/**
+ * Elenca le scadenze comprese in un intervallo di date
+ * @param {Object} options - { from, to, types, fiscalYearEnd, approvalDays, vatPeriodicity }
+ * @returns {Array<Object>} - Scadenze ordinate per data
+ */
+exports.getDeadlines = (options = {}) => {
+  const from = startOfDay(options.from || makeDate(new Date().getFullYear(), 0, 1));
+  const to = startOfDay(options.to || makeDate(from.getFullYear(), 11, 31));
+  const types = [...new Set((options.types || Object.keys(DEADLINE_TYPES))
+    .map(type => this.resolveDeadlineType(type, options)))];
+
+  const deadlines = [];
+
+  // Le scadenze di un anno d'imposta cadono al più tardi nell'anno successivo
+  // (due anni dopo per gli esercizi non coincidenti con l'anno solare)
+  for (let year = from.getFullYear() - 2; year <= to.getFullYear(); year++) {
+    types.forEach(type => {
+      this.getDeadlineOccurrences(type, year, options)
+        .filter(deadline => deadline.dueDate >= from && deadline.dueDate <= to)
+        .forEach(deadline => deadlines.push(deadline));
+    });
+  }
+
+  return deadlines.sort((a, b) => a.dueDate - b.dueDate);
+};
+
+/**
+ * Restituisce la prima scadenza di un adempimento a partire da una data
+ * @param {string} type - Tipo di adempimento
+ * @param {Object} options - { from, fiscalYearEnd, approvalDays, vatPeriodicity }
+ * @returns {Object|null} - Scadenza
+ */
+exports.getNextDeadline = (type, options = {}) => {
+  const from = startOfDay(options.from || new Date());
+  const deadlines = this.getDeadlines({
+    ...options,
+    types: [type],
+    from,
+    to: makeDate(from.getFullYear() + 2, 11, 31)
+  });
+
+  return deadlines[0] || null;
+};
+
+/**
+ * Determina la periodicità delle liquidazioni IVA del cliente
+ * @param {Object} client - Cliente
+ * @returns {string|null} - 'monthly', 'quarterly' o null se non soggetto
+ */
+exports.getVatPeriodicity = (client) => {
+  if (!client || !client.vatNumber || client.accountingRegime === 'Forfettario') {
+    return null;
+  }
+
+  if (client.vatPeriodicity) {
+    return client.vatPeriodicity;
+  }
+
+  if (typeof client.annualRevenue !== 'number') {
+    return 'monthly';
+  }
+
+  const sector = String(client.businessSector || '').toLowerCase();
+  const threshold = sector.includes('servizi') || sector.includes('service') || sector.includes('consulenza')
+    ? QUARTERLY_VAT_THRESHOLDS.services
+    : QUARTERLY_VAT_THRESHOLDS.other;
+
+  return client.annualRevenue <= threshold ? 'quarterly' : 'monthly';
+};
+
+/**
+ * Determina gli adempimenti a cui è soggetto un cliente
+ * @param {Object} client - Cliente
+ * @returns {Array<string>} - Tipi di adempimento
+ */
+exports.getClientDeadlineTypes = (client) => {
+  const types = [];
+  const isCapitalCompany = CAPITAL_COMPANY_TYPES.includes(client.companyType);
+  const isPartnership = PARTNERSHIP_TYPES.includes(client.companyType);
+  const vatPeriodicity = this.getVatPeriodicity(client);
+
+  if (vatPeriodicity) {
+    types.push(vatPeriodicity === 'quarterly' ? 'vat_quarterly' : 'vat_monthly');
+    types.push('lipe', 'vat_annual_balance', 'vat_advance', 'vat_return');
+  }
+
+  // Sostituti d'imposta: dipendenti o servizi paghe/770
+  const services = client.services || [];
+  if (client.employees > 0 || services.includes('Buste Paga') || services.includes('Modello 770')) {
+    types.push('f24', 'cu', 'withholding_return');
+  }
+
+  if (isCapitalCompany) {
+    types.push('income_tax_companies', 'irap', 'financial_statements_approval', 'financial_statements_filing');
+  } else if (isPartnership) {
+    types.push('income_tax_partnerships', 'irap');
+  } else {
+    types.push('income_tax_individuals');
+  }
+
+  types.push('tax_advance_first', 'tax_advance_second');
+
+  return types;
+};
+
+/**
+ * Parametri dello scadenzario per un cliente: chiusura dell'esercizio,
+ * termine di approvazione del bilancio e periodicità IVA.
+ * Le persone fisiche seguono sempre l'anno solare.
+ *
+ * @param {Object} client - Cliente
+ * @returns {Object} - { fiscalYearEnd, approvalDays, vatPeriodicity }
+ */
+exports.getClientFiscalProfile = (client) => {
+  const isCompany = CAPITAL_COMPANY_TYPES.includes(client.companyType) || PARTNERSHIP_TYPES.includes(client.companyType);
+  const fiscalYearEnd = client.fiscalYearEnd && client.fiscalYearEnd.month && client.fiscalYearEnd.day
+    ? { month: client.fiscalYearEnd.month, day: client.fiscalYearEnd.day }
+    : DEFAULT_FISCAL_YEAR_END;
+
+  return {
+    fiscalYearEnd: isCompany ? fiscalYearEnd : DEFAULT_FISCAL_YEAR_END,
+    approvalDays: (isCompany && client.financialStatementsApprovalDays) || DEFAULT_APPROVAL_DAYS,
+    vatPeriodicity: this.getVatPeriodicity(client)
+  };
+};
+
+/**
+ * Elenca le scadenze di un cliente in un intervallo di date
+ * @param {Object} client - Cliente
+ * @param {Object} options - { from, to }
+ * @returns {Array<Object>} - Scadenze ordinate per data
+ */
+exports.getClientDeadlines = (client, options = {}) => {
+  return this.getDeadlines({
+    ...options,
+    ...this.getClientFiscalProfile(client),
+    types: this.getClientDeadlineTypes(client)
+  });
+};
+
+exports.DEADLINE_TYPES = DEADLINE_TYPES;
+exports.DEFAULT_FISCAL_YEAR_END = DEFAULT_FISCAL_YEAR_END;
+exports.DEFAULT_APPROVAL_DAYS = DEFAULT_APPROVAL_DAYS;
+exports.getFiscalYearEndDate = getFiscalYearEndDate;
@@ -0,0 +1,422 @@
+/**
+ * GDPR Service
+ *
+ * Gestisce le richieste degli interessati previste dal GDPR:
+ * - diritto di accesso (art. 15): raccoglie tutti i dati del cliente
+ *   (anagrafica, consensi, documenti, invii, conversazioni, procedure,
+ *   questionario di onboarding, accessi al portale)
+ *   in un archivio ZIP scaricabile;
+ * - diritto alla cancellazione (art. 17): anonimizza o elimina i dati
+ *   rispettando gli obblighi di conservazione indicati in Document.retention
+ *   e registra cosa è stato conservato e perché.
+ */
+
+const JSZip = require('jszip');
+const moment = require('moment');
+const Client = require('../models/Client');
+const ClientProcedure = require('../models/ClientProcedure');
+const ClientHistory = require('../models/ClientHistory');
+const Document = require('../models/Document');
+const Conversation = require('../models/Conversation');
+const ActivityLog = require('../models/ActivityLog');
+const OnboardingSession = require('../models/OnboardingSession');
+const DocumentDelivery = require('../models/DocumentDelivery');
+const ConsentEvent = require('../models/ConsentEvent');
+const CalendarFeed = require('../models/CalendarFeed');
+const TimeEntry = require('../models/TimeEntry');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const fileStorageService = require('./fileStorageService');
+const clientHistoryService = require('./clientHistoryService');
+
+/**
+ * Converte un documento Mongoose in oggetto semplice per l'esportazione
+ * @param {Object} doc - Documento o oggetto
+ * @returns {Object}
+ */
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function'
+  ? doc.toObject({ virtuals: false, flattenMaps: true })
+  : doc);
+
+/**
+ * Restituisce un nome file sicuro e univoco all'interno dell'archivio
+ * @param {Object} document - Documento archiviato
+ * @returns {string}
+ */
+const archiveFileName = (document) => {
+  const safeName = String(document.originalName || document.filename)
+    .replace(/[^\w.\- ]+/g, '_');
+  return `${document._id}_${safeName}`;
+};
+
+/**
+ * Verifica se un documento è soggetto a un obbligo di conservazione ancora attivo
+ * @param {Object} document - Documento archiviato
+ * @param {Date} now - Data di riferimento
+ * @returns {boolean}
+ */
+const isUnderLegalHold = (document, now = new Date()) => {
+  const retention = document.retention || {};
+  return Boolean(retention.mustRetainUntil && new Date(retention.mustRetainUntil) > now);
+};
+
+/**
+ * Crea l'archivio ZIP con tutti i dati detenuti su un cliente (art. 15 GDPR)
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} user - Utente che esegue l'esportazione
+ * @returns {Promise<Object>} - { buffer, fileName, summary }
+ */
+exports.buildAccessExport = async (clientId, user = null) => {
+  try {
+    const client = await Client.findById(clientId);
+
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    const [
+      documents, conversations, procedures, history, portalUsers, onboardingSessions, deliveries, consentEvents
+    ] = await Promise.all([
+      Document.find({ clientId }),
+      Conversation.find({ clientId }),
+      ClientProcedure.find({ clientId }).populate('procedureId', 'name description'),
+      ClientHistory.find({ clientId }).sort({ changedAt: 1 }),
+      User.find({ clientId, role: 'customer' })
+        .select('username email firstName lastName role status lastLogin loginHistory createdAt'),
+      OnboardingSession.find({ clientId }),
+      DocumentDelivery.find({ clientId }).sort({ createdAt: 1 }),
+      ConsentEvent.find({ clientId }).sort({ occurredAt: 1 })
+    ]);
+
+    const zip = new JSZip();
+    const exportDate = new Date();
+
+    zip.file('cliente.json', JSON.stringify(toPlain(client), null, 2));
+    zip.file('conversazioni.json', JSON.stringify(conversations.map(toPlain), null, 2));
+    zip.file('procedure.json', JSON.stringify(procedures.map(toPlain), null, 2));
+    zip.file('storico_modifiche.json', JSON.stringify(history.map(toPlain), null, 2));
+    zip.file('accessi_portale.json', JSON.stringify(portalUsers.map(toPlain), null, 2));
+    zip.file('questionario_onboarding.json', JSON.stringify(onboardingSessions.map(toPlain), null, 2));
+    zip.file('invii_documenti.json', JSON.stringify(deliveries.map(toPlain), null, 2));
+    zip.file('registro_consensi.json', JSON.stringify(consentEvents.map(toPlain), null, 2));
+
+    // File dei documenti: un file non recuperabile non blocca l'esportazione
+    const documentIndex = [];
+    for (const document of documents) {
+      const entry = {
+        ...toPlain(document),
+        archiveFile: null
+      };
+
+      try {
+        const content = await fileStorageService.getFile(document.path);
+        entry.archiveFile = `documenti/${archiveFileName(document)}`;
+        zip.file(entry.archiveFile, content);
+      } catch (error) {
+        entry.exportError = `File non disponibile: ${error.message}`;
+      }
+
+      documentIndex.push(entry);
+    }
+    zip.file('documenti/indice.json', JSON.stringify(documentIndex, null, 2));
+
+    const summary = {
+      clientId: client._id,
+      exportDate,
+      documents: documents.length,
+      documentFilesIncluded: documentIndex.filter(entry => entry.archiveFile).length,
+      conversations: conversations.length,
+      procedures: procedures.length,
+      historyEntries: history.length,
+      portalUsers: portalUsers.length,
+      onboardingAnswers: onboardingSessions.reduce((total, session) => total + (session.answers || []).length, 0),
+      deliveries: deliveries.length,
+      consentEvents: consentEvents.length
+    };
+
+    zip.file('LEGGIMI.txt', [
+      `Esportazione dei dati personali di ${client.name}`,
+      `Data esportazione: ${moment(exportDate).format('DD/MM/YYYY HH:mm')}`,
+      '',
+      'Contenuto dell\'archivio:',
+      '- cliente.json: dati anagrafici, fiscali, di contatto e consensi',
+      `- documenti/: ${summary.documentFilesIncluded} file su ${summary.documents} documenti (dettagli in documenti/indice.json)`,
+      `- conversazioni.json: ${summary.conversations} conversazioni con l'assistente`,
+      `- procedure.json: ${summary.procedures} procedure operative`,
+      `- storico_modifiche.json: ${summary.historyEntries} modifiche ai dati anagrafici`,
+      `- accessi_portale.json: ${summary.portalUsers} utenti del portale e relativi accessi`,
+      `- questionario_onboarding.json: ${summary.onboardingAnswers} risposte al questionario di onboarding`,
+      `- invii_documenti.json: ${summary.deliveries} invii di documenti via email o PEC`,
+      `- registro_consensi.json: ${summary.consentEvents} concessioni e revoche dei consensi privacy`
+    ].join('\n'));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    await ActivityLog.create({
+      user: user ? user._id : undefined,
+      client: client._id,
+      activityType: 'gdpr_access_export',
+      details: summary
+    });
+
+    return {
+      buffer,
+      fileName: `dati_personali_${client.fiscalCode}_${moment(exportDate).format('YYYYMMDD')}.zip`,
+      summary
+    };
+  } catch (error) {
+    console.error('Errore nell\'esportazione dei dati personali:', error);
+    throw new Error(`Impossibile esportare i dati personali: ${error.message}`);
+  }
+};
+
+/**
+ * Pianifica la cancellazione dei dati di un cliente senza modificare nulla.
+ * I documenti con obbligo di conservazione attivo vengono conservati;
+ * in tal caso si conservano anche i dati identificativi necessari a
+ * ricondurli al cliente e lo storico delle modifiche.
+ *
+ * @param {string} clientId - ID del cliente
+ * @returns {Promise<Object>} - Piano di cancellazione
+ */
+exports.planErasure = async (clientId) => {
+  const client = await Client.findById(clientId);
+
+  if (!client) {
+    throw new Error('Cliente non trovato');
+  }
+
+  const now = new Date();
+  const documents = await Document.find({ clientId });
+
+  const retainedDocuments = documents.filter(document => isUnderLegalHold(document, now));
+  const deletableDocuments = documents.filter(document => !isUnderLegalHold(document, now));
+  const hasLegalHold = retainedDocuments.length > 0;
+
+  const retained = retainedDocuments.map(document => ({
+    dataType: 'document',
+    reference: document._id.toString(),
+    reason: document.retention.legalBasis ||
+      `Obbligo di conservazione (${document.retention.retentionCategory || 'categoria non specificata'})`,
+    retainUntil: document.retention.mustRetainUntil
+  }));
+
+  if (hasLegalHold) {
+    const lastRetainUntil = new Date(Math.max(...retainedDocuments.map(d => new Date(d.retention.mustRetainUntil))));
+
+    retained.push({
+      dataType: 'identification',
+      reference: 'name, fiscalCode, vatNumber',
+      reason: 'Dati identificativi necessari per ricondurre al cliente i documenti soggetti a conservazione obbligatoria',
+      retainUntil: lastRetainUntil
+    }, {
+      dataType: 'history',
+      reference: 'ClientHistory',
+      reason: 'Storico delle modifiche ai dati dichiarati, conservato per la durata degli obblighi sui documenti',
+      retainUntil: lastRetainUntil
+    });
+  }
+
+  return {
+    client,
+    hasLegalHold,
+    documentsToDelete: deletableDocuments,
+    documentsToRetain: retainedDocuments,
+    retained
+  };
+};
+
+/**
+ * Esegue la cancellazione/anonimizzazione dei dati di un cliente (art. 17 GDPR)
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} user - Utente che esegue la cancellazione
+ * @param {Object} options - Opzioni: reason, dryRun
+ * @returns {Promise<Object>} - Report di quanto cancellato e conservato
+ */
+exports.eraseClientData = async (clientId, user = null, options = {}) => {
+  try {
+    const plan = await this.planErasure(clientId);
+    const { client, hasLegalHold } = plan;
+
+    if (client.gdprErasure && client.gdprErasure.erasedAt) {
+      throw new Error('I dati di questo cliente sono già stati cancellati');
+    }
+
+    const report = {
+      clientId: client._id,
+      dryRun: Boolean(options.dryRun),
+      deleted: {
+        documents: plan.documentsToDelete.map(document => document._id),
+        conversations: 0,
+        historyEntries: 0,
+        onboardingSessions: 0,
+        notifications: 0
+      },
+      anonymized: {
+        client: true,
+        procedures: 0,
+        portalUsers: 0,
+        deliveries: 0,
+        consentEvents: 0,
+        timeEntries: 0
+      },
+      revoked: {
+        calendarFeeds: 0
+      },
+      retained: plan.retained
+    };
+
+    if (options.dryRun) {
+      return report;
+    }
+
+    // Documenti senza obbligo di conservazione: file e record
+    for (const document of plan.documentsToDelete) {
+      try {
+        await fileStorageService.deleteFile(document.path);
+      } catch (error) {
+        // Il record viene comunque eliminato: il file orfano non è più riconducibile al cliente
+        console.error(`Errore nell'eliminazione del file ${document.path}:`, error);
+      }
+    }
+    await Document.deleteMany({ _id: { $in: report.deleted.documents } });
+
+    const conversationsResult = await Conversation.deleteMany({ clientId });
+    report.deleted.conversations = conversationsResult.deletedCount || 0;
+
+    // Le risposte del questionario (codici fiscali, indirizzi, ...) sono già riportate nell'anagrafica
+    const sessionsResult = await OnboardingSession.deleteMany({ clientId });
+    report.deleted.onboardingSessions = sessionsResult.deletedCount || 0;
+
+    if (!hasLegalHold) {
+      const historyResult = await ClientHistory.deleteMany({ clientId });
+      report.deleted.historyEntries = historyResult.deletedCount || 0;
+    }
+
+    // Le procedure restano come registro delle attività svolte, senza note e allegati
+    const proceduresResult = await ClientProcedure.updateMany(
+      { clientId },
+      { $set: { notes: '', 'tasks.$[].notes': '', 'tasks.$[].attachments': [] } }
+    );
+    report.anonymized.procedures = proceduresResult.modifiedCount || 0;
+
+    // Le ore lavorate restano per la fatturazione, senza descrizioni e motivazioni
+    // (testo libero che può riportare nome e dati del cliente)
+    const timeEntriesResult = await TimeEntry.updateMany(
+      { clientId },
+      { $set: { description: '' }, $unset: { 'history.$[].changes.description': '', 'history.$[].note': '' } }
+    );
+    report.anonymized.timeEntries = timeEntriesResult.modifiedCount || 0;
+
+    // Le notifiche sul cliente (es. "Documenti scaduti: <nome>") sono solo avvisi operativi
+    const notificationsResult = await Notification.deleteMany({ client: clientId });
+    report.deleted.notifications = notificationsResult.deletedCount || 0;
+
+    // Invii dei documenti: restano come registro, senza indirizzi né testo;
+    // quelli ancora in coda non vengono più spediti
+    await DocumentDelivery.updateMany(
+      { clientId, status: { $in: ['queued', 'sending'] } },
+      { $set: { status: 'failed', error: 'Invio annullato per la cancellazione dei dati del cliente' } }
+    );
+    const deliveriesResult = await DocumentDelivery.updateMany(
+      { clientId },
+      {
+        $set: {
+          to: [`anonimo_${client._id}@anonimizzato.invalid`],
+          cc: [],
+          deliveredTo: [],
+          subject: 'Invio anonimizzato',
+          text: '',
+          html: ''
+        },
+        // Gli esiti di mancato recapito riportano gli indirizzi dei destinatari
+        $unset: { 'history.$[].error': '' }
+      }
+    );
+    report.anonymized.deliveries = deliveriesResult.modifiedCount || 0;
+
+    // Il registro dei consensi resta come prova, senza indirizzi IP e note
+    const consentResult = await ConsentEvent.updateMany(
+      { clientId },
+      { $unset: { ipAddress: '', notes: '' } }
+    );
+    report.anonymized.consentEvents = consentResult.modifiedCount || 0;
+
+    // I feed del calendario del cliente smettono di funzionare
+    const feedsResult = await CalendarFeed.updateMany(
+      { clientId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: user ? user._id : undefined } }
+    );
+    report.revoked.calendarFeeds = feedsResult.modifiedCount || 0;
+
+    // Utenti del portale: disattivati e privati dei dati personali
+    const portalUsers = await User.find({ clientId, role: 'customer' });
+    for (const portalUser of portalUsers) {
+      const suffix = portalUser._id.toString();
+      portalUser.set({
+        username: `anonimo_${suffix}`,
+        email: `anonimo_${suffix}@anonimizzato.invalid`,
+        firstName: 'Anonimo',
+        lastName: 'Anonimo',
+        status: 'inactive',
+        loginHistory: []
+      });
+      await portalUser.save({ validateBeforeSave: false });
+    }
+    report.anonymized.portalUsers = portalUsers.length;
+
+    // Anagrafica del cliente
+    const before = client.toObject();
+    const suffix = client._id.toString();
+    if (!hasLegalHold) {
+      client.name = `Cliente anonimizzato ${suffix.slice(-6)}`;
+      client.fiscalCode = `ANON${suffix}`;
+      client.vatNumber = undefined;
+    }
+    client.contactInfo = {
+      email: `anonimo_${suffix}@anonimizzato.invalid`,
+      address: {}
+    };
+    client.legalRepresentative = {};
+    client.notes = '';
+    client.tags = [];
+    client.documents = [];
+    client.onboarding.checklist = [];
+    client.onboarding.notes = '';
+    client.dataConsent = { marketing: false, thirdParty: false, lastUpdated: new Date() };
+    client.externalIds = undefined;
+    client.isActive = false;
+    client.gdprErasure = {
+      erasedAt: new Date(),
+      erasedBy: user ? user._id : undefined,
+      requestReason: options.reason,
+      retainedData: report.retained
+    };
+
+    // I dati anonimizzati non superano i validatori di formato (CF, email, CAP)
+    await client.save({ validateBeforeSave: false });
+
+    // Lo storico registra quali campi sono stati cancellati, senza i valori precedenti
+    await clientHistoryService.recordChanges(before, client, { user, redact: true });
+
+    await ActivityLog.create({
+      user: user ? user._id : undefined,
+      client: client._id,
+      activityType: 'gdpr_erasure',
+      details: {
+        ...report,
+        reason: options.reason,
+        timestamp: new Date()
+      }
+    });
+
+    return report;
+  } catch (error) {
+    console.error('Errore nella cancellazione dei dati personali:', error);
+    throw new Error(`Impossibile cancellare i dati personali: ${error.message}`);
+  }
+};
+
+exports.isUnderLegalHold = isUnderLegalHold;
@@ -0,0 +1,108 @@
+/**
+ * Mailer
+ *
+ * Invio di email tramite SMTP. La configurazione è letta dalle variabili
+ * d'ambiente SMTP_*: senza SMTP_HOST l'invio email è disattivato.
+ * La casella PEC dello studio usa un account separato con le variabili
+ * PEC_SMTP_* (account 'pec').
+ */
+
+const nodemailer = require('nodemailer');
+
+// Prefisso delle variabili d'ambiente di ogni account
+const ACCOUNTS = {
+  default: 'SMTP',
+  pec: 'PEC_SMTP'
+};
+
+const transporters = {};
+
+/**
+ * Prefisso delle variabili d'ambiente di un account
+ * @param {string} account - Account (default, pec)
+ * @returns {string}
+ */
+const getPrefix = (account = 'default') => {
+  if (!ACCOUNTS[account]) {
+    throw new Error(`Account email non valido: ${account}`);
+  }
+  return ACCOUNTS[account];
+};
+
+/**
+ * Verifica se l'invio email è configurato
+ * @param {string} account - Account (default, pec)
+ * @returns {boolean}
+ */
+exports.isConfigured = (account = 'default') => Boolean(process.env[`${getPrefix(account)}_HOST`]);
+
+/**
+ * Restituisce il trasporto SMTP, creandolo al primo utilizzo
+ * @param {string} account - Account (default, pec)
+ * @returns {Object} - Trasporto nodemailer
+ */
+exports.getTransporter = (account = 'default') => {
+  const prefix = getPrefix(account);
+  const env = (name) => process.env[`${prefix}_${name}`];
+
+  if (!this.isConfigured(account)) {
+    throw new Error(`Server SMTP non configurato (${prefix}_HOST)`);
+  }
+
+  if (!transporters[account]) {
+    transporters[account] = nodemailer.createTransport({
+      host: env('HOST'),
+      port: parseInt(env('PORT'), 10) || 587,
+      secure: env('SECURE') === 'true',
+      // Per i server di prova locali senza STARTTLS (es. MailHog, smtp4dev)
+      ignoreTLS: env('IGNORE_TLS') === 'true',
+      auth: env('USER') ? {
+        user: env('USER'),
+        pass: env('PASSWORD')
+      } : undefined
+    });
+  }
+
+  return transporters[account];
+};
+
+/**
+ * Invia un'email
+ * @param {Object} message - { to, subject, text, html, attachments, from }
+ * @param {string} account - Account (default, pec)
+ * @returns {Promise<Object>} - Esito dell'invio (messageId, accepted, rejected)
+ */
+exports.sendMail = async (message, account = 'default') => {
+  try {
+    const prefix = getPrefix(account);
+    const info = await this.getTransporter(account).sendMail({
+      from: message.from || process.env[`${prefix}_FROM`] || process.env[`${prefix}_USER`],
+      ...message
+    });
+
+    return {
+      messageId: info.messageId,
+      accepted: info.accepted || [],
+      rejected: info.rejected || []
+    };
+  } catch (error) {
+    console.error('Errore nell\'invio dell\'email:', error);
+    const sendError = new Error(`Impossibile inviare l'email: ${error.message}`);
+    // Codici SMTP per distinguere gli errori temporanei da quelli definitivi
+    sendError.code = error.code;
+    sendError.responseCode = error.responseCode;
+    throw sendError;
+  }
+};
+
+/**
+ * Chiude i trasporti SMTP: il successivo invio rilegge la configurazione
+ */
+exports.resetTransporter = () => {
+  Object.keys(transporters).forEach((account) => {
+    if (typeof transporters[account].close === 'function') {
+      transporters[account].close();
+    }
+    delete transporters[account];
+  });
+};
@@ -0,0 +1,109 @@
+/**
+ * Notification Service
+ *
+ * Crea e gestisce le notifiche in-app per gli utenti dello studio.
+ * Le notifiche relative a un cliente vanno all'operatore assegnato
+ * o, in sua assenza, a tutti gli amministratori attivi.
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+/**
+ * Determina i destinatari delle notifiche relative a un cliente
+ * @param {Object} client - Cliente
+ * @returns {Promise<Array>} - ID degli utenti destinatari
+ */
+exports.getClientRecipients = async (client) => {
+  const assignedTo = client.onboarding && client.onboarding.assignedTo;
+  if (assignedTo) {
+    return [assignedTo];
+  }
+
+  const admins = await User.find({ role: 'admin', status: 'active' }).select('_id');
+  return admins.map(admin => admin._id);
+};
+
+/**
+ * Crea una notifica per ciascun destinatario
+ * @param {Array} recipients - ID degli utenti destinatari
+ * @param {Object} data - Dati: type, title, message, client, link, metadata
+ * @returns {Promise<Array>} - Notifiche create
+ */
+exports.notify = async (recipients, data) => {
+  if (!recipients || recipients.length === 0) {
+    return [];
+  }
+
+  return Notification.insertMany(recipients.map(recipient => ({
+    recipient,
+    client: data.client,
+    type: data.type,
+    title: data.title,
+    message: data.message,
+    link: data.link,
+    metadata: data.metadata
+  })));
+};
+
+/**
+ * Notifica agli operatori responsabili un evento relativo a un cliente.
+ * Gli errori vengono registrati ma non interrompono l'operazione che li genera.
+ *
+ * @param {Object} client - Cliente
+ * @param {Object} data - Dati: type, title, message, link, metadata
+ * @returns {Promise<Array>} - Notifiche create
+ */
+exports.notifyClientOperators = async (client, data) => {
+  try {
+    const recipients = await this.getClientRecipients(client);
+
+    return await this.notify(recipients, {
+      ...data,
+      client: client._id,
+      link: data.link || `/clients/${client._id}`
+    });
+  } catch (error) {
+    console.error('Errore nell\'invio della notifica agli operatori:', error);
+    return [];
+  }
+};
+
+/**
+ * Recupera le notifiche di un utente
+ * @param {string} userId - ID dell'utente
+ * @param {Object} options - Opzioni: unreadOnly, limit
+ * @returns {Promise<Object>} - { notifications, unreadCount }
+ */
+exports.getUserNotifications = async (userId, options = {}) => {
+  try {
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.findByRecipient(userId, options.unreadOnly)
+        .limit(options.limit || 50)
+        .populate('client', 'name fiscalCode'),
+      Notification.countDocuments({ recipient: userId, readAt: { $exists: false } })
+    ]);
+
+    return { notifications, unreadCount };
+  } catch (error) {
+    console.error('Errore nel recupero delle notifiche:', error);
+    throw new Error(`Impossibile recuperare le notifiche: ${error.message}`);
+  }
+};
+
+/**
+ * Segna come lette le notifiche indicate (o tutte) di un utente
+ * @param {string} userId - ID dell'utente
+ * @param {Array<string>} notificationIds - ID delle notifiche; se assente tutte
+ * @returns {Promise<number>} - Numero di notifiche aggiornate
+ */
+exports.markAsRead = async (userId, notificationIds = null) => {
+  const query = { recipient: userId, readAt: { $exists: false } };
+
+  if (notificationIds) {
+    query._id = { $in: notificationIds };
+  }
+
+  const result = await Notification.updateMany(query, { $set: { readAt: new Date() } });
+  return result.modifiedCount || 0;
+};
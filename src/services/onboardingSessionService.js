@@ -0,0 +1,338 @@
+/**
+ * Onboarding Session Service
+ *
+ * Rende persistente il questionario di onboarding: ogni risposta viene
+ * salvata subito come bozza (con data e autore) in una OnboardingSession,
+ * così che l'operatore o il cliente possano chiudere il browser e
+ * riprendere dal punto esatto in cui si erano fermati, oppure tornare a
+ * una fase precedente. Solo l'invio di una fase aggiorna l'anagrafica
+ * tramite onboardingService.processAnswers. Le domande provengono dalla
+ * versione pubblicata del questionario (questionBankService) e le risposte
+ * vengono validate al momento della conferma della fase.
+ */
+
+const OnboardingSession = require('../models/OnboardingSession');
+const Client = require('../models/Client');
+const onboardingService = require('../../services/onboardingService');
+const questionBankService = require('./questionBankService');
+const clientHistoryService = require('./clientHistoryService');
+
+const { ONBOARDING_PHASES } = onboardingService;
+
+// Ordine delle fasi del questionario
+const PHASE_ORDER = Object.values(ONBOARDING_PHASES);
+
+/**
+ * Confronta due risposte indipendentemente dal tipo di dato
+ * @param {*} a - Prima risposta
+ * @param {*} b - Seconda risposta
+ * @returns {boolean}
+ */
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Verifica che la fase indicata esista
+ * @param {string} phase - Fase di onboarding
+ */
+const assertValidPhase = (phase) => {
+  if (!PHASE_ORDER.includes(phase) || phase === ONBOARDING_PHASES.COMPLETED) {
+    throw new Error(`Fase onboarding non valida: ${phase}`);
+  }
+};
+
+/**
+ * Verifica che la sessione abbia già raggiunto la fase indicata: si può
+ * lavorare solo su fasi confermate o non successive a quella corrente
+ * @param {Object} session - Sessione di onboarding
+ * @param {string} phase - Fase di onboarding
+ */
+const assertPhaseReached = (session, phase) => {
+  const reached = session.completedPhases.includes(phase) ||
+    PHASE_ORDER.indexOf(phase) <= PHASE_ORDER.indexOf(session.currentPhase);
+
+  if (!reached) {
+    throw new Error('Non è possibile saltare a una fase non ancora raggiunta');
+  }
+};
+
+/**
+ * Determina tipo cliente e regime fiscale per la scelta delle domande.
+ * Le risposte date nel questionario prevalgono sui dati in anagrafica.
+ *
+ * @param {Object} client - Cliente
+ * @param {Object} answers - Ultime risposte per ID domanda
+ * @returns {Object} - { clientType, taxRegime }
+ */
+const getQuestionContext = (client, answers) => ({
+  clientType: answers.client_type || onboardingService.mapCompanyTypeToClientType(client.companyType),
+  taxRegime: answers.tax_regime || client.accountingRegime
+});
+
+/**
+ * Recupera la sessione di onboarding del cliente, creandola se non esiste.
+ * Una nuova sessione parte dalla fase determinata dai dati già presenti.
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} user - Utente che apre la sessione
+ * @returns {Promise<Object>} - Sessione di onboarding
+ */
+exports.getOrCreateSession = async (clientId, user = null) => {
+  const existing = await OnboardingSession.findOne({ clientId });
+
+  if (existing) {
+    return existing;
+  }
+
+  const next = await onboardingService.getNextQuestions(clientId);
+
+  if (!next.success) {
+    throw new Error(next.error);
+  }
+
+  return OnboardingSession.create({
+    clientId,
+    currentPhase: next.currentPhase,
+    status: next.currentPhase === ONBOARDING_PHASES.COMPLETED ? 'completed' : 'active',
+    startedBy: user ? user._id : undefined
+  });
+};
+
+/**
+ * Restituisce lo stato per riprendere il questionario: fase corrente,
+ * domande e risposte già date per quella fase
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} user - Utente che riprende la sessione
+ * @returns {Promise<Object>}
+ */
+exports.getResumeState = async (clientId, user = null) => {
+  try {
+    const client = await Client.findById(clientId);
+
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    const session = await this.getOrCreateSession(client._id, user);
+    const phase = session.currentPhase;
+    const answers = session.getLatestAnswers();
+    const questions = phase === ONBOARDING_PHASES.COMPLETED
+      ? []
+      : await questionBankService.getQuestionsForPhase(phase, { ...getQuestionContext(client, answers), answers });
+
+    return {
+      sessionId: session._id,
+      status: session.status,
+      currentPhase: phase,
+      completedPhases: session.completedPhases,
+      // Si può tornare a qualsiasi fase già confermata o precedente a quella corrente
+      availablePhases: PHASE_ORDER.filter(p => p !== ONBOARDING_PHASES.COMPLETED &&
+        (session.completedPhases.includes(p) || PHASE_ORDER.indexOf(p) <= PHASE_ORDER.indexOf(phase))),
+      questions,
+      answers: session.getLatestAnswers(phase),
+      lastActivityAt: session.lastActivityAt
+    };
+  } catch (error) {
+    console.error('Errore nel recupero della sessione di onboarding:', error);
+    throw new Error(`Impossibile recuperare la sessione di onboarding: ${error.message}`);
+  }
+};
+
+/**
+ * Salva come bozza le risposte di una fase. Vengono registrate solo le
+ * risposte nuove o modificate rispetto all'ultima data.
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} answers - Risposte per ID domanda
+ * @param {Object} context - Contesto: user, source ('operator'|'portal'), phase, submitted
+ * @returns {Promise<Object>} - { session, saved }
+ */
+exports.saveAnswers = async (clientId, answers, context = {}) => {
+  try {
+    const session = await this.getOrCreateSession(clientId, context.user);
+    const phase = context.phase || session.currentPhase;
+
+    assertValidPhase(phase);
+    assertPhaseReached(session, phase);
+
+    const previous = session.getLatestAnswers(phase);
+    const answeredAt = new Date();
+    let saved = 0;
+
+    Object.keys(answers || {}).forEach(questionId => {
+      const value = answers[questionId];
+
+      // Una risposta identica viene registrata solo se conferma una bozza
+      if (questionId in previous && sameValue(previous[questionId], value) && !context.submitted) {
+        return;
+      }
+
+      session.answers.push({
+        phase,
+        questionId,
+        value,
+        answeredBy: context.user ? context.user._id : undefined,
+        answeredAt,
+        source: context.source || 'operator',
+        submitted: Boolean(context.submitted)
+      });
+      saved++;
+    });
+
+    session.currentPhase = phase;
+    session.lastActivityAt = answeredAt;
+    await session.save();
+
+    return { session, saved };
+  } catch (error) {
+    console.error('Errore nel salvataggio delle risposte di onboarding:', error);
+    throw new Error(`Impossibile salvare le risposte: ${error.message}`);
+  }
+};
+
+/**
+ * Conferma una fase: salva le risposte, aggiorna l'anagrafica del cliente
+ * e porta la sessione alla prima fase successiva non ancora confermata
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} answers - Risposte per ID domanda
+ * @param {Object} context - Contesto: user, source, phase, req
+ * @returns {Promise<Object>} - Risultato di processAnswers con la fase della sessione
+ */
+exports.submitPhase = async (clientId, answers, context = {}) => {
+  try {
+    const before = await Client.findById(clientId);
+
+    if (!before) {
+      throw new Error('Cliente non trovato');
+    }
+
+    // Le risposte vengono validate prima di essere confermate
+    const current = await this.getOrCreateSession(clientId, context.user);
+    const phase = context.phase || current.currentPhase;
+
+    assertValidPhase(phase);
+    assertPhaseReached(current, phase);
+
+    const allAnswers = { ...current.getLatestAnswers(), ...answers };
+    const phaseAnswers = { ...current.getLatestAnswers(phase), ...answers };
+    const questions = await questionBankService.getQuestionsForPhase(phase, {
+      ...getQuestionContext(before, allAnswers),
+      answers: allAnswers
+    });
+    const { valid, errors } = questionBankService.validateAnswers(
+      questions.filter(question => question.type !== 'file'),
+      phaseAnswers
+    );
+
+    if (!valid) {
+      throw new Error(`Risposte non valide: ${errors.map(e => `${e.text}: ${e.message}`).join('; ')}`);
+    }
+
+    const { session } = await this.saveAnswers(clientId, answers, { ...context, phase, submitted: true });
+
+    // Si inviano tutte le risposte della fase, comprese quelle salvate in bozza in precedenza
+    const result = await onboardingService.processAnswers(clientId, session.getLatestAnswers(phase), { phase });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const after = await Client.findById(clientId);
+    await clientHistoryService.recordChanges(before, after, {
+      user: context.user,
+      source: context.source === 'portal' ? 'portal' : 'onboarding',
+      req: context.req
+    });
+
+    if (!session.completedPhases.includes(phase)) {
+      session.completedPhases.push(phase);
+    }
+
+    // Tornando a una fase precedente si riprende dalla prima fase non ancora confermata
+    let nextPhase = result.currentPhase;
+    while (nextPhase !== ONBOARDING_PHASES.COMPLETED && session.completedPhases.includes(nextPhase)) {
+      nextPhase = onboardingService.getNextPhase(nextPhase);
+    }
+
+    session.currentPhase = nextPhase;
+    if (result.isComplete || nextPhase === ONBOARDING_PHASES.COMPLETED) {
+      session.status = 'completed';
+      session.completedAt = new Date();
+    }
+    await session.save();
+
+    return {
+      ...result,
+      previousPhase: phase,
+      currentPhase: session.currentPhase
+    };
+  } catch (error) {
+    console.error('Errore nella conferma della fase di onboarding:', error);
+    throw new Error(`Impossibile confermare la fase: ${error.message}`);
+  }
+};
+
+/**
+ * Riporta la sessione a una fase già raggiunta per rivederne le risposte
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {string} phase - Fase di destinazione
+ * @param {Object} user - Utente che effettua lo spostamento
+ * @returns {Promise<Object>} - Stato di ripresa nella nuova fase
+ */
+exports.goToPhase = async (clientId, phase, user = null) => {
+  try {
+    assertValidPhase(phase);
+
+    const session = await this.getOrCreateSession(clientId, user);
+    assertPhaseReached(session, phase);
+
+    session.currentPhase = phase;
+    session.status = 'active';
+    session.lastActivityAt = new Date();
+    await session.save();
+
+    return await this.getResumeState(clientId, user);
+  } catch (error) {
+    console.error('Errore nel cambio di fase dell\'onboarding:', error);
+    throw new Error(`Impossibile tornare alla fase richiesta: ${error.message}`);
+  }
+};
+
+/**
+ * Restituisce lo storico completo delle risposte con le ultime risposte
+ * date e i dati cliente che ne derivano (mapAnswersToClientData)
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} options - Opzioni: phase, questionId
+ * @returns {Promise<Object>} - { history, currentAnswers, clientData }
+ */
+exports.getAnswerHistory = async (clientId, options = {}) => {
+  try {
+    const session = await OnboardingSession.findOne({ clientId })
+      .populate('answers.answeredBy', 'firstName lastName email role');
+
+    if (!session) {
+      return { history: [], currentAnswers: {}, clientData: {} };
+    }
+
+    const history = session.answers
+      .filter(answer => !options.phase || answer.phase === options.phase)
+      .filter(answer => !options.questionId || answer.questionId === options.questionId)
+      .sort((a, b) => new Date(b.answeredAt) - new Date(a.answeredAt));
+
+    const currentAnswers = session.getLatestAnswers();
+
+    return {
+      history,
+      currentAnswers,
+      clientData: await onboardingService.mapAnswersToClientData(currentAnswers)
+    };
+  } catch (error) {
+    console.error('Errore nel recupero dello storico delle risposte:', error);
+    throw new Error(`Impossibile recuperare lo storico delle risposte: ${error.message}`);
+  }
+};
+
+exports.PHASE_ORDER = PHASE_ORDER;
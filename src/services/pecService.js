@@ -0,0 +1,129 @@
+/**
+ * PEC Service
+ *
+ * Lettura delle ricevute PEC dalla casella dello studio via IMAP. L'invio
+ * passa dal mailer con l'account 'pec' (variabili PEC_SMTP_*); le ricevute
+ * di accettazione e di consegna arrivano nella stessa casella, con gli
+ * estremi in un allegato daticert.xml.
+ * La configurazione IMAP è letta dalle variabili PEC_IMAP_*: per le prove
+ * basta un server di posta locale (es. GreenMail) con PEC_IMAP_SECURE=false.
+ */
+
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const { parseDaticert } = require('../utils/daticert');
+
+// Parola chiave IMAP dei messaggi già esaminati (ricevute registrate, PEC in
+// arrivo, ricevute di invii fatti dalla webmail): non altera lo stato di
+// lettura visto dagli operatori nella casella
+const PROCESSED_KEYWORD = '$BiliatoProcessed';
+
+/**
+ * Verifica se la lettura delle ricevute è configurata
+ * @returns {boolean}
+ */
+exports.isImapConfigured = () => Boolean(process.env.PEC_IMAP_HOST);
+
+/**
+ * Parametri di connessione IMAP (le credenziali sono quelle SMTP se non indicate)
+ * @returns {Object} - Opzioni ImapFlow
+ */
+const getImapOptions = () => ({
+  host: process.env.PEC_IMAP_HOST,
+  port: parseInt(process.env.PEC_IMAP_PORT, 10) || 993,
+  secure: process.env.PEC_IMAP_SECURE !== 'false',
+  auth: {
+    user: process.env.PEC_IMAP_USER || process.env.PEC_SMTP_USER,
+    pass: process.env.PEC_IMAP_PASSWORD || process.env.PEC_SMTP_PASSWORD
+  },
+  logger: false
+});
+
+/**
+ * Estrae il daticert.xml da un messaggio ricevuto
+ * @param {Buffer|string} source - Messaggio (RFC 822)
+ * @returns {Promise<Object|null>} - { daticert, subject, receivedAt }, null se non è una ricevuta PEC
+ */
+exports.parseReceiptMessage = async (source) => {
+  const parsed = await simpleParser(source);
+  const attachment = (parsed.attachments || []).find(item => (
+    item.filename && item.filename.toLowerCase() === 'daticert.xml'
+  ));
+
+  if (!attachment) {
+    return null;
+  }
+
+  return {
+    daticert: parseDaticert(attachment.content.toString('utf8')),
+    subject: parsed.subject,
+    receivedAt: parsed.date
+  };
+};
+
+/**
+ * Legge i messaggi non ancora esaminati e passa le ricevute a handler.
+ * I messaggi esaminati (riconosciuti o no) ricevono la parola chiave
+ * PROCESSED_KEYWORD, oppure il flag \Seen se il server non accetta parole
+ * chiave; quelli che generano un errore restano da esaminare e vengono
+ * ritentati alla prossima esecuzione
+ * @param {Function} handler - async ({ source, daticert, subject, receivedAt }) => boolean
+ * @param {Object} options - { mailbox, limit }
+ * @returns {Promise<Object>} - { checked, handled, errors }
+ */
+exports.fetchReceipts = async (handler, options = {}) => {
+  if (!this.isImapConfigured()) {
+    throw new Error('Casella PEC non configurata (PEC_IMAP_HOST)');
+  }
+
+  const client = new ImapFlow(getImapOptions());
+  const report = { checked: 0, handled: 0, errors: 0 };
+  let lock = null;
+
+  try {
+    await client.connect();
+    lock = await client.getMailboxLock(options.mailbox || process.env.PEC_IMAP_MAILBOX || 'INBOX');
+
+    const permanentFlags = client.mailbox.permanentFlags || new Set();
+    const useKeyword = permanentFlags.has('\\*') || permanentFlags.has(PROCESSED_KEYWORD);
+    const query = useKeyword ? { unKeyword: PROCESSED_KEYWORD } : { seen: false };
+
+    // Durante il fetch non si possono eseguire altri comandi: prima si raccolgono i messaggi
+    const messages = [];
+    for await (const message of client.fetch(query, { uid: true, source: true }, { uid: true })) {
+      messages.push({ uid: message.uid, source: message.source });
+      if (messages.length >= (options.limit || 100)) break;
+    }
+
+    const processedUids = [];
+    for (const message of messages) {
+      report.checked++;
+
+      try {
+        const receipt = await this.parseReceiptMessage(message.source);
+        if (receipt && await handler({ source: message.source, ...receipt })) {
+          report.handled++;
+        }
+        processedUids.push(message.uid);
+      } catch (error) {
+        console.error(`Errore nell'elaborazione della ricevuta PEC ${message.uid}:`, error);
+        report.errors++;
+      }
+    }
+
+    if (processedUids.length > 0) {
+      await client.messageFlagsAdd(processedUids, [useKeyword ? PROCESSED_KEYWORD : '\\Seen'], { uid: true });
+    }
+  } finally {
+    if (lock) lock.release();
+    if (client.usable) {
+      await client.logout();
+    } else {
+      client.close();
+    }
+  }
+
+  return report;
+};
+
+exports.PROCESSED_KEYWORD = PROCESSED_KEYWORD;
@@ -0,0 +1,285 @@
+/**
+ * Portal Service
+ *
+ * Logica del portale clienti: il cliente completa da sé l'onboarding
+ * rispondendo alle domande di onboardingService fase per fase, carica i
+ * documenti della checklist e vede cosa manca ancora allo studio.
+ * Ogni risposta o documento ricevuto viene notificato agli operatori.
+ */
+
+const Client = require('../models/Client');
+const Document = require('../models/Document');
+const onboardingService = require('../../services/onboardingService');
+const onboardingSessionService = require('./onboardingSessionService');
+const fileStorageService = require('./fileStorageService');
+const notificationService = require('./notificationService');
+const clientHistoryService = require('./clientHistoryService');
+
+// Etichette delle fasi mostrate al cliente e nelle notifiche
+const PHASE_LABELS = {
+  initial: 'Tipo di cliente',
+  personal_info: 'Dati anagrafici',
+  business_info: 'Dati aziendali',
+  fiscal_data: 'Dati fiscali',
+  documents: 'Documenti',
+  services: 'Servizi',
+  review: 'Riepilogo',
+  completed: 'Completato'
+};
+
+// Stati della checklist che richiedono ancora un'azione del cliente
+const OUTSTANDING_STATUSES = ['in_attesa', 'rifiutato'];
+
+/**
+ * Determina la categoria del documento a partire dalla voce di checklist
+ * @param {string} itemName - Nome della voce di checklist
+ * @returns {string} - Categoria del modello Document
+ */
+const mapChecklistCategory = (itemName) => {
+  const name = itemName.toLowerCase();
+
+  if (name.includes('identità') || name.includes('codice fiscale')) return 'identity';
+  if (name.includes('statuto') || name.includes('visura') || name.includes('verbal') || name.includes('libro soci')) return 'legal';
+  if (name.includes('bilancio') || name.includes('rendiconto') || name.includes('contabil') || name.includes('registri')) return 'accounting';
+  if (name.includes('dichiarazione') || name.includes('f24') || name.includes('iva') || name.includes('modello cu')) return 'fiscal';
+
+  return 'other';
+};
+
+/**
+ * Costruisce l'elenco di ciò che lo studio attende ancora dal cliente
+ * @param {Object} client - Cliente
+ * @param {Object} completeness - Risultato di onboardingService.checkCompleteness
+ * @returns {Object} - { documents, inReview, information }
+ */
+exports.buildOutstandingItems = (client, completeness = {}) => {
+  const checklist = (client.onboarding && client.onboarding.checklist) || [];
+
+  const documents = checklist
+    .filter(item => OUTSTANDING_STATUSES.includes(item.status))
+    .map(item => ({
+      checklistItemId: item._id,
+      name: item.name,
+      required: item.required,
+      status: item.status,
+      // Per i documenti rifiutati le note spiegano cosa correggere
+      notes: item.status === 'rifiutato' ? item.notes : undefined
+    }));
+
+  const inReview = checklist
+    .filter(item => item.status === 'caricato')
+    .map(item => ({
+      checklistItemId: item._id,
+      name: item.name,
+      uploadedAt: item.uploadedAt
+    }));
+
+  // I documenti sono già elencati sopra: restano le informazioni mancanti
+  const information = (completeness.missingFields || [])
+    .filter(entry => entry.phase !== onboardingService.ONBOARDING_PHASES.DOCUMENTS)
+    .map(entry => ({
+      phase: entry.phase,
+      phaseLabel: PHASE_LABELS[entry.phase] || entry.phase,
+      fields: entry.fields
+    }));
+
+  return { documents, inReview, information };
+};
+
+/**
+ * Restituisce lo stato dell'onboarding del cliente per il portale:
+ * fase corrente, domande da compilare, checklist e elementi mancanti
+ *
+ * @param {string} clientId - ID del cliente
+ * @returns {Promise<Object>}
+ */
+exports.getPortalOverview = async (clientId) => {
+  try {
+    const client = await Client.findById(clientId);
+
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    // La sessione di onboarding permette di riprendere dalle risposte salvate in bozza
+    const [session, completeness] = await Promise.all([
+      onboardingSessionService.getResumeState(client._id),
+      onboardingService.checkCompleteness(client._id)
+    ]);
+
+    return {
+      client: {
+        _id: client._id,
+        name: client.name,
+        fiscalCode: client.fiscalCode,
+        companyType: client.companyType
+      },
+      onboarding: {
+        status: client.onboarding.status,
+        currentPhase: session.currentPhase,
+        currentPhaseLabel: PHASE_LABELS[session.currentPhase] || session.currentPhase,
+        completed: session.status === 'completed',
+        completionPercentage: client.onboarding.completionPercentage,
+        availablePhases: session.availablePhases.map(phase => ({ phase, label: PHASE_LABELS[phase] || phase })),
+        questions: session.questions,
+        answers: session.answers
+      },
+      checklist: client.onboarding.checklist,
+      outstanding: this.buildOutstandingItems(client, completeness.success ? completeness : {})
+    };
+  } catch (error) {
+    console.error('Errore nel recupero dello stato del portale:', error);
+    throw new Error(`Impossibile recuperare lo stato dell'onboarding: ${error.message}`);
+  }
+};
+
+/**
+ * Salva come bozza le risposte del cliente senza confermare la fase
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} answers - Risposte per la fase corrente
+ * @param {Object} context - Contesto: user
+ * @returns {Promise<Object>} - { saved }
+ */
+exports.saveDraft = async (clientId, answers, context = {}) => {
+  const { saved } = await onboardingSessionService.saveAnswers(clientId, answers, {
+    user: context.user,
+    source: 'portal'
+  });
+
+  return { saved };
+};
+
+/**
+ * Conferma le risposte del cliente per la fase corrente dell'onboarding
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {Object} answers - Risposte per la fase corrente
+ * @param {Object} context - Contesto: user, req, phase
+ * @returns {Promise<Object>} - Risultato della conferma della fase
+ */
+exports.submitAnswers = async (clientId, answers, context = {}) => {
+  try {
+    const client = await Client.findById(clientId);
+
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    // La sessione registra le risposte e lo storico delle modifiche all'anagrafica
+    const result = await onboardingSessionService.submitPhase(client._id, answers, {
+      user: context.user,
+      source: 'portal',
+      phase: context.phase,
+      req: context.req
+    });
+
+    // Il nome può essere appena stato compilato nella fase inviata
+    const updated = await Client.findById(clientId);
+
+    const phaseLabel = PHASE_LABELS[result.previousPhase] || result.previousPhase;
+
+    await notificationService.notifyClientOperators(updated, {
+      type: result.isComplete ? 'portal_onboarding_completed' : 'portal_answers',
+      title: result.isComplete
+        ? `${updated.name} ha completato l'onboarding dal portale`
+        : `${updated.name} ha compilato la fase "${phaseLabel}"`,
+      message: `Completamento onboarding: ${result.completionPercentage}%`,
+      metadata: {
+        phase: result.previousPhase,
+        answeredFields: Object.keys(answers || {})
+      }
+    });
+
+    return result;
+  } catch (error) {
+    console.error('Errore nella registrazione delle risposte dal portale:', error);
+    throw new Error(`Impossibile registrare le risposte: ${error.message}`);
+  }
+};
+
+/**
+ * Carica un documento per una voce della checklist di onboarding
+ *
+ * @param {string} clientId - ID del cliente
+ * @param {string} checklistItemId - ID della voce di checklist
+ * @param {Object} file - File caricato (multer: originalname, mimetype, size, buffer)
+ * @param {Object} user - Utente del portale
+ * @returns {Promise<Object>} - { document, checklistItem }
+ */
+exports.uploadChecklistDocument = async (clientId, checklistItemId, file, user = null) => {
+  try {
+    const client = await Client.findById(clientId);
+
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    const item = client.onboarding.checklist.id(checklistItemId);
+
+    if (!item) {
+      throw new Error('Voce della checklist non trovata');
+    }
+
+    if (item.status === 'verificato') {
+      throw new Error('Il documento è già stato verificato dallo studio');
+    }
+
+    const uploadResult = await fileStorageService.uploadFile({
+      clientId: client._id.toString(),
+      originalFilename: file.originalname,
+      fileContent: file.buffer,
+      mimeType: file.mimetype,
+      category: 'onboarding',
+      metadata: {
+        checklistItem: item.name,
+        source: 'portal'
+      }
+    });
+
+    const document = await Document.create({
+      clientId: client._id,
+      filename: uploadResult.filename,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size || uploadResult.size,
+      path: uploadResult.key,
+      category: mapChecklistCategory(item.name),
+      tags: ['onboarding', 'portale'],
+      metadata: {
+        docType: item.name
+      },
+      status: 'pending',
+      createdBy: user ? user._id : undefined
+    });
+
+    const before = client.toObject();
+    const wasRejected = item.status === 'rifiutato';
+    item.status = 'caricato';
+    item.uploadedAt = new Date();
+    item.documentId = document._id.toString();
+
+    await client.save();
+
+    await clientHistoryService.recordChanges(before, client, { user, source: 'portal' });
+
+    await notificationService.notifyClientOperators(client, {
+      type: 'portal_document',
+      title: `${client.name} ha caricato "${item.name}"`,
+      message: wasRejected
+        ? 'Nuova versione di un documento rifiutato, da verificare'
+        : 'Documento da verificare',
+      metadata: {
+        checklistItemId: item._id,
+        documentId: document._id
+      }
+    });
+
+    return { document, checklistItem: item };
+  } catch (error) {
+    console.error('Errore nel caricamento del documento dal portale:', error);
+    throw new Error(`Impossibile caricare il documento: ${error.message}`);
+  }
+};
+
+exports.PHASE_LABELS = PHASE_LABELS;
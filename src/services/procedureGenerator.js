@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const Client = require('../models/Client');
 const Procedure = require('../models/Procedure');
+const fiscalCalendarService = require('./fiscalCalendarService');
 
 /**
  * Analizza il profilo del cliente e determina le procedure necessarie
@@ -120,6 +121,11 @@ exports.analyzeProcedureRequirements = async (client) => {
       }
     }
     
+    // Sostituto d'imposta: ritenute, CU e 770
+    if (employees > 0) {
+      fiscalRequirements.push('withholding_agent');
+    }
+    
     // Altri requisiti basati sul tipo di società
     if (['Corporation', 'LLC'].includes(companyType)) {
       fiscalRequirements.push('corporate_tax');
@@ -155,6 +161,8 @@ exports.analyzeProcedureRequirements = async (client) => {
       needsAudit: companyType === 'Corporation' || annualRevenue > 1000000,
       fiscalRequirements,
       accountingRequirements,
+      // Chiusura dell'esercizio, termine di approvazione del bilancio e periodicità IVA
+      fiscalProfile: fiscalCalendarService.getClientFiscalProfile(client),
       isNewBusiness,
       needsAnnualPlanning: annualRevenue > 500000 || employees > 10
     };
@@ -204,7 +212,7 @@ exports.generateTaskChecklist = async (client, procedureRequirements) => {
     ];
     
     // Calcola date concrete per le scadenze
-    allTasks = this.calculateTaskDeadlines(allTasks);
+    allTasks = this.calculateTaskDeadlines(allTasks, procedureRequirements.fiscalProfile);
     
     // Imposta dipendenze tra le attività
     allTasks = this.resolveTaskDependencies(allTasks);
@@ -306,8 +314,8 @@ exports.generateBaseAccountingTasks = (accountingRegime) => {
           progress: 0,
           deadline: {
             type: 'monthly',
-            dayOfMonth: 16,
-            description: 'Entro il 16 del mese successivo'
+            fiscalDeadline: 'vat_periodic',
+            description: 'Entro il 16 del mese successivo (del secondo mese per i trimestrali)'
           },
           tags: ['fiscale', 'iva'],
           dependsOn: [`task-${timestamp}-3`]
@@ -321,6 +329,7 @@ exports.generateBaseAccountingTasks = (accountingRegime) => {
           progress: 0,
           deadline: {
             type: 'quarterly',
+            daysAfterQuarterEnd: 30,
             description: 'Entro 30 giorni dalla chiusura del trimestre'
           },
           tags: ['contabilità', 'bilancio'],
@@ -355,8 +364,8 @@ exports.generateBaseAccountingTasks = (accountingRegime) => {
           progress: 0,
           deadline: {
             type: 'monthly',
-            dayOfMonth: 16,
-            description: 'Entro il 16 del mese successivo'
+            fiscalDeadline: 'vat_periodic',
+            description: 'Entro il 16 del mese successivo (del secondo mese per i trimestrali)'
           },
           tags: ['fiscale', 'iva'],
           dependsOn: [`task-${timestamp}-3`]
@@ -390,6 +399,7 @@ exports.generateBaseAccountingTasks = (accountingRegime) => {
           progress: 0,
           deadline: {
             type: 'quarterly',
+            daysAfterQuarterEnd: 0,
             description: 'Alla fine di ogni trimestre'
           },
           tags: ['fiscale', 'forfettario'],
@@ -428,6 +438,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'tax_advance_second',
           description: 'Entro il 30 Novembre'
         },
         tags: ['fiscale', 'imposte'],
@@ -445,6 +456,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'financial_statements_approval',
           description: 'Entro 4 mesi dalla chiusura dell\'esercizio'
         },
         tags: ['società', 'utili'],
@@ -459,6 +471,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'tax_advance_second',
           description: 'Entro il 30 Novembre'
         },
         tags: ['fiscale', 'imposte'],
@@ -476,6 +489,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'financial_statements_approval',
           description: 'Entro 4 mesi dalla chiusura dell\'esercizio'
         },
         tags: ['bilancio', 'società'],
@@ -490,6 +504,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'financial_statements_filing',
           description: 'Entro 30 giorni dall\'approvazione del bilancio'
         },
         tags: ['bilancio', 'adempimenti'],
@@ -507,6 +522,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'financial_statements_approval',
           description: 'Entro 4 mesi dalla chiusura dell\'esercizio'
         },
         tags: ['bilancio', 'società'],
@@ -521,6 +537,9 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'financial_statements_approval',
+          // La relazione del revisore va depositata 15 giorni prima dell'assemblea
+          offsetDays: -15,
           description: 'Prima dell\'approvazione del bilancio'
         },
         tags: ['bilancio', 'revisione'],
@@ -535,6 +554,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
         progress: 0,
         deadline: {
           type: 'annual',
+          fiscalDeadline: 'financial_statements_filing',
           description: 'Entro 30 giorni dall\'approvazione del bilancio'
         },
         tags: ['bilancio', 'adempimenti'],
@@ -558,6 +578,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
       progress: 0,
       deadline: {
         type: 'quarterly',
+        daysAfterQuarterEnd: 20,
         description: 'Entro 20 giorni dalla chiusura del trimestre'
       },
       tags: ['analisi', 'budget'],
@@ -573,6 +594,7 @@ exports.generateCompanySpecificTasks = (companyType, complexityLevel) => {
       progress: 0,
       deadline: {
         type: 'quarterly',
+        daysAfterQuarterEnd: 30,
         description: 'Entro 30 giorni dalla chiusura del trimestre'
       },
       tags: ['analisi', 'forecast'],
@@ -603,6 +625,7 @@ exports.generateFiscalTasks = (fiscalRequirements) => {
       progress: 0,
       deadline: {
         type: 'annual',
+        fiscalDeadline: 'vat_return',
         description: 'Entro il 30 Aprile'
       },
       tags: ['fiscale', 'iva', 'dichiarazioni'],
@@ -621,7 +644,8 @@ exports.generateFiscalTasks = (fiscalRequirements) => {
       progress: 0,
       deadline: {
         type: 'annual',
-        description: 'Entro il 30 Novembre'
+        fiscalDeadline: 'income_tax_individuals',
+        description: 'Entro il 31 Ottobre'
       },
       tags: ['fiscale', 'redditi', 'dichiarazioni'],
       dependsOn: []
@@ -639,7 +663,8 @@ exports.generateFiscalTasks = (fiscalRequirements) => {
       progress: 0,
       deadline: {
         type: 'annual',
-        description: 'Entro l\'ultimo giorno del nono mese successivo alla chiusura del periodo d\'imposta'
+        fiscalDeadline: 'income_tax_companies',
+        description: 'Entro l\'ultimo giorno del decimo mese successivo alla chiusura del periodo d\'imposta'
       },
       tags: ['fiscale', 'redditi', 'società', 'dichiarazioni'],
       dependsOn: []
@@ -657,6 +682,7 @@ exports.generateFiscalTasks = (fiscalRequirements) => {
       progress: 0,
       deadline: {
         type: 'annual',
+        fiscalDeadline: 'financial_statements_approval',
         description: 'Entro 120 giorni dalla chiusura dell\'esercizio'
       },
       tags: ['bilancio', 'chiusura'],
@@ -675,13 +701,86 @@ exports.generateFiscalTasks = (fiscalRequirements) => {
       progress: 0,
       deadline: {
         type: 'annual',
-        description: 'Entro il 30 Novembre'
+        fiscalDeadline: 'income_tax_partnerships',
+        description: 'Entro il 31 Ottobre'
       },
       tags: ['fiscale', 'redditi', 'società', 'dichiarazioni'],
       dependsOn: []
     });
   }
   
+  // Attività per comunicazione delle liquidazioni periodiche IVA
+  if (fiscalRequirements.includes('vat_liquidation')) {
+    tasks.push({
+      id: `task-${timestamp}-fisc-6`,
+      title: 'Comunicazione Liquidazioni Periodiche IVA',
+      description: 'Predisposizione e invio della comunicazione LIPE del trimestre',
+      priority: 'medium',
+      status: 'pending',
+      progress: 0,
+      deadline: {
+        type: 'quarterly',
+        fiscalDeadline: 'lipe',
+        description: 'Entro l\'ultimo giorno del secondo mese successivo al trimestre'
+      },
+      tags: ['fiscale', 'iva', 'comunicazioni'],
+      dependsOn: []
+    });
+  }
+  
+  // Attività per dichiarazione IRAP (società)
+  if (fiscalRequirements.includes('corporate_tax') || fiscalRequirements.includes('partnership_tax')) {
+    tasks.push({
+      id: `task-${timestamp}-fisc-7`,
+      title: 'Dichiarazione IRAP',
+      description: 'Predisposizione e invio della dichiarazione IRAP',
+      priority: 'high',
+      status: 'pending',
+      progress: 0,
+      deadline: {
+        type: 'annual',
+        fiscalDeadline: 'irap',
+        description: 'Entro l\'ultimo giorno del decimo mese successivo alla chiusura del periodo d\'imposta'
+      },
+      tags: ['fiscale', 'irap', 'dichiarazioni'],
+      dependsOn: []
+    });
+  }
+  
+  // Attività per sostituti d'imposta
+  if (fiscalRequirements.includes('withholding_agent')) {
+    tasks.push({
+      id: `task-${timestamp}-fisc-8`,
+      title: 'Certificazione Unica',
+      description: 'Predisposizione, invio e consegna delle Certificazioni Uniche',
+      priority: 'high',
+      status: 'pending',
+      progress: 0,
+      deadline: {
+        type: 'annual',
+        fiscalDeadline: 'cu',
+        description: 'Entro il 16 Marzo'
+      },
+      tags: ['fiscale', 'sostituto-imposta', 'dichiarazioni'],
+      dependsOn: []
+    });
+    tasks.push({
+      id: `task-${timestamp}-fisc-9`,
+      title: 'Modello 770',
+      description: 'Predisposizione e invio della dichiarazione dei sostituti d\'imposta',
+      priority: 'high',
+      status: 'pending',
+      progress: 0,
+      deadline: {
+        type: 'annual',
+        fiscalDeadline: 'withholding_return',
+        description: 'Entro il 31 Ottobre'
+      },
+      tags: ['fiscale', 'sostituto-imposta', 'dichiarazioni'],
+      dependsOn: [`task-${timestamp}-fisc-8`]
+    });
+  }
+  
   return tasks;
 };
 
@@ -712,84 +811,88 @@ exports.generateSectorSpecificTasks = (sectorSpecificTasks) => {
 };
 
 /**
- * Calcola e imposta le date concrete per le scadenze
+ * Calcola e imposta le date concrete per le scadenze.
+ * Le attività legate a un adempimento (deadline.fiscalDeadline) prendono la
+ * data dallo scadenzario fiscale, già spostata al primo giorno lavorativo e
+ * calcolata sulla chiusura dell'esercizio del cliente; le altre usano il
+ * giorno del mese o i giorni dalla chiusura del trimestre.
+ *
  * @param {Array} tasks - Lista di attività con scadenze generiche
+ * @param {Object} options - { now, fiscalYearEnd, approvalDays, vatPeriodicity }
  * @returns {Array} - Lista di attività con date concrete
  */
-exports.calculateTaskDeadlines = (tasks) => {
-  const today = new Date();
+exports.calculateTaskDeadlines = (tasks, options = {}) => {
+  const today = options.now ? new Date(options.now) : new Date();
   const currentMonth = today.getMonth();
   const currentYear = today.getFullYear();
-  
-  // Definisci date di scadenza fiscali
-  const fiscalDeadlines = {
-    vat_annual: new Date(currentYear, 3, 30), // 30 Aprile
-    income_tax_individuals: new Date(currentYear, 10, 30), // 30 Novembre
-    income_tax_companies: (() => {
-      // Ultimo giorno del nono mese dopo la chiusura dell'esercizio fiscale
-      // Assumiamo chiusura standard al 31/12
-      const date = new Date(currentYear, 8, 30); // 30 Settembre
-      return date;
-    })()
-  };
+  const todayStart = new Date(currentYear, currentMonth, today.getDate());
   
   return tasks.map(task => {
     const updatedTask = { ...task };
     
-    // Se la scadenza è definita, calcola la data concreta
-    if (task.deadline) {
-      switch (task.deadline.type) {
-        case 'monthly':
-          // Se siamo oltre il giorno del mese, imposta il mese successivo
-          let targetMonth = currentMonth;
-          const dayOfMonth = task.deadline.dayOfMonth || 30;
-          
-          if (today.getDate() > dayOfMonth) {
-            targetMonth = (currentMonth + 1) % 12;
-          }
-          
-          updatedTask.dueDate = new Date(
-            targetMonth === 11 && currentMonth === 0 ? currentYear - 1 : currentYear,
-            targetMonth,
-            dayOfMonth
-          );
-          break;
-          
-        case 'quarterly':
-          // Calcola il prossimo trimestre
-          const currentQuarter = Math.floor(currentMonth / 3);
-          const nextQuarter = (currentQuarter + 1) % 4;
-          const nextQuarterMonth = nextQuarter * 3 + 1; // Mese centrale del trimestre
-          
-          updatedTask.dueDate = new Date(
-            nextQuarter === 0 && currentQuarter === 3 ? currentYear + 1 : currentYear,
-            nextQuarterMonth,
-            15
-          );
-          break;
-          
-        case 'annual':
-          // Cerca di identificare la data di scadenza fiscale appropriata
-          let annualDueDate;
-          
-          if (task.title.includes('IVA')) {
-            annualDueDate = fiscalDeadlines.vat_annual;
-          } else if (task.title.includes('Persone Fisiche')) {
-            annualDueDate = fiscalDeadlines.income_tax_individuals;
-          } else if (task.title.includes('Societari') || task.title.includes('Società')) {
-            annualDueDate = fiscalDeadlines.income_tax_companies;
-          } else if (task.title.includes('Bilancio')) {
-            // 120 giorni dalla chiusura dell'esercizio, assumiamo 31/12
-            annualDueDate = new Date(currentYear, 3, 30); // 30 Aprile
-          } else if (task.title.includes('Acconti')) {
-            annualDueDate = new Date(currentYear, 10, 30); // 30 Novembre
-          } else {
-            // Default: fine anno
-            annualDueDate = new Date(currentYear, 11, 31); // 31 Dicembre
-          }
-          
-          updatedTask.dueDate = annualDueDate;
-          break;
+    if (!task.deadline) {
+      return updatedTask;
+    }
+    
+    // Adempimento fiscale: prima scadenza utile dallo scadenzario
+    if (task.deadline.fiscalDeadline) {
+      const fiscalDeadline = fiscalCalendarService.getNextDeadline(task.deadline.fiscalDeadline, {
+        from: todayStart,
+        fiscalYearEnd: options.fiscalYearEnd,
+        approvalDays: options.approvalDays,
+        vatPeriodicity: options.vatPeriodicity
+      });
+      
+      if (fiscalDeadline) {
+        const dueDate = new Date(fiscalDeadline.dueDate);
+        if (task.deadline.offsetDays) {
+          dueDate.setDate(dueDate.getDate() + task.deadline.offsetDays);
+        }
+        
+        updatedTask.dueDate = dueDate;
+        updatedTask.fiscalPeriod = fiscalDeadline.periodLabel;
+        return updatedTask;
+      }
+    }
+    
+    switch (task.deadline.type) {
+      case 'monthly': {
+        // Se siamo oltre il giorno del mese, imposta il mese successivo
+        const dayOfMonth = task.deadline.dayOfMonth || 30;
+        const targetMonth = today.getDate() > dayOfMonth ? currentMonth + 1 : currentMonth;
+        
+        // Il giorno non può superare la fine del mese (es. 30 febbraio)
+        const lastDay = new Date(currentYear, targetMonth + 1, 0).getDate();
+        updatedTask.dueDate = new Date(currentYear, targetMonth, Math.min(dayOfMonth, lastDay));
+        break;
+      }
+        
+      case 'quarterly': {
+        // Primo trimestre la cui scadenza (giorni dalla chiusura) non è ancora passata
+        const daysAfterQuarterEnd = task.deadline.daysAfterQuarterEnd !== undefined
+          ? task.deadline.daysAfterQuarterEnd
+          : 30;
+        let quarterEndMonth = Math.floor(currentMonth / 3) * 3 - 1;
+        let dueDate;
+        
+        do {
+          dueDate = new Date(currentYear, quarterEndMonth + 1, daysAfterQuarterEnd);
+          quarterEndMonth += 3;
+        } while (dueDate < todayStart);
+        
+        updatedTask.dueDate = dueDate;
+        break;
+      }
+        
+      case 'annual': {
+        // Default: chiusura dell'esercizio in corso
+        let fiscalYearEnd = fiscalCalendarService.getFiscalYearEndDate(currentYear, options.fiscalYearEnd);
+        if (fiscalYearEnd < todayStart) {
+          fiscalYearEnd = fiscalCalendarService.getFiscalYearEndDate(currentYear + 1, options.fiscalYearEnd);
+        }
+        
+        updatedTask.dueDate = fiscalYearEnd;
+        break;
       }
     }
     
@@ -841,76 +944,18 @@ exports.resolveTaskDependencies = (tasks) => {
 exports.setupTaskPriorities = (tasks, client) => {
   try {
     const today = new Date();
-    const currentMonth = today.getMonth();
-    const currentYear = today.getFullYear();
+    const soon = new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000);
     
-    // Definisci le date di scadenza fiscali principali
-    const taxDeadlines = {
-      annualTaxReturn: new Date(currentYear, 5, 30), // 30 Giugno
-      vatPaymentQ1: new Date(currentYear, 4, 16),    // 16 Maggio
-      vatPaymentQ2: new Date(currentYear, 7, 16),    // 16 Agosto
-      vatPaymentQ3: new Date(currentYear, 10, 16),   // 16 Novembre
-      vatPaymentQ4: new Date(currentYear, 1, 16),    // 16 Febbraio anno successivo
-    };
+    // Calcola date concrete per le scadenze
+    const datedTasks = this.calculateTaskDeadlines(tasks, fiscalCalendarService.getClientFiscalProfile(client));
     
-    // Aggiorna le priorità e le scadenze in base al periodo attuale
-    return tasks.map(task => {
-      const updatedTask = { ...task };
-      
-      // Se è una task fiscale, aggiorna la priorità in base alla vicinanza della scadenza
-      if (task.tags.includes('fiscale')) {
-        // Trova la scadenza fiscale più vicina
-        const closestDeadline = Object.values(taxDeadlines).reduce((closest, date) => {
-          const diff = date - today;
-          if (diff > 0 && (!closest || diff < closest - today)) {
-            return date;
-          }
-          return closest;
-        }, null);
-        
-        // Se la scadenza è entro 30 giorni, imposta priorità alta
-        if (closestDeadline && (closestDeadline - today) / (1000 * 60 * 60 * 24) < 30) {
-          updatedTask.priority = 'high';
-        }
+    // Se un adempimento fiscale scade entro 30 giorni, imposta priorità alta
+    return datedTasks.map(task => {
+      if (task.deadline && task.deadline.fiscalDeadline && task.dueDate && task.dueDate <= soon) {
+        return { ...task, priority: 'high' };
       }
       
-      // Calcola date concrete per le scadenze
-      if (task.deadline) {
-        switch (task.deadline.type) {
-          case 'monthly':
-            // Se siamo oltre il giorno del mese, imposta il mese successivo
-            let targetMonth = currentMonth;
-            if (today.getDate() > task.deadline.dayOfMonth) {
-              targetMonth = (currentMonth + 1) % 12;
-            }
-            updatedTask.dueDate = new Date(
-              targetMonth === 11 && currentMonth === 0 ? currentYear - 1 : currentYear,
-              targetMonth,
-              task.deadline.dayOfMonth
-            );
-            break;
-            
-          case 'quarterly':
-            // Calcola il prossimo trimestre
-            const currentQuarter = Math.floor(currentMonth / 3);
-            const nextQuarter = (currentQuarter + 1) % 4;
-            const nextQuarterMonth = nextQuarter * 3 + 1; // Mese centrale del trimestre
-            
-            updatedTask.dueDate = new Date(
-              nextQuarter === 0 && currentQuarter === 3 ? currentYear + 1 : currentYear,
-              nextQuarterMonth,
-              15
-            );
-            break;
-            
-          case 'annual':
-            // Imposta la data annuale (default: fine anno fiscale)
-            updatedTask.dueDate = new Date(currentYear, 11, 31);
-            break;
-        }
-      }
-      
-      return updatedTask;
+      return task;
     });
     
   } catch (error) {
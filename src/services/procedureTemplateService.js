@@ -0,0 +1,528 @@
+/**
+ * Procedure Template Service
+ *
+ * Modifica dei template delle procedure con versioni non modificabili:
+ * ogni salvataggio crea una nuova versione (ProcedureVersion) e le
+ * procedure dei clienti restano sulla versione da cui sono state create
+ * (ClientProcedure.procedureVersion). Il passaggio delle istanze in corso
+ * a una nuova versione è un'azione esplicita, con anteprima delle
+ * differenze: task aggiunti, rimossi e modificati per ogni istanza.
+ * I task sono confrontati per nome; i task completati non vengono toccati.
+ */
+
+const Procedure = require('../models/Procedure');
+const ProcedureVersion = require('../models/ProcedureVersion');
+const ClientProcedure = require('../models/ClientProcedure');
+const ActivityLog = require('../models/ActivityLog');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const { validateDependencies } = require('../utils/taskGraph');
+
+// Campi modificabili del template
+const TEMPLATE_FIELDS = ['name', 'description', 'clientType', 'tasks'];
+
+// Campi dei task copiati nelle versioni
+const TASK_FIELDS = [
+  'name',
+  'description',
+  'dueOffset',
+  'fiscalDeadline',
+  'assignedRole',
+  'estimatedHours',
+  'requiredDocuments',
+  'reminderDays',
+  'steps',
+  'dependsOn'
+];
+
+// Campi dei task delle istanze aggiornati dalla migrazione
+const INSTANCE_TASK_FIELDS = ['dueDate', 'fiscalDeadline', 'fiscalPeriod', 'estimatedHours', 'dependsOn'];
+
+/**
+ * Confronta due valori (date e array compresi)
+ * @param {*} a - Primo valore
+ * @param {*} b - Secondo valore
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => {
+  const normalize = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.getTime();
+    if (Array.isArray(value)) return value.map(normalize);
+    return value;
+  };
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
+/**
+ * Copia del template da salvare in una versione
+ * @param {Object} procedure - Procedura (documento o oggetto)
+ * @returns {Object} - { name, description, clientType, tasks }
+ */
+exports.toSnapshot = (procedure) => {
+  const source = typeof procedure.toObject === 'function' ? procedure.toObject() : procedure;
+
+  return {
+    name: source.name,
+    description: source.description,
+    clientType: source.clientType,
+    tasks: (source.tasks || []).map(task => {
+      const copy = {};
+      TASK_FIELDS.forEach(field => {
+        if (task[field] !== undefined) {
+          copy[field] = Array.isArray(task[field]) ? [...task[field]] : task[field];
+        }
+      });
+      return copy;
+    })
+  };
+};
+
+/**
+ * Differenze tra due versioni del template
+ * @param {Object} from - Copia del template di partenza
+ * @param {Object} to - Copia del template di arrivo
+ * @returns {Object} - { fields, tasks: { added, removed, changed }, hasChanges }
+ */
+exports.diffSnapshots = (from, to) => {
+  const fields = {};
+  ['name', 'description', 'clientType'].forEach(field => {
+    if (!isEqual(from[field], to[field])) {
+      fields[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  const fromTasks = new Map((from.tasks || []).map(task => [task.name, task]));
+  const toTasks = new Map((to.tasks || []).map(task => [task.name, task]));
+
+  const added = (to.tasks || []).filter(task => !fromTasks.has(task.name));
+  const removed = (from.tasks || []).filter(task => !toTasks.has(task.name));
+  const changed = [];
+
+  (to.tasks || []).forEach(task => {
+    const previous = fromTasks.get(task.name);
+    if (!previous) return;
+
+    const changes = {};
+    TASK_FIELDS.forEach(field => {
+      if (!isEqual(previous[field], task[field])) {
+        changes[field] = { from: previous[field], to: task[field] };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: task.name, changes });
+    }
+  });
+
+  return {
+    fields,
+    tasks: { added, removed, changed },
+    hasChanges: Object.keys(fields).length > 0 || added.length > 0 || removed.length > 0 || changed.length > 0
+  };
+};
+
+/**
+ * Verifica i dati di un template prima del salvataggio
+ * @param {Object} data - Campi del template
+ * @returns {Array<string>} - Errori riscontrati
+ */
+exports.validateTemplate = (data) => {
+  const candidate = new Procedure(data);
+  const validation = candidate.validateSync();
+
+  // Le dipendenze sono verificate in pre('validate'), non eseguito da validateSync
+  const errors = validation ? Object.values(validation.errors).map(error => error.message) : [];
+
+  return errors.concat(validateDependencies(candidate.tasks || [], 'name'));
+};
+
+/**
+ * Crea la versione iniziale delle procedure create prima del versionamento
+ * @param {Object} procedure - Procedura
+ * @param {Object} user - Utente
+ * @returns {Promise<Object>} - Versione corrente
+ */
+exports.ensureVersionHistory = async (procedure, user = null) => {
+  const current = await ProcedureVersion.findVersion(procedure._id, procedure.version || 1);
+  if (current) {
+    return current;
+  }
+
+  return ProcedureVersion.create({
+    procedureId: procedure._id,
+    version: procedure.version || 1,
+    snapshot: this.toSnapshot(procedure),
+    notes: 'Versione iniziale',
+    createdBy: user ? user._id : undefined
+  });
+};
+
+/**
+ * Modifica il template di una procedura creando una nuova versione
+ * @param {string} procedureId - ID della procedura
+ * @param {Object} data - Campi da modificare (TEMPLATE_FIELDS)
+ * @param {Object} user - Utente che modifica
+ * @param {Object} options - { notes }
+ * @returns {Promise<Object>} - { procedure, version, diff } (version null se non ci sono modifiche)
+ */
+exports.updateTemplate = async (procedureId, data = {}, user = null, options = {}) => {
+  try {
+    const procedure = await Procedure.findById(procedureId);
+    if (!procedure) {
+      throw new Error('Procedura non trovata');
+    }
+
+    await this.ensureVersionHistory(procedure, user);
+    const before = this.toSnapshot(procedure);
+
+    TEMPLATE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        procedure[field] = data[field];
+      }
+    });
+
+    const diff = this.diffSnapshots(before, this.toSnapshot(procedure));
+    if (!diff.hasChanges) {
+      return { procedure, version: null, diff };
+    }
+
+    procedure.version = (procedure.version || 1) + 1;
+    await procedure.save();
+
+    const version = await ProcedureVersion.create({
+      procedureId: procedure._id,
+      version: procedure.version,
+      snapshot: this.toSnapshot(procedure),
+      notes: options.notes,
+      createdBy: user ? user._id : undefined
+    });
+
+    return { procedure, version, diff };
+  } catch (error) {
+    console.error('Errore nella modifica del template della procedura:', error);
+    throw new Error(`Impossibile modificare il template: ${error.message}`);
+  }
+};
+
+/**
+ * Elenco delle versioni di una procedura (dalla più recente)
+ * @param {string} procedureId - ID della procedura
+ * @returns {Promise<Array>}
+ */
+exports.listVersions = async (procedureId) => {
+  try {
+    const procedure = await Procedure.findById(procedureId);
+    if (!procedure) {
+      throw new Error('Procedura non trovata');
+    }
+
+    await this.ensureVersionHistory(procedure);
+
+    const [versions, usage] = await Promise.all([
+      ProcedureVersion.find({ procedureId })
+        .populate('createdBy', 'firstName lastName')
+        .sort({ version: -1 }),
+      ClientProcedure.aggregate([
+        { $match: { procedureId: procedure._id, status: { $in: ['active', 'on_hold'] } } },
+        { $group: { _id: { $ifNull: ['$procedureVersion', 1] }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(usage.map(row => [row._id, row.count]));
+
+    return versions.map(version => ({
+      _id: version._id,
+      version: version.version,
+      notes: version.notes,
+      createdBy: version.createdBy,
+      createdAt: version.createdAt,
+      tasks: (version.snapshot.tasks || []).length,
+      current: version.version === procedure.version,
+      activeInstances: counts.get(version.version) || 0
+    }));
+  } catch (error) {
+    console.error('Errore nel recupero delle versioni della procedura:', error);
+    throw new Error(`Impossibile recuperare le versioni: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera una versione di una procedura
+ * @param {string} procedureId - ID della procedura
+ * @param {number} version - Numero di versione
+ * @returns {Promise<Object>}
+ */
+exports.getVersion = async (procedureId, version) => {
+  const found = await ProcedureVersion.findVersion(procedureId, Number(version));
+  if (!found) {
+    throw new Error(`Versione ${version} della procedura non trovata`);
+  }
+  return found;
+};
+
+/**
+ * Pianifica il passaggio di un'istanza a una versione del template:
+ * task da aggiungere, da rimuovere (solo se non completati) e da
+ * aggiornare (scadenze, ore stimate, dipendenze)
+ * @param {Object} instance - Istanza (ClientProcedure)
+ * @param {Object} snapshot - Copia del template di destinazione
+ * @param {Object} client - Cliente (per il profilo fiscale)
+ * @returns {Promise<Object>} - { add, remove, update, keep }
+ */
+exports.planInstanceMigration = async (instance, snapshot, client = null) => {
+  // Task come sarebbero creati oggi dalla nuova versione per la stessa istanza
+  const target = new ClientProcedure({
+    clientId: instance.clientId,
+    procedureId: instance.procedureId,
+    startDate: instance.startDate,
+    period: instance.period
+  });
+  await target.initializeTasksFromProcedure(snapshot, client ? fiscalCalendarService.getClientFiscalProfile(client) : {});
+
+  const targetNames = new Map(target.tasks.map(task => [task.taskId, task.name]));
+  const existingNames = new Map(instance.tasks.map(task => [task.taskId, task.name]));
+  const existing = new Map(instance.tasks.map(task => [task.name, task]));
+  const plan = { add: [], remove: [], update: [], keep: [] };
+
+  target.tasks.forEach(targetTask => {
+    const values = {
+      dueDate: targetTask.dueDate,
+      fiscalDeadline: targetTask.fiscalDeadline,
+      fiscalPeriod: targetTask.fiscalPeriod,
+      estimatedHours: targetTask.estimatedHours,
+      // Dipendenze per nome, risolte sui taskId dell'istanza all'applicazione
+      dependsOn: targetTask.dependsOn.map(id => targetNames.get(id))
+    };
+    const current = existing.get(targetTask.name);
+
+    if (!current) {
+      plan.add.push({ name: targetTask.name, notes: targetTask.notes, ...values });
+      return;
+    }
+
+    if (current.status === 'completed') {
+      plan.keep.push({ taskId: current.taskId, name: current.name, reason: 'completed' });
+      return;
+    }
+
+    const currentValues = {
+      dueDate: current.dueDate,
+      fiscalDeadline: current.fiscalDeadline,
+      fiscalPeriod: current.fiscalPeriod,
+      estimatedHours: current.estimatedHours,
+      dependsOn: (current.dependsOn || []).map(id => existingNames.get(id))
+    };
+
+    const changes = {};
+    INSTANCE_TASK_FIELDS.forEach(field => {
+      if (!isEqual(currentValues[field], values[field])) {
+        changes[field] = { from: currentValues[field], to: values[field] };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      plan.update.push({ taskId: current.taskId, name: current.name, changes });
+    } else {
+      plan.keep.push({ taskId: current.taskId, name: current.name, reason: 'unchanged' });
+    }
+  });
+
+  const targetTaskNames = new Set(target.tasks.map(task => task.name));
+  instance.tasks.forEach(task => {
+    if (targetTaskNames.has(task.name)) return;
+
+    if (task.status === 'completed') {
+      plan.keep.push({ taskId: task.taskId, name: task.name, reason: 'completed' });
+    } else {
+      plan.remove.push({
+        taskId: task.taskId,
+        name: task.name,
+        status: task.status,
+        assignedTo: task.assignedTo,
+        // I task già avviati vanno rimossi solo dopo una verifica
+        warning: task.status === 'in_progress' ? 'Task in lavorazione' : undefined
+      });
+    }
+  });
+
+  return plan;
+};
+
+/**
+ * Applica a un'istanza il piano di migrazione
+ * @param {Object} instance - Istanza (ClientProcedure)
+ * @param {Object} plan - Piano (planInstanceMigration)
+ * @param {number} version - Versione di destinazione
+ * @returns {Object} - Istanza aggiornata (da salvare)
+ */
+exports.applyMigrationPlan = (instance, plan, version) => {
+  // Nuovi taskId dopo il più alto esistente: i taskId dei task rimossi non
+  // vengono riusati (ore registrate e promemoria vi fanno riferimento)
+  let lastIndex = instance.tasks.reduce((max, task) => {
+    const match = /^task-(\d+)$/.exec(task.taskId);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+
+  const removed = new Set(plan.remove.map(task => task.taskId));
+  instance.tasks = instance.tasks.filter(task => !removed.has(task.taskId));
+
+  plan.add.forEach(task => {
+    lastIndex++;
+    instance.tasks.push({
+      taskId: `task-${lastIndex}`,
+      name: task.name,
+      status: 'pending',
+      dueDate: task.dueDate,
+      fiscalDeadline: task.fiscalDeadline,
+      fiscalPeriod: task.fiscalPeriod,
+      estimatedHours: task.estimatedHours,
+      notes: task.notes,
+      attachments: []
+    });
+  });
+
+  const taskIds = new Map(instance.tasks.map(task => [task.name, task.taskId]));
+
+  plan.update.forEach(update => {
+    const task = instance.tasks.find(t => t.taskId === update.taskId);
+    Object.entries(update.changes).forEach(([field, change]) => {
+      task[field] = field === 'dependsOn'
+        ? change.to.map(name => taskIds.get(name)).filter(Boolean)
+        : change.to;
+    });
+  });
+
+  plan.add.forEach(added => {
+    const task = instance.tasks.find(t => t.name === added.name);
+    task.dependsOn = added.dependsOn.map(name => taskIds.get(name)).filter(Boolean);
+  });
+
+  const lastDueDate = new Date(Math.max(...instance.tasks.map(task => new Date(task.dueDate).getTime())));
+  if (instance.tasks.length > 0 && lastDueDate > instance.startDate) {
+    instance.expectedEndDate = lastDueDate;
+  }
+
+  instance.procedureVersion = version;
+  return instance;
+};
+
+/**
+ * Anteprima del passaggio delle istanze in corso a una versione del template
+ * @param {string} procedureId - ID della procedura
+ * @param {Object} options - { toVersion, clientProcedureIds }
+ * @returns {Promise<Object>} - { procedureId, toVersion, instances }
+ */
+exports.previewMigration = async (procedureId, options = {}) => {
+  try {
+    const procedure = await Procedure.findById(procedureId);
+    if (!procedure) {
+      throw new Error('Procedura non trovata');
+    }
+
+    await this.ensureVersionHistory(procedure);
+
+    const toVersion = options.toVersion ? Number(options.toVersion) : procedure.version;
+    const target = await this.getVersion(procedure._id, toVersion);
+
+    const query = {
+      procedureId: procedure._id,
+      status: { $in: ['active', 'on_hold'] },
+      procedureVersion: { $ne: toVersion }
+    };
+    if (options.clientProcedureIds && options.clientProcedureIds.length > 0) {
+      query._id = { $in: options.clientProcedureIds };
+    }
+
+    const instances = await ClientProcedure.find(query).populate('clientId');
+
+    // Versioni di partenza, caricate una sola volta
+    const sources = new Map();
+    const instancesPreview = [];
+
+    for (const instance of instances) {
+      const fromVersion = instance.procedureVersion || 1;
+      if (!sources.has(fromVersion)) {
+        const source = await ProcedureVersion.findVersion(procedure._id, fromVersion);
+        sources.set(fromVersion, source ? source.snapshot : null);
+      }
+
+      const client = instance.clientId && instance.clientId.name ? instance.clientId : null;
+      const plan = await this.planInstanceMigration(instance, target.snapshot, client);
+
+      instancesPreview.push({
+        instance,
+        clientProcedureId: instance._id,
+        clientName: client ? client.name : undefined,
+        period: instance.period ? instance.period.label : undefined,
+        fromVersion,
+        diff: sources.get(fromVersion) ? this.diffSnapshots(sources.get(fromVersion), target.snapshot) : null,
+        plan
+      });
+    }
+
+    return {
+      procedureId: procedure._id,
+      procedureName: procedure.name,
+      toVersion,
+      instances: instancesPreview
+    };
+  } catch (error) {
+    console.error('Errore nell\'anteprima della migrazione:', error);
+    throw new Error(`Impossibile preparare la migrazione: ${error.message}`);
+  }
+};
+
+/**
+ * Porta le istanze in corso a una versione del template
+ * @param {string} procedureId - ID della procedura
+ * @param {Object} options - { toVersion, clientProcedureIds, user }
+ * @returns {Promise<Object>} - { toVersion, migrated, errors }
+ */
+exports.migrateInstances = async (procedureId, options = {}) => {
+  try {
+    const preview = await this.previewMigration(procedureId, options);
+    const report = { toVersion: preview.toVersion, migrated: [], errors: [] };
+
+    for (const item of preview.instances) {
+      try {
+        this.applyMigrationPlan(item.instance, item.plan, preview.toVersion);
+        await item.instance.save();
+
+        report.migrated.push({
+          clientProcedureId: item.clientProcedureId,
+          clientName: item.clientName,
+          fromVersion: item.fromVersion,
+          added: item.plan.add.length,
+          removed: item.plan.remove.length,
+          updated: item.plan.update.length
+        });
+      } catch (error) {
+        console.error(`Errore nella migrazione dell'istanza ${item.clientProcedureId}:`, error);
+        report.errors.push({
+          clientProcedureId: item.clientProcedureId,
+          clientName: item.clientName,
+          error: error.message
+        });
+      }
+    }
+
+    await ActivityLog.create({
+      user: options.user ? options.user._id : undefined,
+      activityType: 'procedure_migration',
+      details: {
+        procedureId: preview.procedureId,
+        toVersion: preview.toVersion,
+        migrated: report.migrated.length,
+        errors: report.errors.length
+      }
+    });
+
+    return report;
+  } catch (error) {
+    console.error('Errore nella migrazione delle istanze:', error);
+    throw new Error(`Impossibile migrare le istanze: ${error.message}`);
+  }
+};
+
+exports.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+exports.TASK_FIELDS = TASK_FIELDS;
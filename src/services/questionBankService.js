@@ -0,0 +1,748 @@
+/**
+ * Question Bank Service
+ *
+ * Gestisce il questionario di onboarding salvato nella collezione
+ * QuestionBank, modificabile dagli amministratori senza rilasci:
+ * - versioni: si lavora su una bozza, la si prova in anteprima e la si
+ *   pubblica; le versioni pubblicate restano immutabili;
+ * - visibilità condizionata: una domanda viene mostrata solo se le
+ *   risposte indicate in visibleWhen sono soddisfatte;
+ * - regole di validazione per tipo di domanda (formato, lunghezza,
+ *   intervallo, opzioni ammesse).
+ * - collegamento all'anagrafica: la risposta a una domanda con clientField
+ *   viene salvata nel campo indicato del cliente (vedi onboardingService).
+ * Se la collezione è vuota viene creata la versione 1 a partire dalle
+ * domande predefinite di onboardingService.
+ */
+
+const QuestionBank = require('../models/QuestionBank');
+const onboardingService = require('../../services/onboardingService');
+const {
+  validateCodiceFiscale,
+  validatePartitaIVA,
+  validateCAP,
+  validateEmail,
+  validatePhoneNumber
+} = require('../utils/validators');
+
+const { ONBOARDING_PHASES, CLIENT_TYPES, TAX_REGIMES } = onboardingService;
+
+// Fasi che contengono domande, nell'ordine del questionario
+const PHASES = Object.values(ONBOARDING_PHASES).filter(phase => phase !== ONBOARDING_PHASES.COMPLETED);
+
+// Tipi cliente diversi dalla persona fisica (domande aziendali)
+const BUSINESS_CLIENT_TYPES = Object.values(CLIENT_TYPES).filter(type => type !== CLIENT_TYPES.INDIVIDUAL);
+
+// Tipi cliente societari (documenti societari)
+const CORPORATE_CLIENT_TYPES = [CLIENT_TYPES.PARTNERSHIP, CLIENT_TYPES.CORPORATION, CLIENT_TYPES.NON_PROFIT];
+
+// Tipi di domanda con un elenco di opzioni
+const CHOICE_TYPES = ['select', 'multiselect'];
+
+// Campi dell'anagrafica cliente a cui si può collegare una domanda (clientField)
+const CLIENT_FIELDS = [
+  'name',
+  'fiscalCode',
+  'vatNumber',
+  'contactInfo.email',
+  'contactInfo.phone',
+  'contactInfo.alternativePhone',
+  'contactInfo.address.street',
+  'contactInfo.address.city',
+  'contactInfo.address.province',
+  'contactInfo.address.postalCode',
+  'contactInfo.address.country',
+  'legalRepresentative.firstName',
+  'legalRepresentative.lastName',
+  'legalRepresentative.fiscalCode',
+  'legalRepresentative.email',
+  'legalRepresentative.phone',
+  'legalRepresentative.role',
+  'businessSector',
+  'foundingDate',
+  'annualRevenue',
+  'employees',
+  'accountingRegime',
+  'fiscalYearEnd.month',
+  'fiscalYearEnd.day',
+  'financialStatementsApprovalDays',
+  'services',
+  'tags',
+  'notes'
+];
+
+// Tipi di domanda la cui risposta non può essere salvata in un campo dell'anagrafica
+const UNMAPPABLE_TYPES = ['address', 'file'];
+
+// Controlli di formato disponibili
+const FORMAT_VALIDATORS = {
+  // Le società hanno un codice fiscale numerico coincidente con la partita IVA
+  fiscal_code: value => validateCodiceFiscale(value) || validatePartitaIVA(value),
+  vat_number: validatePartitaIVA,
+  email: validateEmail,
+  phone: validatePhoneNumber,
+  postal_code: validateCAP
+};
+
+const FORMAT_MESSAGES = {
+  fiscal_code: 'Codice fiscale non valido',
+  vat_number: 'Partita IVA non valida',
+  email: 'Indirizzo email non valido',
+  phone: 'Numero di telefono non valido',
+  postal_code: 'CAP non valido'
+};
+
+/**
+ * Converte un documento Mongoose in oggetto semplice
+ * @param {Object} doc - Documento o oggetto
+ * @returns {Object}
+ */
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Verifica se una risposta è stata data
+ * @param {*} value - Risposta
+ * @returns {boolean}
+ */
+const isAnswered = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Determina a quali tipi cliente e regimi si applica un gruppo di domande
+ * del questionario predefinito, replicando le regole di getQuestionsForPhase
+ *
+ * @param {string} group - Chiave del gruppo (common, tipo cliente, regime, ...)
+ * @returns {Object} - { clientTypes, taxRegimes }
+ */
+const mapDefaultGroup = (group) => {
+  if (!group || group === 'common') {
+    return { clientTypes: [], taxRegimes: [] };
+  }
+
+  if (Object.values(CLIENT_TYPES).includes(group)) {
+    return { clientTypes: [group], taxRegimes: [] };
+  }
+
+  if (Object.values(TAX_REGIMES).includes(group)) {
+    return { clientTypes: [], taxRegimes: [group] };
+  }
+
+  if (group === 'corporate') {
+    return { clientTypes: CORPORATE_CLIENT_TYPES, taxRegimes: [] };
+  }
+
+  // Domande commerciali e sul rappresentante legale: tutti tranne la persona fisica
+  return { clientTypes: BUSINESS_CLIENT_TYPES, taxRegimes: [] };
+};
+
+/**
+ * Converte le domande predefinite (questionsBank di onboardingService)
+ * nel formato della collezione QuestionBank
+ *
+ * @param {Object} bank - Domande per fase (default: questionsBank predefinito)
+ * @returns {Array<Object>} - Domande in formato QuestionBank
+ */
+exports.buildDefaultQuestions = (bank = onboardingService.questionsBank) => {
+  const questions = [];
+
+  PHASES.forEach(phase => {
+    const phaseQuestions = bank[phase];
+    if (!phaseQuestions) return;
+
+    const groups = Array.isArray(phaseQuestions)
+      ? [[null, phaseQuestions]]
+      : Object.entries(phaseQuestions);
+
+    groups.forEach(([group, groupQuestions]) => {
+      const applicability = mapDefaultGroup(group);
+
+      groupQuestions.forEach(question => {
+        questions.push({
+          questionId: question.id,
+          phase,
+          text: question.text,
+          description: question.description,
+          type: question.type,
+          options: question.options || [],
+          required: Boolean(question.required),
+          order: questions.filter(q => q.phase === phase).length * 10,
+          clientTypes: applicability.clientTypes,
+          taxRegimes: applicability.taxRegimes,
+          visibleWhen: [],
+          validation: question.validation ? { format: question.validation } : {}
+        });
+      });
+    });
+  });
+
+  return questions;
+};
+
+/**
+ * Verifica se una regola di visibilità è soddisfatta dalle risposte
+ * @param {Object} rule - Regola { questionId, operator, value }
+ * @param {Object} answers - Risposte per ID domanda
+ * @returns {boolean}
+ */
+exports.evaluateRule = (rule, answers = {}) => {
+  const answer = answers[rule.questionId];
+  const answered = isAnswered(answer);
+  // Le risposte multiple soddisfano la regola se almeno un valore corrisponde
+  const given = (Array.isArray(answer) ? answer : [answer]).map(String);
+  const expected = (Array.isArray(rule.value) ? rule.value : [rule.value]).map(String);
+  const matches = answered && given.some(value => expected.includes(value));
+
+  switch (rule.operator) {
+    case 'answered':
+      return answered;
+    case 'notAnswered':
+      return !answered;
+    case 'notEquals':
+    case 'notIn':
+      return !matches;
+    case 'in':
+    case 'equals':
+    default:
+      return matches;
+  }
+};
+
+/**
+ * Verifica se una domanda è visibile: tutte le regole visibleWhen devono
+ * essere soddisfatte
+ *
+ * @param {Object} question - Domanda
+ * @param {Object} answers - Risposte per ID domanda
+ * @returns {boolean}
+ */
+exports.isQuestionVisible = (question, answers = {}) => {
+  return (question.visibleWhen || []).every(rule => this.evaluateRule(rule, answers));
+};
+
+/**
+ * Verifica se una domanda si applica al tipo cliente e al regime fiscale
+ * @param {Object} question - Domanda
+ * @param {Object} context - { clientType, taxRegime }
+ * @returns {boolean}
+ */
+const appliesTo = (question, { clientType, taxRegime } = {}) => {
+  const clientTypes = question.clientTypes || [];
+  const taxRegimes = question.taxRegimes || [];
+
+  return (clientTypes.length === 0 || clientTypes.includes(clientType)) &&
+    (taxRegimes.length === 0 || taxRegimes.includes(taxRegime));
+};
+
+/**
+ * Calcola la visibilità di tutte le domande applicabili. Le risposte a
+ * domande nascoste non contano per le regole delle altre domande, così
+ * che le condizioni a catena si comportino come il cliente si aspetta.
+ *
+ * @param {Array<Object>} questions - Domande della versione
+ * @param {Object} context - { clientType, taxRegime, answers }
+ * @param {Object} options - deferPhase: per le domande di questa fase si
+ *                           valutano solo le regole su domande di altre fasi
+ * @returns {Object} - { visible, hidden: [{ question, reason }] }
+ */
+exports.resolveVisibility = (questions, context = {}, options = {}) => {
+  const answers = { ...(context.answers || {}) };
+  const deferredIds = questions
+    .filter(question => options.deferPhase && question.phase === options.deferPhase)
+    .map(question => question.questionId);
+  const visible = [];
+  const hidden = [];
+
+  [...questions]
+    .sort((a, b) => PHASES.indexOf(a.phase) - PHASES.indexOf(b.phase) || (a.order || 0) - (b.order || 0))
+    .forEach(question => {
+      if (!appliesTo(question, context)) {
+        hidden.push({ question, reason: 'Non prevista per il tipo cliente o il regime fiscale' });
+        return;
+      }
+
+      const failedRules = (question.visibleWhen || [])
+        .filter(rule => !(question.phase === options.deferPhase && deferredIds.includes(rule.questionId)))
+        .filter(rule => !this.evaluateRule(rule, answers));
+
+      if (failedRules.length > 0) {
+        hidden.push({
+          question,
+          reason: `Condizione non soddisfatta: ${failedRules.map(rule => `${rule.questionId} ${rule.operator} ${JSON.stringify(rule.value)}`).join(', ')}`
+        });
+        delete answers[question.questionId];
+        return;
+      }
+
+      visible.push(question);
+    });
+
+  return { visible, hidden };
+};
+
+/**
+ * Converte una domanda della collezione nel formato usato dal questionario
+ * (portale e gestionale). Le regole che dipendono da domande della stessa
+ * fase vengono restituite per essere valutate dall'interfaccia durante la
+ * compilazione.
+ *
+ * @param {Object} question - Domanda della versione
+ * @param {Array<string>} phaseQuestionIds - ID delle domande della stessa fase
+ * @returns {Object}
+ */
+const toQuestionnaireQuestion = (question, phaseQuestionIds = []) => ({
+  id: question.questionId,
+  text: question.text,
+  description: question.description,
+  type: question.type,
+  options: question.options || [],
+  required: question.required,
+  validation: question.validation,
+  visibleWhen: (question.visibleWhen || []).filter(rule => phaseQuestionIds.includes(rule.questionId))
+});
+
+/**
+ * Restituisce la versione pubblicata del questionario. Se la collezione è
+ * vuota viene creata la versione 1 con le domande predefinite.
+ *
+ * @returns {Promise<Object>} - Versione pubblicata
+ */
+exports.getActiveBank = async () => {
+  const published = await QuestionBank.findPublished();
+
+  if (published) {
+    return published;
+  }
+
+  const seeded = await this.seedDefaultBank();
+
+  // Esistono solo bozze: si usano le domande predefinite senza salvarle
+  return seeded || { version: 0, status: 'published', questions: this.buildDefaultQuestions() };
+};
+
+/**
+ * Crea la versione 1 del questionario con le domande predefinite,
+ * solo se la collezione non contiene ancora alcuna versione
+ *
+ * @param {Object} user - Utente che esegue l'inizializzazione
+ * @returns {Promise<Object|null>} - Versione creata o null se già presente
+ */
+exports.seedDefaultBank = async (user = null) => {
+  try {
+    const latestVersion = await QuestionBank.findLatestVersionNumber();
+
+    if (latestVersion > 0) {
+      return null;
+    }
+
+    return await QuestionBank.create({
+      version: 1,
+      status: 'published',
+      notes: 'Questionario predefinito',
+      questions: this.buildDefaultQuestions(),
+      createdBy: user ? user._id : undefined,
+      publishedAt: new Date(),
+      publishedBy: user ? user._id : undefined
+    });
+  } catch (error) {
+    // Inizializzazione concorrente: la versione 1 è stata creata da un'altra richiesta
+    if (error.code === 11000) {
+      return QuestionBank.findPublished();
+    }
+    console.error('Errore nell\'inizializzazione del questionario:', error);
+    throw new Error(`Impossibile inizializzare il questionario: ${error.message}`);
+  }
+};
+
+/**
+ * Restituisce le domande visibili di una fase per un cliente
+ *
+ * @param {string} phase - Fase di onboarding
+ * @param {Object} context - { clientType, taxRegime, answers, bank }
+ *                           answers: tutte le risposte date finora, per ID domanda
+ *                           bank: versione da usare (default: versione pubblicata)
+ * @returns {Promise<Array<Object>>} - Domande nel formato del questionario
+ */
+exports.getQuestionsForPhase = async (phase, context = {}) => {
+  try {
+    const bank = context.bank || await this.getActiveBank();
+    const questions = (bank.questions || []).map(toPlain);
+    const phaseQuestionIds = questions
+      .filter(question => question.phase === phase)
+      .map(question => question.questionId);
+
+    // Le regole sulla stessa fase si valutano durante la compilazione
+    const { visible } = this.resolveVisibility(questions, context, { deferPhase: phase });
+
+    return visible
+      .filter(question => question.phase === phase)
+      .map(question => toQuestionnaireQuestion(question, phaseQuestionIds));
+  } catch (error) {
+    console.error('Errore nel recupero delle domande del questionario:', error);
+    throw new Error(`Impossibile recuperare le domande: ${error.message}`);
+  }
+};
+
+/**
+ * Valida la risposta a una domanda secondo il tipo e le regole di validazione
+ *
+ * @param {Object} question - Domanda (formato questionario o collezione)
+ * @param {*} value - Risposta
+ * @returns {string|null} - Messaggio di errore o null se valida
+ */
+exports.validateAnswer = (question, value) => {
+  // Le domande predefinite indicano il formato come stringa
+  const rules = typeof question.validation === 'string'
+    ? { format: question.validation }
+    : (question.validation || {});
+
+  if (!isAnswered(value)) {
+    return question.required ? 'Risposta obbligatoria' : null;
+  }
+
+  const options = (question.options || []).map(option => String(option.value));
+  const invalid = (message) => rules.message || message;
+
+  switch (question.type) {
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) return invalid('Inserire un numero');
+      if (rules.min !== undefined && rules.min !== null && number < rules.min) return invalid(`Il valore minimo è ${rules.min}`);
+      if (rules.max !== undefined && rules.max !== null && number > rules.max) return invalid(`Il valore massimo è ${rules.max}`);
+      break;
+    }
+    case 'date':
+      if (Number.isNaN(new Date(value).getTime())) return invalid('Data non valida');
+      break;
+    case 'boolean':
+      if (![true, false, 'true', 'false'].includes(value)) return invalid('Rispondere sì o no');
+      break;
+    case 'select':
+      if (options.length > 0 && !options.includes(String(value))) return invalid('Opzione non ammessa');
+      break;
+    case 'multiselect': {
+      const values = Array.isArray(value) ? value : [value];
+      if (options.length > 0 && values.some(v => !options.includes(String(v)))) return invalid('Opzione non ammessa');
+      if (rules.minSelections && values.length < rules.minSelections) return invalid(`Selezionare almeno ${rules.minSelections} opzioni`);
+      if (rules.maxSelections && values.length > rules.maxSelections) return invalid(`Selezionare al massimo ${rules.maxSelections} opzioni`);
+      break;
+    }
+    case 'email':
+      if (!validateEmail(String(value))) return invalid(FORMAT_MESSAGES.email);
+      break;
+    case 'tel':
+      if (!validatePhoneNumber(String(value))) return invalid(FORMAT_MESSAGES.phone);
+      break;
+    case 'address':
+    case 'file':
+      // Indirizzi strutturati e file vengono controllati dai rispettivi flussi
+      return null;
+    default:
+      break;
+  }
+
+  if (typeof value === 'string') {
+    if (rules.minLength && value.trim().length < rules.minLength) return invalid(`Inserire almeno ${rules.minLength} caratteri`);
+    if (rules.maxLength && value.length > rules.maxLength) return invalid(`Inserire al massimo ${rules.maxLength} caratteri`);
+    if (rules.pattern && !new RegExp(rules.pattern).test(value)) return invalid('Formato non valido');
+  }
+
+  if (rules.format && FORMAT_VALIDATORS[rules.format] && !FORMAT_VALIDATORS[rules.format](String(value))) {
+    return invalid(FORMAT_MESSAGES[rules.format]);
+  }
+
+  return null;
+};
+
+/**
+ * Valida le risposte alle domande visibili di una fase
+ *
+ * @param {Array<Object>} questions - Domande nel formato del questionario
+ * @param {Object} answers - Risposte per ID domanda
+ * @returns {Object} - { valid, errors: [{ questionId, text, message }] }
+ */
+exports.validateAnswers = (questions, answers = {}) => {
+  const errors = [];
+
+  questions
+    .filter(question => this.isQuestionVisible(question, answers))
+    .forEach(question => {
+      const message = this.validateAnswer(question, answers[question.id]);
+      if (message) {
+        errors.push({ questionId: question.id, text: question.text, message });
+      }
+    });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Controlla la coerenza di un questionario prima di salvarlo
+ *
+ * @param {Array<Object>} questions - Domande della versione
+ * @returns {Array<string>} - Errori riscontrati
+ */
+exports.validateDefinition = (questions = []) => {
+  const errors = [];
+  const ids = questions.map(question => question.questionId);
+
+  questions.forEach((question, index) => {
+    const label = question.questionId || `#${index + 1}`;
+
+    if (!question.questionId) errors.push(`Domanda ${label}: identificativo mancante`);
+    if (!question.text) errors.push(`Domanda ${label}: testo mancante`);
+    if (!PHASES.includes(question.phase)) errors.push(`Domanda ${label}: fase non valida`);
+
+    if (CHOICE_TYPES.includes(question.type) && (!question.options || question.options.length === 0)) {
+      errors.push(`Domanda ${label}: le domande a scelta richiedono almeno un'opzione`);
+    }
+
+    if (question.clientField) {
+      if (!CLIENT_FIELDS.includes(question.clientField)) {
+        errors.push(`Domanda ${label}: il campo dell'anagrafica ${question.clientField} non è collegabile`);
+      } else if (UNMAPPABLE_TYPES.includes(question.type)) {
+        errors.push(`Domanda ${label}: le risposte di tipo ${question.type} non possono essere salvate in anagrafica`);
+      }
+    }
+
+    // Lo stesso ID è ammesso solo nella stessa fase per tipi cliente/regimi che non si sovrappongono
+    questions.slice(index + 1)
+      .filter(other => other.questionId === question.questionId)
+      .forEach(other => {
+        const overlap = (a = [], b = []) => a.length === 0 || b.length === 0 || a.some(item => b.includes(item));
+        if (other.phase !== question.phase ||
+          (overlap(question.clientTypes, other.clientTypes) && overlap(question.taxRegimes, other.taxRegimes))) {
+          errors.push(`Domanda ${label}: identificativo duplicato`);
+        }
+      });
+
+    (question.visibleWhen || []).forEach(rule => {
+      if (rule.questionId === question.questionId) {
+        errors.push(`Domanda ${label}: una regola di visibilità non può riferirsi alla domanda stessa`);
+      } else if (!ids.includes(rule.questionId)) {
+        errors.push(`Domanda ${label}: la regola di visibilità si riferisce alla domanda inesistente ${rule.questionId}`);
+      } else {
+        const target = questions.find(q => q.questionId === rule.questionId);
+        if (PHASES.indexOf(target.phase) > PHASES.indexOf(question.phase)) {
+          errors.push(`Domanda ${label}: la regola di visibilità si riferisce a una fase successiva`);
+        }
+      }
+    });
+
+    const validation = question.validation || {};
+    if (validation.pattern) {
+      try {
+        new RegExp(validation.pattern);
+      } catch (error) {
+        errors.push(`Domanda ${label}: espressione regolare non valida`);
+      }
+    }
+    if (validation.min !== undefined && validation.max !== undefined &&
+      validation.min !== null && validation.max !== null && validation.min > validation.max) {
+      errors.push(`Domanda ${label}: il valore minimo supera il massimo`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Elenca le versioni del questionario, dalla più recente
+ * @returns {Promise<Array<Object>>}
+ */
+exports.listVersions = async () => {
+  try {
+    return await QuestionBank.find()
+      .select('-questions')
+      .sort({ version: -1 })
+      .populate('createdBy publishedBy', 'firstName lastName email');
+  } catch (error) {
+    console.error('Errore nel recupero delle versioni del questionario:', error);
+    throw new Error(`Impossibile recuperare le versioni del questionario: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera una versione del questionario
+ * @param {number} version - Numero di versione
+ * @returns {Promise<Object>}
+ */
+exports.getVersion = async (version) => {
+  const bank = await QuestionBank.findOne({ version: Number(version) });
+
+  if (!bank) {
+    throw new Error(`Versione ${version} del questionario non trovata`);
+  }
+
+  return bank;
+};
+
+/**
+ * Crea una nuova bozza copiando una versione esistente
+ *
+ * @param {Object} user - Utente che crea la bozza
+ * @param {Object} options - { basedOnVersion (default: versione pubblicata), notes }
+ * @returns {Promise<Object>} - Bozza creata
+ */
+exports.createDraft = async (user = null, options = {}) => {
+  try {
+    const existingDraft = await QuestionBank.findOne({ status: 'draft' });
+
+    if (existingDraft) {
+      throw new Error(`Esiste già una bozza in lavorazione (versione ${existingDraft.version})`);
+    }
+
+    const source = options.basedOnVersion
+      ? await this.getVersion(options.basedOnVersion)
+      : await this.getActiveBank();
+
+    const latestVersion = await QuestionBank.findLatestVersionNumber();
+
+    return await QuestionBank.create({
+      version: latestVersion + 1,
+      status: 'draft',
+      notes: options.notes,
+      questions: (source.questions || []).map(toPlain),
+      basedOnVersion: source.version || undefined,
+      createdBy: user ? user._id : undefined
+    });
+  } catch (error) {
+    console.error('Errore nella creazione della bozza del questionario:', error);
+    throw new Error(`Impossibile creare la bozza: ${error.message}`);
+  }
+};
+
+/**
+ * Aggiorna le domande di una bozza. Le versioni pubblicate non sono modificabili.
+ *
+ * @param {number} version - Numero di versione
+ * @param {Object} data - { questions, notes }
+ * @returns {Promise<Object>} - Bozza aggiornata
+ */
+exports.updateDraft = async (version, data = {}) => {
+  try {
+    const bank = await this.getVersion(version);
+
+    if (bank.status !== 'draft') {
+      throw new Error('Le versioni pubblicate non sono modificabili: creare una nuova bozza');
+    }
+
+    if (data.questions) {
+      const errors = this.validateDefinition(data.questions);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      bank.questions = data.questions;
+    }
+
+    if (data.notes !== undefined) {
+      bank.notes = data.notes;
+    }
+
+    return await bank.save();
+  } catch (error) {
+    console.error('Errore nell\'aggiornamento della bozza del questionario:', error);
+    throw new Error(`Impossibile aggiornare la bozza: ${error.message}`);
+  }
+};
+
+/**
+ * Elimina una bozza non ancora pubblicata
+ * @param {number} version - Numero di versione
+ * @returns {Promise<void>}
+ */
+exports.deleteDraft = async (version) => {
+  try {
+    const bank = await this.getVersion(version);
+
+    if (bank.status !== 'draft') {
+      throw new Error('Solo le bozze possono essere eliminate');
+    }
+
+    await QuestionBank.deleteOne({ _id: bank._id });
+  } catch (error) {
+    console.error('Errore nell\'eliminazione della bozza del questionario:', error);
+    throw new Error(`Impossibile eliminare la bozza: ${error.message}`);
+  }
+};
+
+/**
+ * Pubblica una bozza: diventa il questionario in uso e la versione
+ * pubblicata in precedenza viene archiviata
+ *
+ * @param {number} version - Numero di versione
+ * @param {Object} user - Utente che pubblica
+ * @returns {Promise<Object>} - Versione pubblicata
+ */
+exports.publishDraft = async (version, user = null) => {
+  try {
+    const bank = await this.getVersion(version);
+
+    if (bank.status !== 'draft') {
+      throw new Error('Solo le bozze possono essere pubblicate');
+    }
+
+    const errors = this.validateDefinition(bank.questions.map(toPlain));
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    await QuestionBank.updateMany({ status: 'published' }, { $set: { status: 'archived' } });
+
+    bank.status = 'published';
+    bank.publishedAt = new Date();
+    bank.publishedBy = user ? user._id : undefined;
+
+    return await bank.save();
+  } catch (error) {
+    console.error('Errore nella pubblicazione del questionario:', error);
+    throw new Error(`Impossibile pubblicare il questionario: ${error.message}`);
+  }
+};
+
+/**
+ * Anteprima del questionario di una versione (anche bozza) per un cliente
+ * simulato: per ogni fase indica le domande mostrate, quelle nascoste con
+ * il motivo e gli eventuali errori di validazione delle risposte di prova
+ *
+ * @param {number} version - Numero di versione
+ * @param {Object} context - { clientType, taxRegime, answers }
+ * @returns {Promise<Object>} - { version, status, phases: [{ phase, questions, hidden, errors }] }
+ */
+exports.previewVersion = async (version, context = {}) => {
+  try {
+    const bank = await this.getVersion(version);
+    const questions = bank.questions.map(toPlain);
+    const answers = context.answers || {};
+    const { visible, hidden } = this.resolveVisibility(questions, context);
+
+    const phases = PHASES.map(phase => {
+      const phaseQuestions = visible
+        .filter(question => question.phase === phase)
+        .map(question => toQuestionnaireQuestion(question));
+
+      return {
+        phase,
+        questions: phaseQuestions,
+        hidden: hidden
+          .filter(item => item.question.phase === phase)
+          .map(item => ({ questionId: item.question.questionId, text: item.question.text, reason: item.reason })),
+        errors: Object.keys(answers).length > 0
+          ? this.validateAnswers(phaseQuestions, answers).errors
+          : []
+      };
+    });
+
+    return {
+      version: bank.version,
+      status: bank.status,
+      definitionErrors: this.validateDefinition(questions),
+      phases
+    };
+  } catch (error) {
+    console.error('Errore nell\'anteprima del questionario:', error);
+    throw new Error(`Impossibile generare l'anteprima: ${error.message}`);
+  }
+};
+
+exports.PHASES = PHASES;
+exports.CLIENT_FIELDS = CLIENT_FIELDS;
@@ -0,0 +1,304 @@
+/**
+ * Recurring Procedure Service
+ *
+ * Gestisce le procedure ricorrenti (contabilità mensile, liquidazioni IVA
+ * trimestrali, adempimenti annuali, ...). Per ogni cliente le istanze
+ * di una procedura formano una catena (previousInstanceId/nextInstanceId):
+ * l'ultima istanza della catena genera quella del periodo successivo
+ * quando viene completata oppure quando il nuovo periodo è iniziato.
+ * Nella nuova istanza vengono riportate le note ancora aperte; i clienti
+ * non più attivi e le istanze sospese non generano nuovi periodi.
+ */
+
+const Procedure = require('../models/Procedure');
+const ClientProcedure = require('../models/ClientProcedure');
+const Client = require('../models/Client');
+const ActivityLog = require('../models/ActivityLog');
+const fiscalCalendarService = require('./fiscalCalendarService');
+const notificationService = require('./notificationService');
+const taskAssignmentService = require('./taskAssignmentService');
+const { getPeriod } = require('../utils/recurrence');
+
+// Numero massimo di periodi recuperati in una sola esecuzione per ogni cliente
+// (es. scheduler fermo per alcuni mesi)
+const MAX_CATCH_UP_PERIODS = 12;
+
+/**
+ * Periodo di competenza di un'istanza
+ * @param {Object} procedure - Procedura ricorrente
+ * @param {Object} instance - Istanza (ClientProcedure)
+ * @returns {Object|null} - { start, end, label, nextStart }
+ */
+const getInstancePeriod = (procedure, instance) => {
+  const reference = instance.period && instance.period.start ? instance.period.start : instance.startDate;
+  return getPeriod(procedure.recurrence, reference);
+};
+
+/**
+ * Verifica se un cliente può ricevere nuove istanze
+ * @param {Object} client - Cliente
+ * @returns {boolean}
+ */
+const isClientEligible = (client) => Boolean(
+  client &&
+  client.isActive !== false &&
+  !(client.gdprErasure && client.gdprErasure.erasedAt)
+);
+
+/**
+ * Calcola il periodo successivo a quello di un'istanza
+ * @param {Object} procedure - Procedura ricorrente
+ * @param {Object} instance - Istanza corrente
+ * @returns {Object|null} - Periodo successivo, null se la ricorrenza è terminata
+ */
+exports.getNextPeriod = (procedure, instance) => {
+  const current = getInstancePeriod(procedure, instance);
+
+  if (!current || !current.nextStart) {
+    return null;
+  }
+
+  return getPeriod(procedure.recurrence, current.nextStart);
+};
+
+/**
+ * Riporta le note aperte dell'istanza corrente in quella successiva:
+ * le note dei task non completati passano al task con lo stesso nome
+ * (o, se non esiste più, alle note della procedura); le note generali
+ * della procedura vengono sempre riportate.
+ * @param {Object} current - Istanza corrente
+ * @param {Object} next - Nuova istanza (con i task già inizializzati)
+ * @param {Object} procedure - Procedura di riferimento
+ * @returns {number} - Numero di note riportate
+ */
+exports.carryOverNotes = (current, next, procedure) => {
+  const templateDescriptions = new Map(
+    (procedure.tasks || []).map(task => [task.name, task.description || ''])
+  );
+  const orphanNotes = [];
+  let carried = 0;
+
+  (current.tasks || []).forEach(task => {
+    const notes = (task.notes || '').trim();
+
+    // Le note uguali alla descrizione del template non sono note dell'operatore
+    if (task.status === 'completed' || !notes || notes === templateDescriptions.get(task.name)) {
+      return;
+    }
+
+    const target = next.tasks.find(t => t.name === task.name);
+    if (target) {
+      target.notes = notes;
+    } else {
+      orphanNotes.push(`${task.name}: ${notes}`);
+    }
+    carried++;
+  });
+
+  const sections = [];
+  if (current.notes && current.notes.trim()) {
+    sections.push(current.notes.trim());
+    carried++;
+  }
+  if (orphanNotes.length > 0) {
+    sections.push(orphanNotes.join('\n'));
+  }
+
+  if (sections.length > 0) {
+    const label = current.period && current.period.label ? ` (${current.period.label})` : '';
+    next.notes = `Note dal periodo precedente${label}:\n${sections.join('\n')}`;
+  }
+
+  return carried;
+};
+
+/**
+ * Crea l'istanza del periodo successivo e la collega a quella corrente.
+ * Se l'istanza del periodo esiste già viene solo collegata.
+ *
+ * @param {Object} current - Istanza corrente (ClientProcedure)
+ * @param {Object} options - { procedure, client, period }
+ * @returns {Promise<Object>} - { instance, created }
+ */
+exports.instantiateNext = async (current, options = {}) => {
+  try {
+    const { procedure, client } = options;
+    const period = options.period || this.getNextPeriod(procedure, current);
+
+    if (!period) {
+      throw new Error('La ricorrenza della procedura è terminata');
+    }
+
+    const existing = await ClientProcedure.findOne({
+      procedureId: procedure._id,
+      clientId: client._id,
+      'period.start': period.start
+    });
+
+    if (existing) {
+      if (!current.nextInstanceId) {
+        current.nextInstanceId = existing._id;
+        await current.save();
+      }
+      return { instance: existing, created: false };
+    }
+
+    const next = new ClientProcedure({
+      clientId: client._id,
+      procedureId: procedure._id,
+      startDate: period.start,
+      status: 'active',
+      period: {
+        start: period.start,
+        end: period.end,
+        label: period.label
+      },
+      previousInstanceId: current._id
+    });
+
+    await next.initializeTasksFromProcedure(procedure, fiscalCalendarService.getClientFiscalProfile(client));
+
+    // Stessi incaricati del periodo precedente, gli altri task in base al carico
+    next.tasks.forEach(task => {
+      const previous = (current.tasks || []).find(t => t.name === task.name);
+      if (previous && previous.assignedTo) {
+        task.assignedTo = previous.assignedTo;
+      }
+    });
+    await taskAssignmentService.assignTasks(next, { procedure, client });
+
+    this.carryOverNotes(current, next, procedure);
+
+    await next.save();
+
+    current.nextInstanceId = next._id;
+    await current.save();
+
+    await notificationService.notifyClientOperators(client, {
+      type: 'procedure_recurrence',
+      title: `Nuovo periodo: ${procedure.name}`,
+      message: `È stata creata la procedura "${procedure.name}" per il periodo ${period.label}`,
+      metadata: {
+        procedureId: procedure._id,
+        clientProcedureId: next._id,
+        period: period.label
+      }
+    });
+
+    return { instance: next, created: true };
+  } catch (error) {
+    console.error('Errore nella creazione del periodo successivo:', error);
+    throw new Error(`Impossibile creare il periodo successivo: ${error.message}`);
+  }
+};
+
+/**
+ * Crea le istanze dei nuovi periodi per tutte le procedure ricorrenti.
+ * Per ogni catena si parte dall'ultima istanza: il periodo successivo
+ * viene creato se l'istanza è completata o se il periodo è già iniziato.
+ *
+ * @param {Object} options - { now, procedureId, dryRun }
+ * @returns {Promise<Object>} - Report con istanze create, saltate ed errori
+ */
+exports.runRecurringProcedures = async (options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const dryRun = Boolean(options.dryRun);
+
+    let procedures = await Procedure.findRecurring();
+    if (options.procedureId) {
+      procedures = procedures.filter(procedure => String(procedure._id) === String(options.procedureId));
+    }
+
+    const report = {
+      runAt: now,
+      dryRun,
+      proceduresScanned: procedures.length,
+      created: [],
+      skipped: [],
+      errors: []
+    };
+
+    for (const procedure of procedures) {
+      // Ultime istanze di ogni catena
+      const heads = await ClientProcedure.find({
+        procedureId: procedure._id,
+        nextInstanceId: null
+      });
+
+      for (const head of heads) {
+        let client = null;
+
+        try {
+          if (head.status === 'on_hold') {
+            report.skipped.push({ clientProcedureId: head._id, procedureName: procedure.name, reason: 'on_hold' });
+            continue;
+          }
+
+          client = await Client.findById(head.clientId);
+          if (!isClientEligible(client)) {
+            report.skipped.push({ clientProcedureId: head._id, procedureName: procedure.name, reason: 'client_inactive' });
+            continue;
+          }
+
+          let current = head;
+          for (let i = 0; i < MAX_CATCH_UP_PERIODS; i++) {
+            const period = this.getNextPeriod(procedure, current);
+            if (!period) break;
+
+            const due = current.status === 'completed' || period.start <= now;
+            if (!due) break;
+
+            if (dryRun) {
+              report.created.push({
+                clientId: client._id,
+                clientName: client.name,
+                procedureName: procedure.name,
+                period: period.label
+              });
+              break;
+            }
+
+            const { instance, created } = await this.instantiateNext(current, { procedure, client, period });
+            if (created) {
+              report.created.push({
+                clientId: client._id,
+                clientName: client.name,
+                procedureName: procedure.name,
+                period: period.label,
+                clientProcedureId: instance._id
+              });
+            }
+            current = instance;
+          }
+        } catch (error) {
+          console.error(`Errore nella ricorrenza dell'istanza ${head._id}:`, error);
+          report.errors.push({
+            clientProcedureId: head._id,
+            clientName: client ? client.name : undefined,
+            procedureName: procedure.name,
+            error: error.message
+          });
+        }
+      }
+    }
+
+    if (!dryRun) {
+      await ActivityLog.create({
+        activityType: 'procedure_recurrence_run',
+        details: {
+          runAt: now,
+          proceduresScanned: report.proceduresScanned,
+          created: report.created.length,
+          skipped: report.skipped.length,
+          errors: report.errors.length
+        }
+      });
+    }
+
+    return report;
+  } catch (error) {
+    console.error('Errore nella generazione delle procedure ricorrenti:', error);
+    throw new Error(`Impossibile generare le procedure ricorrenti: ${error.message}`);
+  }
+};
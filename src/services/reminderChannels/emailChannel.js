@@ -0,0 +1,72 @@
+/**
+ * Canale email per i promemoria dei task
+ */
+
+const moment = require('moment');
+const mailer = require('../mailer');
+
+/**
+ * Converte i caratteri speciali HTML
+ * @param {string} text - Testo
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Oggetto e testo dell'email di promemoria
+ * @param {Object} user - Destinatario
+ * @param {Object} reminder - Promemoria
+ * @returns {Object} - { subject, text, html }
+ */
+const buildMessage = (user, reminder) => {
+  const dueDate = moment(reminder.dueDate).format('DD/MM/YYYY');
+  const days = reminder.daysRemaining !== undefined ? reminder.daysRemaining : reminder.daysBefore;
+  const when = days <= 0 ? 'oggi' : (days === 1 ? 'domani' : `tra ${days} giorni`);
+  const subject = `Promemoria: ${reminder.taskName} (${reminder.clientName}) scade ${when}`;
+  const lines = [
+    `Gentile ${user.firstName || user.username},`,
+    '',
+    `il task "${reminder.taskName}" della procedura "${reminder.procedureName}" per il cliente ${reminder.clientName} scade il ${dueDate}.`,
+    reminder.period ? `Periodo di competenza: ${reminder.period}.` : null,
+    '',
+    'Questo è un messaggio automatico dell\'Assistente Biliato.'
+  ].filter(line => line !== null);
+
+  return {
+    subject,
+    text: lines.join('\n'),
+    html: lines.map(line => (line ? `<p>${escapeHtml(line)}</p>` : '')).join('\n')
+  };
+};
+
+module.exports = {
+  name: 'email',
+
+  // Attivo solo se il server SMTP è configurato
+  isEnabled: () => mailer.isConfigured(),
+
+  /**
+   * Invia il promemoria all'indirizzo email dell'utente
+   * @param {Object} user - Destinatario
+   * @param {Object} reminder - Promemoria
+   * @returns {Promise<Object>} - Riferimento del messaggio inviato
+   */
+  send: async (user, reminder) => {
+    if (!user.email) {
+      throw new Error('L\'utente non ha un indirizzo email');
+    }
+
+    const result = await mailer.sendMail({
+      to: user.email,
+      ...buildMessage(user, reminder)
+    });
+
+    return { messageId: result.messageId };
+  },
+
+  buildMessage
+};
@@ -0,0 +1,35 @@
+/**
+ * Canale in-app per i promemoria dei task (notifiche dell'applicazione)
+ */
+
+const moment = require('moment');
+const notificationService = require('../notificationService');
+
+module.exports = {
+  name: 'in_app',
+
+  isEnabled: () => true,
+
+  /**
+   * Crea una notifica in-app per l'utente
+   * @param {Object} user - Destinatario
+   * @param {Object} reminder - Promemoria
+   * @returns {Promise<Object>} - Riferimento della notifica creata
+   */
+  send: async (user, reminder) => {
+    const [notification] = await notificationService.notify([user._id], {
+      client: reminder.clientId,
+      type: 'task_reminder',
+      title: `Scadenza: ${reminder.taskName}`,
+      message: `${reminder.procedureName} - ${reminder.clientName}: scadenza il ${moment(reminder.dueDate).format('DD/MM/YYYY')}`,
+      link: `/procedures/${reminder.clientProcedureId}`,
+      metadata: {
+        clientProcedureId: reminder.clientProcedureId,
+        taskId: reminder.taskId,
+        daysBefore: reminder.daysBefore
+      }
+    });
+
+    return { notificationId: notification ? notification._id : null };
+  }
+};
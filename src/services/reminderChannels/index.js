@@ -0,0 +1,58 @@
+/**
+ * Reminder Channels
+ *
+ * Registro dei canali di invio dei promemoria. Ogni canale espone
+ * name, isEnabled() e send(user, reminder); nuovi canali (es. SMS)
+ * si aggiungono con registerChannel.
+ */
+
+const emailChannel = require('./emailChannel');
+const inAppChannel = require('./inAppChannel');
+
+const channels = new Map();
+
+/**
+ * Registra un canale di invio
+ * @param {Object} channel - { name, isEnabled, send }
+ */
+function registerChannel(channel) {
+  if (!channel || !channel.name || typeof channel.send !== 'function') {
+    throw new Error('Canale di promemoria non valido');
+  }
+
+  channels.set(channel.name, channel);
+}
+
+/**
+ * Restituisce un canale registrato
+ * @param {string} name - Nome del canale
+ * @returns {Object|null}
+ */
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+/**
+ * Restituisce i canali attivi, eventualmente limitati a quelli indicati
+ * (default: TASK_REMINDER_CHANNELS, separati da virgola)
+ * @param {Array<string>} names - Nomi dei canali
+ * @returns {Array<Object>}
+ */
+function getActiveChannels(names) {
+  const requested = names || (process.env.TASK_REMINDER_CHANNELS
+    ? process.env.TASK_REMINDER_CHANNELS.split(',').map(name => name.trim()).filter(Boolean)
+    : Array.from(channels.keys()));
+
+  return requested
+    .map(name => channels.get(name))
+    .filter(channel => channel && (!channel.isEnabled || channel.isEnabled()));
+}
+
+registerChannel(emailChannel);
+registerChannel(inAppChannel);
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  getActiveChannels
+};
@@ -0,0 +1,145 @@
+/**
+ * Scheduler
+ *
+ * Esegue a intervalli regolari i job di manutenzione dello studio
+ * (es. controllo scadenze documenti, procedure ricorrenti, promemoria dei task,
+ * nuovi tentativi di invio dei documenti, ricevute PEC). Si attiva con SCHEDULER_ENABLED=true:
+ * in un'installazione con più istanze va abilitato su una sola.
+ * Un job non viene rilanciato finché l'esecuzione precedente non è terminata.
+ */
+
+const documentExpiryService = require('./documentExpiryService');
+const recurringProcedureService = require('./recurringProcedureService');
+const taskReminderService = require('./taskReminderService');
+const documentDeliveryService = require('./documentDeliveryService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const jobs = new Map();
+
+/**
+ * Registra un job periodico
+ * @param {string} name - Nome univoco del job
+ * @param {number} intervalMs - Intervallo tra le esecuzioni in millisecondi
+ * @param {Function} handler - Funzione asincrona da eseguire
+ */
+exports.registerJob = (name, intervalMs, handler) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job già registrato: ${name}`);
+  }
+
+  jobs.set(name, {
+    name,
+    intervalMs,
+    handler,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  });
+};
+
+/**
+ * Esegue subito un job registrato
+ * @param {string} name - Nome del job
+ * @returns {Promise<*>} - Risultato del job, null se già in esecuzione
+ */
+exports.runJob = async (name) => {
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Job non trovato: ${name}`);
+  }
+
+  if (job.running) {
+    return null;
+  }
+
+  job.running = true;
+  job.lastRunAt = new Date();
+
+  try {
+    job.lastResult = await job.handler();
+    job.lastError = null;
+    return job.lastResult;
+  } catch (error) {
+    // Un errore non ferma le esecuzioni successive
+    console.error(`Errore nell'esecuzione del job ${name}:`, error);
+    job.lastError = error.message;
+    return null;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Avvia l'esecuzione periodica di tutti i job registrati; ogni job viene
+ * eseguito subito una prima volta, senza attendere il primo intervallo
+ */
+exports.start = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    this.runJob(job.name);
+    job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+    // Il timer non deve impedire la chiusura del processo
+    if (job.timer.unref) job.timer.unref();
+  });
+};
+
+/**
+ * Ferma l'esecuzione periodica dei job
+ */
+exports.stop = () => {
+  jobs.forEach(job => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+};
+
+/**
+ * Restituisce lo stato dei job registrati
+ * @returns {Array<Object>}
+ */
+exports.getStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
+
+/**
+ * Registra i job dello studio
+ */
+exports.registerDefaultJobs = () => {
+  this.registerJob(
+    'documentExpiry',
+    (parseInt(process.env.DOCUMENT_EXPIRY_CHECK_HOURS, 10) || 24) * HOUR,
+    () => documentExpiryService.runExpiryCheck()
+  );
+  this.registerJob(
+    'procedureRecurrence',
+    (parseInt(process.env.PROCEDURE_RECURRENCE_CHECK_HOURS, 10) || 6) * HOUR,
+    () => recurringProcedureService.runRecurringProcedures()
+  );
+  this.registerJob(
+    'taskReminders',
+    (parseInt(process.env.TASK_REMINDER_CHECK_HOURS, 10) || 1) * HOUR,
+    () => taskReminderService.runTaskReminders()
+  );
+  this.registerJob(
+    'documentDeliveries',
+    (parseInt(process.env.DOCUMENT_DELIVERY_RETRY_MINUTES, 10) || 5) * MINUTE,
+    () => documentDeliveryService.processQueue()
+  );
+  this.registerJob(
+    'pecReceipts',
+    (parseInt(process.env.PEC_RECEIPT_CHECK_MINUTES, 10) || 10) * MINUTE,
+    () => documentDeliveryService.ingestPecReceipts()
+  );
+};
@@ -0,0 +1,343 @@
+/**
+ * Task Assignment Service
+ *
+ * Assegna automaticamente i task delle procedure dei clienti agli utenti
+ * dello studio in base al ruolo richiesto dal template
+ * (Procedure.tasks[].assignedRole) e al carico di lavoro:
+ * - il responsabile del cliente (onboarding.assignedTo) è preferito
+ *   finché il suo carico non supera troppo quello del collega più libero;
+ * - il carico conta i task aperti, con peso maggiore per quelli in
+ *   ritardo o in scadenza a ridosso del nuovo task.
+ * Permette inoltre di riassegnare i task di un utente (es. ferie).
+ */
+
+const ClientProcedure = require('../models/ClientProcedure');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Ruoli utente che possono svolgere i task di ciascun ruolo del template.
+ * Gli utenti dello studio sono amministratori od operatori: i task
+ * contabili vanno agli operatori, quelli di supervisione agli amministratori.
+ */
+const ROLE_MAPPING = {
+  admin: ['admin'],
+  manager: ['admin'],
+  operator: ['operator'],
+  accountant: ['operator'],
+  any: ['operator', 'admin']
+};
+
+// Carico aggiuntivo tollerato per il responsabile del cliente rispetto al collega più libero
+const PREFERRED_OWNER_TOLERANCE = parseInt(process.env.TASK_ASSIGNMENT_OWNER_TOLERANCE, 10) || 5;
+
+// Giorni entro cui due scadenze sono considerate concomitanti
+const DUE_DATE_WINDOW_DAYS = 7;
+
+/**
+ * Peso di un task aperto nel carico di un utente
+ * @param {Object} task - Task aperto
+ * @param {Date} dueDate - Scadenza del task da assegnare
+ * @param {Date} now - Data corrente
+ * @returns {number}
+ */
+const taskWeight = (task, dueDate, now) => {
+  let weight = 1;
+  const taskDue = task.dueDate ? new Date(task.dueDate) : null;
+
+  if (taskDue && taskDue < now) {
+    weight += 1;
+  }
+  if (taskDue && dueDate && Math.abs(taskDue - new Date(dueDate)) <= DUE_DATE_WINDOW_DAYS * DAY) {
+    weight += 1;
+  }
+
+  return weight;
+};
+
+/**
+ * Ruoli utente abilitati per un ruolo del template
+ * @param {string} assignedRole - Ruolo del template
+ * @returns {Array<string>}
+ */
+exports.getUserRoles = (assignedRole) => ROLE_MAPPING[assignedRole] || ROLE_MAPPING.any;
+
+/**
+ * Task aperti assegnati agli utenti dello studio
+ * @param {Object} options - { userIds, excludeInstanceId }
+ * @returns {Promise<Map>} - ID utente -> elenco dei task aperti
+ */
+exports.getOpenTasksByUser = async (options = {}) => {
+  const query = {
+    status: { $in: ['active', 'on_hold'] },
+    'tasks.status': { $ne: 'completed' }
+  };
+  if (options.userIds) {
+    query['tasks.assignedTo'] = { $in: options.userIds };
+  }
+
+  const instances = await ClientProcedure.find(query).select('tasks');
+  const tasksByUser = new Map();
+
+  instances.forEach(instance => {
+    if (options.excludeInstanceId && String(instance._id) === String(options.excludeInstanceId)) {
+      return;
+    }
+
+    instance.tasks.forEach(task => {
+      if (task.status === 'completed' || !task.assignedTo) return;
+
+      const key = String(task.assignedTo);
+      if (!tasksByUser.has(key)) tasksByUser.set(key, []);
+      tasksByUser.get(key).push({ dueDate: task.dueDate });
+    });
+  });
+
+  return tasksByUser;
+};
+
+/**
+ * Calcola il carico di un utente rispetto a un nuovo task
+ * @param {Array<Object>} openTasks - Task aperti dell'utente
+ * @param {Object} options - { dueDate, now }
+ * @returns {Object} - { openTasks, overdue, concurrent, score }
+ */
+exports.computeWorkload = (openTasks = [], options = {}) => {
+  const now = options.now || new Date();
+
+  return openTasks.reduce((load, task) => {
+    const taskDue = task.dueDate ? new Date(task.dueDate) : null;
+
+    load.openTasks++;
+    if (taskDue && taskDue < now) load.overdue++;
+    if (taskDue && options.dueDate && Math.abs(taskDue - new Date(options.dueDate)) <= DUE_DATE_WINDOW_DAYS * DAY) {
+      load.concurrent++;
+    }
+    load.score += taskWeight(task, options.dueDate, now);
+
+    return load;
+  }, { openTasks: 0, overdue: 0, concurrent: 0, score: 0 });
+};
+
+/**
+ * Sceglie l'utente a cui assegnare un task
+ * @param {Array<Object>} candidates - Utenti abilitati
+ * @param {Map} tasksByUser - Task aperti per utente
+ * @param {Object} options - { dueDate, preferredUserId, excludeUserIds, now }
+ * @returns {Object|null} - { user, workload, preferred }
+ */
+exports.chooseAssignee = (candidates, tasksByUser, options = {}) => {
+  const excluded = (options.excludeUserIds || []).map(String);
+  const ranked = candidates
+    .filter(user => !excluded.includes(String(user._id)))
+    .map(user => ({
+      user,
+      workload: this.computeWorkload(tasksByUser.get(String(user._id)), options)
+    }))
+    .sort((a, b) =>
+      a.workload.score - b.workload.score ||
+      a.workload.openTasks - b.workload.openTasks ||
+      String(a.user._id).localeCompare(String(b.user._id))
+    );
+
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  if (options.preferredUserId) {
+    const preferred = ranked.find(entry => String(entry.user._id) === String(options.preferredUserId));
+    if (preferred && preferred.workload.score - ranked[0].workload.score <= PREFERRED_OWNER_TOLERANCE) {
+      return { ...preferred, preferred: true };
+    }
+  }
+
+  return { ...ranked[0], preferred: false };
+};
+
+/**
+ * Assegna i task non ancora assegnati di una procedura del cliente.
+ * L'istanza viene modificata ma non salvata.
+ *
+ * @param {Object} instance - Procedura del cliente (ClientProcedure)
+ * @param {Object} options - { procedure, client, now, overwrite }
+ * @returns {Promise<Array>} - Assegnazioni effettuate
+ */
+exports.assignTasks = async (instance, options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const { procedure, client } = options;
+    const preferredUserId = client && client.onboarding ? client.onboarding.assignedTo : null;
+
+    const toAssign = instance.tasks.filter(task =>
+      task.status !== 'completed' && (options.overwrite || !task.assignedTo)
+    );
+    if (toAssign.length === 0) {
+      return [];
+    }
+
+    const users = await User.find({ role: { $in: ['admin', 'operator'] }, status: 'active' });
+    const tasksByUser = await this.getOpenTasksByUser({ excludeInstanceId: instance._id });
+    const assignments = [];
+
+    toAssign.forEach(task => {
+      const templateTask = procedure && procedure.tasks
+        ? procedure.tasks.find(t => t.name === task.name)
+        : null;
+      const assignedRole = templateTask ? templateTask.assignedRole : 'any';
+      const roles = this.getUserRoles(assignedRole);
+
+      const choice = this.chooseAssignee(users.filter(user => roles.includes(user.role)), tasksByUser, {
+        dueDate: task.dueDate,
+        preferredUserId,
+        now
+      });
+      if (!choice) return;
+
+      task.assignedTo = choice.user._id;
+
+      // Il task appena assegnato conta nel carico per i successivi
+      const key = String(choice.user._id);
+      if (!tasksByUser.has(key)) tasksByUser.set(key, []);
+      tasksByUser.get(key).push({ dueDate: task.dueDate });
+
+      assignments.push({
+        taskId: task.taskId,
+        taskName: task.name,
+        assignedRole,
+        assignedTo: choice.user._id,
+        preferred: choice.preferred,
+        workload: choice.workload
+      });
+    });
+
+    return assignments;
+  } catch (error) {
+    console.error('Errore nell\'assegnazione automatica dei task:', error);
+    throw new Error(`Impossibile assegnare i task: ${error.message}`);
+  }
+};
+
+/**
+ * Riassegna i task aperti di un utente (es. per ferie o assenza).
+ * Senza destinatario i task vengono ridistribuiti in base al carico.
+ *
+ * @param {string} fromUserId - Utente da cui togliere i task
+ * @param {Object} options - { toUserId, clientId, from, to, reason, user, now }
+ * @returns {Promise<Object>} - Report con i task riassegnati e quelli rimasti
+ */
+exports.reassignTasks = async (fromUserId, options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const from = options.from ? new Date(options.from) : null;
+    const to = options.to ? new Date(options.to) : null;
+
+    let target = null;
+    if (options.toUserId) {
+      [target] = await User.find({ _id: options.toUserId, status: 'active' });
+      if (!target) {
+        throw new Error('Utente di destinazione non trovato o non attivo');
+      }
+    }
+
+    const query = {
+      status: { $in: ['active', 'on_hold'] },
+      'tasks.assignedTo': fromUserId
+    };
+    if (options.clientId) {
+      query.clientId = options.clientId;
+    }
+
+    const instances = await ClientProcedure.find(query).populate('procedureId', 'name tasks');
+    const users = target ? [] : await User.find({ role: { $in: ['admin', 'operator'] }, status: 'active' });
+    const tasksByUser = target ? new Map() : await this.getOpenTasksByUser();
+
+    const report = { reassigned: [], unassigned: [] };
+    const recipients = new Map();
+
+    for (const instance of instances) {
+      const procedure = instance.procedureId && instance.procedureId.tasks ? instance.procedureId : null;
+      let changed = false;
+
+      instance.tasks.forEach(task => {
+        if (task.status === 'completed' || String(task.assignedTo) !== String(fromUserId)) return;
+
+        const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+        if ((from && dueDate && dueDate < from) || (to && dueDate && dueDate > to)) return;
+
+        let newUser = target;
+        if (!newUser) {
+          const templateTask = procedure ? procedure.tasks.find(t => t.name === task.name) : null;
+          const roles = this.getUserRoles(templateTask ? templateTask.assignedRole : 'any');
+          const choice = this.chooseAssignee(users.filter(user => roles.includes(user.role)), tasksByUser, {
+            dueDate,
+            excludeUserIds: [fromUserId],
+            now
+          });
+          newUser = choice ? choice.user : null;
+        }
+
+        const summary = {
+          clientProcedureId: instance._id,
+          procedureName: procedure ? procedure.name : undefined,
+          taskId: task.taskId,
+          taskName: task.name,
+          dueDate: task.dueDate
+        };
+
+        if (!newUser) {
+          report.unassigned.push(summary);
+          return;
+        }
+
+        task.assignedTo = newUser._id;
+        changed = true;
+
+        const key = String(newUser._id);
+        if (!tasksByUser.has(key)) tasksByUser.set(key, []);
+        tasksByUser.get(key).push({ dueDate: task.dueDate });
+
+        report.reassigned.push({ ...summary, assignedTo: newUser._id });
+        recipients.set(key, (recipients.get(key) || 0) + 1);
+      });
+
+      if (changed) {
+        await instance.save();
+      }
+    }
+
+    for (const [recipient, count] of recipients) {
+      await notificationService.notify([recipient], {
+        type: 'task_reassigned',
+        title: 'Task riassegnati',
+        message: `Ti sono stati assegnati ${count} task${options.reason ? ` (${options.reason})` : ''}`,
+        link: '/procedures',
+        metadata: { fromUserId, count }
+      });
+    }
+
+    await ActivityLog.create({
+      user: options.user ? options.user._id : undefined,
+      activityType: 'task_reassignment',
+      details: {
+        fromUserId,
+        toUserId: target ? target._id : null,
+        clientId: options.clientId,
+        from,
+        to,
+        reason: options.reason,
+        reassigned: report.reassigned.length,
+        unassigned: report.unassigned.length
+      }
+    });
+
+    return report;
+  } catch (error) {
+    console.error('Errore nella riassegnazione dei task:', error);
+    throw new Error(`Impossibile riassegnare i task: ${error.message}`);
+  }
+};
+
+exports.ROLE_MAPPING = ROLE_MAPPING;
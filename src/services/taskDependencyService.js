@@ -0,0 +1,221 @@
+/**
+ * Task Dependency Service
+ *
+ * Pianificazione dei task di una procedura del cliente in base alle
+ * dipendenze (dependsOn): per ogni task i prerequisiti non ancora
+ * completati che lo bloccano e le date di inizio e fine più vicine
+ * possibili, in giorni lavorativi, a partire dalle ore stimate.
+ * Il percorso critico è la catena di task senza margine che determina
+ * la data di completamento più vicina della procedura.
+ */
+
+const fiscalCalendarService = require('./fiscalCalendarService');
+const workloadReportService = require('./workloadReportService');
+const { topologicalSort } = require('../utils/taskGraph');
+
+// Ore lavorative in una giornata, per convertire le ore stimate in giorni
+const HOURS_PER_DAY = parseFloat(process.env.TASK_HOURS_PER_DAY) || 8;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Data alla mezzanotte locale
+ * @param {Date|string} date - Data
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Sposta una data di un numero di giorni lavorativi (anche negativo)
+ * @param {Date} date - Giorno lavorativo di partenza
+ * @param {number} days - Giorni lavorativi
+ * @returns {Date}
+ */
+const addBusinessDays = (date, days) => {
+  let current = startOfDay(date);
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+
+  while (remaining > 0) {
+    current = new Date(current.getFullYear(), current.getMonth(), current.getDate() + step);
+    if (fiscalCalendarService.isBusinessDay(current)) {
+      remaining--;
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Giorni lavorativi tra due date (0 se la seconda non è successiva)
+ * @param {Date} from - Data iniziale
+ * @param {Date} to - Data finale
+ * @returns {number}
+ */
+const countBusinessDays = (from, to) => {
+  let count = 0;
+  let current = startOfDay(from);
+  const end = startOfDay(to);
+
+  while (current < end) {
+    current = new Date(current.getFullYear(), current.getMonth(), current.getDate() + 1);
+    if (fiscalCalendarService.isBusinessDay(current)) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Durata di un task in giorni lavorativi (almeno uno)
+ * @param {Object} task - Task
+ * @returns {number}
+ */
+exports.getTaskDurationDays = (task) => {
+  return Math.max(1, Math.ceil(workloadReportService.getTaskHours(task) / HOURS_PER_DAY));
+};
+
+/**
+ * Prerequisiti non ancora completati di un task
+ * @param {Object} instance - Istanza (ClientProcedure)
+ * @param {string} taskId - ID del task
+ * @returns {Array<Object>} - { taskId, name, status, assignedTo, dueDate }
+ */
+exports.getBlockedBy = (instance, taskId) => {
+  const task = instance.tasks.find(t => t.taskId === taskId);
+  if (!task) return [];
+
+  return (task.dependsOn || [])
+    .map(dependency => instance.tasks.find(t => t.taskId === dependency))
+    .filter(dependency => dependency && dependency.status !== 'completed')
+    .map(dependency => ({
+      taskId: dependency.taskId,
+      name: dependency.name,
+      status: dependency.status,
+      assignedTo: dependency.assignedTo,
+      dueDate: dependency.dueDate
+    }));
+};
+
+/**
+ * Pianifica i task di un'istanza: data di inizio e fine più vicine,
+ * margine rispetto al completamento della procedura, task bloccati e
+ * percorso critico
+ *
+ * @param {Object} instance - Istanza (ClientProcedure)
+ * @param {Object} options - { now }
+ * @returns {Object} - { startDate, earliestCompletion, criticalPath, blockedTasks, lateTasks, tasks }
+ */
+exports.computeSchedule = (instance, options = {}) => {
+  try {
+    const today = startOfDay(options.now || new Date());
+    const start = instance.startDate && startOfDay(instance.startDate) > today ? instance.startDate : today;
+    const firstDay = fiscalCalendarService.shiftToBusinessDay(start);
+
+    const sorted = topologicalSort(instance.tasks);
+    const rows = new Map();
+
+    // Passo in avanti: inizio e fine più vicini
+    sorted.forEach(task => {
+      const dependencies = (task.dependsOn || []).map(id => rows.get(id)).filter(Boolean);
+      const completed = task.status === 'completed';
+      const row = {
+        taskId: task.taskId,
+        name: task.name,
+        status: task.status,
+        assignedTo: task.assignedTo,
+        dueDate: task.dueDate,
+        dependsOn: dependencies.map(dependency => dependency.taskId),
+        blockedBy: this.getBlockedBy(instance, task.taskId),
+        durationDays: completed ? 0 : this.getTaskDurationDays(task),
+        successors: []
+      };
+
+      if (completed) {
+        const completedDate = startOfDay(task.completedDate || today);
+        row.earliestStart = completedDate;
+        row.earliestFinish = completedDate;
+      } else {
+        let earliestStart = firstDay;
+        dependencies.forEach(dependency => {
+          if (dependency.status === 'completed') return;
+          const ready = addBusinessDays(dependency.earliestFinish, 1);
+          if (ready > earliestStart) earliestStart = ready;
+        });
+        row.earliestStart = earliestStart;
+        row.earliestFinish = addBusinessDays(earliestStart, row.durationDays - 1);
+      }
+
+      row.blocked = row.blockedBy.length > 0;
+      row.late = Boolean(!completed && task.dueDate && row.earliestFinish > startOfDay(task.dueDate));
+      dependencies.forEach(dependency => dependency.successors.push(row.taskId));
+      rows.set(task.taskId, row);
+    });
+
+    const openRows = Array.from(rows.values()).filter(row => row.status !== 'completed');
+    const earliestCompletion = openRows.length > 0
+      ? new Date(Math.max(...openRows.map(row => row.earliestFinish.getTime())))
+      : null;
+
+    // Passo all'indietro: fine più lontana che non ritarda la procedura
+    [...sorted].reverse().forEach(task => {
+      const row = rows.get(task.taskId);
+      if (row.status === 'completed') return;
+
+      let latestFinish = earliestCompletion;
+      row.successors.forEach(id => {
+        const successor = rows.get(id);
+        if (successor.status === 'completed') return;
+        const limit = addBusinessDays(successor.latestStart, -1);
+        if (limit < latestFinish) latestFinish = limit;
+      });
+
+      row.latestFinish = latestFinish;
+      row.latestStart = addBusinessDays(latestFinish, -(row.durationDays - 1));
+      row.slackDays = countBusinessDays(row.earliestFinish, latestFinish);
+      row.critical = row.slackDays === 0;
+    });
+
+    // Percorso critico: dal task che termina per ultimo, a ritroso sui
+    // prerequisiti aperti senza margine
+    const criticalPath = [];
+    let current = openRows
+      .filter(row => row.critical && row.earliestFinish.getTime() === earliestCompletion.getTime())
+      .pop();
+    while (current) {
+      criticalPath.unshift(current.taskId);
+      current = current.dependsOn
+        .map(id => rows.get(id))
+        .filter(row => row.status !== 'completed' && row.critical)
+        .sort((a, b) => b.earliestFinish - a.earliestFinish)[0];
+    }
+
+    const tasks = instance.tasks.map(task => {
+      const { successors, ...row } = rows.get(task.taskId);
+      return { ...row, onCriticalPath: criticalPath.includes(row.taskId) };
+    });
+
+    return {
+      startDate: firstDay,
+      earliestCompletion,
+      expectedEndDate: instance.expectedEndDate,
+      // Giorni di calendario di ritardo rispetto alla fine prevista
+      delayDays: earliestCompletion && instance.expectedEndDate && earliestCompletion > startOfDay(instance.expectedEndDate)
+        ? Math.round((earliestCompletion - startOfDay(instance.expectedEndDate)) / DAY)
+        : 0,
+      criticalPath,
+      blockedTasks: tasks.filter(task => task.blocked && task.status !== 'completed').length,
+      lateTasks: tasks.filter(task => task.late).length,
+      tasks
+    };
+  } catch (error) {
+    console.error('Errore nella pianificazione dei task:', error);
+    throw new Error(`Impossibile pianificare i task: ${error.message}`);
+  }
+};
+
+exports.HOURS_PER_DAY = HOURS_PER_DAY;
@@ -0,0 +1,295 @@
+/**
+ * Task Reminder Service
+ *
+ * Invia i promemoria dei task delle procedure dei clienti in base ai
+ * giorni di anticipo definiti nel template (Procedure.tasks[].reminderDays).
+ * I promemoria vanno all'incaricato del task attraverso i canali attivi
+ * (email, notifica in-app, vedi reminderChannels). Ogni invio viene
+ * registrato in ReminderDelivery: un promemoria già inviato su un canale
+ * non viene ripetuto, nemmeno dopo un riavvio del server.
+ */
+
+const ClientProcedure = require('../models/ClientProcedure');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const reminderChannels = require('./reminderChannels');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Giorni di anticipo per i task senza template (stesso default dello schema Procedure)
+const DEFAULT_REMINDER_DAYS = [1, 3, 7];
+
+// Ora del giorno da cui inviare i promemoria
+const REMINDER_HOUR = parseInt(process.env.TASK_REMINDER_HOUR, 10) || 8;
+
+// Tentativi massimi per un invio fallito
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Data alla mezzanotte locale
+ * @param {Date} date - Data
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Chiave univoca di un promemoria: cambia se cambiano scadenza o incaricato
+ * @param {Object} instance - Procedura del cliente
+ * @param {Object} task - Task
+ * @param {number} daysBefore - Giorni di anticipo
+ * @returns {string}
+ */
+const buildReminderKey = (instance, task, daysBefore) => [
+  instance._id,
+  task.taskId,
+  startOfDay(task.dueDate).toISOString().slice(0, 10),
+  task.assignedTo,
+  daysBefore
+].join(':');
+
+/**
+ * Calcola i momenti di invio dei promemoria di una scadenza
+ * @param {Date} dueDate - Scadenza del task
+ * @param {Array<number>} reminderDays - Giorni di anticipo
+ * @returns {Array<Object>} - { daysBefore, remindAt }, dal più lontano dalla scadenza
+ */
+exports.computeReminderTimes = (dueDate, reminderDays = DEFAULT_REMINDER_DAYS) => {
+  const day = startOfDay(dueDate);
+
+  return Array.from(new Set(reminderDays))
+    .filter(days => days > 0)
+    .sort((a, b) => b - a)
+    .map(daysBefore => ({
+      daysBefore,
+      remindAt: new Date(day.getFullYear(), day.getMonth(), day.getDate() - daysBefore, REMINDER_HOUR)
+    }));
+};
+
+/**
+ * Determina i promemoria da inviare per una procedura del cliente.
+ * Per ogni task aperto e assegnato viene considerato solo il promemoria
+ * più recente già maturato (dopo un fermo non si inviano quelli arretrati).
+ *
+ * @param {Object} instance - Procedura del cliente (con procedureId popolato)
+ * @param {Object} options - { now }
+ * @returns {Array<Object>} - Promemoria
+ */
+exports.getDueReminders = (instance, options = {}) => {
+  const now = options.now || new Date();
+  const procedure = instance.procedureId && instance.procedureId.tasks ? instance.procedureId : null;
+  const client = instance.clientId && instance.clientId.name ? instance.clientId : null;
+  const reminders = [];
+
+  (instance.tasks || []).forEach(task => {
+    if (task.status === 'completed' || !task.assignedTo || !task.dueDate || new Date(task.dueDate) < now) {
+      return;
+    }
+
+    const templateTask = procedure ? procedure.tasks.find(t => t.name === task.name) : null;
+    const reminderDays = templateTask && templateTask.reminderDays ? templateTask.reminderDays : DEFAULT_REMINDER_DAYS;
+
+    const due = this.computeReminderTimes(task.dueDate, reminderDays)
+      .filter(reminder => reminder.remindAt <= now)
+      .pop();
+
+    if (!due) return;
+
+    reminders.push({
+      reminderKey: buildReminderKey(instance, task, due.daysBefore),
+      clientProcedureId: instance._id,
+      clientId: client ? client._id : instance.clientId,
+      clientName: client ? client.name : '',
+      procedureName: procedure ? procedure.name : 'Procedura',
+      period: instance.period && instance.period.label ? instance.period.label : null,
+      taskId: task.taskId,
+      taskName: task.name,
+      assignedTo: task.assignedTo,
+      dueDate: task.dueDate,
+      daysBefore: due.daysBefore,
+      daysRemaining: Math.ceil((startOfDay(task.dueDate) - startOfDay(now)) / DAY)
+    });
+  });
+
+  return reminders;
+};
+
+/**
+ * Invia un promemoria su un canale registrando l'esito.
+ * Il record viene salvato prima dell'invio (stato "sending"): l'indice
+ * univoco impedisce che due esecuzioni concorrenti inviino lo stesso
+ * promemoria, e un invio interrotto non viene ripetuto.
+ *
+ * @param {Object} reminder - Promemoria
+ * @param {Object} user - Destinatario
+ * @param {Object} channel - Canale di invio
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { status: 'sent' | 'failed' | 'duplicate', error }
+ */
+exports.deliverReminder = async (reminder, user, channel, options = {}) => {
+  const now = options.now || new Date();
+  let delivery = await ReminderDelivery.findOne({ reminderKey: reminder.reminderKey, channel: channel.name });
+
+  if (delivery && (delivery.status !== 'failed' || delivery.attempts >= MAX_ATTEMPTS)) {
+    return { status: 'duplicate' };
+  }
+
+  if (!delivery) {
+    delivery = new ReminderDelivery({
+      reminderKey: reminder.reminderKey,
+      channel: channel.name,
+      clientProcedureId: reminder.clientProcedureId,
+      taskId: reminder.taskId,
+      recipient: user._id,
+      dueDate: reminder.dueDate,
+      daysBefore: reminder.daysBefore
+    });
+  }
+
+  delivery.status = 'sending';
+  delivery.attempts += 1;
+
+  try {
+    await delivery.save();
+  } catch (error) {
+    // Promemoria già preso in carico da un'altra esecuzione
+    if (error.code === 11000) {
+      return { status: 'duplicate' };
+    }
+    throw error;
+  }
+
+  try {
+    delivery.response = await channel.send(user, reminder) || {};
+    delivery.status = 'sent';
+    delivery.sentAt = now;
+    delivery.error = undefined;
+  } catch (error) {
+    console.error(`Errore nell'invio del promemoria ${reminder.reminderKey} (${channel.name}):`, error);
+    delivery.status = 'failed';
+    delivery.error = error.message;
+  }
+
+  await delivery.save();
+
+  return { status: delivery.status, error: delivery.error };
+};
+
+/**
+ * Invia i promemoria maturati per tutte le procedure attive
+ * @param {Object} options - { now, channels, dryRun }
+ * @returns {Promise<Object>} - Report con invii, duplicati ed errori
+ */
+exports.runTaskReminders = async (options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const channels = reminderChannels.getActiveChannels(options.channels);
+
+    const instances = await ClientProcedure.find({
+      status: 'active',
+      tasks: { $elemMatch: { status: { $ne: 'completed' }, assignedTo: { $exists: true } } }
+    })
+      .populate('procedureId', 'name tasks')
+      .populate('clientId', 'name');
+
+    const reminders = instances.reduce(
+      (list, instance) => list.concat(this.getDueReminders(instance, { now })),
+      []
+    );
+
+    const userIds = Array.from(new Set(reminders.map(reminder => String(reminder.assignedTo))));
+    const users = userIds.length > 0
+      ? await User.find({ _id: { $in: userIds }, status: 'active' })
+      : [];
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+
+    const report = {
+      runAt: now,
+      dryRun: Boolean(options.dryRun),
+      channels: channels.map(channel => channel.name),
+      remindersDue: reminders.length,
+      sent: [],
+      duplicates: 0,
+      skipped: [],
+      errors: []
+    };
+
+    for (const reminder of reminders) {
+      const user = usersById.get(String(reminder.assignedTo));
+      const summary = {
+        clientProcedureId: reminder.clientProcedureId,
+        clientName: reminder.clientName,
+        taskName: reminder.taskName,
+        dueDate: reminder.dueDate,
+        daysBefore: reminder.daysBefore
+      };
+
+      if (!user) {
+        report.skipped.push({ ...summary, reason: 'recipient_inactive' });
+        continue;
+      }
+
+      for (const channel of channels) {
+        if (options.dryRun) {
+          report.sent.push({ ...summary, channel: channel.name, recipient: user._id });
+          continue;
+        }
+
+        try {
+          const result = await this.deliverReminder(reminder, user, channel, { now });
+
+          if (result.status === 'sent') {
+            report.sent.push({ ...summary, channel: channel.name, recipient: user._id });
+          } else if (result.status === 'duplicate') {
+            report.duplicates++;
+          } else {
+            report.errors.push({ ...summary, channel: channel.name, error: result.error });
+          }
+        } catch (error) {
+          console.error(`Errore nel promemoria ${reminder.reminderKey}:`, error);
+          report.errors.push({ ...summary, channel: channel.name, error: error.message });
+        }
+      }
+    }
+
+    if (!options.dryRun) {
+      await ActivityLog.create({
+        activityType: 'task_reminders_run',
+        details: {
+          runAt: now,
+          channels: report.channels,
+          remindersDue: report.remindersDue,
+          sent: report.sent.length,
+          duplicates: report.duplicates,
+          errors: report.errors.length
+        }
+      });
+    }
+
+    return report;
+  } catch (error) {
+    console.error('Errore nell\'invio dei promemoria dei task:', error);
+    throw new Error(`Impossibile inviare i promemoria dei task: ${error.message}`);
+  }
+};
+
+/**
+ * Storico degli invii dei promemoria di una procedura del cliente
+ * @param {string} clientProcedureId - ID della procedura del cliente
+ * @returns {Promise<Array>}
+ */
+exports.getDeliveries = async (clientProcedureId) => {
+  try {
+    return await ReminderDelivery.find({ clientProcedureId })
+      .populate('recipient', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+  } catch (error) {
+    console.error('Errore nel recupero degli invii dei promemoria:', error);
+    throw new Error(`Impossibile recuperare gli invii dei promemoria: ${error.message}`);
+  }
+};
+
+exports.DEFAULT_REMINDER_DAYS = DEFAULT_REMINDER_DAYS;
@@ -0,0 +1,411 @@
+/**
+ * Template Editor Service
+ *
+ * Supporto all'editor dei template dei documenti: tavolozza delle variabili
+ * disponibili (campi del cliente, variabili dichiarate dal template, valori
+ * e funzioni aggiunti dal generatore), controllo dei segnaposto sconosciuti
+ * e anteprima del template con i dati di un cliente reale. Il salvataggio
+ * passa da templateService.updateTemplate e crea una nuova revisione.
+ * Gestisce entrambi i linguaggi dei template: EJS e linguaggio sicuro
+ * (utils/templateLanguage).
+ */
+
+const Client = require('../models/Client');
+const Template = require('../models/Template');
+const documentGenerator = require('./documentGenerator');
+const templateLanguage = require('../utils/templateLanguage');
+
+// Campi del cliente non disponibili nei template (interni o riservati)
+const EXCLUDED_CLIENT_PATHS = [
+  '_id', '__v', 'isActive', 'mergedInto', 'mergedAt', 'documents', 'externalIds',
+  'gdprErasure', 'onboarding.assignedTo', 'onboarding.checklist', 'dataConsent.ipAddress'
+];
+
+// Etichette dei campi del cliente più usati nei documenti
+const CLIENT_FIELD_LABELS = {
+  name: 'Ragione sociale / nome',
+  fiscalCode: 'Codice fiscale',
+  vatNumber: 'Partita IVA',
+  companyType: 'Tipo di cliente',
+  'contactInfo.email': 'Email',
+  'contactInfo.phone': 'Telefono',
+  'contactInfo.address.street': 'Indirizzo',
+  'contactInfo.address.city': 'Città',
+  'contactInfo.address.province': 'Provincia',
+  'contactInfo.address.postalCode': 'CAP',
+  'contactInfo.address.country': 'Nazione',
+  'legalRepresentative.firstName': 'Nome del legale rappresentante',
+  'legalRepresentative.lastName': 'Cognome del legale rappresentante',
+  'legalRepresentative.fiscalCode': 'Codice fiscale del legale rappresentante',
+  businessSector: 'Settore',
+  foundingDate: 'Data di costituzione',
+  annualRevenue: 'Fatturato annuo',
+  employees: 'Dipendenti',
+  accountingRegime: 'Regime contabile'
+};
+
+// Valori aggiunti da documentGenerator (enhanceClientData)
+const SYSTEM_VARIABLES = [
+  { name: 'currentDate', label: 'Data odierna (GG/MM/AAAA)' },
+  { name: 'currentDateTime', label: 'Data e ora correnti' },
+  { name: 'currentYear', label: 'Anno corrente' },
+  { name: 'templateName', label: 'Nome del template' },
+  { name: 'templateDisplayName', label: 'Nome visualizzato del template' },
+  { name: 'templateVersion', label: 'Revisione del template' },
+  { name: 'documentId', label: 'Identificativo del documento' },
+  { name: 'documentCreationDate', label: 'Data di creazione del documento' },
+  { name: 'documentCreationTime', label: 'Ora di creazione del documento' }
+];
+
+// Funzioni di formattazione aggiunte da documentGenerator (enhanceClientData)
+const HELPERS = [
+  { name: 'formatDate', label: 'Data (GG/MM/AAAA)', snippet: '<%= formatDate(foundingDate) %>' },
+  { name: 'formatDateTime', label: 'Data e ora', snippet: '<%= formatDateTime(createdAt) %>' },
+  { name: 'formatCurrency', label: 'Importo in euro', snippet: '<%= formatCurrency(annualRevenue) %>' },
+  { name: 'formatNumber', label: 'Numero con decimali', snippet: '<%= formatNumber(annualRevenue, 2) %>' },
+  { name: 'uppercase', label: 'Maiuscolo', snippet: '<%= uppercase(name) %>' },
+  { name: 'lowercase', label: 'Minuscolo', snippet: '<%= lowercase(name) %>' },
+  { name: 'capitalize', label: 'Iniziale maiuscola', snippet: '<%= capitalize(name) %>' }
+];
+
+// Filtri del linguaggio sicuro (utils/templateLanguage)
+const FILTERS = [
+  { name: 'date', label: 'Data (GG/MM/AAAA, "long": 5 marzo 2026)', snippet: '{{ foundingDate | date:"long" }}' },
+  { name: 'datetime', label: 'Data e ora', snippet: '{{ createdAt | datetime }}' },
+  { name: 'currency', label: 'Importo in euro', snippet: '{{ annualRevenue | currency }}' },
+  { name: 'number', label: 'Numero con decimali', snippet: '{{ annualRevenue | number:2 }}' },
+  { name: 'cf', label: 'Codice fiscale', snippet: '{{ fiscalCode | cf }}' },
+  { name: 'piva', label: 'Partita IVA', snippet: '{{ vatNumber | piva }}' },
+  { name: 'upper', label: 'Maiuscolo', snippet: '{{ name | upper }}' },
+  { name: 'title', label: 'Iniziali maiuscole', snippet: '{{ legalRepresentative.lastName | title }}' },
+  { name: 'default', label: 'Valore se mancante', snippet: '{{ contactInfo.phone | default:"—" }}' },
+  { name: 'join', label: 'Elenco separato da virgole', snippet: '{{ services | join:", " }}' },
+  { name: 'yesno', label: 'Sì / no', snippet: '{{ billing.hourly | yesno }}' }
+];
+
+// Blocchi del linguaggio sicuro
+const BLOCKS = [
+  { name: 'if', label: 'Sezione condizionale', snippet: '{% if companyType in ["SRL", "SPA"] %}\n\n{% endif %}' },
+  { name: 'if-else', label: 'Sezione alternativa', snippet: '{% if vatNumber %}\n\n{% else %}\n\n{% endif %}' },
+  { name: 'for', label: 'Elenco', snippet: '{% for service in services %}\n<li>{{ loop.index }}. {{ service }}</li>\n{% endfor %}' }
+];
+
+// Parole chiave e oggetti globali ammessi nelle espressioni dei template
+const RESERVED_NAMES = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return',
+  'function', 'var', 'let', 'const', 'new', 'typeof', 'instanceof', 'in', 'of', 'void', 'delete',
+  'true', 'false', 'null', 'undefined', 'this', 'NaN', 'Infinity', 'locals',
+  'Math', 'Date', 'Number', 'String', 'Boolean', 'Array', 'Object', 'JSON',
+  'parseInt', 'parseFloat', 'isNaN', 'encodeURIComponent'
+]);
+
+// Tag EJS: <%= (output), <%- (output non escapato), <%_ e <% (codice), <%# (commento)
+const TAG_PATTERN = /<%([=\-_#%]?)([\s\S]*?)[-_]?%>/g;
+const STRING_PATTERN = /(['"`])(?:\\.|(?!\1)[^\\])*\1/g;
+const PATH_PATTERN = /(^|[^\w$.])([A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*)(\s*:(?!:))?/g;
+
+/**
+ * Segnaposto e variabili locali usati nel contenuto di un template
+ * @param {string} content - Contenuto del template (EJS)
+ * @returns {Object} - { placeholders: [{ path, line }], locals: [nomi], errors }
+ */
+exports.extractPlaceholders = (content = '') => {
+  const placeholders = [];
+  const locals = new Set();
+  const errors = [];
+
+  const opened = (content.match(/<%(?!%)/g) || []).length;
+  const closed = (content.match(/%>/g) || []).length;
+  if (opened !== closed) {
+    errors.push(`Tag del template non bilanciati: ${opened} aperti e ${closed} chiusi`);
+  }
+
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(content)) !== null) {
+    const [, kind, code] = match;
+    if (kind === '#' || kind === '%') continue;
+
+    const line = content.slice(0, match.index).split('\n').length;
+    const source = code.replace(STRING_PATTERN, '""');
+
+    // Parametri di funzione e variabili dichiarate nel template
+    [
+      /function\s*[\w$]*\s*\(([^)]*)\)/g,
+      /\(([^()]*)\)\s*=>/g,
+      /([A-Za-z_$][\w$]*)\s*=>/g,
+      /\b(?:var|let|const)\s+([A-Za-z_$][\w$]*)/g
+    ].forEach(pattern => {
+      let declaration;
+      while ((declaration = pattern.exec(source)) !== null) {
+        declaration[1].split(',')
+          .map(name => name.trim().split('=')[0].trim())
+          .filter(Boolean)
+          .forEach(name => locals.add(name));
+      }
+    });
+
+    let path;
+    PATH_PATTERN.lastIndex = 0;
+    while ((path = PATH_PATTERN.exec(source)) !== null) {
+      // Chiavi degli oggetti letterali ({ chiave: valore })
+      if (path[3]) continue;
+
+      const name = path[2].replace(/\s+/g, '');
+      if (!RESERVED_NAMES.has(name.split('.')[0])) {
+        placeholders.push({ path: name, line });
+      }
+    }
+  }
+
+  return { placeholders, locals: [...locals], errors };
+};
+
+/**
+ * Segnaposto che stampa un'espressione nel linguaggio del template
+ * @param {string} expression - Espressione
+ * @param {string} engine - Linguaggio ('ejs' o 'safe')
+ * @returns {string}
+ */
+const outputSnippet = (expression, engine) => (engine === 'safe' ? `{{ ${expression} }}` : `<%= ${expression} %>`);
+
+/**
+ * Campi del cliente utilizzabili nei template
+ * @param {string} engine - Linguaggio del template
+ * @returns {Array} - [{ name, label, type, group, snippet }]
+ */
+const getClientFields = (engine = 'ejs') => {
+  const fields = [];
+
+  Client.schema.eachPath((path, schemaType) => {
+    if (path.includes('$*')) return;
+    if (EXCLUDED_CLIENT_PATHS.some(excluded => path === excluded || path.startsWith(`${excluded}.`))) return;
+
+    const type = schemaType.instance;
+    let snippet = outputSnippet(path, engine);
+    if (type === 'Date') snippet = engine === 'safe' ? `{{ ${path} | date }}` : `<%= formatDate(${path}) %>`;
+    if (type === 'Array') snippet = engine === 'safe' ? `{{ ${path} | join }}` : `<%= (${path} || []).join(', ') %>`;
+
+    fields.push({
+      name: path,
+      label: CLIENT_FIELD_LABELS[path] || path,
+      type,
+      group: 'client',
+      snippet
+    });
+  });
+
+  return fields;
+};
+
+/**
+ * Tavolozza delle variabili disponibili per un template
+ * @param {Object} template - Template (opzionale, per linguaggio e variabili dichiarate)
+ * @param {Array} clauses - Clausole includibili ({ name, description }), solo linguaggio sicuro
+ * @returns {Object} - { client, template, system, helpers, blocks, clauses }
+ */
+exports.getVariablePalette = (template = null, clauses = []) => {
+  const engine = (template && template.engine) || 'ejs';
+  const safe = engine === 'safe';
+
+  return {
+    client: getClientFields(engine),
+    template: ((template && template.variables) || []).map(name => ({
+      name,
+      label: name,
+      group: 'template',
+      snippet: outputSnippet(name, engine)
+    })),
+    system: SYSTEM_VARIABLES.map(variable => ({
+      ...variable,
+      group: 'system',
+      snippet: outputSnippet(variable.name, engine)
+    })),
+    helpers: (safe ? FILTERS : HELPERS).map(helper => ({ ...helper, group: 'helpers' })),
+    blocks: safe ? BLOCKS.map(block => ({ ...block, group: 'blocks' })) : [],
+    clauses: safe
+      ? clauses.map(clause => ({
+        name: clause.name,
+        label: clause.description || clause.name,
+        group: 'clauses',
+        snippet: `{% include "${clause.name}" %}`
+      }))
+      : []
+  };
+};
+
+/**
+ * Verifica se un percorso è un campo del cliente (o una proprietà del suo valore)
+ * @param {string} path - Percorso (es. contactInfo.address.city)
+ * @returns {boolean}
+ */
+const isClientPath = (path) => {
+  const segments = path.split('.');
+
+  for (let i = 1; i <= segments.length; i++) {
+    const prefix = segments.slice(0, i).join('.');
+    if (EXCLUDED_CLIENT_PATHS.includes(prefix)) return false;
+
+    const schemaType = Client.schema.path(prefix);
+    // Campo foglia: il resto del percorso è una proprietà del valore (es. name.length)
+    if (schemaType) return true;
+    // Oggetto annidato: si prosegue con il segmento successivo
+    if (Client.schema.pathType(prefix) !== 'nested') return false;
+  }
+
+  // Oggetto annidato usato per intero (es. contactInfo.address)
+  return true;
+};
+
+/**
+ * Segnaposto del contenuto nel linguaggio sicuro; gli errori di sintassi
+ * sono riportati in errors
+ * @param {string} content - Contenuto del template
+ * @returns {Object} - { placeholders, locals, errors }
+ */
+const extractSafePlaceholders = (content) => {
+  try {
+    return { placeholders: templateLanguage.collectReferences(content).paths, locals: [], errors: [] };
+  } catch (error) {
+    return { placeholders: [], locals: [], errors: [error.message] };
+  }
+};
+
+/**
+ * Controlla i segnaposto del contenuto di un template: sono ammessi i campi
+ * del cliente, le variabili dichiarate dal template, i valori e le funzioni
+ * del generatore e le variabili locali del template (es. parametri dei cicli)
+ * @param {string} content - Contenuto del template
+ * @param {Array} variables - Variabili dichiarate dal template
+ * @param {string} engine - Linguaggio del template ('ejs' o 'safe')
+ * @returns {Object} - { valid, placeholders, unknown: [{ path, line, suggestion }], errors }
+ */
+exports.validateContent = (content = '', variables = [], engine = 'ejs') => {
+  const { placeholders, locals, errors } = engine === 'safe'
+    ? extractSafePlaceholders(content)
+    : this.extractPlaceholders(content);
+  const known = new Set([
+    ...SYSTEM_VARIABLES.map(variable => variable.name),
+    ...HELPERS.map(helper => helper.name),
+    ...locals
+  ]);
+  const clientFields = getClientFields().map(field => field.name);
+
+  const isKnown = (path) => known.has(path.split('.')[0])
+    || isClientPath(path)
+    || variables.some(variable => path === variable
+      || path.startsWith(`${variable}.`)
+      || variable.startsWith(`${path}.`));
+
+  const unknown = [];
+  placeholders.forEach(placeholder => {
+    if (isKnown(placeholder.path)) return;
+    if (unknown.some(item => item.path === placeholder.path)) return;
+
+    // Suggerimento: campo del cliente con lo stesso percorso finale (es. address.city)
+    const suggestion = clientFields.find(field => field.endsWith(`.${placeholder.path}`));
+    unknown.push({ ...placeholder, suggestion });
+  });
+
+  return {
+    valid: unknown.length === 0 && errors.length === 0,
+    placeholders: [...new Set(placeholders.map(placeholder => placeholder.path))],
+    unknown,
+    errors
+  };
+};
+
+/**
+ * Variabili da dichiarare per un contenuto: radici dei segnaposto che non
+ * sono campi del cliente (es. policy per policy.version), usato per i
+ * template sincronizzati dai file
+ * @param {string} content - Contenuto del template
+ * @returns {Array} - Nomi delle variabili
+ */
+exports.detectVariables = (content = '') => [
+  ...new Set(this.validateContent(content).unknown.map(item => item.path.split('.')[0]))
+];
+
+/**
+ * Imposta un valore di esempio per le variabili dichiarate che mancano nei
+ * dati del cliente, così l'anteprima non si interrompe
+ * @param {Object} data - Dati del cliente
+ * @param {Array} variables - Variabili dichiarate
+ * @returns {Object} - Dati completati
+ */
+const withSampleValues = (data, variables = []) => {
+  variables.forEach(variable => {
+    const segments = variable.split('.');
+    const last = segments.pop();
+    let target = data;
+
+    for (const segment of segments) {
+      if (target[segment] === undefined || target[segment] === null) {
+        target[segment] = {};
+      }
+      // Un valore semplice del cliente non viene sostituito
+      if (typeof target[segment] !== 'object') return;
+      target = target[segment];
+    }
+
+    if (target[last] === undefined || target[last] === null) {
+      target[last] = `[${variable}]`;
+    }
+  });
+
+  return data;
+};
+
+/**
+ * Anteprima di un template con i dati di un cliente reale; il contenuto
+ * può essere quello non ancora salvato dell'editor, nel linguaggio del template salvato
+ * @param {string} templateId - ID del template
+ * @param {string} clientId - ID del cliente
+ * @param {Object} draft - Modifiche non salvate ({ content, variables })
+ * @returns {Promise<Object>} - { html, error, validation }
+ */
+exports.previewTemplate = async (templateId, clientId, draft = {}) => {
+  try {
+    const [template, client] = await Promise.all([
+      Template.findById(templateId),
+      Client.findById(clientId)
+    ]);
+
+    if (!template) {
+      throw new Error('Template non trovato');
+    }
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    const content = draft.content !== undefined ? draft.content : template.content;
+    const variables = draft.variables || template.variables || [];
+    // Il linguaggio è sempre quello del template salvato
+    const engine = template.engine || 'ejs';
+    const validation = this.validateContent(content, variables, engine);
+
+    const data = withSampleValues(client.toObject(), variables);
+
+    // Gli errori di rendering sono mostrati nell'editor, non interrompono l'anteprima
+    try {
+      const html = await documentGenerator.renderTemplate({
+        name: template.name,
+        displayName: template.displayName,
+        version: template.version,
+        engine,
+        content
+      }, data);
+
+      return { html, error: null, validation };
+    } catch (renderError) {
+      return { html: null, error: renderError.message, validation };
+    }
+  } catch (error) {
+    console.error('Errore nell\'anteprima del template:', error);
+    throw new Error(`Impossibile generare l'anteprima: ${error.message}`);
+  }
+};
+
+exports.SYSTEM_VARIABLES = SYSTEM_VARIABLES;
+exports.HELPERS = HELPERS;
+exports.FILTERS = FILTERS;
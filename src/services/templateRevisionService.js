@@ -0,0 +1,246 @@
+/**
+ * Template Revision Service
+ *
+ * Revisioni dei template dei documenti: ogni modifica crea una revisione
+ * non modificabile (TemplateRevision) con autore e nota; Template.version
+ * è il numero della revisione corrente. Il ripristino di una revisione
+ * precedente crea a sua volta una nuova revisione, così lo storico resta
+ * completo. I documenti generati sono legati alla revisione usata
+ * (Document.templateRevision).
+ */
+
+const crypto = require('crypto');
+const Template = require('../models/Template');
+const TemplateRevision = require('../models/TemplateRevision');
+const Document = require('../models/Document');
+const { diffLines, toHunks, countChanges } = require('../utils/textDiff');
+
+// Campi del template copiati nelle revisioni
+const SNAPSHOT_FIELDS = ['name', 'description', 'category', 'format', 'engine', 'content', 'variables', 'helpText', 'metadata'];
+
+/**
+ * Impronta del contenuto di un template
+ * @param {string} content - Contenuto
+ * @returns {string}
+ */
+const hashContent = (content) => crypto.createHash('sha256').update(String(content || '')).digest('hex');
+
+/**
+ * Copia del template da salvare in una revisione
+ * @param {Object} template - Template (documento o oggetto)
+ * @returns {Object}
+ */
+exports.toSnapshot = (template) => {
+  const source = typeof template.toObject === 'function' ? template.toObject() : template;
+  const snapshot = {};
+
+  SNAPSHOT_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      snapshot[field] = source[field] && typeof source[field] === 'object'
+        ? JSON.parse(JSON.stringify(source[field]))
+        : source[field];
+    }
+  });
+
+  return snapshot;
+};
+
+/**
+ * Differenze tra due revisioni del template
+ * @param {Object} from - Copia del template di partenza
+ * @param {Object} to - Copia del template di arrivo
+ * @param {Object} options - { context } righe di contesto attorno alle modifiche
+ * @returns {Object} - { fields, content: { added, removed, hunks }, hasChanges }
+ */
+exports.diffSnapshots = (from, to, options = {}) => {
+  const fields = {};
+  SNAPSHOT_FIELDS.filter(field => field !== 'content').forEach(field => {
+    if (JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null)) {
+      fields[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  const lines = diffLines(from.content, to.content);
+  const counts = countChanges(lines);
+
+  return {
+    fields,
+    content: {
+      ...counts,
+      hunks: toHunks(lines, options.context === undefined ? 3 : options.context)
+    },
+    hasChanges: Object.keys(fields).length > 0 || counts.added > 0 || counts.removed > 0
+  };
+};
+
+/**
+ * Crea la revisione corrente dei template creati prima delle revisioni
+ * @param {Object} template - Template
+ * @param {Object} user - Utente
+ * @returns {Promise<Object>} - Revisione corrente
+ */
+exports.ensureRevisionHistory = async (template, user = null) => {
+  const current = await TemplateRevision.findRevision(template._id, template.version || 1);
+  if (current) {
+    return current;
+  }
+
+  return TemplateRevision.create({
+    templateId: template._id,
+    revision: template.version || 1,
+    snapshot: this.toSnapshot(template),
+    contentHash: hashContent(template.content),
+    notes: 'Versione iniziale',
+    createdBy: user ? user._id : undefined
+  });
+};
+
+/**
+ * Modifica un template creando una nuova revisione
+ * @param {string} templateId - ID del template
+ * @param {Object} data - Campi da modificare (SNAPSHOT_FIELDS)
+ * @param {Object} user - Autore della modifica
+ * @param {Object} options - { notes, restoredFrom }
+ * @returns {Promise<Object>} - { template, revision, diff } (revision null se non ci sono modifiche)
+ */
+exports.saveRevision = async (templateId, data = {}, user = null, options = {}) => {
+  try {
+    const template = await Template.findById(templateId);
+    if (!template) {
+      throw new Error('Template non trovato');
+    }
+
+    await this.ensureRevisionHistory(template, user);
+    const before = this.toSnapshot(template);
+
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        template[field] = data[field];
+      }
+    });
+
+    const diff = this.diffSnapshots(before, this.toSnapshot(template));
+    if (!diff.hasChanges) {
+      return { template, revision: null, diff };
+    }
+
+    // Numero impostato qui: il pre('save') del modello non lo incrementa di nuovo
+    template.version = (template.version || 1) + 1;
+    template.updatedBy = user ? user._id : undefined;
+    await template.save();
+
+    const revision = await TemplateRevision.create({
+      templateId: template._id,
+      revision: template.version,
+      snapshot: this.toSnapshot(template),
+      contentHash: hashContent(template.content),
+      notes: options.notes,
+      restoredFrom: options.restoredFrom,
+      createdBy: user ? user._id : undefined
+    });
+
+    return { template, revision, diff };
+  } catch (error) {
+    console.error('Errore nel salvataggio della revisione del template:', error);
+    throw new Error(`Impossibile salvare il template: ${error.message}`);
+  }
+};
+
+/**
+ * Ripristina una revisione precedente creando una nuova revisione con lo
+ * stesso contenuto
+ * @param {string} templateId - ID del template
+ * @param {number} revision - Revisione da ripristinare
+ * @param {Object} user - Autore del ripristino
+ * @param {Object} options - { notes }
+ * @returns {Promise<Object>} - { template, revision, diff }
+ */
+exports.rollback = async (templateId, revision, user = null, options = {}) => {
+  const target = await this.getRevision(templateId, revision);
+
+  return this.saveRevision(templateId, target.snapshot, user, {
+    notes: options.notes || `Ripristino della revisione ${target.revision}`,
+    restoredFrom: target.revision
+  });
+};
+
+/**
+ * Elenco delle revisioni di un template (dalla più recente) con il numero
+ * di documenti generati da ciascuna
+ * @param {string} templateId - ID del template
+ * @returns {Promise<Array>}
+ */
+exports.listRevisions = async (templateId) => {
+  try {
+    const template = await Template.findById(templateId);
+    if (!template) {
+      throw new Error('Template non trovato');
+    }
+
+    await this.ensureRevisionHistory(template);
+
+    const [revisions, usage] = await Promise.all([
+      TemplateRevision.find({ templateId })
+        .select('-snapshot')
+        .populate('createdBy', 'firstName lastName')
+        .sort({ revision: -1 }),
+      Document.aggregate([
+        { $match: { template: template._id } },
+        { $group: { _id: '$templateVersion', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = new Map(usage.map(row => [row._id, row.count]));
+
+    return revisions.map(revision => ({
+      _id: revision._id,
+      revision: revision.revision,
+      notes: revision.notes,
+      restoredFrom: revision.restoredFrom,
+      createdBy: revision.createdBy,
+      createdAt: revision.createdAt,
+      current: revision.revision === template.version,
+      documents: counts.get(revision.revision) || 0
+    }));
+  } catch (error) {
+    console.error('Errore nel recupero delle revisioni del template:', error);
+    throw new Error(`Impossibile recuperare le revisioni: ${error.message}`);
+  }
+};
+
+/**
+ * Recupera una revisione di un template
+ * @param {string} templateId - ID del template
+ * @param {number} revision - Numero di revisione
+ * @returns {Promise<Object>}
+ */
+exports.getRevision = async (templateId, revision) => {
+  const found = await TemplateRevision.findRevision(templateId, Number(revision));
+  if (!found) {
+    throw new Error(`Revisione ${revision} del template non trovata`);
+  }
+  return found;
+};
+
+/**
+ * Revisione da usare per generare un documento: quella indicata o la corrente
+ * @param {Object} template - Template
+ * @param {number} revision - Numero di revisione (opzionale)
+ * @returns {Promise<Object>} - Revisione
+ */
+exports.resolveRevision = async (template, revision = null) => {
+  if (revision) {
+    return this.getRevision(template._id, revision);
+  }
+  return this.ensureRevisionHistory(template);
+};
+
+/**
+ * Verifica che il contenuto di una revisione corrisponda alla sua impronta
+ * @param {Object} revision - Revisione
+ * @returns {boolean}
+ */
+exports.verifyRevision = (revision) => hashContent(revision.snapshot.content) === revision.contentHash;
+
+exports.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+exports.hashContent = hashContent;
@@ -1,31 +1,36 @@
 /**
  * Template Service
  * 
- * Gestisce le operazioni sui template, inclusi creazione, aggiornamento e ricerca
+ * Gestisce le operazioni sui template, inclusi creazione, aggiornamento e ricerca.
+ * Le modifiche passano da templateRevisionService, che conserva ogni revisione.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const Template = require('../models/Template');
+const templateRevisionService = require('./templateRevisionService');
+const templateEditorService = require('./templateEditorService');
 
 /**
  * Crea un nuovo template
  * @param {Object} templateData - Dati del template
+ * @param {Object} user - Utente che crea il template
  * @returns {Promise<Object>} - Template creato
  */
-exports.createTemplate = async (templateData) => {
+exports.createTemplate = async (templateData, user = null) => {
   try {
-    // Crea il template nel database
-    const template = new Template(templateData);
-    
-    // Se il contenuto HTML è definito, estrai i campi richiesti
-    if (templateData.content) {
-      template.requiredFields = template.extractRequiredFields();
-    }
+    // Crea il template nel database (le variabili sono estratte dal modello)
+    const template = new Template({
+      ...templateData,
+      createdBy: templateData.createdBy || (user ? user._id : undefined)
+    });
     
     // Salva il template nel database
     await template.save();
     
+    // Prima revisione del template
+    await templateRevisionService.ensureRevisionHistory(template, user);
+    
     // Se necessario, salva anche su file system
     await saveTemplateToFile(template);
     
@@ -37,36 +42,30 @@ exports.createTemplate = async (templateData) => {
 };
 
 /**
- * Aggiorna un template esistente
+ * Aggiorna un template esistente creando una nuova revisione
  * @param {string} templateId - ID del template da aggiornare
  * @param {Object} updateData - Dati da aggiornare
- * @returns {Promise<Object>} - Template aggiornato
+ * @param {Object} user - Autore della modifica
+ * @param {Object} options - { notes } nota della modifica
+ * @returns {Promise<Object>} - { template, revision, diff }
  */
-exports.updateTemplate = async (templateId, updateData) => {
+exports.updateTemplate = async (templateId, updateData, user = null, options = {}) => {
   try {
-    const template = await Template.findById(templateId);
-    
-    if (!template) {
-      throw new Error('Template non trovato');
-    }
-    
-    // Aggiorna i campi del template
-    Object.keys(updateData).forEach(key => {
-      template[key] = updateData[key];
-    });
+    const { isActive, ...revisionData } = updateData;
     
-    // Se il contenuto è stato aggiornato, ricalcola i campi richiesti
-    if (updateData.content) {
-      template.requiredFields = template.extractRequiredFields();
+    // L'attivazione non è una modifica del contenuto: non crea revisioni
+    if (isActive !== undefined) {
+      await Template.updateOne({ _id: templateId }, { $set: { isActive } });
     }
     
-    // Salva le modifiche
-    await template.save();
+    const result = await templateRevisionService.saveRevision(templateId, revisionData, user, options);
     
     // Aggiorna anche il file su disco
-    await saveTemplateToFile(template);
+    if (result.revision) {
+      await saveTemplateToFile(result.template);
+    }
     
-    return template;
+    return result;
   } catch (error) {
     console.error('Errore nell\'aggiornamento del template:', error);
     throw new Error(`Impossibile aggiornare il template: ${error.message}`);
@@ -233,9 +232,10 @@ async function saveTemplateToFile(template) {
 
 /**
  * Sincronizza i template tra database e filesystem
+ * @param {Object} user - Utente che avvia la sincronizzazione
  * @returns {Promise<Object>} - Risultato della sincronizzazione
  */
-exports.syncTemplates = async () => {
+exports.syncTemplates = async (user = null) => {
   try {
     const templatesDir = path.join(__dirname, '../../templates');
     const files = await fs.readdir(templatesDir);
@@ -259,12 +259,16 @@ exports.syncTemplates = async () => {
         const filePath = path.join(templatesDir, htmlFile);
         const content = await fs.readFile(filePath, 'utf8');
         
+        // Dati usati dal file oltre a quelli del cliente: diventano variabili del template
+        const detected = templateEditorService.detectVariables(content);
+        
         if (existingTemplate) {
           // Se il contenuto è diverso, aggiorna
           if (existingTemplate.content !== content) {
-            existingTemplate.content = content;
-            existingTemplate.requiredFields = existingTemplate.extractRequiredFields();
-            await existingTemplate.save();
+            const variables = [...new Set([...(existingTemplate.variables || []), ...detected])];
+            await templateRevisionService.saveRevision(existingTemplate._id, { content, variables }, user, {
+              notes: `Sincronizzato da ${htmlFile}`
+            });
             result.updated++;
           }
         } else {
@@ -277,11 +281,13 @@ exports.syncTemplates = async () => {
             description: `Template importato da ${htmlFile}`,
             type: 'letter', // Valore predefinito
             category: 'other', // Valore predefinito
-            content
+            content,
+            variables: detected,
+            createdBy: user ? user._id : undefined
           });
           
-          newTemplate.requiredFields = newTemplate.extractRequiredFields();
           await newTemplate.save();
+          await templateRevisionService.ensureRevisionHistory(newTemplate, user);
           result.added++;
         }
       } catch (error) {
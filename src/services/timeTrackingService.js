@@ -0,0 +1,798 @@
+/**
+ * Time Tracking Service
+ *
+ * Registra il tempo dedicato ai task delle procedure dei clienti, con
+ * timer avvio/arresto o inserimento manuale. Le registrazioni sono
+ * modificabili dall'autore (o da un amministratore) con storico delle
+ * modifiche, vengono bloccate alla fatturazione e alimentano i totali per
+ * utente e cliente, il riepilogo di fatturazione (utilizzabile per il
+ * preventivo) e l'esportazione per la fatturazione.
+ */
+
+const ExcelJS = require('exceljs');
+const TimeEntry = require('../models/TimeEntry');
+const ClientProcedure = require('../models/ClientProcedure');
+const Client = require('../models/Client');
+const { EXPORT_FORMATS, escapeFormula } = require('./clientExportService');
+
+const MINUTE = 60 * 1000;
+
+// Tariffa oraria per i clienti senza tariffa propria
+const DEFAULT_HOURLY_RATE = parseFloat(process.env.TIME_TRACKING_DEFAULT_HOURLY_RATE) || 0;
+
+// Campi modificabili di una registrazione
+const EDITABLE_FIELDS = ['startedAt', 'endedAt', 'durationMinutes', 'description', 'billable', 'hourlyRate'];
+
+// Colonne dell'esportazione per la fatturazione
+const BILLING_COLUMNS = [
+  'Data',
+  'Cliente',
+  'Procedura',
+  'Task',
+  'Utente',
+  'Descrizione',
+  'Minuti',
+  'Ore',
+  'Tariffa Oraria',
+  'Importo',
+  'Fatturabile',
+  'Fattura'
+];
+
+/**
+ * Arrotonda a due decimali (ore e importi)
+ * @param {number} value - Valore
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Nome completo di un utente popolato
+ * @param {Object} user - Utente
+ * @returns {string|undefined}
+ */
+const getUserName = (user) => (
+  user && user.firstName ? [user.firstName, user.lastName].filter(Boolean).join(' ') : undefined
+);
+
+/**
+ * ID di un riferimento, popolato o meno
+ * @param {Object} ref - Riferimento
+ * @returns {string}
+ */
+const refId = (ref) => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Recupera l'istanza della procedura e il task indicato
+ * @param {string} clientProcedureId - ID dell'istanza
+ * @param {string} taskId - ID del task
+ * @returns {Promise<Object>} - { instance, task }
+ */
+const findTask = async (clientProcedureId, taskId) => {
+  const instance = await ClientProcedure.findById(clientProcedureId);
+  if (!instance) {
+    throw new Error('Procedura del cliente non trovata');
+  }
+
+  const task = instance.tasks.find(t => t.taskId === taskId);
+  if (!task) {
+    throw new Error('Task non trovato');
+  }
+
+  return { instance, task };
+};
+
+/**
+ * Calcola fine e durata di una registrazione: dalla data di fine, se
+ * indicata, altrimenti dalla durata in minuti
+ * @param {Date} startedAt - Inizio
+ * @param {Date|string} endedAt - Fine
+ * @param {number} durationMinutes - Durata in minuti
+ * @returns {Object} - { endedAt, durationMinutes }
+ */
+const resolveTiming = (startedAt, endedAt, durationMinutes) => {
+  if (!startedAt || isNaN(startedAt.getTime())) {
+    throw new Error('La data di inizio non è valida');
+  }
+
+  if (endedAt) {
+    const end = new Date(endedAt);
+    if (isNaN(end.getTime())) {
+      throw new Error('La data di fine non è valida');
+    }
+    if (end < startedAt) {
+      throw new Error('La data di fine non può precedere la data di inizio');
+    }
+    return { endedAt: end, durationMinutes: Math.round((end - startedAt) / MINUTE) };
+  }
+
+  const minutes = Number(durationMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('Indicare la data di fine o la durata in minuti');
+  }
+
+  return {
+    endedAt: new Date(startedAt.getTime() + Math.round(minutes) * MINUTE),
+    durationMinutes: Math.round(minutes)
+  };
+};
+
+/**
+ * Confronta due valori di una registrazione (date comprese)
+ * @param {*} a - Primo valore
+ * @param {*} b - Secondo valore
+ * @returns {boolean}
+ */
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return a === b || ((a === undefined || a === null) && (b === undefined || b === null));
+};
+
+/**
+ * Arresta un timer in corso
+ * @param {Object} entry - Registrazione con timer attivo
+ * @param {Date} now - Data di arresto
+ * @param {string} userId - Utente che arresta il timer
+ * @returns {Promise<Object>} - Registrazione aggiornata
+ */
+const closeTimer = async (entry, now, userId) => {
+  entry.endedAt = now;
+  entry.durationMinutes = Math.round((now - entry.startedAt) / MINUTE);
+  entry.running = false;
+  entry.history.push({
+    at: now,
+    user: userId,
+    action: 'stopped',
+    changes: { durationMinutes: { from: 0, to: entry.durationMinutes } }
+  });
+  return entry.save();
+};
+
+/**
+ * Tariffa oraria applicata a una registrazione
+ * @param {Object} entry - Registrazione
+ * @param {Object} client - Cliente
+ * @returns {number}
+ */
+exports.getHourlyRate = (entry, client) => {
+  if (typeof entry.hourlyRate === 'number') {
+    return entry.hourlyRate;
+  }
+  if (client && client.billing && typeof client.billing.hourlyRate === 'number') {
+    return client.billing.hourlyRate;
+  }
+  return DEFAULT_HOURLY_RATE;
+};
+
+/**
+ * Costruisce la query delle registrazioni (escluse quelle eliminate)
+ * @param {Object} filters - { clientId, clientProcedureId, taskId, userId, from, to, billable, invoiced }
+ * @returns {Object} - Query Mongoose
+ */
+exports.buildEntryQuery = (filters = {}) => {
+  const query = { deletedAt: null };
+
+  if (filters.clientId) query.clientId = filters.clientId;
+  if (filters.clientProcedureId) query.clientProcedureId = filters.clientProcedureId;
+  if (filters.taskId) query.taskId = filters.taskId;
+  if (filters.userId) query.user = filters.userId;
+
+  if (filters.from || filters.to) {
+    query.startedAt = {};
+    if (filters.from) query.startedAt.$gte = new Date(filters.from);
+    if (filters.to) query.startedAt.$lte = new Date(filters.to);
+  }
+
+  if (filters.billable !== undefined) {
+    query.billable = filters.billable === true || filters.billable === 'true';
+  }
+
+  if (filters.invoiced !== undefined) {
+    const invoiced = filters.invoiced === true || filters.invoiced === 'true';
+    query['invoice.lockedAt'] = invoiced ? { $ne: null } : null;
+  }
+
+  return query;
+};
+
+/**
+ * Timer in corso di un utente
+ * @param {string} userId - ID utente
+ * @returns {Promise<Object|null>}
+ */
+exports.getRunningTimer = async (userId) => {
+  return TimeEntry.findOne({ user: userId, running: true });
+};
+
+/**
+ * Avvia un timer su un task; l'eventuale timer in corso dell'utente
+ * viene arrestato
+ * @param {string} clientProcedureId - ID dell'istanza
+ * @param {string} taskId - ID del task
+ * @param {string} userId - ID utente
+ * @param {Object} options - { description, now }
+ * @returns {Promise<Object>} - { entry, stopped }
+ */
+exports.startTimer = async (clientProcedureId, taskId, userId, options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const { instance, task } = await findTask(clientProcedureId, taskId);
+
+    const running = await this.getRunningTimer(userId);
+    const stopped = running ? await closeTimer(running, now, userId) : null;
+
+    const entry = new TimeEntry({
+      clientProcedureId: instance._id,
+      clientId: instance.clientId,
+      taskId: task.taskId,
+      taskName: task.name,
+      user: userId,
+      startedAt: now,
+      running: true,
+      source: 'timer',
+      description: options.description,
+      history: [{ at: now, user: userId, action: 'created' }]
+    });
+
+    try {
+      await entry.save();
+    } catch (error) {
+      // Timer avviato in parallelo da un'altra richiesta
+      if (error.code === 11000) {
+        throw new Error('È già attivo un timer per questo utente');
+      }
+      throw error;
+    }
+
+    return { entry, stopped };
+  } catch (error) {
+    console.error('Errore nell\'avvio del timer:', error);
+    throw new Error(`Impossibile avviare il timer: ${error.message}`);
+  }
+};
+
+/**
+ * Arresta il timer in corso di un utente
+ * @param {string} userId - ID utente
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - Registrazione arrestata
+ */
+exports.stopTimer = async (userId, options = {}) => {
+  try {
+    const running = await this.getRunningTimer(userId);
+    if (!running) {
+      throw new Error('Nessun timer attivo');
+    }
+
+    return await closeTimer(running, options.now || new Date(), userId);
+  } catch (error) {
+    console.error('Errore nell\'arresto del timer:', error);
+    throw new Error(`Impossibile arrestare il timer: ${error.message}`);
+  }
+};
+
+/**
+ * Inserisce manualmente una registrazione
+ * @param {string} clientProcedureId - ID dell'istanza
+ * @param {string} taskId - ID del task
+ * @param {string} userId - ID utente
+ * @param {Object} data - { startedAt, endedAt, durationMinutes, description, billable, hourlyRate }
+ * @returns {Promise<Object>} - Registrazione creata
+ */
+exports.addManualEntry = async (clientProcedureId, taskId, userId, data = {}) => {
+  try {
+    const { instance, task } = await findTask(clientProcedureId, taskId);
+    const startedAt = data.startedAt ? new Date(data.startedAt) : null;
+    const timing = resolveTiming(startedAt, data.endedAt, data.durationMinutes);
+
+    const entry = new TimeEntry({
+      clientProcedureId: instance._id,
+      clientId: instance.clientId,
+      taskId: task.taskId,
+      taskName: task.name,
+      user: userId,
+      startedAt,
+      ...timing,
+      source: 'manual',
+      description: data.description,
+      billable: data.billable !== undefined ? data.billable : true,
+      hourlyRate: data.hourlyRate,
+      history: [{ user: userId, action: 'created' }]
+    });
+
+    return await entry.save();
+  } catch (error) {
+    console.error('Errore nell\'inserimento della registrazione:', error);
+    throw new Error(`Impossibile registrare il tempo: ${error.message}`);
+  }
+};
+
+/**
+ * Modifica una registrazione, tracciando i campi modificati nello storico.
+ * Le registrazioni fatturate non sono modificabili.
+ * @param {string} entryId - ID della registrazione
+ * @param {Object} updates - Campi da modificare (EDITABLE_FIELDS)
+ * @param {string} userId - Utente che modifica
+ * @param {Object} options - { isAdmin, reason, now }
+ * @returns {Promise<Object>} - Registrazione aggiornata
+ */
+exports.updateEntry = async (entryId, updates = {}, userId, options = {}) => {
+  try {
+    const entry = await TimeEntry.findById(entryId);
+    if (!entry || entry.deletedAt) {
+      throw new Error('Registrazione non trovata');
+    }
+    if (entry.isLocked()) {
+      throw new Error('La registrazione è già stata fatturata e non può essere modificata');
+    }
+    if (!options.isAdmin && String(entry.user) !== String(userId)) {
+      throw new Error('Solo l\'autore o un amministratore possono modificare la registrazione');
+    }
+
+    const timingChanged = ['startedAt', 'endedAt', 'durationMinutes'].some(field => updates[field] !== undefined);
+    if (timingChanged && entry.running) {
+      throw new Error('Arrestare il timer prima di modificare gli orari');
+    }
+
+    const before = {};
+    EDITABLE_FIELDS.forEach(field => { before[field] = entry[field]; });
+
+    ['description', 'billable', 'hourlyRate'].forEach(field => {
+      if (updates[field] !== undefined) {
+        entry[field] = updates[field];
+      }
+    });
+
+    if (timingChanged) {
+      const startedAt = updates.startedAt ? new Date(updates.startedAt) : entry.startedAt;
+      // Se viene indicata solo la durata, la fine viene ricalcolata
+      const endedAt = updates.endedAt !== undefined
+        ? updates.endedAt
+        : (updates.durationMinutes !== undefined ? null : entry.endedAt);
+      const timing = resolveTiming(startedAt, endedAt, updates.durationMinutes);
+
+      entry.startedAt = startedAt;
+      entry.endedAt = timing.endedAt;
+      entry.durationMinutes = timing.durationMinutes;
+    }
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (!sameValue(before[field], entry[field])) {
+        changes[field] = { from: before[field], to: entry[field] };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return entry;
+    }
+
+    entry.history.push({
+      at: options.now || new Date(),
+      user: userId,
+      action: 'updated',
+      changes,
+      note: options.reason
+    });
+
+    return await entry.save();
+  } catch (error) {
+    console.error('Errore nella modifica della registrazione:', error);
+    throw new Error(`Impossibile modificare la registrazione: ${error.message}`);
+  }
+};
+
+/**
+ * Elimina una registrazione (eliminazione logica, resta nello storico)
+ * @param {string} entryId - ID della registrazione
+ * @param {string} userId - Utente che elimina
+ * @param {Object} options - { isAdmin, reason, now }
+ * @returns {Promise<Object>} - Registrazione eliminata
+ */
+exports.deleteEntry = async (entryId, userId, options = {}) => {
+  try {
+    const entry = await TimeEntry.findById(entryId);
+    if (!entry || entry.deletedAt) {
+      throw new Error('Registrazione non trovata');
+    }
+    if (entry.isLocked()) {
+      throw new Error('La registrazione è già stata fatturata e non può essere eliminata');
+    }
+    if (!options.isAdmin && String(entry.user) !== String(userId)) {
+      throw new Error('Solo l\'autore o un amministratore possono eliminare la registrazione');
+    }
+
+    const now = options.now || new Date();
+    entry.deletedAt = now;
+    entry.deletedBy = userId;
+    entry.running = false;
+    entry.history.push({ at: now, user: userId, action: 'deleted', note: options.reason });
+
+    return await entry.save();
+  } catch (error) {
+    console.error('Errore nell\'eliminazione della registrazione:', error);
+    throw new Error(`Impossibile eliminare la registrazione: ${error.message}`);
+  }
+};
+
+/**
+ * Elenco delle registrazioni
+ * @param {Object} filters - Filtri (vedi buildEntryQuery)
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>}
+ */
+exports.getEntries = async (filters = {}, options = {}) => {
+  try {
+    return await TimeEntry.find(this.buildEntryQuery(filters))
+      .populate('user', 'firstName lastName')
+      .populate('clientId', 'name')
+      .sort({ startedAt: -1 })
+      .limit(options.limit || 200);
+  } catch (error) {
+    console.error('Errore nel recupero delle registrazioni:', error);
+    throw new Error(`Impossibile recuperare le registrazioni: ${error.message}`);
+  }
+};
+
+/**
+ * Totali delle registrazioni per utente, cliente e task
+ * @param {Object} filters - Filtri (vedi buildEntryQuery)
+ * @returns {Promise<Object>} - { totalHours, billableHours, entries, byUser, byClient, byTask }
+ */
+exports.getTotals = async (filters = {}) => {
+  try {
+    const entries = await TimeEntry.find(this.buildEntryQuery(filters))
+      .populate('user', 'firstName lastName')
+      .populate('clientId', 'name');
+
+    const byUser = new Map();
+    const byClient = new Map();
+    const byTask = new Map();
+    let totalMinutes = 0;
+    let billableMinutes = 0;
+
+    const add = (map, key, init, entry) => {
+      if (!map.has(key)) {
+        map.set(key, { ...init, minutes: 0, billableMinutes: 0, entries: 0 });
+      }
+      const row = map.get(key);
+      row.minutes += entry.durationMinutes || 0;
+      if (entry.billable) row.billableMinutes += entry.durationMinutes || 0;
+      row.entries++;
+    };
+
+    entries.forEach(entry => {
+      totalMinutes += entry.durationMinutes || 0;
+      if (entry.billable) billableMinutes += entry.durationMinutes || 0;
+
+      add(byUser, refId(entry.user), {
+        user: { _id: refId(entry.user), name: getUserName(entry.user) }
+      }, entry);
+      add(byClient, refId(entry.clientId), {
+        client: { _id: refId(entry.clientId), name: entry.clientId && entry.clientId.name }
+      }, entry);
+      add(byTask, `${refId(entry.clientProcedureId)}:${entry.taskId}`, {
+        clientProcedureId: refId(entry.clientProcedureId),
+        taskId: entry.taskId,
+        taskName: entry.taskName
+      }, entry);
+    });
+
+    const toRows = (map) => Array.from(map.values())
+      .map(({ billableMinutes: billable, ...row }) => ({
+        ...row,
+        hours: round2(row.minutes / 60),
+        billableHours: round2(billable / 60)
+      }))
+      .sort((a, b) => b.minutes - a.minutes);
+
+    return {
+      entries: entries.length,
+      totalMinutes,
+      totalHours: round2(totalMinutes / 60),
+      billableHours: round2(billableMinutes / 60),
+      byUser: toRows(byUser),
+      byClient: toRows(byClient),
+      byTask: toRows(byTask)
+    };
+  } catch (error) {
+    console.error('Errore nel calcolo dei totali delle ore:', error);
+    throw new Error(`Impossibile calcolare i totali delle ore: ${error.message}`);
+  }
+};
+
+/**
+ * Riepilogo di fatturazione del tempo registrato per un cliente: una riga
+ * per procedura, task e tariffa con ore e importo. Sono escluse le
+ * registrazioni non fatturabili, i timer in corso e, salvo richiesta,
+ * quelle già fatturate.
+ * @param {string} clientId - ID del cliente
+ * @param {Object} options - { from, to, includeInvoiced }
+ * @returns {Promise<Object>} - { client, from, to, lines, totalHours, totalAmount, entryIds }
+ */
+exports.getBillingRollup = async (clientId, options = {}) => {
+  try {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new Error('Cliente non trovato');
+    }
+
+    const query = this.buildEntryQuery({
+      clientId,
+      from: options.from,
+      to: options.to,
+      billable: true,
+      invoiced: options.includeInvoiced ? undefined : false
+    });
+    query.running = false;
+
+    const entries = await TimeEntry.find(query)
+      .populate({
+        path: 'clientProcedureId',
+        select: 'procedureId period',
+        populate: { path: 'procedureId', select: 'name' }
+      })
+      .sort({ startedAt: 1 });
+
+    const lines = new Map();
+    entries.forEach(entry => {
+      const instance = entry.clientProcedureId;
+      const rate = this.getHourlyRate(entry, client);
+      const key = `${refId(instance)}:${entry.taskId}:${rate}`;
+
+      if (!lines.has(key)) {
+        lines.set(key, {
+          clientProcedureId: refId(instance),
+          procedureName: instance && instance.procedureId ? instance.procedureId.name : undefined,
+          period: instance && instance.period ? instance.period.label : undefined,
+          taskId: entry.taskId,
+          taskName: entry.taskName,
+          hourlyRate: rate,
+          minutes: 0,
+          entryIds: []
+        });
+      }
+
+      const line = lines.get(key);
+      line.minutes += entry.durationMinutes || 0;
+      line.entryIds.push(entry._id);
+    });
+
+    const rows = Array.from(lines.values()).map(line => ({
+      ...line,
+      hours: round2(line.minutes / 60),
+      amount: round2((line.minutes / 60) * line.hourlyRate)
+    }));
+
+    return {
+      client: { _id: client._id, name: client.name, hourly: Boolean(client.billing && client.billing.hourly) },
+      from: options.from,
+      to: options.to,
+      lines: rows,
+      totalHours: round2(rows.reduce((total, line) => total + line.minutes, 0) / 60),
+      totalAmount: round2(rows.reduce((total, line) => total + line.amount, 0)),
+      entryIds: rows.reduce((ids, line) => ids.concat(line.entryIds), [])
+    };
+  } catch (error) {
+    console.error('Errore nel riepilogo di fatturazione:', error);
+    throw new Error(`Impossibile calcolare il riepilogo di fatturazione: ${error.message}`);
+  }
+};
+
+/**
+ * Converte il riepilogo di fatturazione nei servizi del preventivo
+ * (documentGenerator.generateCostEstimate)
+ * @param {Object} rollup - Riepilogo (getBillingRollup)
+ * @returns {Array<Object>} - Servizi { description, frequency, amount }
+ */
+exports.toCostEstimateServices = (rollup) => {
+  return rollup.lines.map(line => {
+    const name = [line.procedureName, line.taskName].filter(Boolean).join(' - ');
+    const period = line.period ? ` (${line.period})` : '';
+    const hours = line.hours.toLocaleString('it-IT');
+    const rate = line.hourlyRate.toLocaleString('it-IT', { minimumFractionDigits: 2 });
+
+    return {
+      description: `${name}${period}: ${hours} ore x € ${rate}`,
+      frequency: 'Una tantum',
+      amount: line.amount
+    };
+  });
+};
+
+/**
+ * Blocca le registrazioni fatturate, che non saranno più modificabili
+ * @param {Object} filters - { clientId, entryIds, from, to }
+ * @param {string} invoiceNumber - Numero della fattura
+ * @param {string} userId - Utente che registra la fatturazione
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { invoiceNumber, locked }
+ */
+exports.lockEntries = async (filters = {}, invoiceNumber, userId, options = {}) => {
+  if (!invoiceNumber) {
+    throw new Error('Il numero della fattura è obbligatorio');
+  }
+  if (!filters.clientId && !(filters.entryIds && filters.entryIds.length > 0)) {
+    throw new Error('Indicare il cliente o le registrazioni da bloccare');
+  }
+
+  try {
+    const now = options.now || new Date();
+    const query = this.buildEntryQuery({
+      clientId: filters.clientId,
+      from: filters.from,
+      to: filters.to,
+      invoiced: false
+    });
+    query.running = false;
+    if (filters.entryIds && filters.entryIds.length > 0) {
+      query._id = { $in: filters.entryIds };
+    }
+
+    const result = await TimeEntry.updateMany(query, {
+      $set: {
+        invoice: { invoiceNumber, lockedAt: now, lockedBy: userId }
+      },
+      $push: {
+        history: { at: now, user: userId, action: 'locked', note: `Fattura ${invoiceNumber}` }
+      }
+    });
+
+    return { invoiceNumber, locked: result.modifiedCount };
+  } catch (error) {
+    console.error('Errore nel blocco delle registrazioni fatturate:', error);
+    throw new Error(`Impossibile bloccare le registrazioni: ${error.message}`);
+  }
+};
+
+/**
+ * Sblocca le registrazioni di una fattura (es. fattura annullata)
+ * @param {string} invoiceNumber - Numero della fattura
+ * @param {string} userId - Utente che sblocca
+ * @param {Object} options - { reason, now }
+ * @returns {Promise<Object>} - { invoiceNumber, unlocked }
+ */
+exports.unlockEntries = async (invoiceNumber, userId, options = {}) => {
+  if (!invoiceNumber) {
+    throw new Error('Il numero della fattura è obbligatorio');
+  }
+
+  try {
+    const now = options.now || new Date();
+    const result = await TimeEntry.updateMany(
+      { 'invoice.invoiceNumber': invoiceNumber, deletedAt: null },
+      {
+        $unset: { invoice: '' },
+        $push: {
+          history: {
+            at: now,
+            user: userId,
+            action: 'unlocked',
+            changes: { invoiceNumber: { from: invoiceNumber, to: null } },
+            note: options.reason
+          }
+        }
+      }
+    );
+
+    return { invoiceNumber, unlocked: result.modifiedCount };
+  } catch (error) {
+    console.error('Errore nello sblocco delle registrazioni:', error);
+    throw new Error(`Impossibile sbloccare le registrazioni: ${error.message}`);
+  }
+};
+
+/**
+ * Appiattisce una registrazione nelle colonne dell'esportazione
+ * @param {Object} entry - Registrazione con cliente, utente e procedura popolati
+ * @returns {Object} - Oggetto colonna -> valore
+ */
+exports.flattenEntry = (entry) => {
+  const client = entry.clientId && entry.clientId.name ? entry.clientId : null;
+  const instance = entry.clientProcedureId;
+  const rate = this.getHourlyRate(entry, client);
+  const hours = round2((entry.durationMinutes || 0) / 60);
+
+  return {
+    'Data': entry.startedAt ? new Date(entry.startedAt).toISOString().substring(0, 10) : '',
+    'Cliente': client ? client.name : '',
+    'Procedura': instance && instance.procedureId && instance.procedureId.name ? instance.procedureId.name : '',
+    'Task': entry.taskName || entry.taskId,
+    'Utente': getUserName(entry.user) || '',
+    'Descrizione': entry.description || '',
+    'Minuti': entry.durationMinutes || 0,
+    'Ore': hours,
+    'Tariffa Oraria': rate,
+    'Importo': entry.billable ? round2(hours * rate) : 0,
+    'Fatturabile': entry.billable ? 'Sì' : 'No',
+    'Fattura': entry.invoice && entry.invoice.invoiceNumber ? entry.invoice.invoiceNumber : ''
+  };
+};
+
+/**
+ * Serializza una riga CSV con separatore punto e virgola
+ * @param {Array} values - Valori della riga
+ * @returns {string} - Riga CSV terminata da a capo
+ */
+const toCsvLine = (values) => {
+  return values.map(value => {
+    const text = String(escapeFormula(value));
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(';') + '\r\n';
+};
+
+/**
+ * Scrive su uno stream, attendendo lo svuotamento del buffer se necessario
+ * @param {Object} output - Stream di destinazione
+ * @param {string} chunk - Dati da scrivere
+ */
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await new Promise(resolve => output.once('drain', resolve));
+  }
+};
+
+/**
+ * Esporta le registrazioni per la fatturazione nel formato richiesto
+ * @param {AsyncIterable<Object>} entries - Cursore o elenco di registrazioni
+ * @param {Object} output - Stream scrivibile (es. la risposta HTTP)
+ * @param {Object} options - { format: 'csv'|'xlsx'|'json' }
+ * @returns {Promise<number>} - Numero di registrazioni esportate
+ */
+exports.exportBilling = async (entries, output, options = {}) => {
+  const format = options.format || 'csv';
+  let count = 0;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Formato di esportazione non supportato: ${format}`);
+  }
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+      const worksheet = workbook.addWorksheet('Ore');
+      worksheet.columns = BILLING_COLUMNS.map(label => ({ header: label, key: label, width: 18 }));
+      worksheet.getRow(1).font = { bold: true };
+
+      for await (const entry of entries) {
+        const row = this.flattenEntry(entry);
+        BILLING_COLUMNS.forEach(label => { row[label] = escapeFormula(row[label]); });
+        worksheet.addRow(row).commit();
+        count++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+      return count;
+    }
+
+    if (format === 'json') {
+      await write(output, '[');
+      for await (const entry of entries) {
+        await write(output, (count > 0 ? ',\n' : '\n') + JSON.stringify(this.flattenEntry(entry)));
+        count++;
+      }
+      await write(output, '\n]\n');
+      return count;
+    }
+
+    // CSV con BOM per la corretta lettura delle lettere accentate in Excel
+    await write(output, '\uFEFF' + toCsvLine(BILLING_COLUMNS));
+    for await (const entry of entries) {
+      const row = this.flattenEntry(entry);
+      await write(output, toCsvLine(BILLING_COLUMNS.map(label => row[label])));
+      count++;
+    }
+    return count;
+  } catch (error) {
+    console.error('Errore nell\'esportazione delle ore:', error);
+    throw new Error(`Impossibile esportare le ore: ${error.message}`);
+  }
+};
+
+exports.DEFAULT_HOURLY_RATE = DEFAULT_HOURLY_RATE;
+exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
+exports.BILLING_COLUMNS = BILLING_COLUMNS;
+exports.EXPORT_FORMATS = EXPORT_FORMATS;
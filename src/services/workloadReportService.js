@@ -0,0 +1,212 @@
+/**
+ * Workload Report Service
+ *
+ * Calcola il carico di lavoro del team sulle procedure dei clienti:
+ * per ogni utente i task aperti, in ritardo e in scadenza, le ore stimate
+ * e una mappa settimanale del carico rispetto alla capacità, così da
+ * ribilanciare le assegnazioni prima delle settimane di scadenza.
+ */
+
+const ClientProcedure = require('../models/ClientProcedure');
+const User = require('../models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Ore stimate per i task senza stima
+const DEFAULT_TASK_HOURS = parseFloat(process.env.DEFAULT_TASK_HOURS) || 2;
+
+// Ore settimanali che ogni utente dedica alle procedure dei clienti
+const WEEKLY_CAPACITY_HOURS = parseFloat(process.env.TEAM_WEEKLY_CAPACITY_HOURS) || 30;
+
+// Soglie di utilizzo della capacità per la mappa settimanale
+const LOAD_LEVELS = [
+  { level: 'low', max: 0.5 },
+  { level: 'medium', max: 0.8 },
+  { level: 'high', max: 1 },
+  { level: 'overloaded', max: Infinity }
+];
+
+/**
+ * Lunedì della settimana di una data, alla mezzanotte locale
+ * @param {Date} date - Data
+ * @returns {Date}
+ */
+const startOfWeek = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+};
+
+/**
+ * Arrotonda le ore a un decimale
+ * @param {number} hours - Ore
+ * @returns {number}
+ */
+const roundHours = (hours) => Math.round(hours * 10) / 10;
+
+/**
+ * Livello di carico in base all'utilizzo della capacità
+ * @param {number} utilization - Ore pianificate / capacità
+ * @returns {string} - low, medium, high, overloaded
+ */
+exports.getLoadLevel = (utilization) => LOAD_LEVELS.find(({ max }) => utilization <= max).level;
+
+/**
+ * Ore stimate di un task
+ * @param {Object} task - Task
+ * @returns {number}
+ */
+exports.getTaskHours = (task) => (
+  typeof task.estimatedHours === 'number' ? task.estimatedHours : DEFAULT_TASK_HOURS
+);
+
+/**
+ * Costruisce la riga del report per un utente (o per i task non assegnati)
+ * @param {Array<Date>} weekStarts - Inizio delle settimane della mappa
+ * @param {number} capacity - Capacità settimanale in ore
+ * @returns {Object}
+ */
+const emptyRow = (weekStarts, capacity) => ({
+  openTasks: 0,
+  overdueTasks: 0,
+  upcomingTasks: 0,
+  estimatedHours: 0,
+  overdueHours: 0,
+  weekly: weekStarts.map(weekStart => ({ weekStart, tasks: 0, hours: 0, utilization: 0, level: 'low', capacity })),
+  tasks: []
+});
+
+/**
+ * Calcola il carico di lavoro del team
+ * @param {Object} options - { from, weeks, upcomingDays, capacity, userId, now }
+ * @returns {Promise<Object>} - { generatedAt, capacityHours, weeks, users, unassigned }
+ */
+exports.getTeamWorkload = async (options = {}) => {
+  try {
+    const now = options.now || new Date();
+    const weeksCount = Math.min(Math.max(parseInt(options.weeks, 10) || 6, 1), 26);
+    const upcomingDays = options.upcomingDays || 7;
+    const capacity = options.capacity || WEEKLY_CAPACITY_HOURS;
+
+    const firstWeek = startOfWeek(options.from || now);
+    const weekStarts = Array.from({ length: weeksCount }, (_, index) =>
+      new Date(firstWeek.getFullYear(), firstWeek.getMonth(), firstWeek.getDate() + index * 7)
+    );
+    const horizon = new Date(firstWeek.getFullYear(), firstWeek.getMonth(), firstWeek.getDate() + weeksCount * 7);
+    const upcomingLimit = new Date(now.getTime() + upcomingDays * DAY);
+
+    const userQuery = { role: { $in: ['admin', 'operator'] }, status: 'active' };
+    if (options.userId) {
+      userQuery._id = options.userId;
+    }
+
+    const [users, instances] = await Promise.all([
+      User.find(userQuery).select('firstName lastName email role'),
+      ClientProcedure.find({
+        status: { $in: ['active', 'on_hold'] },
+        'tasks.status': { $ne: 'completed' }
+      })
+        .populate('clientId', 'name')
+        .populate('procedureId', 'name')
+    ]);
+
+    const rows = new Map(users.map(user => [String(user._id), { user, ...emptyRow(weekStarts, capacity) }]));
+    const unassigned = emptyRow(weekStarts, capacity);
+
+    instances.forEach(instance => {
+      instance.tasks.forEach(task => {
+        if (task.status === 'completed') return;
+
+        let row = unassigned;
+        if (task.assignedTo) {
+          row = rows.get(String(task.assignedTo));
+          // Task di utenti esclusi dal report (non attivi o filtrati)
+          if (!row) return;
+        }
+
+        const hours = this.getTaskHours(task);
+        const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+        const overdue = Boolean(dueDate && dueDate < now);
+
+        row.openTasks++;
+        row.estimatedHours += hours;
+        if (overdue) {
+          row.overdueTasks++;
+          row.overdueHours += hours;
+        } else if (dueDate && dueDate <= upcomingLimit) {
+          row.upcomingTasks++;
+        }
+
+        // I task in ritardo pesano sulla prima settimana
+        const weekIndex = overdue
+          ? 0
+          : (dueDate && dueDate >= firstWeek && dueDate < horizon
+            ? Math.floor((startOfWeek(dueDate) - firstWeek) / (7 * DAY))
+            : -1);
+        if (weekIndex >= 0 && weekIndex < weeksCount) {
+          row.weekly[weekIndex].tasks++;
+          row.weekly[weekIndex].hours += hours;
+        }
+
+        row.tasks.push({
+          clientProcedureId: instance._id,
+          clientName: instance.clientId && instance.clientId.name ? instance.clientId.name : undefined,
+          procedureName: instance.procedureId && instance.procedureId.name ? instance.procedureId.name : undefined,
+          taskId: task.taskId,
+          taskName: task.name,
+          status: task.status,
+          dueDate: task.dueDate,
+          estimatedHours: hours,
+          overdue
+        });
+      });
+    });
+
+    const finalizeRow = (row) => {
+      row.estimatedHours = roundHours(row.estimatedHours);
+      row.overdueHours = roundHours(row.overdueHours);
+      row.weekly.forEach(week => {
+        week.hours = roundHours(week.hours);
+        week.utilization = Math.round((week.hours / capacity) * 100) / 100;
+        week.level = this.getLoadLevel(week.utilization);
+      });
+      row.peakUtilization = Math.max(...row.weekly.map(week => week.utilization));
+      row.overloadedWeeks = row.weekly.filter(week => week.level === 'overloaded').length;
+      row.tasks.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+      return row;
+    };
+
+    const userRows = Array.from(rows.values())
+      .map(row => {
+        const { user, ...stats } = finalizeRow(row);
+        return {
+          user: {
+            _id: user._id,
+            name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+            email: user.email,
+            role: user.role
+          },
+          ...stats
+        };
+      })
+      // Prima gli utenti più carichi
+      .sort((a, b) => b.peakUtilization - a.peakUtilization || b.overdueTasks - a.overdueTasks);
+
+    return {
+      generatedAt: now,
+      capacityHours: capacity,
+      weeks: weekStarts.map(weekStart => ({
+        start: weekStart,
+        end: new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6),
+        label: weekStart.toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit' })
+      })),
+      users: userRows,
+      unassigned: finalizeRow(unassigned)
+    };
+  } catch (error) {
+    console.error('Errore nel calcolo del carico di lavoro:', error);
+    throw new Error(`Impossibile calcolare il carico di lavoro: ${error.message}`);
+  }
+};
+
+exports.DEFAULT_TASK_HOURS = DEFAULT_TASK_HOURS;
+exports.WEEKLY_CAPACITY_HOURS = WEEKLY_CAPACITY_HOURS;
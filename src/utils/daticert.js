@@ -0,0 +1,129 @@
+/**
+ * Lettura del file daticert.xml allegato alle ricevute PEC
+ * (regole tecniche del DM 2 novembre 2005)
+ */
+
+// Tipi di ricevuta e avviso (attributo tipo di <postacert>)
+const RECEIPT_TYPES = [
+  'accettazione',
+  'non-accettazione',
+  'presa-in-carico',
+  'avvenuta-consegna',
+  'posta-certificata',
+  'errore-consegna',
+  'preavviso-errore-consegna',
+  'rilevazione-virus'
+];
+
+/**
+ * Decodifica le entità XML
+ * @param {string} text - Testo
+ * @returns {string}
+ */
+const decodeEntities = (text) => String(text)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+/**
+ * Elementi con un certo nome
+ * @param {string} xml - Documento
+ * @param {string} name - Nome dell'elemento
+ * @returns {Array} - [{ attributes, content }]
+ */
+const findElements = (xml, name) => {
+  const pattern = new RegExp(`<${name}(\\s[^>]*?)?(?:/>|>([\\s\\S]*?)</${name}>)`, 'g');
+  const elements = [];
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const attributes = {};
+    const attributePattern = /([\w-]+)\s*=\s*"([^"]*)"/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(match[1] || '')) !== null) {
+      attributes[attribute[1]] = decodeEntities(attribute[2]);
+    }
+
+    elements.push({ attributes, content: match[2] === undefined ? '' : match[2] });
+  }
+
+  return elements;
+};
+
+/**
+ * Testo del primo elemento con un certo nome
+ * @param {string} xml - Documento
+ * @param {string} name - Nome dell'elemento
+ * @returns {string|undefined}
+ */
+const findText = (xml, name) => {
+  const element = findElements(xml, name)[0];
+  return element ? decodeEntities(element.content.trim()) : undefined;
+};
+
+/**
+ * Data della ricevuta: <data zona="+0200"><giorno>gg/mm/aaaa</giorno><ora>hh:mm:ss</ora></data>
+ * @param {string} xml - Sezione <dati>
+ * @returns {Date|undefined}
+ */
+const parseDate = (xml) => {
+  const element = findElements(xml, 'data')[0];
+  if (!element) return undefined;
+
+  const day = /(\d{2})\/(\d{2})\/(\d{4})/.exec(findText(element.content, 'giorno') || '');
+  const time = /(\d{2}):(\d{2}):(\d{2})/.exec(findText(element.content, 'ora') || '') || [null, '00', '00', '00'];
+  if (!day) return undefined;
+
+  const zone = /^([+-])(\d{2}):?(\d{2})$/.exec(element.attributes.zona || '');
+  const offset = zone ? `${zone[1]}${zone[2]}:${zone[3]}` : 'Z';
+  const date = new Date(`${day[3]}-${day[2]}-${day[1]}T${time[1]}:${time[2]}:${time[3]}${offset}`);
+
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Legge il contenuto di un daticert.xml
+ * @param {string|Buffer} xml - Contenuto del file
+ * @returns {Object} - { type, error, sender, recipients, subject, provider, date,
+ *   identifier, messageId, receiptType, deliveredTo, extendedError }
+ */
+const parseDaticert = (xml) => {
+  const content = String(xml || '');
+  const root = findElements(content, 'postacert')[0];
+
+  if (!root || !RECEIPT_TYPES.includes(root.attributes.tipo)) {
+    throw new Error('daticert.xml non valido: tipo di ricevuta mancante o sconosciuto');
+  }
+
+  const [header = { content: '' }] = findElements(content, 'intestazione');
+  const [data = { content: '' }] = findElements(content, 'dati');
+  const receipt = findElements(data.content, 'ricevuta')[0];
+
+  return {
+    type: root.attributes.tipo,
+    error: root.attributes.errore || 'nessuno',
+    sender: findText(header.content, 'mittente'),
+    recipients: findElements(header.content, 'destinatari').map(element => ({
+      address: decodeEntities(element.content.trim()),
+      type: element.attributes.tipo
+    })),
+    subject: findText(header.content, 'oggetto'),
+    provider: findText(data.content, 'gestore-emittente'),
+    date: parseDate(data.content),
+    identifier: findText(data.content, 'identificativo'),
+    messageId: findText(data.content, 'msgid'),
+    receiptType: receipt ? receipt.attributes.tipo : undefined,
+    deliveredTo: findText(data.content, 'consegna'),
+    extendedError: findText(data.content, 'errore-esteso')
+  };
+};
+
+module.exports = {
+  RECEIPT_TYPES,
+  decodeEntities,
+  parseDaticert
+};
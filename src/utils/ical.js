@@ -0,0 +1,174 @@
+/**
+ * Generazione di calendari iCalendar (RFC 5545)
+ *
+ * Gli eventi sono di un giorno intero (scadenze): la data è quella locale
+ * dello studio, senza orario né fuso.
+ */
+
+const PRODUCT_ID = '-//Studio Biliato//Assistente Biliato//IT';
+
+// Lunghezza massima di una riga in ottetti, esclusi i caratteri di fine riga
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Aggiunge gli zeri iniziali
+ * @param {number} value - Numero
+ * @param {number} length - Cifre
+ * @returns {string}
+ */
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Data in formato DATE (AAAAMMGG), dalla data locale
+ * @param {Date|string} date - Data
+ * @returns {string}
+ */
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+};
+
+/**
+ * Data e ora in formato UTC (AAAAMMGGTHHMMSSZ)
+ * @param {Date|string} date - Data
+ * @returns {string}
+ */
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * Esegue l'escape di un testo (barra rovesciata, punto e virgola, virgola, a capo)
+ * @param {string} value - Testo
+ * @returns {string}
+ */
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Spezza una riga oltre i 75 ottetti: le righe di continuazione iniziano
+ * con uno spazio. Non divide i caratteri multibyte
+ * @param {string} line - Riga
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Le righe di continuazione hanno uno spazio iniziale
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Righe di un evento di un giorno intero
+ * @param {Object} event - { uid, date, summary, description, categories, url, alarmDays, completed }
+ * @param {Date} stamp - Data di generazione
+ * @returns {Array<string>}
+ */
+const buildEventLines = (event, stamp) => {
+  const start = new Date(event.date);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+
+  // Le scadenze non occupano tempo in agenda
+  lines.push('TRANSP:TRANSPARENT');
+
+  (event.alarmDays || []).forEach(days => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      `TRIGGER:-P${days}D`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Genera un calendario iCalendar
+ * @param {Object} options - { name, description, events, now, refreshHours }
+ * @returns {string} - Contenuto del file .ics
+ */
+const buildCalendar = (options = {}) => {
+  const stamp = options.now || new Date();
+  const refreshHours = options.refreshHours || 1;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+  if (options.description) {
+    lines.push(`X-WR-CALDESC:${escapeText(options.description)}`);
+  }
+
+  // Frequenza di aggiornamento suggerita ai client che si abbonano al feed
+  lines.push(
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    `X-PUBLISHED-TTL:PT${refreshHours}H`
+  );
+
+  (options.events || []).forEach(event => {
+    lines.push(...buildEventLines(event, stamp));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine,
+  formatDate,
+  formatDateTime
+};
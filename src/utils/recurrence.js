@@ -0,0 +1,439 @@
+/**
+ * Regole di ricorrenza per le procedure periodiche.
+ * Supporta le frequenze predefinite (mensile, trimestrale, annuale) e un
+ * sottoinsieme delle regole RRULE (RFC 5545):
+ * - FREQ: DAILY, WEEKLY, MONTHLY, YEARLY
+ * - INTERVAL, COUNT, UNTIL
+ * - BYMONTH, BYMONTHDAY (anche negativi, es. -1 = ultimo giorno del mese)
+ * - BYDAY (con ordinale per MONTHLY e YEARLY, es. 1MO, -1FR)
+ *
+ * Ogni occorrenza è l'inizio di un periodo, che termina il giorno prima
+ * dell'occorrenza successiva.
+ */
+
+const MONTH_NAMES = [
+  'Gennaio', 'Febbraio', 'Marzo', 'Aprile', 'Maggio', 'Giugno',
+  'Luglio', 'Agosto', 'Settembre', 'Ottobre', 'Novembre', 'Dicembre'
+];
+
+const WEEK_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Numero massimo di periodi esaminati, per evitare cicli infiniti su regole vuote
+const MAX_ITERATIONS = 5000;
+
+/**
+ * Data alla mezzanotte locale
+ * @param {Date|string} date - Data
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Converte una lista separata da virgole in numeri interi
+ * @param {string} value - Valore RRULE
+ * @param {string} name - Nome della parte (per i messaggi di errore)
+ * @returns {Array<number>}
+ */
+const parseIntegerList = (value, name) => value.split(',').map(item => {
+  const number = parseInt(item, 10);
+  if (Number.isNaN(number) || String(number) !== item.replace(/^\+/, '')) {
+    throw new Error(`Valore non valido per ${name}: ${item}`);
+  }
+  return number;
+});
+
+/**
+ * Converte la data UNTIL (AAAAMMGG o AAAAMMGGTHHMMSS[Z])
+ * @param {string} value - Valore RRULE
+ * @returns {Date}
+ */
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Valore non valido per UNTIL: ${value}`);
+  }
+  return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+};
+
+/**
+ * Interpreta una regola RRULE
+ * @param {string} rrule - Regola (es. "FREQ=MONTHLY;BYMONTHDAY=1")
+ * @returns {Object} - { freq, interval, count, until, byMonth, byMonthDay, byDay }
+ */
+const parseRRule = (rrule) => {
+  const text = String(rrule || '').trim().replace(/^RRULE:/i, '');
+  if (!text) {
+    throw new Error('Regola di ricorrenza vuota');
+  }
+
+  const rule = { interval: 1 };
+
+  text.split(';').filter(Boolean).forEach(part => {
+    const [rawKey, value] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+
+    if (!value) {
+      throw new Error(`Parte della regola non valida: ${part}`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Frequenza non supportata: ${value}`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseIntegerList(value, key)[0];
+        if (rule.interval < 1) throw new Error('INTERVAL deve essere positivo');
+        break;
+      case 'COUNT':
+        rule.count = parseIntegerList(value, key)[0];
+        if (rule.count < 1) throw new Error('COUNT deve essere positivo');
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntegerList(value, key);
+        if (rule.byMonth.some(month => month < 1 || month > 12)) {
+          throw new Error(`Valore non valido per BYMONTH: ${value}`);
+        }
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntegerList(value, key);
+        if (rule.byMonthDay.some(day => day === 0 || day < -31 || day > 31)) {
+          throw new Error(`Valore non valido per BYMONTHDAY: ${value}`);
+        }
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) {
+            throw new Error(`Valore non valido per BYDAY: ${item}`);
+          }
+          return {
+            weekDay: WEEK_DAYS.indexOf(match[2]),
+            ordinal: match[1] ? parseInt(match[1], 10) : null
+          };
+        });
+        break;
+      default:
+        throw new Error(`Parte della regola non supportata: ${key}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('La regola di ricorrenza deve indicare FREQ');
+  }
+
+  if (rule.count && rule.until) {
+    throw new Error('COUNT e UNTIL non possono essere usati insieme');
+  }
+
+  return rule;
+};
+
+/**
+ * Verifica se una regola RRULE è valida e supportata
+ * @param {string} rrule - Regola
+ * @returns {boolean}
+ */
+const isValidRRule = (rrule) => {
+  try {
+    parseRRule(rrule);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Converte la ricorrenza di una procedura in regola
+ * @param {Object} recurrence - { frequency, interval, rrule }
+ * @returns {Object|null} - Regola, null se la procedura non è ricorrente
+ */
+const toRule = (recurrence) => {
+  if (!recurrence || !recurrence.frequency || recurrence.frequency === 'none') {
+    return null;
+  }
+
+  const interval = recurrence.interval || 1;
+
+  switch (recurrence.frequency) {
+    case 'monthly':
+      return { freq: 'MONTHLY', interval, byMonthDay: [1] };
+    case 'quarterly':
+      return { freq: 'MONTHLY', interval: interval * 3, byMonthDay: [1] };
+    case 'yearly':
+      return { freq: 'YEARLY', interval, byMonthDay: [1] };
+    case 'custom':
+      return parseRRule(recurrence.rrule);
+    default:
+      throw new Error(`Frequenza di ricorrenza non riconosciuta: ${recurrence.frequency}`);
+  }
+};
+
+/**
+ * Giorni del mese che soddisfano la regola, in ordine
+ * @param {Object} rule - Regola
+ * @param {number} year - Anno
+ * @param {number} month - Mese (0-11)
+ * @param {Date} anchor - Data di riferimento
+ * @returns {Array<Date>}
+ */
+const daysInMonth = (rule, year, month, anchor) => {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  const days = new Set();
+
+  if (rule.byMonthDay) {
+    rule.byMonthDay.forEach(day => {
+      const resolved = day > 0 ? day : lastDay + day + 1;
+      if (resolved >= 1 && resolved <= lastDay) days.add(resolved);
+    });
+  }
+
+  if (rule.byDay) {
+    rule.byDay.forEach(({ weekDay, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= lastDay; day++) {
+        if (new Date(year, month, day).getDay() === weekDay) matching.push(day);
+      }
+
+      if (ordinal === null) {
+        matching.forEach(day => days.add(day));
+      } else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) days.add(day);
+      }
+    });
+  }
+
+  // Senza indicazioni si usa il giorno della data di riferimento (limitato a fine mese)
+  if (!rule.byMonthDay && !rule.byDay) {
+    days.add(Math.min(anchor.getDate(), lastDay));
+  }
+
+  return Array.from(days).sort((a, b) => a - b).map(day => new Date(year, month, day));
+};
+
+/**
+ * Occorrenze di un singolo passo della regola (un giorno, una settimana, un mese o un anno)
+ * @param {Object} rule - Regola
+ * @param {Date} anchor - Data di riferimento
+ * @param {number} step - Numero del passo
+ * @returns {Array<Date>}
+ */
+const occurrencesAtStep = (rule, anchor, step) => {
+  const offset = step * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + offset)];
+
+    case 'WEEKLY': {
+      // Settimana che inizia il lunedì
+      const weekStart = new Date(anchor.getFullYear(), anchor.getMonth(),
+        anchor.getDate() - ((anchor.getDay() + 6) % 7) + offset * 7);
+      const weekDays = rule.byDay ? rule.byDay.map(day => day.weekDay) : [anchor.getDay()];
+
+      return weekDays
+        .map(weekDay => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + ((weekDay + 6) % 7)))
+        .sort((a, b) => a - b);
+    }
+
+    case 'MONTHLY': {
+      const monthDate = new Date(anchor.getFullYear(), anchor.getMonth() + offset, 1);
+      if (rule.byMonth && !rule.byMonth.includes(monthDate.getMonth() + 1)) {
+        return [];
+      }
+      return daysInMonth(rule, monthDate.getFullYear(), monthDate.getMonth(), anchor);
+    }
+
+    case 'YEARLY': {
+      const year = anchor.getFullYear() + offset;
+      const months = rule.byMonth ? rule.byMonth.map(month => month - 1) : [anchor.getMonth()];
+
+      return months
+        .sort((a, b) => a - b)
+        .reduce((dates, month) => dates.concat(daysInMonth(rule, year, month, anchor)), []);
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Scorre le occorrenze della regola a partire dalla data di riferimento
+ * @param {Object} rule - Regola
+ * @param {Date} anchor - Data di riferimento (prima occorrenza possibile)
+ * @param {Function} visit - Chiamata per ogni occorrenza; restituire false per fermarsi
+ */
+const iterateOccurrences = (rule, anchor, visit) => {
+  const start = startOfDay(anchor);
+  let emitted = 0;
+
+  for (let step = 0; step < MAX_ITERATIONS; step++) {
+    const dates = occurrencesAtStep(rule, start, step).filter(date => date >= start);
+
+    for (const date of dates) {
+      if (rule.until && date > rule.until) return;
+      if (rule.count && emitted >= rule.count) return;
+
+      emitted++;
+      if (visit(date) === false) return;
+    }
+  }
+};
+
+/**
+ * Prima occorrenza successiva a una data
+ * @param {Object} rule - Regola
+ * @param {Date} anchor - Data di riferimento
+ * @param {Date} after - Data dopo la quale cercare
+ * @returns {Date|null}
+ */
+const getNextOccurrence = (rule, anchor, after) => {
+  const limit = startOfDay(after);
+  let next = null;
+
+  iterateOccurrences(rule, anchor, date => {
+    if (date > limit) {
+      next = date;
+      return false;
+    }
+    return true;
+  });
+
+  return next;
+};
+
+/**
+ * Etichetta leggibile di un periodo
+ * @param {Object} recurrence - Ricorrenza della procedura
+ * @param {Date} start - Inizio del periodo
+ * @param {Date|null} end - Fine del periodo
+ * @returns {string}
+ */
+const getPeriodLabel = (recurrence, start, end) => {
+  const interval = recurrence.interval || 1;
+  const format = date => date.toLocaleDateString('it-IT', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+  if (start.getDate() === 1 && interval === 1) {
+    if (recurrence.frequency === 'monthly') {
+      return `${MONTH_NAMES[start.getMonth()]} ${start.getFullYear()}`;
+    }
+    if (recurrence.frequency === 'quarterly' && start.getMonth() % 3 === 0) {
+      return `${start.getMonth() / 3 + 1}° trimestre ${start.getFullYear()}`;
+    }
+    if (recurrence.frequency === 'yearly' && start.getMonth() === 0) {
+      return `Anno ${start.getFullYear()}`;
+    }
+  }
+
+  return end ? `${format(start)} - ${format(end)}` : `Dal ${format(start)}`;
+};
+
+/**
+ * Calcola il periodo che contiene una data
+ * @param {Object} recurrence - Ricorrenza della procedura { frequency, interval, rrule, anchorDate }
+ * @param {Date} date - Data
+ * @returns {Object|null} - { start, end, label, nextStart }, null se la data precede la prima occorrenza
+ */
+const getPeriod = (recurrence, date) => {
+  const rule = toRule(recurrence);
+  if (!rule) return null;
+
+  const anchor = getAnchor(recurrence, date);
+  const day = startOfDay(date);
+  let start = null;
+  let nextStart = null;
+
+  iterateOccurrences(rule, anchor, occurrence => {
+    if (occurrence <= day) {
+      start = occurrence;
+      return true;
+    }
+    nextStart = occurrence;
+    return false;
+  });
+
+  if (!start) return null;
+
+  const end = nextStart ? new Date(nextStart.getFullYear(), nextStart.getMonth(), nextStart.getDate() - 1) : null;
+
+  return {
+    start,
+    end,
+    nextStart,
+    label: getPeriodLabel(recurrence, start, end)
+  };
+};
+
+/**
+ * Verifica se la ricorrenza richiede una data di riferimento fissa: con un
+ * intervallo maggiore di 1 o con una regola personalizzata (COUNT, giorni
+ * della settimana, ...) i periodi dipendono dalla data da cui si parte
+ * @param {Object} recurrence - Ricorrenza della procedura
+ * @returns {boolean}
+ */
+const requiresAnchor = (recurrence) => Boolean(
+  recurrence &&
+  recurrence.frequency &&
+  recurrence.frequency !== 'none' &&
+  (recurrence.frequency === 'custom' || (recurrence.interval || 1) > 1)
+);
+
+/**
+ * Data di riferimento da salvare quando non è indicata: il 1° gennaio
+ * dell'anno per le frequenze predefinite (per allineare mesi e trimestri),
+ * il giorno stesso per le regole personalizzate
+ * @param {Object} recurrence - Ricorrenza della procedura
+ * @param {Date} date - Data di attivazione della ricorrenza
+ * @returns {Date}
+ */
+const getDefaultAnchor = (recurrence, date = new Date()) => {
+  if (recurrence.frequency === 'custom') {
+    return startOfDay(date);
+  }
+
+  return new Date(new Date(date).getFullYear(), 0, 1);
+};
+
+/**
+ * Data di riferimento della ricorrenza: quella indicata o, per le ricorrenze
+ * che non la richiedono, il 1° gennaio dell'anno precedente la data
+ * considerata (i periodi sono comunque allineati all'anno)
+ * @param {Object} recurrence - Ricorrenza della procedura
+ * @param {Date} date - Data considerata
+ * @returns {Date}
+ */
+const getAnchor = (recurrence, date) => {
+  if (recurrence.anchorDate) {
+    return startOfDay(recurrence.anchorDate);
+  }
+
+  if (requiresAnchor(recurrence)) {
+    throw new Error('La ricorrenza richiede una data di decorrenza (anchorDate)');
+  }
+
+  return new Date(new Date(date).getFullYear() - 1, 0, 1);
+};
+
+module.exports = {
+  parseRRule,
+  isValidRRule,
+  toRule,
+  getNextOccurrence,
+  getPeriod,
+  getPeriodLabel,
+  requiresAnchor,
+  getDefaultAnchor,
+  getAnchor
+};
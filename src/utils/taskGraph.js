@@ -0,0 +1,146 @@
+/**
+ * Grafo delle dipendenze tra i task di una procedura.
+ * Ogni task indica in dependsOn i task che devono essere completati prima
+ * di poterlo iniziare. I task sono identificati da una chiave: il nome
+ * nei template delle procedure, il taskId nelle istanze dei clienti.
+ */
+
+/**
+ * Chiave di un task
+ * @param {Object} task - Task
+ * @param {string} key - Campo identificativo
+ * @returns {string}
+ */
+const getKey = (task, key) => String(task[key]);
+
+/**
+ * Dipendenze dichiarate di un task
+ * @param {Object} task - Task
+ * @returns {Array<string>}
+ */
+const getDependencies = (task) => (task.dependsOn || []).map(String);
+
+/**
+ * Cerca un ciclo nel grafo delle dipendenze (visita in profondità)
+ * @param {Array<Object>} tasks - Task
+ * @param {string} key - Campo identificativo (default taskId)
+ * @returns {Array<string>|null} - Chiavi dei task nel ciclo (il primo ripetuto in fondo), null se assente
+ */
+const findCycle = (tasks, key = 'taskId') => {
+  const nodes = new Map(tasks.map(task => [getKey(task, key), task]));
+  const state = new Map();
+  const stack = [];
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of getDependencies(nodes.get(id))) {
+      if (!nodes.has(dependency)) continue;
+
+      if (state.get(dependency) === 'visiting') {
+        return [...stack.slice(stack.indexOf(dependency)), dependency];
+      }
+      if (!state.has(dependency)) {
+        const cycle = visit(dependency);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const id of nodes.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Verifica le dipendenze dei task: task duplicati tra quelli richiamati,
+ * dipendenze da task inesistenti o da se stessi e dipendenze circolari
+ * @param {Array<Object>} tasks - Task
+ * @param {string} key - Campo identificativo (default taskId)
+ * @returns {Array<string>} - Errori riscontrati (vuoto se le dipendenze sono valide)
+ */
+const validateDependencies = (tasks, key = 'taskId') => {
+  const errors = [];
+  const counts = new Map();
+  tasks.forEach(task => {
+    const id = getKey(task, key);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+
+  const referenced = new Set();
+  tasks.forEach(task => {
+    const id = getKey(task, key);
+
+    getDependencies(task).forEach(dependency => {
+      if (dependency === id) {
+        errors.push(`Il task "${id}" non può dipendere da se stesso`);
+      } else if (!counts.has(dependency)) {
+        errors.push(`Il task "${id}" dipende da un task inesistente: "${dependency}"`);
+      } else {
+        referenced.add(dependency);
+      }
+    });
+  });
+
+  referenced.forEach(id => {
+    if (counts.get(id) > 1) {
+      errors.push(`Il task "${id}" è presente più volte: la dipendenza è ambigua`);
+    }
+  });
+
+  if (errors.length === 0) {
+    const cycle = findCycle(tasks, key);
+    if (cycle) {
+      errors.push(`Dipendenza circolare tra i task: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Ordina i task in modo che ogni task segua le proprie dipendenze
+ * (a parità, nell'ordine originale)
+ * @param {Array<Object>} tasks - Task
+ * @param {string} key - Campo identificativo (default taskId)
+ * @returns {Array<Object>} - Task ordinati
+ */
+const topologicalSort = (tasks, key = 'taskId') => {
+  const ids = tasks.map(task => getKey(task, key));
+  const known = new Set(ids);
+  const pending = new Map(tasks.map((task, index) => [
+    ids[index],
+    new Set(getDependencies(task).filter(dependency => known.has(dependency) && dependency !== ids[index]))
+  ]));
+  const sorted = [];
+
+  while (sorted.length < tasks.length) {
+    const index = ids.findIndex(id => pending.has(id) && pending.get(id).size === 0);
+    if (index === -1) {
+      throw new Error('Dipendenza circolare tra i task');
+    }
+
+    const id = ids[index];
+    pending.delete(id);
+    pending.forEach(dependencies => dependencies.delete(id));
+    sorted.push(tasks[index]);
+  }
+
+  return sorted;
+};
+
+module.exports = {
+  findCycle,
+  validateDependencies,
+  topologicalSort
+};
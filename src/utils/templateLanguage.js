@@ -0,0 +1,665 @@
+/**
+ * Linguaggio sicuro per i template dei documenti.
+ * Il template non esegue codice JavaScript: le espressioni possono solo
+ * leggere i dati (proprietà proprie degli oggetti) e applicare i filtri
+ * predefiniti. Sintassi:
+ * - {{ percorso | filtro:argomento }}  valore (con escape HTML)
+ * - {% if condizione %} ... {% elif condizione %} ... {% else %} ... {% endif %}
+ * - {% for elemento in elenco %} ... {% else %} (elenco vuoto) ... {% endfor %}
+ *   con loop.index, loop.index0, loop.first, loop.last, loop.length
+ * - {% include "nome-clausola" %}  clausola condivisa tra i template
+ * - {# commento #}
+ *
+ * Nelle condizioni: ==, !=, <, >, <=, >=, in, and, or, not, parentesi ed
+ * elenchi (es. companyType in ["srl", "srls"]).
+ * Gli elenchi vuoti sono considerati falsi.
+ */
+
+const MONTH_NAMES = [
+  'gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+  'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'
+];
+
+// Proprietà mai leggibili dai template
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Limiti contro i template che non terminano o generano documenti enormi
+const MAX_LOOP_ITERATIONS = 1000;
+const MAX_INCLUDE_DEPTH = 5;
+
+const TEMPLATE_TAG = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}|\{#[\s\S]*?#\}/g;
+const EXPRESSION_TOKEN = /\s*(?:("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')|(\d+(?:\.\d+)?)|([A-Za-z_][\w]*)|(==|!=|<=|>=|[<>|:,.()[\]]))/y;
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+const BLOCK_ENDS = ['elif', 'else', 'endif', 'endfor'];
+
+/**
+ * Errore del template con il numero di riga
+ * @param {string} message - Messaggio
+ * @param {number} line - Riga del template
+ * @returns {Error}
+ */
+const templateError = (message, line) => {
+  const error = new Error(line ? `${message} (riga ${line})` : message);
+  error.line = line;
+  return error;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Testo di un valore nel documento
+ * @param {*} value - Valore
+ * @returns {string}
+ */
+const toText = (value) => {
+  if (value === null || value === undefined || typeof value === 'function') return '';
+  if (value instanceof Date) return FILTERS.date(value);
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(', ');
+  if (typeof value === 'object') return value._bsontype ? String(value) : '';
+  return String(value);
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Filtri disponibili nei template: filtro(valore, ...argomenti)
+const FILTERS = {
+  // Data italiana: short (19/10/2026), long (19 ottobre 2026), month (ottobre 2026), year
+  date: (value, format = 'short') => {
+    const date = toDate(value);
+    if (!date) return '';
+
+    switch (format) {
+      case 'long':
+        return `${date.getDate()} ${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+      case 'month':
+        return `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+      case 'year':
+        return String(date.getFullYear());
+      default:
+        return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+    }
+  },
+  datetime: (value) => {
+    const date = toDate(value);
+    return date ? `${FILTERS.date(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}` : '';
+  },
+  currency: (value, currency = 'EUR') => {
+    const number = toNumber(value);
+    return number === null ? '' : new Intl.NumberFormat('it-IT', { style: 'currency', currency }).format(number);
+  },
+  number: (value, decimals = 2) => {
+    const number = toNumber(value);
+    return number === null
+      ? ''
+      : new Intl.NumberFormat('it-IT', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(number);
+  },
+  // Codice fiscale: maiuscolo e senza spazi
+  cf: (value) => (isEmpty(value) ? '' : String(value).replace(/\s/g, '').toUpperCase()),
+  // Partita IVA: solo le cifre
+  piva: (value) => (isEmpty(value) ? '' : String(value).replace(/\D/g, '')),
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+  },
+  title: (value) => toText(value).toLowerCase().replace(/(^|[\s'-])(\S)/g, (match, separator, letter) => separator + letter.toUpperCase()),
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+  count: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0),
+  yesno: (value, yes = 'sì', no = 'no') => (isTruthy(value) ? yes : no)
+};
+
+/**
+ * Valore di verità: gli elenchi vuoti sono falsi
+ * @param {*} value - Valore
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Divide il template in testo, valori, istruzioni e commenti
+ * @param {string} source - Template
+ * @returns {Array} - [{ type: 'text'|'output'|'tag', value|code, line }]
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let last = 0;
+  let line = 1;
+  let match;
+
+  TEMPLATE_TAG.lastIndex = 0;
+  while ((match = TEMPLATE_TAG.exec(source)) !== null) {
+    const text = source.slice(last, match.index);
+    if (text) tokens.push({ type: 'text', value: text, line });
+    line += (text.match(/\n/g) || []).length;
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'output', code: match[1].trim(), line });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'tag', code: match[2].trim(), line });
+    }
+
+    line += (match[0].match(/\n/g) || []).length;
+    last = match.index + match[0].length;
+  }
+
+  const rest = source.slice(last);
+  if (/\{\{|\{%|\{#/.test(rest)) {
+    throw templateError('Tag non chiuso', line + (rest.slice(0, rest.search(/\{\{|\{%|\{#/)).match(/\n/g) || []).length);
+  }
+  if (rest) tokens.push({ type: 'text', value: rest, line });
+
+  return tokens;
+};
+
+/**
+ * Analizza un'espressione: percorsi, letterali, filtri e operatori
+ * @param {string} code - Espressione
+ * @param {number} line - Riga del template
+ * @returns {Object} - Nodo dell'espressione
+ */
+const parseExpression = (code, line) => {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+
+  while (EXPRESSION_TOKEN.lastIndex < code.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(code);
+
+    if (!match) {
+      if (!code.slice(start).trim()) break;
+      throw templateError(`Carattere non valido nell'espressione "${code}": ${code.slice(start).trim()[0]}`, line);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[2]) });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: KEYWORDS.has(match[3]) ? 'keyword' : 'name', value: match[3] });
+    } else {
+      tokens.push({ type: 'op', value: match[4] });
+    }
+  }
+
+  if (tokens.length === 0) {
+    throw templateError('Espressione vuota', line);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const isToken = (type, value) => peek() && peek().type === type && (value === undefined || peek().value === value);
+  const expect = (type, value) => {
+    if (!isToken(type, value)) {
+      throw templateError(`Atteso "${value || type}" nell'espressione "${code}"`, line);
+    }
+    return tokens[position++];
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw templateError(`Espressione incompleta: "${code}"`, line);
+    }
+
+    if (token.type === 'string' || token.type === 'number') {
+      position++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      position++;
+      return { type: 'literal', value: { true: true, false: false, null: null }[token.value] };
+    }
+    if (isToken('op', '[')) {
+      position++;
+      const items = [];
+      while (!isToken('op', ']')) {
+        if (items.length > 0) expect('op', ',');
+        items.push(parsePrimary());
+      }
+      position++;
+      return { type: 'list', items };
+    }
+    if (isToken('op', '(')) {
+      position++;
+      const inner = parseOr();
+      expect('op', ')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      position++;
+      const segments = [token.value];
+      while (isToken('op', '.')) {
+        position++;
+        const next = peek();
+        if (!next || (next.type !== 'name' && next.type !== 'number' && next.type !== 'keyword')) {
+          throw templateError(`Percorso non valido nell'espressione "${code}"`, line);
+        }
+        segments.push(String(next.value));
+        position++;
+      }
+      return { type: 'path', segments };
+    }
+
+    throw templateError(`Elemento inatteso "${token.value}" nell'espressione "${code}"`, line);
+  };
+
+  const parseFiltered = () => {
+    let node = parsePrimary();
+
+    while (isToken('op', '|')) {
+      position++;
+      const name = expect('name').value;
+      if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+        throw templateError(`Filtro sconosciuto: ${name}`, line);
+      }
+
+      const args = [];
+      if (isToken('op', ':')) {
+        position++;
+        args.push(parsePrimary());
+        while (isToken('op', ',')) {
+          position++;
+          args.push(parsePrimary());
+        }
+      }
+      node = { type: 'filter', name, input: node, args };
+    }
+
+    return node;
+  };
+
+  const parseComparison = () => {
+    const left = parseFiltered();
+    const token = peek();
+
+    if (token && ((token.type === 'op' && ['==', '!=', '<', '>', '<=', '>='].includes(token.value))
+      || (token.type === 'keyword' && token.value === 'in'))) {
+      position++;
+      return { type: 'compare', op: token.value, left, right: parseFiltered() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isToken('keyword', 'not')) {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isToken('keyword', 'and')) {
+      position++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  parseOr = () => {
+    let node = parseAnd();
+    while (isToken('keyword', 'or')) {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const expression = parseOr();
+  if (position < tokens.length) {
+    throw templateError(`Elemento inatteso "${peek().value}" nell'espressione "${code}"`, line);
+  }
+  return expression;
+};
+
+/**
+ * Analizza un template
+ * @param {string} source - Template
+ * @returns {Array} - Nodi del template
+ */
+const parse = (source = '') => {
+  const tokens = tokenize(String(source));
+  let position = 0;
+
+  const parseBlock = (ends, opening) => {
+    const nodes = [];
+
+    while (position < tokens.length) {
+      const token = tokens[position];
+
+      if (token.type === 'text') {
+        nodes.push({ type: 'text', value: token.value });
+        position++;
+        continue;
+      }
+
+      if (token.type === 'output') {
+        nodes.push({ type: 'output', expression: parseExpression(token.code, token.line), line: token.line });
+        position++;
+        continue;
+      }
+
+      const [keyword] = token.code.split(/\s+/);
+      const rest = token.code.slice(keyword.length).trim();
+
+      if (ends.includes(keyword)) {
+        return { nodes, end: { keyword, rest, line: token.line } };
+      }
+      if (BLOCK_ENDS.includes(keyword)) {
+        throw templateError(`{% ${keyword} %} senza il blocco di apertura`, token.line);
+      }
+      position++;
+
+      if (keyword === 'if') {
+        const branches = [];
+        let condition = parseExpression(rest, token.line);
+        let otherwise = [];
+
+        for (;;) {
+          const block = parseBlock(['elif', 'else', 'endif'], token);
+          position++;
+          branches.push({ condition, body: block.nodes });
+
+          if (block.end.keyword === 'elif') {
+            condition = parseExpression(block.end.rest, block.end.line);
+            continue;
+          }
+          if (block.end.keyword === 'else') {
+            otherwise = parseBlock(['endif'], token).nodes;
+            position++;
+          }
+          break;
+        }
+
+        nodes.push({ type: 'if', branches, otherwise, line: token.line });
+      } else if (keyword === 'for') {
+        const loop = rest.match(/^([A-Za-z_]\w*)\s+in\s+([\s\S]+)$/);
+        if (!loop || KEYWORDS.has(loop[1]) || loop[1] === 'loop') {
+          throw templateError(`Ciclo non valido: {% for ${rest} %}`, token.line);
+        }
+
+        const block = parseBlock(['else', 'endfor'], token);
+        position++;
+        let empty = [];
+        if (block.end.keyword === 'else') {
+          empty = parseBlock(['endfor'], token).nodes;
+          position++;
+        }
+
+        nodes.push({
+          type: 'for',
+          name: loop[1],
+          iterable: parseExpression(loop[2], token.line),
+          body: block.nodes,
+          empty,
+          line: token.line
+        });
+      } else if (keyword === 'include') {
+        const include = rest.match(/^(["'])([\w.-]+)\1$/);
+        if (!include) {
+          throw templateError(`Inclusione non valida: {% include ${rest} %}`, token.line);
+        }
+        nodes.push({ type: 'include', name: include[2], line: token.line });
+      } else {
+        throw templateError(`Istruzione sconosciuta: ${keyword}`, token.line);
+      }
+    }
+
+    if (opening) {
+      throw templateError(`Blocco {% ${opening.code.split(/\s+/)[0]} %} non chiuso`, opening.line);
+    }
+    return { nodes, end: null };
+  };
+
+  return parseBlock([], null).nodes;
+};
+
+/**
+ * Legge una proprietà propria di un valore
+ * @param {*} value - Oggetto
+ * @param {string} key - Proprietà
+ * @returns {*}
+ */
+const readProperty = (value, key) => {
+  if (value === null || value === undefined || FORBIDDEN_KEYS.has(key)) return undefined;
+  if ((Array.isArray(value) || typeof value === 'string') && key === 'length') return value.length;
+  if (typeof value !== 'object') return undefined;
+  if (value instanceof Map) return value.get(key);
+  return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+};
+
+const looseEqual = (left, right) => {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return (left === null || left === undefined) && (right === null || right === undefined);
+  }
+  return comparable(left) === comparable(right) || String(left) === String(right);
+};
+
+/**
+ * Valuta un'espressione
+ * @param {Object} node - Nodo dell'espressione
+ * @param {Array} scope - Dati e variabili dei cicli (dalla più esterna)
+ * @returns {*}
+ */
+const evaluate = (node, scope) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(item => evaluate(item, scope));
+    case 'path': {
+      const [root, ...rest] = node.segments;
+      const frame = [...scope].reverse()
+        .find(item => item && Object.prototype.hasOwnProperty.call(item, root));
+      return rest.reduce((value, key) => readProperty(value, key), frame ? readProperty(frame, root) : undefined);
+    }
+    case 'filter':
+      return FILTERS[node.name](evaluate(node.input, scope), ...node.args.map(arg => evaluate(arg, scope)));
+    case 'not':
+      return !isTruthy(evaluate(node.operand, scope));
+    case 'and':
+      return isTruthy(evaluate(node.left, scope)) && isTruthy(evaluate(node.right, scope));
+    case 'or':
+      return isTruthy(evaluate(node.left, scope)) || isTruthy(evaluate(node.right, scope));
+    case 'compare': {
+      const left = evaluate(node.left, scope);
+      const right = evaluate(node.right, scope);
+
+      switch (node.op) {
+        case '==': return looseEqual(left, right);
+        case '!=': return !looseEqual(left, right);
+        case '<': return comparable(left) < comparable(right);
+        case '>': return comparable(left) > comparable(right);
+        case '<=': return comparable(left) <= comparable(right);
+        case '>=': return comparable(left) >= comparable(right);
+        default:
+          if (Array.isArray(right)) return right.some(item => looseEqual(left, item));
+          if (typeof right === 'string') return right.includes(toText(left));
+          return readProperty(right, toText(left)) !== undefined;
+      }
+    }
+    default:
+      throw new Error(`Espressione non supportata: ${node.type}`);
+  }
+};
+
+/**
+ * Genera il testo di un template
+ * @param {string} source - Template
+ * @param {Object} data - Dati
+ * @param {Object} options - { partials: { nome: template } } clausole incluse
+ * @returns {string}
+ */
+const render = (source, data = {}, options = {}) => {
+  const partials = options.partials || {};
+  const parsed = new Map();
+
+  const renderNodes = (nodes, scope, includes) => nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'output':
+        return escapeHtml(toText(evaluate(node.expression, scope)));
+      case 'if': {
+        const branch = node.branches.find(item => isTruthy(evaluate(item.condition, scope)));
+        return renderNodes(branch ? branch.body : node.otherwise, scope, includes);
+      }
+      case 'for': {
+        const items = evaluate(node.iterable, scope);
+        const list = Array.isArray(items) ? items : [];
+        if (list.length > MAX_LOOP_ITERATIONS) {
+          throw templateError(`Il ciclo supera il limite di ${MAX_LOOP_ITERATIONS} elementi`, node.line);
+        }
+        if (list.length === 0) {
+          return renderNodes(node.empty, scope, includes);
+        }
+
+        return list.map((item, index) => renderNodes(node.body, [...scope, {
+          [node.name]: item,
+          loop: {
+            index: index + 1,
+            index0: index,
+            first: index === 0,
+            last: index === list.length - 1,
+            length: list.length
+          }
+        }], includes)).join('');
+      }
+      case 'include': {
+        if (includes.includes(node.name)) {
+          throw templateError(`Inclusione circolare: ${[...includes, node.name].join(' -> ')}`, node.line);
+        }
+        if (includes.length >= MAX_INCLUDE_DEPTH) {
+          throw templateError(`Troppi livelli di inclusione (massimo ${MAX_INCLUDE_DEPTH})`, node.line);
+        }
+        if (typeof partials[node.name] !== 'string') {
+          throw templateError(`Clausola non trovata: ${node.name}`, node.line);
+        }
+
+        if (!parsed.has(node.name)) {
+          try {
+            parsed.set(node.name, parse(partials[node.name]));
+          } catch (error) {
+            throw templateError(`Errore nella clausola ${node.name}: ${error.message}`, node.line);
+          }
+        }
+        return renderNodes(parsed.get(node.name), scope, [...includes, node.name]);
+      }
+      default:
+        return '';
+    }
+  }).join('');
+
+  return renderNodes(parse(source), [data], []);
+};
+
+/**
+ * Dati letti da un template e clausole incluse (per il controllo dei
+ * segnaposto); le variabili dei cicli non sono riportate
+ * @param {string} source - Template
+ * @returns {Object} - { paths: [{ path, line }], includes: [nomi] }
+ */
+const collectReferences = (source) => {
+  const paths = [];
+  const includes = new Set();
+
+  const visitExpression = (node, locals, line) => {
+    if (!node) return;
+    switch (node.type) {
+      case 'path':
+        if (!locals.includes(node.segments[0])) {
+          paths.push({ path: node.segments.join('.'), line });
+        }
+        break;
+      case 'filter':
+        visitExpression(node.input, locals, line);
+        node.args.forEach(arg => visitExpression(arg, locals, line));
+        break;
+      case 'list':
+        node.items.forEach(item => visitExpression(item, locals, line));
+        break;
+      case 'not':
+        visitExpression(node.operand, locals, line);
+        break;
+      case 'and':
+      case 'or':
+      case 'compare':
+        visitExpression(node.left, locals, line);
+        visitExpression(node.right, locals, line);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const visit = (nodes, locals) => nodes.forEach(node => {
+    switch (node.type) {
+      case 'output':
+        visitExpression(node.expression, locals, node.line);
+        break;
+      case 'if':
+        node.branches.forEach(branch => {
+          visitExpression(branch.condition, locals, node.line);
+          visit(branch.body, locals);
+        });
+        visit(node.otherwise, locals);
+        break;
+      case 'for':
+        visitExpression(node.iterable, locals, node.line);
+        visit(node.body, [...locals, node.name, 'loop']);
+        visit(node.empty, locals);
+        break;
+      case 'include':
+        includes.add(node.name);
+        break;
+      default:
+        break;
+    }
+  });
+
+  visit(parse(source), []);
+  return { paths, includes: [...includes] };
+};
+
+module.exports = {
+  parse,
+  render,
+  collectReferences,
+  FILTERS,
+  FILTER_NAMES: Object.keys(FILTERS),
+  MAX_LOOP_ITERATIONS,
+  MAX_INCLUDE_DEPTH
+};
@@ -0,0 +1,114 @@
+/**
+ * Differenze riga per riga tra due testi (es. revisioni dei template)
+ */
+
+/**
+ * Confronta due testi riga per riga (sottosequenza comune più lunga)
+ * @param {string} from - Testo di partenza
+ * @param {string} to - Testo di arrivo
+ * @returns {Array} - [{ type: 'equal'|'added'|'removed', text, oldLine, newLine }]
+ */
+const diffLines = (from, to) => {
+  const a = String(from || '').split(/\r?\n/);
+  const b = String(to || '').split(/\r?\n/);
+
+  // Le righe iniziali e finali uguali non entrano nel confronto
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  // lengths[i][j]: sottosequenza comune più lunga tra a[start+i..] e b[start+j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = a[start + i] === b[start + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  const equal = (i, j) => result.push({ type: 'equal', text: a[i], oldLine: i + 1, newLine: j + 1 });
+
+  for (let k = 0; k < start; k++) equal(k, k);
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && a[start + i] === b[start + j]) {
+      equal(start + i, start + j);
+      i++;
+      j++;
+    } else if (j < cols && (i === rows || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      result.push({ type: 'added', text: b[start + j], newLine: start + j + 1 });
+      j++;
+    } else {
+      result.push({ type: 'removed', text: a[start + i], oldLine: start + i + 1 });
+      i++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) equal(endA + k, endB + k);
+
+  return result;
+};
+
+/**
+ * Raggruppa le differenze in blocchi con alcune righe di contesto
+ * @param {Array} lines - Risultato di diffLines
+ * @param {number} context - Righe invariate da mostrare attorno alle modifiche
+ * @returns {Array} - [{ oldStart, newStart, lines }]
+ */
+const toHunks = (lines, context = 3) => {
+  const changed = lines
+    .map((line, index) => (line.type === 'equal' ? -1 : index))
+    .filter(index => index >= 0);
+
+  const hunks = [];
+  changed.forEach(index => {
+    const from = Math.max(0, index - context);
+    const to = Math.min(lines.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+
+    if (last && from <= last.to + 1) {
+      last.to = to;
+    } else {
+      hunks.push({ from, to });
+    }
+  });
+
+  return hunks.map(({ from, to }) => {
+    const slice = lines.slice(from, to + 1);
+    const first = slice.find(line => line.oldLine) || {};
+    const firstNew = slice.find(line => line.newLine) || {};
+
+    return {
+      oldStart: first.oldLine || 0,
+      newStart: firstNew.newLine || 0,
+      lines: slice
+    };
+  });
+};
+
+/**
+ * Righe aggiunte e rimosse
+ * @param {Array} lines - Risultato di diffLines
+ * @returns {Object} - { added, removed }
+ */
+const countChanges = (lines) => ({
+  added: lines.filter(line => line.type === 'added').length,
+  removed: lines.filter(line => line.type === 'removed').length
+});
+
+module.exports = {
+  diffLines,
+  toHunks,
+  countChanges
+};
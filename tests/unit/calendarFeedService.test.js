@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Procedure = require('../../src/models/Procedure');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const Client = require('../../src/models/Client');
+const CalendarFeed = require('../../src/models/CalendarFeed');
+const User = require('../../src/models/User');
+const calendarFeedService = require('../../src/services/calendarFeedService');
+const { buildCalendar, escapeText, foldLine } = require('../../src/utils/ical');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+
+// Lunedì 11 maggio 2026
+const NOW = new Date(2026, 4, 11, 9, 0);
+
+const mockQuery = (result) => {
+  const promise = Promise.resolve(result);
+  promise.populate = jest.fn().mockReturnValue(promise);
+  promise.sort = jest.fn().mockReturnValue(promise);
+  return promise;
+};
+
+describe('Calendar Feed Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('iCalendar', () => {
+    it('dovrebbe eseguire l\'escape dei caratteri speciali', () => {
+      expect(escapeText('Bilancio; IVA, F24\nnote\\')).toBe('Bilancio\\; IVA\\, F24\\nnote\\\\');
+    });
+
+    it('dovrebbe spezzare le righe oltre i 75 ottetti senza dividere i caratteri', () => {
+      const folded = foldLine(`SUMMARY:${'è'.repeat(60)}`);
+      const lines = folded.split('\r\n');
+
+      expect(lines.length).toBe(2);
+      expect(Buffer.byteLength(lines[0])).toBeLessThanOrEqual(75);
+      expect(lines[1].startsWith(' ')).toBe(true);
+      expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`SUMMARY:${'è'.repeat(60)}`);
+    });
+
+    it('dovrebbe generare eventi di un giorno intero con promemoria', () => {
+      const ics = buildCalendar({
+        name: 'Scadenze',
+        now: NOW,
+        events: [{ uid: 'task-1@test', date: new Date(2026, 4, 15), summary: 'Raccolta documenti', alarmDays: [1] }]
+      });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics).toContain('X-WR-CALNAME:Scadenze');
+      expect(ics).toContain('DTSTART;VALUE=DATE:20260515\r\nDTEND;VALUE=DATE:20260516');
+      expect(ics).toContain('TRIGGER:-P1D');
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+  });
+
+  describe('eventi dei feed', () => {
+    let client;
+    let instance;
+    let userId;
+
+    beforeEach(async () => {
+      userId = new mongoose.Types.ObjectId();
+      client = new Client({
+        name: 'Rossi SRL',
+        fiscalCode: '12345678901',
+        companyType: 'SRL',
+        vatNumber: '12345678901',
+        accountingRegime: 'Ordinario',
+        annualRevenue: 2000000
+      });
+
+      const procedure = new Procedure({
+        name: 'IVA mensile',
+        description: 'Liquidazione IVA',
+        tasks: [
+          { name: 'Liquidazione', fiscalDeadline: 'vat_periodic' },
+          { name: 'Archiviazione', dueOffset: 10 }
+        ]
+      });
+
+      instance = new ClientProcedure({ clientId: client._id, procedureId: procedure._id, startDate: NOW });
+      await instance.initializeTasksFromProcedure(procedure, { vatPeriodicity: 'monthly' });
+      instance.tasks[0].assignedTo = userId;
+      instance.clientId = client;
+      instance.procedureId = procedure;
+    });
+
+    it('dovrebbe escludere le scadenze fiscali già coperte da un task', () => {
+      const events = calendarFeedService.collectEvents([instance], {
+        from: new Date(2026, 4, 1),
+        to: new Date(2026, 5, 20),
+        includeFiscalDeadlines: true,
+        clients: [client]
+      });
+      const vatEvents = events
+        .map(event => event.summary)
+        .filter(summary => summary.startsWith('Liquidazione'));
+
+      // La liquidazione di aprile è coperta dal task, quella di maggio no
+      expect(vatEvents).toEqual([
+        'Liquidazione - Rossi SRL',
+        'Liquidazione e versamento IVA mensile (Maggio 2026) - Rossi SRL'
+      ]);
+    });
+
+    it('dovrebbe includere nel feed dell\'utente solo i task a lui assegnati', async () => {
+      jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([instance]));
+      const feed = new CalendarFeed({ owner: userId, scope: 'user', user: userId, includeFiscalDeadlines: false });
+
+      const events = await calendarFeedService.getFeedEvents(feed, { now: NOW });
+
+      expect(events).toHaveLength(1);
+      expect(events[0].uid).toBe(`task-${instance._id}-task-1@assistente-biliato`);
+      expect(ClientProcedure.find).toHaveBeenCalledWith({
+        status: { $in: ['active', 'on_hold'] },
+        'tasks.assignedTo': userId
+      });
+    });
+
+    it('dovrebbe escludere i task completati salvo diversa indicazione', () => {
+      instance.tasks[1].status = 'completed';
+      const options = { from: new Date(2026, 4, 1), to: new Date(2026, 5, 30) };
+
+      expect(calendarFeedService.collectEvents([instance], options)).toHaveLength(1);
+      expect(calendarFeedService.collectEvents([instance], { ...options, includeCompleted: true })[1].summary)
+        .toBe('[Completato] Archiviazione - Rossi SRL');
+    });
+  });
+
+  describe('token del feed', () => {
+    it('dovrebbe generare un token casuale alla creazione', async () => {
+      const feed = new CalendarFeed({ owner: new mongoose.Types.ObjectId(), scope: 'user', user: new mongoose.Types.ObjectId() });
+      await feed.validate();
+
+      expect(feed.token).toMatch(/^[0-9a-f]{48}$/);
+      expect(feed.isActive()).toBe(true);
+    });
+
+    it('dovrebbe richiedere il cliente per i feed dei clienti', async () => {
+      const feed = new CalendarFeed({ owner: new mongoose.Types.ObjectId(), scope: 'client' });
+
+      await expect(feed.validate()).rejects.toThrow('Il cliente del feed è obbligatorio');
+    });
+
+    it('dovrebbe rifiutare i feed revocati o inesistenti', async () => {
+      const findActive = jest.spyOn(CalendarFeed, 'findActiveByToken').mockResolvedValue(null);
+
+      await expect(calendarFeedService.renderFeed('revocato')).resolves.toBeNull();
+      expect(findActive).toHaveBeenCalledWith('revocato');
+    });
+
+    it('dovrebbe registrare l\'accesso al feed', async () => {
+      const feed = new CalendarFeed({ owner: new mongoose.Types.ObjectId(), scope: 'client', clientId: new mongoose.Types.ObjectId(), name: 'Rossi' });
+      jest.spyOn(CalendarFeed, 'findActiveByToken').mockResolvedValue(feed);
+      jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([]));
+      jest.spyOn(Client, 'findById').mockResolvedValue(new Client({ name: 'Rossi' }));
+      User.findById.mockResolvedValue({ _id: feed.owner, status: 'active' });
+      const update = jest.spyOn(CalendarFeed, 'updateOne').mockResolvedValue({});
+
+      const result = await calendarFeedService.renderFeed('token', { now: NOW });
+
+      expect(result.ics).toContain('X-WR-CALNAME:Rossi');
+      expect(update).toHaveBeenCalledWith({ _id: feed._id }, expect.objectContaining({ $inc: { accessCount: 1 } }));
+    });
+
+    it('non dovrebbe servire i feed di utenti disattivati', async () => {
+      const owner = { _id: new mongoose.Types.ObjectId(), status: 'active' };
+      const feed = new CalendarFeed({ owner: owner._id, scope: 'user', user: new mongoose.Types.ObjectId() });
+      jest.spyOn(CalendarFeed, 'findActiveByToken').mockResolvedValue(feed);
+      const find = jest.spyOn(ClientProcedure, 'find');
+
+      User.findById.mockResolvedValueOnce({ ...owner, status: 'inactive' });
+      await expect(calendarFeedService.renderFeed('token')).resolves.toBeNull();
+
+      User.findById.mockResolvedValueOnce(owner).mockResolvedValueOnce({ _id: feed.user, status: 'suspended' });
+      await expect(calendarFeedService.renderFeed('token')).resolves.toBeNull();
+
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('non dovrebbe servire i feed di clienti disattivati o cancellati', async () => {
+      const feed = new CalendarFeed({ owner: new mongoose.Types.ObjectId(), scope: 'client', clientId: new mongoose.Types.ObjectId() });
+      jest.spyOn(CalendarFeed, 'findActiveByToken').mockResolvedValue(feed);
+      User.findById.mockResolvedValue({ _id: feed.owner, status: 'active' });
+      const find = jest.spyOn(ClientProcedure, 'find');
+
+      jest.spyOn(Client, 'findById').mockResolvedValueOnce(new Client({ name: 'Rossi', isActive: false }));
+      await expect(calendarFeedService.renderFeed('token')).resolves.toBeNull();
+
+      Client.findById.mockResolvedValueOnce(new Client({ name: 'Anonimo', gdprErasure: { erasedAt: NOW } }));
+      await expect(calendarFeedService.renderFeed('token')).resolves.toBeNull();
+
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const Client = require('../../src/models/Client');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const Document = require('../../src/models/Document');
+const Conversation = require('../../src/models/Conversation');
+const ActivityLog = require('../../src/models/ActivityLog');
+const clientDuplicateService = require('../../src/services/clientDuplicateService');
+
+jest.mock('../../src/services/clientHistoryService');
+
+describe('Client Duplicate Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('nameSimilarity', () => {
+    test('dovrebbe ignorare forma giuridica, punteggiatura e ordine delle parole', () => {
+      expect(clientDuplicateService.nameSimilarity('Tecnoservice S.r.l.', 'TECNOSERVICE SRL')).toBe(1);
+      expect(clientDuplicateService.nameSimilarity('Rossi Mario', 'Mario Rossi')).toBe(1);
+      expect(clientDuplicateService.nameSimilarity('Mario Rossi', 'Laura Bianchi')).toBeLessThan(0.5);
+    });
+  });
+
+  describe('findDuplicatePairs', () => {
+    const clients = [
+      {
+        _id: 'c1',
+        name: 'Tecnoservice SRL',
+        fiscalCode: '12345678903',
+        vatNumber: '12345678903',
+        contactInfo: { email: 'info@tecnoservice.it' },
+        legalRepresentative: { fiscalCode: 'RSSMRA80A01H501U' }
+      },
+      {
+        _id: 'c2',
+        name: 'Tecnoservise S.r.l.',
+        fiscalCode: '01114601006',
+        contactInfo: { email: 'amministrazione@tecnoservice.it' },
+        legalRepresentative: { fiscalCode: 'BNCLRA75B42H501K' }
+      },
+      {
+        _id: 'c3',
+        name: 'Mario Rossi',
+        fiscalCode: 'RSSMRA80A01H501U',
+        contactInfo: { email: 'mario.rossi@gmail.com' },
+        legalRepresentative: { fiscalCode: 'RSSMRA80A01H501U' }
+      },
+      {
+        _id: 'c4',
+        name: 'Laura Verdi',
+        fiscalCode: 'VRDGPP82C03F205K',
+        contactInfo: { email: 'laura.verdi@gmail.com' },
+        legalRepresentative: { fiscalCode: 'VRDGPP82C03F205K' }
+      }
+    ];
+
+    test('dovrebbe proporre le coppie sospette con i relativi indizi', () => {
+      const pairs = clientDuplicateService.findDuplicatePairs(clients);
+      const ids = pairs.map(pair => pair.clients.map(c => c._id).join('-'));
+
+      expect(ids).toEqual(expect.arrayContaining(['c1-c2', 'c1-c3']));
+      expect(ids).not.toContain('c3-c4');
+
+      const nameMatch = pairs.find(pair => pair.clients[1]._id === 'c2');
+      expect(nameMatch.reasons.map(r => r.type)).toEqual(['name', 'emailDomain']);
+
+      const personalMatch = pairs.find(pair => pair.clients[1]._id === 'c3');
+      expect(personalMatch.reasons.map(r => r.type)).toEqual(
+        expect.arrayContaining(['legalRepresentative', 'personalFiscalCode'])
+      );
+    });
+
+    test('dovrebbe non considerare i domini email generici', () => {
+      const { reasons } = clientDuplicateService.compareClients(clients[2], clients[3]);
+
+      expect(reasons).toEqual([]);
+    });
+
+    test('dovrebbe limitare le coppie al cliente richiesto', () => {
+      const pairs = clientDuplicateService.findDuplicatePairs(clients, { clientId: 'c2' });
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].clients.map(c => c._id)).toEqual(['c1', 'c2']);
+    });
+  });
+
+  describe('mergeClients', () => {
+    test('dovrebbe spostare dati e record collegati nel cliente mantenuto', async () => {
+      const survivor = new Client({
+        name: 'Tecnoservice SRL',
+        fiscalCode: '12345678903',
+        contactInfo: { email: 'info@tecnoservice.it' },
+        services: ['Buste Paga'],
+        tags: ['vip'],
+        documents: [{ name: 'Visura', path: '/docs/visura.pdf' }],
+        onboarding: {
+          checklist: [{ name: 'Documento identità', status: 'in_attesa' }]
+        }
+      });
+      const duplicate = new Client({
+        name: 'Tecnoservise SRL',
+        fiscalCode: '01114601006',
+        contactInfo: { email: 'amministrazione@tecnoservice.it' },
+        services: ['Buste Paga', 'Modello 770'],
+        tags: ['vip', 'nord'],
+        notes: 'Cliente storico',
+        documents: [
+          { name: 'Visura', path: '/docs/visura.pdf' },
+          { name: 'Statuto', path: '/docs/statuto.pdf' }
+        ],
+        onboarding: {
+          checklist: [
+            { name: 'Documento identità', status: 'verificato' },
+            { name: 'Atto costitutivo', status: 'caricato' }
+          ]
+        }
+      });
+      survivor.save = jest.fn().mockResolvedValue(survivor);
+      duplicate.save = jest.fn().mockResolvedValue(duplicate);
+
+      jest.spyOn(Client, 'findById').mockImplementation(id =>
+        Promise.resolve(id === survivor._id ? survivor : duplicate));
+
+      const mockFind = (Model, ids) => jest.spyOn(Model, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue(ids.map(_id => ({ _id })))
+      });
+      mockFind(ClientProcedure, ['p1']);
+      mockFind(Document, ['d1', 'd2']);
+      mockFind(Conversation, []);
+      jest.spyOn(ClientProcedure, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Document, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Conversation, 'updateMany').mockResolvedValue({});
+      jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+
+      const { moved } = await clientDuplicateService.mergeClients(survivor._id, duplicate._id, { _id: 'user1' });
+
+      expect(moved.documents).toEqual(['Statuto']);
+      expect(moved.services).toEqual(['Modello 770']);
+      expect(moved.tags).toEqual(['nord']);
+      expect(moved.checklistItems).toEqual(['Documento identità', 'Atto costitutivo']);
+      expect(moved.clientProcedures).toEqual(['p1']);
+      expect(moved.documentRecords).toEqual(['d1', 'd2']);
+      expect(moved.conversations).toEqual([]);
+
+      expect(survivor.documents).toHaveLength(2);
+      expect(survivor.onboarding.checklist[0].status).toBe('verificato');
+      expect(survivor.notes).toBe('[Da Tecnoservise SRL] Cliente storico');
+      expect(Document.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['d1', 'd2'] } },
+        { clientId: survivor._id }
+      );
+      expect(Conversation.updateMany).not.toHaveBeenCalled();
+
+      expect(duplicate.isActive).toBe(false);
+      expect(duplicate.mergedInto).toEqual(survivor._id);
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user1',
+        activityType: 'client_merge',
+        client: survivor._id,
+        details: expect.objectContaining({ resumed: false })
+      }));
+    });
+
+    test('dovrebbe riprendere un\'unione interrotta senza duplicare le note', async () => {
+      const survivor = new Client({
+        name: 'Tecnoservice SRL',
+        notes: '[Da Tecnoservise SRL] Cliente storico'
+      });
+      const duplicate = new Client({
+        name: 'Tecnoservise SRL',
+        notes: 'Cliente storico',
+        mergedInto: survivor._id
+      });
+      survivor.save = jest.fn().mockResolvedValue(survivor);
+      duplicate.save = jest.fn().mockResolvedValue(duplicate);
+
+      jest.spyOn(Client, 'findById').mockImplementation(id =>
+        Promise.resolve(id === survivor._id ? survivor : duplicate));
+      [ClientProcedure, Document, Conversation].forEach(Model => jest.spyOn(Model, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([])
+      }));
+      jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+
+      await clientDuplicateService.mergeClients(survivor._id, duplicate._id);
+
+      expect(survivor.notes).toBe('[Da Tecnoservise SRL] Cliente storico');
+      expect(duplicate.mergedAt).toBeInstanceOf(Date);
+      expect(duplicate.isActive).toBe(false);
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        details: expect.objectContaining({ resumed: true })
+      }));
+    });
+
+    test('dovrebbe rifiutare un duplicato con un\'unione in corso verso un altro cliente', async () => {
+      const survivor = new Client({ name: 'Tecnoservice SRL' });
+      const other = new Client({ name: 'Tecnoservice Italia SRL' });
+      const duplicate = new Client({ name: 'Tecnoservise SRL', mergedInto: other._id });
+
+      jest.spyOn(Client, 'findById').mockImplementation(id =>
+        Promise.resolve(id === survivor._id ? survivor : duplicate));
+
+      await expect(clientDuplicateService.mergeClients(survivor._id, duplicate._id))
+        .rejects.toThrow('unione in corso con un altro cliente');
+    });
+
+    test('dovrebbe escludere il log dell\'unione dalla scadenza automatica', async () => {
+      const mergeLog = new ActivityLog({ activityType: 'client_merge' });
+      const assistantLog = new ActivityLog({ activityType: 'assistant_question' });
+
+      await Promise.all([mergeLog.validate(), assistantLog.validate()]);
+
+      expect(mergeLog.retention).toBe('permanent');
+      expect(assistantLog.retention).toBe('standard');
+    });
+
+    test('dovrebbe rifiutare l\'unione di un cliente con se stesso', async () => {
+      await expect(clientDuplicateService.mergeClients('c1', 'c1'))
+        .rejects.toThrow('Non è possibile unire un cliente con se stesso');
+    });
+  });
+});
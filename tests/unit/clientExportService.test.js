@@ -0,0 +1,113 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const clientExportService = require('../../src/services/clientExportService');
+
+describe('Client Export Service', () => {
+  const clients = [
+    {
+      name: 'Tecnoservice; SRL',
+      fiscalCode: '12345678903',
+      contactInfo: { email: 'info@tecnoservice.it', address: { city: 'Milano' } },
+      tags: ['vip', 'nord'],
+      isActive: true,
+      createdAt: new Date('2025-01-15T10:00:00Z')
+    },
+    {
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: { email: 'mario@example.com' }
+    }
+  ];
+
+  // Esegue l'esportazione su uno stream in memoria e restituisce il contenuto
+  const runExport = async (options, list = clients) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const count = await clientExportService.exportClients(list, output, options);
+    output.end();
+
+    return { count, content: Buffer.concat(chunks) };
+  };
+
+  test('dovrebbe usare le colonne predefinite se non ne viene richiesta nessuna', () => {
+    const columns = clientExportService.resolveColumns('');
+
+    expect(columns.map(c => c.key)).toEqual(clientExportService.DEFAULT_COLUMNS);
+  });
+
+  test('dovrebbe rifiutare colonne non esportabili', () => {
+    expect(() => clientExportService.resolveColumns('name,passwordHash'))
+      .toThrow('Colonne non esportabili: passwordHash');
+  });
+
+  test('dovrebbe appiattire i campi annidati', () => {
+    const columns = clientExportService.resolveColumns('name,contactInfo.address.city,tags,isActive,createdAt');
+    const row = clientExportService.flattenClient(clients[0], columns);
+
+    expect(row).toEqual({
+      'Nome': 'Tecnoservice; SRL',
+      'Città': 'Milano',
+      'Tag': 'vip; nord',
+      'Attivo': 'Sì',
+      'Data Registrazione': '2025-01-15'
+    });
+  });
+
+  test('dovrebbe esportare in CSV con separatore punto e virgola', async () => {
+    const columns = clientExportService.resolveColumns(['name', 'contactInfo.email']);
+    const { count, content } = await runExport({ format: 'csv', columns });
+    const lines = content.toString('utf8').replace(/^\uFEFF/, '').split('\r\n');
+
+    expect(count).toBe(2);
+    expect(lines[0]).toBe('Nome;Email');
+    expect(lines[1]).toBe('"Tecnoservice; SRL";info@tecnoservice.it');
+    expect(lines[2]).toBe('Mario Rossi;mario@example.com');
+  });
+
+  test('dovrebbe esportare in JSON', async () => {
+    const columns = clientExportService.resolveColumns(['fiscalCode']);
+    const { content } = await runExport({ format: 'json', columns });
+
+    expect(JSON.parse(content.toString('utf8'))).toEqual([
+      { 'Codice Fiscale': '12345678903' },
+      { 'Codice Fiscale': 'RSSMRA80A01H501U' }
+    ]);
+  });
+
+  test('dovrebbe esportare in XLSX', async () => {
+    const columns = clientExportService.resolveColumns(['name', 'contactInfo.address.city']);
+    const { content } = await runExport({ format: 'xlsx', columns });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(content);
+    const sheet = workbook.getWorksheet('Clienti');
+
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['Nome', 'Città']);
+    expect(sheet.getRow(2).values.slice(1)).toEqual(['Tecnoservice; SRL', 'Milano']);
+    expect(sheet.rowCount).toBe(3);
+  });
+
+  test('dovrebbe neutralizzare le formule nelle celle di CSV e XLSX', async () => {
+    const columns = clientExportService.resolveColumns(['name', 'contactInfo.phone', 'notes']);
+    const unsafe = [{
+      name: '=HYPERLINK("http://example.com";"Apri")',
+      contactInfo: { phone: '+39 02 1234567' },
+      notes: '@SUM(A1)'
+    }];
+
+    const csv = await runExport({ format: 'csv', columns }, unsafe);
+    const line = csv.content.toString('utf8').split('\r\n')[1];
+    expect(line).toBe('"\'=HYPERLINK(""http://example.com"";""Apri"")";\'+39 02 1234567;\'@SUM(A1)');
+
+    const xlsx = await runExport({ format: 'xlsx', columns }, unsafe);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsx.content);
+    expect(workbook.getWorksheet('Clienti').getRow(2).values.slice(1)).toEqual([
+      '\'=HYPERLINK("http://example.com";"Apri")',
+      '\'+39 02 1234567',
+      '\'@SUM(A1)'
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+const Client = require('../../src/models/Client');
+const ClientHistory = require('../../src/models/ClientHistory');
+const clientHistoryService = require('../../src/services/clientHistoryService');
+
+describe('Client History Service', () => {
+  const baseClient = {
+    name: 'Tecnoservice SRL',
+    fiscalCode: '12345678903',
+    vatNumber: '12345678903',
+    accountingRegime: 'Semplificato',
+    contactInfo: { email: 'info@tecnoservice.it', address: { city: 'Milano' } },
+    legalRepresentative: { firstName: 'Mario', lastName: 'Rossi', fiscalCode: 'RSSMRA80A01H501U' },
+    tags: ['vip']
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('diffClient', () => {
+    test('dovrebbe restituire solo i campi modificati con valore precedente e nuovo', () => {
+      const before = new Client(baseClient);
+      const after = new Client(before.toObject());
+      after.set({
+        vatNumber: '01114601006',
+        accountingRegime: 'Ordinario',
+        'legalRepresentative.lastName': 'Bianchi',
+        tags: ['vip', 'nord']
+      });
+
+      const changes = clientHistoryService.diffClient(before, after);
+
+      expect(changes).toEqual([
+        { field: 'accountingRegime', oldValue: 'Semplificato', newValue: 'Ordinario' },
+        { field: 'legalRepresentative.lastName', oldValue: 'Rossi', newValue: 'Bianchi' },
+        { field: 'tags', oldValue: ['vip'], newValue: ['vip', 'nord'] },
+        { field: 'vatNumber', oldValue: '12345678903', newValue: '01114601006' }
+      ]);
+    });
+
+    test('dovrebbe ignorare i campi gestiti automaticamente', () => {
+      const changes = clientHistoryService.diffClient(
+        { ...baseClient, updatedAt: new Date('2025-01-01'), lastContactDate: new Date('2025-01-01') },
+        { ...baseClient, updatedAt: new Date('2025-02-01'), lastContactDate: new Date('2025-02-01') }
+      );
+
+      expect(changes).toEqual([]);
+    });
+
+    test('dovrebbe registrare campi aggiunti o rimossi', () => {
+      const changes = clientHistoryService.diffClient(
+        { ...baseClient, notes: 'Da richiamare' },
+        { ...baseClient, foundingDate: new Date('2020-03-01T00:00:00Z') }
+      );
+
+      expect(changes).toEqual([
+        { field: 'foundingDate', oldValue: null, newValue: '2020-03-01T00:00:00.000Z' },
+        { field: 'notes', oldValue: 'Da richiamare', newValue: null }
+      ]);
+    });
+  });
+
+  describe('recordChanges', () => {
+    test('dovrebbe salvare autore, origine e dati della richiesta', async () => {
+      jest.spyOn(ClientHistory, 'create').mockImplementation(data => Promise.resolve(data));
+      const req = {
+        method: 'PUT',
+        originalUrl: '/api/clients/abc',
+        ip: '127.0.0.1',
+        get: () => 'jest'
+      };
+
+      const entry = await clientHistoryService.recordChanges(
+        { ...baseClient, _id: 'abc' },
+        { ...baseClient, _id: 'abc', accountingRegime: 'Forfettario' },
+        { user: { _id: 'user1' }, source: 'api', req }
+      );
+
+      expect(entry).toMatchObject({
+        clientId: 'abc',
+        changedBy: 'user1',
+        source: 'api',
+        changes: [{ field: 'accountingRegime', oldValue: 'Semplificato', newValue: 'Forfettario' }],
+        requestInfo: { method: 'PUT', path: '/api/clients/abc', ip: '127.0.0.1', userAgent: 'jest' }
+      });
+    });
+
+    test('dovrebbe non creare voci se non ci sono modifiche', async () => {
+      jest.spyOn(ClientHistory, 'create');
+
+      const entry = await clientHistoryService.recordChanges(baseClient, { ...baseClient });
+
+      expect(entry).toBeNull();
+      expect(ClientHistory.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const ExcelJS = require('exceljs');
+const Client = require('../../src/models/Client');
+const clientImportService = require('../../src/services/clientImportService');
+
+jest.mock('../../src/services/clientHistoryService');
+
+describe('Client Import Service', () => {
+  const header = 'Ragione Sociale;Codice Fiscale;Partita IVA;Tipo Società;Email;Indirizzo;Città;Provincia;CAP;Nome Rappresentante;Cognome Rappresentante;Codice Fiscale Rappresentante';
+  const validRow = 'Tecnoservice SRL;12345678903;12345678903;SRL;info@tecnoservice.it;Via Roma 1;Milano;mi;20100;Mario;Rossi;RSSMRA80A01H501U';
+
+  const csvFile = (lines) => ({
+    originalname: 'clienti.csv',
+    mimetype: 'text/csv',
+    buffer: Buffer.from(lines.join('\n'), 'utf8')
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Client, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([])
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('dovrebbe riconoscere il separatore punto e virgola e i campi tra virgolette', () => {
+      const rows = clientImportService.parseCsv('Nome;Note\n"Rossi; Bianchi";"Dice ""ciao"""\n\n');
+
+      expect(rows).toEqual([{ Nome: 'Rossi; Bianchi', Note: 'Dice "ciao"' }]);
+    });
+
+    test('dovrebbe usare la virgola come separatore se prevalente', () => {
+      const rows = clientImportService.parseCsv('Nome,Email\r\nMario,mario@example.com');
+
+      expect(rows).toEqual([{ Nome: 'Mario', Email: 'mario@example.com' }]);
+    });
+  });
+
+  describe('mapRowToClient', () => {
+    test('dovrebbe mappare le intestazioni su campi annidati e normalizzare i valori', () => {
+      const { data, unmappedColumns } = clientImportService.mapRowToClient({
+        'Codice Fiscale': ' rssmra80a01h501u ',
+        'P.IVA': 'IT 12345678903',
+        'Provincia': 'mi',
+        'contactInfo.address.city': 'Milano',
+        'Servizi': 'Buste Paga; Modello 770',
+        'Colonna Sconosciuta': 'x'
+      });
+
+      expect(data.fiscalCode).toBe('RSSMRA80A01H501U');
+      expect(data.vatNumber).toBe('12345678903');
+      expect(data.contactInfo.address).toEqual({ province: 'MI', city: 'Milano' });
+      expect(data.services).toEqual(['Buste Paga', 'Modello 770']);
+      expect(unmappedColumns).toEqual(['Colonna Sconosciuta']);
+    });
+
+    test('dovrebbe ignorare i campi del modello non importabili', () => {
+      const { data, unmappedColumns } = clientImportService.mapRowToClient({
+        'Nome': 'Rossi Srl',
+        'isActive': 'false',
+        'mergedInto': '64b000000000000000000001',
+        'gdprErasure.erasedAt': '2024-01-01',
+        'Stato': 'completato'
+      }, { 'Stato': 'onboarding.status' });
+
+      expect(data).toEqual({ name: 'Rossi Srl' });
+      expect(unmappedColumns).toEqual(['isActive', 'mergedInto', 'gdprErasure.erasedAt', 'Stato']);
+    });
+  });
+
+  describe('validateRow', () => {
+    test('dovrebbe segnalare codici fiscali, partita IVA e campi obbligatori non validi', () => {
+      const { errors } = clientImportService.validateRow({
+        name: 'Cliente',
+        fiscalCode: 'RSSMRA80A01H501Z',
+        vatNumber: '12345678901',
+        contactInfo: { email: 'non-una-email' }
+      });
+
+      const fields = errors.map(e => e.field);
+      expect(fields).toContain('fiscalCode');
+      expect(fields).toContain('vatNumber');
+      expect(fields).toContain('contactInfo.email');
+      expect(fields).toContain('legalRepresentative.fiscalCode');
+      expect(fields).toContain('contactInfo.address.city');
+    });
+  });
+
+  describe('buildImportReport', () => {
+    test('dovrebbe produrre un report riga per riga senza salvare', async () => {
+      const createSpy = jest.spyOn(Client, 'create');
+
+      const report = await clientImportService.buildImportReport(csvFile([
+        header,
+        validRow,
+        'Cliente Errato;ABC;;SRL;;;;;;;;'
+      ]));
+
+      expect(report.totalRows).toBe(2);
+      expect(report.summary.valid).toBe(1);
+      expect(report.summary.invalid).toBe(1);
+      expect(report.rows[0]).toMatchObject({ rowNumber: 2, action: 'create' });
+      expect(report.rows[0].data.contactInfo.address.province).toBe('MI');
+      expect(report.rows[0].data.legalRepresentative.lastName).toBe('Rossi');
+      expect(report.rows[1].action).toBe('invalid');
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    test('dovrebbe segnalare i duplicati nel database e nel file', async () => {
+      Client.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'client1', name: 'Tecnoservice', fiscalCode: '12345678903', contactInfo: { email: 'altro@example.com' } }
+        ])
+      });
+
+      const report = await clientImportService.buildImportReport(csvFile([header, validRow, validRow]));
+
+      expect(report.rows[0].action).toBe('duplicate');
+      expect(report.rows[0].duplicates.inDatabase).toEqual({
+        clientId: 'client1',
+        name: 'Tecnoservice',
+        matchedOn: ['fiscalCode']
+      });
+      expect(report.rows[1].action).toBe('skip');
+      expect(report.rows[1].duplicates.inFile.rowNumber).toBe(2);
+    });
+
+    test('dovrebbe leggere i file XLSX', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Clienti');
+      sheet.addRow(header.split(';'));
+      sheet.addRow(validRow.split(';'));
+      const buffer = await workbook.xlsx.writeBuffer();
+
+      const report = await clientImportService.buildImportReport({
+        originalname: 'clienti.xlsx',
+        mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        buffer: Buffer.from(buffer)
+      });
+
+      expect(report.rows[0].action).toBe('create');
+      expect(report.rows[0].data.name).toBe('Tecnoservice SRL');
+    });
+
+    test('dovrebbe rifiutare formati non supportati', async () => {
+      await expect(clientImportService.buildImportReport({
+        originalname: 'clienti.pdf',
+        mimetype: 'application/pdf',
+        buffer: Buffer.from('')
+      })).rejects.toThrow('Formato file non supportato');
+    });
+  });
+
+  describe('commitImport', () => {
+    test('dovrebbe creare, unire o saltare le righe secondo le decisioni', async () => {
+      const existing = new Client({
+        name: 'Vecchio Nome',
+        fiscalCode: 'BNCLRA75B42H501K',
+        contactInfo: { email: 'laura@example.com' },
+        tags: ['storico']
+      });
+      existing.save = jest.fn().mockResolvedValue(existing);
+
+      jest.spyOn(Client, 'findById').mockResolvedValue(existing);
+      jest.spyOn(Client, 'create').mockResolvedValue({ _id: 'newClient' });
+
+      const report = {
+        fileName: 'clienti.csv',
+        totalRows: 4,
+        rows: [
+          { rowNumber: 2, action: 'create', data: { name: 'Nuovo' } },
+          { rowNumber: 3, action: 'duplicate', data: { name: 'Laura Bianchi', tags: ['importato'] }, duplicates: { inDatabase: { clientId: existing._id } } },
+          { rowNumber: 4, action: 'duplicate', data: { name: 'Altro' }, duplicates: { inDatabase: { clientId: 'x' } } },
+          { rowNumber: 5, action: 'invalid', data: {} }
+        ]
+      };
+
+      const result = await clientImportService.commitImport(report, { 3: 'merge' }, { role: 'operator', _id: 'op1' });
+
+      expect(result.summary).toEqual({ created: 1, merged: 1, skipped: 2, failed: 0 });
+      expect(Client.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Nuovo', onboarding: expect.objectContaining({ assignedTo: 'op1' }) }));
+      expect(existing.name).toBe('Laura Bianchi');
+      expect(existing.tags).toEqual(['storico', 'importato']);
+      expect(existing.save).toHaveBeenCalled();
+    });
+
+    test('dovrebbe registrare come fallite le righe che violano un indice univoco', async () => {
+      const duplicateKeyError = new Error('E11000 duplicate key');
+      duplicateKeyError.code = 11000;
+      jest.spyOn(Client, 'create').mockRejectedValue(duplicateKeyError);
+
+      const result = await clientImportService.commitImport({
+        rows: [{ rowNumber: 2, action: 'create', data: { name: 'Nuovo' } }]
+      });
+
+      expect(result.summary.failed).toBe(1);
+      expect(result.results[0].error).toBe('Cliente già presente (chiave duplicata)');
+    });
+  });
+});
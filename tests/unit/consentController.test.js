@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Client = require('../../src/models/Client');
+const consentService = require('../../src/services/consentService');
+const consentController = require('../../src/controllers/consentController');
+
+jest.mock('../../src/services/documentGenerator', () => ({}));
+
+// Esegue un controller catchAsync e attende la risposta o l'errore
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ res, error }));
+});
+
+describe('Consent Controller', () => {
+  const operatorId = new mongoose.Types.ObjectId();
+  let client;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: { email: 'mario@example.com' },
+      onboarding: { assignedTo: new mongoose.Types.ObjectId() }
+    });
+
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    jest.spyOn(consentService, 'findClientsWithOutdatedConsent').mockResolvedValue({ policy: { version: '2.0' }, clients: [], total: 0 });
+    jest.spyOn(consentService, 'getClientConsentHistory').mockResolvedValue([]);
+    jest.spyOn(consentService, 'generateReconsentLetters').mockResolvedValue({ generated: [] });
+  });
+
+  it('dovrebbe negare ai clienti del portale l\'elenco dei consensi superati', async () => {
+    const { error } = await run(consentController.getOutdatedConsents, {
+      user: { _id: 'c1', role: 'customer' },
+      query: { assignedTo: operatorId }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(consentService.findClientsWithOutdatedConsent).not.toHaveBeenCalled();
+  });
+
+  it('dovrebbe negare agli operatori i consensi dei clienti assegnati ad altri', async () => {
+    const { error } = await run(consentController.getClientConsents, {
+      user: { _id: operatorId, role: 'operator' },
+      params: { id: client._id },
+      query: {}
+    });
+
+    expect(error.statusCode).toBe(403);
+
+    client.onboarding.assignedTo = operatorId;
+    const { res } = await run(consentController.getClientConsents, {
+      user: { _id: operatorId, role: 'operator' },
+      params: { id: client._id },
+      query: {}
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('dovrebbe controllare l\'operatore assegnato prima di generare le lettere', async () => {
+    const count = jest.spyOn(Client, 'countDocuments').mockResolvedValue(1);
+
+    const { error } = await run(consentController.generateReconsentLetters, {
+      user: { _id: operatorId, role: 'operator' },
+      body: { clientIds: [client._id] }
+    });
+
+    expect(count).toHaveBeenCalledWith({
+      _id: { $in: [client._id] },
+      'onboarding.assignedTo': { $exists: true, $ne: operatorId }
+    });
+    expect(error.statusCode).toBe(403);
+    expect(consentService.generateReconsentLetters).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+const Client = require('../../src/models/Client');
+const PrivacyPolicy = require('../../src/models/PrivacyPolicy');
+const ConsentEvent = require('../../src/models/ConsentEvent');
+const ActivityLog = require('../../src/models/ActivityLog');
+const documentGenerator = require('../../src/services/documentGenerator');
+const consentService = require('../../src/services/consentService');
+
+jest.mock('../../src/services/documentGenerator', () => ({
+  generateDocument: jest.fn()
+}));
+jest.mock('../../src/services/clientHistoryService');
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select', 'skip', 'limit'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+describe('Consent Service', () => {
+  let policy;
+  let client;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    policy = new PrivacyPolicy({
+      version: '2.0',
+      title: 'Informativa privacy clienti',
+      text: 'Testo dell\'informativa',
+      effectiveDate: new Date('2025-01-01'),
+      consentTypes: ['privacy', 'marketing']
+    });
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: { email: 'mario@example.com' },
+      dataConsent: { marketing: true, consentVersion: '1.0', consentDate: new Date('2023-05-01') }
+    });
+    client.save = jest.fn().mockResolvedValue(client);
+
+    jest.spyOn(PrivacyPolicy, 'findCurrent').mockResolvedValue(policy);
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+  });
+
+  describe('recordConsent', () => {
+    test('dovrebbe registrare l\'evento e aggiornare la versione del consenso', async () => {
+      jest.spyOn(ConsentEvent, 'create').mockImplementation(async (data) => data);
+
+      const { event, dataConsent } = await consentService.recordConsent(client._id, {
+        consentType: 'privacy',
+        action: 'granted',
+        channel: 'portale',
+        ipAddress: '10.0.0.1'
+      }, { user: { _id: 'user1' } });
+
+      expect(event).toMatchObject({ policyVersion: '2.0', consentType: 'privacy', channel: 'portale', recordedBy: 'user1' });
+      expect(dataConsent.consentVersion).toBe('2.0');
+      expect(dataConsent.ipAddress).toBe('10.0.0.1');
+      expect(dataConsent.marketing).toBe(true);
+      expect(client.save).toHaveBeenCalled();
+    });
+
+    test('dovrebbe aggiornare il singolo consenso in caso di revoca', async () => {
+      jest.spyOn(ConsentEvent, 'create').mockImplementation(async (data) => data);
+
+      const { dataConsent } = await consentService.recordConsent(client._id, {
+        consentType: 'marketing',
+        action: 'withdrawn',
+        channel: 'email'
+      });
+
+      expect(dataConsent.marketing).toBe(false);
+      expect(dataConsent.consentVersion).toBe('1.0');
+    });
+
+    test('dovrebbe rifiutare consensi non previsti dalla versione dell\'informativa', async () => {
+      await expect(consentService.recordConsent(client._id, {
+        consentType: 'thirdParty',
+        action: 'granted',
+        channel: 'cartaceo'
+      })).rejects.toThrow('non è previsto dalla versione 2.0');
+    });
+  });
+
+  describe('findClientsWithOutdatedConsent', () => {
+    test('dovrebbe cercare i clienti attivi con versione diversa da quella in vigore', async () => {
+      const findSpy = jest.spyOn(Client, 'find').mockReturnValue(mockQuery([client]));
+      jest.spyOn(Client, 'countDocuments').mockResolvedValue(1);
+
+      const result = await consentService.findClientsWithOutdatedConsent({ assignedTo: 'op1' });
+
+      expect(result.total).toBe(1);
+      expect(findSpy).toHaveBeenCalledWith(expect.objectContaining({
+        isActive: true,
+        'onboarding.assignedTo': 'op1',
+        'dataConsent.consentVersion': { $ne: '2.0' }
+      }));
+    });
+  });
+
+  describe('generateReconsentLetters', () => {
+    test('dovrebbe generare le lettere solo per i consensi da aggiornare', async () => {
+      const upToDate = new Client({
+        name: 'Laura Bianchi',
+        fiscalCode: 'BNCLRA75B42H501K',
+        contactInfo: { email: 'laura@example.com' },
+        dataConsent: { consentVersion: '2.0' }
+      });
+      jest.spyOn(Client, 'find').mockResolvedValue([client, upToDate]);
+      documentGenerator.generateDocument.mockResolvedValue('/tmp/privacy-reconsent.pdf');
+
+      const result = await consentService.generateReconsentLetters([client._id, upToDate._id, 'mancante']);
+
+      expect(result.summary).toEqual({ generated: 1, skipped: 1, failed: 1 });
+      expect(documentGenerator.generateDocument).toHaveBeenCalledTimes(1);
+      expect(documentGenerator.generateDocument).toHaveBeenCalledWith(
+        'privacy-reconsent',
+        expect.objectContaining({
+          name: 'Mario Rossi',
+          policy: expect.objectContaining({ version: '2.0', effectiveDate: '01/01/2025' }),
+          previousConsent: expect.objectContaining({ version: '1.0', date: '01/05/2023' })
+        }),
+        'pdf',
+        expect.any(Object)
+      );
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'privacy_reconsent_letters' }));
+    });
+  });
+});
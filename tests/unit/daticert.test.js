@@ -0,0 +1,64 @@
+const { parseDaticert } = require('../../src/utils/daticert');
+
+const DATICERT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE postacert SYSTEM "Postacert.dtd">
+<postacert tipo="avvenuta-consegna" errore="nessuno">
+  <intestazione>
+    <mittente>studio@pec.example.com</mittente>
+    <destinatari tipo="certificato">rossi@pec.example.com</destinatari>
+    <destinatari tipo="esterno">rossi@example.com</destinatari>
+    <risposte>studio@pec.example.com</risposte>
+    <oggetto>Documento Contratto.pdf - Rossi &amp; Figli SRL</oggetto>
+  </intestazione>
+  <dati>
+    <gestore-emittente>Gestore PEC di prova</gestore-emittente>
+    <data zona="+0200">
+      <giorno>11/05/2026</giorno>
+      <ora>09:15:30</ora>
+    </data>
+    <identificativo>opec21.20260511091500.1234@pec.example.com</identificativo>
+    <msgid>&lt;abc@studio&gt;</msgid>
+    <ricevuta tipo="completa" />
+    <consegna>rossi@pec.example.com</consegna>
+  </dati>
+</postacert>`;
+
+describe('daticert.xml', () => {
+  it('dovrebbe leggere gli estremi della ricevuta di consegna', () => {
+    const daticert = parseDaticert(DATICERT);
+
+    expect(daticert).toEqual({
+      type: 'avvenuta-consegna',
+      error: 'nessuno',
+      sender: 'studio@pec.example.com',
+      recipients: [
+        { address: 'rossi@pec.example.com', type: 'certificato' },
+        { address: 'rossi@example.com', type: 'esterno' }
+      ],
+      subject: 'Documento Contratto.pdf - Rossi & Figli SRL',
+      provider: 'Gestore PEC di prova',
+      date: new Date('2026-05-11T07:15:30Z'),
+      identifier: 'opec21.20260511091500.1234@pec.example.com',
+      messageId: '<abc@studio>',
+      receiptType: 'completa',
+      deliveredTo: 'rossi@pec.example.com',
+      extendedError: undefined
+    });
+  });
+
+  it('dovrebbe leggere il dettaglio degli errori di consegna', () => {
+    const daticert = parseDaticert(DATICERT
+      .replace('tipo="avvenuta-consegna" errore="nessuno"', 'tipo="errore-consegna" errore="no-dest"')
+      .replace('<ricevuta tipo="completa" />', '<errore-esteso>5.1.1 - Utente non esistente</errore-esteso>'));
+
+    expect(daticert.type).toBe('errore-consegna');
+    expect(daticert.error).toBe('no-dest');
+    expect(daticert.extendedError).toBe('5.1.1 - Utente non esistente');
+    expect(daticert.receiptType).toBeUndefined();
+  });
+
+  it('dovrebbe rifiutare i file che non sono ricevute PEC', () => {
+    expect(() => parseDaticert('<fattura />')).toThrow('daticert.xml non valido');
+    expect(() => parseDaticert('<postacert tipo="sconosciuto"></postacert>')).toThrow('daticert.xml non valido');
+  });
+});
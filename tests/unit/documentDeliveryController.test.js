@@ -0,0 +1,71 @@
+const documentDeliveryService = require('../../src/services/documentDeliveryService');
+const documentDeliveryController = require('../../src/controllers/documentDeliveryController');
+
+jest.mock('../../src/services/documentDeliveryService', () => ({
+  parseBounceMessage: jest.fn(),
+  handleBounce: jest.fn()
+}));
+jest.mock('../../src/services/fileStorageService', () => ({}));
+
+// Esegue un controller catchAsync e attende la risposta o l'errore
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ res, error }));
+});
+
+const bounceRequest = (secret) => ({
+  body: { deliveryId: 'd1', reason: 'Casella inesistente', permanent: true },
+  get: jest.fn(header => (header === 'x-webhook-secret' ? secret : undefined))
+});
+
+describe('Document Delivery Controller', () => {
+  const originalSecret = process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    documentDeliveryService.handleBounce.mockResolvedValue({ _id: 'd1', status: 'bounced' });
+  });
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET;
+    } else {
+      process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET = originalSecret;
+    }
+  });
+
+  describe('receiveBounce', () => {
+    it('dovrebbe rifiutare le notifiche se la chiave del webhook non è configurata', async () => {
+      delete process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET;
+
+      const { error } = await run(documentDeliveryController.receiveBounce, bounceRequest(''));
+
+      expect(error.statusCode).toBe(503);
+      expect(documentDeliveryService.handleBounce).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe rifiutare le notifiche con una chiave errata', async () => {
+      process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET = 'chiave-segreta';
+
+      const { error } = await run(documentDeliveryController.receiveBounce, bounceRequest('altra-chiave'));
+
+      expect(error.statusCode).toBe(401);
+      expect(documentDeliveryService.handleBounce).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe registrare il mancato recapito con la chiave corretta', async () => {
+      process.env.DOCUMENT_BOUNCE_WEBHOOK_SECRET = 'chiave-segreta';
+
+      const { res, body } = await run(documentDeliveryController.receiveBounce, bounceRequest('chiave-segreta'));
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(body.data.deliveryStatus).toBe('bounced');
+      expect(documentDeliveryService.handleBounce).toHaveBeenCalledWith(expect.objectContaining({ deliveryId: 'd1' }));
+    });
+  });
+});
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const Document = require('../../src/models/Document');
+const DocumentDelivery = require('../../src/models/DocumentDelivery');
+const Client = require('../../src/models/Client');
+const mailer = require('../../src/services/mailer');
+const fileStorageService = require('../../src/services/fileStorageService');
+const notificationService = require('../../src/services/notificationService');
+const pecService = require('../../src/services/pecService');
+const documentDeliveryService = require('../../src/services/documentDeliveryService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+
+jest.mock('../../src/services/mailer', () => ({
+  isConfigured: jest.fn(() => true),
+  sendMail: jest.fn()
+}));
+
+jest.mock('../../src/services/fileStorageService', () => ({
+  getFile: jest.fn(),
+  uploadFile: jest.fn()
+}));
+
+jest.mock('../../src/services/pecService', () => ({
+  isImapConfigured: jest.fn(() => true),
+  fetchReceipts: jest.fn()
+}));
+
+const NOW = new Date(2026, 4, 11, 9, 0);
+
+const smtpError = (message, fields) => Object.assign(new Error(message), fields);
+
+describe('Document Delivery Service', () => {
+  let client;
+  let document;
+  let userId;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    userId = new mongoose.Types.ObjectId();
+    client = new Client({
+      name: 'Rossi SRL',
+      fiscalCode: '12345678901',
+      companyType: 'SRL',
+      vatNumber: '12345678901',
+      accountingRegime: 'Ordinario'
+    });
+    document = new Document({
+      clientId: client._id,
+      filename: 'contratto-1.pdf',
+      originalName: 'Contratto.pdf',
+      mimeType: 'application/pdf',
+      size: 1024,
+      path: 'clients/rossi/contratto-1.pdf'
+    });
+
+    jest.spyOn(Document, 'findById').mockResolvedValue(document);
+    jest.spyOn(Document, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Client, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(client) });
+    jest.spyOn(DocumentDelivery, 'create').mockImplementation(data => Promise.resolve(new DocumentDelivery(data)));
+    jest.spyOn(DocumentDelivery.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(notificationService, 'notify').mockResolvedValue([]);
+    fileStorageService.getFile.mockResolvedValue(Buffer.from('%PDF'));
+  });
+
+  const newDelivery = (fields = {}) => new DocumentDelivery({
+    documentId: document._id,
+    clientId: client._id,
+    to: ['cliente@example.com'],
+    subject: 'Documento Contratto.pdf - Rossi SRL',
+    text: 'Gentile Rossi SRL',
+    sentBy: userId,
+    ...fields
+  });
+
+  describe('messaggio', () => {
+    it('dovrebbe compilare oggetto e testo dal modello', () => {
+      const message = documentDeliveryService.buildMessage(document, client, {
+        message: 'Restiamo a disposizione <per chiarimenti>.',
+        senderName: 'Mario Bianchi'
+      });
+
+      expect(message.subject).toBe('Documento Contratto.pdf - Rossi SRL');
+      expect(message.text).toContain('Gentile Rossi SRL,');
+      expect(message.text).toContain('Mario Bianchi');
+      expect(message.html).toContain('<p>Restiamo a disposizione &lt;per chiarimenti&gt;.</p>');
+    });
+
+    it('dovrebbe lasciare vuoti i segnaposto senza valore', () => {
+      expect(documentDeliveryService.renderTemplate('{{ clientName }} {{sconosciuto}}!', { clientName: 'Rossi' }))
+        .toBe('Rossi !');
+    });
+  });
+
+  describe('invio', () => {
+    it('dovrebbe allegare il file archiviato nello storage e segnare il documento come inviato', async () => {
+      mailer.sendMail.mockResolvedValue({ messageId: '<abc@studio>', accepted: ['cliente@example.com'], rejected: [] });
+
+      const delivery = await documentDeliveryService.sendDocumentByEmail(document._id, 'cliente@example.com', {
+        user: { _id: userId, firstName: 'Mario', lastName: 'Bianchi' }
+      });
+
+      expect(delivery.status).toBe('sent');
+      expect(delivery.messageId).toBe('<abc@studio>');
+      expect(fileStorageService.getFile).toHaveBeenCalledWith('clients/rossi/contratto-1.pdf');
+
+      const message = mailer.sendMail.mock.calls[0][0];
+      expect(message.attachments).toEqual([
+        { filename: 'Contratto.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF') }
+      ]);
+      expect(message.headers['X-Document-Delivery']).toBe(String(delivery._id));
+      expect(Document.updateOne).toHaveBeenLastCalledWith(
+        { _id: document._id },
+        expect.objectContaining({
+          $set: expect.objectContaining({ 'delivery.isSent': true, 'delivery.deliveryStatus': 'sent' })
+        })
+      );
+    });
+
+    it('dovrebbe rimettere in coda l\'invio se il server SMTP non è raggiungibile', async () => {
+      mailer.sendMail.mockRejectedValue(smtpError('connect ECONNREFUSED', { code: 'ECONNECTION' }));
+      const delivery = newDelivery();
+
+      await documentDeliveryService.processDelivery(delivery, { now: NOW });
+
+      expect(delivery.status).toBe('queued');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.nextAttemptAt).toEqual(new Date(NOW.getTime() + 5 * 60 * 1000));
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: document._id },
+        { $set: { 'delivery.deliveryStatus': 'pending', 'delivery.error': 'connect ECONNREFUSED' } }
+      );
+      expect(notificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe segnare come respinto un invio rifiutato in modo definitivo', async () => {
+      mailer.sendMail.mockRejectedValue(smtpError('550 Mailbox unavailable', { responseCode: 550 }));
+      const delivery = newDelivery();
+
+      await documentDeliveryService.processDelivery(delivery, { now: NOW });
+
+      expect(delivery.status).toBe('bounced');
+      expect(delivery.history[0].responseCode).toBe(550);
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: document._id },
+        { $set: { 'delivery.deliveryStatus': 'failed', 'delivery.error': '550 Mailbox unavailable' } }
+      );
+      expect(notificationService.notify).toHaveBeenCalledWith(
+        [userId],
+        expect.objectContaining({ type: 'document_delivery_failed' })
+      );
+    });
+
+    it('dovrebbe rinunciare dopo l\'ultimo tentativo', async () => {
+      mailer.sendMail.mockRejectedValue(smtpError('451 Try again later', { responseCode: 451 }));
+      const delivery = newDelivery({ attempts: 5, maxAttempts: 6 });
+
+      await documentDeliveryService.processDelivery(delivery, { now: NOW });
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.nextAttemptAt).toBeUndefined();
+      expect(notificationService.notify).toHaveBeenCalled();
+    });
+
+    it('dovrebbe ritentare gli invii in coda giunti a scadenza', async () => {
+      const delivery = newDelivery({ attempts: 1, nextAttemptAt: new Date(NOW.getTime() - 1000) });
+      jest.spyOn(DocumentDelivery, 'updateMany').mockResolvedValue({});
+      const limit = jest.fn().mockResolvedValue([delivery]);
+      const find = jest.spyOn(DocumentDelivery, 'find').mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+      mailer.sendMail.mockResolvedValue({ messageId: '<def@studio>', accepted: ['cliente@example.com'], rejected: [] });
+
+      const report = await documentDeliveryService.processQueue({ now: NOW });
+
+      expect(find).toHaveBeenCalledWith({ status: 'queued', nextAttemptAt: { $lte: NOW } });
+      expect(report).toEqual({ processed: 1, sent: 1, queued: 0, failed: 0 });
+      expect(delivery.attempts).toBe(2);
+    });
+  });
+
+  describe('mancato recapito', () => {
+    it('dovrebbe leggere una notifica DSN', () => {
+      const bounce = documentDeliveryService.parseBounceMessage([
+        'Reporting-MTA: dns; mx.example.com',
+        '',
+        'Final-Recipient: rfc822; cliente@example.com',
+        'Action: failed',
+        'Status: 5.1.1',
+        'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+        '',
+        'X-Document-Delivery: 6650f1a2b3c4d5e6f7a8b9c0'
+      ].join('\r\n'));
+
+      expect(bounce).toEqual({
+        deliveryId: '6650f1a2b3c4d5e6f7a8b9c0',
+        messageId: undefined,
+        recipient: 'cliente@example.com',
+        status: '5.1.1',
+        reason: 'smtp; 550 5.1.1 User unknown',
+        permanent: true
+      });
+    });
+
+    it('dovrebbe aggiornare l\'invio e il documento alla ricezione del mancato recapito', async () => {
+      const delivery = newDelivery({ status: 'sent', messageId: '<abc@studio>' });
+      jest.spyOn(DocumentDelivery, 'findOne').mockResolvedValue(delivery);
+
+      await documentDeliveryService.handleBounce({
+        messageId: '<abc@studio>',
+        recipient: 'cliente@example.com',
+        reason: 'User unknown'
+      });
+
+      expect(DocumentDelivery.findOne).toHaveBeenCalledWith({ messageId: '<abc@studio>' });
+      expect(delivery.status).toBe('bounced');
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: document._id },
+        { $set: { 'delivery.deliveryStatus': 'failed', 'delivery.error': 'cliente@example.com: User unknown' } }
+      );
+    });
+  });
+
+  describe('PEC', () => {
+    const receipt = (type, fields = {}) => ({
+      source: Buffer.from('ricevuta'),
+      receivedAt: NOW,
+      daticert: {
+        type,
+        error: 'nessuno',
+        identifier: 'opec21.20260511090000.1234@pec.example.com',
+        messageId: '<abc@studio>',
+        date: NOW,
+        ...fields
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Document, 'exists').mockResolvedValue(null);
+      fileStorageService.uploadFile.mockResolvedValue({ key: 'clients/rossi/pec-receipts/ricevuta.eml', size: 8 });
+    });
+
+    it('dovrebbe inviare tramite l\'account PEC', async () => {
+      mailer.sendMail.mockResolvedValue({ messageId: '<abc@studio>', accepted: ['rossi@pec.example.com'], rejected: [] });
+
+      const delivery = await documentDeliveryService.sendDocumentByPec(document._id, 'rossi@pec.example.com');
+
+      expect(delivery.channel).toBe('pec');
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: ['rossi@pec.example.com'] }), 'pec');
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: document._id },
+        expect.objectContaining({ $set: expect.objectContaining({ 'delivery.sentMethod': 'pec' }) })
+      );
+    });
+
+    it('dovrebbe allegare la ricevuta al documento e segnare la consegna', async () => {
+      const delivery = newDelivery({ channel: 'pec', status: 'sent', messageId: '<abc@studio>', to: ['Rossi@pec.example.com'] });
+      jest.spyOn(DocumentDelivery, 'findOne').mockResolvedValue(delivery);
+
+      await documentDeliveryService.handlePecReceipt(receipt('avvenuta-consegna', { deliveredTo: 'rossi@pec.example.com' }));
+
+      expect(DocumentDelivery.findOne).toHaveBeenCalledWith({ channel: 'pec', messageId: '<abc@studio>' });
+      expect(fileStorageService.uploadFile).toHaveBeenCalledWith(expect.objectContaining({
+        originalFilename: 'ricevuta-avvenuta-consegna-rossi@pec.example.com.eml',
+        mimeType: 'message/rfc822'
+      }));
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: document._id },
+        { $push: { 'delivery.receipts': expect.objectContaining({ type: 'avvenuta-consegna', path: 'clients/rossi/pec-receipts/ricevuta.eml' }) } }
+      );
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.deliveredAt).toEqual(NOW);
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: document._id },
+        { $set: { 'delivery.isSent': true, 'delivery.deliveryStatus': 'delivered' }, $unset: { 'delivery.error': '' } }
+      );
+    });
+
+    it('dovrebbe attendere le ricevute di consegna di tutti i destinatari', async () => {
+      const delivery = newDelivery({
+        channel: 'pec',
+        status: 'sent',
+        to: ['rossi@pec.example.com', 'bianchi@pec.example.com']
+      });
+      jest.spyOn(DocumentDelivery, 'findOne').mockResolvedValue(delivery);
+
+      await documentDeliveryService.handlePecReceipt(receipt('accettazione'));
+      await documentDeliveryService.handlePecReceipt(receipt('avvenuta-consegna', { deliveredTo: 'rossi@pec.example.com' }));
+
+      expect(delivery.status).toBe('sent');
+      expect(delivery.history.map(entry => entry.status)).toEqual(['accettazione', 'avvenuta-consegna']);
+      expect(fileStorageService.uploadFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('dovrebbe segnare come respinto l\'invio con ricevuta di errore di consegna', async () => {
+      const delivery = newDelivery({ channel: 'pec', status: 'sent' });
+      jest.spyOn(DocumentDelivery, 'findOne').mockResolvedValue(delivery);
+
+      await documentDeliveryService.handlePecReceipt(receipt('errore-consegna', {
+        deliveredTo: 'rossi@pec.example.com',
+        error: 'no-dest',
+        extendedError: '5.1.1 - Utente non esistente'
+      }));
+
+      expect(delivery.status).toBe('bounced');
+      expect(delivery.error).toBe('rossi@pec.example.com: 5.1.1 - Utente non esistente');
+      expect(notificationService.notify).toHaveBeenCalled();
+    });
+
+    it('dovrebbe ignorare le ricevute già registrate e quelle di altri messaggi', async () => {
+      const delivery = newDelivery({ channel: 'pec', status: 'sent' });
+      const findOne = jest.spyOn(DocumentDelivery, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(delivery);
+      Document.exists.mockResolvedValue({ _id: document._id });
+
+      await expect(documentDeliveryService.handlePecReceipt(receipt('accettazione'))).resolves.toBeNull();
+      await expect(documentDeliveryService.handlePecReceipt(receipt('accettazione'))).resolves.toBe(delivery);
+
+      expect(findOne).toHaveBeenCalledTimes(2);
+      expect(fileStorageService.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe segnare come lette solo le ricevute riconosciute', async () => {
+      jest.spyOn(DocumentDelivery, 'findOne').mockResolvedValue(null);
+      pecService.fetchReceipts.mockImplementation(async (handler) => ({
+        checked: 1,
+        handled: await handler(receipt('accettazione')) ? 1 : 0,
+        errors: 0
+      }));
+
+      await expect(documentDeliveryService.ingestPecReceipts()).resolves.toEqual({ checked: 1, handled: 0, errors: 0 });
+    });
+  });
+
+  it('dovrebbe distinguere gli errori temporanei da quelli definitivi', () => {
+    expect(documentDeliveryService.isPermanentFailure(smtpError('timeout', { code: 'ETIMEDOUT' }))).toBe(false);
+    expect(documentDeliveryService.isPermanentFailure(smtpError('auth', { code: 'EAUTH', responseCode: 535 }))).toBe(false);
+    expect(documentDeliveryService.isPermanentFailure(smtpError('busy', { responseCode: 421 }))).toBe(false);
+    expect(documentDeliveryService.isPermanentFailure(smtpError('no', { responseCode: 554 }))).toBe(true);
+  });
+});
@@ -0,0 +1,208 @@
+const Client = require('../../src/models/Client');
+const Document = require('../../src/models/Document');
+const ActivityLog = require('../../src/models/ActivityLog');
+const User = require('../../src/models/User');
+const documentGenerator = require('../../src/services/documentGenerator');
+const notificationService = require('../../src/services/notificationService');
+const clientHistoryService = require('../../src/services/clientHistoryService');
+const documentExpiryService = require('../../src/services/documentExpiryService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/documentGenerator', () => ({
+  generateDocument: jest.fn()
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+const NOW = new Date('2025-06-15T09:00:00Z');
+
+const daysFromNow = (days) => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('Document Expiry Service', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: { email: 'mario@example.com' },
+      documents: [
+        { name: 'Carta d\'identità', type: 'Identità', status: 'verificato', expiryDate: daysFromNow(-2) },
+        { name: 'Passaporto', type: 'Identità', status: 'verificato', expiryDate: daysFromNow(20) },
+        { name: 'Contratto di mandato', type: 'Contratto', status: 'verificato' }
+      ],
+      onboarding: {
+        checklist: [
+          { name: 'Documento d\'identità', status: 'verificato', verifiedAt: daysFromNow(-300) },
+          { name: 'Contratto di mandato', status: 'verificato' }
+        ]
+      }
+    });
+    client.save = jest.fn().mockResolvedValue(client);
+
+    jest.spyOn(Client, 'find').mockReturnValue(mockQuery([client]));
+    jest.spyOn(Document, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+    jest.spyOn(notificationService, 'notifyClientOperators').mockResolvedValue([]);
+    jest.spyOn(notificationService, 'notify').mockResolvedValue([]);
+    jest.spyOn(clientHistoryService, 'recordChanges').mockResolvedValue({});
+    User.find.mockReturnValue(mockQuery([{ _id: 'portal-user' }]));
+    documentGenerator.generateDocument.mockResolvedValue('/generated/document-renewal.pdf');
+  });
+
+  describe('getEffectiveExpiryDate', () => {
+    it('dovrebbe usare la validità convenzionale per DURC e visure', () => {
+      const uploadDate = new Date('2025-01-01');
+
+      expect(documentExpiryService.getEffectiveExpiryDate({ name: 'DURC', uploadDate }))
+        .toEqual(new Date('2025-05-01'));
+      expect(documentExpiryService.getEffectiveExpiryDate({ name: 'Visura camerale', uploadDate }))
+        .toEqual(new Date('2025-04-01'));
+      expect(documentExpiryService.getEffectiveExpiryDate({ name: 'Contratto', uploadDate })).toBeNull();
+    });
+
+    it('dovrebbe preferire la data di scadenza esplicita', () => {
+      expect(documentExpiryService.getEffectiveExpiryDate({
+        name: 'DURC',
+        uploadDate: new Date('2025-01-01'),
+        expiryDate: '2025-02-01'
+      })).toEqual(new Date('2025-02-01'));
+    });
+  });
+
+  describe('checkClientDocuments', () => {
+    it('dovrebbe segnare i documenti scaduti e riaprire la voce della checklist', () => {
+      const { expired, toRenew } = documentExpiryService.checkClientDocuments(client, [], { now: NOW, noticeDays: 30 });
+
+      expect(expired).toHaveLength(1);
+      expect(client.documents[0].status).toBe('scaduto');
+      expect(client.documents[0].expiredAt).toEqual(NOW);
+      expect(client.onboarding.checklist[0].status).toBe('in_attesa');
+      expect(client.onboarding.checklist[0].verifiedAt).toBeUndefined();
+      expect(client.onboarding.checklist[1].status).toBe('verificato');
+
+      expect(toRenew.map(doc => doc.name)).toEqual(['Carta d\'identità', 'Passaporto']);
+      expect(toRenew[0].expired).toBe(true);
+      expect(toRenew[1].expired).toBe(false);
+    });
+
+    it('non dovrebbe riaprire la voce già collegata al documento rinnovato', () => {
+      client.onboarding.checklist[0].documentId = client.documents[1]._id.toString();
+
+      const { expired } = documentExpiryService.checkClientDocuments(client, [], { now: NOW, noticeDays: 30 });
+
+      expect(expired).toHaveLength(1);
+      expect(expired[0].checklistItem).toBeNull();
+      expect(client.onboarding.checklist[0].status).toBe('verificato');
+    });
+
+    it('non dovrebbe richiedere il rinnovo di documenti oltre il preavviso', () => {
+      const { toRenew } = documentExpiryService.checkClientDocuments(client, [], { now: NOW, noticeDays: 10 });
+
+      expect(toRenew.map(doc => doc.name)).toEqual(['Carta d\'identità']);
+    });
+
+    it('dovrebbe considerare i documenti archiviati con validità convenzionale', () => {
+      const durc = new Document({
+        clientId: client._id,
+        filename: 'durc.pdf',
+        originalName: 'DURC.pdf',
+        mimeType: 'application/pdf',
+        size: 100,
+        path: 'clients/durc.pdf',
+        status: 'approved',
+        createdAt: daysFromNow(-130)
+      });
+
+      const { expired } = documentExpiryService.checkClientDocuments(client, [durc], { now: NOW });
+
+      expect(expired.map(doc => doc.name)).toContain('DURC.pdf');
+      expect(durc.status).toBe('expired');
+    });
+  });
+
+  describe('runExpiryCheck', () => {
+    it('dovrebbe generare la lettera di rinnovo e notificare operatori e portale', async () => {
+      const report = await documentExpiryService.runExpiryCheck({ now: NOW, noticeDays: 30 });
+
+      expect(report.clientsScanned).toBe(1);
+      expect(report.expired).toHaveLength(1);
+      expect(report.renewalRequests).toHaveLength(2);
+
+      expect(documentGenerator.generateDocument).toHaveBeenCalledTimes(1);
+      const [templateName, data] = documentGenerator.generateDocument.mock.calls[0];
+      expect(templateName).toBe('document-renewal');
+      expect(data.renewal.documents).toHaveLength(2);
+
+      expect(client.documents[1].renewalRequestedAt).toEqual(NOW);
+      expect(client.documents[1].renewalLetterPath).toBe('/generated/document-renewal.pdf');
+      expect(client.save).toHaveBeenCalled();
+
+      // La riapertura della checklist viene registrata nello storico del cliente
+      const [before, after, context] = clientHistoryService.recordChanges.mock.calls[0];
+      expect(before.onboarding.checklist[0].status).toBe('verificato');
+      expect(after.onboarding.checklist[0].status).toBe('in_attesa');
+      expect(context).toEqual({ source: 'system' });
+
+      expect(notificationService.notifyClientOperators).toHaveBeenCalledWith(client, expect.objectContaining({ type: 'document_expired' }));
+      expect(notificationService.notifyClientOperators).toHaveBeenCalledWith(client, expect.objectContaining({ type: 'document_renewal' }));
+      expect(notificationService.notify).toHaveBeenCalledWith(['portal-user'], expect.objectContaining({ link: '/portal' }));
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'document_expiry_check' }));
+    });
+
+    it('non dovrebbe ripetere la richiesta di rinnovo già inviata', async () => {
+      await documentExpiryService.runExpiryCheck({ now: NOW, noticeDays: 30 });
+      jest.clearAllMocks();
+
+      const report = await documentExpiryService.runExpiryCheck({ now: NOW, noticeDays: 30 });
+
+      expect(report.expired).toHaveLength(0);
+      expect(report.renewalRequests).toHaveLength(0);
+      expect(documentGenerator.generateDocument).not.toHaveBeenCalled();
+      expect(client.save).not.toHaveBeenCalled();
+    });
+
+    it('in modalità di prova non dovrebbe salvare né generare lettere', async () => {
+      const report = await documentExpiryService.runExpiryCheck({ now: NOW, noticeDays: 30, dryRun: true });
+
+      expect(report.dryRun).toBe(true);
+      expect(report.renewalRequests).toHaveLength(2);
+      expect(documentGenerator.generateDocument).not.toHaveBeenCalled();
+      expect(client.save).not.toHaveBeenCalled();
+      expect(clientHistoryService.recordChanges).not.toHaveBeenCalled();
+      expect(ActivityLog.create).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe proseguire con gli altri clienti in caso di errore', async () => {
+      documentGenerator.generateDocument.mockRejectedValue(new Error('Template non trovato'));
+
+      const report = await documentExpiryService.runExpiryCheck({ now: NOW });
+
+      expect(report.errors).toEqual([expect.objectContaining({ error: 'Template non trovato' })]);
+      expect(ActivityLog.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('getUpcomingExpirations', () => {
+    it('dovrebbe filtrare i clienti per operatore assegnato', async () => {
+      const operatorId = 'operator-1';
+
+      const results = await documentExpiryService.getUpcomingExpirations({ now: NOW, days: 30, assignedTo: operatorId });
+
+      expect(Client.find).toHaveBeenCalledWith(expect.objectContaining({ 'onboarding.assignedTo': operatorId }));
+      expect(Client.find.mock.calls[0][0]).not.toHaveProperty('assignedTo');
+      expect(results.map(item => item.name)).toEqual(['Carta d\'identità', 'Passaporto']);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Template = require('../../src/models/Template');
+const templateRevisionService = require('../../src/services/templateRevisionService');
+const documentGenerator = require('../../src/services/documentGenerator');
+
+jest.mock('ejs', () => ({ render: jest.fn() }), { virtual: true });
+jest.mock('../../src/services/exports', () => ({ generateDocument: jest.fn() }));
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+
+// Clausole con le rispettive revisioni; la clausola privacy è stata disattivata
+const CLAUSES = {
+  privacy: {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'privacy',
+    isActive: false,
+    current: 2,
+    revisions: { 1: 'Privacy v1 - {% include "firma" %}', 2: 'Privacy v2' }
+  },
+  firma: {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'firma',
+    isActive: true,
+    current: 3,
+    revisions: { 1: 'Firma v1', 3: 'Firma v3' }
+  }
+};
+
+const LETTER = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'lettera',
+  current: 4,
+  revisions: { 4: '<p>{{ name }}</p>{% include "firma" %}' }
+};
+
+const revisionOf = (template, number) => ({
+  _id: `${template.name}-${number}`,
+  revision: number,
+  snapshot: { content: template.revisions[number], engine: 'safe' }
+});
+
+describe('Document Generator', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jest.spyOn(Template, 'find').mockImplementation(query => Promise.resolve(
+      query.name.$in.map(name => CLAUSES[name]).filter(Boolean)
+    ));
+    jest.spyOn(Template, 'findOne').mockResolvedValue(LETTER);
+    jest.spyOn(templateRevisionService, 'resolveRevision').mockImplementation((template, number) => {
+      const source = template.name === LETTER.name ? LETTER : CLAUSES[template.name];
+      return Promise.resolve(revisionOf(source, number || source.current));
+    });
+  });
+
+  describe('clausole incluse', () => {
+    it('dovrebbe registrare la revisione corrente delle clausole attive', async () => {
+      const clauses = await documentGenerator.resolveClauses('lettera');
+
+      expect(clauses).toEqual([{ name: 'firma', template: CLAUSES.firma._id, revision: 3, revisionId: 'firma-3' }]);
+    });
+
+    it('dovrebbe usare le revisioni registrate sul documento anche per le clausole disattivate', async () => {
+      const html = await documentGenerator.renderTemplate(
+        { name: 'lettera', engine: 'safe', content: '{% include "privacy" %}' },
+        { name: 'Rossi Srl' },
+        { clauses: [{ name: 'privacy', revision: 1 }, { name: 'firma', revision: 1 }] }
+      );
+
+      expect(html).toBe('Privacy v1 - Firma v1');
+    });
+
+    it('senza revisioni registrate dovrebbe usare solo le clausole attive', async () => {
+      await expect(documentGenerator.renderTemplate(
+        { name: 'lettera', engine: 'safe', content: '{% include "firma" %}{% include "privacy" %}' },
+        { name: 'Rossi Srl' }
+      )).rejects.toThrow('Clausola non trovata: privacy');
+    });
+  });
+});
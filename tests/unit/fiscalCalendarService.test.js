@@ -0,0 +1,166 @@
+const fiscalCalendarService = require('../../src/services/fiscalCalendarService');
+
+describe('Fiscal Calendar Service', () => {
+  describe('festività e giorni lavorativi', () => {
+    it('dovrebbe calcolare la Pasqua e il Lunedì dell\'Angelo', () => {
+      expect(fiscalCalendarService.getEasterSunday(2025)).toEqual(new Date(2025, 3, 20));
+      expect(fiscalCalendarService.getEasterSunday(2026)).toEqual(new Date(2026, 3, 5));
+      expect(fiscalCalendarService.isHoliday(new Date(2026, 3, 6))).toBe(true);
+    });
+
+    it('dovrebbe riconoscere weekend e festività nazionali', () => {
+      expect(fiscalCalendarService.isBusinessDay(new Date(2026, 5, 2))).toBe(false);
+      expect(fiscalCalendarService.isBusinessDay(new Date(2026, 4, 16))).toBe(false);
+      expect(fiscalCalendarService.isBusinessDay(new Date(2026, 4, 18))).toBe(true);
+    });
+
+    it('dovrebbe spostare al primo giorno lavorativo successivo', () => {
+      // 25 aprile 2026 sabato, 26 domenica
+      expect(fiscalCalendarService.shiftToBusinessDay(new Date(2026, 3, 25))).toEqual(new Date(2026, 3, 27));
+      // 25 e 26 dicembre 2025 giovedì e venerdì, poi il weekend
+      expect(fiscalCalendarService.shiftToBusinessDay(new Date(2025, 11, 25))).toEqual(new Date(2025, 11, 29));
+    });
+
+    it('dovrebbe applicare la proroga di Ferragosto solo ai versamenti', () => {
+      expect(fiscalCalendarService.shiftToBusinessDay(new Date(2025, 7, 18), { payment: true })).toEqual(new Date(2025, 7, 20));
+      expect(fiscalCalendarService.shiftToBusinessDay(new Date(2025, 7, 18))).toEqual(new Date(2025, 7, 18));
+    });
+  });
+
+  describe('getDeadlineOccurrences', () => {
+    it('dovrebbe calcolare le liquidazioni IVA trimestrali', () => {
+      const deadlines = fiscalCalendarService.getDeadlineOccurrences('vat_quarterly', 2026);
+
+      expect(deadlines.map(d => d.dueDate)).toEqual([
+        new Date(2026, 4, 18),
+        new Date(2026, 7, 20),
+        new Date(2026, 10, 16)
+      ]);
+      expect(deadlines[0].shifted).toBe(true);
+      expect(deadlines[0].nominalDate).toEqual(new Date(2026, 4, 16));
+    });
+
+    it('dovrebbe calcolare la LIPE del quarto trimestre a fine febbraio', () => {
+      const deadlines = fiscalCalendarService.getDeadlineOccurrences('lipe', 2027);
+
+      // 29 febbraio 2028 è un martedì (anno bisestile)
+      expect(deadlines[3].dueDate).toEqual(new Date(2028, 1, 29));
+    });
+
+    it('dovrebbe calcolare le scadenze delle società dalla chiusura dell\'esercizio', () => {
+      const [redditi] = fiscalCalendarService.getDeadlineOccurrences('income_tax_companies', 2026, {
+        fiscalYearEnd: { month: 6, day: 30 }
+      });
+      const [bilancio] = fiscalCalendarService.getDeadlineOccurrences('financial_statements_approval', 2026, {
+        fiscalYearEnd: { month: 6, day: 30 }
+      });
+
+      expect(redditi.dueDate).toEqual(new Date(2027, 3, 30));
+      expect(bilancio.dueDate).toEqual(new Date(2026, 9, 28));
+    });
+
+    it('dovrebbe applicare l\'undicesimo mese per gli esercizi chiusi fino al 2022', () => {
+      const [redditi] = fiscalCalendarService.getDeadlineOccurrences('income_tax_companies', 2022, {
+        fiscalYearEnd: { month: 6, day: 30 }
+      });
+
+      expect(redditi.dueDate).toEqual(new Date(2023, 4, 31));
+    });
+
+    it('dovrebbe spostare bilancio e versamenti con l\'approvazione a 180 giorni', () => {
+      const options = { fiscalYearEnd: { month: 6, day: 30 }, approvalDays: 180 };
+      const [approvazione] = fiscalCalendarService.getDeadlineOccurrences('financial_statements_approval', 2026, options);
+      const [deposito] = fiscalCalendarService.getDeadlineOccurrences('financial_statements_filing', 2026, options);
+      const [saldo] = fiscalCalendarService.getDeadlineOccurrences('tax_advance_first', 2026, options);
+      const [secondoAcconto] = fiscalCalendarService.getDeadlineOccurrences('tax_advance_second', 2026, options);
+
+      // 27 dicembre 2026 è una domenica
+      expect(approvazione.dueDate).toEqual(new Date(2026, 11, 28));
+      expect(deposito.dueDate).toEqual(new Date(2027, 0, 26));
+      // 30 gennaio 2027 è un sabato
+      expect(saldo.dueDate).toEqual(new Date(2027, 1, 1));
+      // 31 maggio 2026 è una domenica
+      expect(secondoAcconto.dueDate).toEqual(new Date(2026, 5, 1));
+    });
+
+    it('dovrebbe rifiutare tipi di scadenza sconosciuti', () => {
+      expect(() => fiscalCalendarService.getDeadlineOccurrences('imu', 2026)).toThrow('Tipo di scadenza non riconosciuto');
+    });
+  });
+
+  describe('getNextDeadline', () => {
+    it('dovrebbe restituire la prima scadenza utile', () => {
+      const deadline = fiscalCalendarService.getNextDeadline('income_tax_individuals', { from: new Date(2026, 10, 3) });
+
+      expect(deadline.dueDate).toEqual(new Date(2027, 10, 2));
+      expect(deadline.periodLabel).toBe('Anno 2026');
+    });
+
+    it('dovrebbe risolvere la periodicità IVA', () => {
+      const monthly = fiscalCalendarService.getNextDeadline('vat_periodic', { from: new Date(2026, 0, 20) });
+      const quarterly = fiscalCalendarService.getNextDeadline('vat_periodic', {
+        from: new Date(2026, 0, 20),
+        vatPeriodicity: 'quarterly'
+      });
+
+      expect(monthly.type).toBe('vat_monthly');
+      expect(monthly.dueDate).toEqual(new Date(2026, 1, 16));
+      expect(quarterly.type).toBe('vat_quarterly');
+      expect(quarterly.dueDate).toEqual(new Date(2026, 4, 18));
+    });
+  });
+
+  describe('getClientFiscalProfile', () => {
+    it('dovrebbe usare la chiusura dell\'esercizio delle società', () => {
+      const profile = fiscalCalendarService.getClientFiscalProfile({
+        companyType: 'SRL',
+        fiscalYearEnd: { month: 6, day: 30 },
+        financialStatementsApprovalDays: 180
+      });
+
+      expect(profile.fiscalYearEnd).toEqual({ month: 6, day: 30 });
+      expect(profile.approvalDays).toBe(180);
+    });
+
+    it('dovrebbe usare l\'anno solare per le persone fisiche', () => {
+      const profile = fiscalCalendarService.getClientFiscalProfile({
+        companyType: 'Ditta Individuale',
+        fiscalYearEnd: { month: 6, day: 30 }
+      });
+
+      expect(profile.fiscalYearEnd).toEqual({ month: 12, day: 31 });
+      expect(profile.approvalDays).toBe(120);
+    });
+  });
+
+  describe('getClientDeadlineTypes', () => {
+    it('dovrebbe escludere IVA e IRAP per un forfettario', () => {
+      const types = fiscalCalendarService.getClientDeadlineTypes({
+        companyType: 'Ditta Individuale',
+        accountingRegime: 'Forfettario',
+        vatNumber: '12345678901'
+      });
+
+      expect(types).toContain('income_tax_individuals');
+      expect(types).not.toContain('vat_return');
+      expect(types).not.toContain('irap');
+    });
+
+    it('dovrebbe includere bilancio, IRAP e sostituto d\'imposta per una SRL', () => {
+      const client = {
+        companyType: 'SRL',
+        accountingRegime: 'Ordinario',
+        vatNumber: '12345678901',
+        annualRevenue: 300000,
+        employees: 3
+      };
+      const types = fiscalCalendarService.getClientDeadlineTypes(client);
+
+      expect(fiscalCalendarService.getVatPeriodicity(client)).toBe('quarterly');
+      expect(types).toEqual(expect.arrayContaining([
+        'vat_quarterly', 'lipe', 'vat_return', 'f24', 'cu', 'withholding_return',
+        'income_tax_companies', 'irap', 'financial_statements_approval'
+      ]));
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const JSZip = require('jszip');
+const Client = require('../../src/models/Client');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const ClientHistory = require('../../src/models/ClientHistory');
+const CalendarFeed = require('../../src/models/CalendarFeed');
+const Document = require('../../src/models/Document');
+const Conversation = require('../../src/models/Conversation');
+const ActivityLog = require('../../src/models/ActivityLog');
+const OnboardingSession = require('../../src/models/OnboardingSession');
+const DocumentDelivery = require('../../src/models/DocumentDelivery');
+const ConsentEvent = require('../../src/models/ConsentEvent');
+const TimeEntry = require('../../src/models/TimeEntry');
+const Notification = require('../../src/models/Notification');
+const User = require('../../src/models/User');
+const fileStorageService = require('../../src/services/fileStorageService');
+const gdprService = require('../../src/services/gdprService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/fileStorageService', () => ({
+  getFile: jest.fn(),
+  deleteFile: jest.fn()
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+describe('GDPR Service', () => {
+  let client;
+  let documents;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: {
+        email: 'mario@example.com',
+        address: { street: 'Via Roma 1', city: 'Milano', province: 'MI', postalCode: '20100' }
+      },
+      legalRepresentative: { firstName: 'Mario', lastName: 'Rossi', fiscalCode: 'RSSMRA80A01H501U' },
+      notes: 'Preferisce essere contattato la sera'
+    });
+    client.save = jest.fn().mockResolvedValue(client);
+
+    const future = new Date();
+    future.setFullYear(future.getFullYear() + 5);
+
+    documents = [
+      new Document({
+        clientId: client._id,
+        filename: 'f24.pdf',
+        originalName: 'F24 2024.pdf',
+        mimeType: 'application/pdf',
+        size: 100,
+        path: 'clients/f24.pdf',
+        retention: { mustRetainUntil: future, retentionCategory: 'fiscale', legalBasis: 'Art. 2220 c.c.' }
+      }),
+      new Document({
+        clientId: client._id,
+        filename: 'ci.pdf',
+        originalName: 'Carta identità.pdf',
+        mimeType: 'application/pdf',
+        size: 100,
+        path: 'clients/ci.pdf'
+      })
+    ];
+
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    jest.spyOn(Document, 'find').mockReturnValue(mockQuery(documents));
+    jest.spyOn(Conversation, 'find').mockReturnValue(mockQuery([{ messages: [{ role: 'user', content: 'Ciao' }] }]));
+    jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(ClientHistory, 'find').mockReturnValue(mockQuery([]));
+    User.find.mockReturnValue(mockQuery([]));
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+    jest.spyOn(OnboardingSession, 'find').mockReturnValue(mockQuery([
+      new OnboardingSession({
+        clientId: client._id,
+        currentPhase: 'datiFiscali',
+        answers: [{ phase: 'datiPersonali', questionId: 'codiceFiscale', value: 'RSSMRA80A01H501U' }]
+      })
+    ]));
+    jest.spyOn(DocumentDelivery, 'find').mockReturnValue(mockQuery([
+      { clientId: client._id, to: ['mario@example.com'], subject: 'Documento per Mario Rossi', status: 'sent' }
+    ]));
+    jest.spyOn(ConsentEvent, 'find').mockReturnValue(mockQuery([
+      { clientId: client._id, consentType: 'privacy', action: 'granted', channel: 'portale', ipAddress: '203.0.113.7' }
+    ]));
+  });
+
+  describe('buildAccessExport', () => {
+    test('dovrebbe creare uno ZIP con dati, documenti e indice', async () => {
+      fileStorageService.getFile
+        .mockResolvedValueOnce(Buffer.from('contenuto F24'))
+        .mockRejectedValueOnce(new Error('NoSuchKey'));
+
+      const { buffer, fileName, summary } = await gdprService.buildAccessExport(client._id, { _id: 'admin1' });
+      const zip = await JSZip.loadAsync(buffer);
+
+      expect(fileName).toMatch(/^dati_personali_RSSMRA80A01H501U_\d{8}\.zip$/);
+      expect(Object.keys(zip.files)).toEqual(expect.arrayContaining([
+        'cliente.json', 'conversazioni.json', 'procedure.json', 'accessi_portale.json', 'questionario_onboarding.json',
+        'documenti/indice.json', 'LEGGIMI.txt'
+      ]));
+
+      const sessions = JSON.parse(await zip.file('questionario_onboarding.json').async('string'));
+      expect(sessions[0].answers[0].value).toBe('RSSMRA80A01H501U');
+
+      const deliveries = JSON.parse(await zip.file('invii_documenti.json').async('string'));
+      expect(deliveries[0].to).toEqual(['mario@example.com']);
+
+      const consents = JSON.parse(await zip.file('registro_consensi.json').async('string'));
+      expect(consents[0].ipAddress).toBe('203.0.113.7');
+
+      const clientData = JSON.parse(await zip.file('cliente.json').async('string'));
+      expect(clientData.fiscalCode).toBe('RSSMRA80A01H501U');
+
+      const index = JSON.parse(await zip.file('documenti/indice.json').async('string'));
+      expect(index[0].archiveFile).toBe(`documenti/${documents[0]._id}_F24 2024.pdf`);
+      expect(await zip.file(index[0].archiveFile).async('string')).toBe('contenuto F24');
+      expect(index[1].exportError).toContain('NoSuchKey');
+
+      expect(summary).toMatchObject({ documents: 2, documentFilesIncluded: 1, conversations: 1, onboardingAnswers: 1, deliveries: 1, consentEvents: 1 });
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'gdpr_access_export' }));
+    });
+  });
+
+  describe('eraseClientData', () => {
+    beforeEach(() => {
+      jest.spyOn(Document, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(Conversation, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(ClientHistory, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(ClientHistory, 'create').mockImplementation(async (data) => data);
+      jest.spyOn(ClientProcedure, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(OnboardingSession, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(DocumentDelivery, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      jest.spyOn(ConsentEvent, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+      jest.spyOn(CalendarFeed, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(TimeEntry, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+      jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    });
+
+    test('dovrebbe conservare i documenti sotto obbligo di legge e registrarne il motivo', async () => {
+      const report = await gdprService.eraseClientData(client._id, { _id: 'admin1' }, { reason: 'Richiesta del 01/03/2025' });
+
+      expect(report.deleted.documents).toEqual([documents[1]._id]);
+      expect(fileStorageService.deleteFile).toHaveBeenCalledTimes(1);
+      expect(fileStorageService.deleteFile).toHaveBeenCalledWith('clients/ci.pdf');
+
+      expect(report.retained.map(item => item.dataType)).toEqual(['document', 'identification', 'history']);
+      expect(report.retained[0].reason).toBe('Art. 2220 c.c.');
+      expect(ClientHistory.deleteMany).not.toHaveBeenCalled();
+      expect(OnboardingSession.deleteMany).toHaveBeenCalledWith({ clientId: client._id });
+      expect(report.deleted.onboardingSessions).toBe(1);
+
+      // Gli invii in coda sono annullati, tutti perdono indirizzi e testo
+      expect(DocumentDelivery.updateMany).toHaveBeenCalledWith(
+        { clientId: client._id, status: { $in: ['queued', 'sending'] } },
+        { $set: expect.objectContaining({ status: 'failed' }) }
+      );
+      const [, anonymized] = DocumentDelivery.updateMany.mock.calls[1];
+      expect(anonymized.$set).toEqual(expect.objectContaining({ cc: [], deliveredTo: [], text: '', html: '' }));
+      expect(anonymized.$set.to[0]).toMatch(/@anonimizzato\.invalid$/);
+      expect(report.anonymized.deliveries).toBe(2);
+
+      expect(ConsentEvent.updateMany).toHaveBeenCalledWith({ clientId: client._id }, { $unset: { ipAddress: '', notes: '' } });
+      expect(report.anonymized.consentEvents).toBe(3);
+
+      expect(CalendarFeed.updateMany).toHaveBeenCalledWith(
+        { clientId: client._id, revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), revokedBy: 'admin1' } }
+      );
+      expect(report.revoked.calendarFeeds).toBe(1);
+
+      // Ore lavorate senza testo libero, notifiche con il nome del cliente eliminate
+      expect(TimeEntry.updateMany).toHaveBeenCalledWith(
+        { clientId: client._id },
+        { $set: { description: '' }, $unset: { 'history.$[].changes.description': '', 'history.$[].note': '' } }
+      );
+      expect(report.anonymized.timeEntries).toBe(4);
+      expect(Notification.deleteMany).toHaveBeenCalledWith({ client: client._id });
+      expect(report.deleted.notifications).toBe(2);
+
+      // Con un obbligo di conservazione restano i dati identificativi
+      expect(client.fiscalCode).toBe('RSSMRA80A01H501U');
+      expect(client.contactInfo.email).toMatch(/@anonimizzato\.invalid$/);
+      expect(client.legalRepresentative.fiscalCode).toBeUndefined();
+      expect(client.notes).toBe('');
+      expect(client.isActive).toBe(false);
+      expect(client.gdprErasure.retainedData).toHaveLength(3);
+      expect(client.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+    });
+
+    test('dovrebbe anonimizzare anche i dati identificativi in assenza di obblighi', async () => {
+      documents[0].retention = {};
+
+      const report = await gdprService.eraseClientData(client._id, null, { reason: 'Richiesta' });
+
+      expect(report.retained).toEqual([]);
+      expect(client.fiscalCode).toBe(`ANON${client._id}`);
+      expect(client.name).toMatch(/^Cliente anonimizzato/);
+      expect(ClientHistory.deleteMany).toHaveBeenCalled();
+    });
+
+    test('dovrebbe registrare nello storico una sola voce senza i valori cancellati', async () => {
+      documents[0].retention = {};
+
+      await gdprService.eraseClientData(client._id, { _id: 'admin1' }, { reason: 'Richiesta' });
+
+      expect(ClientHistory.create).toHaveBeenCalledTimes(1);
+      const [entry] = ClientHistory.create.mock.calls[0];
+      expect(entry.changedBy).toBe('admin1');
+      expect(entry.changes.map(change => change.field)).toEqual(expect.arrayContaining(['name', 'fiscalCode', 'isActive']));
+      expect(entry.changes.every(change => change.oldValue === '[dato cancellato]')).toBe(true);
+      expect(JSON.stringify(entry.changes)).not.toContain('RSSMRA80A01H501U');
+    });
+
+    test('dovrebbe solo simulare la cancellazione in modalità dryRun', async () => {
+      const report = await gdprService.eraseClientData(client._id, null, { dryRun: true });
+
+      expect(report.dryRun).toBe(true);
+      expect(Document.deleteMany).not.toHaveBeenCalled();
+      expect(OnboardingSession.deleteMany).not.toHaveBeenCalled();
+      expect(TimeEntry.updateMany).not.toHaveBeenCalled();
+      expect(Notification.deleteMany).not.toHaveBeenCalled();
+      expect(client.save).not.toHaveBeenCalled();
+      expect(ClientHistory.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const notificationService = require('../../src/services/notificationService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+
+describe('Notification Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getClientRecipients', () => {
+    it('dovrebbe notificare l\'operatore assegnato in onboarding', async () => {
+      const operatorId = new mongoose.Types.ObjectId();
+
+      const recipients = await notificationService.getClientRecipients({ onboarding: { assignedTo: operatorId } });
+
+      expect(recipients).toEqual([operatorId]);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe notificare gli amministratori attivi se manca l\'operatore', async () => {
+      const adminId = new mongoose.Types.ObjectId();
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: adminId }]) });
+
+      const recipients = await notificationService.getClientRecipients({ onboarding: {} });
+
+      expect(User.find).toHaveBeenCalledWith({ role: 'admin', status: 'active' });
+      expect(recipients).toEqual([adminId]);
+    });
+  });
+});
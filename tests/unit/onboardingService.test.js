@@ -0,0 +1,103 @@
+const Client = require('../../src/models/Client');
+const QuestionBank = require('../../src/models/QuestionBank');
+const onboardingService = require('../../services/onboardingService');
+
+jest.mock('../../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}), { virtual: true });
+jest.mock('../../src/services/aiService', () => ({}));
+
+describe('Onboarding Service', () => {
+  const question = (data) => ({ type: 'text', required: false, order: 0, clientTypes: [], taxRegimes: [], visibleWhen: [], ...data });
+
+  // Versione pubblicata con domande aggiunte dagli amministratori
+  const bank = {
+    version: 3,
+    status: 'published',
+    questions: [
+      question({ questionId: 'name', phase: 'personal_info', text: 'Nome', required: true }),
+      question({ questionId: 'pec', phase: 'personal_info', text: 'Indirizzo PEC', order: 10, clientField: 'notes' }),
+      question({ questionId: 'vat_number', phase: 'business_info', text: 'Partita IVA', clientTypes: ['corporation'] }),
+      question({ questionId: 'sector_code', phase: 'business_info', text: 'Settore', order: 10, clientField: 'businessSector' }),
+      question({ questionId: 'employees_total', phase: 'business_info', text: 'Dipendenti', type: 'number', order: 20, clientField: 'employees' })
+    ]
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(QuestionBank, 'findPublished').mockResolvedValue(bank);
+    jest.spyOn(Client.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  describe('startOnboarding', () => {
+    test('dovrebbe restituire le domande della versione pubblicata del questionario', async () => {
+      const result = await onboardingService.startOnboarding('individual', { name: 'Mario Rossi' });
+
+      expect(result.success).toBe(true);
+      expect(result.questions.map(q => q.id)).toEqual(['name', 'pec']);
+    });
+  });
+
+  describe('getNextQuestions', () => {
+    test('dovrebbe servire le domande della fase corrente dalla versione pubblicata', async () => {
+      const client = new Client({
+        name: 'Rossi SRL',
+        fiscalCode: '01234567890',
+        companyType: 'SRL',
+        contactInfo: { email: 'info@rossi.it', phone: '+39 02 1234567' }
+      });
+      jest.spyOn(Client, 'findById').mockResolvedValue(client);
+
+      const result = await onboardingService.getNextQuestions(client._id);
+
+      expect(result.currentPhase).toBe('business_info');
+      expect(result.questions.map(q => q.id)).toEqual(['vat_number', 'sector_code', 'employees_total']);
+    });
+  });
+
+  describe('processAnswers', () => {
+    test('dovrebbe salvare in anagrafica le risposte alle domande collegate', async () => {
+      const client = new Client({ name: 'Rossi SRL', companyType: 'SRL' });
+      jest.spyOn(Client, 'findById').mockResolvedValue(client);
+
+      const result = await onboardingService.processAnswers(client._id, {
+        vat_number: '01234567890',
+        sector_code: 'Edilizia',
+        employees_total: '12'
+      }, { phase: 'business_info' });
+
+      expect(result.success).toBe(true);
+      expect(client.vatNumber).toBe('01234567890');
+      expect(client.businessSector).toBe('Edilizia');
+      expect(client.employees).toBe(12);
+      expect(client.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('mapAnswersToClientData', () => {
+    test('dovrebbe includere le domande collegate e aggiungere alle note quelle destinate alle note', async () => {
+      const data = await onboardingService.mapAnswersToClientData({
+        name: 'Mario Rossi',
+        pec: 'mario@pec.it',
+        sector_code: 'Edilizia',
+        employees_total: '3'
+      });
+
+      expect(data).toEqual(expect.objectContaining({
+        name: 'Mario Rossi',
+        businessSector: 'Edilizia',
+        employees: 3,
+        notes: 'Indirizzo PEC: mario@pec.it'
+      }));
+    });
+
+    test('dovrebbe ignorare le domande collegate senza risposta', async () => {
+      const data = await onboardingService.mapAnswersToClientData({ name: 'Mario Rossi', sector_code: '' });
+
+      expect(data).not.toHaveProperty('businessSector');
+      expect(data).not.toHaveProperty('notes');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const Client = require('../../src/models/Client');
+const OnboardingSession = require('../../src/models/OnboardingSession');
+const onboardingService = require('../../services/onboardingService');
+const clientHistoryService = require('../../src/services/clientHistoryService');
+const questionBankService = require('../../src/services/questionBankService');
+const onboardingSessionService = require('../../src/services/onboardingSessionService');
+
+jest.mock('../../services/onboardingService', () => {
+  const ONBOARDING_PHASES = {
+    INITIAL: 'initial',
+    PERSONAL_INFO: 'personal_info',
+    BUSINESS_INFO: 'business_info',
+    FISCAL_DATA: 'fiscal_data',
+    DOCUMENTS: 'documents',
+    SERVICES: 'services',
+    REVIEW: 'review',
+    COMPLETED: 'completed'
+  };
+  const order = Object.values(ONBOARDING_PHASES);
+
+  return {
+    ONBOARDING_PHASES,
+    getNextQuestions: jest.fn(),
+    processAnswers: jest.fn(),
+    getNextPhase: jest.fn(phase => order[Math.min(order.indexOf(phase) + 1, order.length - 1)]),
+    mapCompanyTypeToClientType: jest.fn(() => 'individual'),
+    mapAnswersToClientData: jest.fn(answers => ({ name: answers.name }))
+  };
+});
+jest.mock('../../src/services/clientHistoryService');
+jest.mock('../../src/services/questionBankService', () => ({
+  getQuestionsForPhase: jest.fn(),
+  validateAnswers: jest.fn()
+}));
+
+describe('Onboarding Session Service', () => {
+  let client;
+  let session;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: { email: 'mario@example.com' }
+    });
+
+    session = new OnboardingSession({
+      clientId: client._id,
+      currentPhase: 'personal_info',
+      completedPhases: ['initial'],
+      answers: [
+        { phase: 'initial', questionId: 'client_type', value: 'individual', answeredAt: new Date('2025-01-10'), submitted: true },
+        { phase: 'personal_info', questionId: 'name', value: 'Mario', answeredAt: new Date('2025-01-10') },
+        { phase: 'personal_info', questionId: 'name', value: 'Mario Rossi', answeredAt: new Date('2025-01-11') }
+      ]
+    });
+    session.save = jest.fn().mockResolvedValue(session);
+
+    jest.spyOn(OnboardingSession, 'findOne').mockResolvedValue(session);
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    questionBankService.getQuestionsForPhase.mockResolvedValue([{ id: 'name', type: 'text', required: true }]);
+    questionBankService.validateAnswers.mockReturnValue({ valid: true, errors: [] });
+  });
+
+  describe('getOrCreateSession', () => {
+    test('dovrebbe creare la sessione dalla fase determinata dai dati del cliente', async () => {
+      OnboardingSession.findOne.mockResolvedValue(null);
+      onboardingService.getNextQuestions.mockResolvedValue({ success: true, currentPhase: 'fiscal_data' });
+      const createSpy = jest.spyOn(OnboardingSession, 'create').mockImplementation(async data => data);
+
+      const created = await onboardingSessionService.getOrCreateSession(client._id, { _id: 'op1' });
+
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ currentPhase: 'fiscal_data', status: 'active', startedBy: 'op1' }));
+      expect(created.currentPhase).toBe('fiscal_data');
+    });
+  });
+
+  describe('getResumeState', () => {
+    test('dovrebbe riprendere dalla fase salvata con le ultime risposte date', async () => {
+      const state = await onboardingSessionService.getResumeState(client._id);
+
+      expect(state.currentPhase).toBe('personal_info');
+      expect(state.answers).toEqual({ name: 'Mario Rossi' });
+      expect(state.availablePhases).toEqual(['initial', 'personal_info']);
+      expect(state.questions).toEqual([{ id: 'name', type: 'text', required: true }]);
+      expect(questionBankService.getQuestionsForPhase).toHaveBeenCalledWith('personal_info', {
+        clientType: 'individual',
+        taxRegime: client.accountingRegime,
+        answers: { client_type: 'individual', name: 'Mario Rossi' }
+      });
+    });
+  });
+
+  describe('saveAnswers', () => {
+    test('dovrebbe registrare solo le risposte nuove o modificate con autore e data', async () => {
+      const operatorId = new mongoose.Types.ObjectId();
+      const { saved } = await onboardingSessionService.saveAnswers(client._id, {
+        name: 'Mario Rossi',
+        phone: '3331234567'
+      }, { user: { _id: operatorId } });
+
+      expect(saved).toBe(1);
+      const last = session.answers[session.answers.length - 1];
+      expect(last).toMatchObject({ phase: 'personal_info', questionId: 'phone', value: '3331234567', source: 'operator', submitted: false });
+      expect(last.answeredBy).toEqual(operatorId);
+      expect(session.save).toHaveBeenCalled();
+    });
+
+    test('dovrebbe rifiutare fasi inesistenti', async () => {
+      await expect(onboardingSessionService.saveAnswers(client._id, {}, { phase: 'sconosciuta' }))
+        .rejects.toThrow('Fase onboarding non valida');
+    });
+
+    test('dovrebbe impedire di salvare risposte di fasi non ancora raggiunte', async () => {
+      await expect(onboardingSessionService.saveAnswers(client._id, { vat_number: '01234567890' }, { phase: 'services' }))
+        .rejects.toThrow('fase non ancora raggiunta');
+      expect(session.currentPhase).toBe('personal_info');
+      expect(session.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submitPhase', () => {
+    test('dovrebbe inviare tutte le risposte della fase e passare alla fase successiva', async () => {
+      onboardingService.processAnswers.mockResolvedValue({
+        success: true,
+        previousPhase: 'personal_info',
+        currentPhase: 'business_info',
+        completionPercentage: 30,
+        isComplete: false
+      });
+
+      const result = await onboardingSessionService.submitPhase(client._id, { phone: '3331234567' }, { source: 'portal' });
+
+      expect(onboardingService.processAnswers).toHaveBeenCalledWith(
+        client._id,
+        { name: 'Mario Rossi', phone: '3331234567' },
+        { phase: 'personal_info' }
+      );
+      expect(result.currentPhase).toBe('business_info');
+      expect(session.completedPhases).toContain('personal_info');
+      expect(clientHistoryService.recordChanges).toHaveBeenCalledWith(client, client, expect.objectContaining({ source: 'portal' }));
+    });
+
+    test('dovrebbe rifiutare risposte non valide senza confermare la fase', async () => {
+      questionBankService.validateAnswers.mockReturnValue({
+        valid: false,
+        errors: [{ questionId: 'phone', text: 'Numero di telefono', message: 'Numero di telefono non valido' }]
+      });
+
+      await expect(onboardingSessionService.submitPhase(client._id, { phone: '123' }))
+        .rejects.toThrow('Numero di telefono: Numero di telefono non valido');
+      expect(questionBankService.validateAnswers).toHaveBeenCalledWith(
+        [{ id: 'name', type: 'text', required: true }],
+        { name: 'Mario Rossi', phone: '123' }
+      );
+      expect(onboardingService.processAnswers).not.toHaveBeenCalled();
+      expect(session.save).not.toHaveBeenCalled();
+    });
+
+    test('dopo aver rivisto una fase precedente dovrebbe riprendere dalla prima non confermata', async () => {
+      session.currentPhase = 'initial';
+      session.completedPhases = ['initial', 'personal_info', 'business_info'];
+      onboardingService.processAnswers.mockResolvedValue({ success: true, currentPhase: 'personal_info', isComplete: false });
+
+      const result = await onboardingSessionService.submitPhase(client._id, { client_type: 'individual' });
+
+      expect(result.previousPhase).toBe('initial');
+      expect(result.currentPhase).toBe('fiscal_data');
+    });
+
+    test('dovrebbe impedire di confermare fasi non ancora raggiunte', async () => {
+      await expect(onboardingSessionService.submitPhase(client._id, {}, { phase: 'review', source: 'portal' }))
+        .rejects.toThrow('fase non ancora raggiunta');
+      expect(onboardingService.processAnswers).not.toHaveBeenCalled();
+      expect(session.completedPhases).not.toContain('review');
+      expect(session.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('goToPhase', () => {
+    test('dovrebbe consentire di tornare a una fase già raggiunta', async () => {
+      const state = await onboardingSessionService.goToPhase(client._id, 'initial');
+
+      expect(session.currentPhase).toBe('initial');
+      expect(state.answers).toEqual({ client_type: 'individual' });
+    });
+
+    test('dovrebbe impedire di saltare a fasi non ancora raggiunte', async () => {
+      await expect(onboardingSessionService.goToPhase(client._id, 'services'))
+        .rejects.toThrow('fase non ancora raggiunta');
+    });
+  });
+
+  describe('getAnswerHistory', () => {
+    test('dovrebbe restituire lo storico dal più recente e i dati cliente derivati', async () => {
+      OnboardingSession.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(session) });
+
+      const { history, currentAnswers, clientData } = await onboardingSessionService.getAnswerHistory(client._id, {
+        questionId: 'name'
+      });
+
+      expect(history.map(entry => entry.value)).toEqual(['Mario Rossi', 'Mario']);
+      expect(currentAnswers).toEqual({ client_type: 'individual', name: 'Mario Rossi' });
+      expect(clientData).toEqual({ name: 'Mario Rossi' });
+    });
+  });
+});
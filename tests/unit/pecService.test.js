@@ -0,0 +1,86 @@
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const pecService = require('../../src/services/pecService');
+
+jest.mock('imapflow', () => ({ ImapFlow: jest.fn() }), { virtual: true });
+jest.mock('mailparser', () => ({ simpleParser: jest.fn() }), { virtual: true });
+jest.mock('../../src/utils/daticert', () => ({
+  parseDaticert: jest.fn(xml => ({ type: xml }))
+}));
+
+// Casella IMAP simulata con i messaggi indicati
+const mockMailbox = (messages, permanentFlags = ['\\Seen', '\\*']) => {
+  const lock = { release: jest.fn() };
+  const client = {
+    usable: true,
+    mailbox: { permanentFlags: new Set(permanentFlags) },
+    connect: jest.fn().mockResolvedValue(),
+    getMailboxLock: jest.fn().mockResolvedValue(lock),
+    fetch: jest.fn(async function* () {
+      yield* messages;
+    }),
+    messageFlagsAdd: jest.fn().mockResolvedValue(true),
+    logout: jest.fn().mockResolvedValue(),
+    close: jest.fn()
+  };
+  ImapFlow.mockImplementation(() => client);
+  return { client, lock };
+};
+
+// Il contenuto del messaggio indica il tipo: 'ricevuta', 'pec' (senza daticert) o 'errore'
+const message = (uid, kind) => ({ uid, source: Buffer.from(kind) });
+
+describe('PEC Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.PEC_IMAP_HOST = 'imap.example.com';
+
+    simpleParser.mockImplementation(async (source) => {
+      const kind = source.toString();
+      if (kind === 'errore') throw new Error('Messaggio non leggibile');
+      return {
+        subject: kind,
+        date: new Date('2025-06-01'),
+        attachments: kind === 'ricevuta' ? [{ filename: 'daticert.xml', content: Buffer.from('avvenuta-consegna') }] : []
+      };
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.PEC_IMAP_HOST;
+  });
+
+  describe('fetchReceipts', () => {
+    it('dovrebbe segnare come esaminati anche i messaggi non riconosciuti', async () => {
+      const { client, lock } = mockMailbox([message(1, 'ricevuta'), message(2, 'pec'), message(3, 'ricevuta'), message(4, 'errore')]);
+      const handler = jest.fn().mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const report = await pecService.fetchReceipts(handler);
+
+      expect(report).toEqual({ checked: 4, handled: 1, errors: 1 });
+      expect(client.fetch).toHaveBeenCalledWith({ unKeyword: pecService.PROCESSED_KEYWORD }, expect.any(Object), { uid: true });
+      expect(client.messageFlagsAdd).toHaveBeenCalledWith([1, 2, 3], [pecService.PROCESSED_KEYWORD], { uid: true });
+      expect(lock.release).toHaveBeenCalled();
+      expect(client.logout).toHaveBeenCalled();
+    });
+
+    it('dovrebbe usare il flag \\Seen se il server non accetta parole chiave', async () => {
+      const { client } = mockMailbox([message(7, 'pec')], ['\\Seen', '\\Flagged']);
+
+      await pecService.fetchReceipts(jest.fn());
+
+      expect(client.fetch).toHaveBeenCalledWith({ seen: false }, expect.any(Object), { uid: true });
+      expect(client.messageFlagsAdd).toHaveBeenCalledWith([7], ['\\Seen'], { uid: true });
+    });
+
+    it('dovrebbe chiudere la connessione se la casella non è accessibile', async () => {
+      const { client } = mockMailbox([]);
+      client.getMailboxLock.mockRejectedValue(new Error('Mailbox inesistente'));
+      client.usable = false;
+
+      await expect(pecService.fetchReceipts(jest.fn())).rejects.toThrow('Mailbox inesistente');
+      expect(client.close).toHaveBeenCalled();
+    });
+  });
+});
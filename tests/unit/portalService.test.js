@@ -0,0 +1,169 @@
+const Client = require('../../src/models/Client');
+const Document = require('../../src/models/Document');
+const onboardingService = require('../../services/onboardingService');
+const onboardingSessionService = require('../../src/services/onboardingSessionService');
+const fileStorageService = require('../../src/services/fileStorageService');
+const notificationService = require('../../src/services/notificationService');
+const clientHistoryService = require('../../src/services/clientHistoryService');
+const portalService = require('../../src/services/portalService');
+
+jest.mock('../../services/onboardingService', () => ({
+  checkCompleteness: jest.fn(),
+  ONBOARDING_PHASES: { DOCUMENTS: 'documents' }
+}));
+jest.mock('../../src/services/onboardingSessionService', () => ({
+  getResumeState: jest.fn(),
+  saveAnswers: jest.fn(),
+  submitPhase: jest.fn()
+}));
+jest.mock('../../src/services/fileStorageService', () => ({
+  uploadFile: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyClientOperators: jest.fn()
+}));
+jest.mock('../../src/services/clientHistoryService');
+
+describe('Portal Service', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: { email: 'mario@example.com' },
+      onboarding: {
+        status: 'in_corso',
+        checklist: [
+          { name: 'Documento d\'identità', required: true, status: 'in_attesa' },
+          { name: 'Ultima dichiarazione dei redditi', required: true, status: 'rifiutato', notes: 'Manca la pagina 2' },
+          { name: 'Tessera codice fiscale', required: true, status: 'caricato' },
+          { name: 'Modello CU (se lavoratore dipendente)', required: false, status: 'verificato' }
+        ]
+      }
+    });
+    client.save = jest.fn().mockResolvedValue(client);
+
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+  });
+
+  describe('buildOutstandingItems', () => {
+    test('dovrebbe elencare documenti da caricare, in verifica e informazioni mancanti', () => {
+      const outstanding = portalService.buildOutstandingItems(client, {
+        missingFields: [
+          { phase: 'personal_info', fields: ['phone'] },
+          { phase: 'documents', fields: ['Documento d\'identità'] }
+        ]
+      });
+
+      expect(outstanding.documents.map(d => d.name)).toEqual(['Documento d\'identità', 'Ultima dichiarazione dei redditi']);
+      expect(outstanding.documents[1].notes).toBe('Manca la pagina 2');
+      expect(outstanding.inReview.map(d => d.name)).toEqual(['Tessera codice fiscale']);
+      expect(outstanding.information).toEqual([{ phase: 'personal_info', phaseLabel: 'Dati anagrafici', fields: ['phone'] }]);
+    });
+  });
+
+  describe('getPortalOverview', () => {
+    test('dovrebbe restituire fase corrente, domande e elementi mancanti', async () => {
+      client.onboarding.completionPercentage = 40;
+      onboardingSessionService.getResumeState.mockResolvedValue({
+        status: 'active',
+        currentPhase: 'fiscal_data',
+        availablePhases: ['initial', 'personal_info', 'fiscal_data'],
+        questions: [{ id: 'tax_regime', type: 'select' }],
+        answers: { tax_regime: 'Forfettario' }
+      });
+      onboardingService.checkCompleteness.mockResolvedValue({ success: true, missingFields: [] });
+
+      const overview = await portalService.getPortalOverview(client._id);
+
+      expect(overview.onboarding).toMatchObject({
+        currentPhase: 'fiscal_data',
+        currentPhaseLabel: 'Dati fiscali',
+        completionPercentage: 40
+      });
+      expect(overview.onboarding.questions).toHaveLength(1);
+      expect(overview.onboarding.answers).toEqual({ tax_regime: 'Forfettario' });
+      expect(overview.outstanding.documents).toHaveLength(2);
+    });
+  });
+
+  describe('submitAnswers', () => {
+    test('dovrebbe confermare la fase nella sessione e notificare gli operatori', async () => {
+      onboardingSessionService.submitPhase.mockResolvedValue({
+        success: true,
+        previousPhase: 'personal_info',
+        currentPhase: 'business_info',
+        completionPercentage: 30,
+        isComplete: false
+      });
+
+      const result = await portalService.submitAnswers(client._id, { phone: '3331234567' }, { user: { _id: 'u1' } });
+
+      expect(result.currentPhase).toBe('business_info');
+      expect(onboardingSessionService.submitPhase).toHaveBeenCalledWith(client._id, { phone: '3331234567' }, expect.objectContaining({
+        source: 'portal',
+        user: { _id: 'u1' }
+      }));
+      expect(notificationService.notifyClientOperators).toHaveBeenCalledWith(client, expect.objectContaining({
+        type: 'portal_answers',
+        title: 'Mario Rossi ha compilato la fase "Dati anagrafici"'
+      }));
+    });
+
+    test('dovrebbe propagare gli errori della sessione di onboarding', async () => {
+      onboardingSessionService.submitPhase.mockRejectedValue(new Error('Fase non valida'));
+
+      await expect(portalService.submitAnswers(client._id, {})).rejects.toThrow('Fase non valida');
+      expect(notificationService.notifyClientOperators).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadChecklistDocument', () => {
+    const file = {
+      originalname: 'redditi.pdf',
+      mimetype: 'application/pdf',
+      size: 1024,
+      buffer: Buffer.from('pdf')
+    };
+
+    test('dovrebbe archiviare il file e segnare la voce come caricata', async () => {
+      const item = client.onboarding.checklist[1];
+      fileStorageService.uploadFile.mockResolvedValue({ key: 'clients/x/onboarding/redditi.pdf', filename: 'redditi.pdf', size: 1024 });
+      jest.spyOn(Document, 'create').mockImplementation(async (data) => ({ _id: 'doc1', ...data }));
+
+      const result = await portalService.uploadChecklistDocument(client._id, item._id, file, { _id: 'u1' });
+
+      expect(Document.create).toHaveBeenCalledWith(expect.objectContaining({
+        path: 'clients/x/onboarding/redditi.pdf',
+        category: 'fiscal',
+        createdBy: 'u1'
+      }));
+      expect(result.checklistItem.status).toBe('caricato');
+      expect(result.checklistItem.documentId).toBe('doc1');
+      expect(client.save).toHaveBeenCalled();
+      expect(clientHistoryService.recordChanges).toHaveBeenCalledWith(
+        expect.objectContaining({ onboarding: expect.objectContaining({ checklist: expect.any(Array) }) }),
+        client,
+        { user: { _id: 'u1' }, source: 'portal' }
+      );
+      expect(clientHistoryService.recordChanges.mock.calls[0][0].onboarding.checklist[1].status).toBe('rifiutato');
+      expect(notificationService.notifyClientOperators).toHaveBeenCalledWith(client, expect.objectContaining({
+        type: 'portal_document',
+        message: 'Nuova versione di un documento rifiutato, da verificare'
+      }));
+    });
+
+    test('dovrebbe rifiutare il caricamento su voci già verificate', async () => {
+      const item = client.onboarding.checklist[3];
+
+      await expect(portalService.uploadChecklistDocument(client._id, item._id, file))
+        .rejects.toThrow('già stato verificato');
+      expect(fileStorageService.uploadFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -150,12 +150,14 @@ describe('Procedure Generator Service', () => {
           title: 'Dichiarazione IVA Annuale',
           deadline: {
             type: 'annual',
+            fiscalDeadline: 'vat_return',
             description: 'Entro il 30 Aprile'
           }
         }
       ];
       
-      const result = procedureGenerator.calculateTaskDeadlines(tasks);
+      // Il 30 aprile 2026 è un giovedì: nessuno slittamento
+      const result = procedureGenerator.calculateTaskDeadlines(tasks, { now: new Date(2026, 0, 10) });
       
       expect(result[0]).toHaveProperty('dueDate');
       expect(result[0].dueDate instanceof Date).toBe(true);
@@ -166,6 +168,63 @@ describe('Procedure Generator Service', () => {
       // Il giorno dovrebbe essere il 30
       expect(result[0].dueDate.getDate()).toBe(30);
     });
+
+    test('dovrebbe spostare le scadenze fiscali al primo giorno lavorativo', () => {
+      const tasks = [
+        {
+          id: 'task-1',
+          title: 'Liquidazione IVA',
+          deadline: { type: 'monthly', fiscalDeadline: 'vat_periodic' }
+        }
+      ];
+      
+      // Il 16 maggio 2026 è un sabato
+      const result = procedureGenerator.calculateTaskDeadlines(tasks, {
+        now: new Date(2026, 3, 20),
+        vatPeriodicity: 'quarterly'
+      });
+      
+      expect(result[0].dueDate).toEqual(new Date(2026, 4, 18));
+      expect(result[0].fiscalPeriod).toBe('1° trimestre 2026');
+    });
+
+    test('dovrebbe calcolare le scadenze di bilancio sulla chiusura dell\'esercizio', () => {
+      const tasks = [
+        {
+          id: 'task-1',
+          title: 'Predisposizione Bilancio',
+          deadline: { type: 'annual', fiscalDeadline: 'financial_statements_approval' }
+        },
+        {
+          id: 'task-2',
+          title: 'Dichiarazione dei Redditi Societari',
+          deadline: { type: 'annual', fiscalDeadline: 'income_tax_companies' }
+        }
+      ];
+      
+      const result = procedureGenerator.calculateTaskDeadlines(tasks, {
+        now: new Date(2026, 6, 1),
+        fiscalYearEnd: { month: 6, day: 30 }
+      });
+      
+      // Esercizio chiuso il 30/06/2026: bilancio entro 120 giorni, Redditi SC entro il decimo mese
+      expect(result[0].dueDate).toEqual(new Date(2026, 9, 28));
+      expect(result[1].dueDate).toEqual(new Date(2027, 3, 30));
+    });
+
+    test('dovrebbe calcolare le scadenze trimestrali dalla chiusura del trimestre', () => {
+      const tasks = [
+        {
+          id: 'task-1',
+          title: 'Analisi Budget vs Actual',
+          deadline: { type: 'quarterly', daysAfterQuarterEnd: 20 }
+        }
+      ];
+      
+      const result = procedureGenerator.calculateTaskDeadlines(tasks, { now: new Date(2026, 3, 10) });
+      
+      expect(result[0].dueDate).toEqual(new Date(2026, 3, 20));
+    });
   });
 
   describe('resolveTaskDependencies', () => {
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Procedure = require('../../src/models/Procedure');
+const ProcedureVersion = require('../../src/models/ProcedureVersion');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const ActivityLog = require('../../src/models/ActivityLog');
+const procedureTemplateService = require('../../src/services/procedureTemplateService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/mailer', () => ({
+  isConfigured: jest.fn(() => false),
+  sendMail: jest.fn()
+}));
+
+// Lunedì 11 maggio 2026
+const START = new Date(2026, 4, 11);
+
+const TEMPLATE = {
+  name: 'Bilancio',
+  description: 'Chiusura di bilancio',
+  tasks: [
+    { name: 'Raccolta documenti', dueOffset: 5, estimatedHours: 4, requiredDocuments: ['Estratti conto'] },
+    { name: 'Registrazioni', dueOffset: 10, estimatedHours: 8, dependsOn: ['Raccolta documenti'] },
+    { name: 'Controllo', dueOffset: 15, dependsOn: ['Registrazioni'] }
+  ]
+};
+
+const mockQuery = (result) => {
+  const promise = Promise.resolve(result);
+  promise.populate = jest.fn().mockReturnValue(promise);
+  promise.sort = jest.fn().mockReturnValue(promise);
+  return promise;
+};
+
+describe('Procedure Template Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('diffSnapshots', () => {
+    it('dovrebbe individuare task aggiunti, rimossi e modificati per nome', () => {
+      const to = {
+        ...TEMPLATE,
+        description: 'Bilancio d\'esercizio',
+        tasks: [
+          { ...TEMPLATE.tasks[0], dueOffset: 7 },
+          TEMPLATE.tasks[1],
+          { name: 'Deposito', dueOffset: 30, dependsOn: ['Registrazioni'] }
+        ]
+      };
+
+      const diff = procedureTemplateService.diffSnapshots(TEMPLATE, to);
+
+      expect(diff.hasChanges).toBe(true);
+      expect(diff.fields.description).toEqual({ from: 'Chiusura di bilancio', to: 'Bilancio d\'esercizio' });
+      expect(diff.tasks.added.map(task => task.name)).toEqual(['Deposito']);
+      expect(diff.tasks.removed.map(task => task.name)).toEqual(['Controllo']);
+      expect(diff.tasks.changed).toEqual([
+        { name: 'Raccolta documenti', changes: { dueOffset: { from: 5, to: 7 } } }
+      ]);
+    });
+
+    it('dovrebbe considerare uguali template identici', () => {
+      expect(procedureTemplateService.diffSnapshots(TEMPLATE, { ...TEMPLATE }).hasChanges).toBe(false);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('dovrebbe segnalare campi non validi e dipendenze circolari', () => {
+      const errors = procedureTemplateService.validateTemplate({
+        name: 'Bilancio',
+        description: 'Chiusura',
+        tasks: [
+          { name: 'A', dueOffset: 1, assignedRole: 'intern', dependsOn: ['B'] },
+          { name: 'B', dueOffset: 2, dependsOn: ['A'] }
+        ]
+      });
+
+      expect(errors).toContain('Il ruolo deve essere uno tra: admin, operator, accountant, manager, any');
+      expect(errors).toContain('Dipendenza circolare tra i task: A -> B -> A');
+    });
+  });
+
+  describe('ProcedureVersion', () => {
+    it('dovrebbe rifiutare la modifica di una versione salvata', async () => {
+      const version = new ProcedureVersion({ procedureId: new mongoose.Types.ObjectId(), version: 1, snapshot: TEMPLATE });
+      version.isNew = false;
+      version.notes = 'modifica';
+
+      await expect(version.save()).rejects.toThrow('Le versioni del template non sono modificabili');
+    });
+  });
+
+  describe('updateTemplate', () => {
+    it('dovrebbe creare una nuova versione quando il template cambia', async () => {
+      const procedure = new Procedure(TEMPLATE);
+      const user = { _id: new mongoose.Types.ObjectId() };
+
+      jest.spyOn(Procedure, 'findById').mockResolvedValue(procedure);
+      jest.spyOn(Procedure.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(ProcedureVersion, 'findVersion').mockResolvedValue({ version: 1 });
+      const create = jest.spyOn(ProcedureVersion, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const tasks = [...TEMPLATE.tasks, { name: 'Deposito', dueOffset: 30 }];
+      const result = await procedureTemplateService.updateTemplate(procedure._id, { tasks }, user, { notes: 'Aggiunto il deposito' });
+
+      expect(procedure.version).toBe(2);
+      expect(result.diff.tasks.added.map(task => task.name)).toEqual(['Deposito']);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        procedureId: procedure._id,
+        version: 2,
+        notes: 'Aggiunto il deposito',
+        createdBy: user._id
+      }));
+      expect(create.mock.calls[0][0].snapshot.tasks).toHaveLength(4);
+    });
+
+    it('dovrebbe creare la versione iniziale per le procedure senza storico', async () => {
+      const procedure = new Procedure(TEMPLATE);
+
+      jest.spyOn(Procedure, 'findById').mockResolvedValue(procedure);
+      jest.spyOn(ProcedureVersion, 'findVersion').mockResolvedValue(null);
+      const create = jest.spyOn(ProcedureVersion, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const result = await procedureTemplateService.updateTemplate(procedure._id, { name: 'Bilancio' });
+
+      expect(result.version).toBeNull();
+      expect(procedure.version).toBe(1);
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ version: 1, notes: 'Versione iniziale' }));
+    });
+  });
+
+  describe('aggiunta di un\'attività dal controller', () => {
+    const procedureController = require('../../src/controllers/procedureController');
+
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+
+    it('dovrebbe aggiungere il task creando una nuova versione del template', async () => {
+      const procedure = new Procedure(TEMPLATE);
+      const user = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+      jest.spyOn(Procedure, 'findById').mockResolvedValue(procedure);
+      jest.spyOn(Procedure.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(ProcedureVersion, 'findVersion').mockResolvedValue({ version: 1 });
+      const create = jest.spyOn(ProcedureVersion, 'create').mockImplementation(data => Promise.resolve(data));
+      const res = mockResponse();
+
+      await procedureController.addTask({
+        params: { procedureId: procedure._id.toString() },
+        body: { name: 'Deposito', dueOffset: 30, dependsOn: ['Controllo'] },
+        user
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(procedure.version).toBe(2);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ version: 2, notes: 'Aggiunta l\'attività "Deposito"' }));
+      expect(create.mock.calls[0][0].snapshot.tasks.map(task => task.name)).toContain('Deposito');
+      expect(res.json.mock.calls[0][0].task.name).toBe('Deposito');
+    });
+
+    it('dovrebbe riservare la modifica agli amministratori', async () => {
+      const findById = jest.spyOn(Procedure, 'findById');
+      const res = mockResponse();
+
+      await procedureController.addTask({ params: { procedureId: 'x' }, body: { name: 'Deposito' }, user: { role: 'operator' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('migrazione delle istanze', () => {
+    let procedure;
+    let instance;
+    let target;
+
+    beforeEach(async () => {
+      procedure = new Procedure(TEMPLATE);
+      instance = new ClientProcedure({
+        clientId: new mongoose.Types.ObjectId(),
+        procedureId: procedure._id,
+        startDate: START
+      });
+      await instance.initializeTasksFromProcedure(procedure);
+      instance.tasks[0].status = 'completed';
+
+      // Versione 2: raccolta anticipata, controllo rimosso, deposito aggiunto
+      target = {
+        ...TEMPLATE,
+        tasks: [
+          { ...TEMPLATE.tasks[0], dueOffset: 3 },
+          { ...TEMPLATE.tasks[1], estimatedHours: 12 },
+          { name: 'Deposito', dueOffset: 30, dependsOn: ['Registrazioni'] }
+        ]
+      };
+    });
+
+    it('dovrebbe pianificare la migrazione senza toccare i task completati', async () => {
+      const plan = await procedureTemplateService.planInstanceMigration(instance, target);
+
+      expect(plan.add.map(task => task.name)).toEqual(['Deposito']);
+      expect(plan.add[0].dependsOn).toEqual(['Registrazioni']);
+      expect(plan.remove.map(task => task.taskId)).toEqual(['task-3']);
+      expect(plan.update).toEqual([
+        { taskId: 'task-2', name: 'Registrazioni', changes: { estimatedHours: { from: 8, to: 12 } } }
+      ]);
+      expect(plan.keep).toEqual([{ taskId: 'task-1', name: 'Raccolta documenti', reason: 'completed' }]);
+    });
+
+    it('dovrebbe applicare il piano con nuovi taskId e dipendenze risolte', async () => {
+      const plan = await procedureTemplateService.planInstanceMigration(instance, target);
+      procedureTemplateService.applyMigrationPlan(instance, plan, 2);
+
+      expect(instance.procedureVersion).toBe(2);
+      expect(instance.tasks.map(task => task.taskId)).toEqual(['task-1', 'task-2', 'task-4']);
+      expect(instance.tasks[1].estimatedHours).toBe(12);
+      expect([...instance.tasks[2].dependsOn]).toEqual(['task-2']);
+      expect(instance.tasks[2].dueDate).toEqual(new Date(2026, 5, 10));
+      expect(instance.expectedEndDate).toEqual(new Date(2026, 5, 10));
+    });
+
+    it('dovrebbe migrare le istanze in corso e registrare l\'attività', async () => {
+      procedure.version = 2;
+      const versions = { 1: { snapshot: TEMPLATE }, 2: { snapshot: target } };
+
+      jest.spyOn(Procedure, 'findById').mockResolvedValue(procedure);
+      jest.spyOn(ProcedureVersion, 'findVersion').mockImplementation((id, version) => Promise.resolve(versions[version] || null));
+      const find = jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([instance]));
+      const save = jest.spyOn(ClientProcedure.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      const log = jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+
+      const report = await procedureTemplateService.migrateInstances(procedure._id, { user: { _id: new mongoose.Types.ObjectId() } });
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({
+        procedureId: procedure._id,
+        status: { $in: ['active', 'on_hold'] },
+        procedureVersion: { $ne: 2 }
+      }));
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(report.migrated).toEqual([
+        expect.objectContaining({ fromVersion: 1, added: 1, removed: 1, updated: 1 })
+      ]);
+      expect(instance.procedureVersion).toBe(2);
+      expect(log).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'procedure_migration' }));
+    });
+  });
+});
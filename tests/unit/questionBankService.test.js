@@ -0,0 +1,252 @@
+const QuestionBank = require('../../src/models/QuestionBank');
+const questionBankService = require('../../src/services/questionBankService');
+
+jest.mock('../../services/onboardingService', () => ({
+  ONBOARDING_PHASES: {
+    INITIAL: 'initial',
+    PERSONAL_INFO: 'personal_info',
+    BUSINESS_INFO: 'business_info',
+    FISCAL_DATA: 'fiscal_data',
+    DOCUMENTS: 'documents',
+    SERVICES: 'services',
+    REVIEW: 'review',
+    COMPLETED: 'completed'
+  },
+  CLIENT_TYPES: {
+    INDIVIDUAL: 'individual',
+    SOLE_PROPRIETOR: 'sole_proprietor',
+    PARTNERSHIP: 'partnership',
+    CORPORATION: 'corporation',
+    NON_PROFIT: 'non_profit'
+  },
+  TAX_REGIMES: {
+    FORFETTARIO: 'Forfettario',
+    SEMPLIFICATO: 'Semplificato',
+    ORDINARIO: 'Ordinario'
+  },
+  questionsBank: {
+    initial: [
+      { id: 'client_type', text: 'Che tipo di cliente sei?', type: 'select', options: [{ value: 'individual', label: 'Persona fisica' }], required: true }
+    ],
+    personal_info: {
+      common: [{ id: 'fiscal_code', text: 'Codice fiscale', type: 'text', required: true, validation: 'fiscal_code' }]
+    },
+    business_info: {
+      commercial: [{ id: 'vat_number', text: 'Partita IVA', type: 'text', required: true, validation: 'vat_number' }]
+    },
+    fiscal_data: {
+      common: [{ id: 'tax_regime', text: 'Regime fiscale', type: 'select', options: [{ value: 'Forfettario', label: 'Forfettario' }], required: true }],
+      Forfettario: [{ id: 'activity_code', text: 'Codice ATECO', type: 'text', required: true }]
+    },
+    documents: {
+      corporate: [{ id: 'company_statute', text: 'Statuto', type: 'file', required: true }]
+    }
+  }
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+describe('Question Bank Service', () => {
+  const question = (data) => ({ type: 'text', required: false, order: 0, clientTypes: [], taxRegimes: [], visibleWhen: [], ...data });
+
+  const questions = [
+    question({ questionId: 'has_employees', phase: 'business_info', type: 'boolean', order: 0 }),
+    question({ questionId: 'employees_count', phase: 'business_info', type: 'number', order: 10,
+      visibleWhen: [{ questionId: 'has_employees', operator: 'equals', value: true }], validation: { min: 1, max: 500 } }),
+    question({ questionId: 'tax_regime', phase: 'fiscal_data', type: 'select', required: true,
+      options: [{ value: 'Forfettario', label: 'Forfettario' }, { value: 'Ordinario', label: 'Ordinario' }] }),
+    question({ questionId: 'payroll_provider', phase: 'fiscal_data', order: 10, required: true,
+      visibleWhen: [{ questionId: 'employees_count', operator: 'answered' }] }),
+    question({ questionId: 'activity_code', phase: 'fiscal_data', order: 20, taxRegimes: ['Forfettario'] }),
+    question({ questionId: 'statute', phase: 'documents', type: 'file', clientTypes: ['corporation'] })
+  ];
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('buildDefaultQuestions', () => {
+    test('dovrebbe convertire le domande predefinite mantenendo le regole di applicabilità', () => {
+      const defaults = questionBankService.buildDefaultQuestions();
+      const byId = (id) => defaults.find(q => q.questionId === id);
+
+      expect(defaults).toHaveLength(6);
+      expect(byId('client_type')).toMatchObject({ phase: 'initial', clientTypes: [], required: true });
+      expect(byId('fiscal_code').validation).toEqual({ format: 'fiscal_code' });
+      expect(byId('vat_number').clientTypes).not.toContain('individual');
+      expect(byId('activity_code')).toMatchObject({ taxRegimes: ['Forfettario'], order: 10 });
+      expect(byId('company_statute').clientTypes).toEqual(['partnership', 'corporation', 'non_profit']);
+      expect(questionBankService.validateDefinition(defaults)).toEqual([]);
+    });
+  });
+
+  describe('getQuestionsForPhase', () => {
+    test('dovrebbe filtrare per regime e lasciare all\'interfaccia le regole sulla stessa fase', async () => {
+      const bank = { questions };
+
+      const business = await questionBankService.getQuestionsForPhase('business_info', { bank, answers: {} });
+      expect(business.map(q => q.id)).toEqual(['has_employees', 'employees_count']);
+      expect(business[1].visibleWhen).toEqual([{ questionId: 'has_employees', operator: 'equals', value: true }]);
+
+      const fiscal = await questionBankService.getQuestionsForPhase('fiscal_data', {
+        bank,
+        taxRegime: 'Ordinario',
+        answers: { has_employees: true, employees_count: 3 }
+      });
+      expect(fiscal.map(q => q.id)).toEqual(['tax_regime', 'payroll_provider']);
+      expect(fiscal[1].visibleWhen).toEqual([]);
+    });
+
+    test('dovrebbe ignorare le risposte alle domande nascoste nelle condizioni a catena', async () => {
+      const fiscal = await questionBankService.getQuestionsForPhase('fiscal_data', {
+        bank: { questions },
+        taxRegime: 'Forfettario',
+        answers: { has_employees: false, employees_count: 3 }
+      });
+
+      expect(fiscal.map(q => q.id)).toEqual(['tax_regime', 'activity_code']);
+    });
+
+    test('dovrebbe creare la versione 1 con le domande predefinite se la collezione è vuota', async () => {
+      jest.spyOn(QuestionBank, 'findPublished').mockResolvedValue(null);
+      jest.spyOn(QuestionBank, 'findLatestVersionNumber').mockResolvedValue(0);
+      jest.spyOn(QuestionBank, 'create').mockImplementation(async data => data);
+
+      const initial = await questionBankService.getQuestionsForPhase('initial');
+
+      expect(QuestionBank.create).toHaveBeenCalledWith(expect.objectContaining({ version: 1, status: 'published' }));
+      expect(initial.map(q => q.id)).toEqual(['client_type']);
+    });
+  });
+
+  describe('validateAnswer', () => {
+    test('dovrebbe applicare le regole per tipo di domanda', () => {
+      expect(questionBankService.validateAnswer({ type: 'text', required: true }, '')).toBe('Risposta obbligatoria');
+      expect(questionBankService.validateAnswer({ type: 'text', validation: 'fiscal_code' }, 'RSSMRA80A01H501Z')).toBe('Codice fiscale non valido');
+      expect(questionBankService.validateAnswer({ type: 'text', validation: { format: 'fiscal_code' } }, 'RSSMRA80A01H501U')).toBeNull();
+      expect(questionBankService.validateAnswer({ type: 'number', validation: { min: 1, max: 500 } }, 0)).toBe('Il valore minimo è 1');
+      expect(questionBankService.validateAnswer({ type: 'select', options: [{ value: 'A' }] }, 'B')).toBe('Opzione non ammessa');
+      expect(questionBankService.validateAnswer({ type: 'multiselect', options: [{ value: 'A' }, { value: 'B' }], validation: { maxSelections: 1 } }, ['A', 'B']))
+        .toBe('Selezionare al massimo 1 opzioni');
+      expect(questionBankService.validateAnswer({ type: 'text', validation: { pattern: '^\\d{2}\\.\\d{2}$', message: 'Codice ATECO nel formato 00.00' } }, '6920'))
+        .toBe('Codice ATECO nel formato 00.00');
+      expect(questionBankService.validateAnswer({ type: 'email' }, 'mario@example')).toBe('Indirizzo email non valido');
+    });
+
+    test('dovrebbe validare solo le domande visibili', () => {
+      const phaseQuestions = [
+        { id: 'has_employees', type: 'boolean', required: true },
+        { id: 'employees_count', type: 'number', required: true, visibleWhen: [{ questionId: 'has_employees', operator: 'equals', value: true }] }
+      ];
+
+      expect(questionBankService.validateAnswers(phaseQuestions, { has_employees: false }).valid).toBe(true);
+      expect(questionBankService.validateAnswers(phaseQuestions, { has_employees: 'true' }).errors)
+        .toEqual([{ questionId: 'employees_count', text: undefined, message: 'Risposta obbligatoria' }]);
+    });
+  });
+
+  describe('versioni', () => {
+    test('dovrebbe creare una bozza a partire dalla versione pubblicata', async () => {
+      jest.spyOn(QuestionBank, 'findOne').mockResolvedValue(null);
+      jest.spyOn(QuestionBank, 'findPublished').mockResolvedValue({ version: 3, status: 'published', questions });
+      jest.spyOn(QuestionBank, 'findLatestVersionNumber').mockResolvedValue(4);
+      jest.spyOn(QuestionBank, 'create').mockImplementation(async data => data);
+
+      const draft = await questionBankService.createDraft({ _id: 'admin1' }, { notes: 'Domande dipendenti' });
+
+      expect(draft).toMatchObject({ version: 5, status: 'draft', basedOnVersion: 3, notes: 'Domande dipendenti' });
+      expect(draft.questions).toHaveLength(questions.length);
+    });
+
+    test('non dovrebbe consentire di modificare una versione pubblicata', async () => {
+      jest.spyOn(QuestionBank, 'findOne').mockResolvedValue(new QuestionBank({ version: 2, status: 'published' }));
+
+      await expect(questionBankService.updateDraft(2, { questions }))
+        .rejects.toThrow('Le versioni pubblicate non sono modificabili');
+    });
+
+    test('dovrebbe rifiutare regole di visibilità su domande inesistenti', async () => {
+      const draft = new QuestionBank({ version: 2, status: 'draft' });
+      draft.save = jest.fn().mockResolvedValue(draft);
+      jest.spyOn(QuestionBank, 'findOne').mockResolvedValue(draft);
+
+      await expect(questionBankService.updateDraft(2, {
+        questions: [question({ questionId: 'x', phase: 'initial', text: 'X', visibleWhen: [{ questionId: 'y', value: 1 }] })]
+      })).rejects.toThrow('domanda inesistente y');
+      expect(draft.save).not.toHaveBeenCalled();
+    });
+
+    test('dovrebbe accettare solo campi dell\'anagrafica collegabili', () => {
+      expect(questionBankService.validateDefinition([
+        question({ questionId: 'sector', phase: 'business_info', text: 'Settore', clientField: 'businessSector' })
+      ])).toEqual([]);
+
+      expect(questionBankService.validateDefinition([
+        question({ questionId: 'role', phase: 'business_info', text: 'Ruolo', clientField: 'role' }),
+        question({ questionId: 'id_doc', phase: 'documents', text: 'Documento', type: 'file', clientField: 'notes' })
+      ])).toEqual([
+        'Domanda role: il campo dell\'anagrafica role non è collegabile',
+        'Domanda id_doc: le risposte di tipo file non possono essere salvate in anagrafica'
+      ]);
+    });
+
+    test('dovrebbe archiviare la versione precedente alla pubblicazione', async () => {
+      const draft = new QuestionBank({
+        version: 2,
+        status: 'draft',
+        questions: questions.map(q => ({ ...q, text: q.questionId }))
+      });
+      draft.save = jest.fn().mockResolvedValue(draft);
+      jest.spyOn(QuestionBank, 'findOne').mockResolvedValue(draft);
+      jest.spyOn(QuestionBank, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      await questionBankService.publishDraft(2, { _id: draft._id });
+
+      expect(QuestionBank.updateMany).toHaveBeenCalledWith({ status: 'published' }, { $set: { status: 'archived' } });
+      expect(draft.status).toBe('published');
+      expect(draft.publishedAt).toBeInstanceOf(Date);
+    });
+
+    test('dovrebbe elencare le versioni dalla più recente', async () => {
+      jest.spyOn(QuestionBank, 'find').mockReturnValue(mockQuery([{ version: 2 }, { version: 1 }]));
+
+      const versions = await questionBankService.listVersions();
+
+      expect(versions.map(v => v.version)).toEqual([2, 1]);
+    });
+  });
+
+  describe('previewVersion', () => {
+    test('dovrebbe mostrare domande visibili, nascoste con motivo ed errori di validazione', async () => {
+      jest.spyOn(QuestionBank, 'findOne').mockResolvedValue(new QuestionBank({
+        version: 2,
+        status: 'draft',
+        questions: questions.map(q => ({ ...q, text: q.questionId }))
+      }));
+
+      const preview = await questionBankService.previewVersion(2, {
+        clientType: 'individual',
+        taxRegime: 'Ordinario',
+        answers: { has_employees: true, employees_count: 900, tax_regime: 'Ordinario' }
+      });
+
+      const business = preview.phases.find(p => p.phase === 'business_info');
+      const fiscal = preview.phases.find(p => p.phase === 'fiscal_data');
+      const documents = preview.phases.find(p => p.phase === 'documents');
+
+      expect(preview).toMatchObject({ version: 2, status: 'draft', definitionErrors: [] });
+      expect(business.errors).toEqual([{ questionId: 'employees_count', text: 'employees_count', message: 'Il valore massimo è 500' }]);
+      expect(fiscal.questions.map(q => q.id)).toEqual(['tax_regime', 'payroll_provider']);
+      expect(fiscal.hidden[0]).toMatchObject({ questionId: 'activity_code' });
+      expect(fiscal.errors.map(e => e.questionId)).toEqual(['payroll_provider']);
+      expect(documents.hidden[0].reason).toBe('Non prevista per il tipo cliente o il regime fiscale');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const recurrence = require('../../src/utils/recurrence');
+const Procedure = require('../../src/models/Procedure');
+
+describe('Recurrence Utils', () => {
+  describe('parseRRule', () => {
+    it('dovrebbe interpretare una regola completa', () => {
+      const rule = recurrence.parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6');
+
+      expect(rule.freq).toBe('MONTHLY');
+      expect(rule.interval).toBe(2);
+      expect(rule.count).toBe(6);
+      expect(rule.byDay).toEqual([{ weekDay: 5, ordinal: -1 }]);
+    });
+
+    it('dovrebbe rifiutare regole non supportate', () => {
+      expect(recurrence.isValidRRule('FREQ=MONTHLY;BYMONTHDAY=15')).toBe(true);
+      expect(recurrence.isValidRRule('FREQ=HOURLY')).toBe(false);
+      expect(recurrence.isValidRRule('BYMONTHDAY=1')).toBe(false);
+      expect(recurrence.isValidRRule('FREQ=MONTHLY;BYSETPOS=1')).toBe(false);
+      expect(recurrence.isValidRRule('FREQ=MONTHLY;COUNT=2;UNTIL=20261231')).toBe(false);
+    });
+  });
+
+  describe('getPeriod', () => {
+    const date = new Date(2026, 4, 17);
+
+    it('dovrebbe calcolare i periodi delle frequenze predefinite', () => {
+      const monthly = recurrence.getPeriod({ frequency: 'monthly' }, date);
+      const quarterly = recurrence.getPeriod({ frequency: 'quarterly' }, date);
+      const yearly = recurrence.getPeriod({ frequency: 'yearly' }, date);
+
+      expect(monthly).toEqual(expect.objectContaining({
+        start: new Date(2026, 4, 1),
+        end: new Date(2026, 4, 31),
+        label: 'Maggio 2026'
+      }));
+      expect(quarterly.start).toEqual(new Date(2026, 3, 1));
+      expect(quarterly.end).toEqual(new Date(2026, 5, 30));
+      expect(quarterly.label).toBe('2° trimestre 2026');
+      expect(yearly.label).toBe('Anno 2026');
+      expect(yearly.nextStart).toEqual(new Date(2027, 0, 1));
+    });
+
+    it('dovrebbe allineare i periodi alla data di riferimento', () => {
+      const period = recurrence.getPeriod({ frequency: 'yearly', anchorDate: new Date(2025, 6, 1) }, date);
+
+      expect(period.start).toEqual(new Date(2025, 6, 1));
+      expect(period.end).toEqual(new Date(2026, 5, 30));
+      expect(period.label).toBe('01/07/2025 - 30/06/2026');
+    });
+
+    it('dovrebbe applicare le regole RRULE personalizzate', () => {
+      const period = recurrence.getPeriod({
+        frequency: 'custom',
+        rrule: 'FREQ=MONTHLY;BYMONTHDAY=-1',
+        anchorDate: new Date(2026, 0, 1)
+      }, new Date(2026, 2, 10));
+
+      expect(period.start).toEqual(new Date(2026, 1, 28));
+      expect(period.nextStart).toEqual(new Date(2026, 2, 31));
+    });
+
+    it('dovrebbe chiudere la ricorrenza dopo COUNT occorrenze', () => {
+      const rule = { frequency: 'custom', rrule: 'FREQ=MONTHLY;BYMONTHDAY=1;COUNT=2', anchorDate: new Date(2026, 0, 1) };
+
+      expect(recurrence.getPeriod(rule, new Date(2026, 1, 10)).nextStart).toBeNull();
+      expect(recurrence.getPeriod(rule, new Date(2026, 1, 10)).label).toBe('Dal 01/02/2026');
+    });
+
+    it('dovrebbe richiedere la data di riferimento per intervalli e regole personalizzate', () => {
+      expect(() => recurrence.getPeriod({ frequency: 'yearly', interval: 2 }, date))
+        .toThrow('La ricorrenza richiede una data di decorrenza (anchorDate)');
+      expect(() => recurrence.getPeriod({ frequency: 'custom', rrule: 'FREQ=MONTHLY;BYMONTHDAY=1;COUNT=3' }, date))
+        .toThrow('La ricorrenza richiede una data di decorrenza (anchorDate)');
+      expect(recurrence.requiresAnchor({ frequency: 'monthly' })).toBe(false);
+    });
+
+    it('dovrebbe concatenare i periodi senza sovrapposizioni a partire dalla data di riferimento', () => {
+      const rules = [
+        { frequency: 'yearly', interval: 2, anchorDate: new Date(2024, 0, 1) },
+        { frequency: 'monthly', interval: 5, anchorDate: new Date(2025, 0, 1) }
+      ];
+
+      rules.forEach(rule => {
+        let period = recurrence.getPeriod(rule, new Date(2025, 8, 15));
+        for (let i = 0; i < 4; i++) {
+          const next = recurrence.getPeriod(rule, period.nextStart);
+          expect(next.start).toEqual(period.nextStart);
+          expect(next.start > period.end).toBe(true);
+          period = next;
+        }
+      });
+
+      expect(recurrence.getPeriod(rules[0], new Date(2026, 0, 1)).start).toEqual(new Date(2026, 0, 1));
+      expect(recurrence.getPeriod(rules[1], new Date(2025, 8, 15)).nextStart).toEqual(new Date(2025, 10, 1));
+      expect(recurrence.getPeriod(rules[1], new Date(2025, 10, 1)).start).toEqual(new Date(2025, 10, 1));
+    });
+
+    it('dovrebbe mantenere il limite COUNT rispetto alla data di riferimento', () => {
+      const rule = { frequency: 'custom', rrule: 'FREQ=MONTHLY;BYMONTHDAY=1;COUNT=3', anchorDate: new Date(2025, 2, 1) };
+
+      expect(recurrence.getPeriod(rule, new Date(2026, 5, 1))).toEqual(expect.objectContaining({
+        start: new Date(2025, 4, 1),
+        nextStart: null
+      }));
+      expect(recurrence.getPeriod(rule, new Date(2025, 2, 20)).nextStart).toEqual(new Date(2025, 3, 1));
+    });
+
+    it('dovrebbe restituire null per le procedure non ricorrenti', () => {
+      expect(recurrence.getPeriod({ frequency: 'none' }, date)).toBeNull();
+      expect(recurrence.getPeriod(undefined, date)).toBeNull();
+    });
+  });
+
+  describe('data di riferimento delle procedure', () => {
+    it('dovrebbe salvare la data di riferimento quando la ricorrenza la richiede', async () => {
+      const yearly = new Procedure({ name: 'Bilancio', description: 'Biennale', recurrence: { frequency: 'yearly', interval: 2 } });
+      const custom = new Procedure({
+        name: 'Verifiche',
+        description: 'Tre verifiche',
+        recurrence: { frequency: 'custom', rrule: 'FREQ=MONTHLY;BYMONTHDAY=1;COUNT=3' }
+      });
+      const monthly = new Procedure({ name: 'Contabilità', description: 'Mensile', recurrence: { frequency: 'monthly' } });
+
+      await Promise.all([yearly.validate(), custom.validate(), monthly.validate()]);
+
+      const today = new Date();
+      expect(yearly.recurrence.anchorDate).toEqual(new Date(today.getFullYear(), 0, 1));
+      expect(custom.recurrence.anchorDate).toEqual(new Date(today.getFullYear(), today.getMonth(), today.getDate()));
+      expect(monthly.recurrence.anchorDate).toBeUndefined();
+      expect(recurrence.getPeriod(yearly.recurrence, today).start).toEqual(new Date(today.getFullYear(), 0, 1));
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const Procedure = require('../../src/models/Procedure');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const Client = require('../../src/models/Client');
+const ActivityLog = require('../../src/models/ActivityLog');
+const User = require('../../src/models/User');
+const notificationService = require('../../src/services/notificationService');
+const recurringProcedureService = require('../../src/services/recurringProcedureService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/mailer', () => ({
+  isConfigured: jest.fn(() => false),
+  sendMail: jest.fn()
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+describe('Recurring Procedure Service', () => {
+  let procedure;
+  let client;
+  let current;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    procedure = new Procedure({
+      name: 'Contabilità mensile',
+      description: 'Registrazioni e liquidazione IVA del mese',
+      recurrence: { frequency: 'monthly' },
+      tasks: [
+        { name: 'Registrazione fatture', description: 'Registrare le fatture del mese', dueOffset: 10 },
+        { name: 'Liquidazione IVA', fiscalDeadline: 'vat_periodic' }
+      ]
+    });
+
+    client = new Client({
+      name: 'Alfa SRL',
+      fiscalCode: '12345678901',
+      vatNumber: '12345678901',
+      companyType: 'SRL',
+      accountingRegime: 'Ordinario',
+      annualRevenue: 1000000
+    });
+
+    const operatorId = new mongoose.Types.ObjectId();
+    current = new ClientProcedure({
+      clientId: client._id,
+      procedureId: procedure._id,
+      startDate: new Date(2026, 3, 1),
+      period: { start: new Date(2026, 3, 1), end: new Date(2026, 3, 30), label: 'Aprile 2026' },
+      notes: 'Cliente in ritardo con gli estratti conto',
+      tasks: [
+        {
+          taskId: 'task-1',
+          name: 'Registrazione fatture',
+          status: 'in_progress',
+          dueDate: new Date(2026, 3, 11),
+          assignedTo: operatorId,
+          notes: 'Mancano le fatture passive di aprile'
+        },
+        {
+          taskId: 'task-2',
+          name: 'Liquidazione IVA',
+          status: 'completed',
+          dueDate: new Date(2026, 4, 18),
+          notes: 'Versato'
+        }
+      ]
+    });
+
+    jest.spyOn(ClientProcedure.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ClientProcedure, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([current]));
+    jest.spyOn(Procedure, 'find').mockReturnValue(mockQuery([procedure]));
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+    jest.spyOn(notificationService, 'notifyClientOperators').mockResolvedValue([]);
+    User.find.mockReturnValue(mockQuery([]));
+  });
+
+  describe('instantiateNext', () => {
+    it('dovrebbe creare il periodo successivo riportando le note aperte', async () => {
+      const { instance, created } = await recurringProcedureService.instantiateNext(current, { procedure, client });
+
+      expect(created).toBe(true);
+      expect(instance.period.label).toBe('Maggio 2026');
+      expect(instance.startDate).toEqual(new Date(2026, 4, 1));
+      expect(instance.previousInstanceId).toEqual(current._id);
+      expect(current.nextInstanceId).toEqual(instance._id);
+
+      const [registrazione, liquidazione] = instance.tasks;
+      expect(registrazione.notes).toBe('Mancano le fatture passive di aprile');
+      expect(registrazione.assignedTo).toEqual(current.tasks[0].assignedTo);
+      expect(registrazione.dueDate).toEqual(new Date(2026, 4, 11));
+      // Le note dei task completati non vengono riportate
+      expect(liquidazione.notes).toBe('');
+      // Liquidazione di maggio, 16 giugno 2026
+      expect(liquidazione.dueDate).toEqual(new Date(2026, 5, 16));
+      expect(liquidazione.fiscalPeriod).toBe('Maggio 2026');
+
+      expect(instance.notes).toContain('Note dal periodo precedente (Aprile 2026)');
+      expect(instance.notes).toContain('Cliente in ritardo con gli estratti conto');
+      expect(notificationService.notifyClientOperators).toHaveBeenCalledWith(client, expect.objectContaining({ type: 'procedure_recurrence' }));
+    });
+
+    it('dovrebbe riportare nelle note generali le note dei task eliminati dal template', async () => {
+      procedure.tasks = procedure.tasks.filter(task => task.name !== 'Registrazione fatture');
+
+      const { instance } = await recurringProcedureService.instantiateNext(current, { procedure, client });
+
+      expect(instance.notes).toContain('Registrazione fatture: Mancano le fatture passive di aprile');
+    });
+
+    it('non dovrebbe duplicare un periodo già creato', async () => {
+      const existing = new ClientProcedure({ clientId: client._id, procedureId: procedure._id });
+      ClientProcedure.findOne.mockResolvedValue(existing);
+
+      const { instance, created } = await recurringProcedureService.instantiateNext(current, { procedure, client });
+
+      expect(created).toBe(false);
+      expect(instance).toBe(existing);
+      expect(current.nextInstanceId).toEqual(existing._id);
+      expect(notificationService.notifyClientOperators).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runRecurringProcedures', () => {
+    it('dovrebbe creare il periodo successivo quando è iniziato', async () => {
+      const report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 4, 3) });
+
+      expect(report.created).toEqual([expect.objectContaining({ period: 'Maggio 2026', clientName: 'Alfa SRL' })]);
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'procedure_recurrence_run' }));
+    });
+
+    it('dovrebbe anticipare il periodo successivo quando l\'istanza è completata', async () => {
+      current.status = 'completed';
+
+      const report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 3, 20) });
+
+      expect(report.created.map(item => item.period)).toEqual(['Maggio 2026']);
+    });
+
+    it('dovrebbe recuperare i periodi arretrati', async () => {
+      const report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 6, 2) });
+
+      expect(report.created.map(item => item.period)).toEqual(['Maggio 2026', 'Giugno 2026', 'Luglio 2026']);
+    });
+
+    it('non dovrebbe creare nulla prima dell\'inizio del periodo', async () => {
+      const report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 3, 20) });
+
+      expect(report.created).toHaveLength(0);
+      expect(ClientProcedure.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe saltare i clienti non più attivi e le istanze sospese', async () => {
+      client.isActive = false;
+
+      let report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 4, 3) });
+      expect(report.created).toHaveLength(0);
+      expect(report.skipped).toEqual([expect.objectContaining({ reason: 'client_inactive' })]);
+
+      client.isActive = true;
+      current.status = 'on_hold';
+
+      report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 4, 3) });
+      expect(report.skipped).toEqual([expect.objectContaining({ reason: 'on_hold' })]);
+    });
+
+    it('in modalità di prova non dovrebbe salvare', async () => {
+      const report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 4, 3), dryRun: true });
+
+      expect(report.created).toHaveLength(1);
+      expect(ClientProcedure.prototype.save).not.toHaveBeenCalled();
+      expect(ActivityLog.create).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe proseguire in caso di errore su un\'istanza', async () => {
+      ClientProcedure.findOne.mockRejectedValue(new Error('Connessione persa'));
+
+      const report = await recurringProcedureService.runRecurringProcedures({ now: new Date(2026, 4, 3) });
+
+      expect(report.errors).toEqual([expect.objectContaining({ error: expect.stringContaining('Connessione persa') })]);
+      expect(ActivityLog.create).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateProcedureRecurrence', () => {
+    const procedureController = require('../../src/controllers/procedureController');
+
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+
+    it('dovrebbe riservare la modifica della ricorrenza agli amministratori', async () => {
+      const findById = jest.spyOn(Procedure, 'findById');
+      const res = mockResponse();
+
+      await procedureController.updateProcedureRecurrence({
+        params: { procedureId: procedure._id.toString() },
+        body: { frequency: 'quarterly' },
+        user: { role: 'operator' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(findById).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe salvare la ricorrenza impostata da un amministratore', async () => {
+      jest.spyOn(Procedure, 'findById').mockResolvedValue(procedure);
+      procedure.save = jest.fn().mockResolvedValue(procedure);
+      const res = mockResponse();
+
+      await procedureController.updateProcedureRecurrence({
+        params: { procedureId: procedure._id.toString() },
+        body: { frequency: 'quarterly' },
+        user: { role: 'admin' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(procedure.recurrence.frequency).toBe('quarterly');
+      expect(procedure.save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const scheduler = require('../../src/services/scheduler');
+
+// I job dello studio non vengono registrati in questi test
+jest.mock('../../src/services/documentExpiryService', () => ({}));
+jest.mock('../../src/services/recurringProcedureService', () => ({}));
+jest.mock('../../src/services/taskReminderService', () => ({}));
+jest.mock('../../src/services/documentDeliveryService', () => ({}));
+
+describe('Scheduler', () => {
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('dovrebbe eseguire i job all\'avvio senza attendere il primo intervallo', async () => {
+    const handler = jest.fn().mockResolvedValue({ ok: true });
+    scheduler.registerJob('test-avvio', 24 * 60 * 60 * 1000, handler);
+
+    scheduler.start();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().find(job => job.name === 'test-avvio').lastRunAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Procedure = require('../../src/models/Procedure');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const Client = require('../../src/models/Client');
+const ActivityLog = require('../../src/models/ActivityLog');
+const User = require('../../src/models/User');
+const notificationService = require('../../src/services/notificationService');
+const taskAssignmentService = require('../../src/services/taskAssignmentService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+const NOW = new Date(2026, 4, 4);
+
+const makeUser = (firstName, role) => ({ _id: new mongoose.Types.ObjectId(), firstName, role });
+
+// Istanza con task aperti assegnati agli utenti indicati, in scadenza alla data indicata
+const makeInstance = (assignees, dueDate = new Date(2026, 5, 30)) => new ClientProcedure({
+  clientId: new mongoose.Types.ObjectId(),
+  procedureId: new mongoose.Types.ObjectId(),
+  tasks: assignees.map((user, index) => ({
+    taskId: `task-${index + 1}`,
+    name: `Task ${index + 1}`,
+    assignedTo: user._id,
+    dueDate
+  }))
+});
+
+describe('Task Assignment Service', () => {
+  let anna;
+  let bruno;
+  let carla;
+  let admin;
+  let procedure;
+  let client;
+  let existing;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    anna = makeUser('Anna', 'operator');
+    bruno = makeUser('Bruno', 'operator');
+    carla = makeUser('Carla', 'operator');
+    admin = makeUser('Dario', 'admin');
+
+    procedure = new Procedure({
+      name: 'Contabilità mensile',
+      tasks: [
+        { name: 'Registrazione fatture', assignedRole: 'accountant', dueOffset: 10 },
+        { name: 'Revisione', assignedRole: 'manager', dueOffset: 20 }
+      ]
+    });
+    client = new Client({ name: 'Alfa SRL', onboarding: { assignedTo: anna._id } });
+
+    // Anna ha 2 task aperti, Bruno 1, Carla nessuno
+    existing = [makeInstance([anna, anna, bruno])];
+
+    User.find.mockReturnValue(mockQuery([anna, bruno, carla, admin]));
+    jest.spyOn(ClientProcedure, 'find').mockImplementation(() => mockQuery(existing));
+    jest.spyOn(ClientProcedure.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+    jest.spyOn(notificationService, 'notify').mockResolvedValue([]);
+  });
+
+  const newInstance = async () => {
+    const instance = new ClientProcedure({ clientId: client._id, procedureId: procedure._id, startDate: NOW });
+    await instance.initializeTasksFromProcedure(procedure);
+    return instance;
+  };
+
+  describe('computeWorkload', () => {
+    it('dovrebbe pesare di più i task in ritardo e quelli con scadenze vicine', () => {
+      const workload = taskAssignmentService.computeWorkload([
+        { dueDate: new Date(2026, 3, 20) },
+        { dueDate: new Date(2026, 4, 10) },
+        { dueDate: new Date(2026, 8, 1) }
+      ], { dueDate: new Date(2026, 4, 12), now: NOW });
+
+      expect(workload).toEqual({ openTasks: 3, overdue: 1, concurrent: 1, score: 5 });
+    });
+  });
+
+  describe('assignTasks', () => {
+    it('dovrebbe preferire il responsabile del cliente se non è sovraccarico', async () => {
+      const instance = await newInstance();
+
+      const assignments = await taskAssignmentService.assignTasks(instance, { procedure, client, now: NOW });
+
+      expect(instance.tasks[0].assignedTo).toEqual(anna._id);
+      expect(assignments[0]).toEqual(expect.objectContaining({ assignedRole: 'accountant', preferred: true }));
+      // I task di supervisione vanno agli amministratori
+      expect(instance.tasks[1].assignedTo).toEqual(admin._id);
+    });
+
+    it('dovrebbe scegliere il collega meno carico se il responsabile è sovraccarico', async () => {
+      existing = [makeInstance(Array(8).fill(anna)), makeInstance([bruno])];
+      const instance = await newInstance();
+
+      await taskAssignmentService.assignTasks(instance, { procedure, client, now: NOW });
+
+      expect(instance.tasks[0].assignedTo).toEqual(carla._id);
+    });
+
+    it('dovrebbe bilanciare i task senza responsabile del cliente', async () => {
+      client.onboarding.assignedTo = undefined;
+      procedure.tasks.push({ name: 'Liquidazione', assignedRole: 'operator', dueOffset: 10 });
+      const instance = await newInstance();
+
+      await taskAssignmentService.assignTasks(instance, { procedure, client, now: NOW });
+
+      // Carla (nessun task) prende il primo; il successivo va al meno carico tra Bruno e Carla
+      expect(instance.tasks[0].assignedTo).toEqual(carla._id);
+      expect([String(bruno._id), String(carla._id)]).toContain(String(instance.tasks[2].assignedTo));
+    });
+
+    it('non dovrebbe modificare i task già assegnati', async () => {
+      const instance = await newInstance();
+      instance.tasks[0].assignedTo = bruno._id;
+
+      const assignments = await taskAssignmentService.assignTasks(instance, { procedure, client, now: NOW });
+
+      expect(instance.tasks[0].assignedTo).toEqual(bruno._id);
+      expect(assignments).toHaveLength(1);
+    });
+  });
+
+  describe('reassignTasks', () => {
+    it('dovrebbe ridistribuire i task di un utente in ferie escludendolo', async () => {
+      const report = await taskAssignmentService.reassignTasks(anna._id, { reason: 'ferie', now: NOW });
+
+      expect(report.reassigned).toHaveLength(2);
+      expect(existing[0].tasks[0].assignedTo).toEqual(carla._id);
+      expect(existing[0].tasks.filter(task => String(task.assignedTo) === String(anna._id))).toHaveLength(0);
+      expect(existing[0].save).toHaveBeenCalled();
+      expect(notificationService.notify).toHaveBeenCalledWith([String(carla._id)], expect.objectContaining({ type: 'task_reassigned' }));
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'task_reassignment' }));
+    });
+
+    it('dovrebbe riassegnare al collega indicato solo i task nel periodo', async () => {
+      existing = [
+        makeInstance([anna], new Date(2026, 6, 10)),
+        makeInstance([anna], new Date(2026, 8, 10))
+      ];
+      User.find.mockReturnValue(mockQuery([bruno]));
+
+      const report = await taskAssignmentService.reassignTasks(anna._id, {
+        toUserId: bruno._id,
+        from: new Date(2026, 6, 1),
+        to: new Date(2026, 6, 31)
+      });
+
+      expect(report.reassigned).toHaveLength(1);
+      expect(existing[0].tasks[0].assignedTo).toEqual(bruno._id);
+      expect(existing[1].tasks[0].assignedTo).toEqual(anna._id);
+    });
+
+    it('dovrebbe rifiutare un destinatario non attivo', async () => {
+      User.find.mockReturnValue(mockQuery([]));
+
+      await expect(taskAssignmentService.reassignTasks(anna._id, { toUserId: bruno._id }))
+        .rejects.toThrow('Utente di destinazione non trovato o non attivo');
+    });
+  });
+});
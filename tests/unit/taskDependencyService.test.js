@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Procedure = require('../../src/models/Procedure');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const taskDependencyService = require('../../src/services/taskDependencyService');
+const { findCycle, validateDependencies, topologicalSort } = require('../../src/utils/taskGraph');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+
+// Lunedì 11 maggio 2026
+const NOW = new Date(2026, 4, 11, 9, 0);
+
+describe('Task Dependency Service', () => {
+  describe('grafo delle dipendenze', () => {
+    const tasks = [
+      { taskId: 'a', dependsOn: [] },
+      { taskId: 'b', dependsOn: ['a'] },
+      { taskId: 'c', dependsOn: ['b'] }
+    ];
+
+    it('dovrebbe individuare un ciclo', () => {
+      expect(findCycle(tasks)).toBeNull();
+      expect(findCycle([...tasks.slice(1), { taskId: 'a', dependsOn: ['c'] }])).toEqual(['b', 'a', 'c', 'b']);
+    });
+
+    it('dovrebbe segnalare dipendenze inesistenti, da se stessi e circolari', () => {
+      expect(validateDependencies([{ taskId: 'a', dependsOn: ['a', 'z'] }])).toEqual([
+        'Il task "a" non può dipendere da se stesso',
+        'Il task "a" dipende da un task inesistente: "z"'
+      ]);
+      expect(validateDependencies([
+        { name: 'Raccolta', dependsOn: ['Controllo'] },
+        { name: 'Controllo', dependsOn: ['Raccolta'] }
+      ], 'name')).toEqual(['Dipendenza circolare tra i task: Raccolta -> Controllo -> Raccolta']);
+    });
+
+    it('dovrebbe ordinare i task dopo le proprie dipendenze', () => {
+      const sorted = topologicalSort([tasks[2], tasks[0], tasks[1]]);
+      expect(sorted.map(task => task.taskId)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('dovrebbe rifiutare una procedura con dipendenze circolari', async () => {
+      const procedure = new Procedure({
+        name: 'Bilancio',
+        description: 'Chiusura di bilancio',
+        tasks: [
+          { name: 'Raccolta', dueOffset: 5, dependsOn: ['Bilancio'] },
+          { name: 'Bilancio', dueOffset: 10, dependsOn: ['Raccolta'] }
+        ]
+      });
+
+      await expect(procedure.validate()).rejects.toThrow('Dipendenza circolare tra i task');
+    });
+  });
+
+  describe('computeSchedule', () => {
+    let instance;
+
+    beforeEach(async () => {
+      const procedure = new Procedure({
+        name: 'Bilancio',
+        description: 'Chiusura di bilancio',
+        tasks: [
+          { name: 'Raccolta documenti', dueOffset: 5, estimatedHours: 8 },
+          { name: 'Registrazioni', dueOffset: 10, estimatedHours: 16, dependsOn: ['Raccolta documenti'] },
+          { name: 'Controllo', dueOffset: 10, estimatedHours: 4, dependsOn: ['Raccolta documenti'] },
+          { name: 'Bilancio', dueOffset: 2, estimatedHours: 8, dependsOn: ['Registrazioni', 'Controllo'] }
+        ]
+      });
+
+      instance = new ClientProcedure({
+        clientId: new mongoose.Types.ObjectId(),
+        procedureId: procedure._id,
+        startDate: NOW
+      });
+      await instance.initializeTasksFromProcedure(procedure);
+    });
+
+    it('dovrebbe riportare le dipendenze del template sui taskId', () => {
+      expect(instance.tasks.map(task => [...task.dependsOn])).toEqual([
+        [],
+        ['task-1'],
+        ['task-1'],
+        ['task-2', 'task-3']
+      ]);
+    });
+
+    it('dovrebbe calcolare il percorso critico e la data di completamento', () => {
+      const schedule = taskDependencyService.computeSchedule(instance, { now: NOW });
+      const [raccolta, registrazioni, controllo, bilancio] = schedule.tasks;
+
+      expect(raccolta.earliestFinish).toEqual(new Date(2026, 4, 11));
+      expect(registrazioni.earliestStart).toEqual(new Date(2026, 4, 12));
+      expect(registrazioni.earliestFinish).toEqual(new Date(2026, 4, 13));
+      expect(bilancio.earliestStart).toEqual(new Date(2026, 4, 14));
+      expect(schedule.earliestCompletion).toEqual(new Date(2026, 4, 14));
+
+      expect(schedule.criticalPath).toEqual(['task-1', 'task-2', 'task-4']);
+      expect(controllo.slackDays).toBe(1);
+      expect(controllo.critical).toBe(false);
+
+      // La scadenza del bilancio (13/05) non è raggiungibile
+      expect(bilancio.late).toBe(true);
+      expect(schedule.lateTasks).toBe(1);
+    });
+
+    it('dovrebbe indicare per ogni task i prerequisiti che lo bloccano', () => {
+      const schedule = taskDependencyService.computeSchedule(instance, { now: NOW });
+
+      expect(schedule.tasks[0].blocked).toBe(false);
+      expect(schedule.tasks[3].blockedBy.map(task => task.name)).toEqual(['Registrazioni', 'Controllo']);
+      expect(schedule.blockedTasks).toBe(3);
+    });
+
+    it('dovrebbe sbloccare i task quando i prerequisiti sono completati', () => {
+      instance.tasks[0].status = 'completed';
+      instance.tasks[0].completedDate = new Date(2026, 4, 8);
+
+      const schedule = taskDependencyService.computeSchedule(instance, { now: NOW });
+
+      expect(schedule.tasks[1].blocked).toBe(false);
+      expect(schedule.tasks[1].earliestStart).toEqual(new Date(2026, 4, 11));
+      expect(schedule.earliestCompletion).toEqual(new Date(2026, 4, 13));
+      expect(schedule.criticalPath).toEqual(['task-2', 'task-4']);
+    });
+
+    it('dovrebbe saltare i giorni festivi e il fine settimana', () => {
+      // Venerdì 29 maggio: il task di due giorni termina lunedì 1 giugno
+      const schedule = taskDependencyService.computeSchedule(instance, { now: new Date(2026, 4, 28) });
+
+      expect(schedule.tasks[1].earliestStart).toEqual(new Date(2026, 4, 29));
+      expect(schedule.tasks[1].earliestFinish).toEqual(new Date(2026, 5, 1));
+      // 2 giugno (Festa della Repubblica) non lavorativo
+      expect(schedule.tasks[3].earliestStart).toEqual(new Date(2026, 5, 3));
+    });
+  });
+});
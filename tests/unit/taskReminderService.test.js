@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Procedure = require('../../src/models/Procedure');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const Client = require('../../src/models/Client');
+const ReminderDelivery = require('../../src/models/ReminderDelivery');
+const ActivityLog = require('../../src/models/ActivityLog');
+const User = require('../../src/models/User');
+const mailer = require('../../src/services/mailer');
+const notificationService = require('../../src/services/notificationService');
+const taskReminderService = require('../../src/services/taskReminderService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/mailer', () => ({
+  isConfigured: jest.fn(),
+  sendMail: jest.fn()
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+const NOW = new Date(2026, 4, 13, 9, 0);
+
+describe('Task Reminder Service', () => {
+  let user;
+  let instance;
+  let deliveries;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    user = { _id: new mongoose.Types.ObjectId(), firstName: 'Giulia', email: 'giulia@studio.it' };
+
+    const procedure = new Procedure({
+      name: 'Contabilità mensile',
+      tasks: [{ name: 'Liquidazione IVA', reminderDays: [1, 3, 7] }]
+    });
+    const client = new Client({ name: 'Alfa SRL' });
+
+    instance = new ClientProcedure({
+      clientId: client._id,
+      procedureId: procedure._id,
+      tasks: [
+        // Scade tra 3 giorni: promemoria a 3 giorni
+        { taskId: 'task-1', name: 'Liquidazione IVA', assignedTo: user._id, dueDate: new Date(2026, 4, 16) },
+        // Scade tra 10 giorni: nessun promemoria
+        { taskId: 'task-2', name: 'Registrazione fatture', assignedTo: user._id, dueDate: new Date(2026, 4, 23) },
+        // Completato
+        { taskId: 'task-3', name: 'F24', status: 'completed', assignedTo: user._id, dueDate: new Date(2026, 4, 14) },
+        // Senza incaricato
+        { taskId: 'task-4', name: 'Invio CU', dueDate: new Date(2026, 4, 14) }
+      ]
+    });
+    // Dati popolati
+    instance.procedureId = procedure;
+    instance.clientId = client;
+
+    // Registro degli invii in memoria
+    deliveries = [];
+    jest.spyOn(ReminderDelivery, 'findOne').mockImplementation(async ({ reminderKey, channel }) =>
+      deliveries.find(d => d.reminderKey === reminderKey && d.channel === channel) || null
+    );
+    jest.spyOn(ReminderDelivery.prototype, 'save').mockImplementation(function() {
+      if (!deliveries.includes(this)) deliveries.push(this);
+      return Promise.resolve(this);
+    });
+
+    jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([instance]));
+    jest.spyOn(ActivityLog, 'create').mockResolvedValue({});
+    jest.spyOn(notificationService, 'notify').mockResolvedValue([{ _id: 'notification-1' }]);
+    User.find.mockReturnValue(mockQuery([user]));
+    mailer.isConfigured.mockReturnValue(true);
+    mailer.sendMail.mockResolvedValue({ messageId: '<msg-1@studio.it>' });
+  });
+
+  describe('computeReminderTimes', () => {
+    it('dovrebbe calcolare i promemoria dal più lontano alla scadenza', () => {
+      const times = taskReminderService.computeReminderTimes(new Date(2026, 4, 16), [1, 7, 3, 3]);
+
+      expect(times).toEqual([
+        { daysBefore: 7, remindAt: new Date(2026, 4, 9, 8) },
+        { daysBefore: 3, remindAt: new Date(2026, 4, 13, 8) },
+        { daysBefore: 1, remindAt: new Date(2026, 4, 15, 8) }
+      ]);
+    });
+  });
+
+  describe('getDueReminders', () => {
+    it('dovrebbe considerare solo il promemoria più recente dei task aperti e assegnati', () => {
+      const reminders = taskReminderService.getDueReminders(instance, { now: NOW });
+
+      expect(reminders).toHaveLength(1);
+      expect(reminders[0]).toEqual(expect.objectContaining({
+        taskId: 'task-1',
+        daysBefore: 3,
+        daysRemaining: 3,
+        clientName: 'Alfa SRL',
+        procedureName: 'Contabilità mensile'
+      }));
+    });
+
+    it('dovrebbe usare i giorni di anticipo del template', () => {
+      instance.procedureId.tasks[0].reminderDays = [1];
+
+      expect(taskReminderService.getDueReminders(instance, { now: NOW })).toHaveLength(0);
+    });
+  });
+
+  describe('runTaskReminders', () => {
+    it('dovrebbe inviare il promemoria via email e in-app registrando gli invii', async () => {
+      const report = await taskReminderService.runTaskReminders({ now: NOW });
+
+      expect(report.channels).toEqual(['email', 'in_app']);
+      expect(report.sent).toHaveLength(2);
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'giulia@studio.it',
+        subject: 'Promemoria: Liquidazione IVA (Alfa SRL) scade tra 3 giorni'
+      }));
+      expect(notificationService.notify).toHaveBeenCalledWith([user._id], expect.objectContaining({ type: 'task_reminder' }));
+
+      expect(deliveries).toHaveLength(2);
+      expect(deliveries.every(d => d.status === 'sent' && d.attempts === 1)).toBe(true);
+      expect(deliveries[0].response).toEqual({ messageId: '<msg-1@studio.it>' });
+      expect(ActivityLog.create).toHaveBeenCalledWith(expect.objectContaining({ activityType: 'task_reminders_run' }));
+    });
+
+    it('non dovrebbe ripetere un promemoria già inviato', async () => {
+      await taskReminderService.runTaskReminders({ now: NOW });
+      jest.clearAllMocks();
+
+      const report = await taskReminderService.runTaskReminders({ now: new Date(2026, 4, 13, 15, 0) });
+
+      expect(report.sent).toHaveLength(0);
+      expect(report.duplicates).toBe(2);
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+      expect(notificationService.notify).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe ritentare gli invii falliti', async () => {
+      mailer.sendMail.mockRejectedValueOnce(new Error('Connessione SMTP rifiutata'));
+
+      const first = await taskReminderService.runTaskReminders({ now: NOW });
+      expect(first.errors).toEqual([expect.objectContaining({ channel: 'email', error: 'Connessione SMTP rifiutata' })]);
+
+      const second = await taskReminderService.runTaskReminders({ now: NOW });
+      expect(second.sent).toEqual([expect.objectContaining({ channel: 'email' })]);
+      expect(deliveries.find(d => d.channel === 'email').attempts).toBe(2);
+    });
+
+    it('dovrebbe escludere l\'email se SMTP non è configurato', async () => {
+      mailer.isConfigured.mockReturnValue(false);
+
+      const report = await taskReminderService.runTaskReminders({ now: NOW });
+
+      expect(report.channels).toEqual(['in_app']);
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe saltare gli incaricati non più attivi', async () => {
+      User.find.mockReturnValue(mockQuery([]));
+
+      const report = await taskReminderService.runTaskReminders({ now: NOW });
+
+      expect(report.skipped).toEqual([expect.objectContaining({ reason: 'recipient_inactive' })]);
+      expect(deliveries).toHaveLength(0);
+    });
+
+    it('in modalità di prova non dovrebbe inviare né registrare', async () => {
+      const report = await taskReminderService.runTaskReminders({ now: NOW, dryRun: true });
+
+      expect(report.sent).toHaveLength(2);
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+      expect(deliveries).toHaveLength(0);
+      expect(ActivityLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
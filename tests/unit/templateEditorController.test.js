@@ -0,0 +1,89 @@
+const Template = require('../../src/models/Template');
+const templateEditorService = require('../../src/services/templateEditorService');
+const templateService = require('../../src/services/templateService');
+const templateEditorController = require('../../src/controllers/templateEditorController');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/documentGenerator', () => ({
+  renderTemplate: jest.fn()
+}));
+
+// Esegue un controller catchAsync e attende la risposta o l'errore
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ res, error }));
+});
+
+describe('Template Editor Controller', () => {
+  let template;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    template = new Template({ name: 'lettera', description: 'Lettera', content: '<p><%= name %></p>', engine: 'ejs' });
+    jest.spyOn(Template, 'findById').mockResolvedValue(template);
+    jest.spyOn(templateEditorService, 'previewTemplate').mockResolvedValue({ html: '<p></p>', error: null });
+    jest.spyOn(templateService, 'updateTemplate').mockResolvedValue({ template, revision: null, diff: [] });
+  });
+
+  describe('previewTemplate', () => {
+    it('non dovrebbe eseguire bozze EJS per i non amministratori', async () => {
+      const { error } = await run(templateEditorController.previewTemplate, {
+        user: { _id: 'op1', role: 'operator' },
+        params: { id: template._id },
+        body: { clientId: 'c1', content: '<%= process.env.JWT_SECRET %>' }
+      });
+
+      expect(error.statusCode).toBe(403);
+      expect(templateEditorService.previewTemplate).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe consentire le bozze nel linguaggio sicuro ignorando il linguaggio richiesto', async () => {
+      template.engine = 'safe';
+
+      const { res } = await run(templateEditorController.previewTemplate, {
+        user: { _id: 'op1', role: 'operator' },
+        params: { id: template._id },
+        body: { clientId: 'c1', content: '<p>{{ name }}</p>', engine: 'ejs' }
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(templateEditorService.previewTemplate).toHaveBeenCalledWith(template._id, 'c1', {
+        content: '<p>{{ name }}</p>',
+        variables: undefined
+      });
+    });
+
+    it('dovrebbe consentire le bozze EJS agli amministratori', async () => {
+      const { res } = await run(templateEditorController.previewTemplate, {
+        user: { _id: 'admin1', role: 'admin' },
+        params: { id: template._id },
+        body: { clientId: 'c1', content: '<p><%= name %></p>' }
+      });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('saveTemplateRevision', () => {
+    it('non dovrebbe consentire ai non amministratori di passare a EJS', async () => {
+      template.engine = 'safe';
+
+      const { error } = await run(templateEditorController.saveTemplateRevision, {
+        user: { _id: 'op1', role: 'operator' },
+        params: { id: template._id },
+        body: { content: '<p><%= name %></p>', engine: 'ejs' }
+      });
+
+      expect(error.statusCode).toBe(403);
+      expect(templateService.updateTemplate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Client = require('../../src/models/Client');
+const Template = require('../../src/models/Template');
+const documentGenerator = require('../../src/services/documentGenerator');
+const templateEditorService = require('../../src/services/templateEditorService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/documentGenerator', () => ({
+  renderTemplate: jest.fn()
+}));
+
+const CONTENT = [
+  '<p>Spett.le <%= name %></p>',
+  '<p><%= contactInfo.address.street %> - <%= contactInfo.address.city %></p>',
+  '<% services.forEach(function(service, index) { %>',
+  '  <li><%= index + 1 %>. <%= service.name.toUpperCase() %></li>',
+  '<% }); %>',
+  '<p>Costituita il <%= formatDate(foundingDate) %>, <%= currentDate %></p>'
+].join('\n');
+
+describe('Template Editor Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('extractPlaceholders', () => {
+    it('dovrebbe estrarre segnaposto, righe e variabili locali ignorando stringhe e commenti', () => {
+      const { placeholders, locals, errors } = templateEditorService.extractPlaceholders(
+        '<%# commento con nome %>\n<%= formatCurrency(annualRevenue, { style: \'x.y\' }) %>\n<% items.map(item => item.name) %>'
+      );
+
+      expect(errors).toEqual([]);
+      expect(locals).toEqual(['item']);
+      expect(placeholders).toEqual([
+        { path: 'formatCurrency', line: 2 },
+        { path: 'annualRevenue', line: 2 },
+        { path: 'items.map', line: 3 },
+        { path: 'item', line: 3 },
+        { path: 'item.name', line: 3 }
+      ]);
+    });
+
+    it('dovrebbe segnalare i tag non bilanciati', () => {
+      const { errors } = templateEditorService.extractPlaceholders('<p><%= name %></p><% if (vatNumber) { ');
+
+      expect(errors).toEqual(['Tag del template non bilanciati: 2 aperti e 1 chiusi']);
+    });
+  });
+
+  describe('validateContent', () => {
+    it('dovrebbe accettare campi del cliente, helper, variabili di sistema e locali', () => {
+      const validation = templateEditorService.validateContent(CONTENT);
+
+      expect(validation.valid).toBe(true);
+      expect(validation.unknown).toEqual([]);
+    });
+
+    it('dovrebbe segnalare i segnaposto sconosciuti con un suggerimento', () => {
+      const validation = templateEditorService.validateContent(
+        '<p><%= address.city %></p>\n<p><%= contactInfo.address.citta %></p>\n<p><%= policy.version %></p>',
+        ['policy']
+      );
+
+      expect(validation.valid).toBe(false);
+      expect(validation.unknown).toEqual([
+        { path: 'address.city', line: 1, suggestion: 'contactInfo.address.city' },
+        { path: 'contactInfo.address.citta', line: 2, suggestion: undefined }
+      ]);
+    });
+
+    it('dovrebbe rifiutare i campi riservati del cliente', () => {
+      const validation = templateEditorService.validateContent('<%= gdprErasure.requestReason %>');
+
+      expect(validation.unknown.map(item => item.path)).toEqual(['gdprErasure.requestReason']);
+    });
+  });
+
+  describe('validateContent nel linguaggio sicuro', () => {
+    it('dovrebbe controllare i dati letti escludendo le variabili dei cicli', () => {
+      const validation = templateEditorService.validateContent([
+        '<p>{{ name | upper }} - {{ fiscalCode | cf }}</p>',
+        '{% if companyType == "SRL" %}{% include "clausola-srl" %}{% endif %}',
+        '{% for item in estimate.items %}{{ item.description }} {{ item.price | currency }}{% endfor %}',
+        '{{ contactInfo.address.citta }}'
+      ].join('\n'), ['estimate'], 'safe');
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.unknown).toEqual([{ path: 'contactInfo.address.citta', line: 4, suggestion: undefined }]);
+    });
+
+    it('dovrebbe riportare gli errori di sintassi', () => {
+      const validation = templateEditorService.validateContent('{% for s in services %}{{ s | maiuscolo }}{% endfor %}', [], 'safe');
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors).toEqual(['Filtro sconosciuto: maiuscolo (riga 1)']);
+    });
+  });
+
+  describe('detectVariables', () => {
+    it('dovrebbe dichiarare le radici dei dati esterni al cliente', () => {
+      const variables = templateEditorService.detectVariables(
+        '<%= pec.address %> <%= pec.provider %> <%= address.city %> <%= name %>'
+      );
+
+      expect(variables).toEqual(['pec', 'address']);
+    });
+  });
+
+  describe('getVariablePalette', () => {
+    it('dovrebbe proporre i campi del cliente, le variabili del template e gli helper', () => {
+      const palette = templateEditorService.getVariablePalette({ variables: ['policy.version'] });
+      const names = palette.client.map(field => field.name);
+
+      expect(names).toEqual(expect.arrayContaining(['name', 'fiscalCode', 'contactInfo.address.city']));
+      expect(names).not.toContain('_id');
+      expect(names.some(name => name.startsWith('gdprErasure'))).toBe(false);
+      expect(palette.client.find(field => field.name === 'foundingDate').snippet).toBe('<%= formatDate(foundingDate) %>');
+      expect(palette.template).toEqual([
+        { name: 'policy.version', label: 'policy.version', group: 'template', snippet: '<%= policy.version %>' }
+      ]);
+      expect(palette.helpers.map(helper => helper.name)).toContain('formatCurrency');
+      expect(palette.blocks).toEqual([]);
+    });
+
+    it('dovrebbe proporre filtri, blocchi e clausole nel linguaggio sicuro', () => {
+      const palette = templateEditorService.getVariablePalette(
+        { engine: 'safe', variables: [] },
+        [{ name: 'clausola-privacy', description: 'Informativa privacy' }]
+      );
+
+      expect(palette.client.find(field => field.name === 'foundingDate').snippet).toBe('{{ foundingDate | date }}');
+      expect(palette.system.find(item => item.name === 'currentDate').snippet).toBe('{{ currentDate }}');
+      expect(palette.helpers.map(helper => helper.name)).toEqual(expect.arrayContaining(['date', 'currency', 'cf']));
+      expect(palette.blocks.map(block => block.name)).toEqual(['if', 'if-else', 'for']);
+      expect(palette.clauses).toEqual([{
+        name: 'clausola-privacy',
+        label: 'Informativa privacy',
+        group: 'clauses',
+        snippet: '{% include "clausola-privacy" %}'
+      }]);
+    });
+  });
+
+  describe('previewTemplate', () => {
+    let template;
+    let client;
+
+    beforeEach(() => {
+      template = new Template({
+        name: 'lettera',
+        description: 'Lettera',
+        content: '<p><%= name %></p>',
+        variables: ['policy.version'],
+        version: 3
+      });
+      client = new Client({ name: 'Rossi Srl', fiscalCode: 'RSSMRA80A01H501U' });
+
+      jest.spyOn(Template, 'findById').mockResolvedValue(template);
+      jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    });
+
+    it('dovrebbe generare l\'anteprima della bozza con i dati del cliente', async () => {
+      documentGenerator.renderTemplate.mockReturnValue('<p>Rossi Srl</p>');
+
+      const preview = await templateEditorService.previewTemplate(template._id, client._id, {
+        content: '<p><%= name %> <%= policy.version %></p>'
+      });
+
+      expect(preview).toEqual({ html: '<p>Rossi Srl</p>', error: null, validation: expect.objectContaining({ valid: true }) });
+      const [rendered, data] = documentGenerator.renderTemplate.mock.calls[0];
+      expect(rendered).toEqual(expect.objectContaining({ name: 'lettera', version: 3, content: '<p><%= name %> <%= policy.version %></p>' }));
+      expect(data.name).toBe('Rossi Srl');
+      expect(data.policy).toEqual({ version: '[policy.version]' });
+    });
+
+    it('dovrebbe restituire gli errori di rendering senza interrompere l\'anteprima', async () => {
+      documentGenerator.renderTemplate.mockImplementation(() => {
+        throw new Error('pippo is not defined');
+      });
+
+      const preview = await templateEditorService.previewTemplate(template._id, client._id, { content: '<%= pippo %>' });
+
+      expect(preview.html).toBeNull();
+      expect(preview.error).toBe('pippo is not defined');
+      expect(preview.validation.unknown.map(item => item.path)).toEqual(['pippo']);
+    });
+
+    it('dovrebbe usare sempre il linguaggio del template salvato', async () => {
+      template.engine = 'safe';
+      documentGenerator.renderTemplate.mockReturnValue('<p>Rossi Srl</p>');
+
+      await templateEditorService.previewTemplate(template._id, client._id, { content: '<p>{{ name }}</p>', engine: 'ejs' });
+
+      expect(documentGenerator.renderTemplate.mock.calls[0][0].engine).toBe('safe');
+    });
+
+    it('dovrebbe segnalare un cliente inesistente', async () => {
+      Client.findById.mockResolvedValue(null);
+
+      await expect(templateEditorService.previewTemplate(template._id, new mongoose.Types.ObjectId()))
+        .rejects.toThrow('Impossibile generare l\'anteprima: Cliente non trovato');
+    });
+  });
+});
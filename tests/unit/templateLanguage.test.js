@@ -0,0 +1,142 @@
+const templateLanguage = require('../../src/utils/templateLanguage');
+
+const CLIENT = {
+  name: 'rossi & figli',
+  fiscalCode: 'rss mra 80a01 h501u',
+  vatNumber: 'IT 01234567890',
+  companyType: 'SRL',
+  foundingDate: new Date(2020, 2, 5),
+  services: [
+    { name: 'Contabilità', price: 1200 },
+    { name: 'Paghe', price: 80.5 }
+  ]
+};
+
+describe('Template Language', () => {
+  describe('render', () => {
+    it('dovrebbe stampare i valori con escape HTML', () => {
+      expect(templateLanguage.render('<p>{{ name }}</p>', { name: '<b>Rossi</b>' }))
+        .toBe('<p>&lt;b&gt;Rossi&lt;/b&gt;</p>');
+    });
+
+    it('dovrebbe includere le sezioni condizionali', () => {
+      const source = '{% if companyType in ["SRL", "SRLS"] %}SRL{% elif companyType == "SPA" %}SPA{% else %}Altro{% endif %}';
+
+      expect(templateLanguage.render(source, CLIENT)).toBe('SRL');
+      expect(templateLanguage.render(source, { companyType: 'SPA' })).toBe('SPA');
+      expect(templateLanguage.render(source, {})).toBe('Altro');
+    });
+
+    it('dovrebbe valutare confronti e operatori logici', () => {
+      const source = '{% if employees >= 15 and not exempt or forced %}sì{% else %}no{% endif %}';
+
+      expect(templateLanguage.render(source, { employees: 20 })).toBe('sì');
+      expect(templateLanguage.render(source, { employees: '20', exempt: true })).toBe('no');
+      expect(templateLanguage.render(source, { employees: 3, forced: true })).toBe('sì');
+    });
+
+    it('dovrebbe ripetere i cicli con le variabili di loop', () => {
+      const source = '{% for service in services %}{{ loop.index }}/{{ loop.length }} {{ service.name }}: {{ service.price | currency }}{% if not loop.last %}; {% endif %}{% endfor %}';
+
+      expect(templateLanguage.render(source, CLIENT))
+        .toBe('1/2 Contabilità: 1200,00 €; 2/2 Paghe: 80,50 €');
+    });
+
+    it('dovrebbe usare il ramo else dei cicli per gli elenchi vuoti', () => {
+      const source = '{% for service in services %}{{ service }}{% else %}Nessun servizio{% endfor %}';
+
+      expect(templateLanguage.render(source, { services: [] })).toBe('Nessun servizio');
+      expect(templateLanguage.render(source, {})).toBe('Nessun servizio');
+    });
+
+    it('dovrebbe includere le clausole condivise con gli stessi dati', () => {
+      const partials = {
+        firma: '<p>{% include "studio" %} per {{ name | title }}</p>',
+        studio: 'Studio Biliato'
+      };
+
+      expect(templateLanguage.render('{% include "firma" %}', CLIENT, { partials }))
+        .toBe('<p>Studio Biliato per Rossi &amp; Figli</p>');
+    });
+
+    it('dovrebbe ignorare i commenti', () => {
+      expect(templateLanguage.render('a{# nota interna #}b', {})).toBe('ab');
+    });
+  });
+
+  describe('filtri', () => {
+    it('dovrebbe formattare date, importi e numeri all\'italiana', () => {
+      const source = '{{ foundingDate | date }} | {{ foundingDate | date:"long" }} | {{ amount | currency }} | {{ amount | number:1 }}';
+
+      expect(templateLanguage.render(source, { ...CLIENT, amount: 1234567.891 }))
+        .toBe('05/03/2020 | 5 marzo 2020 | 1.234.567,89 € | 1.234.567,9');
+    });
+
+    it('dovrebbe normalizzare codice fiscale e partita IVA', () => {
+      expect(templateLanguage.render('{{ fiscalCode | cf }} {{ vatNumber | piva }}', CLIENT))
+        .toBe('RSSMRA80A01H501U 01234567890');
+    });
+
+    it('dovrebbe gestire valori mancanti ed elenchi', () => {
+      const source = '{{ phone | default:"—" }} {{ tags | join:" / " }} {{ tags | count }} {{ billing.hourly | yesno }}';
+
+      expect(templateLanguage.render(source, { tags: ['a', 'b'], billing: { hourly: true } }))
+        .toBe('— a / b 2 sì');
+    });
+  });
+
+  describe('sicurezza', () => {
+    it('dovrebbe leggere solo le proprietà proprie dei dati', () => {
+      const source = '[{{ constructor.name }}][{{ name.constructor }}][{{ __proto__ }}][{{ services.map }}]';
+
+      expect(templateLanguage.render(source, CLIENT)).toBe('[][][][]');
+    });
+
+    it('dovrebbe rifiutare chiamate di funzione e codice JavaScript', () => {
+      expect(() => templateLanguage.render('{{ process.exit() }}', {})).toThrow('Elemento inatteso "("');
+      expect(() => templateLanguage.render('{{ a = 1 }}', {})).toThrow('Carattere non valido');
+    });
+
+    it('dovrebbe limitare i cicli e le inclusioni', () => {
+      const items = new Array(templateLanguage.MAX_LOOP_ITERATIONS + 1).fill(1);
+
+      expect(() => templateLanguage.render('{% for i in items %}{% endfor %}', { items }))
+        .toThrow('Il ciclo supera il limite di 1000 elementi (riga 1)');
+      expect(() => templateLanguage.render('{% include "a" %}', {}, { partials: { a: '{% include "b" %}', b: '{% include "a" %}' } }))
+        .toThrow('Inclusione circolare: a -> b -> a');
+    });
+  });
+
+  describe('errori di sintassi', () => {
+    it('dovrebbe indicare la riga degli errori', () => {
+      expect(() => templateLanguage.parse('<p>\n{% if name %}\n<p>')).toThrow('Blocco {% if %} non chiuso (riga 2)');
+      expect(() => templateLanguage.parse('\n\n{{ name | maiuscolo }}')).toThrow('Filtro sconosciuto: maiuscolo (riga 3)');
+      expect(() => templateLanguage.parse('{% endfor %}')).toThrow('{% endfor %} senza il blocco di apertura');
+      expect(() => templateLanguage.parse('{% while x %}')).toThrow('Istruzione sconosciuta: while');
+      expect(() => templateLanguage.parse('{{ name ')).toThrow('Tag non chiuso');
+    });
+
+    it('dovrebbe segnalare le clausole mancanti', () => {
+      expect(() => templateLanguage.render('{% include "privacy" %}', {})).toThrow('Clausola non trovata: privacy');
+    });
+  });
+
+  describe('collectReferences', () => {
+    it('dovrebbe riportare i dati letti e le clausole escludendo le variabili dei cicli', () => {
+      const references = templateLanguage.collectReferences([
+        '{{ name }}',
+        '{% for service in services %}{{ service.name }} {{ loop.index }} {{ currency }}{% endfor %}',
+        '{% if amount > minimum %}{% include "clausola" %}{% endif %}'
+      ].join('\n'));
+
+      expect(references.paths).toEqual([
+        { path: 'name', line: 1 },
+        { path: 'services', line: 2 },
+        { path: 'currency', line: 2 },
+        { path: 'amount', line: 3 },
+        { path: 'minimum', line: 3 }
+      ]);
+      expect(references.includes).toEqual(['clausola']);
+    });
+  });
+});
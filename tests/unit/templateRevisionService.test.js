@@ -0,0 +1,205 @@
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const Template = require('../../src/models/Template');
+const TemplateRevision = require('../../src/models/TemplateRevision');
+const Document = require('../../src/models/Document');
+const Client = require('../../src/models/Client');
+const templateRevisionService = require('../../src/services/templateRevisionService');
+const templateService = require('../../src/services/templateService');
+const documentService = require('../../src/services/documentService');
+const { diffLines, toHunks, countChanges } = require('../../src/utils/textDiff');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/documentGenerator', () => ({}));
+jest.mock('../../src/services/documentDeliveryService', () => ({}));
+
+const CONTENT = [
+  '<h1>Lettera di incarico</h1>',
+  '<p>Gentile <%= client.name %>,</p>',
+  '<p>con la presente le confermiamo l\'incarico.</p>',
+  '<p>Cordiali saluti</p>'
+].join('\n');
+
+const TEMPLATE = {
+  name: 'lettera-incarico',
+  description: 'Lettera di incarico professionale',
+  category: 'contract',
+  format: 'html',
+  content: CONTENT
+};
+
+describe('Template Revision Service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('textDiff', () => {
+    it('dovrebbe individuare le righe aggiunte e rimosse con i numeri di riga', () => {
+      const lines = diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne');
+
+      expect(lines.filter(line => line.type !== 'equal')).toEqual([
+        { type: 'added', text: 'x', newLine: 2 },
+        { type: 'removed', text: 'b', oldLine: 2 },
+        { type: 'added', text: 'e', newLine: 5 }
+      ]);
+      expect(countChanges(lines)).toEqual({ added: 2, removed: 1 });
+    });
+
+    it('dovrebbe raggruppare le modifiche vicine in un unico blocco con il contesto', () => {
+      const from = Array.from({ length: 20 }, (_, i) => `riga ${i + 1}`).join('\n');
+      const to = from.replace('riga 3', 'riga tre').replace('riga 18', 'riga diciotto');
+
+      const hunks = toHunks(diffLines(from, to), 2);
+
+      expect(hunks).toHaveLength(2);
+      expect(hunks[0].oldStart).toBe(1);
+      expect(hunks[1].oldStart).toBe(16);
+      expect(hunks[1].lines.map(line => line.text)).toContain('riga diciotto');
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('dovrebbe riportare campi e contenuto modificati', () => {
+      const diff = templateRevisionService.diffSnapshots(TEMPLATE, {
+        ...TEMPLATE,
+        description: 'Lettera di incarico',
+        content: CONTENT.replace('Cordiali saluti', 'Distinti saluti')
+      });
+
+      expect(diff.hasChanges).toBe(true);
+      expect(diff.fields).toEqual({ description: { from: TEMPLATE.description, to: 'Lettera di incarico' } });
+      expect(diff.content.added).toBe(1);
+      expect(diff.content.removed).toBe(1);
+    });
+
+    it('dovrebbe considerare uguali template identici', () => {
+      expect(templateRevisionService.diffSnapshots(TEMPLATE, { ...TEMPLATE }).hasChanges).toBe(false);
+    });
+  });
+
+  describe('TemplateRevision', () => {
+    it('dovrebbe rifiutare la modifica di una revisione salvata', async () => {
+      const revision = new TemplateRevision({
+        templateId: new mongoose.Types.ObjectId(),
+        revision: 1,
+        snapshot: TEMPLATE,
+        contentHash: templateRevisionService.hashContent(CONTENT)
+      });
+      revision.isNew = false;
+      revision.notes = 'modifica';
+
+      await expect(revision.save()).rejects.toThrow('Le revisioni del template non sono modificabili');
+    });
+
+    it('dovrebbe verificare l\'impronta del contenuto', () => {
+      const revision = { snapshot: TEMPLATE, contentHash: templateRevisionService.hashContent(CONTENT) };
+
+      expect(templateRevisionService.verifyRevision(revision)).toBe(true);
+      expect(templateRevisionService.verifyRevision({ ...revision, snapshot: { content: 'alterato' } })).toBe(false);
+    });
+  });
+
+  describe('saveRevision', () => {
+    it('dovrebbe creare una nuova revisione con autore e nota', async () => {
+      const template = new Template(TEMPLATE);
+      const user = { _id: new mongoose.Types.ObjectId() };
+
+      jest.spyOn(Template, 'findById').mockResolvedValue(template);
+      jest.spyOn(Template.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(TemplateRevision, 'findRevision').mockResolvedValue({ revision: 1 });
+      const create = jest.spyOn(TemplateRevision, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const content = CONTENT.replace('Cordiali saluti', 'Distinti saluti');
+      const result = await templateRevisionService.saveRevision(template._id, { content }, user, { notes: 'Saluti formali' });
+
+      expect(template.version).toBe(2);
+      expect(template.updatedBy).toEqual(user._id);
+      expect(result.diff.content).toEqual(expect.objectContaining({ added: 1, removed: 1 }));
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        templateId: template._id,
+        revision: 2,
+        notes: 'Saluti formali',
+        contentHash: templateRevisionService.hashContent(content),
+        createdBy: user._id
+      }));
+      expect(create.mock.calls[0][0].snapshot.content).toBe(content);
+    });
+
+    it('dovrebbe creare la revisione iniziale e nessuna nuova revisione senza modifiche', async () => {
+      const template = new Template(TEMPLATE);
+
+      jest.spyOn(Template, 'findById').mockResolvedValue(template);
+      const save = jest.spyOn(Template.prototype, 'save');
+      jest.spyOn(TemplateRevision, 'findRevision').mockResolvedValue(null);
+      const create = jest.spyOn(TemplateRevision, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const result = await templateRevisionService.saveRevision(template._id, { content: CONTENT });
+
+      expect(result.revision).toBeNull();
+      expect(template.version).toBe(1);
+      expect(save).not.toHaveBeenCalled();
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ revision: 1, notes: 'Versione iniziale' }));
+    });
+  });
+
+  describe('rollback', () => {
+    it('dovrebbe ripristinare una revisione creandone una nuova', async () => {
+      const template = new Template({ ...TEMPLATE, content: `${CONTENT}\n<p>P.S.</p>`, version: 3 });
+      const revisions = {
+        1: { revision: 1, snapshot: TEMPLATE },
+        3: { revision: 3, snapshot: template.toObject() }
+      };
+
+      jest.spyOn(Template, 'findById').mockResolvedValue(template);
+      jest.spyOn(Template.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(TemplateRevision, 'findRevision').mockImplementation((id, revision) => Promise.resolve(revisions[revision] || null));
+      const create = jest.spyOn(TemplateRevision, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const result = await templateRevisionService.rollback(template._id, 1, { _id: new mongoose.Types.ObjectId() });
+
+      expect(template.content).toBe(CONTENT);
+      expect(template.version).toBe(4);
+      expect(result.diff.content.removed).toBe(1);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        revision: 4,
+        restoredFrom: 1,
+        notes: 'Ripristino della revisione 1'
+      }));
+    });
+
+    it('dovrebbe segnalare una revisione inesistente', async () => {
+      jest.spyOn(TemplateRevision, 'findRevision').mockResolvedValue(null);
+
+      await expect(templateRevisionService.rollback(new mongoose.Types.ObjectId(), 9))
+        .rejects.toThrow('Revisione 9 del template non trovata');
+    });
+  });
+
+  describe('registerGeneratedDocument', () => {
+    it('dovrebbe legare il documento generato alla revisione usata', async () => {
+      const template = new Template({ ...TEMPLATE, version: 2 });
+      const revision = { _id: new mongoose.Types.ObjectId(), revision: 2 };
+      const clientId = new mongoose.Types.ObjectId();
+
+      jest.spyOn(fs, 'stat').mockResolvedValue({ size: 2048 });
+      jest.spyOn(templateService, 'getTemplateById').mockResolvedValue(template);
+      jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(Client, 'findByIdAndUpdate').mockResolvedValue({});
+
+      const document = await documentService.registerGeneratedDocument(
+        '/tmp/lettera.pdf', clientId, template._id, 'pdf', { name: 'Lettera di incarico' }, revision
+      );
+
+      expect(document.template).toEqual(template._id);
+      expect(document.templateVersion).toBe(2);
+      expect(document.templateRevision).toEqual(revision._id);
+      expect(document.mimeType).toBe('application/pdf');
+      expect(document.originalName).toBe('Lettera di incarico.pdf');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Client = require('../../src/models/Client');
+const timeTrackingService = require('../../src/services/timeTrackingService');
+const documentGenerator = require('../../src/services/documentGenerator');
+const timeTrackingController = require('../../src/controllers/timeTrackingController');
+
+jest.mock('../../src/services/documentGenerator', () => ({
+  generateCostEstimate: jest.fn()
+}));
+
+// Esegue un controller catchAsync e attende la risposta o l'errore
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    setHeader: jest.fn(),
+    end: jest.fn(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ res, error }));
+});
+
+describe('Time Tracking Controller', () => {
+  const operatorId = new mongoose.Types.ObjectId();
+  let client;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = new Client({
+      name: 'Mario Rossi',
+      fiscalCode: 'RSSMRA80A01H501U',
+      contactInfo: {
+        email: 'mario@example.com',
+        address: { street: 'Via Roma 1', city: 'Roma', province: 'RM', postalCode: '00100' }
+      },
+      legalRepresentative: { firstName: 'Mario', lastName: 'Rossi', fiscalCode: 'RSSMRA80A01H501U' },
+      onboarding: { assignedTo: operatorId }
+    });
+    // Il salvataggio esegue la validazione del modello senza scrivere sul database
+    client.save = jest.fn(function() { return this.validate().then(() => this); });
+
+    jest.spyOn(Client, 'findById').mockResolvedValue(client);
+    jest.spyOn(timeTrackingService, 'getEntries').mockResolvedValue([]);
+    jest.spyOn(timeTrackingService, 'getBillingRollup').mockResolvedValue({
+      lines: [{ description: 'Consulenza', minutes: 60, amount: 80 }]
+    });
+    jest.spyOn(timeTrackingService, 'toCostEstimateServices').mockReturnValue([]);
+    documentGenerator.generateCostEstimate.mockResolvedValue('/generated/cost-estimate.pdf');
+  });
+
+  it('dovrebbe negare ai clienti del portale l\'accesso alle registrazioni', async () => {
+    const { error } = await run(timeTrackingController.getEntries, {
+      user: { _id: 'c1', role: 'customer' },
+      query: {}
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(timeTrackingService.getEntries).not.toHaveBeenCalled();
+  });
+
+  it('dovrebbe limitare la fatturazione agli amministratori e all\'operatore assegnato', async () => {
+    const denied = await run(timeTrackingController.getBillingRollup, {
+      user: { _id: new mongoose.Types.ObjectId(), role: 'operator' },
+      params: { clientId: client._id },
+      query: {}
+    });
+    expect(denied.error.statusCode).toBe(403);
+    expect(timeTrackingService.getBillingRollup).not.toHaveBeenCalled();
+
+    const allowed = await run(timeTrackingController.getBillingRollup, {
+      user: { _id: operatorId, role: 'operator' },
+      params: { clientId: client._id },
+      query: {}
+    });
+    expect(allowed.res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('dovrebbe salvare il preventivo tra i documenti finanziari del cliente', async () => {
+    const { res, error } = await run(timeTrackingController.generateEstimate, {
+      user: { _id: 'admin1', role: 'admin' },
+      params: { clientId: client._id },
+      body: { format: 'pdf' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(client.save).toHaveBeenCalled();
+    expect(client.documents[0]).toEqual(expect.objectContaining({
+      path: '/generated/cost-estimate.pdf',
+      type: 'Finanziario'
+    }));
+  });
+});
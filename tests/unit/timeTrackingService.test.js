@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const { PassThrough } = require('stream');
+const TimeEntry = require('../../src/models/TimeEntry');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const Client = require('../../src/models/Client');
+const timeTrackingService = require('../../src/services/timeTrackingService');
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select', 'limit'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+const NOW = new Date(2026, 4, 13, 11, 0);
+
+describe('Time Tracking Service', () => {
+  let userId;
+  let client;
+  let instance;
+
+  const makeEntry = (data = {}) => new TimeEntry({
+    clientProcedureId: instance._id,
+    clientId: client._id,
+    taskId: 'task-1',
+    taskName: 'Registrazione fatture',
+    user: userId,
+    startedAt: new Date(2026, 4, 12, 9, 0),
+    endedAt: new Date(2026, 4, 12, 10, 30),
+    durationMinutes: 90,
+    ...data
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    userId = new mongoose.Types.ObjectId();
+    client = new Client({ name: 'Alfa SRL', billing: { hourly: true, hourlyRate: 60 } });
+    instance = new ClientProcedure({
+      clientId: client._id,
+      procedureId: new mongoose.Types.ObjectId(),
+      tasks: [{ taskId: 'task-1', name: 'Registrazione fatture', dueDate: new Date(2026, 4, 31) }]
+    });
+
+    jest.spyOn(ClientProcedure, 'findById').mockResolvedValue(instance);
+    jest.spyOn(TimeEntry.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  describe('timer', () => {
+    it('dovrebbe arrestare il timer in corso e avviarne uno nuovo', async () => {
+      const running = makeEntry({ running: true, source: 'timer', startedAt: new Date(2026, 4, 13, 10, 15), endedAt: undefined, durationMinutes: 0 });
+      jest.spyOn(TimeEntry, 'findOne').mockResolvedValue(running);
+
+      const { entry, stopped } = await timeTrackingService.startTimer(instance._id, 'task-1', userId, { now: NOW });
+
+      expect(stopped.running).toBe(false);
+      expect(stopped.durationMinutes).toBe(45);
+      expect(stopped.history[0].action).toBe('stopped');
+      expect(entry).toEqual(expect.objectContaining({ running: true, source: 'timer', taskName: 'Registrazione fatture' }));
+      expect(entry.clientId).toEqual(client._id);
+    });
+
+    it('dovrebbe rifiutare un task inesistente', async () => {
+      await expect(timeTrackingService.startTimer(instance._id, 'task-9', userId))
+        .rejects.toThrow('Task non trovato');
+    });
+
+    it('dovrebbe segnalare l\'assenza di un timer da arrestare', async () => {
+      jest.spyOn(TimeEntry, 'findOne').mockResolvedValue(null);
+
+      await expect(timeTrackingService.stopTimer(userId)).rejects.toThrow('Nessun timer attivo');
+    });
+  });
+
+  describe('addManualEntry', () => {
+    it('dovrebbe calcolare la fine dalla durata', async () => {
+      const entry = await timeTrackingService.addManualEntry(instance._id, 'task-1', userId, {
+        startedAt: new Date(2026, 4, 12, 14, 0),
+        durationMinutes: 75
+      });
+
+      expect(entry.endedAt).toEqual(new Date(2026, 4, 12, 15, 15));
+      expect(entry.source).toBe('manual');
+      expect(entry.history[0].action).toBe('created');
+    });
+
+    it('dovrebbe rifiutare una fine precedente all\'inizio', async () => {
+      await expect(timeTrackingService.addManualEntry(instance._id, 'task-1', userId, {
+        startedAt: new Date(2026, 4, 12, 14, 0),
+        endedAt: new Date(2026, 4, 12, 13, 0)
+      })).rejects.toThrow('La data di fine non può precedere la data di inizio');
+    });
+  });
+
+  describe('updateEntry', () => {
+    it('dovrebbe ricalcolare la durata e registrare le modifiche nello storico', async () => {
+      const entry = makeEntry();
+      jest.spyOn(TimeEntry, 'findById').mockResolvedValue(entry);
+
+      await timeTrackingService.updateEntry(entry._id, {
+        endedAt: new Date(2026, 4, 12, 11, 0),
+        description: 'Registrazioni di aprile'
+      }, userId, { reason: 'Orario errato', now: NOW });
+
+      expect(entry.durationMinutes).toBe(120);
+      const [change] = entry.history;
+      expect(change.action).toBe('updated');
+      expect(change.note).toBe('Orario errato');
+      expect(change.changes.durationMinutes).toEqual({ from: 90, to: 120 });
+      expect(change.changes.description).toEqual({ from: undefined, to: 'Registrazioni di aprile' });
+      expect(change.changes.startedAt).toBeUndefined();
+    });
+
+    it('non dovrebbe modificare una registrazione fatturata', async () => {
+      const entry = makeEntry({ invoice: { invoiceNumber: 'FT-12', lockedAt: NOW } });
+      jest.spyOn(TimeEntry, 'findById').mockResolvedValue(entry);
+
+      await expect(timeTrackingService.updateEntry(entry._id, { durationMinutes: 30 }, userId))
+        .rejects.toThrow('già stata fatturata');
+      expect(entry.save).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe consentire la modifica solo all\'autore o a un amministratore', async () => {
+      const entry = makeEntry();
+      jest.spyOn(TimeEntry, 'findById').mockResolvedValue(entry);
+      const otherUser = new mongoose.Types.ObjectId();
+
+      await expect(timeTrackingService.updateEntry(entry._id, { description: 'x' }, otherUser))
+        .rejects.toThrow('Solo l\'autore o un amministratore');
+
+      await timeTrackingService.updateEntry(entry._id, { description: 'x' }, otherUser, { isAdmin: true });
+      expect(entry.description).toBe('x');
+    });
+  });
+
+  describe('totali e fatturazione', () => {
+    let anna;
+    let bruno;
+
+    beforeEach(() => {
+      anna = { _id: userId, firstName: 'Anna', lastName: 'Verdi' };
+      bruno = { _id: new mongoose.Types.ObjectId(), firstName: 'Bruno', lastName: 'Neri' };
+    });
+
+    it('dovrebbe calcolare i totali per utente, cliente e task', async () => {
+      const entries = [
+        { ...makeEntry().toObject(), user: anna, clientId: client, durationMinutes: 90, billable: true },
+        { ...makeEntry().toObject(), user: anna, clientId: client, durationMinutes: 30, billable: false },
+        { ...makeEntry().toObject(), user: bruno, clientId: client, durationMinutes: 60, billable: true }
+      ];
+      jest.spyOn(TimeEntry, 'find').mockReturnValue(mockQuery(entries));
+
+      const totals = await timeTrackingService.getTotals({ clientId: client._id });
+
+      expect(totals.totalHours).toBe(3);
+      expect(totals.billableHours).toBe(2.5);
+      expect(totals.byUser).toEqual([
+        expect.objectContaining({ user: { _id: String(userId), name: 'Anna Verdi' }, hours: 2, billableHours: 1.5, entries: 2 }),
+        expect.objectContaining({ user: { _id: String(bruno._id), name: 'Bruno Neri' }, hours: 1 })
+      ]);
+      expect(totals.byClient).toEqual([expect.objectContaining({ client: { _id: String(client._id), name: 'Alfa SRL' }, hours: 3 })]);
+      expect(totals.byTask).toHaveLength(1);
+    });
+
+    it('dovrebbe raggruppare le ore fatturabili per task e tariffa', async () => {
+      jest.spyOn(Client, 'findById').mockResolvedValue(client);
+      const find = jest.spyOn(TimeEntry, 'find').mockReturnValue(mockQuery([
+        makeEntry({ durationMinutes: 90 }),
+        makeEntry({ durationMinutes: 30 }),
+        makeEntry({ durationMinutes: 60, hourlyRate: 100 })
+      ]));
+
+      const rollup = await timeTrackingService.getBillingRollup(client._id, { from: new Date(2026, 4, 1) });
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({
+        billable: true,
+        running: false,
+        'invoice.lockedAt': null
+      }));
+      expect(rollup.lines).toEqual([
+        expect.objectContaining({ taskName: 'Registrazione fatture', hourlyRate: 60, hours: 2, amount: 120 }),
+        expect.objectContaining({ hourlyRate: 100, hours: 1, amount: 100 })
+      ]);
+      expect(rollup.totalHours).toBe(3);
+      expect(rollup.totalAmount).toBe(220);
+      expect(rollup.entryIds).toHaveLength(3);
+
+      const services = timeTrackingService.toCostEstimateServices(rollup);
+      expect(services[0]).toEqual({
+        description: 'Registrazione fatture: 2 ore x € 60,00',
+        frequency: 'Una tantum',
+        amount: 120
+      });
+    });
+
+    it('dovrebbe bloccare solo le registrazioni non ancora fatturate', async () => {
+      const updateMany = jest.spyOn(TimeEntry, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+      const result = await timeTrackingService.lockEntries({ clientId: client._id }, 'FT-12', userId, { now: NOW });
+
+      expect(result).toEqual({ invoiceNumber: 'FT-12', locked: 4 });
+      const [query, update] = updateMany.mock.calls[0];
+      expect(query).toEqual(expect.objectContaining({ clientId: client._id, running: false, 'invoice.lockedAt': null }));
+      expect(update.$set.invoice).toEqual({ invoiceNumber: 'FT-12', lockedAt: NOW, lockedBy: userId });
+      expect(update.$push.history.action).toBe('locked');
+    });
+
+    it('dovrebbe richiedere il numero della fattura per il blocco', async () => {
+      await expect(timeTrackingService.lockEntries({ clientId: client._id }, null, userId))
+        .rejects.toThrow('Il numero della fattura è obbligatorio');
+    });
+
+    it('dovrebbe esportare le ore in CSV', async () => {
+      const output = new PassThrough();
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+
+      const entry = { ...makeEntry({ description: 'Prima nota; banca' }).toObject(), user: anna, clientId: client };
+      const count = await timeTrackingService.exportBilling([entry], output, { format: 'csv' });
+      output.end();
+
+      const lines = Buffer.concat(chunks).toString('utf8').replace('\uFEFF', '').trim().split('\r\n');
+      expect(count).toBe(1);
+      expect(lines[0]).toBe(timeTrackingService.BILLING_COLUMNS.join(';'));
+      expect(lines[1]).toBe('2026-05-12;Alfa SRL;;Registrazione fatture;Anna Verdi;"Prima nota; banca";90;1.5;60;90;Sì;');
+    });
+
+    it('dovrebbe neutralizzare le formule nelle descrizioni esportate', async () => {
+      const output = new PassThrough();
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+
+      const entry = { ...makeEntry({ description: '=1+1' }).toObject(), user: anna, clientId: client };
+      await timeTrackingService.exportBilling([entry], output, { format: 'csv' });
+      output.end();
+
+      const lines = Buffer.concat(chunks).toString('utf8').trim().split('\r\n');
+      expect(lines[1].split(';')[5]).toBe('\'=1+1');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const ClientProcedure = require('../../src/models/ClientProcedure');
+const User = require('../../src/models/User');
+const workloadReportService = require('../../src/services/workloadReportService');
+
+jest.mock('../../src/models/User', () => ({
+  find: jest.fn()
+}));
+
+// Simula una query Mongoose concatenabile che si risolve con il valore indicato
+const mockQuery = (value) => {
+  const query = Promise.resolve(value);
+  ['populate', 'sort', 'select'].forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+// Mercoledì 13 maggio 2026: la prima settimana inizia lunedì 11
+const NOW = new Date(2026, 4, 13, 10, 0);
+
+describe('Workload Report Service', () => {
+  let anna;
+  let bruno;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    anna = { _id: new mongoose.Types.ObjectId(), firstName: 'Anna', lastName: 'Verdi', role: 'operator' };
+    bruno = { _id: new mongoose.Types.ObjectId(), firstName: 'Bruno', lastName: 'Neri', role: 'operator' };
+
+    const instance = new ClientProcedure({
+      clientId: new mongoose.Types.ObjectId(),
+      procedureId: new mongoose.Types.ObjectId(),
+      tasks: [
+        // In ritardo: conta nella prima settimana
+        { taskId: 'task-1', name: 'F24', assignedTo: anna._id, dueDate: new Date(2026, 4, 8), estimatedHours: 4 },
+        // Questa settimana, ore di default
+        { taskId: 'task-2', name: 'Liquidazione IVA', assignedTo: anna._id, dueDate: new Date(2026, 4, 15) },
+        // Settimana del 25 maggio
+        { taskId: 'task-3', name: 'Bilancio', assignedTo: anna._id, dueDate: new Date(2026, 4, 28), estimatedHours: 30 },
+        // Completato: escluso
+        { taskId: 'task-4', name: 'CU', status: 'completed', assignedTo: anna._id, dueDate: new Date(2026, 4, 14) },
+        // Non assegnato
+        { taskId: 'task-5', name: 'Registrazioni', dueDate: new Date(2026, 4, 20), estimatedHours: 3 },
+        // Utente non attivo: escluso
+        { taskId: 'task-6', name: 'Revisione', assignedTo: new mongoose.Types.ObjectId(), dueDate: new Date(2026, 4, 20) }
+      ]
+    });
+
+    User.find.mockReturnValue(mockQuery([anna, bruno]));
+    jest.spyOn(ClientProcedure, 'find').mockReturnValue(mockQuery([instance]));
+  });
+
+  it('dovrebbe calcolare task aperti, in ritardo, in scadenza e ore per utente', async () => {
+    const report = await workloadReportService.getTeamWorkload({ now: NOW, weeks: 4 });
+    const [first, second] = report.users;
+
+    expect(first.user.name).toBe('Anna Verdi');
+    expect(first).toEqual(expect.objectContaining({
+      openTasks: 3,
+      overdueTasks: 1,
+      upcomingTasks: 1,
+      estimatedHours: 36,
+      overdueHours: 4
+    }));
+    expect(first.tasks.map(task => task.taskId)).toEqual(['task-1', 'task-2', 'task-3']);
+
+    expect(second.user.name).toBe('Bruno Neri');
+    expect(second.openTasks).toBe(0);
+
+    expect(report.unassigned.openTasks).toBe(1);
+    expect(report.unassigned.estimatedHours).toBe(3);
+  });
+
+  it('dovrebbe costruire la mappa settimanale del carico', async () => {
+    const report = await workloadReportService.getTeamWorkload({ now: NOW, weeks: 4, capacity: 20 });
+    const [anna] = report.users;
+
+    expect(report.weeks.map(week => week.start)).toEqual([
+      new Date(2026, 4, 11),
+      new Date(2026, 4, 18),
+      new Date(2026, 4, 25),
+      new Date(2026, 5, 1)
+    ]);
+    expect(anna.weekly.map(week => week.hours)).toEqual([6, 0, 30, 0]);
+    expect(anna.weekly.map(week => week.level)).toEqual(['low', 'low', 'overloaded', 'low']);
+    expect(anna.weekly[2].utilization).toBe(1.5);
+    expect(anna.peakUtilization).toBe(1.5);
+    expect(anna.overloadedWeeks).toBe(1);
+  });
+
+  it('dovrebbe classificare il livello di carico', () => {
+    expect(workloadReportService.getLoadLevel(0.3)).toBe('low');
+    expect(workloadReportService.getLoadLevel(0.8)).toBe('medium');
+    expect(workloadReportService.getLoadLevel(1)).toBe('high');
+    expect(workloadReportService.getLoadLevel(1.2)).toBe('overloaded');
+  });
+});